@@ -208,6 +208,18 @@ describe('runDeliveryRetentionCleanup', () => {
         expect(params).toContain(90);
     });
 
+    it('purges expired idempotency keys without failing the cleanup', async () => {
+        db.query = jest.fn()
+            .mockResolvedValueOnce({ rows: [] })
+            .mockRejectedValueOnce(new Error('relation does not exist'));
+
+        const result = await runDeliveryRetentionCleanup();
+
+        expect(result).toEqual({ routesDeleted: 0, ordersDeleted: 0 });
+        expect(db.query.mock.calls[1][0]).toContain('DELETE FROM idempotency_keys WHERE expires_at < NOW()');
+        expect(logger.warn).toHaveBeenCalledWith('Failed to purge expired idempotency keys', expect.any(Object));
+    });
+
     it('only targets finished and cancelled routes', async () => {
         db.query = jest.fn().mockResolvedValue({ rows: [] });
 
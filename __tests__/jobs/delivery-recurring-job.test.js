@@ -0,0 +1,61 @@
+/**
+ * Tests for delivery-recurring-job
+ *
+ * Covers materializing today's recurring deliveries across merchants.
+ */
+
+jest.mock('../../services/delivery/delivery-recurring-orders', () => ({
+    materializeRecurringOrders: jest.fn()
+}));
+
+const db = require('../../utils/database');
+const { materializeRecurringOrders } = require('../../services/delivery/delivery-recurring-orders');
+const { runDeliveryRecurringOrders } = require('../../jobs/delivery-recurring-job');
+
+describe('runDeliveryRecurringOrders', () => {
+    beforeEach(() => {
+        jest.resetAllMocks();
+        db.query.mockResolvedValue({ rows: [] });
+    });
+
+    it('does nothing when no merchant has active templates', async () => {
+        const result = await runDeliveryRecurringOrders();
+
+        expect(result).toEqual({ merchants: 0, created: 0, failed: 0, errors: 0 });
+        expect(db.query).toHaveBeenCalledWith(expect.stringContaining('is_active = TRUE'));
+        expect(materializeRecurringOrders).not.toHaveBeenCalled();
+    });
+
+    it('totals the orders created for each merchant', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ merchant_id: 1 }, { merchant_id: 2 }] });
+        materializeRecurringOrders
+            .mockResolvedValueOnce({ created: 3, failed: 0 })
+            .mockResolvedValueOnce({ created: 1, failed: 1 });
+
+        const result = await runDeliveryRecurringOrders();
+
+        expect(materializeRecurringOrders).toHaveBeenCalledWith(1);
+        expect(materializeRecurringOrders).toHaveBeenCalledWith(2);
+        expect(result).toEqual({ merchants: 2, created: 4, failed: 1, errors: 0 });
+    });
+
+    it('continues with the next merchant after an error', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ merchant_id: 1 }, { merchant_id: 2 }] });
+        materializeRecurringOrders
+            .mockRejectedValueOnce(new Error('locale lookup failed'))
+            .mockResolvedValueOnce({ created: 2, failed: 0 });
+
+        const result = await runDeliveryRecurringOrders();
+
+        expect(result).toEqual({ merchants: 2, created: 2, failed: 0, errors: 1 });
+    });
+
+    it('reports an error when the merchant query fails', async () => {
+        db.query.mockRejectedValueOnce(new Error('connection refused'));
+
+        const result = await runDeliveryRecurringOrders();
+
+        expect(result.errors).toBe(1);
+        expect(materializeRecurringOrders).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for po-auto-draft-job
+ *
+ * Covers drafting across merchants and the buyer review email.
+ */
+
+jest.mock('../../utils/email-notifier', () => ({ sendMerchantNotice: jest.fn() }));
+jest.mock('../../services/purchase-orders/po-auto-draft-service', () => ({
+    autoDraftPurchaseOrders: jest.fn()
+}));
+
+const db = require('../../utils/database');
+const emailNotifier = require('../../utils/email-notifier');
+const { autoDraftPurchaseOrders } = require('../../services/purchase-orders/po-auto-draft-service');
+const { runPoAutoDraft, buildReviewEmail } = require('../../jobs/po-auto-draft-job');
+
+const DRAFTED = {
+    vendorName: 'Acme Pet', status: 'drafted', itemCount: 3, subtotalCents: 25000,
+    po: { id: 42, po_number: 'PO-20261012-001' }
+};
+
+describe('buildReviewEmail', () => {
+    it('returns null when nothing needs review', () => {
+        expect(buildReviewEmail('Test Store', [{ vendorName: 'Acme Pet', status: 'no_suggestions' }])).toBeNull();
+        expect(buildReviewEmail('Test Store', [])).toBeNull();
+    });
+
+    it('links each draft and lists vendors below minimum', () => {
+        const email = buildReviewEmail('Test Store', [
+            DRAFTED,
+            { vendorName: 'Bulk Co', status: 'below_minimum', subtotalCents: 3000, minimumCents: 10000, shortfallCents: 7000 }
+        ]);
+
+        expect(email.subject).toBe('1 purchase order draft(s) to review — Test Store');
+        expect(email.html).toContain('/purchase-orders.html?po=42">Acme Pet: PO-20261012-001</a>, 3 items, $250.00');
+        expect(email.html).toContain('Bulk Co: $30.00 of $100.00 minimum (short $70.00)');
+    });
+
+    it('escapes merchant-supplied names and errors', () => {
+        const email = buildReviewEmail('Tom & Jerry\'s', [
+            { ...DRAFTED, vendorName: '<b>Acme</b>' },
+            { vendorName: 'Bad "Co"', status: 'failed', error: 'price <missing>' }
+        ]);
+
+        expect(email.html).toContain('Tom &amp; Jerry&#039;s');
+        expect(email.html).toContain('&lt;b&gt;Acme&lt;/b&gt;: PO-20261012-001');
+        expect(email.html).toContain('Bad &quot;Co&quot;: price &lt;missing&gt;');
+        expect(email.html).not.toContain('<b>Acme');
+    });
+});
+
+describe('runPoAutoDraft', () => {
+    beforeEach(() => {
+        jest.resetAllMocks();
+        db.query.mockResolvedValue({ rows: [] });
+    });
+
+    it('does nothing when no merchant has fixed-schedule vendors', async () => {
+        const result = await runPoAutoDraft();
+
+        expect(result).toEqual({ merchants: 0, drafted: 0, belowMinimum: 0, errors: 0 });
+        expect(autoDraftPurchaseOrders).not.toHaveBeenCalled();
+    });
+
+    it('drafts for each merchant and emails its buyers', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 1, business_name: 'Test Store' }, { id: 2, business_name: 'Quiet Shop' }] });
+        autoDraftPurchaseOrders
+            .mockResolvedValueOnce({ weekday: 'monday', results: [DRAFTED] })
+            .mockResolvedValueOnce({ weekday: 'monday', results: [] });
+
+        const result = await runPoAutoDraft();
+
+        expect(result).toEqual({ merchants: 2, drafted: 1, belowMinimum: 0, errors: 0 });
+        expect(emailNotifier.sendMerchantNotice).toHaveBeenCalledTimes(1);
+        expect(emailNotifier.sendMerchantNotice).toHaveBeenCalledWith({
+            merchantId: 1, subject: expect.stringContaining('Test Store'), html: expect.stringContaining('Acme Pet')
+        });
+    });
+
+    it('continues with the next merchant after an error', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 1, business_name: 'A' }, { id: 2, business_name: 'B' }] });
+        autoDraftPurchaseOrders
+            .mockRejectedValueOnce(new Error('locale lookup failed'))
+            .mockResolvedValueOnce({ weekday: 'monday', results: [DRAFTED] });
+
+        const result = await runPoAutoDraft();
+
+        expect(result).toEqual({ merchants: 2, drafted: 1, belowMinimum: 0, errors: 1 });
+    });
+
+    it('reports an error when the merchant query fails', async () => {
+        db.query.mockRejectedValueOnce(new Error('connection refused'));
+
+        const result = await runPoAutoDraft();
+
+        expect(result.errors).toBe(1);
+        expect(autoDraftPurchaseOrders).not.toHaveBeenCalled();
+    });
+});
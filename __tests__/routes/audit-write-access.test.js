@@ -54,6 +54,10 @@ const passThrough = (_req, _res, next) => next();
 const passThroughProxy = () => new Proxy({}, { get: () => [passThrough] });
 
 jest.mock('../../middleware/validators/purchase-orders', passThroughProxy);
+jest.mock('../../middleware/validators/purchase-orders-close', passThroughProxy);
+jest.mock('../../middleware/validators/purchase-orders-receiving', passThroughProxy);
+jest.mock('../../middleware/validators/purchase-orders-landed-costs', passThroughProxy);
+jest.mock('../../middleware/validators/purchase-orders-invoices', passThroughProxy);
 jest.mock('../../middleware/validators/cycle-counts', passThroughProxy);
 jest.mock('../../middleware/validators/expiry-discounts', passThroughProxy);
 jest.mock('../../middleware/validators/sync', passThroughProxy);
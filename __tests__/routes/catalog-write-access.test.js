@@ -29,6 +29,8 @@ const mockCatalogService = {
     getInventory: jest.fn(),
     getLowStock: jest.fn(),
     getDeletedItems: jest.fn(),
+    previewRestore: jest.fn(),
+    restoreDeletedItems: jest.fn(),
     getCatalogAudit: jest.fn(),
     enableItemAtAllLocations: jest.fn(),
     fixLocationMismatches: jest.fn(),
@@ -98,6 +100,8 @@ describe('Catalog Routes — requireWriteAccess', () => {
         { method: 'post', path: '/api/expirations', body: [] },
         { method: 'post', path: '/api/expirations/pull', body: { variation_id: '1' } },
         { method: 'post', path: '/api/expirations/review', body: { variation_ids: ['1'] } },
+        { method: 'post', path: '/api/deleted-items/restore/preview', body: { variation_ids: ['V1'] } },
+        { method: 'post', path: '/api/deleted-items/restore', body: { variation_ids: ['V1'] } },
         { method: 'post', path: '/api/catalog-audit/enable-item-at-locations', body: { item_id: 'ABC' } },
         { method: 'post', path: '/api/catalog-audit/fix-locations', body: {} },
         { method: 'post', path: '/api/catalog-audit/fix-inventory-alerts', body: {} },
@@ -1,7 +1,7 @@
 /**
  * Catalog Routes Test Suite
  *
- * Tests for 19 endpoints in routes/catalog.js.
+ * Tests for 21 endpoints in routes/catalog.js.
  * All routes delegate to catalogService — tests verify:
  * - Auth/merchant middleware integration
  * - Validator enforcement
@@ -37,6 +37,8 @@ const mockCatalogService = {
     getInventory: jest.fn(),
     getLowStock: jest.fn(),
     getDeletedItems: jest.fn(),
+    previewRestore: jest.fn(),
+    restoreDeletedItems: jest.fn(),
     getCatalogAudit: jest.fn(),
     enableItemAtAllLocations: jest.fn(),
     fixLocationMismatches: jest.fn(),
@@ -45,6 +47,13 @@ const mockCatalogService = {
 
 jest.mock('../../services/catalog', () => mockCatalogService);
 
+// GS1 scans resolve to plain entries; unscanned entries pass through
+const mockGs1Scan = {
+    resolveScan: jest.fn(),
+    resolveExpiryEntries: jest.fn(async (merchantId, entries) => ({ changes: entries, scans: [] })),
+};
+jest.mock('../../services/expiry/gs1-scan', () => mockGs1Scan);
+
 // Mock the database module used by catalog validators (min-stock cross-field
 // check reads variations.stock_alert_max). Default: no matching row so the
 // validator passes through without constraining existing tests.
@@ -297,6 +306,48 @@ describe('Catalog Routes', () => {
         });
     });
 
+    describe('POST /api/deleted-items/restore/preview', () => {
+        it('should return the restore preview', async () => {
+            mockCatalogService.previewRestore.mockResolvedValueOnce({ items: [{ item_id: 'I1', restorable: true }] });
+            const res = await request(app)
+                .post('/api/deleted-items/restore/preview')
+                .send({ variation_ids: ['V1', 'V2'] });
+            expect(res.status).toBe(200);
+            expect(res.body.items).toHaveLength(1);
+            expect(mockCatalogService.previewRestore).toHaveBeenCalledWith(1, ['V1', 'V2']);
+        });
+
+        it('should reject an empty or malformed variation_ids list', async () => {
+            let res = await request(app).post('/api/deleted-items/restore/preview').send({ variation_ids: [] });
+            expect(res.status).toBe(400);
+            res = await request(app).post('/api/deleted-items/restore/preview').send({ variation_ids: ['V1;DROP'] });
+            expect(res.status).toBe(400);
+            expect(mockCatalogService.previewRestore).not.toHaveBeenCalled();
+        });
+
+        it('should pass through service status codes', async () => {
+            const err = new Error('No deleted items found for the given variations');
+            err.statusCode = 404;
+            mockCatalogService.previewRestore.mockRejectedValueOnce(err);
+            const res = await request(app).post('/api/deleted-items/restore/preview').send({ variation_ids: ['V1'] });
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('No deleted items found for the given variations');
+        });
+    });
+
+    describe('POST /api/deleted-items/restore', () => {
+        it('should restore and return per-item results', async () => {
+            mockCatalogService.restoreDeletedItems.mockResolvedValueOnce({
+                restored: [{ old_item_id: 'I1', item_id: 'NEW_I1', variations: [{ old_id: 'V1', id: 'NEW_V1' }] }],
+                failed: []
+            });
+            const res = await request(app).post('/api/deleted-items/restore').send({ variation_ids: ['V1'] });
+            expect(res.status).toBe(200);
+            expect(res.body.restored[0].item_id).toBe('NEW_I1');
+            expect(mockCatalogService.restoreDeletedItems).toHaveBeenCalledWith(1, ['V1']);
+        });
+    });
+
     describe('GET /api/catalog-audit', () => {
         it('should return audit data', async () => {
             mockCatalogService.getCatalogAudit.mockResolvedValueOnce({
@@ -510,6 +561,53 @@ describe('Catalog Routes', () => {
                 .send([{ variation_id: 'v1', expiration_date: 'not-a-date' }]);
             expect(res.status).toBe(400);
         });
+
+        it('should save GS1 scan entries as resolved and report each scan', async () => {
+            const scans = [{ scan: '(01)00012345678905(17)270531', status: 'SAVED' }];
+            mockGs1Scan.resolveExpiryEntries.mockResolvedValueOnce({
+                changes: [{ variation_id: 'v1', expiration_date: '2027-05-31' }], scans
+            });
+            mockCatalogService.saveExpirations.mockResolvedValueOnce({ success: true, message: 'Saved 1 changes' });
+
+            const res = await request(app)
+                .post('/api/expirations')
+                .send([{ scan: '(01)00012345678905(17)270531', override_conflict: true }]);
+
+            expect(res.status).toBe(200);
+            expect(mockCatalogService.saveExpirations).toHaveBeenCalledWith(1, [{ variation_id: 'v1', expiration_date: '2027-05-31' }]);
+            expect(res.body.scans).toEqual(scans);
+        });
+
+        it('should reject an entry with neither variation_id nor scan', async () => {
+            const res = await request(app)
+                .post('/api/expirations')
+                .send([{ expiration_date: '2027-05-31' }]);
+            expect(res.status).toBe(400);
+            expect(mockCatalogService.saveExpirations).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/expirations/scan', () => {
+        it('should return the resolved scan', async () => {
+            mockGs1Scan.resolveScan.mockResolvedValueOnce({
+                gtin: '00012345678905', expiration_date: '2027-05-31', lot_code: null,
+                variation: { id: 'v1' }, conflicts: []
+            });
+            const res = await request(app)
+                .post('/api/expirations/scan')
+                .send({ scan: '(01)00012345678905(17)270531' });
+            expect(res.status).toBe(200);
+            expect(res.body.variation.id).toBe('v1');
+            expect(mockGs1Scan.resolveScan).toHaveBeenCalledWith(1, '(01)00012345678905(17)270531');
+        });
+
+        it('should pass an unreadable scan through as 400', async () => {
+            mockGs1Scan.resolveScan.mockRejectedValueOnce(Object.assign(new Error('Not a GS1 element string'), { statusCode: 400 }));
+            const res = await request(app)
+                .post('/api/expirations/scan')
+                .send({ scan: '(01' });
+            expect(res.status).toBe(400);
+        });
     });
 
     describe('POST /api/expirations/pull', () => {
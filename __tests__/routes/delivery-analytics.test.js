@@ -0,0 +1,66 @@
+/**
+ * Delivery Analytics Routes Test Suite
+ *
+ * Tests for GET /api/delivery/analytics (period validation, merchant scoping).
+ */
+
+jest.mock('../../utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+jest.mock('../../services/delivery/delivery-analytics', () => ({
+    getDeliveryAnalytics: jest.fn(),
+}));
+
+const request = require('supertest');
+const express = require('express');
+const deliveryAnalytics = require('../../services/delivery/delivery-analytics');
+
+function createTestApp() {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.merchantContext = { id: 10, business_name: 'Test Store' };
+        next();
+    });
+    app.use('/api/delivery', require('../../routes/delivery/analytics'));
+    app.use((err, req, res, _next) => {
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    });
+    return app;
+}
+
+describe('Delivery Analytics Routes', () => {
+    let app;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        app = createTestApp();
+    });
+
+    it('returns analytics for the merchant with the default period', async () => {
+        deliveryAnalytics.getDeliveryAnalytics.mockResolvedValueOnce({ from: '2026-08-24', to: '2026-10-14' });
+
+        const res = await request(app).get('/api/delivery/analytics').expect(200);
+
+        expect(res.body.analytics.from).toBe('2026-08-24');
+        expect(deliveryAnalytics.getDeliveryAnalytics).toHaveBeenCalledWith(10, { weeks: undefined });
+    });
+
+    it('passes the requested number of weeks', async () => {
+        deliveryAnalytics.getDeliveryAnalytics.mockResolvedValueOnce({});
+
+        await request(app).get('/api/delivery/analytics?weeks=12').expect(200);
+
+        expect(deliveryAnalytics.getDeliveryAnalytics).toHaveBeenCalledWith(10, { weeks: 12 });
+    });
+
+    it('rejects a period outside 1-26 weeks', async () => {
+        await request(app).get('/api/delivery/analytics?weeks=52').expect(400);
+        await request(app).get('/api/delivery/analytics?weeks=0').expect(400);
+        expect(deliveryAnalytics.getDeliveryAnalytics).not.toHaveBeenCalled();
+    });
+});
@@ -69,6 +69,8 @@ jest.mock('../../middleware/validators/delivery', () => ({
     generateRoute: (req, res, next) => next(),
     getActiveRoute: (req, res, next) => next(),
     getRoute: (req, res, next) => next(),
+    exportRoute: (req, res, next) => next(),
+    updateOrderLocation: (req, res, next) => next(),
     finishRoute: (req, res, next) => next(),
     geocode: (req, res, next) => next(),
     updateSettings: (req, res, next) => next(),
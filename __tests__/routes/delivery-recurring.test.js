@@ -0,0 +1,180 @@
+/**
+ * Delivery Recurring Routes Test Suite
+ *
+ * Tests for recurring delivery templates:
+ * - Template CRUD with cadence / line item validation
+ * - On-demand materialization of a day's deliveries
+ */
+
+jest.mock('../../utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+jest.mock('../../services/delivery', () => ({
+    listRecurringTemplates: jest.fn(),
+    createRecurringTemplate: jest.fn(),
+    updateRecurringTemplate: jest.fn(),
+    deleteRecurringTemplate: jest.fn(),
+    materializeRecurringOrders: jest.fn(),
+    logAuditEvent: jest.fn(),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+    requireAuth: (req, res, next) => next(),
+    requireAdmin: (req, res, next) => next(),
+    requireWriteAccess: (req, res, next) => next(),
+}));
+
+jest.mock('../../middleware/security', () => ({
+    configureDeliveryRateLimit: () => (req, res, next) => next(),
+    configureDeliveryStrictRateLimit: () => (req, res, next) => next(),
+}));
+
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const deliveryApi = require('../../services/delivery');
+
+const TEMPLATE_ID = 'f47ac10b-58cc-4372-a567-0e02b2c3d479';
+const VALID_TEMPLATE = {
+    customerName: 'Jane Doe',
+    address: '1 King St W, Hamilton, ON',
+    startDate: '2026-10-06',
+    intervalWeeks: 2,
+    lineItems: [{ name: 'Dog Food', quantity: 2 }]
+};
+
+function createTestApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(session({ secret: 'test-secret', resave: false, saveUninitialized: true }));
+    app.use((req, res, next) => {
+        req.session.user = { id: 1, email: 'test@example.com' };
+        req.merchantContext = { id: 10, business_name: 'Test Store' };
+        next();
+    });
+    app.use('/api/delivery', require('../../routes/delivery/recurring'));
+    app.use((err, req, res, _next) => {
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    });
+    return app;
+}
+
+describe('Delivery Recurring Routes', () => {
+    let app;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        app = createTestApp();
+    });
+
+    describe('GET /api/delivery/recurring', () => {
+        it('lists the merchant templates', async () => {
+            deliveryApi.listRecurringTemplates.mockResolvedValueOnce([{ id: TEMPLATE_ID }]);
+
+            const res = await request(app).get('/api/delivery/recurring').expect(200);
+
+            expect(res.body.templates).toEqual([{ id: TEMPLATE_ID }]);
+            expect(deliveryApi.listRecurringTemplates).toHaveBeenCalledWith(10);
+        });
+    });
+
+    describe('POST /api/delivery/recurring', () => {
+        it('creates a template and logs an audit event', async () => {
+            deliveryApi.createRecurringTemplate.mockResolvedValueOnce({ id: TEMPLATE_ID, customer_name: 'Jane Doe' });
+
+            const res = await request(app).post('/api/delivery/recurring').send(VALID_TEMPLATE).expect(201);
+
+            expect(res.body.template.id).toBe(TEMPLATE_ID);
+            expect(deliveryApi.createRecurringTemplate).toHaveBeenCalledWith(10, expect.objectContaining({
+                customerName: 'Jane Doe', intervalWeeks: 2
+            }));
+            expect(deliveryApi.logAuditEvent).toHaveBeenCalledWith(10, 1, 'recurring_created', null, null,
+                { templateId: TEMPLATE_ID, customerName: 'Jane Doe' }, expect.anything(), undefined);
+        });
+
+        it('rejects an interval outside 1-8 weeks', async () => {
+            await request(app).post('/api/delivery/recurring')
+                .send({ ...VALID_TEMPLATE, intervalWeeks: 12 }).expect(400);
+            expect(deliveryApi.createRecurringTemplate).not.toHaveBeenCalled();
+        });
+
+        it('rejects an end date before the start date', async () => {
+            await request(app).post('/api/delivery/recurring')
+                .send({ ...VALID_TEMPLATE, endDate: '2026-10-01' }).expect(400);
+        });
+
+        it('rejects a delivery window that ends before it starts', async () => {
+            await request(app).post('/api/delivery/recurring')
+                .send({ ...VALID_TEMPLATE, windowStart: '14:00', windowEnd: '10:00' }).expect(400);
+        });
+
+        it('requires priced or catalog items for Square orders', async () => {
+            await request(app).post('/api/delivery/recurring')
+                .send({ ...VALID_TEMPLATE, createSquareOrder: true }).expect(400);
+
+            deliveryApi.createRecurringTemplate.mockResolvedValueOnce({ id: TEMPLATE_ID, customer_name: 'Jane Doe' });
+            await request(app).post('/api/delivery/recurring')
+                .send({
+                    ...VALID_TEMPLATE,
+                    createSquareOrder: true,
+                    lineItems: [{ name: 'Dog Food', quantity: 2, priceCents: 5499 }]
+                })
+                .expect(201);
+        });
+    });
+
+    describe('PUT /api/delivery/recurring/:id', () => {
+        it('updates skip dates', async () => {
+            deliveryApi.updateRecurringTemplate.mockResolvedValueOnce({ id: TEMPLATE_ID });
+
+            await request(app).put(`/api/delivery/recurring/${TEMPLATE_ID}`)
+                .send({ skipDates: ['2026-10-20'] }).expect(200);
+
+            expect(deliveryApi.updateRecurringTemplate).toHaveBeenCalledWith(10, TEMPLATE_ID, { skipDates: ['2026-10-20'] });
+        });
+
+        it('returns 404 for an unknown template', async () => {
+            deliveryApi.updateRecurringTemplate.mockResolvedValueOnce(null);
+
+            await request(app).put(`/api/delivery/recurring/${TEMPLATE_ID}`).send({ isActive: false }).expect(404);
+            expect(deliveryApi.logAuditEvent).not.toHaveBeenCalled();
+        });
+
+        it('rejects malformed skip dates', async () => {
+            await request(app).put(`/api/delivery/recurring/${TEMPLATE_ID}`)
+                .send({ skipDates: ['next tuesday'] }).expect(400);
+        });
+    });
+
+    describe('DELETE /api/delivery/recurring/:id', () => {
+        it('deletes the template', async () => {
+            deliveryApi.deleteRecurringTemplate.mockResolvedValueOnce(true);
+
+            await request(app).delete(`/api/delivery/recurring/${TEMPLATE_ID}`).expect(200);
+            expect(deliveryApi.deleteRecurringTemplate).toHaveBeenCalledWith(10, TEMPLATE_ID);
+        });
+
+        it('rejects an invalid id', async () => {
+            await request(app).delete('/api/delivery/recurring/not-a-uuid').expect(400);
+            expect(deliveryApi.deleteRecurringTemplate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/delivery/recurring/materialize', () => {
+        it('creates the deliveries for the requested date', async () => {
+            deliveryApi.materializeRecurringOrders.mockResolvedValueOnce({
+                date: '2026-10-13', created: 2, existing: 0, failed: 0, orders: []
+            });
+
+            const res = await request(app).post('/api/delivery/recurring/materialize')
+                .send({ date: '2026-10-13' }).expect(200);
+
+            expect(res.body.created).toBe(2);
+            expect(deliveryApi.materializeRecurringOrders).toHaveBeenCalledWith(10, { date: '2026-10-13' });
+        });
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Delivery Tracking Routes Test Suite
+ *
+ * Tests for customer tracking links:
+ * - Generate/revoke tracking links (authenticated)
+ * - Tracking view by token (public)
+ */
+
+jest.mock('../../utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+jest.mock('../../services/delivery', () => ({
+    generateTrackingToken: jest.fn(),
+    revokeTrackingToken: jest.fn(),
+    getTrackingByToken: jest.fn(),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+    requireAuth: (req, res, next) => next(),
+    requireAdmin: (req, res, next) => next(),
+    requireWriteAccess: (req, res, next) => next(),
+}));
+
+jest.mock('../../middleware/merchant', () => ({
+    requireMerchant: (req, res, next) => next(),
+}));
+
+jest.mock('../../middleware/security', () => ({
+    configureDeliveryRateLimit: () => (req, res, next) => next(),
+    configureDeliveryStrictRateLimit: () => (req, res, next) => next(),
+}));
+
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const deliveryApi = require('../../services/delivery');
+
+const VALID_TOKEN = 'b'.repeat(64);
+const VALID_ORDER_ID = 'f47ac10b-58cc-4372-a567-0e02b2c3d479';
+
+function createTestApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(session({ secret: 'test-secret', resave: false, saveUninitialized: true }));
+    app.use((req, res, next) => {
+        req.session.user = { id: 1, email: 'test@example.com' };
+        req.merchantContext = { id: 1, business_name: 'Test Store' };
+        next();
+    });
+    app.use('/api', require('../../routes/delivery-tracking'));
+    app.use((err, req, res, _next) => {
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    });
+    return app;
+}
+
+describe('Delivery Tracking Routes', () => {
+    let app;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        app = createTestApp();
+    });
+
+    describe('POST /api/delivery/orders/:id/tracking', () => {
+        it('should generate a tracking link', async () => {
+            deliveryApi.generateTrackingToken.mockResolvedValueOnce({
+                id: 'tok-1', token: VALID_TOKEN, expires_at: '2026-03-16T00:00:00Z'
+            });
+
+            const res = await request(app)
+                .post(`/api/delivery/orders/${VALID_ORDER_ID}/tracking`)
+                .send({ expiresInHours: 48 })
+                .expect(200);
+
+            expect(res.body.trackingUrl).toContain(`/track.html?token=${VALID_TOKEN}`);
+            expect(res.body.expiresAt).toBe('2026-03-16T00:00:00Z');
+            expect(deliveryApi.generateTrackingToken).toHaveBeenCalledWith(1, VALID_ORDER_ID, 1, { expiresInHours: 48 });
+        });
+
+        it('should default to 72-hour expiration', async () => {
+            deliveryApi.generateTrackingToken.mockResolvedValueOnce({ token: VALID_TOKEN });
+
+            await request(app)
+                .post(`/api/delivery/orders/${VALID_ORDER_ID}/tracking`)
+                .send({})
+                .expect(200);
+
+            expect(deliveryApi.generateTrackingToken).toHaveBeenCalledWith(1, VALID_ORDER_ID, 1, { expiresInHours: 72 });
+        });
+
+        it('should reject an invalid order ID', async () => {
+            await request(app)
+                .post('/api/delivery/orders/not-a-uuid/tracking')
+                .send({})
+                .expect(400);
+
+            expect(deliveryApi.generateTrackingToken).not.toHaveBeenCalled();
+        });
+
+        it('should reject expiry beyond 7 days', async () => {
+            await request(app)
+                .post(`/api/delivery/orders/${VALID_ORDER_ID}/tracking`)
+                .send({ expiresInHours: 500 })
+                .expect(400);
+        });
+
+        it('should return 404 when the order does not exist', async () => {
+            const err = new Error('Order not found');
+            err.status = 404;
+            deliveryApi.generateTrackingToken.mockRejectedValueOnce(err);
+
+            await request(app)
+                .post(`/api/delivery/orders/${VALID_ORDER_ID}/tracking`)
+                .send({})
+                .expect(404);
+        });
+    });
+
+    describe('DELETE /api/delivery/orders/:id/tracking', () => {
+        it('should revoke the tracking link', async () => {
+            deliveryApi.revokeTrackingToken.mockResolvedValueOnce(true);
+
+            const res = await request(app)
+                .delete(`/api/delivery/orders/${VALID_ORDER_ID}/tracking`)
+                .expect(200);
+
+            expect(res.body.revoked).toBe(true);
+            expect(deliveryApi.revokeTrackingToken).toHaveBeenCalledWith(1, VALID_ORDER_ID);
+        });
+    });
+
+    describe('GET /api/track/:token', () => {
+        it('should return the tracking view', async () => {
+            const tracking = { status: 'out_for_delivery', stopsAhead: 2, eta: '2026-03-14T15:30:00Z' };
+            deliveryApi.getTrackingByToken.mockResolvedValueOnce({ valid: true, tracking });
+
+            const res = await request(app)
+                .get(`/api/track/${VALID_TOKEN}`)
+                .expect(200);
+
+            expect(res.body.tracking).toEqual(tracking);
+            expect(deliveryApi.getTrackingByToken).toHaveBeenCalledWith(VALID_TOKEN);
+        });
+
+        it('should return 404 for an unknown token', async () => {
+            deliveryApi.getTrackingByToken.mockResolvedValueOnce(null);
+
+            await request(app)
+                .get(`/api/track/${VALID_TOKEN}`)
+                .expect(404);
+        });
+
+        it('should return 403 with the reason for expired links', async () => {
+            deliveryApi.getTrackingByToken.mockResolvedValueOnce({ valid: false, reason: 'Tracking link has expired' });
+
+            const res = await request(app)
+                .get(`/api/track/${VALID_TOKEN}`)
+                .expect(403);
+
+            expect(res.body.error).toBe('Tracking link has expired');
+        });
+
+        it('should reject malformed tokens without a lookup', async () => {
+            await request(app)
+                .get('/api/track/not-a-token')
+                .expect(400);
+
+            expect(deliveryApi.getTrackingByToken).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * Delivery Zones Routes Test Suite
+ *
+ * Tests for delivery zone management and manual review of flagged orders:
+ * - Zone CRUD with shape / rule validation
+ * - Resolving an order's zone review
+ */
+
+jest.mock('../../utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+jest.mock('../../services/delivery', () => ({
+    listZones: jest.fn(),
+    createZone: jest.fn(),
+    updateZone: jest.fn(),
+    deleteZone: jest.fn(),
+    resolveOrderZoneReview: jest.fn(),
+    logAuditEvent: jest.fn(),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+    requireAuth: (req, res, next) => next(),
+    requireAdmin: (req, res, next) => next(),
+    requireWriteAccess: (req, res, next) => next(),
+}));
+
+jest.mock('../../middleware/security', () => ({
+    configureDeliveryRateLimit: () => (req, res, next) => next(),
+    configureDeliveryStrictRateLimit: () => (req, res, next) => next(),
+}));
+
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const deliveryApi = require('../../services/delivery');
+
+const VALID_ORDER_ID = 'f47ac10b-58cc-4372-a567-0e02b2c3d479';
+const SQUARE = [[43.25, -79.88], [43.25, -79.86], [43.26, -79.86], [43.26, -79.88]];
+
+function createTestApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(session({ secret: 'test-secret', resave: false, saveUninitialized: true }));
+    app.use((req, res, next) => {
+        req.session.user = { id: 1, email: 'test@example.com' };
+        req.merchantContext = { id: 10, business_name: 'Test Store' };
+        next();
+    });
+    app.use('/api/delivery', require('../../routes/delivery/zones'));
+    app.use((err, req, res, _next) => {
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    });
+    return app;
+}
+
+describe('Delivery Zones Routes', () => {
+    let app;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        app = createTestApp();
+    });
+
+    describe('GET /api/delivery/zones', () => {
+        it('lists the merchant zones', async () => {
+            deliveryApi.listZones.mockResolvedValueOnce([{ id: 1, name: 'Core' }]);
+
+            const res = await request(app).get('/api/delivery/zones').expect(200);
+
+            expect(res.body.zones).toEqual([{ id: 1, name: 'Core' }]);
+            expect(deliveryApi.listZones).toHaveBeenCalledWith(10);
+        });
+    });
+
+    describe('POST /api/delivery/zones', () => {
+        it('creates a polygon zone', async () => {
+            deliveryApi.createZone.mockResolvedValueOnce({ id: 5, name: 'Core', zone_type: 'polygon' });
+
+            const res = await request(app)
+                .post('/api/delivery/zones')
+                .send({ name: 'Core', zoneType: 'polygon', polygon: SQUARE, feeCents: 0, allowedDays: [1, 3, 5] })
+                .expect(201);
+
+            expect(res.body.zone.id).toBe(5);
+            expect(deliveryApi.createZone).toHaveBeenCalledWith(10, expect.objectContaining({ polygon: SQUARE }));
+            expect(deliveryApi.logAuditEvent).toHaveBeenCalledWith(10, 1, 'zone_created', null, null,
+                expect.objectContaining({ zoneId: 5 }), expect.anything(), undefined);
+        });
+
+        it('creates a radius zone around the store', async () => {
+            deliveryApi.createZone.mockResolvedValueOnce({ id: 6, name: 'Ring', zone_type: 'radius' });
+
+            await request(app)
+                .post('/api/delivery/zones')
+                .send({ name: 'Ring', zoneType: 'radius', radiusKm: 8, feeCents: 499, minOrderCents: 3000 })
+                .expect(201);
+        });
+
+        it('requires a polygon for polygon zones', async () => {
+            await request(app)
+                .post('/api/delivery/zones')
+                .send({ name: 'Core', zoneType: 'polygon' })
+                .expect(400);
+            expect(deliveryApi.createZone).not.toHaveBeenCalled();
+        });
+
+        it('rejects malformed polygon points', async () => {
+            await request(app)
+                .post('/api/delivery/zones')
+                .send({ name: 'Core', zoneType: 'polygon', polygon: [[43.2, -79.8], [95, 0], [43.3, -79.9]] })
+                .expect(400);
+        });
+
+        it('requires a positive radius for radius zones', async () => {
+            await request(app)
+                .post('/api/delivery/zones')
+                .send({ name: 'Ring', zoneType: 'radius', radiusKm: 0 })
+                .expect(400);
+        });
+
+        it('requires both center coordinates or neither', async () => {
+            await request(app)
+                .post('/api/delivery/zones')
+                .send({ name: 'Ring', zoneType: 'radius', radiusKm: 5, centerLat: 43.2 })
+                .expect(400);
+        });
+
+        it('rejects invalid day numbers and negative fees', async () => {
+            await request(app)
+                .post('/api/delivery/zones')
+                .send({ name: 'Ring', zoneType: 'radius', radiusKm: 5, allowedDays: [7] })
+                .expect(400);
+            await request(app)
+                .post('/api/delivery/zones')
+                .send({ name: 'Ring', zoneType: 'radius', radiusKm: 5, feeCents: -1 })
+                .expect(400);
+        });
+    });
+
+    describe('PUT /api/delivery/zones/:id', () => {
+        it('updates a zone', async () => {
+            deliveryApi.updateZone.mockResolvedValueOnce({ id: 5, fee_cents: 700 });
+
+            const res = await request(app).put('/api/delivery/zones/5').send({ feeCents: 700 }).expect(200);
+
+            expect(res.body.zone.fee_cents).toBe(700);
+            expect(deliveryApi.updateZone).toHaveBeenCalledWith(10, 5, { feeCents: 700 });
+        });
+
+        it('returns 404 for an unknown zone', async () => {
+            deliveryApi.updateZone.mockResolvedValueOnce(null);
+            await request(app).put('/api/delivery/zones/5').send({ isActive: false }).expect(404);
+        });
+
+        it('rejects a non-integer id', async () => {
+            await request(app).put('/api/delivery/zones/abc').send({ isActive: false }).expect(400);
+        });
+    });
+
+    describe('DELETE /api/delivery/zones/:id', () => {
+        it('deletes a zone', async () => {
+            deliveryApi.deleteZone.mockResolvedValueOnce(true);
+            await request(app).delete('/api/delivery/zones/5').expect(200);
+            expect(deliveryApi.deleteZone).toHaveBeenCalledWith(10, 5);
+        });
+
+        it('returns 404 for an unknown zone', async () => {
+            deliveryApi.deleteZone.mockResolvedValueOnce(false);
+            await request(app).delete('/api/delivery/zones/5').expect(404);
+        });
+    });
+
+    describe('POST /api/delivery/orders/:id/zone', () => {
+        it('resolves the review with a zone', async () => {
+            deliveryApi.resolveOrderZoneReview.mockResolvedValueOnce({ id: VALID_ORDER_ID, zone_id: 5, needs_review: false });
+
+            const res = await request(app)
+                .post(`/api/delivery/orders/${VALID_ORDER_ID}/zone`)
+                .send({ zoneId: 5 })
+                .expect(200);
+
+            expect(res.body.order.needs_review).toBe(false);
+            expect(deliveryApi.resolveOrderZoneReview).toHaveBeenCalledWith(10, VALID_ORDER_ID, 5);
+        });
+
+        it('resolves the review without a zone', async () => {
+            deliveryApi.resolveOrderZoneReview.mockResolvedValueOnce({ id: VALID_ORDER_ID });
+
+            await request(app).post(`/api/delivery/orders/${VALID_ORDER_ID}/zone`).send({ zoneId: null }).expect(200);
+
+            expect(deliveryApi.resolveOrderZoneReview).toHaveBeenCalledWith(10, VALID_ORDER_ID, null);
+        });
+
+        it('passes through 404 from the service', async () => {
+            const err = new Error('Zone not found');
+            err.status = 404;
+            deliveryApi.resolveOrderZoneReview.mockRejectedValueOnce(err);
+
+            await request(app).post(`/api/delivery/orders/${VALID_ORDER_ID}/zone`).send({ zoneId: 9 }).expect(404);
+        });
+
+        it('rejects an invalid order id', async () => {
+            await request(app).post('/api/delivery/orders/not-a-uuid/zone').send({ zoneId: 5 }).expect(400);
+        });
+    });
+});
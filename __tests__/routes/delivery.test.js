@@ -38,6 +38,8 @@ jest.mock('../../services/delivery', () => ({
     syncSquareOrders: jest.fn(),
     updateOrderNotes: jest.fn(),
     getActiveRouteWithOrders: jest.fn(),
+    exportRoute: jest.fn(),
+    correctOrderLocation: jest.fn(),
 }));
 jest.mock('../../services/square', () => ({
     generateIdempotencyKey: jest.fn(() => 'idem-key'),
@@ -64,6 +66,8 @@ jest.mock('../../middleware/validators/delivery', () => ({
     generateRoute: [(req, res, next) => next()],
     getActiveRoute: [(req, res, next) => next()],
     getRoute: [(req, res, next) => next()],
+    exportRoute: [(req, res, next) => next()],
+    updateOrderLocation: [(req, res, next) => next()],
     finishRoute: [(req, res, next) => next()],
     geocode: [(req, res, next) => next()],
     updateSettings: [(req, res, next) => next()],
@@ -265,6 +269,27 @@ describe('POST /api/delivery/route/generate', () => {
         const res = await request(app).post('/api/delivery/route/generate');
         expect(res.status).toBe(201);
     });
+
+    it('passes vehicles through and returns a driver link per route', async () => {
+        deliveryService.generateRoute.mockResolvedValue({
+            id: 'r1',
+            routes: [
+                { id: 'r1', shareToken: { token: 'tok-1' } },
+                { id: 'r2', shareToken: { token: 'tok-2' } }
+            ]
+        });
+        const res = await request(app)
+            .post('/api/delivery/route/generate')
+            .send({ vehicles: [{ label: 'Van A', capacity: '12' }, {}] });
+        expect(res.status).toBe(201);
+        expect(deliveryService.generateRoute).toHaveBeenCalledWith(expect.anything(), expect.anything(), expect.objectContaining({
+            vehicles: [{ label: 'Van A', capacity: 12 }, { label: null, capacity: null }]
+        }));
+        expect(res.body.route.routes.map(r => r.shareUrl)).toEqual([
+            expect.stringMatching(/\/driver\.html\?token=tok-1$/),
+            expect.stringMatching(/\/driver\.html\?token=tok-2$/)
+        ]);
+    });
 });
 
 // ---------- GET /route/active ----------
@@ -299,6 +324,37 @@ describe('GET /api/delivery/route/:id', () => {
     });
 });
 
+// ---------- GET /route/:id/export ----------
+describe('GET /api/delivery/route/:id/export', () => {
+    it('downloads GPX as an attachment', async () => {
+        deliveryService.exportRoute.mockResolvedValue({
+            content: '<gpx></gpx>', contentType: 'application/gpx+xml', filename: 'route-2026-03-14-1.gpx'
+        });
+        const res = await request(app).get('/api/delivery/route/3/export?format=gpx');
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toContain('application/gpx+xml');
+        expect(res.headers['content-disposition']).toBe('attachment; filename="route-2026-03-14-1.gpx"');
+        expect(deliveryService.exportRoute).toHaveBeenCalledWith(10, '3', 'gpx');
+    });
+
+    it('defaults to the printable manifest shown inline', async () => {
+        deliveryService.exportRoute.mockResolvedValue({
+            content: Buffer.from('%PDF-1.4'), contentType: 'application/pdf', filename: 'route-2026-03-14-1-manifest.pdf'
+        });
+        const res = await request(app).get('/api/delivery/route/3/export');
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('application/pdf');
+        expect(res.headers['content-disposition']).toMatch(/^inline;/);
+        expect(deliveryService.exportRoute).toHaveBeenCalledWith(10, '3', 'manifest');
+    });
+
+    it('returns 404 for missing route', async () => {
+        deliveryService.exportRoute.mockResolvedValue(null);
+        const res = await request(app).get('/api/delivery/route/999/export?format=kml');
+        expect(res.status).toBe(404);
+    });
+});
+
 // ---------- POST /route/finish ----------
 describe('POST /api/delivery/route/finish', () => {
     it('finishes route successfully', async () => {
@@ -412,6 +468,26 @@ describe('PATCH /api/delivery/orders/:id/notes', () => {
     });
 });
 
+// ---------- PATCH /orders/:id/location ----------
+describe('PATCH /api/delivery/orders/:id/location', () => {
+    it('saves the corrected pin and audits it', async () => {
+        deliveryService.correctOrderLocation.mockResolvedValue({ id: 'o1', address_lat: 43.65, address_lng: -79.38 });
+        const res = await request(app).patch('/api/delivery/orders/o1/location').send({ lat: '43.65', lng: '-79.38' });
+        expect(res.status).toBe(200);
+        expect(deliveryService.correctOrderLocation).toHaveBeenCalledWith(10, 'o1', { lat: 43.65, lng: -79.38 }, 1);
+        expect(deliveryService.logAuditEvent).toHaveBeenCalledWith(10, 1, 'order_location_corrected', 'o1', null,
+            { lat: 43.65, lng: -79.38 }, expect.anything(), undefined);
+    });
+
+    it('returns 404 for missing order', async () => {
+        const err = new Error('Order not found');
+        err.status = 404;
+        deliveryService.correctOrderLocation.mockRejectedValue(err);
+        const res = await request(app).patch('/api/delivery/orders/missing/location').send({ lat: 1, lng: 1 });
+        expect(res.status).toBe(404);
+    });
+});
+
 // ---------- GET /orders/:id/customer-stats ----------
 describe('GET /api/delivery/orders/:id/customer-stats', () => {
     it('returns customer stats', async () => {
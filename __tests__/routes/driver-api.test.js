@@ -4,6 +4,7 @@
  * Tests for public driver endpoints and authenticated token management:
  * - Generate/get/revoke shareable tokens (authenticated)
  * - Get route, complete/skip orders, upload POD, finish route (public)
+ * - Offline queue replays (Idempotency-Key / X-Recorded-At headers)
  */
 
 jest.mock('../../utils/logger', () => ({
@@ -17,6 +18,7 @@ jest.mock('../../services/delivery', () => ({
     generateRouteToken: jest.fn(),
     getActiveRouteToken: jest.fn(),
     revokeRouteToken: jest.fn(),
+    getRouteByToken: jest.fn(),
     getRouteOrdersByToken: jest.fn(),
     completeOrderByToken: jest.fn(),
     skipOrderByToken: jest.fn(),
@@ -46,6 +48,7 @@ jest.mock('../../utils/file-validation', () => ({
 const request = require('supertest');
 const express = require('express');
 const session = require('express-session');
+const db = require('../../utils/database');
 const deliveryApi = require('../../services/delivery');
 
 const VALID_TOKEN = 'a'.repeat(64);
@@ -233,6 +236,164 @@ describe('Driver API Routes', () => {
             expect(res.body.success).toBe(true);
             expect(res.body.order.status).toBe('skipped');
         });
+
+        it('passes a structured skip reason through', async () => {
+            deliveryApi.skipOrderByToken.mockResolvedValueOnce({ id: 1, status: 'skipped' });
+
+            await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/skip`)
+                .send({ reason: 'no_access', reasonNote: 'Gate code missing' })
+                .expect(200);
+
+            expect(deliveryApi.skipOrderByToken.mock.calls[0][2]).toEqual(expect.objectContaining({
+                reason: 'no_access', reasonNote: 'Gate code missing'
+            }));
+        });
+
+        it('rejects an unknown skip reason', async () => {
+            await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/skip`)
+                .send({ reason: 'felt_like_it' })
+                .expect(400);
+
+            expect(deliveryApi.skipOrderByToken).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('offline queue replays', () => {
+        const IDEMPOTENCY_KEY = '9b2f3c4d-1e5a-4b6c-8d7e-0f1a2b3c4d5e';
+
+        beforeEach(() => {
+            deliveryApi.getRouteByToken.mockResolvedValue({ valid: true, merchant_id: 7 });
+        });
+
+        it('runs a new action once and stores its response', async () => {
+            db.query.mockResolvedValueOnce({ rows: [{ idempotency_key: IDEMPOTENCY_KEY }] });
+            deliveryApi.completeOrderByToken.mockResolvedValueOnce({ id: 1, status: 'completed' });
+
+            const res = await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/complete`)
+                .set('Idempotency-Key', IDEMPOTENCY_KEY)
+                .expect(200);
+
+            expect(res.headers['idempotent-replayed']).toBeUndefined();
+            expect(deliveryApi.getRouteByToken).toHaveBeenCalledWith(VALID_TOKEN);
+            expect(db.query.mock.calls[0][1].slice(0, 3)).toEqual([7, `driver-complete:${VALID_ORDER_ID}`, IDEMPOTENCY_KEY]);
+            const [updateSql, updateParams] = db.query.mock.calls[1];
+            expect(updateSql).toContain('UPDATE idempotency_keys');
+            expect(updateSql).toContain('merchant_id = $1');
+            expect(JSON.parse(updateParams[3])).toEqual({ order: { id: 1, status: 'completed' } });
+        });
+
+        it('returns the stored response for a replayed action without running it again', async () => {
+            db.query
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({
+                    rows: [{ response: { order: { id: 1, status: 'completed' } }, completed_at: new Date() }]
+                });
+
+            const res = await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/complete`)
+                .set('Idempotency-Key', IDEMPOTENCY_KEY)
+                .expect(200);
+
+            expect(res.headers['idempotent-replayed']).toBe('true');
+            expect(res.body.order.status).toBe('completed');
+            expect(deliveryApi.completeOrderByToken).not.toHaveBeenCalled();
+        });
+
+        it('rejects a replay while the first request is still running', async () => {
+            db.query
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ response: null, completed_at: null }] });
+
+            await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/skip`)
+                .set('Idempotency-Key', IDEMPOTENCY_KEY)
+                .expect(409);
+
+            expect(deliveryApi.skipOrderByToken).not.toHaveBeenCalled();
+        });
+
+        it('lets a replay take over a claim left in progress past the stale timeout', async () => {
+            db.query.mockResolvedValueOnce({ rows: [{ idempotency_key: IDEMPOTENCY_KEY }] });
+            deliveryApi.skipOrderByToken.mockResolvedValueOnce({ id: 1, status: 'skipped' });
+
+            await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/skip`)
+                .set('Idempotency-Key', IDEMPOTENCY_KEY)
+                .expect(200);
+
+            const [claimSql, claimParams] = db.query.mock.calls[0];
+            expect(claimSql).toContain('ON CONFLICT (merchant_id, scope, idempotency_key) DO UPDATE');
+            expect(claimSql).toContain('idempotency_keys.completed_at IS NULL');
+            expect(claimParams[4]).toBe(2);
+            expect(deliveryApi.skipOrderByToken).toHaveBeenCalled();
+        });
+
+        it('rejects a keyed action for an invalid token without claiming the key', async () => {
+            deliveryApi.getRouteByToken.mockResolvedValueOnce({ valid: false, reason: 'Token has been revoked' });
+
+            const res = await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/complete`)
+                .set('Idempotency-Key', IDEMPOTENCY_KEY)
+                .expect(403);
+
+            expect(res.body.error).toBe('Token has been revoked');
+            expect(db.query).not.toHaveBeenCalled();
+            expect(deliveryApi.completeOrderByToken).not.toHaveBeenCalled();
+        });
+
+        it('releases the key when the action fails so it can be retried', async () => {
+            db.query.mockResolvedValueOnce({ rows: [{ idempotency_key: IDEMPOTENCY_KEY }] });
+            deliveryApi.skipOrderByToken.mockRejectedValueOnce(new Error('Order not found on this route'));
+
+            await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/skip`)
+                .set('Idempotency-Key', IDEMPOTENCY_KEY)
+                .expect(500);
+
+            expect(db.query.mock.calls[1][0]).toContain('DELETE FROM idempotency_keys');
+        });
+
+        it('passes the recorded time through to the service', async () => {
+            deliveryApi.completeOrderByToken.mockResolvedValueOnce({ id: 1, status: 'completed' });
+            const recordedAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+            await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/complete`)
+                .set('X-Recorded-At', recordedAt)
+                .expect(200);
+
+            expect(deliveryApi.completeOrderByToken).toHaveBeenCalledWith(VALID_TOKEN, VALID_ORDER_ID, { recordedAt });
+        });
+
+        it('clamps a recorded time from the future to now', async () => {
+            deliveryApi.skipOrderByToken.mockResolvedValueOnce({ id: 1, status: 'skipped' });
+            const before = Date.now();
+
+            await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/skip`)
+                .set('X-Recorded-At', '2099-01-01T00:00:00Z')
+                .expect(200);
+
+            const { recordedAt } = deliveryApi.skipOrderByToken.mock.calls[0][2];
+            expect(new Date(recordedAt).getTime()).toBeGreaterThanOrEqual(before);
+            expect(new Date(recordedAt).getTime()).toBeLessThanOrEqual(Date.now());
+        });
+
+        it('rejects a malformed idempotency key or recorded time', async () => {
+            await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/complete`)
+                .set('Idempotency-Key', 'not-a-uuid')
+                .expect(400);
+            await request(app)
+                .post(`/api/driver/${VALID_TOKEN}/orders/${VALID_ORDER_ID}/complete`)
+                .set('X-Recorded-At', 'yesterday')
+                .expect(400);
+
+            expect(deliveryApi.completeOrderByToken).not.toHaveBeenCalled();
+        });
     });
 
     describe('POST /api/driver/:token/orders/:orderId/pod', () => {
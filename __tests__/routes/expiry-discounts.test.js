@@ -23,6 +23,9 @@ jest.mock('../../services/expiry', () => ({
     getFlaggedVariations: jest.fn(),
     resolveFlaggedVariation: jest.fn(),
 }));
+jest.mock('../../services/expiry/tier-simulation', () => ({
+    simulateTiers: jest.fn(),
+}));
 jest.mock('../../utils/email-notifier', () => ({
     sendEmail: jest.fn().mockResolvedValue(true),
 }));
@@ -33,6 +36,7 @@ jest.mock('../../middleware/validators/expiry-discounts', () => ({
     updateTier: [(req, res, next) => next()],
     getVariations: [(req, res, next) => next()],
     evaluate: [(req, res, next) => next()],
+    simulate: [(req, res, next) => next()],
     apply: [(req, res, next) => next()],
     run: [(req, res, next) => next()],
     getAuditLog: [(req, res, next) => next()],
@@ -44,6 +48,7 @@ const express = require('express');
 const session = require('express-session');
 const db = require('../../utils/database');
 const expiryService = require('../../services/expiry');
+const tierSimulation = require('../../services/expiry/tier-simulation');
 const imageUtils = require('../../utils/image-utils');
 
 function createTestApp(opts = {}) {
@@ -187,6 +192,23 @@ describe('Expiry Discounts Routes', () => {
         });
     });
 
+    describe('POST /api/expiry-discounts/simulate', () => {
+        test('returns the simulation for the proposed tiers', async () => {
+            const proposals = [{ id: 2, max_days_to_expiry: 45, discount_percent: 40 }];
+            tierSimulation.simulateTiers.mockResolvedValueOnce({ moves: [{ from_tier: 'AUTO25', to_tier: 'AUTO50', variations: 3 }] });
+            const res = await request(app).post('/api/expiry-discounts/simulate').send({ tiers: proposals });
+            expect(res.status).toBe(200);
+            expect(res.body.moves[0].variations).toBe(3);
+            expect(tierSimulation.simulateTiers).toHaveBeenCalledWith(1, proposals);
+        });
+
+        test('returns the service status code for an unknown tier', async () => {
+            tierSimulation.simulateTiers.mockRejectedValueOnce(Object.assign(new Error('Tier 99 not found'), { statusCode: 404 }));
+            const res = await request(app).post('/api/expiry-discounts/simulate').send({ tiers: [{ id: 99 }] });
+            expect(res.status).toBe(404);
+        });
+    });
+
     describe('POST /api/expiry-discounts/apply', () => {
         test('applies discounts successfully', async () => {
             const mockResult = { applied: 5, skipped: 2 };
@@ -0,0 +1,148 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../middleware/auth', () => ({
+    requireAuth: (req, res, next) => { if (!req.session?.user) return res.status(401).json({ error: 'Unauthorized' }); next(); },
+    requireWriteAccess: (req, res, next) => next(),
+}));
+jest.mock('../../middleware/merchant', () => ({
+    requireMerchant: (req, res, next) => { if (!req.merchantContext) return res.status(400).json({ error: 'Merchant context required' }); next(); },
+}));
+jest.mock('../../services/expiry/lot-service', () => ({
+    listLots: jest.fn(),
+    createLot: jest.fn(),
+    updateLot: jest.fn(),
+    deleteLot: jest.fn(),
+}));
+
+const request = require('supertest');
+const express = require('express');
+const lotService = require('../../services/expiry/lot-service');
+
+function buildApp({ user = { id: 1, role: 'admin' } } = {}) {
+    const a = express();
+    a.use(express.json());
+    a.use((req, res, next) => {
+        req.session = user ? { user } : {};
+        req.merchantContext = { id: 10 };
+        next();
+    });
+    a.use('/api/expiry-lots', require('../../routes/expiry-lots'));
+    a.use((err, req, res, next) => {
+        res.status(500).json({ error: err.message });
+    });
+    return a;
+}
+
+function clientError(message, statusCode) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+const validBody = { variation_id: 'VAR1', location_id: 'LOC1', quantity: 12, expiration_date: '2026-11-30', lot_code: 'B-204' };
+
+let app;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    app = buildApp();
+});
+
+describe('GET /api/expiry-lots', () => {
+    test('lists lots with filters for the merchant', async () => {
+        lotService.listLots.mockResolvedValueOnce([{ id: 1 }, { id: 2 }]);
+
+        const res = await request(app).get('/api/expiry-lots?variation_id=VAR1&include_depleted=true');
+
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBe(2);
+        expect(lotService.listLots).toHaveBeenCalledWith(10, { variationId: 'VAR1', locationId: undefined, includeDepleted: true });
+    });
+
+    test('requires authentication', async () => {
+        const res = await request(buildApp({ user: null })).get('/api/expiry-lots');
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('POST /api/expiry-lots', () => {
+    test('creates a lot', async () => {
+        lotService.createLot.mockResolvedValueOnce({ lot: { id: 5 }, scan: null });
+
+        const res = await request(app).post('/api/expiry-lots').send(validBody);
+
+        expect(res.status).toBe(201);
+        expect(res.body.lot.id).toBe(5);
+        expect(res.body.scan).toBeUndefined();
+        expect(lotService.createLot).toHaveBeenCalledWith(10, {
+            scan: undefined, variationId: 'VAR1', locationId: 'LOC1', quantity: 12, expirationDate: '2026-11-30', lotCode: 'B-204',
+        });
+    });
+
+    test('rejects a missing expiry date and zero quantities', async () => {
+        let res = await request(app).post('/api/expiry-lots').send({ ...validBody, expiration_date: undefined });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/expiry-lots').send({ ...validBody, quantity: 0 });
+        expect(res.status).toBe(400);
+        expect(lotService.createLot).not.toHaveBeenCalled();
+    });
+
+    test('passes a GS1 scan to the service, conflicts included in the response', async () => {
+        const scanned = {
+            gtin: '00012345678905', expiration_date: '2027-03-31', lot_code: 'L7',
+            variation: { id: 'VAR1' }, conflicts: [{ type: 'LOT_DATE_MISMATCH', message: 'Lot L7 is recorded as expiring 2027-02-28' }]
+        };
+        lotService.createLot.mockResolvedValueOnce({ lot: { id: 6 }, scan: scanned });
+
+        const res = await request(app).post('/api/expiry-lots')
+            .send({ scan: '(01)00012345678905(17)270331(10)L7', location_id: 'LOC1', quantity: 4 });
+
+        expect(res.status).toBe(201);
+        expect(lotService.createLot).toHaveBeenCalledWith(10, expect.objectContaining({
+            scan: '(01)00012345678905(17)270331(10)L7', locationId: 'LOC1', quantity: 4,
+        }));
+        expect(res.body.lot.id).toBe(6);
+        expect(res.body.scan.conflicts).toHaveLength(1);
+    });
+
+    test('returns 404 when the scanned item is unknown', async () => {
+        lotService.createLot.mockRejectedValueOnce(clientError('No item has GTIN 00012345678905', 404));
+        const res = await request(app).post('/api/expiry-lots').send({ scan: '(01)00012345678905', location_id: 'LOC1', quantity: 4 });
+        expect(res.status).toBe(404);
+    });
+
+    test('passes service status codes through', async () => {
+        lotService.createLot.mockRejectedValueOnce(clientError('Location not found for this merchant', 400));
+        const res = await request(app).post('/api/expiry-lots').send(validBody);
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('PATCH /api/expiry-lots/:id', () => {
+    test('corrects the on-hand quantity', async () => {
+        lotService.updateLot.mockResolvedValueOnce({ id: 5, quantity: 0 });
+
+        const res = await request(app).patch('/api/expiry-lots/5').send({ quantity: 0 });
+
+        expect(res.status).toBe(200);
+        expect(lotService.updateLot).toHaveBeenCalledWith(10, '5', { quantity: 0, expirationDate: undefined, lotCode: undefined });
+    });
+
+    test('returns 404 for another merchant\'s lot', async () => {
+        lotService.updateLot.mockRejectedValueOnce(clientError('Lot not found', 404));
+        const res = await request(app).patch('/api/expiry-lots/99').send({ quantity: 1 });
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('DELETE /api/expiry-lots/:id', () => {
+    test('deletes the lot', async () => {
+        lotService.deleteLot.mockResolvedValueOnce({ id: 5 });
+        const res = await request(app).delete('/api/expiry-lots/5');
+        expect(res.status).toBe(200);
+        expect(lotService.deleteLot).toHaveBeenCalledWith(10, '5');
+    });
+
+    test('rejects a non-numeric id', async () => {
+        const res = await request(app).delete('/api/expiry-lots/abc');
+        expect(res.status).toBe(400);
+    });
+});
@@ -33,11 +33,29 @@ jest.mock('../../middleware/validators/purchase-orders', () => ({
     getPurchaseOrder: [(req, res, next) => next()],
     updatePurchaseOrder: [(req, res, next) => next()],
     submitPurchaseOrder: [(req, res, next) => next()],
+    sendPurchaseOrder: [(req, res, next) => next()],
     receivePurchaseOrder: [(req, res, next) => next()],
     deletePurchaseOrder: [(req, res, next) => next()],
     exportPurchaseOrderCsv: [(req, res, next) => next()],
     exportPurchaseOrderXlsx: [(req, res, next) => next()],
 }));
+jest.mock('../../middleware/validators/purchase-orders-close', () => ({
+    closePurchaseOrder: [(req, res, next) => next()],
+}));
+jest.mock('../../middleware/validators/purchase-orders-receiving', () => ({
+    receivingSession: [(req, res, next) => next()],
+    recordReceivingScan: [(req, res, next) => next()],
+    removeReceivingScan: [(req, res, next) => next()],
+}));
+jest.mock('../../middleware/validators/purchase-orders-landed-costs', () => ({
+    landedCosts: [(req, res, next) => next()],
+    setLandedCosts: [(req, res, next) => next()],
+}));
+jest.mock('../../middleware/validators/purchase-orders-invoices', () => ({
+    listInvoices: [(req, res, next) => next()],
+    uploadInvoice: [(req, res, next) => next()],
+    invoice: [(req, res, next) => next()],
+}));
 jest.mock('exceljs', () => {
     const mockWorksheet = {
         getCell: jest.fn(() => ({ value: null, numFmt: null })),
@@ -466,6 +484,50 @@ describe('Purchase Orders Routes', () => {
         });
     });
 
+    describe('POST /:id/send - Email Purchase Order', () => {
+        const emailNotifier = require('../../utils/email-notifier');
+        const sendablePo = { id: 1, po_number: samplePO.po_number, status: 'SUBMITTED', vendor_name: 'Test Vendor', contact_email: 'orders@vendor.test' };
+
+        afterEach(() => {
+            emailNotifier.enabled = false;
+            delete emailNotifier.sendVendorEmail;
+        });
+
+        test('emails a submitted PO and records the send', async () => {
+            emailNotifier.enabled = true;
+            emailNotifier.sendVendorEmail = jest.fn().mockResolvedValue({ messageId: 'msg-1' });
+            db.query
+                .mockResolvedValueOnce({ rows: [sendablePo] })
+                .mockResolvedValueOnce({ rows: [{ ...samplePO, status: 'SUBMITTED' }] })
+                .mockResolvedValueOnce({ rows: sampleItems })
+                .mockResolvedValueOnce({ rows: [{ business_name: 'Pet Shop', business_email: 'owner@petshop.test' }] })
+                .mockResolvedValueOnce({ rows: [{ ...samplePO, status: 'SUBMITTED', email_send_count: 1 }] });
+
+            const res = await request(app).post('/api/purchase-orders/1/send').send({});
+
+            expect(res.status).toBe(200);
+            expect(res.body.sent_to).toBe('orders@vendor.test');
+            expect(res.body.message_id).toBe('msg-1');
+            expect(emailNotifier.sendVendorEmail.mock.calls[0][0].attachments[0].filename).toBe('PO-20260315-001.pdf');
+        });
+
+        test('returns 503 when email is not configured', async () => {
+            db.query.mockResolvedValueOnce({ rows: [sendablePo] });
+
+            const res = await request(app).post('/api/purchase-orders/1/send').send({});
+
+            expect(res.status).toBe(503);
+        });
+
+        test('returns 400 when the PO has been received', async () => {
+            db.query.mockResolvedValueOnce({ rows: [{ ...sendablePo, status: 'RECEIVED' }] });
+
+            const res = await request(app).post('/api/purchase-orders/1/send').send({});
+
+            expect(res.status).toBe(400);
+        });
+    });
+
     describe('POST /:id/receive - Receive Purchase Order', () => {
         // Helper: mock transaction for receive handler including vendor cost update queries
         function mockReceiveTransaction(opts = {}) {
@@ -654,6 +716,156 @@ describe('Purchase Orders Routes', () => {
         });
     });
 
+    describe('POST /api/purchase-orders/:id/close', () => {
+        test('closes a partial PO and backorders the remainder onto the vendor draft', async () => {
+            const client = { query: jest.fn() };
+            client.query
+                .mockResolvedValueOnce({ rows: [{ ...samplePO, status: 'CLOSED', closed_remainder: 'BACKORDERED' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 8, po_number: 'PO-20260320-001' }] })
+                .mockResolvedValue({ rows: [] });
+            db.transaction.mockImplementation(fn => fn(client));
+            db.query
+                .mockResolvedValueOnce({ rows: [{ ...samplePO, status: 'PARTIAL' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 1, variation_id: 'var-1', unit_cost_cents: 1500, remaining_quantity: '4.00' }] });
+
+            const res = await request(app)
+                .post('/api/purchase-orders/1/close')
+                .send({ remainder: 'backorder' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.purchase_order.status).toBe('CLOSED');
+            expect(res.body.backorder).toEqual({ po_id: 8, po_number: 'PO-20260320-001', created: false, line_count: 1 });
+        });
+
+        test('returns 400 for a PO that is not partially received', async () => {
+            db.query.mockResolvedValueOnce({ rows: [{ ...samplePO, status: 'SUBMITTED' }] });
+
+            const res = await request(app)
+                .post('/api/purchase-orders/1/close')
+                .send({ remainder: 'cancel' });
+
+            expect(res.status).toBe(400);
+            expect(db.transaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Landed costs', () => {
+        const receivedLine = {
+            id: 1, variation_id: 'var-1', unit_cost_cents: 1500, received_quantity: '10.00', received_weight: null,
+            sku: 'DF-L', item_name: 'Dog Food', variation_name: 'Large'
+        };
+
+        test('allocates receipt charges and returns landed unit costs', async () => {
+            const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+            db.transaction.mockImplementation(fn => fn(client));
+            db.query
+                .mockResolvedValueOnce({ rows: [{ ...samplePO, status: 'RECEIVED' }] })
+                .mockResolvedValueOnce({ rows: [receivedLine] })
+                .mockResolvedValueOnce({ rows: [{ ...samplePO, status: 'RECEIVED', landed_cost_method: 'VALUE' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 4, charge_type: 'FREIGHT', description: null, amount_cents: 2000 }] })
+                .mockResolvedValueOnce({ rows: [{ ...receivedLine, allocated_charges_cents: 2000, landed_unit_cost_cents: 1700 }] });
+
+            const res = await request(app)
+                .put('/api/purchase-orders/1/landed-costs')
+                .send({ allocation_method: 'VALUE', charges: [{ charge_type: 'FREIGHT', amount_cents: 2000 }] });
+
+            expect(res.status).toBe(200);
+            expect(res.body.landed_costs.total_charges_cents).toBe(2000);
+            expect(res.body.landed_costs.lines[0].landed_unit_cost_cents).toBe(1700);
+            const lineUpdate = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE purchase_order_items'));
+            expect(lineUpdate[1]).toEqual([null, 2000, 1700, 1, 10]);
+        });
+
+        test('returns 400 for a PO that has not been received', async () => {
+            db.query.mockResolvedValueOnce({ rows: [{ ...samplePO, status: 'SUBMITTED' }] });
+
+            const res = await request(app)
+                .put('/api/purchase-orders/1/landed-costs')
+                .send({ allocation_method: 'VALUE', charges: [] });
+
+            expect(res.status).toBe(400);
+            expect(db.transaction).not.toHaveBeenCalled();
+        });
+
+        test('returns 404 for an unknown PO', async () => {
+            db.query.mockResolvedValueOnce({ rows: [] });
+
+            const res = await request(app).get('/api/purchase-orders/99/landed-costs');
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('Vendor invoices', () => {
+        const poLine = {
+            id: 1, variation_id: 'var-1', quantity_ordered: 10, received_quantity: 10, unit_cost_cents: 1500,
+            vendor_code: 'DF-100', upc: '012345678905', sku: 'DF-L', item_name: 'Dog Food', variation_name: 'Large'
+        };
+        const invoiceRow = { id: 7, purchase_order_id: 1, status: 'PENDING', po_number: 'PO-20260315-001', vendor_id: 5 };
+
+        test('imports a CSV invoice and returns the match report', async () => {
+            const csv = 'Item #,Description,Qty Shipped,Unit Price\nDF-100,Dog Food Large,10,16.00\nFRT,Freight,1,12.00\n';
+            const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 7 }] }) };
+            db.transaction.mockImplementation(fn => fn(client));
+            db.query
+                .mockResolvedValueOnce({ rows: [{ ...samplePO, status: 'RECEIVED' }] })
+                .mockResolvedValueOnce({ rows: [poLine] })
+                .mockResolvedValueOnce({ rows: [invoiceRow] })
+                .mockResolvedValueOnce({ rows: [poLine] })
+                .mockResolvedValueOnce({ rows: [
+                    { id: 70, row_number: 2, quantity: 10, unit_cost_cents: 1600, purchase_order_item_id: 1, match_method: 'vendor_code' },
+                    { id: 71, row_number: 3, vendor_item_number: 'FRT', quantity: 1, unit_cost_cents: 1200, purchase_order_item_id: null }
+                ] });
+
+            const res = await request(app)
+                .post('/api/purchase-orders/1/invoices')
+                .send({ data: Buffer.from(csv).toString('base64'), fileName: 'inv.csv', invoice_number: 'INV-9' });
+
+            expect(res.status).toBe(201);
+            expect(client.query.mock.calls[0][1]).toEqual([10, '1', 'INV-9', null, 'inv.csv', 17200]);
+            expect(res.body.invoice.lines[0].discrepancies).toEqual(['price_higher']);
+            expect(res.body.invoice.summary.unmatched_lines).toBe(1);
+        });
+
+        test('rejects an invoice for a PO that has not been received', async () => {
+            db.query.mockResolvedValueOnce({ rows: [{ ...samplePO, status: 'SUBMITTED' }] });
+
+            const res = await request(app)
+                .post('/api/purchase-orders/1/invoices')
+                .send({ data: Buffer.from('Item #,Qty,Cost\nA,1,2').toString('base64') });
+
+            expect(res.status).toBe(400);
+            expect(db.transaction).not.toHaveBeenCalled();
+        });
+
+        test('returns 404 for an unknown invoice', async () => {
+            db.query.mockResolvedValueOnce({ rows: [] });
+
+            const res = await request(app).get('/api/purchase-orders/1/invoices/99');
+
+            expect(res.status).toBe(404);
+        });
+
+        test('returns 409 when accepting an accepted invoice', async () => {
+            db.query
+                .mockResolvedValueOnce({ rows: [{ ...invoiceRow, status: 'ACCEPTED' }] })
+                .mockResolvedValueOnce({ rows: [poLine] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            const res = await request(app).post('/api/purchase-orders/1/invoices/7/accept');
+
+            expect(res.status).toBe(409);
+        });
+
+        test('returns 404 when discarding an invoice that is not pending', async () => {
+            db.query.mockResolvedValueOnce({ rowCount: 0 });
+
+            const res = await request(app).delete('/api/purchase-orders/1/invoices/7');
+
+            expect(res.status).toBe(404);
+        });
+    });
+
     describe('DELETE /:id - Delete Purchase Order', () => {
         test('deletes draft PO successfully', async () => {
             // poCheck query (SELECT id, po_number, status)
@@ -0,0 +1,169 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../middleware/auth', () => ({
+    requireAuth: (req, res, next) => { if (!req.session?.user) return res.status(401).json({ error: 'Unauthorized' }); next(); },
+    requireWriteAccess: (req, res, next) => next(),
+}));
+jest.mock('../../middleware/merchant', () => ({
+    requireMerchant: (req, res, next) => { if (!req.merchantContext) return res.status(400).json({ error: 'Merchant context required' }); next(); },
+}));
+jest.mock('../../services/inventory/transfer-service', () => ({
+    listTransfers: jest.fn(),
+    getTransfer: jest.fn(),
+    createTransfer: jest.fn(),
+    updateTransfer: jest.fn(),
+    deleteTransfer: jest.fn(),
+}));
+jest.mock('../../services/inventory/transfer-status-service', () => ({
+    shipTransfer: jest.fn(),
+    receiveTransfer: jest.fn(),
+}));
+
+const request = require('supertest');
+const express = require('express');
+const transferService = require('../../services/inventory/transfer-service');
+const transferStatusService = require('../../services/inventory/transfer-status-service');
+
+function buildApp({ user = { id: 1, role: 'admin' } } = {}) {
+    const a = express();
+    a.use(express.json());
+    a.use((req, res, next) => {
+        req.session = user ? { user } : {};
+        req.merchantContext = { id: 10 };
+        next();
+    });
+    a.use('/api/stock-transfers', require('../../routes/stock-transfers'));
+    a.use((err, req, res, next) => {
+        res.status(500).json({ error: err.message });
+    });
+    return a;
+}
+
+function clientError(message, statusCode) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+const validBody = {
+    from_location_id: 'LOC1',
+    to_location_id: 'LOC2',
+    items: [{ variation_id: 'VAR1', quantity: 6 }],
+};
+
+let app;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    app = buildApp();
+});
+
+describe('GET /api/stock-transfers', () => {
+    test('lists transfers with filters for the merchant', async () => {
+        transferService.listTransfers.mockResolvedValueOnce([{ id: 1 }]);
+
+        const res = await request(app).get('/api/stock-transfers?status=SHIPPED&location_id=LOC2');
+
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBe(1);
+        expect(transferService.listTransfers).toHaveBeenCalledWith(10, { status: 'SHIPPED', locationId: 'LOC2' });
+    });
+
+    test('rejects an unknown status', async () => {
+        const res = await request(app).get('/api/stock-transfers?status=LOST');
+        expect(res.status).toBe(400);
+    });
+
+    test('requires authentication', async () => {
+        const res = await request(buildApp({ user: null })).get('/api/stock-transfers');
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('GET /api/stock-transfers/:id', () => {
+    test('returns 404 when not found', async () => {
+        transferService.getTransfer.mockResolvedValueOnce(null);
+        const res = await request(app).get('/api/stock-transfers/9');
+        expect(res.status).toBe(404);
+    });
+
+    test('rejects a non-numeric id', async () => {
+        const res = await request(app).get('/api/stock-transfers/abc');
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('POST /api/stock-transfers', () => {
+    test('creates a draft transfer', async () => {
+        transferService.createTransfer.mockResolvedValueOnce({ id: 9, status: 'DRAFT' });
+
+        const res = await request(app).post('/api/stock-transfers').send({ ...validBody, notes: 'Weekend restock' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.transfer.id).toBe(9);
+        expect(transferService.createTransfer).toHaveBeenCalledWith(10, {
+            fromLocationId: 'LOC1', toLocationId: 'LOC2', notes: 'Weekend restock', items: validBody.items,
+        });
+    });
+
+    test('rejects the same location at both ends and zero quantities', async () => {
+        let res = await request(app).post('/api/stock-transfers').send({ ...validBody, to_location_id: 'LOC1' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/stock-transfers')
+            .send({ ...validBody, items: [{ variation_id: 'VAR1', quantity: 0 }] });
+        expect(res.status).toBe(400);
+        expect(transferService.createTransfer).not.toHaveBeenCalled();
+    });
+
+    test('passes service status codes through', async () => {
+        transferService.createTransfer.mockRejectedValueOnce(clientError('Invalid location', 403));
+        const res = await request(app).post('/api/stock-transfers').send(validBody);
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('PATCH /api/stock-transfers/:id', () => {
+    test('replaces the lines of a draft', async () => {
+        transferService.updateTransfer.mockResolvedValueOnce({ id: 9 });
+
+        const res = await request(app).patch('/api/stock-transfers/9').send({ items: validBody.items });
+
+        expect(res.status).toBe(200);
+        expect(transferService.updateTransfer).toHaveBeenCalledWith(10, '9', { notes: undefined, items: validBody.items });
+    });
+});
+
+describe('POST /api/stock-transfers/:id/ship and /receive', () => {
+    test('ships the transfer', async () => {
+        transferStatusService.shipTransfer.mockResolvedValueOnce({ id: 9, status: 'SHIPPED' });
+
+        const res = await request(app).post('/api/stock-transfers/9/ship');
+
+        expect(res.status).toBe(200);
+        expect(res.body.transfer.status).toBe('SHIPPED');
+    });
+
+    test('receives the transfer', async () => {
+        transferStatusService.receiveTransfer.mockResolvedValueOnce({ id: 9, status: 'RECEIVED' });
+
+        const res = await request(app).post('/api/stock-transfers/9/receive');
+
+        expect(res.status).toBe(200);
+        expect(transferStatusService.receiveTransfer).toHaveBeenCalledWith(10, '9');
+    });
+
+    test('returns 502 when Square inventory could not be updated', async () => {
+        transferStatusService.receiveTransfer.mockRejectedValueOnce(clientError('Square inventory could not be updated', 502));
+        const res = await request(app).post('/api/stock-transfers/9/receive');
+        expect(res.status).toBe(502);
+    });
+});
+
+describe('DELETE /api/stock-transfers/:id', () => {
+    test('deletes a draft transfer', async () => {
+        transferService.deleteTransfer.mockResolvedValueOnce({ transferNumber: 'TRF-20260101-001' });
+
+        const res = await request(app).delete('/api/stock-transfers/9');
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toContain('TRF-20260101-001');
+    });
+});
@@ -20,12 +20,19 @@ jest.mock('../../services/merchant', () => ({
     getMerchantSettings: jest.fn(),
 }));
 
+jest.mock('../../services/vendor/vendor-performance-service', () => ({
+    ...jest.requireActual('../../services/vendor/vendor-performance-service'),
+    getVendorDeliveryStats: jest.fn(),
+}));
+
 const db = require('../../utils/database');
 const { getMerchantSettings } = require('../../services/merchant');
+const { getVendorDeliveryStats } = require('../../services/vendor/vendor-performance-service');
 
 describe('Vendor Dashboard Routes', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        getVendorDeliveryStats.mockResolvedValue(new Map());
     });
 
     // Helper: mock all 4 queries (vendors, reorder items, unassigned, global OOS)
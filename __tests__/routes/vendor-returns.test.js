@@ -0,0 +1,195 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../middleware/auth', () => ({
+    requireAuth: (req, res, next) => { if (!req.session?.user) return res.status(401).json({ error: 'Unauthorized' }); next(); },
+    requireWriteAccess: (req, res, next) => next(),
+}));
+jest.mock('../../middleware/merchant', () => ({
+    requireMerchant: (req, res, next) => { if (!req.merchantContext) return res.status(400).json({ error: 'Merchant context required' }); next(); },
+}));
+jest.mock('../../services/purchase-orders/po-return-service', () => ({
+    listReturns: jest.fn(),
+    getReturn: jest.fn(),
+    createReturn: jest.fn(),
+    updateReturn: jest.fn(),
+    deleteReturn: jest.fn(),
+}));
+jest.mock('../../services/purchase-orders/po-return-status-service', () => ({
+    shipReturn: jest.fn(),
+    creditReturn: jest.fn(),
+}));
+jest.mock('../../services/purchase-orders/po-return-candidates', () => ({
+    getReturnCandidates: jest.fn(),
+}));
+
+const request = require('supertest');
+const express = require('express');
+const returnService = require('../../services/purchase-orders/po-return-service');
+const returnStatusService = require('../../services/purchase-orders/po-return-status-service');
+const { getReturnCandidates } = require('../../services/purchase-orders/po-return-candidates');
+
+function buildApp({ user = { id: 1, role: 'admin' } } = {}) {
+    const a = express();
+    a.use(express.json());
+    a.use((req, res, next) => {
+        req.session = user ? { user } : {};
+        req.merchantContext = { id: 10 };
+        next();
+    });
+    a.use('/api/vendor-returns', require('../../routes/vendor-returns'));
+    a.use((err, req, res, next) => {
+        res.status(500).json({ error: err.message });
+    });
+    return a;
+}
+
+function clientError(message, statusCode) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+const validBody = {
+    vendor_id: 'V1',
+    location_id: 'LOC1',
+    items: [{ variation_id: 'VAR1', quantity: 2, reason: 'EXPIRED' }],
+};
+
+let app;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    app = buildApp();
+});
+
+describe('GET /api/vendor-returns', () => {
+    test('lists returns with filters for the merchant', async () => {
+        returnService.listReturns.mockResolvedValueOnce([{ id: 1 }]);
+
+        const res = await request(app).get('/api/vendor-returns?status=SENT&vendor_id=V1');
+
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBe(1);
+        expect(returnService.listReturns).toHaveBeenCalledWith(10, { status: 'SENT', vendorId: 'V1' });
+    });
+
+    test('rejects an unknown status', async () => {
+        const res = await request(app).get('/api/vendor-returns?status=LOST');
+        expect(res.status).toBe(400);
+    });
+
+    test('requires authentication', async () => {
+        const res = await request(buildApp({ user: null })).get('/api/vendor-returns');
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('GET /api/vendor-returns/candidates', () => {
+    test('returns expired-stock candidates for the location', async () => {
+        getReturnCandidates.mockResolvedValueOnce([{ variation_id: 'VAR1' }]);
+
+        const res = await request(app).get('/api/vendor-returns/candidates?location_id=LOC1');
+
+        expect(res.status).toBe(200);
+        expect(res.body.candidates).toHaveLength(1);
+        expect(getReturnCandidates).toHaveBeenCalledWith(10, { vendorId: undefined, locationId: 'LOC1' });
+        expect(returnService.getReturn).not.toHaveBeenCalled();
+    });
+});
+
+describe('GET /api/vendor-returns/:id', () => {
+    test('returns 404 when not found', async () => {
+        returnService.getReturn.mockResolvedValueOnce(null);
+        const res = await request(app).get('/api/vendor-returns/9');
+        expect(res.status).toBe(404);
+    });
+
+    test('rejects a non-numeric id', async () => {
+        const res = await request(app).get('/api/vendor-returns/abc');
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('POST /api/vendor-returns', () => {
+    test('creates a draft return', async () => {
+        returnService.createReturn.mockResolvedValueOnce({ id: 9, status: 'DRAFT' });
+
+        const res = await request(app).post('/api/vendor-returns').send({ ...validBody, purchase_order_id: 5 });
+
+        expect(res.status).toBe(201);
+        expect(res.body.vendor_return.id).toBe(9);
+        expect(returnService.createReturn).toHaveBeenCalledWith(10, expect.objectContaining({
+            vendorId: 'V1', locationId: 'LOC1', purchaseOrderId: 5, items: validBody.items,
+        }));
+    });
+
+    test('rejects lines with an unknown reason or zero quantity', async () => {
+        let res = await request(app).post('/api/vendor-returns')
+            .send({ ...validBody, items: [{ variation_id: 'VAR1', quantity: 2, reason: 'LOST' }] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/vendor-returns')
+            .send({ ...validBody, items: [{ variation_id: 'VAR1', quantity: 0, reason: 'EXPIRED' }] });
+        expect(res.status).toBe(400);
+        expect(returnService.createReturn).not.toHaveBeenCalled();
+    });
+
+    test('passes service status codes through', async () => {
+        returnService.createReturn.mockRejectedValueOnce(clientError('Invalid vendor', 403));
+        const res = await request(app).post('/api/vendor-returns').send(validBody);
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('PATCH /api/vendor-returns/:id', () => {
+    test('updates the RMA number', async () => {
+        returnService.updateReturn.mockResolvedValueOnce({ id: 9, vendor_rma_number: 'RA-1' });
+
+        const res = await request(app).patch('/api/vendor-returns/9').send({ vendor_rma_number: 'RA-1' });
+
+        expect(res.status).toBe(200);
+        expect(returnService.updateReturn).toHaveBeenCalledWith(10, '9', { vendorRmaNumber: 'RA-1', notes: undefined, items: undefined });
+    });
+});
+
+describe('POST /api/vendor-returns/:id/ship', () => {
+    test('ships the return', async () => {
+        returnStatusService.shipReturn.mockResolvedValueOnce({ id: 9, status: 'SENT' });
+
+        const res = await request(app).post('/api/vendor-returns/9/ship');
+
+        expect(res.status).toBe(200);
+        expect(res.body.vendor_return.status).toBe('SENT');
+    });
+
+    test('returns 502 when Square inventory could not be updated', async () => {
+        returnStatusService.shipReturn.mockRejectedValueOnce(clientError('Square inventory could not be updated', 502));
+        const res = await request(app).post('/api/vendor-returns/9/ship');
+        expect(res.status).toBe(502);
+    });
+});
+
+describe('POST /api/vendor-returns/:id/credit', () => {
+    test('records the credit amount and memo', async () => {
+        returnStatusService.creditReturn.mockResolvedValueOnce({ id: 9, status: 'CREDITED' });
+
+        const res = await request(app).post('/api/vendor-returns/9/credit')
+            .send({ credit_amount_cents: 1200, credit_memo_number: 'CM-42' });
+
+        expect(res.status).toBe(200);
+        expect(returnStatusService.creditReturn).toHaveBeenCalledWith(10, '9', { creditAmountCents: 1200, creditMemoNumber: 'CM-42' });
+    });
+
+    test('rejects a negative credit amount', async () => {
+        const res = await request(app).post('/api/vendor-returns/9/credit').send({ credit_amount_cents: -5 });
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('DELETE /api/vendor-returns/:id', () => {
+    test('deletes a draft return', async () => {
+        returnService.deleteReturn.mockResolvedValueOnce({ returnNumber: 'RMA-20260101-001' });
+
+        const res = await request(app).delete('/api/vendor-returns/9');
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toContain('RMA-20260101-001');
+    });
+});
@@ -0,0 +1,150 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../middleware/auth', () => ({
+    requireAuth: (req, res, next) => { if (!req.session?.user) return res.status(401).json({ error: 'Unauthorized' }); next(); },
+    requireWriteAccess: (req, res, next) => next(),
+}));
+jest.mock('../../middleware/merchant', () => ({
+    requireMerchant: (req, res, next) => { if (!req.merchantContext) return res.status(400).json({ error: 'Merchant context required' }); next(); },
+}));
+jest.mock('../../services/inventory/waste-service', () => ({
+    listWaste: jest.fn(),
+    recordWaste: jest.fn(),
+    retryWastePost: jest.fn(),
+}));
+jest.mock('../../services/inventory/shrink-report-service', () => ({
+    getShrinkReport: jest.fn(),
+}));
+
+const request = require('supertest');
+const express = require('express');
+const wasteService = require('../../services/inventory/waste-service');
+const shrinkReportService = require('../../services/inventory/shrink-report-service');
+
+function buildApp({ user = { id: 1, role: 'admin', email: 'owner@example.com' } } = {}) {
+    const a = express();
+    a.use(express.json());
+    a.use((req, res, next) => {
+        req.session = user ? { user } : {};
+        req.merchantContext = { id: 10 };
+        next();
+    });
+    a.use('/api/waste', require('../../routes/waste'));
+    a.use((err, req, res, next) => {
+        res.status(500).json({ error: err.message });
+    });
+    return a;
+}
+
+function clientError(message, statusCode) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+const validBody = { variation_id: 'VAR1', location_id: 'LOC1', quantity: 3, reason: 'DAMAGED', notes: 'Crushed bag' };
+
+let app;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    app = buildApp();
+});
+
+describe('GET /api/waste', () => {
+    test('lists the waste log with filters', async () => {
+        wasteService.listWaste.mockResolvedValueOnce([{ id: 1 }]);
+
+        const res = await request(app).get('/api/waste?reason=EXPIRED&start_date=2026-10-01&limit=50');
+
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBe(1);
+        expect(wasteService.listWaste).toHaveBeenCalledWith(10, {
+            startDate: '2026-10-01', endDate: undefined, reason: 'EXPIRED', squareStatus: undefined, limit: 50, offset: undefined,
+        });
+    });
+
+    test('rejects an unknown reason', async () => {
+        const res = await request(app).get('/api/waste?reason=STOLEN');
+        expect(res.status).toBe(400);
+    });
+
+    test('requires authentication', async () => {
+        const res = await request(buildApp({ user: null })).get('/api/waste');
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('GET /api/waste/shrink-report', () => {
+    test('returns the report for the grouping and range', async () => {
+        shrinkReportService.getShrinkReport.mockResolvedValueOnce({ group_by: 'vendor', rows: [], totals: {} });
+
+        const res = await request(app).get('/api/waste/shrink-report?group_by=vendor&start_date=2026-01-01&end_date=2026-06-30');
+
+        expect(res.status).toBe(200);
+        expect(res.body.group_by).toBe('vendor');
+        expect(shrinkReportService.getShrinkReport).toHaveBeenCalledWith(10, {
+            groupBy: 'vendor', startDate: '2026-01-01', endDate: '2026-06-30',
+        });
+    });
+
+    test('rejects an unknown grouping and passes service errors through', async () => {
+        let res = await request(app).get('/api/waste/shrink-report?group_by=sku');
+        expect(res.status).toBe(400);
+
+        shrinkReportService.getShrinkReport.mockRejectedValueOnce(clientError('start_date must be on or before end_date', 400));
+        res = await request(app).get('/api/waste/shrink-report?start_date=2026-02-01&end_date=2026-01-01');
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('POST /api/waste', () => {
+    test('writes off stock at a location, recorded by the signed-in user', async () => {
+        wasteService.recordWaste.mockResolvedValueOnce({ entries: [{ id: 4 }], squareInventory: { success: 1, failed: 0, errors: [] } });
+
+        const res = await request(app).post('/api/waste').send(validBody);
+
+        expect(res.status).toBe(201);
+        expect(res.body.entries[0].id).toBe(4);
+        expect(wasteService.recordWaste).toHaveBeenCalledWith(10, {
+            variationId: 'VAR1',
+            lines: [{ locationId: 'LOC1', quantity: 3 }],
+            reason: 'DAMAGED',
+            notes: 'Crushed bag',
+            recordedBy: 'owner@example.com',
+        });
+    });
+
+    test('rejects a missing reason and zero quantities', async () => {
+        let res = await request(app).post('/api/waste').send({ ...validBody, reason: undefined });
+        expect(res.status).toBe(400);
+        res = await request(app).post('/api/waste').send({ ...validBody, quantity: 0 });
+        expect(res.status).toBe(400);
+        expect(wasteService.recordWaste).not.toHaveBeenCalled();
+    });
+
+    test('returns the service status code', async () => {
+        wasteService.recordWaste.mockRejectedValueOnce(clientError('Location not found for this merchant', 400));
+
+        const res = await request(app).post('/api/waste').send(validBody);
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('POST /api/waste/:id/retry', () => {
+    test('posts a failed entry to Square again', async () => {
+        wasteService.retryWastePost.mockResolvedValueOnce({ id: 4, square_status: 'POSTED' });
+
+        const res = await request(app).post('/api/waste/4/retry');
+
+        expect(res.status).toBe(200);
+        expect(res.body.entry.square_status).toBe('POSTED');
+        expect(wasteService.retryWastePost).toHaveBeenCalledWith(10, '4');
+    });
+
+    test('returns 409 for an entry already posted', async () => {
+        wasteService.retryWastePost.mockRejectedValueOnce(clientError('Waste entry is already posted to Square', 409));
+
+        const res = await request(app).post('/api/waste/4/retry');
+
+        expect(res.status).toBe(409);
+    });
+});
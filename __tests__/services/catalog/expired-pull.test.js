@@ -5,12 +5,10 @@
 const db = require('../../../utils/database');
 
 // Create mock fns we can reference in tests
-const mockSetSquareInventoryCount = jest.fn().mockResolvedValue({ success: true });
 const mockUpdateCustomAttributeValues = jest.fn().mockResolvedValue({ success: true });
 
 // Mock square-api before any module loads it
 jest.mock('../../../services/square', () => ({
-    setSquareInventoryCount: mockSetSquareInventoryCount,
     updateCustomAttributeValues: mockUpdateCustomAttributeValues,
 }));
 
@@ -27,6 +25,17 @@ jest.mock('../../../utils/image-utils', () => ({
     batchResolveImageUrls: jest.fn().mockResolvedValue(new Map()),
 }));
 
+const mockPullLots = jest.fn().mockResolvedValue(0);
+jest.mock('../../../services/expiry/lot-depletion', () => ({
+    pullLots: (...args) => mockPullLots(...args),
+}));
+
+const POSTED = { entries: [], squareInventory: { success: 1, failed: 0, errors: [] } };
+const mockRecordWaste = jest.fn();
+jest.mock('../../../services/inventory/waste-service', () => ({
+    recordWaste: (...args) => mockRecordWaste(...args),
+}));
+
 const { handleExpiredPull } = require('../../../services/catalog/inventory-service');
 
 const MERCHANT_ID = 1;
@@ -34,6 +43,7 @@ const VARIATION_ID = 'VAR_ABC123';
 
 beforeEach(() => {
     jest.clearAllMocks();
+    mockRecordWaste.mockResolvedValue(POSTED);
 });
 
 describe('handleExpiredPull', () => {
@@ -73,9 +83,7 @@ describe('handleExpiredPull', () => {
             });
         });
 
-        it('zeros inventory at all locations with stock > 0', async () => {
-            // local inventory update
-            db.query.mockResolvedValueOnce({ rows: [] });
+        it('writes off the stock at every location as expired waste', async () => {
             // markExpirationsReviewed: validVariations check
             db.query.mockResolvedValueOnce({ rows: [{ id: VARIATION_ID }] });
             // markExpirationsReviewed: upsert
@@ -89,13 +97,19 @@ describe('handleExpiredPull', () => {
 
             expect(result.success).toBe(true);
             expect(result.action).toBe('full_pull');
-            // Should call setSquareInventoryCount only for LOC_1 (qty > 0)
-            expect(mockSetSquareInventoryCount).toHaveBeenCalledTimes(1);
-            expect(mockSetSquareInventoryCount).toHaveBeenCalledWith(
-                VARIATION_ID, 'LOC_1', 0,
-                expect.any(String),
-                MERCHANT_ID
-            );
+            // Locations without stock are skipped by recordWaste
+            expect(mockRecordWaste).toHaveBeenCalledWith(MERCHANT_ID, {
+                variationId: VARIATION_ID,
+                reason: 'EXPIRED',
+                source: 'EXPIRY_PULL',
+                notes: null,
+                recordedBy: 'Test User',
+                lines: [
+                    { locationId: 'LOC_1', quantity: 3 },
+                    { locationId: 'LOC_2', quantity: 0 },
+                ],
+            });
+            expect(mockPullLots).toHaveBeenCalledWith(MERCHANT_ID, VARIATION_ID);
         });
 
         it('returns success even when no locations have stock', async () => {
@@ -105,7 +119,6 @@ describe('handleExpiredPull', () => {
             db.query.mockResolvedValueOnce({
                 rows: [{ catalog_object_id: VARIATION_ID, location_id: 'LOC_1', quantity: 0 }],
             }); // inventory
-            db.query.mockResolvedValueOnce({ rows: [] }); // local update
             db.query.mockResolvedValueOnce({ rows: [{ id: VARIATION_ID }] }); // markReviewed validate
             db.query.mockResolvedValueOnce({ rows: [] }); // markReviewed upsert
 
@@ -116,12 +129,14 @@ describe('handleExpiredPull', () => {
 
             expect(result.success).toBe(true);
             expect(result.action).toBe('full_pull');
-            expect(mockSetSquareInventoryCount).not.toHaveBeenCalled();
+            expect(mockRecordWaste.mock.calls[0][1].lines).toEqual([{ locationId: 'LOC_1', quantity: 0 }]);
         });
 
         it('reports Square API failures without crashing', async () => {
-            mockSetSquareInventoryCount.mockRejectedValueOnce(new Error('Square timeout'));
-            db.query.mockResolvedValueOnce({ rows: [] }); // local update
+            mockRecordWaste.mockResolvedValueOnce({
+                entries: [{ id: 7, square_status: 'FAILED' }],
+                squareInventory: { success: 0, failed: 1, errors: [{ location_id: 'LOC_1', error: 'Square timeout' }] },
+            });
             db.query.mockResolvedValueOnce({ rows: [{ id: VARIATION_ID }] }); // markReviewed validate
             db.query.mockResolvedValueOnce({ rows: [] }); // markReviewed upsert
 
@@ -133,6 +148,7 @@ describe('handleExpiredPull', () => {
             expect(result.success).toBe(true);
             expect(result.squareInventory.failed).toBe(1);
             expect(result.squareInventory.errors[0].error).toBe('Square timeout');
+            expect(result.waste).toEqual([{ id: 7, square_status: 'FAILED' }]);
         });
     });
 
@@ -170,9 +186,7 @@ describe('handleExpiredPull', () => {
             expect(result.error).toMatch(/new_expiry_date/);
         });
 
-        it('updates inventory to remaining quantity and sets new expiry', async () => {
-            // local inventory update
-            db.query.mockResolvedValueOnce({ rows: [] });
+        it('writes off the units above remaining quantity and sets new expiry', async () => {
             // saveExpirations: variation check
             db.query.mockResolvedValueOnce({ rows: [{ id: VARIATION_ID }] });
             // saveExpirations: upsert variation_expiration
@@ -196,15 +210,16 @@ describe('handleExpiredPull', () => {
 
             expect(result.success).toBe(true);
             expect(result.action).toBe('partial_pull');
-            expect(mockSetSquareInventoryCount).toHaveBeenCalledWith(
-                VARIATION_ID, 'LOC_1', 3,
-                expect.any(String),
-                MERCHANT_ID
-            );
+            expect(mockRecordWaste).toHaveBeenCalledWith(MERCHANT_ID, expect.objectContaining({
+                reason: 'EXPIRED',
+                source: 'EXPIRY_PULL',
+                lines: [{ locationId: 'LOC_1', quantity: 2 }],
+            }));
+            // Only lots dated before the new expiry are emptied
+            expect(mockPullLots).toHaveBeenCalledWith(MERCHANT_ID, VARIATION_ID, { expiringBefore: '2026-12-15' });
         });
 
         it('accepts remaining_quantity of 0', async () => {
-            db.query.mockResolvedValueOnce({ rows: [] }); // local update
             db.query.mockResolvedValueOnce({ rows: [{ id: VARIATION_ID }] }); // saveExp: var check
             db.query.mockResolvedValueOnce({ rows: [] }); // saveExp: upsert
             db.query.mockResolvedValueOnce({ rows: [] }); // saveExp: existing status
@@ -221,6 +236,7 @@ describe('handleExpiredPull', () => {
 
             expect(result.success).toBe(true);
             expect(result.action).toBe('partial_pull');
+            expect(mockRecordWaste.mock.calls[0][1].lines).toEqual([{ locationId: 'LOC_1', quantity: 5 }]);
         });
     });
 });
@@ -9,11 +9,9 @@ const db = require('../../../utils/database');
 
 // Create mock fns we can reference in tests
 const mockUpdateCustomAttributeValues = jest.fn().mockResolvedValue({ success: true });
-const mockSetSquareInventoryCount = jest.fn().mockResolvedValue({ success: true });
 
 jest.mock('../../../services/square', () => ({
     updateCustomAttributeValues: mockUpdateCustomAttributeValues,
-    setSquareInventoryCount: mockSetSquareInventoryCount,
 }));
 
 const mockCalculateDaysUntilExpiry = jest.fn().mockReturnValue(180);
@@ -36,6 +34,15 @@ jest.mock('../../../utils/image-utils', () => ({
     batchResolveImageUrls: mockBatchResolveImageUrls,
 }));
 
+jest.mock('../../../services/expiry/lot-depletion', () => ({
+    pullLots: jest.fn().mockResolvedValue(0),
+}));
+
+const mockRecordWaste = jest.fn();
+jest.mock('../../../services/inventory/waste-service', () => ({
+    recordWaste: mockRecordWaste,
+}));
+
 const {
     getInventory,
     getLowStock,
@@ -796,7 +803,11 @@ describe('handleExpiredPull', () => {
     });
 
     describe('full pull (all_expired=true)', () => {
-        it('zeros inventory at all locations with stock > 0', async () => {
+        it('logs the stock at every location as expired waste', async () => {
+            mockRecordWaste.mockResolvedValueOnce({
+                entries: [{ id: 1, location_id: 'LOC1', quantity: 5, square_status: 'POSTED' }],
+                squareInventory: { success: 1, failed: 0, errors: [] },
+            });
             // variation check
             db.query.mockResolvedValueOnce({ rows: [{ id: 'VAR1' }] });
             // inventory counts
@@ -806,8 +817,6 @@ describe('handleExpiredPull', () => {
                     { catalog_object_id: 'VAR1', location_id: 'LOC2', quantity: 0 },
                 ],
             });
-            // local inventory update
-            db.query.mockResolvedValueOnce({ rows: [] });
             // markExpirationsReviewed: batch verify
             db.query.mockResolvedValueOnce({ rows: [{ id: 'VAR1' }] });
             // markExpirationsReviewed: batch upsert
@@ -822,24 +831,28 @@ describe('handleExpiredPull', () => {
             expect(result.success).toBe(true);
             expect(result.action).toBe('full_pull');
             expect(result.squareInventory.success).toBe(1); // only LOC1 had stock
-
-            // Square called to zero inventory only for LOC1 (quantity > 0)
-            expect(mockSetSquareInventoryCount).toHaveBeenCalledTimes(1);
-            expect(mockSetSquareInventoryCount).toHaveBeenCalledWith(
-                'VAR1', 'LOC1', 0,
-                expect.stringContaining('all units expired'),
-                MERCHANT_ID
-            );
+            expect(result.waste).toHaveLength(1);
+
+            expect(mockRecordWaste).toHaveBeenCalledWith(MERCHANT_ID, expect.objectContaining({
+                variationId: 'VAR1',
+                reason: 'EXPIRED',
+                source: 'EXPIRY_PULL',
+                recordedBy: 'Admin',
+                lines: [{ locationId: 'LOC1', quantity: 5 }, { locationId: 'LOC2', quantity: 0 }],
+            }));
         });
 
-        it('skips Square call for locations with 0 stock', async () => {
+        it('records nothing in Square for locations with 0 stock', async () => {
+            mockRecordWaste.mockResolvedValueOnce({
+                entries: [],
+                squareInventory: { success: 0, failed: 0, errors: [] },
+            });
             db.query.mockResolvedValueOnce({ rows: [{ id: 'VAR1' }] });
             db.query.mockResolvedValueOnce({
                 rows: [
                     { catalog_object_id: 'VAR1', location_id: 'LOC1', quantity: 0 },
                 ],
             });
-            db.query.mockResolvedValueOnce({ rows: [] }); // local update
             db.query.mockResolvedValueOnce({ rows: [{ id: 'VAR1' }] }); // markReviewed verify
             db.query.mockResolvedValueOnce({ rows: [] }); // markReviewed upsert
 
@@ -849,7 +862,8 @@ describe('handleExpiredPull', () => {
             });
 
             expect(result.success).toBe(true);
-            expect(mockSetSquareInventoryCount).not.toHaveBeenCalled();
+            expect(result.squareInventory.success).toBe(0);
+            expect(result.waste).toEqual([]);
         });
     });
 
@@ -898,7 +912,11 @@ describe('handleExpiredPull', () => {
             expect(result.status).toBe(400);
         });
 
-        it('updates inventory to remaining_quantity and saves new expiry', async () => {
+        it('logs the units above remaining_quantity as waste and saves new expiry', async () => {
+            mockRecordWaste.mockResolvedValueOnce({
+                entries: [{ id: 2, location_id: 'LOC1', quantity: 7, square_status: 'POSTED' }],
+                squareInventory: { success: 1, failed: 0, errors: [] },
+            });
             // variation check
             db.query.mockResolvedValueOnce({ rows: [{ id: 'VAR1' }] });
             // inventory counts
@@ -907,8 +925,6 @@ describe('handleExpiredPull', () => {
                     { catalog_object_id: 'VAR1', location_id: 'LOC1', quantity: 10 },
                 ],
             });
-            // local inventory update
-            db.query.mockResolvedValueOnce({ rows: [] });
 
             // saveExpirations internal calls:
             // variation check for saveExpirations
@@ -937,12 +953,11 @@ describe('handleExpiredPull', () => {
             expect(result.squareInventory.success).toBe(1);
             expect(result.expiryUpdate).toBeDefined();
 
-            // Square inventory set to remaining quantity
-            expect(mockSetSquareInventoryCount).toHaveBeenCalledWith(
-                'VAR1', 'LOC1', 3,
-                expect.stringContaining('partial pull'),
-                MERCHANT_ID
-            );
+            // 10 on hand, 3 remain: 7 written off
+            expect(mockRecordWaste).toHaveBeenCalledWith(MERCHANT_ID, expect.objectContaining({
+                reason: 'EXPIRED',
+                lines: [{ locationId: 'LOC1', quantity: 7 }],
+            }));
         });
     });
 });
@@ -303,6 +303,20 @@ describe('processSuggestionRows', () => {
         expect(result[0].pending_po_quantity).toBe(2);
     });
 
+    it('should subtract stock already on inbound transfers like pending POs', () => {
+        calculateReorderQuantity.mockReturnValue(10);
+        const row = makeRow({
+            current_stock: '0',
+            available_quantity: '0',
+            days_until_stockout: '0',
+            pending_po_quantity: '3',
+            pending_transfer_quantity: '4'
+        });
+        const result = processSuggestionRows([row], defaultConfig);
+        expect(result[0].final_suggested_qty).toBe(3);
+        expect(result[0].pending_transfer_quantity).toBe(4);
+    });
+
     it('should calculate gross margin correctly', () => {
         const row = makeRow({
             current_stock: '0',
@@ -319,6 +333,24 @@ describe('processSuggestionRows', () => {
         expect(result[0].gross_margin_percent).toBe(40);
     });
 
+    it('should calculate gross margin on landed cost when receipts carried charges', () => {
+        const row = makeRow({
+            current_stock: '0',
+            committed_quantity: '0',
+            available_quantity: '0',
+            daily_avg_quantity: '1.0',
+            days_until_stockout: '0',
+            unit_cost_cents: '3000',
+            landed_unit_cost_cents: '3500',
+            retail_price_cents: '5000'
+        });
+        const result = processSuggestionRows([row], defaultConfig);
+        // margin = ((5000 - 3500) / 5000) * 100 = 30.0; order cost stays on vendor cost
+        expect(result[0].gross_margin_percent).toBe(30);
+        expect(result[0].landed_unit_cost_cents).toBe(3500);
+        expect(result[0].order_cost).toBe(result[0].final_suggested_qty * 30);
+    });
+
     it('should return null gross margin when cost or retail is 0', () => {
         const row = makeRow({
             current_stock: '0',
@@ -377,6 +409,26 @@ describe('processSuggestionRows', () => {
         );
     });
 
+    it('should prefer observed lead time and add fill-rate safety days when present', () => {
+        const row = makeRow({
+            current_stock: '20',
+            committed_quantity: '0',
+            available_quantity: '20',
+            daily_avg_quantity: '1.0',
+            days_until_stockout: '20',
+            lead_time_days: '5',
+            observed_lead_time_days: 9,
+            extra_safety_days: '1.5',
+            below_minimum: false
+        });
+        const result = processSuggestionRows([row], defaultConfig);
+        expect(result[0].lead_time_days).toBe(9);
+        expect(result[0].lead_time_source).toBe('observed');
+        expect(calculateReorderQuantity).toHaveBeenCalledWith(
+            expect.objectContaining({ leadTimeDays: 9, safetyDays: 8.5 })
+        );
+    });
+
     it('should use committed quantity to calculate available', () => {
         // on_hand=20, committed=15, available=5
         const row = makeRow({
@@ -511,6 +563,24 @@ describe('buildMainQuery', () => {
         expect(rows).toContain('vv.vendor_id IS NULL');
     });
 
+    it('should exclude closed POs from pending quantity and report backordered quantity', () => {
+        const { rows } = buildMainQuery({ supplyDaysNum: 45, safetyDays: 7, merchantId: 1, vendor_id: null, location_id: null });
+        expect(rows).toContain("po.status NOT IN ('RECEIVED', 'CLOSED', 'CANCELLED')");
+        expect(rows).toContain('poi.backorder_of_item_id IS NOT NULL');
+        expect(rows).toContain('as backorder_quantity');
+    });
+
+    it('should join observed planning values when adjustments are given', () => {
+        const { rows, params } = buildMainQuery({
+            supplyDaysNum: 45, safetyDays: 7, merchantId: 1, vendor_id: 'v1', location_id: null,
+            planningAdjustments: new Map([['v1', { lead_time_days: 6, extra_safety_days: 1 }]])
+        });
+        expect(params.slice(2)).toEqual([['v1'], [6], [1], 'v1']);
+        expect(rows).toContain('unnest($3::text[], $4::int[], $5::numeric[])');
+        expect(rows).toContain('COALESCE(olt.lead_time_days,');
+        expect(rows).toContain('vv.vendor_id = $6');
+    });
+
     it('should add location_id filter when provided', () => {
         const { rows, params } = buildMainQuery({
             supplyDaysNum: 45, safetyDays: 7, merchantId: 1, vendor_id: null, location_id: 'loc_1'
@@ -616,6 +686,29 @@ describe('getReorderSuggestions', () => {
         expect(result.other_vendor_items).toHaveLength(1);
     });
 
+    it('should suggest transfers from surplus locations before ordering', async () => {
+        const row = makeRow({ current_stock: '0', available_quantity: '0', days_until_stockout: '0' });
+        db.query.mockResolvedValueOnce({ rows: [row] }); // main query
+        db.query.mockResolvedValueOnce({ rows: [{ // transfer sources
+            variation_id: 'var_1', location_id: 'loc_2', location_name: 'Uptown',
+            available_quantity: '50', stock_alert_min: '0', stock_alert_max: '20', daily_avg_quantity: '0'
+        }] });
+        db.query.mockResolvedValueOnce({ rows: [] }); // bundle query
+
+        const result = await getReorderSuggestions({
+            merchantId: 1, businessName: 'Test', query: { min_cost: '100' }
+        });
+
+        // 10 needed, 30 surplus over max at loc_2: nothing left to order, but the row stays
+        expect(result.count).toBe(1);
+        expect(result.suggestions[0]).toMatchObject({
+            final_suggested_qty: 0,
+            order_cost: 0,
+            transfer_quantity: 10,
+            transfer_suggestions: [{ from_location_id: 'loc_2', from_location_name: 'Uptown', quantity: 10 }]
+        });
+    });
+
     it('should not fetch other_vendor_items when vendor_id=none', async () => {
         mockQueries([]);
         const result = await getReorderSuggestions({
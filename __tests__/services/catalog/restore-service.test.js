@@ -0,0 +1,214 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../services/square/square-client', () => ({
+    getMerchantToken: jest.fn(),
+    makeSquareRequest: jest.fn(),
+    sleep: jest.fn(),
+    generateIdempotencyKey: jest.fn()
+}));
+jest.mock('../../../services/catalog/location-service', () => ({ getActiveLocationIds: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { getMerchantToken, makeSquareRequest } = require('../../../services/square/square-client');
+const { getActiveLocationIds } = require('../../../services/catalog/location-service');
+const { previewRestore, restoreDeletedItems } = require('../../../services/catalog/restore-service');
+
+const deletedItem = {
+    id: 'ITEM_OLD', name: 'Salmon Treats', is_deleted: true, category_id: 'CAT1', category_name: 'Treats',
+    images: ['IMG1', 'IMG_GONE'], tax_ids: ['TAX1'], present_at_all_locations: false,
+    present_at_location_ids: ['LOC1', 'LOC_CLOSED'], description_html: '<p>Tasty</p>'
+};
+const deletedVariation = {
+    id: 'VAR_OLD', item_id: 'ITEM_OLD', name: '100g', sku: 'ST-100', upc: '0625', price_money: 1299,
+    currency: 'CAD', pricing_type: 'FIXED_PRICING', track_inventory: true, present_at_all_locations: false,
+    present_at_location_ids: ['LOC1'], images: ['IMG_GONE'],
+    custom_attributes: {
+        case_pack_quantity: { custom_attribute_definition_id: 'DEF1', number_value: '12', name: 'Case Pack' },
+        old_field: { custom_attribute_definition_id: 'DEF_GONE', string_value: 'x' }
+    }
+};
+
+let client;
+
+/** Route db.query by SQL fragment so the parallel snapshot lookups don't depend on call order */
+function mockQueries(overrides = {}) {
+    const responses = {
+        'SELECT i.*': [deletedItem],
+        'SELECT v.*': [deletedVariation],
+        'sku = ANY': [],
+        'FROM variation_vendors vv': [
+            { variation_id: 'VAR_OLD', vendor_id: 'VEN1', vendor_name: 'Acme', vendor_status: 'ACTIVE', vendor_code: 'A-1', unit_cost_money: 700 },
+            { variation_id: 'VAR_OLD', vendor_id: 'VEN2', vendor_name: 'Gone Co', vendor_status: 'INACTIVE', unit_cost_money: 650 }
+        ],
+        'FROM variation_location_settings': [
+            { variation_id: 'VAR_OLD', location_id: 'LOC1', stock_alert_min: 4 },
+            { variation_id: 'VAR_OLD', location_id: 'LOC_CLOSED', stock_alert_min: 2 }
+        ],
+        'AS v(id)': [{ id: 'VAR_OLD', velocity_rows: 3, count_rows: 1, loyalty_offers: 1, po_lines: 5 }],
+        ...overrides
+    };
+    db.query.mockImplementation(sql => {
+        const key = Object.keys(responses).find(fragment => sql.includes(fragment));
+        return Promise.resolve({ rows: key ? responses[key] : [] });
+    });
+}
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction.mockImplementation(fn => fn(client));
+    getMerchantToken.mockResolvedValue('token');
+    getActiveLocationIds.mockResolvedValue(['LOC1']);
+    makeSquareRequest.mockImplementation(endpoint => {
+        if (endpoint === '/v2/catalog/batch-retrieve') {
+            return Promise.resolve({ objects: [{ id: 'CAT1' }, { id: 'IMG1' }, { id: 'TAX1' }, { id: 'DEF1' }] });
+        }
+        return Promise.resolve({ id_mappings: [
+            { client_object_id: '#restore_ITEM_OLD', object_id: 'ITEM_NEW' },
+            { client_object_id: '#restore_VAR_OLD', object_id: 'VAR_NEW' }
+        ] });
+    });
+});
+
+describe('previewRestore', () => {
+    test('summarizes what will be recreated and re-linked', async () => {
+        mockQueries();
+
+        const { items } = await previewRestore(1, ['VAR_OLD']);
+
+        expect(items).toHaveLength(1);
+        expect(items[0]).toMatchObject({ item_id: 'ITEM_OLD', mode: 'item', restorable: true });
+        expect(items[0].warnings).toEqual(['1 item image(s) no longer exist']);
+        expect(items[0].variations[0]).toMatchObject({
+            conflict: null,
+            location_overrides: 1,
+            images: 0,
+            missing_images: 1,
+            history: { velocity_rows: 3, count_rows: 1, loyalty_offers: 1, po_lines: 5 }
+        });
+        expect(items[0].variations[0].vendors).toEqual([
+            { vendor_id: 'VEN1', vendor_name: 'Acme', relinked: true },
+            { vendor_id: 'VEN2', vendor_name: 'Gone Co', relinked: false }
+        ]);
+        expect(makeSquareRequest).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(makeSquareRequest.mock.calls[0][1].body).object_ids)
+            .toEqual(expect.arrayContaining(['IMG1', 'IMG_GONE', 'TAX1', 'CAT1', 'DEF1', 'DEF_GONE']));
+    });
+
+    test('flags variations whose SKU or UPC is now used by an active variation', async () => {
+        mockQueries({ 'sku = ANY': [{ id: 'VAR_LIVE', sku: 'ST-100', upc: null }] });
+
+        const { items } = await previewRestore(1, ['VAR_OLD']);
+
+        expect(items[0].restorable).toBe(false);
+        expect(items[0].variations[0].conflict).toBe('ST-100 is used by active variation VAR_LIVE');
+    });
+
+    test('rejects empty input and unknown variations', async () => {
+        await expect(previewRestore(1, [])).rejects.toMatchObject({ statusCode: 400 });
+
+        mockQueries({ 'SELECT i.*': [] });
+        await expect(previewRestore(1, ['NOPE'])).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('restoreDeletedItems', () => {
+    test('recreates the item in Square with only the references that still exist', async () => {
+        mockQueries();
+
+        await restoreDeletedItems(1, ['VAR_OLD']);
+
+        const upsert = makeSquareRequest.mock.calls.find(c => c[0] === '/v2/catalog/batch-upsert');
+        const [item] = JSON.parse(upsert[1].body).batches[0].objects;
+        expect(item).toMatchObject({
+            type: 'ITEM', id: '#restore_ITEM_OLD', present_at_all_locations: false, present_at_location_ids: ['LOC1']
+        });
+        expect(item.item_data).toMatchObject({
+            name: 'Salmon Treats', categories: [{ id: 'CAT1' }], tax_ids: ['TAX1'], image_ids: ['IMG1']
+        });
+
+        const [variation] = item.item_data.variations;
+        expect(variation.custom_attribute_values).toEqual({ case_pack_quantity: { number_value: '12' } });
+        expect(variation.item_variation_data).toMatchObject({
+            item_id: '#restore_ITEM_OLD',
+            sku: 'ST-100',
+            price_money: { amount: 1299, currency: 'CAD' },
+            location_overrides: [{ location_id: 'LOC1', track_inventory: true, inventory_alert_type: 'LOW_QUANTITY', inventory_alert_threshold: 4 }],
+            vendor_information: [{ vendor_id: 'VEN1', vendor_code: 'A-1', unit_cost_money: { amount: 700, currency: 'CAD' } }]
+        });
+        expect(variation.item_variation_data.image_ids).toBeUndefined();
+    });
+
+    test('copies the snapshot onto the new IDs and moves local history across', async () => {
+        mockQueries();
+
+        const result = await restoreDeletedItems(1, ['VAR_OLD']);
+
+        expect(result.restored).toEqual([{
+            old_item_id: 'ITEM_OLD', item_id: 'ITEM_NEW', item_name: 'Salmon Treats',
+            variations: [{ old_id: 'VAR_OLD', id: 'VAR_NEW' }], skipped: [], warnings: ['1 item image(s) no longer exist']
+        }]);
+
+        const sqls = client.query.mock.calls.map(c => c[0]);
+        expect(client.query.mock.calls[0][1]).toEqual(['ITEM_NEW', 'ITEM_OLD', 1]);
+        expect(client.query.mock.calls[1][1]).toEqual([['VAR_OLD'], ['VAR_NEW'], 'ITEM_NEW', 1]);
+        expect(sqls[1]).toContain('shelf_location = EXCLUDED.shelf_location');
+
+        const remapped = sqls.filter(s => s.includes('SET') && s.includes('m.new_id')).join('\n');
+        for (const table of ['sales_velocity', 'count_history', 'loyalty_qualifying_variations', 'purchase_order_items', 'variation_vendors']) {
+            expect(remapped).toContain(`UPDATE ${table} t`);
+        }
+        expect(sqls.some(s => s.includes('DELETE FROM variation_vendors'))).toBe(true);
+        expect(sqls.indexOf(sqls.find(s => s.includes('DELETE FROM variations'))))
+            .toBeGreaterThan(sqls.indexOf(sqls.find(s => s.includes('UPDATE purchase_order_items'))));
+        expect(sqls[sqls.length - 1]).toContain('DELETE FROM items');
+    });
+
+    test('adds a variation back to a live item without recreating the item', async () => {
+        mockQueries({ 'SELECT i.*': [{ ...deletedItem, is_deleted: false }] });
+        makeSquareRequest.mockImplementation(endpoint => Promise.resolve(endpoint === '/v2/catalog/batch-retrieve'
+            ? { objects: [] }
+            : { id_mappings: [{ client_object_id: '#restore_VAR_OLD', object_id: 'VAR_NEW' }] }));
+
+        const result = await restoreDeletedItems(1, ['VAR_OLD']);
+
+        const upsert = makeSquareRequest.mock.calls.find(c => c[0] === '/v2/catalog/batch-upsert');
+        const objects = JSON.parse(upsert[1].body).batches[0].objects;
+        expect(objects).toHaveLength(1);
+        expect(objects[0]).toMatchObject({ type: 'ITEM_VARIATION', item_variation_data: { item_id: 'ITEM_OLD' } });
+        expect(result.restored[0]).toMatchObject({ item_id: 'ITEM_OLD', variations: [{ old_id: 'VAR_OLD', id: 'VAR_NEW' }] });
+        expect(client.query.mock.calls.some(c => c[0].includes('INSERT INTO items'))).toBe(false);
+    });
+
+    test('reuses the idempotency key when a failed restore is retried', async () => {
+        mockQueries();
+        db.transaction.mockRejectedValueOnce(new Error('deadlock detected'));
+
+        const first = await restoreDeletedItems(1, ['VAR_OLD']);
+        const second = await restoreDeletedItems(1, ['VAR_OLD']);
+
+        expect(first.failed).toHaveLength(1);
+        expect(second.restored).toHaveLength(1);
+        const keys = makeSquareRequest.mock.calls
+            .filter(c => c[0] === '/v2/catalog/batch-upsert')
+            .map(c => JSON.parse(c[1].body).idempotency_key);
+        expect(keys).toHaveLength(2);
+        expect(keys[0]).toMatch(/^catalog-restore-[0-9a-f]{40}$/);
+        expect(keys[1]).toBe(keys[0]);
+    });
+
+    test('reports per-item failures without touching local data', async () => {
+        mockQueries();
+        makeSquareRequest.mockImplementation(endpoint => (endpoint === '/v2/catalog/batch-retrieve'
+            ? Promise.resolve({ objects: [] })
+            : Promise.reject(new Error('INVALID_VALUE: sku'))));
+
+        const result = await restoreDeletedItems(1, ['VAR_OLD']);
+
+        expect(result).toEqual({
+            restored: [],
+            failed: [{ item_id: 'ITEM_OLD', item_name: 'Salmon Treats', error: 'INVALID_VALUE: sku' }]
+        });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+});
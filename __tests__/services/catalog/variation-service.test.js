@@ -280,7 +280,7 @@ describe('variation-service', () => {
             expect(params).toEqual([merchantId]);
             expect(query).toContain('margin_percent');
             expect(query).toContain('profit_cents');
-            expect(query).toContain('v.price_money - vv.unit_cost_money');
+            expect(query).toContain('v.price_money - COALESCE(vv.landed_unit_cost_money, vv.unit_cost_money)');
             expect(query).toContain('v.price_money IS NOT NULL');
         });
 
@@ -0,0 +1,167 @@
+/**
+ * Tests for services/delivery/delivery-analytics.js
+ *
+ * Covers: the Monday-based reporting period, per-driver / per-week
+ * aggregation, on-time and duration metrics, skip reason counts and
+ * repeat failed addresses.
+ */
+
+const db = require('../../../utils/database');
+
+jest.mock('../../../services/merchant', () => ({
+    getMerchantLocaleConfig: jest.fn()
+}));
+
+const { getMerchantLocaleConfig } = require('../../../services/merchant');
+const { getDeliveryAnalytics } = require('../../../services/delivery/delivery-analytics');
+
+const MERCHANT_ID = 1;
+
+function makeRoute(overrides = {}) {
+    return {
+        id: 'route-1',
+        route_date: '2026-10-13',
+        estimated_duration_min: 60,
+        departed_at: '2026-10-13T13:00:00Z',
+        finished_at: '2026-10-13T20:00:00Z',
+        driver: 'Sam',
+        ...overrides
+    };
+}
+
+function makeEvent(overrides = {}) {
+    return {
+        route_id: 'route-1',
+        order_id: 'order-1',
+        action: 'order_completed',
+        occurred_at: '2026-10-13T13:30:00Z',
+        reason: null,
+        address: '1 King St W',
+        window_end: null,
+        ...overrides
+    };
+}
+
+describe('getDeliveryAnalytics', () => {
+    beforeEach(() => {
+        jest.resetAllMocks();
+        db.query.mockResolvedValue({ rows: [] });
+        getMerchantLocaleConfig.mockResolvedValue({ timezone: 'America/Toronto' });
+        // Wednesday afternoon in Toronto
+        jest.useFakeTimers().setSystemTime(new Date('2026-10-14T18:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('covers whole weeks starting on Monday and skips the event query without routes', async () => {
+        const analytics = await getDeliveryAnalytics(MERCHANT_ID, { weeks: 2 });
+
+        expect(analytics.from).toBe('2026-10-05');
+        expect(analytics.to).toBe('2026-10-14');
+        expect(analytics.weeks.map(w => w.weekStart)).toEqual(['2026-10-05', '2026-10-12']);
+        expect(db.query).toHaveBeenCalledTimes(1);
+        expect(db.query.mock.calls[0][1]).toEqual([MERCHANT_ID, '2026-10-05', '2026-10-14']);
+        expect(analytics.totals.skipRate).toBeNull();
+    });
+
+    it('computes on-time rate, duration and stops per hour for a route', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [makeRoute()] })
+            .mockResolvedValueOnce({
+                rows: [
+                    // Window ends 10:00 Toronto time (14:00Z)
+                    makeEvent({ order_id: 'o1', occurred_at: '2026-10-13T13:30:00Z', window_end: '10:00:00' }),
+                    makeEvent({ order_id: 'o2', occurred_at: '2026-10-13T14:30:00Z', window_end: '10:00:00' }),
+                    makeEvent({ order_id: 'o3', action: 'order_skipped', occurred_at: '2026-10-13T14:45:00Z', reason: 'not_home' }),
+                    makeEvent({ order_id: 'o4', occurred_at: '2026-10-13T15:00:00Z' })
+                ]
+            });
+
+        const { drivers, totals } = await getDeliveryAnalytics(MERCHANT_ID, { weeks: 2 });
+
+        expect(drivers).toHaveLength(1);
+        expect(drivers[0]).toEqual(expect.objectContaining({
+            driver: 'Sam',
+            routes: 1,
+            completed: 3,
+            skipped: 1,
+            skipRate: 0.25,
+            onTimeRate: 0.5,
+            estimatedMinutes: 60,
+            // Ends at the last stop event, not the late finish
+            actualMinutes: 120,
+            stopsPerHour: 2,
+            skipReasons: { not_home: 1 }
+        }));
+        expect(totals.completed).toBe(3);
+    });
+
+    it('uses the last event per order as its outcome', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [makeRoute()] })
+            .mockResolvedValueOnce({
+                rows: [
+                    makeEvent({ action: 'order_skipped', occurred_at: '2026-10-13T13:10:00Z', reason: 'no_access' }),
+                    makeEvent({ occurred_at: '2026-10-13T13:40:00Z' })
+                ]
+            });
+
+        const { totals } = await getDeliveryAnalytics(MERCHANT_ID, { weeks: 2 });
+
+        expect(totals.completed).toBe(1);
+        expect(totals.skipped).toBe(0);
+    });
+
+    it('groups routes by week and driver', async () => {
+        db.query
+            .mockResolvedValueOnce({
+                rows: [
+                    makeRoute({ id: 'r1', route_date: '2026-10-07', driver: 'Sam' }),
+                    makeRoute({ id: 'r2', route_date: '2026-10-13', driver: 'Sam' }),
+                    makeRoute({ id: 'r3', route_date: '2026-10-14', driver: 'Alex' })
+                ]
+            })
+            .mockResolvedValueOnce({
+                rows: [
+                    makeEvent({ route_id: 'r1', order_id: 'a' }),
+                    makeEvent({ route_id: 'r2', order_id: 'b' }),
+                    makeEvent({ route_id: 'r3', order_id: 'c', action: 'order_skipped' })
+                ]
+            });
+
+        const { weeks, drivers } = await getDeliveryAnalytics(MERCHANT_ID, { weeks: 2 });
+
+        expect(weeks[0].drivers.map(d => d.driver)).toEqual(['Sam']);
+        expect(weeks[1].drivers.map(d => d.driver).sort()).toEqual(['Alex', 'Sam']);
+        expect(drivers.find(d => d.driver === 'Sam').routes).toBe(2);
+        expect(drivers.find(d => d.driver === 'Alex').skipReasons).toEqual({ unspecified: 1 });
+    });
+
+    it('lists addresses skipped more than once', async () => {
+        db.query
+            .mockResolvedValueOnce({
+                rows: [makeRoute({ id: 'r1', route_date: '2026-10-07' }), makeRoute({ id: 'r2' })]
+            })
+            .mockResolvedValueOnce({
+                rows: [
+                    makeEvent({ route_id: 'r1', order_id: 'a', action: 'order_skipped', reason: 'not_home', address: '9 Bay St' }),
+                    makeEvent({ route_id: 'r1', order_id: 'b', action: 'order_skipped', reason: 'refused', address: '2 Elm St' }),
+                    makeEvent({
+                        route_id: 'r2', order_id: 'c', action: 'order_skipped', reason: 'not_home',
+                        address: '9  bay st', occurred_at: '2026-10-13T15:00:00Z'
+                    })
+                ]
+            });
+
+        const { repeatFailedAddresses } = await getDeliveryAnalytics(MERCHANT_ID, { weeks: 2 });
+
+        expect(repeatFailedAddresses).toEqual([{
+            address: '9 Bay St',
+            failures: 2,
+            reasons: { not_home: 2 },
+            lastFailedAt: '2026-10-13T15:00:00Z'
+        }]);
+    });
+});
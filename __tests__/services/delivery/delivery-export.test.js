@@ -0,0 +1,117 @@
+/**
+ * Tests for services/delivery/delivery-export.js
+ *
+ * Covers: GPX/KML waypoint order and escaping, exportRoute dispatch.
+ * Manifest layout is covered in delivery-manifest-pdf.test.js.
+ */
+
+const db = require('../../../utils/database');
+
+jest.mock('../../../services/delivery/delivery-routes', () => ({
+    getRouteWithOrders: jest.fn()
+}));
+jest.mock('../../../services/delivery/delivery-settings', () => ({
+    getSettings: jest.fn()
+}));
+
+const { getRouteWithOrders } = require('../../../services/delivery/delivery-routes');
+const { getSettings } = require('../../../services/delivery/delivery-settings');
+const {
+    buildRouteGpx,
+    buildRouteKml,
+    exportRoute
+} = require('../../../services/delivery/delivery-export');
+
+const MERCHANT_ID = 1;
+const ROUTE_ID = '22222222-2222-2222-2222-222222222222';
+
+const SETTINGS = { start_address: '1 Depot Rd', start_address_lat: '43.6500', start_address_lng: '-79.3800' };
+
+function makeRoute(overrides = {}) {
+    return {
+        id: ROUTE_ID,
+        route_date: '2026-03-14',
+        vehicle_number: 2,
+        vehicle_label: 'Van B',
+        total_distance_km: '12.5',
+        orders: [
+            {
+                id: 'o2', route_position: 2, customer_name: 'Bo & Co', address: '2 Second St',
+                address_lat: '43.6600', address_lng: '-79.3900', phone: '555-0102', notes: 'Side door'
+            },
+            {
+                id: 'o1', route_position: 1, customer_name: 'Ann', address: '1 First St',
+                address_lat: '43.6550', address_lng: '-79.3850', phone: '555-0101',
+                square_order_data: { lineItems: [{ name: 'Kibble', variationName: '5kg', quantity: '2', gtin: '0123456789012' }] }
+            },
+            { id: 'o3', route_position: 3, customer_name: 'Not Geocoded', address: '3 Third St', address_lat: null, address_lng: null }
+        ],
+        ...overrides
+    };
+}
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+});
+
+describe('buildRouteGpx', () => {
+    it('lists the depot then geocoded stops in route order', () => {
+        const gpx = buildRouteGpx(makeRoute(), SETTINGS);
+
+        const names = [...gpx.matchAll(/<rtept[^>]*>\s*<name>([^<]*)<\/name>/g)].map(m => m[1]);
+        expect(names).toEqual(['1 Depot Rd', '1. Ann', '2. Bo &amp; Co']);
+        expect(gpx).toContain('<rtept lat="43.655" lon="-79.385">');
+        expect(gpx).not.toContain('Not Geocoded');
+    });
+
+    it('prefers the route start override over merchant settings', () => {
+        const gpx = buildRouteGpx(makeRoute({ start_lat: 44, start_lng: -80 }), SETTINGS);
+        expect(gpx).toContain('<rtept lat="44" lon="-80">');
+    });
+});
+
+describe('buildRouteKml', () => {
+    it('writes placemarks and a route line in lng,lat order', () => {
+        const kml = buildRouteKml(makeRoute(), SETTINGS);
+
+        expect(kml).toContain('<Point><coordinates>-79.385,43.655</coordinates></Point>');
+        expect(kml).toContain('<coordinates>-79.38,43.65 -79.385,43.655 -79.39,43.66</coordinates>');
+        expect(kml).toContain('Van B');
+    });
+});
+
+describe('exportRoute', () => {
+    it('rejects unknown formats with a 400', async () => {
+        await expect(exportRoute(MERCHANT_ID, ROUTE_ID, 'pdf')).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('returns null when the route does not exist', async () => {
+        getRouteWithOrders.mockResolvedValueOnce(null);
+        expect(await exportRoute(MERCHANT_ID, ROUTE_ID, 'gpx')).toBeNull();
+    });
+
+    it('names files by route date and vehicle', async () => {
+        getRouteWithOrders.mockResolvedValueOnce(makeRoute({ route_date: new Date(2026, 2, 14) }));
+        getSettings.mockResolvedValueOnce(SETTINGS);
+
+        const result = await exportRoute(MERCHANT_ID, ROUTE_ID, 'kml');
+
+        expect(getRouteWithOrders).toHaveBeenCalledWith(MERCHANT_ID, ROUTE_ID);
+        expect(result.filename).toBe('route-2026-03-14-2.kml');
+        expect(result.contentType).toBe('application/vnd.google-earth.kml+xml');
+    });
+
+    it('builds the manifest with the merchant name', async () => {
+        getRouteWithOrders.mockResolvedValueOnce(makeRoute());
+        db.query.mockResolvedValueOnce({ rows: [{ business_name: 'Test Store' }] });
+
+        const result = await exportRoute(MERCHANT_ID, ROUTE_ID, 'manifest');
+
+        expect(result.contentType).toBe('application/pdf');
+        expect(result.filename).toBe('route-2026-03-14-2-manifest.pdf');
+        expect(result.content.toString('latin1')).toMatch(/^%PDF-1\.4/);
+        expect(result.content.toString('latin1')).toContain('(Test Store - Delivery Manifest) Tj');
+        expect(getSettings).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for services/delivery/delivery-geocoding-providers.js
+ *
+ * Covers: provider selection and fallback, the offline stub (never cached,
+ * absent in production), Nominatim response parsing, and normalizeAddress
+ * cache keys.
+ */
+
+const mockFetch = jest.fn();
+global.fetch = mockFetch;
+
+const { getGeocodingProvider, GEOCODING_PROVIDERS } = require('../../../services/delivery/delivery-geocoding-providers');
+const { normalizeAddress } = require('../../../services/delivery/delivery-geocode-cache');
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('getGeocodingProvider', () => {
+    it('exposes ors, nominatim and stub', () => {
+        expect(GEOCODING_PROVIDERS).toEqual(['ors', 'nominatim', 'stub']);
+    });
+
+    it('does not register the stub in production', () => {
+        const original = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+        try {
+            jest.isolateModules(() => {
+                const prod = require('../../../services/delivery/delivery-geocoding-providers');
+                expect(prod.GEOCODING_PROVIDERS).toEqual(['ors', 'nominatim']);
+                expect(prod.getGeocodingProvider('stub').name).toBe('ors');
+            });
+        } finally {
+            process.env.NODE_ENV = original;
+        }
+    });
+
+    it('marks only real providers as cacheable', () => {
+        expect(getGeocodingProvider('ors').cacheable).toBe(true);
+        expect(getGeocodingProvider('nominatim').cacheable).toBe(true);
+        expect(getGeocodingProvider('stub').cacheable).toBe(false);
+    });
+
+    it('falls back to ORS for unknown or missing names', () => {
+        expect(getGeocodingProvider(null).name).toBe('ors');
+        expect(getGeocodingProvider('bogus').name).toBe('ors');
+    });
+
+    it('rate limits Nominatim to one request per second', () => {
+        expect(getGeocodingProvider('nominatim').minIntervalMs).toBe(1000);
+    });
+});
+
+describe('stub provider', () => {
+    const stub = getGeocodingProvider('stub');
+
+    it('returns the same coordinates for the same address, near the depot', async () => {
+        const near = { lat: 43.65, lng: -79.38 };
+        const a = await stub.geocode('1 Main St', { near });
+        const b = await stub.geocode('1 Main St', { near });
+
+        expect(a).toEqual(b);
+        expect(Math.abs(a.lat - near.lat)).toBeLessThanOrEqual(0.05);
+        expect(Math.abs(a.lng - near.lng)).toBeLessThanOrEqual(0.05);
+        expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('spreads different addresses apart', async () => {
+        const a = await stub.geocode('1 Main St');
+        const b = await stub.geocode('2 Main St');
+        expect(a).not.toEqual(b);
+    });
+});
+
+describe('nominatim provider', () => {
+    const nominatim = getGeocodingProvider('nominatim');
+
+    it('returns null when nothing matches', async () => {
+        mockFetch.mockResolvedValue({ ok: true, json: jest.fn().mockResolvedValue([]) });
+        expect(await nominatim.geocode('Nowhere')).toBeNull();
+    });
+
+    it('returns null on HTTP errors instead of throwing', async () => {
+        mockFetch.mockResolvedValue({ ok: false, status: 429 });
+        expect(await nominatim.geocode('1 Main St')).toBeNull();
+    });
+});
+
+describe('normalizeAddress', () => {
+    it('treats spelling variants of the same address as one key', () => {
+        expect(normalizeAddress('123 Main Street, Apt. 4')).toBe('123 main st apt 4');
+        expect(normalizeAddress('  123 main st   apartment 4 ')).toBe('123 main st apt 4');
+        expect(normalizeAddress('200 Queen St. East')).toBe(normalizeAddress('200 queen st e'));
+    });
+});
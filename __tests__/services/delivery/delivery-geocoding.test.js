@@ -1,9 +1,13 @@
 /**
  * Tests for new helpers in services/delivery/delivery-geocoding.js:
  *   geocodeAndPatchOrder — get settings, geocode, update order
+ *   geocodeForMerchant — address cache first, then the merchant's provider
+ *   correctOrderLocation — manual pin correction, cached for future orders
  *   updateSettingsWithGeocode — geocode start/end, persist settings
  */
 
+const db = require('../../../utils/database');
+
 jest.mock('../../../utils/logger', () => ({
     info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
 }));
@@ -16,8 +20,10 @@ jest.mock('../../../services/delivery/delivery-settings', () => ({
 }));
 
 const mockUpdateOrder = jest.fn();
+const mockGetOrderById = jest.fn();
 jest.mock('../../../services/delivery/delivery-orders', () => ({
-    updateOrder: mockUpdateOrder
+    updateOrder: mockUpdateOrder,
+    getOrderById: mockGetOrderById
 }));
 
 // Mock global fetch for geocodeAddress
@@ -29,7 +35,12 @@ jest.mock('../../../services/delivery/delivery-utils', () => ({
     ORS_API_KEY: null
 }));
 
-const { geocodeAndPatchOrder, updateSettingsWithGeocode } = require('../../../services/delivery/delivery-geocoding');
+const {
+    geocodeAndPatchOrder,
+    geocodeForMerchant,
+    correctOrderLocation,
+    updateSettingsWithGeocode
+} = require('../../../services/delivery/delivery-geocoding');
 
 const MERCHANT_ID = 1;
 const ORDER_ID = 'order-uuid-1234';
@@ -52,6 +63,7 @@ beforeEach(() => {
     mockGetSettings.mockResolvedValue({ openrouteservice_api_key: 'test-key' });
     mockUpdateOrder.mockResolvedValue({});
     mockUpdateSettings.mockResolvedValue({ merchant_id: MERCHANT_ID });
+    db.query.mockResolvedValue({ rows: [] });
 });
 
 // ─── geocodeAndPatchOrder ────────────────────────────────────────────────────
@@ -82,6 +94,94 @@ describe('geocodeAndPatchOrder', () => {
     });
 });
 
+// ─── geocodeForMerchant ──────────────────────────────────────────────────────
+
+describe('geocodeForMerchant', () => {
+    it('returns cached coordinates without calling the provider', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ lat: '43.65', lng: '-79.38', confidence: null, source: 'manual' }] });
+
+        const coords = await geocodeForMerchant(MERCHANT_ID, '100 King Street West');
+
+        expect(coords).toEqual({ lat: 43.65, lng: -79.38, confidence: null, source: 'manual', cached: true });
+        expect(db.query.mock.calls[0][1]).toEqual([MERCHANT_ID, '100 king st w']);
+        expect(mockFetch).not.toHaveBeenCalled();
+        expect(mockGetSettings).not.toHaveBeenCalled();
+    });
+
+    it('geocodes on a cache miss and caches the provider result', async () => {
+        mockGeoSuccess(43.65, -79.38);
+
+        const coords = await geocodeForMerchant(MERCHANT_ID, '100 King St W');
+
+        expect(coords).toMatchObject({ lat: 43.65, lng: -79.38, source: 'provider', cached: false });
+        const [sql, params] = db.query.mock.calls[1];
+        expect(sql).toContain('INSERT INTO delivery_geocode_cache');
+        // Provider results must not overwrite a manual correction
+        expect(sql).toContain("delivery_geocode_cache.source <> 'manual'");
+        expect(params.slice(0, 7)).toEqual([MERCHANT_ID, '100 king st w', '100 King St W', 43.65, -79.38, 'provider', 'ors']);
+    });
+
+    it('uses the merchant\'s configured provider', async () => {
+        mockGetSettings.mockResolvedValue({ geocoding_provider: 'nominatim' });
+        mockFetch.mockResolvedValue({
+            ok: true,
+            json: jest.fn().mockResolvedValue([{ lat: '43.7', lon: '-79.4', importance: 0.6 }])
+        });
+
+        const coords = await geocodeForMerchant(MERCHANT_ID, '1 Yonge St');
+
+        expect(mockFetch.mock.calls[0][0]).toContain('nominatim');
+        expect(mockFetch.mock.calls[0][1].headers['User-Agent']).toBeTruthy();
+        expect(coords).toMatchObject({ lat: 43.7, lng: -79.4 });
+    });
+
+    it('does not cache results from the offline stub', async () => {
+        mockGetSettings.mockResolvedValue({ geocoding_provider: 'stub', start_address_lat: '43.65', start_address_lng: '-79.38' });
+
+        const coords = await geocodeForMerchant(MERCHANT_ID, '1 Yonge St');
+
+        expect(coords).toMatchObject({ source: 'provider', cached: false });
+        expect(mockFetch).not.toHaveBeenCalled();
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('still geocodes when the cache is unavailable', async () => {
+        db.query.mockRejectedValueOnce(new Error('relation does not exist'));
+        mockGeoSuccess(43.65, -79.38);
+
+        const coords = await geocodeForMerchant(MERCHANT_ID, '100 King St W');
+
+        expect(coords).toMatchObject({ lat: 43.65, lng: -79.38 });
+    });
+});
+
+// ─── correctOrderLocation ────────────────────────────────────────────────────
+
+describe('correctOrderLocation', () => {
+    it('updates the order and caches the pin as a manual correction', async () => {
+        mockGetOrderById.mockResolvedValue({ id: ORDER_ID, address: '100 King St. W' });
+        mockUpdateOrder.mockResolvedValue({ id: ORDER_ID, address_lat: 43.651, address_lng: -79.381 });
+
+        const order = await correctOrderLocation(MERCHANT_ID, ORDER_ID, { lat: 43.651, lng: -79.381 }, 7);
+
+        expect(order.address_lat).toBe(43.651);
+        expect(mockUpdateOrder).toHaveBeenCalledWith(MERCHANT_ID, ORDER_ID,
+            expect.objectContaining({ addressLat: 43.651, addressLng: -79.381 }));
+        const params = db.query.mock.calls[0][1];
+        expect(params[1]).toBe('100 king st w');
+        expect(params[5]).toBe('manual');
+        expect(params[8]).toBe(7);
+    });
+
+    it('throws 404 for an unknown order', async () => {
+        mockGetOrderById.mockResolvedValue(null);
+
+        await expect(correctOrderLocation(MERCHANT_ID, ORDER_ID, { lat: 1, lng: 1 }, 7))
+            .rejects.toMatchObject({ status: 404 });
+        expect(mockUpdateOrder).not.toHaveBeenCalled();
+    });
+});
+
 // ─── updateSettingsWithGeocode ───────────────────────────────────────────────
 
 describe('updateSettingsWithGeocode', () => {
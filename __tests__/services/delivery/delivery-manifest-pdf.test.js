@@ -0,0 +1,56 @@
+/**
+ * Tests for services/delivery/delivery-manifest-pdf.js
+ *
+ * Covers: stop order, contact details, GTIN line items, signature boxes
+ * and page continuation on long routes.
+ */
+
+const { buildRouteManifestPdf } = require('../../../services/delivery/delivery-manifest-pdf');
+
+function makeRoute(overrides = {}) {
+    return {
+        route_date: '2026-03-14',
+        vehicle_label: 'Van B',
+        total_distance_km: '12.5',
+        orders: [
+            { route_position: 2, customer_name: 'Bo & Co', address: '2 Second St', phone: '555-0102', notes: 'Side door' },
+            {
+                route_position: 1, customer_name: 'Ann', address: '1 First St', phone: '555-0101',
+                window_start: '09:00:00', window_end: '12:00:00',
+                square_order_data: { lineItems: [{ name: 'Kibble', variationName: '5kg', quantity: '2', gtin: '0123456789012' }] }
+            },
+            { route_position: 3, customer_name: 'Cy', address: '3 Third St' }
+        ],
+        ...overrides
+    };
+}
+
+describe('buildRouteManifestPdf', () => {
+    it('lists each stop in route order with contact details, GTIN line items and a signature box', () => {
+        const pdf = buildRouteManifestPdf(makeRoute(), 'Test Store').toString('latin1');
+
+        expect(pdf).toMatch(/^%PDF-1\.4/);
+        expect(pdf).toContain('(Test Store - Delivery Manifest) Tj');
+        expect(pdf).toContain('(2026-03-14 \\225 Van B \\225 3 stops \\225 12.5 km) Tj');
+        expect(pdf.indexOf('(Ann) Tj')).toBeLessThan(pdf.indexOf('(Bo & Co) Tj'));
+        expect(pdf).toContain('(Window: 09:00\\22612:00) Tj');
+        expect(pdf).toContain('(555-0101) Tj');
+        expect(pdf).toContain('(Side door) Tj');
+        expect(pdf).toContain('(Kibble - 5kg) Tj');
+        expect(pdf).toContain('(0123456789012) Tj');
+        expect(pdf).toContain('(No line items \\(manual order\\)) Tj');
+        expect(pdf.match(/\(Received by \\\(signature\\\)\) Tj/g)).toHaveLength(3);
+        expect(pdf).toContain('/Count 1');
+    });
+
+    it('continues long routes on further pages', () => {
+        const orders = Array.from({ length: 20 }, (_, i) => ({
+            route_position: i + 1, customer_name: `Customer ${i + 1}`, address: `${i + 1} Long Rd`
+        }));
+        const pdf = buildRouteManifestPdf(makeRoute({ orders }), 'Test Store').toString('latin1');
+
+        expect(pdf).toMatch(/\/Count [2-9]/);
+        expect(pdf).toContain('(Delivery Manifest 2026-03-14 \\(continued\\)) Tj');
+        expect(pdf).toContain('(Customer 20) Tj');
+    });
+});
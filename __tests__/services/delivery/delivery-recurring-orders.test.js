@@ -0,0 +1,184 @@
+/**
+ * Tests for services/delivery/delivery-recurring-orders.js
+ *
+ * Covers: picking the templates due on a date, skipping occurrences that
+ * already have an order, local vs Square-backed materialization, zone
+ * assignment, and per-template failure isolation.
+ */
+
+const db = require('../../../utils/database');
+
+jest.mock('../../../services/merchant', () => ({
+    getMerchantLocaleConfig: jest.fn()
+}));
+jest.mock('../../../services/delivery/delivery-orders', () => ({
+    createOrder: jest.fn(),
+    updateOrder: jest.fn()
+}));
+jest.mock('../../../services/delivery/delivery-gtin', () => ({
+    enrichLineItemsWithGtin: jest.fn()
+}));
+jest.mock('../../../services/delivery/delivery-zones', () => ({
+    assignOrderZone: jest.fn()
+}));
+jest.mock('../../../services/delivery/delivery-square', () => ({
+    ingestSquareOrder: jest.fn()
+}));
+jest.mock('../../../services/delivery/delivery-square-orders', () => ({
+    createSquareDeliveryOrder: jest.fn()
+}));
+
+const { getMerchantLocaleConfig } = require('../../../services/merchant');
+const { createOrder, updateOrder } = require('../../../services/delivery/delivery-orders');
+const { enrichLineItemsWithGtin } = require('../../../services/delivery/delivery-gtin');
+const { assignOrderZone } = require('../../../services/delivery/delivery-zones');
+const { ingestSquareOrder } = require('../../../services/delivery/delivery-square');
+const { createSquareDeliveryOrder } = require('../../../services/delivery/delivery-square-orders');
+const { materializeRecurringOrders } = require('../../../services/delivery/delivery-recurring-orders');
+
+const MERCHANT_ID = 1;
+const TEMPLATE_ID = '22222222-2222-2222-2222-222222222222';
+const TUESDAY = '2026-10-13';
+
+const template = (overrides = {}) => ({
+    id: TEMPLATE_ID,
+    customer_name: 'Jane Doe',
+    address: '1 King St W, Hamilton, ON',
+    address_lat: '43.2557',
+    address_lng: '-79.8711',
+    phone: '905-555-0100',
+    square_customer_id: 'CUST_1',
+    notes: 'Side door',
+    line_items: [{ name: 'Dog Food', quantity: 2, variationId: 'VAR_1', priceCents: 5499 }],
+    interval_weeks: 1,
+    start_date: '2026-10-06',
+    end_date: null,
+    skip_dates: [],
+    window_start: '10:00:00',
+    window_end: '12:00:00',
+    service_minutes: 10,
+    create_square_order: false,
+    is_active: true,
+    ...overrides
+});
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    getMerchantLocaleConfig.mockResolvedValue({ timezone: 'America/Toronto', currency: 'CAD' });
+    enrichLineItemsWithGtin.mockImplementation(async (merchantId, items) => items);
+    createOrder.mockImplementation(async (merchantId, data) => ({ id: 'order-1', ...data }));
+    assignOrderZone.mockResolvedValue(null);
+});
+
+describe('materializeRecurringOrders', () => {
+    it('creates a pending order for a template due on the date', async () => {
+        db.query.mockResolvedValueOnce({ rows: [template()] });
+
+        const result = await materializeRecurringOrders(MERCHANT_ID, { date: TUESDAY });
+
+        expect(result).toMatchObject({ date: TUESDAY, created: 1, existing: 0, failed: 0 });
+        expect(createOrder).toHaveBeenCalledWith(MERCHANT_ID, expect.objectContaining({
+            customerName: 'Jane Doe',
+            addressLat: '43.2557',
+            customerNote: 'Side door',
+            windowStart: '10:00:00',
+            recurringTemplateId: TEMPLATE_ID,
+            scheduledDate: TUESDAY,
+            squareOrderData: {
+                lineItems: [expect.objectContaining({ name: 'Dog Food', quantity: '2', catalogObjectId: 'VAR_1' })]
+            }
+        }));
+        expect(createSquareDeliveryOrder).not.toHaveBeenCalled();
+    });
+
+    it('only loads active templates in their date range and filters by cadence', async () => {
+        db.query.mockResolvedValueOnce({ rows: [template({ interval_weeks: 2 })] });
+
+        const result = await materializeRecurringOrders(MERCHANT_ID, { date: TUESDAY });
+
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toContain('is_active = TRUE');
+        expect(sql).toContain('start_date <= $2');
+        expect(params).toEqual([MERCHANT_ID, TUESDAY]);
+        expect(result.created).toBe(0);
+        expect(createOrder).not.toHaveBeenCalled();
+    });
+
+    it('skips occurrences that already have an order', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [template()] })
+            .mockResolvedValueOnce({ rows: [{ id: 'order-0' }] });
+
+        const result = await materializeRecurringOrders(MERCHANT_ID, { date: TUESDAY });
+
+        expect(result).toMatchObject({ created: 0, existing: 1 });
+        expect(db.query.mock.calls[1][1]).toEqual([MERCHANT_ID, TEMPLATE_ID, TUESDAY]);
+        expect(createOrder).not.toHaveBeenCalled();
+    });
+
+    it('assigns a zone using the template coordinates and priced total', async () => {
+        db.query.mockResolvedValueOnce({ rows: [template()] });
+        assignOrderZone.mockResolvedValueOnce({ zone_id: 3, delivery_fee_cents: 500, needs_review: false, review_reason: null });
+
+        const result = await materializeRecurringOrders(MERCHANT_ID, { date: TUESDAY });
+
+        const [, , coords, context] = assignOrderZone.mock.calls[0];
+        expect(coords).toEqual({ lat: 43.2557, lng: -79.8711 });
+        expect(context.orderTotalCents).toBe(10998);
+        expect(context.deliveryDate.getDay()).toBe(2);
+        expect(result.orders[0].zone_id).toBe(3);
+    });
+
+    it('records the last materialized date', async () => {
+        db.query.mockResolvedValueOnce({ rows: [template()] });
+
+        await materializeRecurringOrders(MERCHANT_ID, { date: TUESDAY });
+
+        const update = db.query.mock.calls.find(([sql]) => sql.includes('last_materialized_date'));
+        expect(update[1]).toEqual([TUESDAY, TEMPLATE_ID, MERCHANT_ID]);
+    });
+
+    it('creates and ingests a Square order when the template asks for one', async () => {
+        db.query.mockResolvedValueOnce({ rows: [template({ create_square_order: true })] });
+        createSquareDeliveryOrder.mockResolvedValueOnce({ id: 'SQ_ORDER_1' });
+        ingestSquareOrder.mockResolvedValueOnce({ id: 'order-9' });
+        updateOrder.mockResolvedValueOnce({ id: 'order-9', recurring_template_id: TEMPLATE_ID });
+
+        const result = await materializeRecurringOrders(MERCHANT_ID, { date: TUESDAY });
+
+        const [, delivery, idempotencyKey] = createSquareDeliveryOrder.mock.calls[0];
+        expect(delivery).toMatchObject({ customerName: 'Jane Doe', currency: 'CAD', note: 'Side door' });
+        expect(delivery.deliverAt).toBe('2026-10-13T14:00:00.000Z');
+        expect(idempotencyKey).toBe(`recurring-${TEMPLATE_ID}-${TUESDAY}`);
+        expect(ingestSquareOrder).toHaveBeenCalledWith(MERCHANT_ID, { id: 'SQ_ORDER_1' });
+        expect(updateOrder).toHaveBeenCalledWith(MERCHANT_ID, 'order-9', expect.objectContaining({
+            recurringTemplateId: TEMPLATE_ID, scheduledDate: TUESDAY, serviceMinutes: 10
+        }));
+        expect(createOrder).not.toHaveBeenCalled();
+        expect(result.created).toBe(1);
+    });
+
+    it('keeps going when one template fails', async () => {
+        db.query.mockResolvedValueOnce({
+            rows: [template({ create_square_order: true }), template({ id: 'other' })]
+        });
+        createSquareDeliveryOrder.mockRejectedValueOnce(new Error('Square down'));
+
+        const result = await materializeRecurringOrders(MERCHANT_ID, { date: TUESDAY });
+
+        expect(result).toMatchObject({ created: 1, failed: 1 });
+        expect(createOrder).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails the occurrence when the Square order cannot be ingested', async () => {
+        db.query.mockResolvedValueOnce({ rows: [template({ create_square_order: true })] });
+        createSquareDeliveryOrder.mockResolvedValueOnce({ id: 'SQ_ORDER_1' });
+        ingestSquareOrder.mockResolvedValueOnce(null);
+
+        const result = await materializeRecurringOrders(MERCHANT_ID, { date: TUESDAY });
+
+        expect(result.failed).toBe(1);
+        expect(db.query.mock.calls.some(([sql]) => sql.includes('last_materialized_date'))).toBe(false);
+    });
+});
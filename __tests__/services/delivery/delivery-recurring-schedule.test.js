@@ -0,0 +1,84 @@
+/**
+ * Tests for services/delivery/delivery-recurring-schedule.js
+ *
+ * Covers: weekly / multi-week cadence anchored on start_date, end and skip
+ * dates, upcoming date lists, and timezone-aware date conversion.
+ */
+
+const {
+    toDateKey,
+    todayInTimezone,
+    zonedDateTimeToIso,
+    isOccurrenceDate,
+    upcomingDates
+} = require('../../../services/delivery/delivery-recurring-schedule');
+
+// 2026-10-06 is a Tuesday
+const template = (overrides = {}) => ({
+    start_date: '2026-10-06', end_date: null, interval_weeks: 1, skip_dates: [], ...overrides
+});
+
+describe('toDateKey', () => {
+    it('uses local calendar fields for Date values', () => {
+        expect(toDateKey(new Date(2026, 9, 6))).toBe('2026-10-06');
+    });
+
+    it('trims timestamps to the date', () => {
+        expect(toDateKey('2026-10-06T00:00:00.000Z')).toBe('2026-10-06');
+    });
+});
+
+describe('isOccurrenceDate', () => {
+    it('delivers weekly on the start weekday', () => {
+        expect(isOccurrenceDate(template(), '2026-10-06')).toBe(true);
+        expect(isOccurrenceDate(template(), '2026-10-13')).toBe(true);
+        expect(isOccurrenceDate(template(), '2026-10-14')).toBe(false);
+    });
+
+    it('skips the off weeks of a multi-week cadence', () => {
+        const biweekly = template({ interval_weeks: 2 });
+        expect(isOccurrenceDate(biweekly, '2026-10-13')).toBe(false);
+        expect(isOccurrenceDate(biweekly, '2026-10-20')).toBe(true);
+    });
+
+    it('respects the start and end dates', () => {
+        expect(isOccurrenceDate(template(), '2026-09-29')).toBe(false);
+        expect(isOccurrenceDate(template({ end_date: '2026-10-13' }), '2026-10-20')).toBe(false);
+    });
+
+    it('honours skip dates given as strings or Dates', () => {
+        expect(isOccurrenceDate(template({ skip_dates: ['2026-10-13'] }), '2026-10-13')).toBe(false);
+        expect(isOccurrenceDate(template({ skip_dates: [new Date(2026, 9, 20)] }), '2026-10-20')).toBe(false);
+    });
+
+    it('crosses daylight saving changes without drifting', () => {
+        // Clocks change on 2026-11-01 in Toronto
+        expect(isOccurrenceDate(template(), '2026-11-03')).toBe(true);
+    });
+});
+
+describe('upcomingDates', () => {
+    it('lists the next occurrences from a date', () => {
+        expect(upcomingDates(template(), '2026-10-08')).toEqual(['2026-10-13', '2026-10-20', '2026-10-27']);
+    });
+
+    it('starts at start_date for future templates', () => {
+        expect(upcomingDates(template({ interval_weeks: 2 }), '2026-09-01', 2)).toEqual(['2026-10-06', '2026-10-20']);
+    });
+
+    it('leaves out skipped dates and stops at the end date', () => {
+        const t = template({ skip_dates: ['2026-10-13'], end_date: '2026-10-27' });
+        expect(upcomingDates(t, '2026-10-07', 5)).toEqual(['2026-10-20', '2026-10-27']);
+    });
+});
+
+describe('timezone helpers', () => {
+    it('returns today as YYYY-MM-DD', () => {
+        expect(todayInTimezone('America/Toronto')).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    });
+
+    it('converts a local time to UTC with the zone offset', () => {
+        expect(zonedDateTimeToIso('2026-07-14', '09:00', 'America/Toronto')).toBe('2026-07-14T13:00:00.000Z');
+        expect(zonedDateTimeToIso('2026-12-15', '09:00:00', 'America/Toronto')).toBe('2026-12-15T14:00:00.000Z');
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Tests for services/delivery/delivery-recurring.js and delivery-square-orders.js
+ *
+ * Covers: template create / update / delete with address geocoding, the list
+ * with next delivery dates, and building the Square order for a recurring
+ * delivery.
+ */
+
+const db = require('../../../utils/database');
+
+jest.mock('../../../services/merchant', () => ({
+    getMerchantLocaleConfig: jest.fn()
+}));
+jest.mock('../../../services/delivery/delivery-geocoding', () => ({
+    geocodeForMerchant: jest.fn()
+}));
+jest.mock('../../../middleware/merchant', () => ({
+    getSquareClientForMerchant: jest.fn()
+}));
+jest.mock('../../../services/catalog/location-service', () => ({
+    getFirstActiveLocation: jest.fn()
+}));
+
+const { getMerchantLocaleConfig } = require('../../../services/merchant');
+const { geocodeForMerchant } = require('../../../services/delivery/delivery-geocoding');
+const { getSquareClientForMerchant } = require('../../../middleware/merchant');
+const { getFirstActiveLocation } = require('../../../services/catalog/location-service');
+const {
+    listRecurringTemplates,
+    createRecurringTemplate,
+    updateRecurringTemplate,
+    deleteRecurringTemplate
+} = require('../../../services/delivery/delivery-recurring');
+const { createSquareDeliveryOrder } = require('../../../services/delivery/delivery-square-orders');
+
+const MERCHANT_ID = 1;
+const TEMPLATE_ID = '22222222-2222-2222-2222-222222222222';
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    getMerchantLocaleConfig.mockResolvedValue({ timezone: 'America/Toronto', currency: 'CAD' });
+});
+
+describe('createRecurringTemplate', () => {
+    const data = {
+        customerName: 'Jane Doe',
+        address: '1 King St W, Hamilton, ON',
+        startDate: '2026-10-06',
+        intervalWeeks: 2,
+        lineItems: [{ name: 'Dog Food', quantity: 2 }]
+    };
+
+    it('geocodes the address and stores the line items as JSON', async () => {
+        geocodeForMerchant.mockResolvedValueOnce({ lat: 43.2557, lng: -79.8711 });
+        db.query.mockResolvedValueOnce({ rows: [{ id: TEMPLATE_ID }] });
+
+        await createRecurringTemplate(MERCHANT_ID, data);
+
+        const params = db.query.mock.calls[0][1];
+        expect(params.slice(0, 5)).toEqual([MERCHANT_ID, 'Jane Doe', data.address, 43.2557, -79.8711]);
+        expect(params[8]).toBe(JSON.stringify(data.lineItems));
+        expect(params[9]).toBe(2);
+        expect(params[12]).toEqual([]);
+    });
+
+    it('keeps supplied coordinates without geocoding', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: TEMPLATE_ID }] });
+
+        await createRecurringTemplate(MERCHANT_ID, { ...data, addressLat: 43.1, addressLng: -79.9 });
+
+        expect(geocodeForMerchant).not.toHaveBeenCalled();
+        expect(db.query.mock.calls[0][1].slice(3, 5)).toEqual([43.1, -79.9]);
+    });
+
+    it('still saves when geocoding fails', async () => {
+        geocodeForMerchant.mockRejectedValueOnce(new Error('provider down'));
+        db.query.mockResolvedValueOnce({ rows: [{ id: TEMPLATE_ID }] });
+
+        await createRecurringTemplate(MERCHANT_ID, data);
+
+        expect(db.query.mock.calls[0][1].slice(3, 5)).toEqual([null, null]);
+    });
+});
+
+describe('updateRecurringTemplate', () => {
+    it('updates whitelisted fields scoped to the merchant', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: TEMPLATE_ID }] });
+
+        await updateRecurringTemplate(MERCHANT_ID, TEMPLATE_ID, {
+            skipDates: ['2026-10-20'], isActive: false, merchantId: 99
+        });
+
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toContain('skip_dates = $1, is_active = $2');
+        expect(sql).toContain('WHERE id = $3 AND merchant_id = $4');
+        expect(params).toEqual([['2026-10-20'], false, TEMPLATE_ID, MERCHANT_ID]);
+    });
+
+    it('re-geocodes a changed address', async () => {
+        geocodeForMerchant.mockResolvedValueOnce({ lat: 43.3, lng: -79.8 });
+        db.query.mockResolvedValueOnce({ rows: [{ id: TEMPLATE_ID }] });
+
+        await updateRecurringTemplate(MERCHANT_ID, TEMPLATE_ID, { address: '2 Main St' });
+
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toContain('address = $1, address_lat = $2, address_lng = $3');
+        expect(params.slice(0, 3)).toEqual(['2 Main St', 43.3, -79.8]);
+    });
+
+    it('returns null when the template does not exist', async () => {
+        expect(await updateRecurringTemplate(MERCHANT_ID, TEMPLATE_ID, { notes: 'x' })).toBeNull();
+    });
+});
+
+describe('listRecurringTemplates', () => {
+    it('adds upcoming dates to active templates only', async () => {
+        db.query.mockResolvedValueOnce({
+            rows: [
+                { id: 'a', is_active: true, start_date: new Date(2099, 0, 6), end_date: null, interval_weeks: 1, skip_dates: [] },
+                { id: 'b', is_active: false, start_date: new Date(2099, 0, 6), end_date: null, interval_weeks: 1, skip_dates: null }
+            ]
+        });
+
+        const templates = await listRecurringTemplates(MERCHANT_ID);
+
+        expect(templates[0].start_date).toBe('2099-01-06');
+        expect(templates[0].next_dates).toEqual(['2099-01-06', '2099-01-13', '2099-01-20']);
+        expect(templates[1].next_dates).toEqual([]);
+        expect(templates[1].skip_dates).toEqual([]);
+    });
+});
+
+describe('deleteRecurringTemplate', () => {
+    it('returns whether a template was deleted', async () => {
+        expect(await deleteRecurringTemplate(MERCHANT_ID, TEMPLATE_ID)).toBe(false);
+
+        db.query.mockResolvedValueOnce({ rows: [{ id: TEMPLATE_ID }] });
+        expect(await deleteRecurringTemplate(MERCHANT_ID, TEMPLATE_ID)).toBe(true);
+        expect(db.query.mock.calls[1][1]).toEqual([TEMPLATE_ID, MERCHANT_ID]);
+    });
+});
+
+describe('createSquareDeliveryOrder', () => {
+    const delivery = {
+        customerName: 'Jane Doe',
+        address: '1 King St W, Hamilton, ON',
+        phone: '905-555-0100',
+        squareCustomerId: 'CUST_1',
+        note: 'Side door',
+        lineItems: [
+            { name: 'Dog Food', quantity: 2, variationId: 'VAR_1' },
+            { name: 'Delivery bag', quantity: 1, priceCents: 150 }
+        ],
+        deliverAt: '2026-10-13T14:00:00.000Z',
+        currency: 'CAD'
+    };
+
+    it('creates an order with a scheduled delivery fulfillment', async () => {
+        const create = jest.fn().mockResolvedValue({ order: { id: 'SQ_1' } });
+        getSquareClientForMerchant.mockResolvedValueOnce({ orders: { create } });
+        getFirstActiveLocation.mockResolvedValueOnce({ id: 'LOC_1' });
+
+        const order = await createSquareDeliveryOrder(MERCHANT_ID, delivery, 'recurring-key');
+
+        expect(order).toEqual({ id: 'SQ_1' });
+        const request = create.mock.calls[0][0];
+        expect(request.idempotencyKey).toBe('recurring-key');
+        expect(request.order.locationId).toBe('LOC_1');
+        expect(request.order.customerId).toBe('CUST_1');
+        expect(request.order.lineItems).toEqual([
+            { quantity: '2', catalogObjectId: 'VAR_1' },
+            { quantity: '1', name: 'Delivery bag', basePriceMoney: { amount: BigInt(150), currency: 'CAD' } }
+        ]);
+        expect(request.order.fulfillments[0]).toEqual({
+            type: 'DELIVERY',
+            state: 'PROPOSED',
+            deliveryDetails: {
+                recipient: {
+                    displayName: 'Jane Doe',
+                    phoneNumber: '905-555-0100',
+                    address: { addressLine1: '1 King St W, Hamilton, ON' }
+                },
+                scheduleType: 'SCHEDULED',
+                deliverAt: '2026-10-13T14:00:00.000Z',
+                note: 'Side door'
+            }
+        });
+    });
+
+    it('fails without an active location', async () => {
+        getFirstActiveLocation.mockResolvedValueOnce(null);
+
+        await expect(createSquareDeliveryOrder(MERCHANT_ID, delivery, 'k')).rejects.toThrow('No active Square location');
+        expect(getSquareClientForMerchant).not.toHaveBeenCalled();
+    });
+});
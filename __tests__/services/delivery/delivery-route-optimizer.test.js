@@ -0,0 +1,275 @@
+/**
+ * Tests for services/delivery/delivery-route-optimizer.js
+ *
+ * Covers optimizeRoute's ORS call and the built-in solver fallback used
+ * when ORS has no key, is rate-limited, or errors, plus time window /
+ * service duration handling on both paths.
+ */
+
+jest.mock('../../../services/delivery/delivery-utils', () => ({
+    ...jest.requireActual('../../../services/delivery/delivery-utils'),
+    ORS_BASE_URL: 'https://api.openrouteservice.org',
+    ORS_API_KEY: null
+}));
+jest.mock('../../../services/loyalty-admin/customer-details-service', () => ({
+    getCustomerDetails: jest.fn()
+}));
+
+global.fetch = jest.fn();
+
+const logger = require('../../../utils/logger');
+const { optimizeRoute, optimizeFleet } = require('../../../services/delivery/delivery-route-optimizer');
+
+function makeSettings(overrides = {}) {
+    return {
+        start_address_lat: '43.6500',
+        start_address_lng: '-79.3800',
+        end_address_lat: '43.7000',
+        end_address_lng: '-79.3800',
+        openrouteservice_api_key: 'ors-key',
+        ...overrides
+    };
+}
+
+// Inserted far → near; the solver should reverse them heading toward the end point
+const ORDERS = [
+    { id: 'far', address_lat: '43.6800', address_lng: '-79.3800' },
+    { id: 'mid', address_lat: '43.6700', address_lng: '-79.3800' },
+    { id: 'near', address_lat: '43.6600', address_lng: '-79.3800' }
+];
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('optimizeRoute', () => {
+    it('throws when start address is not geocoded', async () => {
+        await expect(optimizeRoute(makeSettings({ start_address_lat: null }), ORDERS))
+            .rejects.toThrow('Start address not geocoded');
+    });
+
+    it('uses the built-in solver when no API key is configured', async () => {
+        const result = await optimizeRoute(makeSettings({ openrouteservice_api_key: null }), ORDERS);
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(result.optimizer).toBe('local');
+        expect(result.orderedIds).toEqual(['near', 'mid', 'far']);
+        expect(result.distance).toBeGreaterThan(0);
+    });
+
+    it('returns ORS ordering when the API succeeds', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: jest.fn().mockResolvedValue({
+                routes: [{
+                    distance: 12500,
+                    duration: 1800,
+                    steps: [
+                        { type: 'start' },
+                        { type: 'job', job: 2 },
+                        { type: 'job', job: 3 },
+                        { type: 'job', job: 1 },
+                        { type: 'end' }
+                    ]
+                }]
+            })
+        });
+
+        const result = await optimizeRoute(makeSettings(), ORDERS);
+
+        expect(result).toMatchObject({ orderedIds: ['mid', 'near', 'far'], distance: 12.5, duration: 30, lateIds: [], optimizer: 'ors' });
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.vehicles[0].start).toEqual([-79.38, 43.65]);
+        expect(body.vehicles[0].end).toEqual([-79.38, 43.7]);
+    });
+
+    it('falls back to the built-in solver when ORS is rate-limited', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: false,
+            status: 429,
+            text: jest.fn().mockResolvedValue('Rate limit exceeded')
+        });
+
+        const result = await optimizeRoute(makeSettings(), ORDERS);
+
+        expect(result.optimizer).toBe('local');
+        expect(result.orderedIds).toEqual(['near', 'mid', 'far']);
+        expect(logger.warn).toHaveBeenCalledWith(
+            'ORS optimization failed, using built-in route solver',
+            expect.objectContaining({ error: expect.stringContaining('429') })
+        );
+    });
+
+    it('falls back to the built-in solver on network errors', async () => {
+        global.fetch.mockRejectedValueOnce(new Error('ECONNRESET'));
+
+        const result = await optimizeRoute(makeSettings(), ORDERS);
+
+        expect(result.optimizer).toBe('local');
+        expect(result.orderedIds).toHaveLength(3);
+    });
+
+    it('falls back to the built-in solver when ORS returns no routes', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: jest.fn().mockResolvedValue({ routes: [] })
+        });
+
+        const result = await optimizeRoute(makeSettings(), ORDERS);
+
+        expect(result.optimizer).toBe('local');
+    });
+
+    it('returns to start when no end address is set', async () => {
+        const result = await optimizeRoute(
+            makeSettings({ openrouteservice_api_key: null, end_address_lat: null, end_address_lng: null }),
+            ORDERS
+        );
+        // Out to the far stop and back: ~3.3 km each way before road scaling
+        expect(result.distance).toBeGreaterThan(6.6);
+    });
+});
+
+describe('optimizeRoute — time windows and service durations', () => {
+    const WINDOWED = [
+        { id: 'far', address_lat: '43.6800', address_lng: '-79.3800', window_start: '10:00:00', window_end: '10:30:00', service_minutes: 12 },
+        { id: 'near', address_lat: '43.6600', address_lng: '-79.3800', window_start: null, window_end: '11:00:00', service_minutes: null }
+    ];
+
+    it('sends per-order service time and time_windows to ORS', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: jest.fn().mockResolvedValue({ routes: [{ steps: [] }] })
+        });
+
+        await optimizeRoute(makeSettings(), WINDOWED, { departureSec: 9 * 3600 });
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.jobs[0]).toMatchObject({ service: 720, time_windows: [[36000, 37800]] });
+        expect(body.jobs[1]).toMatchObject({ service: 300, time_windows: [[0, 39600]] });
+        expect(body.vehicles[0].time_window[0]).toBe(32400);
+    });
+
+    it('omits time_windows for orders without a window', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: jest.fn().mockResolvedValue({ routes: [{ steps: [] }] })
+        });
+
+        await optimizeRoute(makeSettings(), ORDERS);
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.jobs[0].time_windows).toBeUndefined();
+        expect(body.jobs[0].service).toBe(300);
+    });
+
+    it('appends ORS unassigned jobs to the route and flags them late', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: jest.fn().mockResolvedValue({
+                routes: [{
+                    distance: 5000,
+                    duration: 600,
+                    steps: [
+                        { type: 'start', arrival: 32400 },
+                        { type: 'job', job: 2, arrival: 33000, waiting_time: 0 },
+                        { type: 'end', arrival: 34000 }
+                    ]
+                }],
+                unassigned: [{ id: 1, location: [-79.38, 43.68] }]
+            })
+        });
+
+        const result = await optimizeRoute(makeSettings(), WINDOWED, { departureSec: 32400 });
+
+        expect(result.orderedIds).toEqual(['near', 'far']);
+        expect(result.lateIds).toEqual(['far']);
+        expect(result.arrivals).toEqual({ near: 33000 });
+    });
+
+    it('enforces windows in the built-in solver fallback', async () => {
+        global.fetch.mockRejectedValueOnce(new Error('ECONNRESET'));
+        // 'far' must be served by 09:10 — only possible if visited first
+        const orders = [
+            { id: 'near', address_lat: '43.6600', address_lng: '-79.3800' },
+            { id: 'far', address_lat: '43.6800', address_lng: '-79.3800', window_end: '09:10:00' }
+        ];
+
+        const result = await optimizeRoute(
+            makeSettings({ end_address_lat: null, end_address_lng: null }),
+            orders,
+            { departureSec: 9 * 3600 }
+        );
+
+        expect(result.optimizer).toBe('local');
+        expect(result.orderedIds).toEqual(['far', 'near']);
+        expect(result.lateIds).toEqual([]);
+        expect(result.arrivals.far).toBeLessThanOrEqual(9 * 3600 + 600);
+    });
+});
+
+describe('optimizeFleet', () => {
+    const FLEET_ORDERS = [
+        { id: 'n1', address_lat: '43.7000', address_lng: '-79.3800' },
+        { id: 's1', address_lat: '43.6000', address_lng: '-79.3800' },
+        { id: 'n2', address_lat: '43.7200', address_lng: '-79.3800' },
+        { id: 's2', address_lat: '43.5800', address_lng: '-79.3800' }
+    ];
+
+    it('delegates a single vehicle to optimizeRoute', async () => {
+        const result = await optimizeFleet(makeSettings({ openrouteservice_api_key: null }), FLEET_ORDERS, { loads: [4] });
+        expect(result).toHaveLength(1);
+        expect(result[0].orderedIds).toHaveLength(4);
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('sends one capacity-limited ORS vehicle per load', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: jest.fn().mockResolvedValue({
+                routes: [
+                    { vehicle: 1, distance: 4000, duration: 600, steps: [{ type: 'job', job: 1 }, { type: 'job', job: 3 }] },
+                    { vehicle: 2, distance: 5000, duration: 720, steps: [{ type: 'job', job: 2 }, { type: 'job', job: 4 }] }
+                ]
+            })
+        });
+
+        const result = await optimizeFleet(makeSettings(), FLEET_ORDERS, { loads: [2, 2], departureSec: 32400 });
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.vehicles.map(v => v.capacity)).toEqual([[2], [2]]);
+        expect(body.jobs.every(j => j.delivery[0] === 1)).toBe(true);
+        expect(result.map(r => r.orderedIds)).toEqual([['n1', 'n2'], ['s1', 's2']]);
+        expect(result[1]).toMatchObject({ distance: 5, duration: 12, optimizer: 'ors' });
+    });
+
+    it('gives vehicles ORS left idle an empty route and places unassigned stops', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: jest.fn().mockResolvedValue({
+                routes: [{ vehicle: 2, steps: [{ type: 'job', job: 1 }, { type: 'job', job: 2 }, { type: 'job', job: 3 }] }],
+                unassigned: [{ id: 4 }]
+            })
+        });
+
+        const result = await optimizeFleet(makeSettings(), FLEET_ORDERS, { loads: [1, 3] });
+
+        expect(result[0]).toMatchObject({ orderedIds: ['s2'], lateIds: ['s2'] });
+        expect(result[1].orderedIds).toEqual(['n1', 's1', 'n2']);
+    });
+
+    it('splits by area with the built-in solver when ORS is unavailable', async () => {
+        global.fetch.mockResolvedValueOnce({ ok: false, status: 429, text: jest.fn().mockResolvedValue('Too Many Requests') });
+
+        const result = await optimizeFleet(makeSettings(), FLEET_ORDERS, { loads: [2, 2] });
+
+        const groups = result.map(r => [...r.orderedIds].sort());
+        expect(groups).toEqual(expect.arrayContaining([['n1', 'n2'], ['s1', 's2']]));
+        expect(result.every(r => r.optimizer === 'local')).toBe(true);
+    });
+
+    it('throws when the start address is not geocoded', async () => {
+        await expect(optimizeFleet(makeSettings({ start_address_lat: null }), FLEET_ORDERS, { loads: [2, 2] }))
+            .rejects.toThrow('Start address not geocoded');
+    });
+});
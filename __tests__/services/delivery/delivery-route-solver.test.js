@@ -0,0 +1,174 @@
+/**
+ * Tests for services/delivery/delivery-route-solver.js
+ *
+ * Covers:
+ *   - haversineKm distance
+ *   - solveRoute ordering (nearest-neighbour + 2-opt/or-opt), fixed start/end
+ *   - time windows, service durations, and late-stop flagging
+ */
+
+const { haversineKm, solveRoute } = require('../../../services/delivery/delivery-route-solver');
+
+const START = { lat: 43.6500, lng: -79.3800 };
+
+// Stops spaced ~1.1 km apart heading north from START
+function northStop(id, steps) {
+    return { id, lat: START.lat + 0.01 * steps, lng: START.lng };
+}
+
+describe('haversineKm', () => {
+    it('returns 0 for identical points', () => {
+        expect(haversineKm(START, START)).toBe(0);
+    });
+
+    it('computes ~111 km per degree of latitude', () => {
+        const d = haversineKm({ lat: 43, lng: -79 }, { lat: 44, lng: -79 });
+        expect(d).toBeGreaterThan(110);
+        expect(d).toBeLessThan(112);
+    });
+
+    it('is symmetric', () => {
+        const a = { lat: 43.65, lng: -79.38 };
+        const b = { lat: 43.70, lng: -79.42 };
+        expect(haversineKm(a, b)).toBeCloseTo(haversineKm(b, a), 10);
+    });
+});
+
+describe('solveRoute', () => {
+    it('returns an empty route when there are no stops', () => {
+        expect(solveRoute({ start: START, stops: [] }))
+            .toEqual({ orderedIds: [], distance: 0, duration: 0, arrivals: {}, lateIds: [] });
+    });
+
+    it('orders collinear stops outward from the start', () => {
+        const stops = [northStop('c', 3), northStop('a', 1), northStop('d', 4), northStop('b', 2)];
+        const result = solveRoute({ start: START, end: northStop('end', 5), stops });
+        expect(result.orderedIds).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('honors a fixed end point by visiting the far stops last', () => {
+        // End is far north, so the southern stop must come first even though
+        // nearest-neighbour from START would be ambiguous
+        const stops = [northStop('north', 2), { id: 'south', lat: START.lat - 0.01, lng: START.lng }];
+        const result = solveRoute({ start: START, end: northStop('end', 10), stops });
+        expect(result.orderedIds).toEqual(['south', 'north']);
+    });
+
+    it('returns to start when no end is given', () => {
+        const stops = [northStop('a', 1), northStop('b', 2)];
+        const result = solveRoute({ start: START, stops });
+        // Out and back: ~2.2 km each way, scaled for road distance
+        expect(result.distance).toBeGreaterThan(4.4);
+        expect(result.orderedIds.sort()).toEqual(['a', 'b']);
+    });
+
+    it('untangles a crossing produced by nearest-neighbour', () => {
+        // Four corners of a square; the optimal open path start→…→end never crosses itself
+        const start = { lat: 0, lng: 0 };
+        const end = { lat: 0, lng: 0.001 };
+        const stops = [
+            { id: 'ne', lat: 0.02, lng: 0.021 },
+            { id: 'nw', lat: 0.02, lng: -0.02 },
+            { id: 'n', lat: 0.03, lng: 0 },
+            { id: 'w', lat: 0.001, lng: -0.02 },
+            { id: 'e', lat: 0.001, lng: 0.021 }
+        ];
+        const result = solveRoute({ start, end, stops });
+        const idx = id => result.orderedIds.indexOf(id);
+        // West side then north then east (or mirror) — never zig-zags across
+        const westFirst = idx('w') < idx('e');
+        if (westFirst) {
+            expect(result.orderedIds).toEqual(['w', 'nw', 'n', 'ne', 'e']);
+        } else {
+            expect(result.orderedIds).toEqual(['e', 'ne', 'n', 'nw', 'w']);
+        }
+    });
+
+    it('includes every stop exactly once', () => {
+        const stops = Array.from({ length: 25 }, (_, i) => ({
+            id: `s${i}`,
+            lat: 43.6 + ((i * 37) % 17) * 0.003,
+            lng: -79.4 + ((i * 53) % 19) * 0.004
+        }));
+        const result = solveRoute({ start: START, stops });
+        expect(result.orderedIds).toHaveLength(25);
+        expect(new Set(result.orderedIds).size).toBe(25);
+    });
+
+    it('never produces a longer route than insertion order', () => {
+        const stops = Array.from({ length: 12 }, (_, i) => ({
+            id: `s${i}`,
+            lat: 43.6 + ((i * 7) % 11) * 0.005,
+            lng: -79.4 + ((i * 5) % 13) * 0.005
+        }));
+        const byId = Object.fromEntries(stops.map(s => [s.id, s]));
+        const length = ids => {
+            const pts = [START, ...ids.map(id => byId[id]), START];
+            let total = 0;
+            for (let i = 1; i < pts.length; i++) total += haversineKm(pts[i - 1], pts[i]);
+            return total;
+        };
+        const result = solveRoute({ start: START, stops });
+        expect(length(result.orderedIds)).toBeLessThanOrEqual(length(stops.map(s => s.id)));
+    });
+
+    it('estimates duration from distance', () => {
+        const result = solveRoute({ start: START, end: northStop('end', 20), stops: [northStop('a', 10)] });
+        expect(result.distance).toBeGreaterThan(0);
+        expect(result.duration).toBeGreaterThan(0);
+    });
+});
+
+describe('solveRoute — time windows', () => {
+    const DEPART = 9 * 3600;
+
+    it('reports service start per stop, including service time at earlier stops', () => {
+        const stops = [
+            { ...northStop('a', 1), serviceSec: 600 },
+            northStop('b', 2)
+        ];
+        const result = solveRoute({ start: START, end: northStop('end', 3), stops, departureSec: DEPART });
+        expect(result.orderedIds).toEqual(['a', 'b']);
+        expect(result.arrivals.a).toBeGreaterThan(DEPART);
+        // b is reached after driving to a, 10 min of service, then one more leg
+        expect(result.arrivals.b - result.arrivals.a).toBeGreaterThan(600);
+    });
+
+    it('waits at a stop when arriving before its window opens', () => {
+        const stops = [{ ...northStop('a', 1), windowStart: DEPART + 3600 }];
+        const result = solveRoute({ start: START, stops, departureSec: DEPART });
+        expect(result.arrivals.a).toBe(DEPART + 3600);
+        expect(result.lateIds).toEqual([]);
+    });
+
+    it('reorders stops to meet a tight deadline at the farther stop', () => {
+        // Distance-only order would be a → b; b must be served within 10 minutes,
+        // which the 5-minute stop at a makes impossible
+        const stops = [
+            { ...northStop('a', 1), serviceSec: 300 },
+            { ...northStop('b', 3), windowEnd: DEPART + 600 }
+        ];
+        const result = solveRoute({ start: START, stops, departureSec: DEPART });
+        expect(result.orderedIds).toEqual(['b', 'a']);
+        expect(result.lateIds).toEqual([]);
+    });
+
+    it('flags stops that cannot fit their window instead of hiding them', () => {
+        // Window closed before the driver even leaves
+        const stops = [northStop('a', 1), { ...northStop('b', 2), windowEnd: DEPART - 60 }];
+        const result = solveRoute({ start: START, stops, departureSec: DEPART });
+        expect(result.orderedIds).toHaveLength(2);
+        expect(result.lateIds).toEqual(['b']);
+    });
+
+    it('prefers on-time routes over shorter late ones', () => {
+        const stops = [
+            { ...northStop('x', 4), windowStart: DEPART + 7200, windowEnd: DEPART + 9000 },
+            { ...northStop('y', 1), windowEnd: DEPART + 1800 },
+            northStop('z', 2)
+        ];
+        const result = solveRoute({ start: START, stops, departureSec: DEPART });
+        expect(result.lateIds).toEqual([]);
+        expect(result.orderedIds.indexOf('y')).toBeLessThan(result.orderedIds.indexOf('x'));
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for services/delivery/delivery-route-splitter.js
+ *
+ * Covers:
+ *   - planVehicleLoads balancing and capacity limits
+ *   - sweepSplit geographic grouping around the depot
+ */
+
+const { planVehicleLoads, sweepSplit } = require('../../../services/delivery/delivery-route-splitter');
+
+const DEPOT = { lat: 43.65, lng: -79.38 };
+
+function at(id, dLat, dLng) {
+    return { id, lat: DEPOT.lat + dLat, lng: DEPOT.lng + dLng };
+}
+
+describe('planVehicleLoads', () => {
+    it('balances stops evenly when vehicles are unlimited', () => {
+        expect(planVehicleLoads(7, [null, null, null])).toEqual([3, 2, 2]);
+    });
+
+    it('gives a single vehicle every stop', () => {
+        expect(planVehicleLoads(5, [undefined])).toEqual([5]);
+    });
+
+    it('shifts overflow to vehicles with room', () => {
+        expect(planVehicleLoads(10, [2, null])).toEqual([2, 8]);
+        expect(planVehicleLoads(9, [3, 3, 5])).toEqual([3, 3, 3]);
+    });
+
+    it('leaves extra vehicles empty when there are fewer stops than vehicles', () => {
+        expect(planVehicleLoads(2, [null, null, null])).toEqual([1, 1, 0]);
+    });
+
+    it('throws a 400 error when total capacity is too small', () => {
+        expect(() => planVehicleLoads(6, [2, 3])).toThrow('Vehicle capacity (5 stops) is less than the 6 orders');
+        try {
+            planVehicleLoads(6, [2, 3]);
+        } catch (err) {
+            expect(err.status).toBe(400);
+        }
+    });
+});
+
+describe('sweepSplit', () => {
+    it('keeps stops on the same side of the depot together', () => {
+        const stops = [at('n1', 0.05, 0), at('s1', -0.05, 0), at('n2', 0.07, 0.01), at('s2', -0.06, -0.01)];
+
+        const groups = sweepSplit(DEPOT, stops, [2, 2]).map(g => g.map(s => s.id).sort());
+
+        expect(groups).toEqual(expect.arrayContaining([['n1', 'n2'], ['s1', 's2']]));
+    });
+
+    it('produces groups matching the requested loads', () => {
+        const stops = Array.from({ length: 6 }, (_, i) =>
+            at(`s${i}`, Math.sin(i) * 0.05, Math.cos(i) * 0.05));
+
+        const groups = sweepSplit(DEPOT, stops, [4, 2, 0]);
+
+        expect(groups.map(g => g.length)).toEqual([4, 2, 0]);
+        expect(groups.flat().map(s => s.id).sort()).toEqual(stops.map(s => s.id).sort());
+    });
+
+    it('does not split a cluster that straddles due west', () => {
+        // Bearings wrap from +π to -π due west of the depot
+        const stops = [at('w1', 0.001, -0.05), at('e1', -0.01, 0.05), at('w2', -0.001, -0.05), at('e2', 0.01, 0.05)];
+
+        const groups = sweepSplit(DEPOT, stops, [2, 2]).map(g => g.map(s => s.id).sort());
+
+        expect(groups).toEqual(expect.arrayContaining([['w1', 'w2'], ['e1', 'e2']]));
+    });
+
+    it('carries through extra properties on the stop objects', () => {
+        const stops = [{ ...at('a', 0.01, 0), order: { id: 'a' } }];
+        expect(sweepSplit(DEPOT, stops, [1])[0][0].order).toEqual({ id: 'a' });
+    });
+});
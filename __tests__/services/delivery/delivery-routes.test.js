@@ -4,6 +4,7 @@
  * Covers:
  *   - getActiveRouteWithOrders — extracted from GET /route/active handler
  *   - finishRoute(merchantId, null, userId) — absorbs active-route resolution from route handler
+ *   - generateRoute with multiple vehicles — balanced split, per-route driver tokens
  */
 
 const db = require('../../../utils/database');
@@ -19,7 +20,7 @@ jest.mock('../../../services/loyalty-admin/customer-details-service', () => ({
 jest.mock('fs', () => ({ promises: { mkdir: jest.fn(), writeFile: jest.fn(), unlink: jest.fn() } }));
 global.fetch = jest.fn();
 
-const { getActiveRouteWithOrders, finishRoute } = require('../../../services/delivery/delivery-routes');
+const { getActiveRouteWithOrders, finishRoute, generateRoute } = require('../../../services/delivery/delivery-routes');
 
 const MERCHANT_ID = 1;
 const USER_ID = 10;
@@ -54,7 +55,7 @@ describe('getActiveRouteWithOrders', () => {
     it('returns { route: null, orders: [] } when no active route exists', async () => {
         db.query.mockResolvedValueOnce({ rows: [] }); // getActiveRoute finds nothing
         const result = await getActiveRouteWithOrders(MERCHANT_ID);
-        expect(result).toEqual({ route: null, orders: [] });
+        expect(result).toEqual({ route: null, orders: [], routes: [] });
     });
 
     it('returns route and orders when active route exists', async () => {
@@ -68,6 +69,18 @@ describe('getActiveRouteWithOrders', () => {
         expect(Array.isArray(result.orders)).toBe(true);
     });
 
+    it('lists every active route for the day alongside the first route\'s orders', async () => {
+        const first = makeRoute({ vehicle_number: 1 });
+        const second = makeRoute({ id: 'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', vehicle_number: 2 });
+        db.query
+            .mockResolvedValueOnce({ rows: [first, second] }) // getActiveRoutes
+            .mockResolvedValueOnce({ rows: [first] })         // getRouteWithOrders — route lookup
+            .mockResolvedValueOnce({ rows: [] });             // getOrders
+        const result = await getActiveRouteWithOrders(MERCHANT_ID);
+        expect(result.route).toBe(first);
+        expect(result.routes).toEqual([first, second]);
+    });
+
     it('returns empty orders array when route has no orders', async () => {
         const route = makeRoute();
         db.query
@@ -84,7 +97,7 @@ describe('getActiveRouteWithOrders', () => {
 // ---------------------------------------------------------------------------
 describe('finishRoute with null routeId', () => {
     it('throws 400 error when no routeId and no active route exists', async () => {
-        db.query.mockResolvedValueOnce({ rows: [] }); // getActiveRoute finds nothing
+        db.query.mockResolvedValueOnce({ rows: [] }); // getActiveRoutes finds nothing
         await expect(finishRoute(MERCHANT_ID, null, USER_ID)).rejects.toMatchObject({
             message: 'No active route found',
             status: 400
@@ -93,7 +106,7 @@ describe('finishRoute with null routeId', () => {
 
     it('resolves to active route ID when routeId is null', async () => {
         const route = makeRoute();
-        db.query.mockResolvedValueOnce({ rows: [route] }); // getActiveRoute
+        db.query.mockResolvedValueOnce({ rows: [route] }); // getActiveRoutes
 
         const client = makeMockClient([
             { rows: [] },                           // BEGIN
@@ -111,4 +124,135 @@ describe('finishRoute with null routeId', () => {
         const result = await finishRoute(MERCHANT_ID, null, USER_ID);
         expect(result.routeId).toBe(ROUTE_ID);
     });
+
+    it('throws 400 error when no routeId and several routes are active', async () => {
+        db.query.mockResolvedValueOnce({ rows: [makeRoute(), makeRoute({ id: 'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', vehicle_number: 2 })] });
+        await expect(finishRoute(MERCHANT_ID, null, USER_ID)).rejects.toMatchObject({
+            message: 'Several routes are active today; choose which route to finish',
+            status: 400
+        });
+        expect(db.getClient).not.toHaveBeenCalled();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// generateRoute — multiple vehicles
+// ---------------------------------------------------------------------------
+describe('generateRoute with multiple vehicles', () => {
+    // Two stops north of the depot, two south; no ORS key so the built-in solver runs
+    const ORDERS = [
+        { id: 'n1', address_lat: '43.70', address_lng: '-79.38', geocoded_at: new Date() },
+        { id: 's1', address_lat: '43.60', address_lng: '-79.38', geocoded_at: new Date() },
+        { id: 'n2', address_lat: '43.72', address_lng: '-79.38', geocoded_at: new Date() },
+        { id: 's2', address_lat: '43.58', address_lng: '-79.38', geocoded_at: new Date() }
+    ];
+
+    function mockDeliveryDb({ orders = ORDERS } = {}) {
+        db.query.mockImplementation((sql, params) => {
+            if (sql.includes('FROM delivery_routes dr')) return Promise.resolve({ rows: [] });
+            if (sql.includes('FROM delivery_settings')) {
+                return Promise.resolve({ rows: [{ start_address: '1 Depot', start_address_lat: '43.65', start_address_lng: '-79.38' }] });
+            }
+            if (sql.includes('SELECT * FROM delivery_orders')) return Promise.resolve({ rows: orders });
+            if (sql.includes('SELECT * FROM delivery_routes WHERE id')) {
+                return Promise.resolve({ rows: [makeRoute({ id: params[0] })] });
+            }
+            if (sql.includes('INSERT INTO delivery_route_tokens')) {
+                return Promise.resolve({ rows: [{ id: `token-${params[1]}`, route_id: params[1], token: `tok-${params[1]}` }] });
+            }
+            return Promise.resolve({ rows: [], rowCount: 0 });
+        });
+
+        const client = {
+            query: jest.fn().mockImplementation((sql, params) => {
+                if (sql.includes('INSERT INTO delivery_routes')) {
+                    return Promise.resolve({ rows: [makeRoute({ id: `route-${params[12]}`, vehicle_number: params[12], total_stops: params[3] })] });
+                }
+                return Promise.resolve({ rows: [], rowCount: 0 });
+            }),
+            release: jest.fn()
+        };
+        db.getClient.mockResolvedValue(client);
+        return client;
+    }
+
+    it('creates one balanced route per vehicle, split by area', async () => {
+        const client = mockDeliveryDb();
+
+        const result = await generateRoute(MERCHANT_ID, USER_ID, {
+            vehicles: [{ label: 'Van A' }, { label: 'Van B' }]
+        });
+
+        expect(result.routes).toHaveLength(2);
+        const inserts = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO delivery_routes'));
+        expect(inserts).toHaveLength(2);
+        expect(inserts[0][1].slice(12)).toEqual([1, 'Van A', null]);
+        expect(inserts[1][1].slice(12)).toEqual([2, 'Van B', null]);
+
+        const groups = inserts.map(([, params]) => [...params[6]].sort());
+        expect(groups).toEqual(expect.arrayContaining([['n1', 'n2'], ['s1', 's2']]));
+    });
+
+    it('issues each route its own driver token', async () => {
+        mockDeliveryDb();
+
+        const result = await generateRoute(MERCHANT_ID, USER_ID, { vehicles: [{}, {}] });
+
+        expect(result.routes.map(r => r.shareToken.token)).toEqual(['tok-route-1', 'tok-route-2']);
+        expect(result.shareToken.token).toBe('tok-route-1');
+    });
+
+    it('does not issue tokens for a single-vehicle route', async () => {
+        mockDeliveryDb();
+
+        const result = await generateRoute(MERCHANT_ID, USER_ID, {});
+
+        expect(result.routes).toHaveLength(1);
+        expect(result.shareToken).toBeNull();
+        expect(db.query.mock.calls.some(([sql]) => sql.includes('delivery_route_tokens'))).toBe(false);
+    });
+
+    it('respects per-vehicle capacity when balancing', async () => {
+        const client = mockDeliveryDb();
+
+        await generateRoute(MERCHANT_ID, USER_ID, { vehicles: [{ capacity: 1 }, {}] });
+
+        const inserts = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO delivery_routes'));
+        expect(inserts.map(([, params]) => params[3])).toEqual([1, 3]);
+        expect(inserts[0][1][14]).toBe(1);
+    });
+
+    it('rejects with 400 when the fleet cannot carry every order', async () => {
+        mockDeliveryDb();
+
+        await expect(generateRoute(MERCHANT_ID, USER_ID, { vehicles: [{ capacity: 1 }, { capacity: 2 }] }))
+            .rejects.toMatchObject({ status: 400, message: expect.stringContaining('Vehicle capacity (3 stops)') });
+        expect(db.getClient).not.toHaveBeenCalled();
+    });
+
+    it('skips vehicles left without stops', async () => {
+        const client = mockDeliveryDb({ orders: ORDERS.slice(0, 1) });
+
+        const result = await generateRoute(MERCHANT_ID, USER_ID, { vehicles: [{}, {}, {}] });
+
+        expect(result.routes).toHaveLength(1);
+        const inserts = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO delivery_routes'));
+        expect(inserts).toHaveLength(1);
+    });
+
+    it('cancels every active route for the date on forced regenerate', async () => {
+        const client = mockDeliveryDb();
+        const existing = [makeRoute({ id: 'old-1' }), makeRoute({ id: 'old-2', vehicle_number: 2 })];
+        const baseImpl = db.query.getMockImplementation();
+        db.query.mockImplementation((sql, params) => (sql.includes('FROM delivery_routes dr')
+            ? Promise.resolve({ rows: existing })
+            : baseImpl(sql, params)));
+
+        await generateRoute(MERCHANT_ID, USER_ID, { force: true, vehicles: [{}, {}] });
+
+        const cancelled = client.query.mock.calls
+            .filter(([sql]) => sql.includes("SET status = 'cancelled'"))
+            .map(([, params]) => params[0]);
+        expect(cancelled).toEqual(['old-1', 'old-2']);
+    });
 });
@@ -477,6 +477,120 @@ describe('generateRoute', () => {
         expect(resetCall[1]).toEqual([MERCHANT_ID]);
     });
 
+    it('persists planned arrivals and flags orders whose window cannot be met', async () => {
+        // getActiveRoute
+        db.query.mockResolvedValueOnce({ rows: [] });
+        // getSettings — no ORS key, so the built-in solver runs
+        db.query.mockResolvedValueOnce({
+            rows: [{
+                start_address: '100 Queen St',
+                start_address_lat: '43.65',
+                start_address_lng: '-79.38',
+                openrouteservice_api_key: null
+            }]
+        });
+        // Reset stale skipped orders
+        db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+        // Pending orders — window closed at 08:00, before a 09:00 departure
+        db.query.mockResolvedValueOnce({
+            rows: [{
+                id: UUID,
+                status: 'pending',
+                address_lat: '43.70',
+                address_lng: '-79.42',
+                window_start: null,
+                window_end: '08:00:00',
+                service_minutes: 10,
+                geocoded_at: new Date()
+            }]
+        });
+
+        const mockClient = {
+            query: jest.fn()
+                .mockResolvedValueOnce({ rows: [] }) // BEGIN
+                .mockResolvedValueOnce({ rows: [{ id: UUID2, route_date: '2026-04-02', status: 'active', total_stops: 1 }] }) // INSERT route
+                .mockResolvedValueOnce({ rows: [] }) // UPDATE order → active
+                .mockResolvedValueOnce({ rows: [] }), // COMMIT
+            release: jest.fn()
+        };
+        db.getClient.mockResolvedValueOnce(mockClient);
+        // getOrders
+        db.query.mockResolvedValueOnce({ rows: [{ id: UUID, status: 'active', route_id: UUID2 }] });
+        // logAuditEvent
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        const result = await deliveryService.generateRoute(MERCHANT_ID, 1, {
+            routeDate: '2026-04-02',
+            departureTime: '09:00'
+        });
+
+        expect(result.windowConflicts).toEqual([UUID]);
+
+        const insertParams = mockClient.query.mock.calls[1][1];
+        expect(insertParams[11]).toBeInstanceOf(Date);
+        expect(insertParams[11].getHours()).toBe(9);
+
+        const [updateSql, updateParams] = mockClient.query.mock.calls[2];
+        expect(updateSql).toContain('planned_arrival = $6');
+        expect(updateSql).toContain('window_missed = $7');
+        expect(updateParams[5]).toBeInstanceOf(Date);
+        expect(updateParams[5].getTime()).toBeGreaterThan(insertParams[11].getTime());
+        expect(updateParams[6]).toBe(true);
+    });
+
+    it('departs now for a route dated today on the local clock', async () => {
+        // Evening local time — in a negative-offset zone the UTC date is already tomorrow
+        jest.useFakeTimers().setSystemTime(new Date(2026, 3, 2, 21, 30));
+        try {
+            // getActiveRoute
+            db.query.mockResolvedValueOnce({ rows: [] });
+            // getSettings
+            db.query.mockResolvedValueOnce({
+                rows: [{
+                    start_address: '100 Queen St',
+                    start_address_lat: '43.65',
+                    start_address_lng: '-79.38',
+                    openrouteservice_api_key: null
+                }]
+            });
+            // Reset stale skipped orders
+            db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+            // Pending orders
+            db.query.mockResolvedValueOnce({
+                rows: [{
+                    id: UUID,
+                    status: 'pending',
+                    address_lat: '43.70',
+                    address_lng: '-79.42',
+                    geocoded_at: new Date()
+                }]
+            });
+
+            const mockClient = {
+                query: jest.fn()
+                    .mockResolvedValueOnce({ rows: [] }) // BEGIN
+                    .mockResolvedValueOnce({ rows: [{ id: UUID2, route_date: '2026-04-02', status: 'active', total_stops: 1 }] }) // INSERT route
+                    .mockResolvedValueOnce({ rows: [] }) // UPDATE order → active
+                    .mockResolvedValueOnce({ rows: [] }), // COMMIT
+                release: jest.fn()
+            };
+            db.getClient.mockResolvedValueOnce(mockClient);
+            // getOrders
+            db.query.mockResolvedValueOnce({ rows: [{ id: UUID, status: 'active', route_id: UUID2 }] });
+            // logAuditEvent
+            db.query.mockResolvedValueOnce({ rows: [] });
+
+            await deliveryService.generateRoute(MERCHANT_ID, 1, { routeDate: '2026-04-02' });
+
+            const departure = mockClient.query.mock.calls[1][1][11];
+            expect(departure.getDate()).toBe(2);
+            expect(departure.getHours()).toBe(21);
+            expect(departure.getMinutes()).toBe(30);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
     it('throws when active route exists without force', async () => {
         db.query.mockResolvedValueOnce({
             rows: [{ id: UUID, status: 'active' }]
@@ -898,7 +1012,9 @@ describe('ingestSquareOrder', () => {
         db.query.mockResolvedValueOnce({
             rows: [{ id: UUID, _inserted: true, customer_name: 'Bob' }]
         }); // createOrder
+        db.query.mockResolvedValueOnce({ rows: [] }); // geocode cache lookup (miss)
         db.query.mockResolvedValueOnce({ rows: [] }); // getSettings
+        db.query.mockResolvedValueOnce({ rows: [] }); // delivery zones (none configured)
 
         await deliveryService.ingestSquareOrder(MERCHANT_ID, {
             id: 'SQ_ORDER_2',
@@ -922,7 +1038,64 @@ describe('ingestSquareOrder', () => {
             line_items: []
         });
 
-        expect(db.query).toHaveBeenCalledTimes(3);
+        expect(db.query).toHaveBeenCalledTimes(5);
+    });
+
+    it('assigns the matching delivery zone and its fee after geocoding', async () => {
+        db.query.mockResolvedValueOnce({ rows: [] }); // getOrderBySquareId
+        db.query.mockResolvedValueOnce({ rows: [{ id: UUID, _inserted: true }] }); // createOrder
+        db.query.mockResolvedValueOnce({
+            rows: [{ lat: '43.26', lng: '-79.87', confidence: '1', source: 'manual' }]
+        }); // geocode cache hit
+        db.query.mockResolvedValueOnce({ rows: [{ id: UUID }] }); // updateOrder (coords)
+        db.query.mockResolvedValueOnce({
+            rows: [{ id: 3, zone_type: 'radius', center_lat: '43.25', center_lng: '-79.87', radius_km: '5', fee_cents: 499, min_order_cents: 0, allowed_days: null, is_active: true }]
+        }); // delivery zones
+        db.query.mockResolvedValueOnce({ rows: [{ id: UUID }] }); // updateOrder (zone)
+
+        const result = await deliveryService.ingestSquareOrder(MERCHANT_ID, {
+            id: 'SQ_ZONED',
+            state: 'OPEN',
+            fulfillments: [{
+                type: 'DELIVERY',
+                deliveryDetails: {
+                    recipient: { displayName: 'Zoe', address: { addressLine1: '1 King St', locality: 'Hamilton' } }
+                }
+            }],
+            totalMoney: { amount: 2500, currency: 'CAD' },
+            lineItems: []
+        });
+
+        expect(result).toMatchObject({ zone_id: 3, delivery_fee_cents: 499, needs_review: false, review_reason: null });
+        const zoneUpdate = db.query.mock.calls[5];
+        expect(zoneUpdate[0]).toContain('zone_id');
+        expect(zoneUpdate[1]).toEqual([3, 499, false, null, UUID, MERCHANT_ID]);
+    });
+
+    it('flags orders outside all delivery zones for review', async () => {
+        db.query.mockResolvedValueOnce({ rows: [] }); // getOrderBySquareId
+        db.query.mockResolvedValueOnce({ rows: [{ id: UUID, _inserted: true }] }); // createOrder
+        db.query.mockResolvedValueOnce({
+            rows: [{ lat: '44.0', lng: '-80.5', confidence: '1', source: 'manual' }]
+        }); // geocode cache hit (far away)
+        db.query.mockResolvedValueOnce({ rows: [{ id: UUID }] }); // updateOrder (coords)
+        db.query.mockResolvedValueOnce({
+            rows: [{ id: 3, zone_type: 'radius', center_lat: '43.25', center_lng: '-79.87', radius_km: '5', fee_cents: 499, is_active: true }]
+        }); // delivery zones
+
+        const result = await deliveryService.ingestSquareOrder(MERCHANT_ID, {
+            id: 'SQ_FAR',
+            state: 'OPEN',
+            fulfillments: [{
+                type: 'DELIVERY',
+                deliveryDetails: {
+                    recipient: { displayName: 'Far', address: { addressLine1: '9 Rural Rd', locality: 'Elsewhere' } }
+                }
+            }],
+            lineItems: []
+        });
+
+        expect(result).toMatchObject({ zone_id: null, needs_review: true, review_reason: 'outside_zones' });
     });
 
     it('sets completed status for COMPLETED Square orders', async () => {
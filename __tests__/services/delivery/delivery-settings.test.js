@@ -36,7 +36,8 @@ describe('getSettingsWithDefaults', () => {
             end_address: null,
             same_day_cutoff: '17:00',
             pod_retention_days: 180,
-            auto_ingest_ready_orders: true
+            auto_ingest_ready_orders: true,
+            geocoding_provider: 'ors'
         });
     });
 
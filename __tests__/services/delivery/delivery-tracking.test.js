@@ -0,0 +1,197 @@
+/**
+ * Tests for services/delivery/delivery-tracking.js
+ *
+ * Covers: tracking token lifecycle (hashed storage, revoke, expiry) and
+ * ETA estimation for the customer tracking view.
+ */
+
+const db = require('../../../utils/database');
+const { hashResetToken: hashToken } = require('../../../utils/hash-utils');
+
+jest.mock('../../../services/delivery/delivery-orders', () => ({
+    getOrderById: jest.fn()
+}));
+
+const { getOrderById } = require('../../../services/delivery/delivery-orders');
+const {
+    generateTrackingToken,
+    revokeTrackingToken,
+    getTrackingByToken,
+    estimateStopEta
+} = require('../../../services/delivery/delivery-tracking');
+
+const MERCHANT_ID = 1;
+const ORDER_ID = '11111111-1111-1111-1111-111111111111';
+const TOKEN = 'c'.repeat(64);
+
+const at = hhmm => new Date(`2026-03-14T${hhmm}:00Z`);
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+});
+
+describe('generateTrackingToken', () => {
+    it('throws 404 when the order does not exist', async () => {
+        getOrderById.mockResolvedValueOnce(null);
+
+        await expect(generateTrackingToken(MERCHANT_ID, ORDER_ID, 5))
+            .rejects.toMatchObject({ status: 404 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('revokes the previous link and stores only the token hash, in one transaction', async () => {
+        getOrderById.mockResolvedValueOnce({ id: ORDER_ID });
+        const client = { query: jest.fn() };
+        client.query
+            .mockResolvedValueOnce({ rows: [{ id: ORDER_ID }] }) // lock order
+            .mockResolvedValueOnce({ rows: [] }) // revoke previous
+            .mockResolvedValueOnce({ rows: [{ id: 'tok-1', order_id: ORDER_ID, status: 'active' }] });
+        db.transaction.mockImplementationOnce(fn => fn(client));
+
+        const result = await generateTrackingToken(MERCHANT_ID, ORDER_ID, 5, { expiresInHours: 24 });
+
+        expect(result.token).toMatch(/^[a-f0-9]{64}$/);
+        expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+        expect(client.query.mock.calls[1][0]).toContain("SET status = 'revoked'");
+        const insertParams = client.query.mock.calls[2][1];
+        expect(insertParams[2]).toBe(hashToken(result.token));
+        expect(insertParams).not.toContain(result.token);
+    });
+});
+
+describe('revokeTrackingToken', () => {
+    it('returns whether an active link was revoked', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 'tok-1' }] });
+        expect(await revokeTrackingToken(MERCHANT_ID, ORDER_ID)).toBe(true);
+
+        db.query.mockResolvedValueOnce({ rows: [] });
+        expect(await revokeTrackingToken(MERCHANT_ID, ORDER_ID)).toBe(false);
+    });
+});
+
+describe('getTrackingByToken', () => {
+    const tokenRow = (overrides = {}) => ({
+        token_id: 'tok-1',
+        token_status: 'active',
+        expires_at: new Date(Date.now() + 3600000),
+        id: ORDER_ID,
+        merchant_id: MERCHANT_ID,
+        status: 'pending',
+        route_id: null,
+        route_position: null,
+        route_date: '2026-03-14',
+        window_start: '14:00:00',
+        window_end: '16:00:00',
+        updated_at: at('09:00'),
+        merchant_name: 'Test Store',
+        ...overrides
+    });
+
+    it('looks tokens up by hash and returns null when unknown', async () => {
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        expect(await getTrackingByToken(TOKEN)).toBeNull();
+        expect(db.query.mock.calls[0][1]).toEqual([hashToken(TOKEN)]);
+    });
+
+    it('rejects revoked links', async () => {
+        db.query.mockResolvedValueOnce({ rows: [tokenRow({ token_status: 'revoked' })] });
+
+        expect(await getTrackingByToken(TOKEN)).toEqual({ valid: false, reason: 'Tracking link has been revoked' });
+    });
+
+    it('marks expired links and rejects them', async () => {
+        db.query.mockResolvedValueOnce({ rows: [tokenRow({ expires_at: new Date(Date.now() - 1000) })] });
+
+        const result = await getTrackingByToken(TOKEN);
+
+        expect(result).toEqual({ valid: false, reason: 'Tracking link has expired' });
+        expect(db.query.mock.calls[1][0]).toContain("SET status = 'expired'");
+    });
+
+    it('returns a scheduled view without route details or customer data', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [tokenRow()] })
+            .mockResolvedValueOnce({ rows: [] })  // last_viewed_at
+            .mockResolvedValueOnce({ rows: [] }); // POD
+
+        const { valid, tracking } = await getTrackingByToken(TOKEN);
+
+        expect(valid).toBe(true);
+        expect(tracking).toMatchObject({
+            merchantName: 'Test Store',
+            status: 'scheduled',
+            window: { start: '14:00:00', end: '16:00:00' },
+            eta: null,
+            proofOfDelivery: { captured: false, capturedAt: null }
+        });
+        expect(tracking).not.toHaveProperty('address');
+        expect(tracking).not.toHaveProperty('phone');
+    });
+
+    it('reports position and stops ahead for an order out for delivery', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [tokenRow({ status: 'active', route_id: 'route-1', route_position: 3 })] })
+            .mockResolvedValueOnce({ rows: [] }) // last_viewed_at
+            .mockResolvedValueOnce({ rows: [] }) // POD
+            .mockResolvedValueOnce({ rows: [{ status: 'active', started_at: at('09:00'), estimated_duration_min: 60, total_stops: 4 }] })
+            .mockResolvedValueOnce({ rows: [
+                { id: 'a', route_position: 1, status: 'completed', updated_at: at('09:20') },
+                { id: 'b', route_position: 2, status: 'active' },
+                { id: ORDER_ID, route_position: 3, status: 'active' },
+                { id: 'd', route_position: 4, status: 'active' }
+            ] });
+
+        const { tracking } = await getTrackingByToken(TOKEN);
+
+        expect(tracking.status).toBe('out_for_delivery');
+        expect(tracking.position).toBe(3);
+        expect(tracking.totalStops).toBe(4);
+        expect(tracking.stopsAhead).toBe(1);
+        expect(tracking.eta).toBeInstanceOf(Date);
+    });
+});
+
+describe('estimateStopEta', () => {
+    const route = { planned_departure: at('09:00'), started_at: at('09:00'), estimated_duration_min: 60, total_stops: 4 };
+
+    it('returns null once the stop is finished', () => {
+        const stops = [{ id: 'a', route_position: 1, status: 'completed', updated_at: at('09:20') }];
+        expect(estimateStopEta({ stops, orderId: 'a', route, now: at('10:00') })).toBeNull();
+    });
+
+    it('shifts the planned arrival by how far the driver is off plan', () => {
+        const stops = [
+            { id: 'a', route_position: 1, status: 'completed', planned_arrival: at('09:15'), service_minutes: 5, updated_at: at('09:40') },
+            { id: 'b', route_position: 2, status: 'active', planned_arrival: at('09:45') }
+        ];
+
+        // Finished a at 09:40; plan has 30 min from arriving at a to arriving at b, 5 of them at a
+        expect(estimateStopEta({ stops, orderId: 'b', route, now: at('09:41') })).toEqual(at('10:05'));
+    });
+
+    it('slides the plan by a late departure before any stop is done', () => {
+        const stops = [{ id: 'a', route_position: 1, status: 'active', planned_arrival: at('09:15') }];
+
+        expect(estimateStopEta({ stops, orderId: 'a', route, now: at('09:30') })).toEqual(at('09:45'));
+    });
+
+    it('falls back to average time per stop without planned arrivals', () => {
+        const stops = [
+            { id: 'a', route_position: 1, status: 'completed', updated_at: at('09:20') },
+            { id: 'b', route_position: 2, status: 'active' },
+            { id: 'c', route_position: 3, status: 'active' }
+        ];
+
+        // 60 min / 4 stops driving + 5 min default service = 20 min per stop, two stops to go
+        expect(estimateStopEta({ stops, orderId: 'c', route, now: at('09:21') })).toEqual(at('10:00'));
+    });
+
+    it('never returns a time in the past', () => {
+        const stops = [{ id: 'a', route_position: 1, status: 'active', planned_arrival: at('09:15') }];
+        const now = at('12:00');
+
+        expect(estimateStopEta({ stops, orderId: 'a', route: { planned_departure: null }, now })).toEqual(now);
+    });
+});
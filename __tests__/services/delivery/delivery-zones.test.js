@@ -0,0 +1,234 @@
+/**
+ * Tests for services/delivery/delivery-zones.js and delivery-zone-geometry.js
+ *
+ * Covers: polygon / radius matching and zone priority, fee / minimum order /
+ * allowed-day rules, order zone assignment with review flags, and manual
+ * review resolution.
+ */
+
+const db = require('../../../utils/database');
+
+jest.mock('../../../services/delivery/delivery-orders', () => ({
+    getOrderById: jest.fn(),
+    updateOrder: jest.fn()
+}));
+
+jest.mock('../../../services/delivery/delivery-settings', () => ({
+    getSettings: jest.fn()
+}));
+
+const { getOrderById, updateOrder } = require('../../../services/delivery/delivery-orders');
+const { getSettings } = require('../../../services/delivery/delivery-settings');
+const { pointInPolygon, matchZone } = require('../../../services/delivery/delivery-zone-geometry');
+const {
+    checkZoneRules,
+    updateZone,
+    deleteZone,
+    assignOrderZone,
+    resolveOrderZoneReview
+} = require('../../../services/delivery/delivery-zones');
+
+const MERCHANT_ID = 1;
+const ORDER_ID = '11111111-1111-1111-1111-111111111111';
+
+// Roughly 1.1 km square around downtown Hamilton
+const SQUARE = [[43.25, -79.88], [43.25, -79.86], [43.26, -79.86], [43.26, -79.88]];
+const STORE = { lat: 43.255, lng: -79.87 };
+
+const polygonZone = (overrides = {}) => ({
+    id: 1, zone_type: 'polygon', polygon: SQUARE, fee_cents: 0, min_order_cents: 0,
+    allowed_days: null, priority: 0, is_active: true, ...overrides
+});
+const radiusZone = (overrides = {}) => ({
+    id: 2, zone_type: 'radius', center_lat: null, center_lng: null, radius_km: '10',
+    fee_cents: 500, min_order_cents: 0, allowed_days: null, priority: 1, is_active: true, ...overrides
+});
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+    updateOrder.mockImplementation(async (merchantId, orderId, updates) => ({ id: orderId, ...updates }));
+});
+
+describe('pointInPolygon', () => {
+    it('detects points inside and outside the ring', () => {
+        expect(pointInPolygon({ lat: 43.255, lng: -79.87 }, SQUARE)).toBe(true);
+        expect(pointInPolygon({ lat: 43.27, lng: -79.87 }, SQUARE)).toBe(false);
+        expect(pointInPolygon({ lat: 43.255, lng: -79.85 }, SQUARE)).toBe(false);
+    });
+
+    it('handles concave polygons', () => {
+        // U shape open to the north: the notch is outside
+        const u = [[0, 0], [0, 3], [3, 3], [3, 2], [1, 2], [1, 1], [3, 1], [3, 0]];
+        expect(pointInPolygon({ lat: 2, lng: 1.5 }, u)).toBe(false);
+        expect(pointInPolygon({ lat: 0.5, lng: 1.5 }, u)).toBe(true);
+    });
+
+    it('rejects degenerate polygons', () => {
+        expect(pointInPolygon({ lat: 0, lng: 0 }, [[0, 0], [1, 1]])).toBe(false);
+        expect(pointInPolygon({ lat: 0, lng: 0 }, null)).toBe(false);
+    });
+});
+
+describe('matchZone', () => {
+    it('prefers the lowest priority number when zones overlap', () => {
+        const zones = [radiusZone({ priority: 5 }), polygonZone({ priority: 0 })];
+        expect(matchZone(zones, STORE, STORE).id).toBe(1);
+    });
+
+    it('uses the store as the center of radius zones without one', () => {
+        const zone = radiusZone({ radius_km: '2' });
+        expect(matchZone([zone], { lat: 43.265, lng: -79.87 }, STORE)).toBe(zone); // ~1.1 km
+        expect(matchZone([zone], { lat: 43.3, lng: -79.87 }, STORE)).toBeNull(); // ~5 km
+        expect(matchZone([zone], STORE, null)).toBeNull();
+    });
+
+    it('ignores inactive zones', () => {
+        expect(matchZone([polygonZone({ is_active: false })], STORE, STORE)).toBeNull();
+    });
+});
+
+describe('checkZoneRules', () => {
+    const tuesday = new Date(2026, 2, 17);
+
+    it('passes orders that meet the rules', () => {
+        const zone = polygonZone({ min_order_cents: 2000, allowed_days: [1, 2] });
+        expect(checkZoneRules(zone, { orderTotalCents: 2000, deliveryDate: tuesday })).toBeNull();
+    });
+
+    it('flags orders below the minimum', () => {
+        const zone = polygonZone({ min_order_cents: 2000 });
+        expect(checkZoneRules(zone, { orderTotalCents: 1999, deliveryDate: tuesday })).toBe('below_minimum');
+    });
+
+    it('skips the minimum check when the total is unknown', () => {
+        const zone = polygonZone({ min_order_cents: 2000 });
+        expect(checkZoneRules(zone, { orderTotalCents: null, deliveryDate: tuesday })).toBeNull();
+    });
+
+    it('flags delivery days the zone does not serve', () => {
+        const zone = polygonZone({ allowed_days: [0, 6] });
+        expect(checkZoneRules(zone, { orderTotalCents: null, deliveryDate: tuesday })).toBe('day_not_allowed');
+    });
+});
+
+describe('assignOrderZone', () => {
+    it('does nothing for merchants without zones', async () => {
+        const result = await assignOrderZone(MERCHANT_ID, ORDER_ID, STORE);
+
+        expect(result).toBeNull();
+        expect(updateOrder).not.toHaveBeenCalled();
+    });
+
+    it('assigns the zone and its fee', async () => {
+        db.query.mockResolvedValueOnce({ rows: [radiusZone()] });
+        getSettings.mockResolvedValueOnce({ start_address_lat: '43.255', start_address_lng: '-79.87' });
+
+        const result = await assignOrderZone(MERCHANT_ID, ORDER_ID, { lat: 43.26, lng: -79.87 });
+
+        expect(result).toEqual({ zone_id: 2, delivery_fee_cents: 500, needs_review: false, review_reason: null });
+        expect(updateOrder).toHaveBeenCalledWith(MERCHANT_ID, ORDER_ID, result);
+    });
+
+    it('only loads settings when a radius zone needs the store location', async () => {
+        db.query.mockResolvedValueOnce({ rows: [polygonZone()] });
+
+        await assignOrderZone(MERCHANT_ID, ORDER_ID, STORE);
+
+        expect(getSettings).not.toHaveBeenCalled();
+    });
+
+    it('flags orders outside every zone', async () => {
+        db.query.mockResolvedValueOnce({ rows: [polygonZone()] });
+
+        const result = await assignOrderZone(MERCHANT_ID, ORDER_ID, { lat: 44, lng: -80 });
+
+        expect(result).toEqual({ zone_id: null, delivery_fee_cents: null, needs_review: true, review_reason: 'outside_zones' });
+    });
+
+    it('flags orders that could not be geocoded', async () => {
+        db.query.mockResolvedValueOnce({ rows: [polygonZone()] });
+
+        const result = await assignOrderZone(MERCHANT_ID, ORDER_ID, null);
+
+        expect(result.review_reason).toBe('not_geocoded');
+        expect(result.needs_review).toBe(true);
+    });
+
+    it('keeps the zone but flags rule violations', async () => {
+        db.query.mockResolvedValueOnce({ rows: [polygonZone({ fee_cents: 300, min_order_cents: 5000 })] });
+
+        const result = await assignOrderZone(MERCHANT_ID, ORDER_ID, STORE, { orderTotalCents: 1200 });
+
+        expect(result).toEqual({ zone_id: 1, delivery_fee_cents: 300, needs_review: true, review_reason: 'below_minimum' });
+    });
+});
+
+describe('updateZone', () => {
+    it('serializes the polygon and scopes to the merchant', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 4 }] });
+
+        await updateZone(MERCHANT_ID, 4, { name: 'Core', polygon: SQUARE, allowedDays: [], bogus: 'x' });
+
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toContain('name = $1, polygon = $2, allowed_days = $3');
+        expect(sql).toContain('WHERE id = $4 AND merchant_id = $5');
+        expect(params).toEqual(['Core', JSON.stringify(SQUARE), null, 4, MERCHANT_ID]);
+    });
+
+    it('returns null when the zone does not exist', async () => {
+        expect(await updateZone(MERCHANT_ID, 99, { name: 'X' })).toBeNull();
+    });
+});
+
+describe('deleteZone', () => {
+    it('unlinks orders from the deleted zone', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 4 }] });
+
+        expect(await deleteZone(MERCHANT_ID, 4)).toBe(true);
+        expect(db.query.mock.calls[1][0]).toContain('SET zone_id = NULL');
+        expect(db.query.mock.calls[1][1]).toEqual([4, MERCHANT_ID]);
+    });
+
+    it('returns false when nothing was deleted', async () => {
+        expect(await deleteZone(MERCHANT_ID, 4)).toBe(false);
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('resolveOrderZoneReview', () => {
+    it('throws 404 for an unknown order', async () => {
+        getOrderById.mockResolvedValueOnce(null);
+
+        await expect(resolveOrderZoneReview(MERCHANT_ID, ORDER_ID, 1)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('throws 404 for a zone belonging to another merchant', async () => {
+        getOrderById.mockResolvedValueOnce({ id: ORDER_ID });
+
+        await expect(resolveOrderZoneReview(MERCHANT_ID, ORDER_ID, 7)).rejects.toMatchObject({ status: 404 });
+        expect(db.query.mock.calls[0][1]).toEqual([7, MERCHANT_ID]);
+    });
+
+    it('assigns the zone fee and clears the flag', async () => {
+        getOrderById.mockResolvedValueOnce({ id: ORDER_ID });
+        db.query.mockResolvedValueOnce({ rows: [{ id: 7, fee_cents: 800 }] });
+
+        await resolveOrderZoneReview(MERCHANT_ID, ORDER_ID, 7);
+
+        expect(updateOrder).toHaveBeenCalledWith(MERCHANT_ID, ORDER_ID, {
+            zoneId: 7, deliveryFeeCents: 800, needsReview: false, reviewReason: null
+        });
+    });
+
+    it('clears the flag without a zone', async () => {
+        getOrderById.mockResolvedValueOnce({ id: ORDER_ID });
+
+        await resolveOrderZoneReview(MERCHANT_ID, ORDER_ID, null);
+
+        expect(db.query).not.toHaveBeenCalled();
+        expect(updateOrder).toHaveBeenCalledWith(MERCHANT_ID, ORDER_ID, {
+            zoneId: null, deliveryFeeCents: null, needsReview: false, reviewReason: null
+        });
+    });
+});
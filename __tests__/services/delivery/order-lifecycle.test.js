@@ -832,6 +832,23 @@ describe('skipOrder — Status Guard', () => {
         const details = JSON.parse(auditCall[1][5]);
         expect(details.previousStatus).toBe('active');
     });
+
+    it('records the skip reason and route in the audit log', async () => {
+        const ROUTE_ID = 'route-uuid-1';
+        db.query.mockResolvedValueOnce({ rows: [makeOrder({ status: 'active', route_id: ROUTE_ID })] });
+        db.query.mockResolvedValueOnce({ rows: [makeOrder({ status: 'skipped', route_id: null })] });
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await deliveryService.skipOrder(MERCHANT_ID, ORDER_ID, USER_ID, {
+            reason: 'not_home', reasonNote: 'Dog barking, no answer'
+        });
+
+        const auditParams = db.query.mock.calls[2][1];
+        expect(auditParams[4]).toBe(ROUTE_ID);
+        expect(JSON.parse(auditParams[5])).toEqual(expect.objectContaining({
+            reason: 'not_home', reasonNote: 'Dog barking, no answer'
+        }));
+    });
 });
 
 // ============================================================================
@@ -913,6 +930,20 @@ describe('completeOrder — Status Guard', () => {
         expect(details.squareOrderId).toBe('SQ_123');
         expect(details.hasPod).toBe(true);
     });
+
+    it('keeps the driver-recorded completion time for offline replays', async () => {
+        const recordedAt = '2026-10-13T15:42:00.000Z';
+        db.query.mockResolvedValueOnce({ rows: [makeOrder({ status: 'active' })] });
+        db.query.mockResolvedValueOnce({ rows: [makeOrder({ status: 'completed' })] });
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await deliveryService.completeOrder(MERCHANT_ID, ORDER_ID, null, { recordedAt });
+
+        const [updateSql, updateParams] = db.query.mock.calls[1];
+        expect(updateSql).toContain('completed_at = $2');
+        expect(updateParams[1]).toEqual(new Date(recordedAt));
+        expect(JSON.parse(db.query.mock.calls[2][1][5]).recordedAt).toBe(recordedAt);
+    });
 });
 
 // ============================================================================
@@ -984,6 +1015,19 @@ describe('savePodPhoto — Status Transition', () => {
         const updateParams = db.query.mock.calls[3][1];
         expect(updateParams).toContain('delivered');
     });
+
+    it('uses the driver-recorded capture time for offline uploads', async () => {
+        const capturedAt = '2026-10-13T15:40:00.000Z';
+        db.query.mockResolvedValueOnce({ rows: [makeOrder({ status: 'completed' })] });
+        db.query.mockResolvedValueOnce({ rows: [makeSettings()] });
+        db.query.mockResolvedValueOnce({ rows: [{ id: 'pod-1', captured_at: capturedAt }] });
+
+        await deliveryService.savePodPhoto(MERCHANT_ID, ORDER_ID, JPEG_HEADER, { capturedAt });
+
+        const [insertSql, insertParams] = db.query.mock.calls[2];
+        expect(insertSql).toContain('COALESCE($9, NOW())');
+        expect(insertParams[8]).toBe(capturedAt);
+    });
 });
 
 // ============================================================================
@@ -397,6 +397,40 @@ describe('evaluateAllVariations', () => {
         expect(results.regressionsFlagged[0].isRegression).toBe(true);
     });
 
+    it('lot-tracked variation steps down without a regression once its near-dated lot sells through', async () => {
+        const future60 = new Date();
+        future60.setDate(future60.getDate() + 60);
+
+        db.query
+            .mockResolvedValueOnce({ rows: MOCK_TIERS })
+            .mockResolvedValueOnce({
+                rows: [{
+                    variation_id: 'var1',
+                    item_name: 'Dog Food',
+                    current_price_cents: 1000,
+                    expiration_date: future60.toISOString().slice(0, 10),
+                    does_not_expire: false,
+                    current_tier_id: 90, // AUTO50 from the lot that sold out
+                    lots: [{ id: 7, expiration_date: future60.toISOString().slice(0, 10), quantity: 8, current_tier_id: 80 }]
+                }]
+            })
+            .mockResolvedValueOnce({ rows: [{ setting_value: 'America/Toronto' }] });
+
+        const results = await discountService.evaluateAllVariations({
+            merchantId: MERCHANT_ID,
+            dryRun: false,
+            triggeredBy: 'CRON'
+        });
+
+        expect(results.regressionsFlagged).toHaveLength(0);
+        expect(results.tierChanges).toHaveLength(1);
+        expect(results.tierChanges[0]).toMatchObject({ newTierCode: 'AUTO25', expiringQuantity: 8 });
+        const expiringUpdate = db.query.mock.calls.find(([sql]) => sql.includes('SET expiring_quantity'));
+        expect(expiringUpdate[1]).toEqual([8, 'var1', MERCHANT_ID]);
+        const lotUpdate = db.query.mock.calls.find(([sql]) => sql.includes('UPDATE inventory_lots'));
+        expect(lotUpdate[1][0]).toEqual([7]);
+    });
+
     it('dry run does not write to database', async () => {
         const future15 = new Date();
         future15.setDate(future15.getDate() + 15);
@@ -468,6 +502,8 @@ describe('applyDiscounts', () => {
     it('calculates discounted price correctly (25% off 1000 = 750)', async () => {
         // Setup: one auto-apply tier with one variation
         db.query
+            // pricing_mode setting (not set: TIERED)
+            .mockResolvedValueOnce({ rows: [] })
             // Get auto-apply tiers
             .mockResolvedValueOnce({
                 rows: [{
@@ -523,6 +559,7 @@ describe('applyDiscounts', () => {
 
     it('calculates 50% discount correctly (1099 → 550)', async () => {
         db.query
+            .mockResolvedValueOnce({ rows: [] })
             .mockResolvedValueOnce({
                 rows: [{
                     id: 90,
@@ -565,8 +602,12 @@ describe('applyDiscounts', () => {
 
     it('removes discounts from items no longer in auto-apply tiers', async () => {
         db.query
+            // pricing_mode setting (not set: TIERED)
+            .mockResolvedValueOnce({ rows: [] })
             // No auto-apply tiers
             .mockResolvedValueOnce({ rows: [] })
+            // No dynamic markdown steps to clear
+            .mockResolvedValueOnce({ rows: [] })
             // Items with discounts that are now in non-auto-apply tiers
             .mockResolvedValueOnce({
                 rows: [{
@@ -1225,6 +1266,21 @@ describe('trackExpiryDiscountSale', () => {
         expect(db.query).not.toHaveBeenCalled();
     });
 
+    it('records the sale at its discounted price when given the order ID', async () => {
+        // INSERT expiry_discount_sales
+        db.query.mockResolvedValueOnce({ rows: [], rowCount: 1 });
+        // UPDATE RETURNING — no expiring_quantity: nothing to track
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        const result = await discountService.trackExpiryDiscountSale('VAR-1', 2, MERCHANT_ID, 'ORDER-9');
+
+        expect(result).toEqual({ tracked: false, flagged: false });
+        expect(db.query.mock.calls[0][0]).toContain('INSERT INTO expiry_discount_sales');
+        expect(db.query.mock.calls[0][0]).toContain('discounted_price_cents IS NOT NULL');
+        expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT (merchant_id, square_order_id, variation_id) DO NOTHING');
+        expect(db.query.mock.calls[0][1]).toEqual(['VAR-1', MERCHANT_ID, 'ORDER-9', 2]);
+    });
+
     it('does not re-flag if already flagged for manual review', async () => {
         db.query.mockResolvedValueOnce({
             rows: [{ units_sold_at_discount: 15, expiring_quantity: 10, needs_manual_review: true }]
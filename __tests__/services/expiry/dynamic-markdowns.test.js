@@ -0,0 +1,168 @@
+jest.mock('../../../services/expiry/discount-service', () => ({
+    getSetting: jest.fn(),
+    upsertPricingRule: jest.fn(),
+    logAuditEvent: jest.fn()
+}));
+jest.mock('../../../services/square', () => ({
+    getMerchantToken: jest.fn(),
+    makeSquareRequest: jest.fn()
+}));
+
+const db = require('../../../utils/database');
+const discountService = require('../../../services/expiry/discount-service');
+const squareApi = require('../../../services/square');
+const {
+    tierMarkdownRange,
+    calculateMarkdownPercent,
+    getPricingMode,
+    applyDynamicMarkdowns
+} = require('../../../services/expiry/dynamic-markdowns');
+const { clearUnusedSteps } = require('../../../services/expiry/markdown-steps');
+
+const MERCHANT_ID = 1;
+const TIER = {
+    id: 90, tier_code: 'AUTO50', discount_percent: '50.00', dynamic_min_percent: '20.00',
+    dynamic_max_percent: '50.00', merchant_id: MERCHANT_ID, square_discount_id: 'SQ_DISC_50'
+};
+const RANGE = { floor: 20, ceiling: 50 };
+
+const stockRow = (overrides = {}) => ({
+    variation_id: 'VAR1', item_name: 'Kibble', sku: 'K2', original_price_cents: 1000, current_price_cents: 1000,
+    discounted_price_cents: null, discount_applied_at: null, dynamic_discount_percent: null,
+    days_until_expiry: 10, expiring_quantity: null, units_sold_at_discount: 0, on_hand: '10', daily_velocity: '0',
+    ...overrides
+});
+
+// Route db.query by statement so the order of step writes doesn't matter
+function mockQueries({ stock = [], steps = [], insertedStep = null } = {}) {
+    db.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM variation_discount_status vds')) return { rows: stock };
+        if (sql.includes('SELECT * FROM expiry_discount_steps')) return { rows: steps };
+        if (sql.includes('INSERT INTO expiry_discount_steps')) return { rows: [insertedStep] };
+        return { rows: [], rowCount: 1 };
+    });
+}
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('calculateMarkdownPercent', () => {
+    test('gives the floor when sales velocity already sells the stock through', () => {
+        expect(calculateMarkdownPercent({ units: 10, daysUntilExpiry: 10, dailyVelocity: 1.5 }, RANGE)).toBe(20);
+    });
+
+    test('gives the ceiling when nothing sells or the date has passed', () => {
+        expect(calculateMarkdownPercent({ units: 10, daysUntilExpiry: 10, dailyVelocity: 0 }, RANGE)).toBe(50);
+        expect(calculateMarkdownPercent({ units: 10, daysUntilExpiry: 0, dailyVelocity: 5 }, RANGE)).toBe(50);
+    });
+
+    test('rounds a partial shortfall up to the next 5% step', () => {
+        // Half the needed 1/day: 20 + 30 × 0.5 = 35
+        expect(calculateMarkdownPercent({ units: 10, daysUntilExpiry: 10, dailyVelocity: 0.5 }, RANGE)).toBe(35);
+        // 0.6/day: 20 + 30 × 0.4 = 32 → 35
+        expect(calculateMarkdownPercent({ units: 10, daysUntilExpiry: 10, dailyVelocity: 0.6 }, RANGE)).toBe(35);
+    });
+
+    test('gives the floor with nothing left to sell', () => {
+        expect(calculateMarkdownPercent({ units: 0, daysUntilExpiry: 3, dailyVelocity: 0 }, RANGE)).toBe(20);
+    });
+});
+
+describe('tierMarkdownRange', () => {
+    test('falls back to the tier percentage and never lets the ceiling sit below the floor', () => {
+        expect(tierMarkdownRange({ discount_percent: '25.00', dynamic_min_percent: null, dynamic_max_percent: null }))
+            .toEqual({ floor: 25, ceiling: 25 });
+        expect(tierMarkdownRange({ discount_percent: '25.00', dynamic_min_percent: '30.00', dynamic_max_percent: null }))
+            .toEqual({ floor: 30, ceiling: 30 });
+    });
+});
+
+describe('getPricingMode', () => {
+    test('defaults to TIERED when unset or unknown', async () => {
+        discountService.getSetting.mockResolvedValueOnce(null).mockResolvedValueOnce('SURGE').mockResolvedValueOnce('DYNAMIC');
+
+        expect(await getPricingMode(MERCHANT_ID)).toBe('TIERED');
+        expect(await getPricingMode(MERCHANT_ID)).toBe('TIERED');
+        expect(await getPricingMode(MERCHANT_ID)).toBe('DYNAMIC');
+    });
+});
+
+describe('applyDynamicMarkdowns', () => {
+    test('publishes one rule per step, creating missing step discounts, and clears the tier rule', async () => {
+        mockQueries({
+            stock: [stockRow({ variation_id: 'FAST', daily_velocity: '2' }), stockRow({ variation_id: 'SLOW' })],
+            steps: [{ id: 1, discount_percent: '20.00', square_discount_id: 'SQ_STEP_20' }],
+            insertedStep: { id: 2, discount_percent: '50.00', square_discount_id: 'SQ_STEP_50' }
+        });
+        squareApi.makeSquareRequest.mockResolvedValueOnce({ catalog_object: { id: 'SQ_STEP_50' } });
+        const results = { applied: [], removed: [], unchanged: [], errors: [] };
+
+        const published = await applyDynamicMarkdowns(TIER, results);
+
+        expect(published).toEqual([1, 2]);
+        expect(squareApi.makeSquareRequest).toHaveBeenCalledTimes(1);
+        const discountRequest = JSON.parse(squareApi.makeSquareRequest.mock.calls[0][1].body);
+        expect(discountRequest.object.discount_data).toMatchObject({ discount_type: 'FIXED_PERCENTAGE', percentage: '50' });
+        // Deterministic, so a retry after a failed step insert can't create a second discount
+        expect(discountRequest.idempotency_key).toBe('expiry-step-1-90-50');
+
+        const ruleCalls = discountService.upsertPricingRule.mock.calls;
+        expect(ruleCalls[0]).toEqual([TIER, []]);
+        expect(ruleCalls[1][0]).toMatchObject({ tier_code: 'AUTO50-20', square_discount_id: 'SQ_STEP_20' });
+        expect(ruleCalls[1][1]).toEqual(['FAST']);
+        expect(ruleCalls[2][0]).toMatchObject({ tier_code: 'AUTO50-50', square_discount_id: 'SQ_STEP_50' });
+        expect(ruleCalls[2][1]).toEqual(['SLOW']);
+
+        expect(results.applied).toEqual([
+            expect.objectContaining({ variationId: 'FAST', discountPercent: 20, discountedPrice: 800 }),
+            expect.objectContaining({ variationId: 'SLOW', discountPercent: 50, discountedPrice: 500 })
+        ]);
+        expect(results.errors).toEqual([]);
+    });
+
+    test('leaves a variation already at its markdown unchanged', async () => {
+        mockQueries({
+            stock: [stockRow({ dynamic_discount_percent: '50.00', discounted_price_cents: 500, discount_applied_at: new Date() })],
+            steps: [{ id: 2, discount_percent: '50.00', square_discount_id: 'SQ_STEP_50' }]
+        });
+        const results = { applied: [], removed: [], unchanged: [], errors: [] };
+
+        await applyDynamicMarkdowns(TIER, results);
+
+        expect(results.unchanged).toEqual([{ variationId: 'VAR1', tierCode: 'AUTO50' }]);
+        expect(discountService.logAuditEvent).not.toHaveBeenCalled();
+        expect(db.query.mock.calls.some(([sql]) => sql.includes('UPDATE variation_discount_status'))).toBe(false);
+    });
+
+    test('records a failed step as an error and carries on with the others', async () => {
+        mockQueries({
+            stock: [stockRow({ variation_id: 'FAST', daily_velocity: '2' }), stockRow({ variation_id: 'SLOW' })],
+            steps: [{ id: 1, discount_percent: '20.00', square_discount_id: 'SQ_STEP_20' }]
+        });
+        squareApi.makeSquareRequest.mockRejectedValueOnce(new Error('Square unavailable'));
+        const results = { applied: [], removed: [], unchanged: [], errors: [] };
+
+        const published = await applyDynamicMarkdowns(TIER, results);
+
+        expect(published).toEqual([1]);
+        expect(results.applied.map(a => a.variationId)).toEqual(['FAST']);
+        expect(results.errors).toEqual([{ tierCode: 'AUTO50-50', error: 'Square unavailable' }]);
+    });
+});
+
+describe('clearUnusedSteps', () => {
+    test('empties the rules of steps not published this run', async () => {
+        db.query.mockResolvedValueOnce({
+            rows: [{ id: 3, tier_id: 90, tier_code: 'AUTO50', tier_name: 'Clearance', discount_percent: '35.00', square_discount_id: 'SQ_STEP_35', variation_count: 4 }]
+        });
+        const results = { errors: [] };
+
+        await clearUnusedSteps(MERCHANT_ID, [1, 2], results);
+
+        expect(db.query.mock.calls[0][1]).toEqual([MERCHANT_ID, [1, 2]]);
+        expect(discountService.upsertPricingRule).toHaveBeenCalledWith(
+            expect.objectContaining({ tier_code: 'AUTO50-35', square_discount_id: 'SQ_STEP_35' }), []
+        );
+        expect(db.query).toHaveBeenLastCalledWith(expect.stringContaining('SET variation_count = $1'), [0, 3, MERCHANT_ID]);
+        expect(results.errors).toEqual([]);
+    });
+});
@@ -0,0 +1,100 @@
+const db = require('../../../utils/database');
+const { resolveScan, resolveExpiryEntries } = require('../../../services/expiry/gs1-scan');
+
+const MERCHANT_ID = 1;
+const GTIN = '00012345678905';
+const scanFor = (expiry, lot) => `(01)${GTIN}(17)${expiry}${lot ? `(10)${lot}` : ''}`;
+
+const variationRow = (overrides = {}) => ({
+    id: 'VAR1', sku: 'K2', upc: '012345678905', variation_name: '2kg', item_name: 'Kibble',
+    stored_expiration_date: null, does_not_expire: false,
+    ...overrides
+});
+
+// First query: variation by GTIN; then, when found, its active lots
+function mockCatalog(variation, lots = []) {
+    db.query.mockResolvedValueOnce({ rows: variation ? [variation] : [] });
+    if (variation) db.query.mockResolvedValueOnce({ rows: lots });
+}
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('resolveScan', () => {
+    test('resolves the GTIN without leading zeros and returns expiry and lot', async () => {
+        mockCatalog(variationRow({ stored_expiration_date: '2027-05-31' }));
+
+        const result = await resolveScan(MERCHANT_ID, scanFor('270531', 'L9'));
+
+        expect(db.query.mock.calls[0][1]).toEqual([MERCHANT_ID, '12345678905']);
+        expect(result).toMatchObject({
+            gtin: GTIN,
+            expiration_date: '2027-05-31',
+            lot_code: 'L9',
+            variation: { id: 'VAR1', item_name: 'Kibble', stored_expiration_date: '2027-05-31', lot_tracked: false },
+            conflicts: []
+        });
+    });
+
+    test('flags a scanned date that differs from the stored one, ignoring the review placeholder', async () => {
+        mockCatalog(variationRow({ stored_expiration_date: '2027-04-30' }));
+        const { conflicts } = await resolveScan(MERCHANT_ID, scanFor('270531'));
+        expect(conflicts).toEqual([expect.objectContaining({ type: 'EXPIRY_DATE_MISMATCH', stored_expiration_date: '2027-04-30' })]);
+
+        mockCatalog(variationRow({ stored_expiration_date: '2020-01-01' }));
+        expect((await resolveScan(MERCHANT_ID, scanFor('270531'))).conflicts).toEqual([]);
+    });
+
+    test('checks lot-tracked variations by lot code only', async () => {
+        const lots = [
+            { id: 40, lot_code: 'A1', expiration_date: '2027-01-31', quantity: 5 },
+            { id: 41, lot_code: 'B2', expiration_date: '2027-03-31', quantity: 8 }
+        ];
+        mockCatalog(variationRow({ stored_expiration_date: '2027-01-31' }), lots);
+        expect((await resolveScan(MERCHANT_ID, scanFor('270331', 'B2'))).conflicts).toEqual([]);
+
+        mockCatalog(variationRow({ stored_expiration_date: '2027-01-31' }), lots);
+        const { conflicts } = await resolveScan(MERCHANT_ID, scanFor('270430', 'B2'));
+        expect(conflicts).toEqual([expect.objectContaining({ type: 'LOT_DATE_MISMATCH', lot_id: 41, stored_expiration_date: '2027-03-31' })]);
+    });
+
+    test('returns no variation for an unknown GTIN and rejects a scan without one', async () => {
+        mockCatalog(null);
+        expect(await resolveScan(MERCHANT_ID, scanFor('270531'))).toMatchObject({ variation: null, conflicts: [] });
+
+        await expect(resolveScan(MERCHANT_ID, '(17)270531(10)L1')).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('resolveExpiryEntries', () => {
+    test('turns scans into changes and holds back conflicts unless overridden', async () => {
+        const stored = variationRow({ stored_expiration_date: '2027-04-30' });
+        mockCatalog(stored);
+        mockCatalog(stored);
+
+        const { changes, scans } = await resolveExpiryEntries(MERCHANT_ID, [
+            { variation_id: 'VAR7', expiration_date: '2027-08-01' },
+            { scan: scanFor('270531') },
+            { scan: scanFor('270531'), override_conflict: true },
+            { scan: 'not a code' }
+        ]);
+
+        expect(changes).toEqual([
+            { variation_id: 'VAR7', expiration_date: '2027-08-01' },
+            { variation_id: 'VAR1', expiration_date: '2027-05-31' }
+        ]);
+        expect(scans.map(s => s.status)).toEqual(['CONFLICT', 'SAVED', 'INVALID']);
+    });
+
+    test('reports scans with no matching item or no expiry date', async () => {
+        mockCatalog(null);
+        mockCatalog(variationRow());
+
+        const { changes, scans } = await resolveExpiryEntries(MERCHANT_ID, [
+            { scan: scanFor('270531') },
+            { scan: `(01)${GTIN}(10)L1` }
+        ]);
+
+        expect(changes).toEqual([]);
+        expect(scans.map(s => s.status)).toEqual(['NOT_FOUND', 'NO_EXPIRY']);
+    });
+});
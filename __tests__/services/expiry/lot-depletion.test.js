@@ -0,0 +1,101 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { allocateFifo, depleteForSale, pullLots } = require('../../../services/expiry/lot-depletion');
+
+let client;
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction.mockImplementation(fn => fn(client));
+});
+
+const sale = {
+    orderId: 'ORD1',
+    locationId: 'LOC1',
+    lines: [{ variationId: 'VAR1', quantity: 5 }, { variationId: 'VAR2', quantity: 1 }]
+};
+
+describe('allocateFifo', () => {
+    test('takes units from the earliest lots first and leaves the rest unallocated', () => {
+        const lots = [
+            { id: 1, variation_id: 'VAR1', quantity: 3 },
+            { id: 2, variation_id: 'VAR2', quantity: 4 },
+            { id: 3, variation_id: 'VAR1', quantity: 10 }
+        ];
+
+        expect(allocateFifo(lots, [{ variationId: 'VAR1', quantity: 5 }, { variationId: 'VAR2', quantity: 9 }])).toEqual([
+            { lot_id: 1, variation_id: 'VAR1', quantity: 3 },
+            { lot_id: 3, variation_id: 'VAR1', quantity: 2 },
+            { lot_id: 2, variation_id: 'VAR2', quantity: 4 }
+        ]);
+        expect(lots.map(lot => lot.quantity)).toEqual([0, 0, 8]);
+    });
+});
+
+describe('depleteForSale', () => {
+    test('depletes lots earliest expiry first and records the allocations on the order', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+        client.query
+            .mockResolvedValueOnce({ rows: [{ id: 44 }] })
+            .mockResolvedValueOnce({ rows: [
+                { id: 1, variation_id: 'VAR1', quantity: 2 },
+                { id: 2, variation_id: 'VAR1', quantity: 10 }
+            ] });
+
+        const result = await depleteForSale(7, sale);
+
+        expect(result).toEqual({ duplicate: false, allocations: [
+            { lot_id: 1, variation_id: 'VAR1', quantity: 2 },
+            { lot_id: 2, variation_id: 'VAR1', quantity: 3 }
+        ] });
+        expect(client.query.mock.calls[0][1]).toEqual([7, 'ORD1', 'LOC1']);
+        expect(client.query.mock.calls[1][0]).toContain('ORDER BY expiration_date, id');
+        expect(client.query.mock.calls[1][0]).toContain('FOR UPDATE');
+        expect(client.query.mock.calls[2][1]).toEqual([2, 1, 7]);
+        expect(client.query.mock.calls[3][1]).toEqual([3, 2, 7]);
+        expect(client.query.mock.calls[4][1]).toEqual([JSON.stringify(result.allocations), 44]);
+        expect(client.query.mock.calls[5][0]).toContain('INSERT INTO variation_expiration');
+    });
+
+    test('depletes nothing for an order already recorded', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+        client.query.mockResolvedValueOnce({ rows: [] });
+
+        const result = await depleteForSale(7, sale);
+
+        expect(result).toEqual({ duplicate: true, allocations: [] });
+        expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('skips orders with no lot-tracked stock at the location', async () => {
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        const result = await depleteForSale(7, sale);
+
+        expect(result).toEqual({ duplicate: false, allocations: [] });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+});
+
+describe('pullLots', () => {
+    test('empties lots dated before the new expiry and resyncs the variation date', async () => {
+        db.query.mockResolvedValueOnce({ rowCount: 2 }).mockResolvedValueOnce({ rows: [] });
+
+        const emptied = await pullLots(7, 'VAR1', { expiringBefore: '2026-12-15' });
+
+        expect(emptied).toBe(2);
+        expect(db.query.mock.calls[0][1]).toEqual([7, 'VAR1', '2026-12-15']);
+        expect(db.query.mock.calls[1][0]).toContain('INSERT INTO variation_expiration');
+    });
+
+    test('leaves the variation date alone when it has no lots', async () => {
+        db.query.mockResolvedValueOnce({ rowCount: 0 });
+
+        expect(await pullLots(7, 'VAR1')).toBe(0);
+        expect(db.query.mock.calls[0][1]).toEqual([7, 'VAR1', null]);
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+});
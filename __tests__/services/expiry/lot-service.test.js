@@ -0,0 +1,142 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../services/expiry/gs1-scan', () => ({ resolveScan: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { resolveScan } = require('../../../services/expiry/gs1-scan');
+const lotService = require('../../../services/expiry/lot-service');
+
+const LOT = { id: 5, variation_id: 'VAR1', quantity: 12, expiration_date: '2026-11-30', lot_code: 'B-204' };
+
+const syncCalls = () => db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO variation_expiration'));
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+});
+
+describe('syncVariationExpiry', () => {
+    test('sets each variation\'s date to its earliest lot with stock', async () => {
+        await lotService.syncVariationExpiry(db, 7, ['VAR1', 'VAR2']);
+
+        expect(db.query.mock.calls[0][0]).toContain('MIN(expiration_date)');
+        expect(db.query.mock.calls[0][0]).toContain('quantity > 0');
+        expect(db.query.mock.calls[0][1]).toEqual([7, ['VAR1', 'VAR2']]);
+    });
+});
+
+describe('listLots', () => {
+    test('filters by variation and location and hides depleted lots by default', async () => {
+        await lotService.listLots(7, { variationId: 'VAR1', locationId: 'LOC1' });
+
+        const [sql, params] = db.query.mock.calls[0];
+        expect(params).toEqual([7, 'VAR1', 'LOC1']);
+        expect(sql).toContain('l.variation_id = $2 AND l.location_id = $3 AND l.quantity > 0');
+    });
+});
+
+describe('createLot', () => {
+    test('inserts the lot and resyncs the variation date', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ variation_ok: true, location_ok: true }] })
+            .mockResolvedValueOnce({ rows: [LOT] });
+
+        const { lot, scan } = await lotService.createLot(7, {
+            variationId: 'VAR1', locationId: 'LOC1', quantity: 12, expirationDate: '2026-11-30', lotCode: 'B-204'
+        });
+
+        expect(lot).toEqual(LOT);
+        expect(scan).toBeNull();
+        expect(resolveScan).not.toHaveBeenCalled();
+        expect(db.query.mock.calls[1][1]).toEqual([7, 'VAR1', 'LOC1', 'B-204', '2026-11-30', 12]);
+        expect(syncCalls()).toHaveLength(1);
+    });
+
+    test('rejects another merchant\'s location', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ variation_ok: true, location_ok: false }] });
+
+        await expect(lotService.createLot(7, { variationId: 'VAR1', locationId: 'LOCX', quantity: 1, expirationDate: '2026-11-30' }))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Location') });
+    });
+});
+
+describe('createLot from a GS1 scan', () => {
+    const SCANNED = {
+        gtin: '00012345678905', expiration_date: '2027-03-31', lot_code: 'L7',
+        variation: { id: 'VAR1' }, conflicts: []
+    };
+
+    test('fills the variation, expiry and lot from the scan', async () => {
+        resolveScan.mockResolvedValueOnce(SCANNED);
+        db.query
+            .mockResolvedValueOnce({ rows: [{ variation_ok: true, location_ok: true }] })
+            .mockResolvedValueOnce({ rows: [LOT] });
+
+        const result = await lotService.createLot(7, { scan: '(01)00012345678905(17)270331(10)L7', locationId: 'LOC1', quantity: 4 });
+
+        expect(resolveScan).toHaveBeenCalledWith(7, '(01)00012345678905(17)270331(10)L7');
+        expect(db.query.mock.calls[1][1]).toEqual([7, 'VAR1', 'LOC1', 'L7', '2027-03-31', 4]);
+        expect(result.scan).toBe(SCANNED);
+    });
+
+    test('lets fields sent with the scan win', async () => {
+        resolveScan.mockResolvedValueOnce(SCANNED);
+        db.query
+            .mockResolvedValueOnce({ rows: [{ variation_ok: true, location_ok: true }] })
+            .mockResolvedValueOnce({ rows: [LOT] });
+
+        await lotService.createLot(7, { scan: '(01)00012345678905', locationId: 'LOC1', quantity: 4, expirationDate: '2027-04-15', lotCode: 'L8' });
+
+        expect(db.query.mock.calls[1][1]).toEqual([7, 'VAR1', 'LOC1', 'L8', '2027-04-15', 4]);
+    });
+
+    test('rejects an unknown GTIN or a scan without an expiry date', async () => {
+        resolveScan.mockResolvedValueOnce({ ...SCANNED, variation: null });
+        await expect(lotService.createLot(7, { scan: '(01)00012345678905', locationId: 'LOC1', quantity: 4 }))
+            .rejects.toMatchObject({ statusCode: 404, message: 'No item has GTIN 00012345678905' });
+
+        resolveScan.mockResolvedValueOnce({ ...SCANNED, expiration_date: null });
+        await expect(lotService.createLot(7, { scan: '(01)00012345678905', locationId: 'LOC1', quantity: 4 }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(db.query).not.toHaveBeenCalled();
+    });
+});
+
+describe('updateLot', () => {
+    test('keeps fields that are not sent', async () => {
+        db.query.mockResolvedValueOnce({ rows: [LOT] }).mockResolvedValueOnce({ rows: [{ ...LOT, quantity: 3 }] });
+
+        await lotService.updateLot(7, 5, { quantity: 3 });
+
+        expect(db.query.mock.calls[1][1]).toEqual([3, '2026-11-30', 'B-204', 5, 7]);
+        expect(syncCalls()[0][1]).toEqual([7, ['VAR1']]);
+    });
+
+    test('returns 404 for a lot the merchant does not have', async () => {
+        db.query.mockResolvedValueOnce({ rows: [] });
+        await expect(lotService.updateLot(7, 99, { quantity: 1 })).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('validateReceiptLots', () => {
+    test('allows lots up to the received quantity', () => {
+        expect(() => lotService.validateReceiptLots([
+            { id: 1, received_quantity: 10, lots: [{ quantity: 6 }, { quantity: 4 }] },
+            { id: 2, received_quantity: 3 }
+        ])).not.toThrow();
+    });
+
+    test('rejects lots adding up to more than was received', () => {
+        expect(() => lotService.validateReceiptLots([{ id: 1, received_quantity: 5, lots: [{ quantity: 6 }] }]))
+            .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
+
+describe('createReceiptLots', () => {
+    test('skips lines received without lots', async () => {
+        const client = { query: jest.fn() };
+
+        expect(await lotService.createReceiptLots(client, 7, { id: 3, location_id: 'LOC1' }, [{ id: 1, received_quantity: 4 }])).toBe(0);
+        expect(client.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,70 @@
+const db = require('../../../utils/database');
+const { assessLots, saveLotTiers } = require('../../../services/expiry/lot-tiers');
+const { buildTierRankMap } = require('../../../services/expiry/tier-math');
+
+const TIERS = [
+    { id: 100, tier_code: 'EXPIRED', min_days_to_expiry: null, max_days_to_expiry: 0 },
+    { id: 90, tier_code: 'AUTO50', min_days_to_expiry: 1, max_days_to_expiry: 30 },
+    { id: 80, tier_code: 'AUTO25', min_days_to_expiry: 31, max_days_to_expiry: 89 },
+    { id: 70, tier_code: 'REVIEW', min_days_to_expiry: 90, max_days_to_expiry: 120 },
+    { id: 10, tier_code: 'OK', min_days_to_expiry: 121, max_days_to_expiry: null }
+];
+const RANKS = buildTierRankMap(TIERS);
+
+// Mid-tier offsets keep the tests clear of UTC / Toronto day boundaries
+function daysFromNow(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('assessLots', () => {
+    test('takes the most urgent lot\'s tier and counts the units in lots at that tier', () => {
+        const lots = [
+            { id: 1, expiration_date: daysFromNow(10), quantity: 4, current_tier_id: null },
+            { id: 2, expiration_date: daysFromNow(20), quantity: 6, current_tier_id: null },
+            { id: 3, expiration_date: daysFromNow(200), quantity: 24, current_tier_id: null }
+        ];
+
+        const result = assessLots(lots, TIERS, RANKS, 'America/Toronto');
+
+        expect(result.tier.tier_code).toBe('AUTO50');
+        expect(result.expirationDate).toBe(lots[0].expiration_date);
+        expect(result.expiringQuantity).toBe(10);
+        expect(result.lotRegressed).toBe(false);
+        expect(result.lotTiers.map(t => t.tierId)).toEqual([90, 90, 10]);
+    });
+
+    test('moves on to the next lot once the near-dated lot has sold through', () => {
+        // Lot 1 (stored at AUTO50) is gone; the remaining lot is less urgent but its own tier is unchanged
+        const lots = [{ id: 3, expiration_date: daysFromNow(200), quantity: 24, current_tier_id: 10 }];
+
+        const result = assessLots(lots, TIERS, RANKS, 'America/Toronto');
+
+        expect(result.tier.tier_code).toBe('OK');
+        expect(result.expiringQuantity).toBe(24);
+        expect(result.lotRegressed).toBe(false);
+    });
+
+    test('flags a lot whose own date was pushed out to a less urgent tier', () => {
+        const lots = [{ id: 1, expiration_date: daysFromNow(60), quantity: 4, current_tier_id: 90 }];
+
+        expect(assessLots(lots, TIERS, RANKS, 'America/Toronto').lotRegressed).toBe(true);
+    });
+});
+
+describe('saveLotTiers', () => {
+    test('stores every lot\'s tier and days in one update', async () => {
+        await saveLotTiers([{ id: 1, tierId: 90, daysUntilExpiry: 10 }, { id: 3, tierId: 10, daysUntilExpiry: 200 }], 7);
+
+        expect(db.query).toHaveBeenCalledTimes(1);
+        expect(db.query.mock.calls[0][1]).toEqual([[1, 3], [90, 10], [10, 200], 7]);
+    });
+
+    test('does nothing without lots', async () => {
+        await saveLotTiers([], 7);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,106 @@
+const db = require('../../../utils/database');
+const { applyProposals, compareTierSets, simulateTiers } = require('../../../services/expiry/tier-simulation');
+
+const TIERS = [
+    { id: 100, tier_code: 'EXPIRED', min_days_to_expiry: null, max_days_to_expiry: 0, discount_percent: '0.00', is_auto_apply: false, priority: 100, is_active: true },
+    { id: 90, tier_code: 'AUTO50', min_days_to_expiry: 1, max_days_to_expiry: 30, discount_percent: '50.00', is_auto_apply: true, priority: 90, is_active: true },
+    { id: 80, tier_code: 'AUTO25', min_days_to_expiry: 31, max_days_to_expiry: 89, discount_percent: '25.00', is_auto_apply: true, priority: 80, is_active: true },
+    { id: 70, tier_code: 'REVIEW', min_days_to_expiry: 90, max_days_to_expiry: 120, discount_percent: '0.00', is_auto_apply: false, priority: 70, is_active: true },
+    { id: 10, tier_code: 'OK', min_days_to_expiry: 121, max_days_to_expiry: null, discount_percent: '0.00', is_auto_apply: false, priority: 10, is_active: true }
+];
+
+// Mid-tier offsets keep the tests clear of UTC / Toronto day boundaries
+function daysFromNow(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+const stockRow = (overrides = {}) => ({
+    variation_id: 'VAR1', item_name: 'Kibble', variation_name: '2kg', sku: 'K2',
+    price_cents: 2000, expiration_date: daysFromNow(40), lots: null, quantity: '12', daily_velocity: '0.5',
+    ...overrides
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('applyProposals', () => {
+    test('changes only the fields sent and drops deactivated tiers', () => {
+        const proposed = applyProposals(TIERS, [
+            { id: 90, max_days_to_expiry: 45, discount_percent: 40 },
+            { id: 80, min_days_to_expiry: 46 },
+            { id: 70, is_active: false }
+        ]);
+
+        expect(proposed.map(t => t.tier_code)).toEqual(['EXPIRED', 'AUTO50', 'AUTO25', 'OK']);
+        expect(proposed[1]).toMatchObject({ min_days_to_expiry: 1, max_days_to_expiry: 45, discount_percent: 40 });
+        // The merchant's tiers are left as they are
+        expect(TIERS[1].max_days_to_expiry).toBe(30);
+    });
+
+    test('rejects an unknown tier and a minimum above the maximum', () => {
+        expect(() => applyProposals(TIERS, [{ id: 5 }])).toThrow(expect.objectContaining({ statusCode: 404 }));
+        expect(() => applyProposals(TIERS, [{ id: 80, min_days_to_expiry: 95 }]))
+            .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
+
+describe('compareTierSets', () => {
+    test('counts tier moves and projects markdown and recovery from velocity', () => {
+        const proposed = applyProposals(TIERS, [{ id: 90, max_days_to_expiry: 45 }, { id: 80, min_days_to_expiry: 46 }]);
+
+        const result = compareTierSets([stockRow()], TIERS.filter(t => t.is_active), proposed, 'America/Toronto');
+
+        expect(result.moves).toEqual([{ from_tier: 'AUTO25', to_tier: 'AUTO50', variations: 1 }]);
+        // 0.5/day over 40 days sells 20, capped at the 12 in stock
+        expect(result.current).toMatchObject({ discounted_units: 12, projected_units_sold: 12, markdown_cents: 12 * 500, recovered_revenue_cents: 12 * 1500 });
+        expect(result.proposed).toMatchObject({ markdown_cents: 12 * 1000, recovered_revenue_cents: 12 * 1000 });
+        expect(result.proposed.by_tier.AUTO50).toBe(1);
+        expect(result.changes[0]).toMatchObject({ variation_id: 'VAR1', from_tier: 'AUTO25', to_tier: 'AUTO50', markdown_change_cents: 6000 });
+    });
+
+    test('leaves units that will not sell before expiry out of the projection', () => {
+        const row = stockRow({ expiration_date: daysFromNow(10), daily_velocity: '0.2' });
+
+        const { current } = compareTierSets([row], TIERS, TIERS, 'America/Toronto');
+
+        expect(current.projected_units_sold).toBe(2);
+        expect(current.projected_unsold_units).toBe(10);
+    });
+
+    test('counts only the units in a lot-tracked variation\'s most urgent lots', () => {
+        const row = stockRow({
+            expiration_date: null,
+            lots: [
+                { id: 1, expiration_date: daysFromNow(20), quantity: 3, current_tier_id: 90 },
+                { id: 2, expiration_date: daysFromNow(200), quantity: 9, current_tier_id: 10 }
+            ],
+            daily_velocity: '1'
+        });
+
+        const { current, changes } = compareTierSets([row], TIERS, TIERS, 'America/Toronto');
+
+        expect(current.discounted_units).toBe(3);
+        expect(current.markdown_cents).toBe(3 * 1000);
+        expect(changes).toEqual([]);
+    });
+});
+
+describe('simulateTiers', () => {
+    test('reads tiers, timezone and stock without writing anything', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: TIERS })
+            .mockResolvedValueOnce({ rows: [{ setting_value: 'America/Toronto' }] })
+            .mockResolvedValueOnce({ rows: [stockRow()] });
+
+        const result = await simulateTiers(1, [{ id: 80, discount_percent: 30 }]);
+
+        expect(db.query).toHaveBeenCalledTimes(3);
+        for (const [sql] of db.query.mock.calls) expect(sql).not.toMatch(/INSERT|UPDATE|DELETE/);
+        expect(db.query.mock.calls[2][0]).toContain('sv.period_days = 91');
+        expect(result.variations_evaluated).toBe(1);
+        expect(result.moves).toEqual([]);
+        expect(result.difference.markdown_cents).toBe(12 * 600 - 12 * 500);
+        expect(result.difference.recovered_revenue_cents).toBe(12 * 1400 - 12 * 1500);
+    });
+});
@@ -0,0 +1,82 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { getShrinkReport, mergeShrinkRows } = require('../../../services/inventory/shrink-report-service');
+
+beforeEach(() => {
+    jest.resetAllMocks();
+});
+
+describe('mergeShrinkRows', () => {
+    test('puts waste by reason next to discount recovery for each group', () => {
+        const rows = mergeShrinkRows([
+            { group_key: 'VEN1', group_label: 'Acme', reason: 'EXPIRED', units: 4, cost_cents: '1000', uncosted_entries: 0 },
+            { group_key: 'VEN1', group_label: 'Acme', reason: 'DAMAGED', units: 1, cost_cents: '250', uncosted_entries: 0 },
+            { group_key: null, group_label: null, reason: 'RECALLED', units: 2, cost_cents: '0', uncosted_entries: 1 },
+        ], [
+            { group_key: 'VEN1', group_label: 'Acme', units: 6, revenue_cents: '1800', markdown_cents: '600' },
+            { group_key: 'VEN2', group_label: 'Bolt', units: 2, revenue_cents: '500', markdown_cents: '125' },
+        ], 'vendor');
+
+        expect(rows.map(row => row.label)).toEqual(['Acme', 'Bolt', 'Unassigned']);
+        expect(rows[0].waste).toEqual({
+            units: 5, cost_cents: 1250, uncosted_entries: 0,
+            by_reason: { EXPIRED: { units: 4, cost_cents: 1000 }, DAMAGED: { units: 1, cost_cents: 250 } }
+        });
+        expect(rows[0].recovery).toEqual({ units: 6, revenue_cents: 1800, markdown_cents: 600 });
+        expect(rows[1].waste.units).toBe(0);
+        expect(rows[2].waste.uncosted_entries).toBe(1);
+    });
+
+    test('orders months chronologically', () => {
+        const rows = mergeShrinkRows(
+            [{ group_key: '2026-09', group_label: '2026-09', reason: 'EXPIRED', units: 1, cost_cents: 900, uncosted_entries: 0 }],
+            [{ group_key: '2026-08', group_label: '2026-08', units: 1, revenue_cents: 100, markdown_cents: 50 }],
+            'month'
+        );
+        expect(rows.map(row => row.label)).toEqual(['2026-08', '2026-09']);
+    });
+});
+
+describe('getShrinkReport', () => {
+    test('groups both sources by brand over the date range and totals them', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ group_key: '3', group_label: 'Orijen', reason: 'EXPIRED', units: 2, cost_cents: 800, uncosted_entries: 0 }] })
+            .mockResolvedValueOnce({ rows: [{ group_key: '3', group_label: 'Orijen', units: 5, revenue_cents: 2000, markdown_cents: 500 }] });
+
+        const report = await getShrinkReport(1, { groupBy: 'brand', startDate: '2026-01-01', endDate: '2026-06-30' });
+
+        expect(db.query.mock.calls[0][0]).toContain('FROM waste_log w');
+        expect(db.query.mock.calls[0][0]).toContain('LEFT JOIN item_brands ib');
+        expect(db.query.mock.calls[1][0]).toContain('FROM expiry_discount_sales s');
+        expect(db.query.mock.calls[1][1]).toEqual([1, '2026-01-01', '2026-06-30']);
+        expect(report.totals).toEqual({
+            waste_units: 2, waste_cost_cents: 800, recovery_units: 5, recovery_revenue_cents: 2000, markdown_cents: 500
+        });
+    });
+
+    test('groups vendor recovery by the current primary vendor', async () => {
+        db.query.mockResolvedValue({ rows: [] });
+
+        await getShrinkReport(1, { groupBy: 'vendor', startDate: '2026-01-01', endDate: '2026-01-31' });
+
+        expect(db.query.mock.calls[0][0]).toContain('w.vendor_id = ven.id');
+        expect(db.query.mock.calls[1][0]).toContain('ORDER BY vv.unit_cost_money ASC, vv.created_at ASC');
+    });
+
+    test('defaults to the twelve months up to today', async () => {
+        db.query.mockResolvedValue({ rows: [] });
+
+        const report = await getShrinkReport(1, { endDate: '2026-10-19' });
+
+        expect(report.group_by).toBe('month');
+        expect(report.start_date).toBe('2025-11-01');
+    });
+
+    test('rejects an unknown grouping and a reversed range', async () => {
+        await expect(getShrinkReport(1, { groupBy: 'sku' })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(getShrinkReport(1, { startDate: '2026-02-01', endDate: '2026-01-01' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(db.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,101 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../services/catalog/location-service', () => ({ getLocationById: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { getLocationById } = require('../../../services/catalog/location-service');
+const {
+    createTransfer, updateTransfer, deleteTransfer
+} = require('../../../services/inventory/transfer-service');
+
+let client;
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction.mockImplementation(fn => fn(client));
+    getLocationById.mockImplementation((merchantId, id) => Promise.resolve({ id }));
+});
+
+// getTransfer: header row, then item rows
+function mockGetTransfer(header, items = []) {
+    db.query
+        .mockResolvedValueOnce({ rows: header ? [header] : [] })
+        .mockResolvedValueOnce({ rows: items });
+}
+
+describe('createTransfer', () => {
+    const input = {
+        fromLocationId: 'LOC1', toLocationId: 'LOC2', notes: 'Weekend restock',
+        items: [
+            { variation_id: 'VAR1', quantity: 2 },
+            { variation_id: 'VAR2', quantity: 1, note: 'Fragile' },
+            { variation_id: 'VAR1', quantity: 3 }
+        ]
+    };
+
+    test('merges repeated variations and inserts a DRAFT with a transfer number', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ id: 'VAR1' }, { id: 'VAR2' }] })  // variation check
+            .mockResolvedValueOnce({ rows: [{ count: '1' }] });                 // transfer number
+        client.query.mockResolvedValueOnce({ rows: [{ id: 5 }] });
+        mockGetTransfer({ id: 5, status: 'DRAFT' });
+
+        const result = await createTransfer(1, input);
+
+        expect(result).toMatchObject({ id: 5, status: 'DRAFT', items: [] });
+        const [insertSql, insertParams] = client.query.mock.calls[0];
+        expect(insertSql).toContain('INSERT INTO stock_transfers');
+        expect(insertParams).toEqual([1, expect.stringMatching(/^TRF-\d{8}-002$/), 'LOC1', 'LOC2', 'Weekend restock']);
+        expect(client.query.mock.calls[1][1]).toEqual([5, 1, 'VAR1', 5, null]);
+        expect(client.query.mock.calls[2][1]).toEqual([5, 1, 'VAR2', 1, 'Fragile']);
+        expect(client.query).toHaveBeenCalledTimes(3);
+    });
+
+    test('rejects the same location at both ends, foreign locations and unknown variations', async () => {
+        await expect(createTransfer(1, { ...input, toLocationId: 'LOC1' })).rejects.toMatchObject({ statusCode: 400 });
+
+        getLocationById.mockResolvedValueOnce({ id: 'LOC1' }).mockResolvedValueOnce(null);
+        await expect(createTransfer(1, input)).rejects.toMatchObject({ statusCode: 403 });
+
+        db.query.mockResolvedValueOnce({ rows: [{ id: 'VAR1' }] });
+        await expect(createTransfer(1, input)).rejects.toMatchObject({ statusCode: 400, message: 'Unknown variation(s): VAR2' });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+});
+
+describe('updateTransfer', () => {
+    test('replaces lines on a draft and clears a stale ship stamp', async () => {
+        mockGetTransfer({ id: 5, status: 'DRAFT' });
+        db.query.mockResolvedValueOnce({ rows: [{ id: 'VAR3' }] });
+        mockGetTransfer({ id: 5, status: 'DRAFT' });
+
+        await updateTransfer(1, 5, { items: [{ variation_id: 'VAR3', quantity: 7 }] });
+
+        expect(client.query.mock.calls[0][0]).toContain('shipped_at = CASE WHEN $4 THEN NULL ELSE shipped_at END');
+        expect(client.query.mock.calls[0][1]).toEqual([5, 1, null, true]);
+        expect(client.query.mock.calls[1][0]).toContain('DELETE FROM stock_transfer_items');
+        expect(client.query.mock.calls[2][1]).toEqual([5, 1, 'VAR3', 7, null]);
+    });
+
+    test('only notes can change once shipped; received transfers are read-only', async () => {
+        mockGetTransfer({ id: 5, status: 'SHIPPED' });
+        await expect(updateTransfer(1, 5, { items: [{ variation_id: 'VAR1', quantity: 1 }] }))
+            .rejects.toMatchObject({ statusCode: 400 });
+
+        mockGetTransfer({ id: 5, status: 'RECEIVED' });
+        await expect(updateTransfer(1, 5, { notes: 'late' })).rejects.toMatchObject({ statusCode: 400 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+});
+
+describe('deleteTransfer', () => {
+    test('deletes drafts only', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ transfer_number: 'TRF-20260101-001', status: 'DRAFT' }] });
+        await expect(deleteTransfer(1, 5)).resolves.toEqual({ transferNumber: 'TRF-20260101-001' });
+        expect(db.query.mock.calls[1][0]).toContain('DELETE FROM stock_transfers');
+
+        db.query.mockResolvedValueOnce({ rows: [{ transfer_number: 'TRF-20260101-001', status: 'SHIPPED' }] });
+        await expect(deleteTransfer(1, 5)).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
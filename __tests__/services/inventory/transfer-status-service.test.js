@@ -0,0 +1,128 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../services/square/square-inventory', () => ({ transferSquareInventory: jest.fn() }));
+jest.mock('../../../services/inventory/transfer-service', () => ({ getTransfer: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { transferSquareInventory } = require('../../../services/square/square-inventory');
+const { getTransfer } = require('../../../services/inventory/transfer-service');
+const { shipTransfer, receiveTransfer } = require('../../../services/inventory/transfer-status-service');
+
+const draft = {
+    id: 5,
+    transfer_number: 'TRF-20260101-001',
+    status: 'DRAFT',
+    from_location_id: 'LOC1',
+    to_location_id: 'LOC2',
+    items: [
+        { variation_id: 'VAR1', quantity: 4 },
+        { variation_id: 'VAR2', quantity: 1 }
+    ]
+};
+const stampedAt = new Date('2026-01-01T12:00:00Z');
+
+let client;
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction.mockImplementation(fn => fn(client));
+    db.query.mockResolvedValue({ rows: [{ stamped_at: stampedAt }] });
+    transferSquareInventory.mockResolvedValue({ success: true, changes: [] });
+});
+
+describe('shipTransfer', () => {
+    test('posts the ship leg to Square, then marks SHIPPED and decrements source stock', async () => {
+        getTransfer.mockResolvedValueOnce(draft).mockResolvedValueOnce({ ...draft, status: 'SHIPPED' });
+        client.query.mockResolvedValueOnce({ rows: [{ id: 5 }] });
+
+        const result = await shipTransfer(1, 5);
+
+        expect(result.status).toBe('SHIPPED');
+        expect(db.query.mock.calls[0][0]).toContain('shipped_at = COALESCE(shipped_at, NOW())');
+        expect(db.query.mock.calls[0][1]).toEqual([5, 1, 'DRAFT']);
+        expect(transferSquareInventory).toHaveBeenCalledWith(1, {
+            fromLocationId: 'LOC1',
+            toLocationId: 'LOC2',
+            lines: [{ catalogObjectId: 'VAR1', quantity: 4 }, { catalogObjectId: 'VAR2', quantity: 1 }]
+        }, {
+            stage: 'SHIP',
+            idempotencyKey: `stock-transfer-5-ship-${stampedAt.getTime()}`,
+            referenceId: 'TRF-20260101-001',
+            occurredAt: '2026-01-01T12:00:00.000Z'
+        });
+        expect(client.query.mock.calls[0][0]).toContain("status = 'SHIPPED'");
+        expect(client.query.mock.calls[1][1]).toEqual([4, 'VAR1', 'LOC1', 1]);
+        expect(client.query.mock.calls[2][1]).toEqual([1, 'VAR2', 'LOC1', 1]);
+    });
+
+    test('leaves the transfer as a draft with 502 when Square fails', async () => {
+        getTransfer.mockResolvedValueOnce(draft);
+        transferSquareInventory.mockRejectedValueOnce(new Error('Square down'));
+
+        await expect(shipTransfer(1, 5)).rejects.toMatchObject({ statusCode: 502 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    test('rejects non-draft, empty and unknown transfers', async () => {
+        getTransfer.mockResolvedValueOnce({ ...draft, status: 'SHIPPED' });
+        await expect(shipTransfer(1, 5)).rejects.toMatchObject({ statusCode: 400 });
+
+        getTransfer.mockResolvedValueOnce({ ...draft, items: [] });
+        await expect(shipTransfer(1, 5)).rejects.toMatchObject({ statusCode: 400 });
+
+        getTransfer.mockResolvedValueOnce(null);
+        await expect(shipTransfer(1, 5)).rejects.toMatchObject({ statusCode: 404 });
+        expect(transferSquareInventory).not.toHaveBeenCalled();
+    });
+
+    test('returns 409 when the transfer left DRAFT before it could be stamped', async () => {
+        getTransfer.mockResolvedValueOnce(draft);
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(shipTransfer(1, 5)).rejects.toMatchObject({ statusCode: 409 });
+        expect(transferSquareInventory).not.toHaveBeenCalled();
+    });
+
+    test('leaves stock alone when a concurrent ship already moved the transfer', async () => {
+        getTransfer.mockResolvedValueOnce(draft).mockResolvedValueOnce({ ...draft, status: 'SHIPPED' });
+
+        const result = await shipTransfer(1, 5);
+
+        expect(result.status).toBe('SHIPPED');
+        expect(client.query).toHaveBeenCalledTimes(1);
+        expect(client.query.mock.calls[0][0]).toContain('RETURNING id');
+    });
+});
+
+describe('receiveTransfer', () => {
+    const shipped = { ...draft, status: 'SHIPPED' };
+
+    test('posts the receive leg, then marks RECEIVED and adds stock at the destination', async () => {
+        getTransfer.mockResolvedValueOnce(shipped).mockResolvedValueOnce({ ...shipped, status: 'RECEIVED' });
+        client.query.mockResolvedValueOnce({ rows: [{ id: 5 }] });
+
+        await receiveTransfer(1, 5);
+
+        expect(db.query.mock.calls[0][1]).toEqual([5, 1, 'SHIPPED']);
+        expect(transferSquareInventory.mock.calls[0][2]).toMatchObject({
+            stage: 'RECEIVE', idempotencyKey: `stock-transfer-5-receive-${stampedAt.getTime()}`
+        });
+        expect(client.query.mock.calls[0][0]).toContain("status = 'RECEIVED'");
+        expect(client.query.mock.calls[1][0]).toContain('quantity = inventory_counts.quantity + EXCLUDED.quantity');
+        expect(client.query.mock.calls[1][1]).toEqual(['VAR1', 'LOC2', 4, 1]);
+    });
+
+    test('leaves stock alone when a concurrent receive already moved the transfer', async () => {
+        getTransfer.mockResolvedValueOnce(shipped).mockResolvedValueOnce({ ...shipped, status: 'RECEIVED' });
+
+        await receiveTransfer(1, 5);
+
+        expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('only shipped transfers can be received', async () => {
+        getTransfer.mockResolvedValueOnce(draft);
+        await expect(receiveTransfer(1, 5)).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
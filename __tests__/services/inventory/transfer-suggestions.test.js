@@ -0,0 +1,72 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { getTransferSources, applyTransferSuggestions } = require('../../../services/inventory/transfer-suggestions');
+
+const sourceRow = (overrides = {}) => ({
+    variation_id: 'VAR1', location_id: 'LOC2', location_name: 'Uptown',
+    available_quantity: '40', stock_alert_min: '5', stock_alert_max: null, daily_avg_quantity: '0.5',
+    ...overrides
+});
+
+const suggestion = (overrides = {}) => ({
+    variation_id: 'VAR1', location_id: 'LOC1', final_suggested_qty: 12, unit_cost_cents: 250, order_cost: 30,
+    ...overrides
+});
+
+beforeEach(() => {
+    jest.resetAllMocks();
+});
+
+describe('getTransferSources', () => {
+    test('keeps the larger of min and the horizon demand, and offers anything over max', async () => {
+        db.query.mockResolvedValueOnce({ rows: [
+            sourceRow(),                                                                   // keep max(5, 0.5*52=26) → 14
+            sourceRow({ location_id: 'LOC3', location_name: 'Mall', available_quantity: '30', stock_alert_max: '10' }), // keep capped at 10 → 20
+            sourceRow({ location_id: 'LOC4', available_quantity: '20' })                  // keep 26 → none
+        ] });
+
+        const sources = await getTransferSources(1, ['VAR1'], 52);
+
+        expect(sources.get('VAR1')).toEqual([
+            { location_id: 'LOC3', location_name: 'Mall', surplus: 20 },
+            { location_id: 'LOC2', location_name: 'Uptown', surplus: 14 }
+        ]);
+        expect(db.query.mock.calls[0][0]).toContain("st.status = 'DRAFT'");
+        expect(db.query.mock.calls[0][1]).toEqual([1, ['VAR1']]);
+    });
+});
+
+describe('applyTransferSuggestions', () => {
+    test('covers needs from surplus before the PO, most urgent suggestion first', async () => {
+        db.query.mockResolvedValueOnce({ rows: [sourceRow()] }); // surplus 14 at LOC2
+        const urgent = suggestion();
+        const later = suggestion({ location_id: 'LOC5', final_suggested_qty: 10, order_cost: 25 });
+
+        await applyTransferSuggestions(1, [urgent, later], { horizonDays: 52 });
+
+        expect(urgent).toMatchObject({
+            transfer_quantity: 12, final_suggested_qty: 0, order_cost: 0,
+            transfer_suggestions: [{ from_location_id: 'LOC2', from_location_name: 'Uptown', quantity: 12 }]
+        });
+        expect(later).toMatchObject({ transfer_quantity: 2, final_suggested_qty: 8, order_cost: 20 });
+    });
+
+    test('never suggests a transfer from the location that needs the stock', async () => {
+        db.query.mockResolvedValueOnce({ rows: [sourceRow({ location_id: 'LOC1' })] });
+        const s = suggestion();
+
+        await applyTransferSuggestions(1, [s], { horizonDays: 52 });
+
+        expect(s).toMatchObject({ transfer_quantity: 0, transfer_suggestions: [], final_suggested_qty: 12 });
+    });
+
+    test('skips the lookup when nothing needs ordering at a known location', async () => {
+        const suggestions = [suggestion({ location_id: null }), suggestion({ final_suggested_qty: 0 })];
+
+        await applyTransferSuggestions(1, suggestions, { horizonDays: 52 });
+
+        expect(db.query).not.toHaveBeenCalled();
+        expect(suggestions[0].transfer_suggestions).toEqual([]);
+    });
+});
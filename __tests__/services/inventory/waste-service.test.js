@@ -0,0 +1,138 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../services/square/square-inventory', () => ({ removeSquareInventory: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { removeSquareInventory } = require('../../../services/square/square-inventory');
+const { recordWaste, retryWastePost, listWaste } = require('../../../services/inventory/waste-service');
+
+const createdAt = new Date('2026-10-01T15:00:00Z');
+const row = (overrides = {}) => ({
+    id: 11, variation_id: 'VAR1', location_id: 'LOC1', quantity: 4, created_at: createdAt,
+    square_status: 'PENDING', square_error: null, ...overrides
+});
+
+let client;
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction.mockImplementation(fn => fn(client));
+    removeSquareInventory.mockResolvedValue({ success: true, changes: [] });
+});
+
+describe('recordWaste', () => {
+    const waste = {
+        variationId: 'VAR1',
+        lines: [{ locationId: 'LOC1', quantity: 4 }, { locationId: 'LOC2', quantity: 0 }],
+        reason: 'EXPIRED',
+        source: 'EXPIRY_PULL',
+        recordedBy: 'Sam'
+    };
+
+    test('logs each line at the primary vendor cost, posts it to Square as waste and reduces local stock', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ variation_ok: true, locations_found: 1 }] })
+            .mockResolvedValueOnce({ rows: [{ vendor_id: 'VEN1', unit_cost_cents: 250 }] })
+            .mockResolvedValueOnce({ rows: [row()] });
+        client.query.mockResolvedValueOnce({ rows: [row({ square_status: 'POSTED' })] });
+
+        const result = await recordWaste(1, waste);
+
+        // LOC2 has nothing to write off
+        expect(db.query.mock.calls[0][1]).toEqual(['VAR1', ['LOC1'], 1]);
+        expect(db.query.mock.calls[1][0]).toContain('COALESCE(vv.landed_unit_cost_money, vv.unit_cost_money)');
+        expect(db.query.mock.calls[2][1]).toEqual([1, 'VAR1', 'LOC1', 4, 250, 1000, 'VEN1', 'EXPIRED', 'EXPIRY_PULL', null, 'Sam']);
+        expect(removeSquareInventory).toHaveBeenCalledWith(1,
+            [{ catalogObjectId: 'VAR1', locationId: 'LOC1', quantity: 4 }],
+            { idempotencyKey: 'waste-11', referenceId: 'WASTE-11', occurredAt: '2026-10-01T15:00:00.000Z' });
+        expect(client.query.mock.calls[0][0]).toContain("square_status = 'POSTED'");
+        expect(client.query.mock.calls[1][0]).toContain('GREATEST(quantity - $1, 0)');
+        expect(client.query.mock.calls[1][1]).toEqual([4, 'VAR1', 'LOC1', 1]);
+        expect(result.squareInventory).toEqual({ success: 1, failed: 0, errors: [] });
+        expect(result.entries[0].square_status).toBe('POSTED');
+    });
+
+    test('keeps the entry as FAILED and leaves local stock alone when Square rejects it', async () => {
+        removeSquareInventory.mockRejectedValueOnce(new Error('Square down'));
+        db.query
+            .mockResolvedValueOnce({ rows: [{ variation_ok: true, locations_found: 1 }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [row()] })
+            .mockResolvedValueOnce({ rows: [row({ square_status: 'FAILED', square_error: 'Square down' })] });
+
+        const result = await recordWaste(1, waste);
+
+        // No vendor: logged without a cost
+        expect(db.query.mock.calls[2][1].slice(4, 7)).toEqual([null, null, null]);
+        expect(db.query.mock.calls[3][0]).toContain("square_status = 'FAILED'");
+        expect(db.transaction).not.toHaveBeenCalled();
+        expect(result.squareInventory).toEqual({ success: 0, failed: 1, errors: [{ location_id: 'LOC1', error: 'Square down' }] });
+    });
+
+    test('does nothing when no line has a quantity', async () => {
+        const result = await recordWaste(1, { ...waste, lines: [{ locationId: 'LOC1', quantity: 0 }] });
+
+        expect(result.entries).toEqual([]);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('rejects an unknown reason and another merchant\'s location', async () => {
+        await expect(recordWaste(1, { ...waste, reason: 'STOLEN' })).rejects.toMatchObject({ statusCode: 400 });
+
+        db.query.mockResolvedValueOnce({ rows: [{ variation_ok: true, locations_found: 0 }] });
+        await expect(recordWaste(1, waste)).rejects.toMatchObject({ statusCode: 400, message: 'Location not found for this merchant' });
+        expect(removeSquareInventory).not.toHaveBeenCalled();
+    });
+});
+
+describe('retryWastePost', () => {
+    test('posts a failed entry again with the same idempotency key', async () => {
+        db.query.mockResolvedValueOnce({ rows: [row({ square_status: 'FAILED' })] });
+        client.query.mockResolvedValueOnce({ rows: [row({ square_status: 'POSTED' })] });
+
+        const entry = await retryWastePost(1, 11);
+
+        expect(entry.square_status).toBe('POSTED');
+        expect(removeSquareInventory.mock.calls[0][2].idempotencyKey).toBe('waste-11');
+    });
+
+    test('leaves local stock alone when a concurrent post already marked the entry POSTED', async () => {
+        db.query.mockResolvedValueOnce({ rows: [row({ square_status: 'FAILED' })] });
+
+        const entry = await retryWastePost(1, 11);
+
+        expect(entry.square_status).toBe('POSTED');
+        expect(client.query.mock.calls[0][0]).toContain("square_status <> 'POSTED'");
+        expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('returns 409 for a posted entry and 404 for a missing one', async () => {
+        db.query.mockResolvedValueOnce({ rows: [row({ square_status: 'POSTED' })] });
+        await expect(retryWastePost(1, 11)).rejects.toMatchObject({ statusCode: 409 });
+
+        db.query.mockResolvedValueOnce({ rows: [] });
+        await expect(retryWastePost(1, 99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('returns 502 when Square fails again', async () => {
+        removeSquareInventory.mockRejectedValueOnce(new Error('Square down'));
+        db.query
+            .mockResolvedValueOnce({ rows: [row({ square_status: 'FAILED' })] })
+            .mockResolvedValueOnce({ rows: [row({ square_status: 'FAILED', square_error: 'Square down' })] });
+
+        await expect(retryWastePost(1, 11)).rejects.toMatchObject({ statusCode: 502 });
+    });
+});
+
+describe('listWaste', () => {
+    test('filters by date range and reason for the merchant', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+        const entries = await listWaste(1, { startDate: '2026-10-01', endDate: '2026-10-31', reason: 'DAMAGED' });
+
+        expect(entries).toEqual([{ id: 1 }]);
+        expect(db.query.mock.calls[0][0]).toContain('w.created_at < $3::date + 1');
+        expect(db.query.mock.calls[0][1]).toEqual([1, '2026-10-01', '2026-10-31', 'DAMAGED', 100, 0]);
+    });
+});
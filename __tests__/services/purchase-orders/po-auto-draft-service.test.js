@@ -0,0 +1,141 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../services/merchant', () => ({
+    getMerchantLocaleConfig: jest.fn(),
+}));
+jest.mock('../../../services/catalog/location-service', () => ({
+    getActiveLocationIds: jest.fn(),
+}));
+jest.mock('../../../services/catalog/reorder-service', () => ({
+    getReorderSuggestions: jest.fn(),
+}));
+jest.mock('../../../services/purchase-orders/po-service', () => ({
+    ...jest.requireActual('../../../services/purchase-orders/po-service'),
+    createPurchaseOrder: jest.fn(),
+}));
+
+const db = require('../../../utils/database');
+const { getMerchantLocaleConfig } = require('../../../services/merchant');
+const { getActiveLocationIds } = require('../../../services/catalog/location-service');
+const { getReorderSuggestions } = require('../../../services/catalog/reorder-service');
+const { createPurchaseOrder } = require('../../../services/purchase-orders/po-service');
+const {
+    weekdayInTimezone, buildDraftItems, autoDraftPurchaseOrders, AUTO_DRAFT_CREATED_BY
+} = require('../../../services/purchase-orders/po-auto-draft-service');
+
+const MERCHANT = { id: 1, business_name: 'Test Store' };
+// Tuesday 2026-10-13 03:30 UTC is still Monday evening in Toronto
+const NOW = new Date('2026-10-13T03:30:00Z');
+const VENDOR = { id: 'V1', name: 'Acme Pet', minimum_order_amount: '10000', default_supply_days: 30 };
+
+function suggestion(overrides = {}) {
+    return { variation_id: 'VAR1', final_suggested_qty: 10, case_pack_quantity: 1, unit_cost_cents: 1500, ...overrides };
+}
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    getMerchantLocaleConfig.mockResolvedValue({ timezone: 'America/Toronto' });
+    getActiveLocationIds.mockResolvedValue(['LOC1']);
+});
+
+describe('weekdayInTimezone', () => {
+    test('uses the merchant timezone, not UTC', () => {
+        expect(weekdayInTimezone('America/Toronto', NOW)).toBe('monday');
+        expect(weekdayInTimezone('UTC', NOW)).toBe('tuesday');
+    });
+});
+
+describe('buildDraftItems', () => {
+    test('rounds quantities up to whole case packs', () => {
+        const items = buildDraftItems([
+            suggestion({ final_suggested_qty: 7, case_pack_quantity: 6 }),
+            suggestion({ variation_id: 'VAR2', final_suggested_qty: 3, case_pack_quantity: 1 }),
+        ]);
+        expect(items).toEqual([
+            { variation_id: 'VAR1', quantity_ordered: 12, unit_cost_cents: 1500 },
+            { variation_id: 'VAR2', quantity_ordered: 3, unit_cost_cents: 1500 },
+        ]);
+    });
+
+    test('drops suggestions already covered by pending orders', () => {
+        expect(buildDraftItems([suggestion({ final_suggested_qty: 0, case_pack_quantity: 12 })])).toEqual([]);
+    });
+});
+
+describe('autoDraftPurchaseOrders', () => {
+    test('does nothing when no vendor orders today', async () => {
+        const result = await autoDraftPurchaseOrders(MERCHANT, { now: NOW });
+
+        expect(result).toEqual({ weekday: 'monday', results: [] });
+        expect(db.query.mock.calls[0][1]).toEqual([1, 'monday']);
+        expect(getReorderSuggestions).not.toHaveBeenCalled();
+    });
+
+    test('drafts a PO from the vendor suggestions', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [VENDOR] })
+            .mockResolvedValueOnce({ rows: [] });
+        getReorderSuggestions.mockResolvedValueOnce({
+            supply_days: 30,
+            suggestions: [suggestion({ final_suggested_qty: 5, case_pack_quantity: 4 })]
+        });
+        createPurchaseOrder.mockResolvedValueOnce({ po: { id: 42, po_number: 'PO-20261012-001' } });
+
+        const { results } = await autoDraftPurchaseOrders(MERCHANT, { now: NOW });
+
+        expect(getReorderSuggestions).toHaveBeenCalledWith(expect.objectContaining({
+            merchantId: 1,
+            query: { vendor_id: 'V1', location_id: 'LOC1', supply_days: 30 }
+        }));
+        expect(createPurchaseOrder).toHaveBeenCalledWith(1, expect.objectContaining({
+            vendorId: 'V1',
+            locationId: 'LOC1',
+            createdBy: AUTO_DRAFT_CREATED_BY,
+            items: [{ variation_id: 'VAR1', quantity_ordered: 8, unit_cost_cents: 1500 }]
+        }));
+        expect(createPurchaseOrder.mock.calls[0][1].force).toBeUndefined();
+        expect(results).toEqual([expect.objectContaining({
+            status: 'drafted', po: { id: 42, po_number: 'PO-20261012-001' }, itemCount: 1, subtotalCents: 12000
+        })]);
+    });
+
+    test('reports the shortfall instead of drafting below the vendor minimum', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [VENDOR] })
+            .mockResolvedValueOnce({ rows: [] });
+        getReorderSuggestions.mockResolvedValueOnce({ supply_days: 30, suggestions: [suggestion({ final_suggested_qty: 2 })] });
+
+        const { results } = await autoDraftPurchaseOrders(MERCHANT, { now: NOW });
+
+        expect(createPurchaseOrder).not.toHaveBeenCalled();
+        expect(results[0]).toEqual(expect.objectContaining({
+            status: 'below_minimum', subtotalCents: 3000, minimumCents: 10000, shortfallCents: 7000
+        }));
+    });
+
+    test('leaves a vendor alone when it already has an open draft', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [VENDOR] })
+            .mockResolvedValueOnce({ rows: [{ id: 7, po_number: 'PO-20261005-002' }] });
+
+        const { results } = await autoDraftPurchaseOrders(MERCHANT, { now: NOW });
+
+        expect(getReorderSuggestions).not.toHaveBeenCalled();
+        expect(results[0]).toEqual(expect.objectContaining({ status: 'existing_draft' }));
+    });
+
+    test('drafts per location and isolates failures', async () => {
+        getActiveLocationIds.mockResolvedValueOnce(['LOC1', 'LOC2']);
+        db.query.mockResolvedValueOnce({ rows: [{ ...VENDOR, minimum_order_amount: null }] });
+        getReorderSuggestions
+            .mockRejectedValueOnce(new Error('query timeout'))
+            .mockResolvedValueOnce({ supply_days: 30, suggestions: [suggestion()] });
+        createPurchaseOrder.mockResolvedValueOnce({ po: { id: 43, po_number: 'PO-20261012-002' } });
+
+        const { results } = await autoDraftPurchaseOrders(MERCHANT, { now: NOW });
+
+        expect(results.map(r => [r.locationId, r.status])).toEqual([['LOC1', 'failed'], ['LOC2', 'drafted']]);
+        expect(results[0].error).toBe('query timeout');
+    });
+});
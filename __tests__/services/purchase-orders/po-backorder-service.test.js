@@ -0,0 +1,86 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../services/purchase-orders/po-service', () => ({ generatePoNumber: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { generatePoNumber } = require('../../../services/purchase-orders/po-service');
+const { closePurchaseOrder } = require('../../../services/purchase-orders/po-backorder-service');
+
+const partialPo = { id: 3, po_number: 'PO-20260301-001', vendor_id: 'V1', location_id: 'LOC1', status: 'PARTIAL' };
+const shortLines = [
+    { id: 31, variation_id: 'VAR1', unit_cost_cents: 250, remaining_quantity: '4.00' },
+    { id: 32, variation_id: 'VAR2', unit_cost_cents: 1000, remaining_quantity: '1.00' }
+];
+
+let client;
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction.mockImplementation(fn => fn(client));
+});
+
+describe('closePurchaseOrder', () => {
+    test('cancels the remainder without touching other POs', async () => {
+        db.query.mockResolvedValueOnce({ rows: [partialPo] }).mockResolvedValueOnce({ rows: shortLines });
+        client.query.mockResolvedValueOnce({ rows: [{ ...partialPo, status: 'CLOSED', closed_remainder: 'CANCELLED' }] });
+
+        const result = await closePurchaseOrder(1, 3, { remainder: 'cancel' });
+
+        expect(result).toMatchObject({ remainder: 'CANCELLED', remaining_quantity: 5, backorder: null });
+        expect(client.query).toHaveBeenCalledTimes(1);
+        expect(client.query.mock.calls[0][0]).toContain("status = 'CLOSED'");
+        expect(client.query.mock.calls[0][1]).toEqual([3, 1, 'CANCELLED']);
+    });
+
+    test('carries short lines onto the vendor\'s oldest draft at the same location', async () => {
+        db.query.mockResolvedValueOnce({ rows: [partialPo] }).mockResolvedValueOnce({ rows: shortLines });
+        client.query
+            .mockResolvedValueOnce({ rows: [{ ...partialPo, status: 'CLOSED' }] })
+            .mockResolvedValueOnce({ rows: [{ id: 9, po_number: 'PO-20260305-002' }] });
+
+        const result = await closePurchaseOrder(1, 3, { remainder: 'backorder' });
+
+        expect(result.backorder).toEqual({ po_id: 9, po_number: 'PO-20260305-002', created: false, line_count: 2 });
+        expect(client.query.mock.calls[1][0]).toContain('ORDER BY created_at ASC');
+        expect(client.query.mock.calls[1][1]).toEqual([1, 'V1', 'LOC1']);
+        expect(client.query.mock.calls[2][1]).toEqual([9, 'VAR1', 4, 250, 1000, 'Backorder from PO-20260301-001', 31, 1]);
+        expect(client.query.mock.calls[3][1]).toEqual([9, 'VAR2', 1, 1000, 1000, 'Backorder from PO-20260301-001', 32, 1]);
+        expect(client.query.mock.calls[4][0]).toContain('subtotal_cents = t.sum');
+        expect(generatePoNumber).not.toHaveBeenCalled();
+    });
+
+    test('creates a new draft when the vendor has none', async () => {
+        db.query.mockResolvedValueOnce({ rows: [partialPo] }).mockResolvedValueOnce({ rows: shortLines.slice(0, 1) });
+        generatePoNumber.mockResolvedValueOnce('PO-20260310-001');
+        client.query
+            .mockResolvedValueOnce({ rows: [{ ...partialPo, status: 'CLOSED' }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ id: 12, po_number: 'PO-20260310-001' }] });
+
+        const result = await closePurchaseOrder(1, 3, { remainder: 'backorder' });
+
+        expect(result.backorder).toMatchObject({ po_id: 12, created: true, line_count: 1 });
+        expect(client.query.mock.calls[2][1]).toEqual(
+            ['PO-20260310-001', 'V1', 'LOC1', 'Backorder from PO-20260301-001', 'Backorder carry-forward', 1]
+        );
+    });
+
+    test('rejects POs that are not partially received, and unknown remainder actions', async () => {
+        await expect(closePurchaseOrder(1, 3, { remainder: 'keep' })).rejects.toMatchObject({ statusCode: 400 });
+
+        db.query.mockResolvedValueOnce({ rows: [{ ...partialPo, status: 'SUBMITTED' }] });
+        await expect(closePurchaseOrder(1, 3, { remainder: 'cancel' })).rejects.toMatchObject({ statusCode: 400 });
+
+        db.query.mockResolvedValueOnce({ rows: [] });
+        await expect(closePurchaseOrder(1, 3, { remainder: 'cancel' })).rejects.toMatchObject({ statusCode: 404 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    test('fails when the PO changed status before the close was applied', async () => {
+        db.query.mockResolvedValueOnce({ rows: [partialPo] }).mockResolvedValueOnce({ rows: [] });
+        client.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(closePurchaseOrder(1, 3, { remainder: 'backorder' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
@@ -0,0 +1,124 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../utils/email-notifier', () => ({ enabled: true, sendVendorEmail: jest.fn() }));
+
+const db = require('../../../utils/database');
+const emailNotifier = require('../../../utils/email-notifier');
+const poEmail = require('../../../services/purchase-orders/po-email-service');
+
+const MERCHANT_ID = 10;
+const PO_ID = 5;
+const SENDABLE = {
+    id: PO_ID, po_number: 'PO-20261019-001', status: 'SUBMITTED', vendor_name: 'Acme Pet Supply',
+    contact_name: 'Dana', contact_email: 'orders@acme.test', payment_terms: 'Net 30',
+    po_email_subject: null, po_email_body: null
+};
+const EXPORT_PO = {
+    id: PO_ID, po_number: 'PO-20261019-001', vendor_name: 'Acme Pet Supply', location_name: 'Main Store',
+    expected_delivery_date: '2026-10-26', tax_cents: 0, shipping_cents: 0
+};
+const ITEMS = [
+    { item_name: 'Dog Food', variation_name: '5kg', sku: 'DF5', vendor_code: 'DF-100', quantity_ordered: '4.00', unit_cost_cents: 1250 }
+];
+const MERCHANT = { business_name: 'Corner Pet Shop', business_email: 'owner@cornerpet.test', admin_email: 'admin@cornerpet.test' };
+
+function mockSendQueries(po = SENDABLE) {
+    db.query
+        .mockResolvedValueOnce({ rows: [po] })
+        .mockResolvedValueOnce({ rows: [EXPORT_PO] })
+        .mockResolvedValueOnce({ rows: ITEMS })
+        .mockResolvedValueOnce({ rows: [MERCHANT] })
+        .mockResolvedValueOnce({ rows: [{ ...EXPORT_PO, status: 'SUBMITTED', email_send_count: 1 }] });
+}
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    emailNotifier.enabled = true;
+    emailNotifier.sendVendorEmail.mockResolvedValue({ messageId: 'msg-1' });
+});
+
+describe('renderTemplate', () => {
+    test('fills known placeholders and leaves unknown ones as typed', () => {
+        const text = poEmail.renderTemplate('PO {{ po_number }} for {{vendor_name}} {{typo}}', {
+            po_number: 'PO-1', vendor_name: 'Acme'
+        });
+        expect(text).toBe('PO PO-1 for Acme {{typo}}');
+    });
+});
+
+describe('composePurchaseOrderEmail', () => {
+    test('uses the vendor template and escapes the rendered body', () => {
+        const email = poEmail.composePurchaseOrderEmail({ po: EXPORT_PO, items: ITEMS }, {
+            ...SENDABLE,
+            po_email_subject: 'Order {{po_number}}',
+            po_email_body: 'Hi {{contact_name}} <b>\nTotal {{order_total}}'
+        }, MERCHANT);
+
+        expect(email.subject).toBe('Order PO-20261019-001');
+        expect(email.html).toBe('Hi Dana &lt;b&gt;<br>\nTotal $50.00');
+        expect(email.attachment.filename).toBe('PO-20261019-001.pdf');
+        expect(email.attachment.content.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+    });
+});
+
+describe('sendPurchaseOrder', () => {
+    test('emails the PDF to the vendor contact and records the send', async () => {
+        mockSendQueries();
+
+        const result = await poEmail.sendPurchaseOrder(MERCHANT_ID, PO_ID);
+
+        expect(emailNotifier.sendVendorEmail).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'orders@acme.test',
+            subject: 'Purchase Order PO-20261019-001 from Corner Pet Shop',
+            replyTo: 'owner@cornerpet.test',
+            fromName: 'Corner Pet Shop'
+        }));
+        const [sql, params] = db.query.mock.calls[4];
+        expect(sql).toContain('email_send_count = COALESCE(email_send_count, 0) + 1');
+        expect(params).toEqual([PO_ID, MERCHANT_ID, 'orders@acme.test', 'msg-1']);
+        expect(result).toMatchObject({ sent_to: 'orders@acme.test', message_id: 'msg-1', submitted: false });
+    });
+
+    test('submits a draft before sending', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ ...SENDABLE, status: 'DRAFT' }] })
+            .mockResolvedValueOnce({ rows: [{ id: PO_ID, status: 'SUBMITTED' }] })
+            .mockResolvedValueOnce({ rows: [EXPORT_PO] })
+            .mockResolvedValueOnce({ rows: ITEMS })
+            .mockResolvedValueOnce({ rows: [MERCHANT] })
+            .mockResolvedValueOnce({ rows: [{ ...EXPORT_PO, status: 'SUBMITTED' }] });
+
+        const result = await poEmail.sendPurchaseOrder(MERCHANT_ID, PO_ID, { to: 'rep@acme.test' });
+
+        expect(db.query.mock.calls[1][0]).toContain("SET status = 'SUBMITTED'");
+        expect(emailNotifier.sendVendorEmail.mock.calls[0][0].to).toBe('rep@acme.test');
+        expect(result.submitted).toBe(true);
+    });
+
+    test('rejects a PO with no recipient', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ ...SENDABLE, contact_email: null }] });
+
+        await expect(poEmail.sendPurchaseOrder(MERCHANT_ID, PO_ID)).rejects.toMatchObject({ statusCode: 400 });
+        expect(emailNotifier.sendVendorEmail).not.toHaveBeenCalled();
+    });
+
+    test('returns 503 without submitting when email is disabled', async () => {
+        emailNotifier.enabled = false;
+        db.query.mockResolvedValueOnce({ rows: [{ ...SENDABLE, status: 'DRAFT' }] });
+
+        await expect(poEmail.sendPurchaseOrder(MERCHANT_ID, PO_ID)).rejects.toMatchObject({ statusCode: 503 });
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('reports a provider failure as 502 and does not record a send', async () => {
+        mockSendQueries();
+        emailNotifier.sendVendorEmail.mockRejectedValue(new Error('SMTP timeout'));
+
+        await expect(poEmail.sendPurchaseOrder(MERCHANT_ID, PO_ID)).rejects.toMatchObject({
+            statusCode: 502,
+            message: expect.stringContaining('SMTP timeout')
+        });
+        expect(db.query).toHaveBeenCalledTimes(4);
+    });
+});
@@ -0,0 +1,62 @@
+const ExcelJS = require('exceljs');
+const { parseInvoiceFile } = require('../../../services/purchase-orders/po-invoice-parser');
+
+describe('parseInvoiceFile', () => {
+    test('reads item code, UPC, quantity and unit price columns from a CSV', async () => {
+        const csv = [
+            'Item #,UPC,Description,Qty Ordered,Qty Shipped,Unit Price,Extended',
+            'DF-100,012345678905,Dog Food Large,12,10,"$1,016.50","$10,165.00"',
+            'CT-7,,Cat Treats,4,4,3.25,13.00'
+        ].join('\n');
+
+        const { lines, errors } = await parseInvoiceFile(csv, 'csv');
+
+        expect(errors).toEqual([]);
+        expect(lines).toEqual([
+            { rowNumber: 2, vendorItemNumber: 'DF-100', upc: '012345678905', description: 'Dog Food Large', quantity: 10, unitCostCents: 101650 },
+            { rowNumber: 3, vendorItemNumber: 'CT-7', upc: null, description: 'Cat Treats', quantity: 4, unitCostCents: 325 }
+        ]);
+    });
+
+    test('skips freight/total rows and rows without a usable quantity or cost', async () => {
+        const csv = [
+            'Item Code,Description,Qty,Cost',
+            'A1,Leash,2,5.00',
+            ',Freight,,25.00',
+            'A2,Collar,,4.00',
+            'A3,Bowl,1,n/a',
+            ',,,'
+        ].join('\n');
+
+        const { lines, errors } = await parseInvoiceFile(csv, 'csv');
+
+        expect(lines.map(l => l.vendorItemNumber)).toEqual(['A1']);
+        expect(errors).toEqual([
+            { row: 3, error: 'No vendor item number or UPC' },
+            { row: 4, error: 'Invalid quantity: ' },
+            { row: 5, error: 'Invalid cost: n/a' }
+        ]);
+    });
+
+    test('rejects files without quantity, cost or an item identifier', async () => {
+        await expect(parseInvoiceFile('Description,Amount\nLeash,5.00', 'csv'))
+            .rejects.toMatchObject({
+                statusCode: 400,
+                message: expect.stringContaining('quantity, cost, vendor_item_number or upc')
+            });
+    });
+
+    test('reads XLSX invoices', async () => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Invoice');
+        sheet.addRow(['GTIN', 'Quantity Shipped', 'Net Price']);
+        sheet.addRow(['00012345678905', 6, 14.99]);
+        const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+        const { lines } = await parseInvoiceFile(buffer, 'xlsx');
+
+        expect(lines).toEqual([
+            { rowNumber: 2, vendorItemNumber: null, upc: '00012345678905', description: null, quantity: 6, unitCostCents: 1499 }
+        ]);
+    });
+});
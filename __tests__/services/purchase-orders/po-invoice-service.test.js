@@ -0,0 +1,158 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const db = require('../../../utils/database');
+const invoices = require('../../../services/purchase-orders/po-invoice-service');
+
+const MERCHANT_ID = 10;
+const PO_ID = 5;
+const PO = { id: PO_ID, po_number: 'PO-20261019-001', vendor_id: 'V1', status: 'RECEIVED' };
+
+const poLine = (overrides) => ({
+    id: 71, variation_id: 'VAR1', quantity_ordered: 12, received_quantity: 10, unit_cost_cents: 1500,
+    vendor_code: 'DF-100', upc: '012345678905', sku: 'DF', item_name: 'Dog Food', variation_name: '5kg',
+    ...overrides
+});
+
+let client;
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    client = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 1 }) };
+    db.transaction.mockImplementation(fn => fn(client));
+});
+
+describe('matchInvoiceLines', () => {
+    const poLines = [poLine(), poLine({ id: 72, variation_id: 'VAR2', vendor_code: null, upc: '0099887766554' })];
+
+    test('matches by vendor code first, then by UPC ignoring leading zeros', () => {
+        const matched = invoices.matchInvoiceLines([
+            { vendorItemNumber: 'df-100', upc: '0099887766554' },
+            { vendorItemNumber: 'X-1', upc: '99887766554' },
+            { vendorItemNumber: 'FREIGHT', upc: null }
+        ], poLines);
+
+        expect(matched.map(l => [l.purchaseOrderItemId, l.matchMethod])).toEqual([
+            [71, 'vendor_code'],
+            [72, 'upc'],
+            [null, null]
+        ]);
+    });
+});
+
+describe('buildMatchReport', () => {
+    test('compares ordered, received and invoiced quantities and costs per PO line', () => {
+        const report = invoices.buildMatchReport(
+            [poLine(), poLine({ id: 72, variation_id: 'VAR2', received_quantity: 4, unit_cost_cents: 800 })],
+            [
+                // Split lines for the same item are combined
+                { id: 1, purchase_order_item_id: 71, quantity: 6, unit_cost_cents: 1500 },
+                { id: 2, purchase_order_item_id: 71, quantity: 6, unit_cost_cents: 1600 },
+                { id: 3, purchase_order_item_id: 72, quantity: 4, unit_cost_cents: 800 },
+                { id: 4, purchase_order_item_id: null, quantity: 1, unit_cost_cents: 2500 }
+            ]
+        );
+
+        expect(report.lines[0]).toMatchObject({
+            ordered_quantity: 12, received_quantity: 10, invoiced_quantity: 12,
+            invoice_unit_cost_cents: 1550, quantity_variance: 2, price_variance_cents: 50,
+            discrepancies: ['over_billed', 'price_higher']
+        });
+        expect(report.lines[1].discrepancies).toEqual([]);
+        expect(report.unmatched_lines.map(l => l.id)).toEqual([4]);
+        expect(report.summary).toEqual({
+            matched_lines: 2, discrepancy_lines: 1, unmatched_lines: 1,
+            invoice_total_cents: 9000 + 9600 + 3200 + 2500,
+            expected_total_cents: 15000 + 3200,
+            variance_cents: 24300 - 18200
+        });
+    });
+
+    test('flags received lines that were not invoiced', () => {
+        const report = invoices.buildMatchReport([poLine()], []);
+
+        expect(report.lines[0]).toMatchObject({
+            invoiced_quantity: 0, invoice_unit_cost_cents: null, price_variance_cents: null,
+            discrepancies: ['under_billed']
+        });
+    });
+});
+
+describe('importInvoice', () => {
+    const csv = 'Item #,Qty Shipped,Unit Price\nDF-100,10,15.00\nZZ-9,1,3.00\n';
+
+    test('stores the invoice with each line matched to the PO', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [PO] })
+            .mockResolvedValueOnce({ rows: [poLine()] });
+        client.query.mockResolvedValueOnce({ rows: [{ id: 9 }] });
+
+        const result = await invoices.importInvoice(MERCHANT_ID, PO_ID, {
+            data: csv, fileType: 'csv', fileName: 'inv.csv', invoiceNumber: 'INV-1', invoiceDate: '2026-10-18'
+        });
+
+        expect(client.query.mock.calls[0][1]).toEqual([MERCHANT_ID, PO_ID, 'INV-1', '2026-10-18', 'inv.csv', 15300]);
+        expect(client.query.mock.calls[1][1]).toEqual([9, MERCHANT_ID, 2, 'DF-100', null, null, 10, 1500, 71, 'vendor_code']);
+        expect(client.query.mock.calls[2][1]).toEqual([9, MERCHANT_ID, 3, 'ZZ-9', null, null, 1, 300, null, null]);
+        expect(result.skipped_rows).toEqual([]);
+    });
+
+    test('rejects a PO that has not been received', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ ...PO, status: 'SUBMITTED' }] });
+
+        await expect(invoices.importInvoice(MERCHANT_ID, PO_ID, { data: csv, fileType: 'csv' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('rejects a file with no usable lines', async () => {
+        db.query.mockResolvedValueOnce({ rows: [PO] });
+
+        await expect(invoices.importInvoice(MERCHANT_ID, PO_ID, { data: 'Item #,Qty,Cost\n,,\nA,0,1', fileType: 'csv' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+});
+
+describe('acceptInvoice', () => {
+    function mockInvoice(status = 'PENDING') {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ id: 9, status, vendor_id: 'V1', po_number: PO.po_number }] })
+            .mockResolvedValueOnce({ rows: [poLine(), poLine({ id: 72, variation_id: 'VAR2', unit_cost_cents: 800 })] })
+            .mockResolvedValueOnce({ rows: [
+                { id: 1, purchase_order_item_id: 71, quantity: 10, unit_cost_cents: 1600 },
+                { id: 2, purchase_order_item_id: 72, quantity: 10, unit_cost_cents: 800 }
+            ] });
+    }
+
+    test('writes changed invoice costs to variation_vendors', async () => {
+        mockInvoice();
+        client.query
+            .mockResolvedValueOnce({ rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ variation_id: 'VAR1', unit_cost_money: 1500 }, { variation_id: 'VAR2', unit_cost_money: 800 }] });
+
+        const result = await invoices.acceptInvoice(MERCHANT_ID, PO_ID, 9);
+
+        expect(result.vendor_costs_updated).toBe(1);
+        expect(result.invoice.status).toBe('ACCEPTED');
+        const upsert = client.query.mock.calls[2];
+        expect(upsert[0]).toContain('INSERT INTO variation_vendors');
+        expect(upsert[1]).toEqual(['VAR1', 'V1', 1600, MERCHANT_ID]);
+        expect(client.query).toHaveBeenCalledTimes(3);
+    });
+
+    test('rejects an invoice that was already accepted', async () => {
+        mockInvoice('ACCEPTED');
+
+        await expect(invoices.acceptInvoice(MERCHANT_ID, PO_ID, 9)).rejects.toMatchObject({ statusCode: 409 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    test('rejects a concurrent accept', async () => {
+        mockInvoice();
+        client.query.mockResolvedValueOnce({ rowCount: 0 });
+
+        await expect(invoices.acceptInvoice(MERCHANT_ID, PO_ID, 9)).rejects.toMatchObject({ statusCode: 409 });
+        expect(client.query).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,153 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { allocateCharges, getLandedCosts, setLandedCosts } = require('../../../services/purchase-orders/po-landed-cost-service');
+
+const receivedPo = { id: 3, po_number: 'PO-20260301-001', status: 'RECEIVED', vendor_id: 'V1', landed_cost_method: null };
+const receivedLines = [
+    { id: 31, variation_id: 'VAR1', unit_cost_cents: 200, received_quantity: '10.00', received_weight: null, sku: 'A1' },
+    { id: 32, variation_id: 'VAR2', unit_cost_cents: 1000, received_quantity: '2.00', received_weight: null, sku: 'B2' }
+];
+
+let client;
+
+function mockLoad({ po = receivedPo, lines = receivedLines } = {}) {
+    db.query.mockResolvedValueOnce({ rows: [po] }).mockResolvedValueOnce({ rows: lines });
+}
+
+function mockReload(charges = []) {
+    db.query
+        .mockResolvedValueOnce({ rows: [receivedPo] })
+        .mockResolvedValueOnce({ rows: charges })
+        .mockResolvedValueOnce({ rows: receivedLines });
+}
+
+const lineUpdates = () => client.query.mock.calls.filter(([sql]) => sql.includes('UPDATE purchase_order_items'));
+const vendorUpdates = () => client.query.mock.calls.filter(([sql]) => sql.includes('UPDATE variation_vendors'));
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction.mockImplementation(fn => fn(client));
+});
+
+describe('allocateCharges', () => {
+    test('splits in proportion and hands leftover cents to the largest fractions', () => {
+        expect(allocateCharges(100, [1, 1, 1])).toEqual([34, 33, 33]);
+        expect(allocateCharges(1000, [2000, 2000])).toEqual([500, 500]);
+        expect(allocateCharges(101, [0, 3, 1])).toEqual([0, 76, 25]);
+    });
+});
+
+describe('getLandedCosts', () => {
+    test('returns charges, their total and the received lines', async () => {
+        mockReload([{ id: 1, charge_type: 'FREIGHT', description: null, amount_cents: 1500 },
+            { id: 2, charge_type: 'DUTY', description: 'Customs', amount_cents: 250 }]);
+
+        const result = await getLandedCosts(1, 3);
+
+        expect(result.total_charges_cents).toBe(1750);
+        expect(result.lines[0].received_quantity).toBe(10);
+        expect(db.query.mock.calls[2][0]).toContain('COALESCE(poi.received_quantity, 0) > 0');
+    });
+
+    test('throws 404 for another merchant\'s PO', async () => {
+        db.query.mockResolvedValueOnce({ rows: [] });
+        await expect(getLandedCosts(1, 99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('setLandedCosts', () => {
+    test('allocates by value and stores landed unit costs on lines and vendor costs', async () => {
+        mockLoad();
+        mockReload();
+
+        await setLandedCosts(1, 3, {
+            allocationMethod: 'VALUE',
+            charges: [{ charge_type: 'FREIGHT', amount_cents: 800 }, { charge_type: 'BROKERAGE', amount_cents: 200 }]
+        });
+
+        // value basis 2000 : 2000 → 500 each; per unit 50 and 250
+        expect(client.query.mock.calls[0][0]).toContain('DELETE FROM po_landed_charges');
+        expect(client.query.mock.calls[1][1]).toEqual([1, 3, 'FREIGHT', null, 800]);
+        expect(client.query.mock.calls[3][1]).toEqual(['VALUE', 3, 1]);
+        expect(lineUpdates().map(([, params]) => params)).toEqual([
+            [null, 500, 250, 31, 1],
+            [null, 500, 1250, 32, 1]
+        ]);
+        expect(vendorUpdates().map(([, params]) => params)).toEqual([
+            [50, 'VAR1', 'V1', 1],
+            [250, 'VAR2', 'V1', 1]
+        ]);
+    });
+
+    test('allocates by quantity', async () => {
+        mockLoad();
+        mockReload();
+
+        await setLandedCosts(1, 3, { allocationMethod: 'QUANTITY', charges: [{ charge_type: 'FREIGHT', amount_cents: 1200 }] });
+
+        expect(lineUpdates().map(([, params]) => params[1])).toEqual([1000, 200]);
+        expect(lineUpdates().map(([, params]) => params[2])).toEqual([300, 1100]);
+    });
+
+    test('allocates by entered line weights and stores them', async () => {
+        mockLoad();
+        mockReload();
+
+        await setLandedCosts(1, 3, {
+            allocationMethod: 'WEIGHT',
+            charges: [{ charge_type: 'FREIGHT', amount_cents: 900 }],
+            weights: [{ id: 31, weight: 5 }, { id: 32, weight: 10 }]
+        });
+
+        expect(lineUpdates().map(([, params]) => params.slice(0, 3))).toEqual([
+            [5, 300, 230],
+            [10, 600, 1300]
+        ]);
+    });
+
+    test('requires a weight for every received line when allocating by weight', async () => {
+        mockLoad();
+
+        await expect(setLandedCosts(1, 3, {
+            allocationMethod: 'WEIGHT',
+            charges: [{ charge_type: 'FREIGHT', amount_cents: 900 }],
+            weights: [{ id: 31, weight: 5 }]
+        })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('B2') });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    test('rejects weights for lines that are not received on the PO', async () => {
+        mockLoad();
+
+        await expect(setLandedCosts(1, 3, {
+            allocationMethod: 'VALUE', charges: [], weights: [{ id: 77, weight: 1 }]
+        })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('77') });
+    });
+
+    test('clearing the charges resets landed cost to the unit cost', async () => {
+        mockLoad();
+        mockReload();
+
+        await setLandedCosts(1, 3, { allocationMethod: 'VALUE', charges: [] });
+
+        expect(lineUpdates().map(([, params]) => params.slice(1, 3))).toEqual([[0, 200], [0, 1000]]);
+        expect(vendorUpdates().map(([, params]) => params[0])).toEqual([0, 0]);
+    });
+
+    test('only received purchase orders take charges', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ ...receivedPo, status: 'SUBMITTED' }] });
+
+        await expect(setLandedCosts(1, 3, { allocationMethod: 'VALUE', charges: [] }))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('SUBMITTED') });
+    });
+
+    test('rejects charges when received lines have no value to allocate by', async () => {
+        mockLoad({ lines: [{ ...receivedLines[0], unit_cost_cents: 0 }] });
+
+        await expect(setLandedCosts(1, 3, { allocationMethod: 'VALUE', charges: [{ charge_type: 'DUTY', amount_cents: 100 }] }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+});
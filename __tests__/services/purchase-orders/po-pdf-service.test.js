@@ -0,0 +1,52 @@
+const { buildPurchaseOrderPdf, calculateOrderTotalCents, formatDate } = require('../../../services/purchase-orders/po-pdf-service');
+
+const PO = {
+    po_number: 'PO-20261019-001', vendor_name: 'Acme Pet Supply', location_name: 'Main Store',
+    location_address: '1 Main St', order_date: new Date(2026, 9, 19), expected_delivery_date: '2026-10-26',
+    tax_cents: 500, shipping_cents: 0, notes: 'Deliver to the back door'
+};
+const item = (n) => ({
+    item_name: `Item ${n}`, variation_name: 'Regular', sku: `SKU${n}`, vendor_code: `V-${n}`,
+    quantity_ordered: '2.00', unit_cost_cents: 1000
+});
+
+describe('buildPurchaseOrderPdf', () => {
+    test('renders header, vendor, items and totals', () => {
+        const pdf = buildPurchaseOrderPdf({ po: PO, items: [item(1)] }, {
+            merchant: { business_name: 'Corner Pet Shop' },
+            vendor: { contact_name: 'Dana', payment_terms: 'Net 30' }
+        }).toString('latin1');
+
+        expect(pdf).toContain('(Corner Pet Shop) Tj');
+        expect(pdf).toContain('(PO-20261019-001) Tj');
+        expect(pdf).toContain('(Dana) Tj');
+        expect(pdf).toContain('(2026-10-19) Tj');
+        expect(pdf).toContain('(Item 1 \\227 Regular) Tj');
+        expect(pdf).toContain('($25.00) Tj');
+        expect(pdf).toContain('(Deliver to the back door) Tj');
+        expect(pdf).toContain('/Count 1');
+    });
+
+    test('continues long orders on further pages', () => {
+        const items = Array.from({ length: 60 }, (_, i) => item(i + 1));
+        const pdf = buildPurchaseOrderPdf({ po: PO, items }).toString('latin1');
+
+        expect(pdf).toContain('(PO-20261019-001 \\(continued\\)) Tj');
+        expect(pdf).toMatch(/\/Count [2-9]/);
+        expect(pdf).toContain('(Item 60 \\227 Regular) Tj');
+    });
+});
+
+describe('calculateOrderTotalCents', () => {
+    test('sums DECIMAL quantities times cost plus tax and shipping', () => {
+        expect(calculateOrderTotalCents({ po: PO, items: [item(1), item(2)] })).toBe(4500);
+    });
+});
+
+describe('formatDate', () => {
+    test('formats Date objects in local time and strings as-is', () => {
+        expect(formatDate(new Date(2026, 0, 5))).toBe('2026-01-05');
+        expect(formatDate('2026-10-26T00:00:00Z')).toBe('2026-10-26');
+        expect(formatDate(null)).toBe('');
+    });
+});
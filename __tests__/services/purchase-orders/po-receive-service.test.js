@@ -209,6 +209,8 @@ describe('receiveItems — vendor cost sync', () => {
         );
         expect(upsert).toBeDefined();
         expect(upsert[1]).toEqual(['VAR1', 'V1', 1200, 10]);
+        // Landed cost keeps its per-unit charges on top of the new cost
+        expect(upsert[0]).toMatch(/landed_unit_cost_money = variation_vendors\.landed_unit_cost_money\s+- variation_vendors\.unit_cost_money \+ EXCLUDED\.unit_cost_money/);
     });
 
     test('skips upsert when costs match exactly', async () => {
@@ -327,6 +329,45 @@ describe('receiveItems — vendor cost sync', () => {
     });
 });
 
+// ─── Expiry lots ─────────────────────────────────────────────────────────────
+
+describe('receiveItems — expiry lots', () => {
+    test('creates lots at the PO location for lines received with expiry dates', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 1, status: 'SUBMITTED', location_id: 'LOC1' }] });
+        const client = {
+            query: jest.fn(async (sql) => {
+                if (sql.includes('SELECT vendor_id')) return { rows: [{ vendor_id: null }] };
+                if (sql.includes('SELECT id, variation_id')) return { rows: [{ id: 1, variation_id: 'VAR1' }] };
+                if (sql.includes('COUNT(*)')) return { rows: [{ total: '1', received: '1' }] };
+                return { rows: [] };
+            })
+        };
+        db.transaction.mockImplementation(fn => fn(client));
+        mockExpiryFlag();
+        mockFinalSelect();
+
+        await receiveItems(10, 1, [{
+            id: 1, received_quantity: 10,
+            lots: [{ quantity: 6, expiration_date: '2026-12-01', lot_code: 'L-A' }, { quantity: 4, expiration_date: '2027-01-15' }]
+        }]);
+
+        const inserts = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO inventory_lots'));
+        expect(inserts.map(([, params]) => params)).toEqual([
+            [10, 'VAR1', 'LOC1', 'L-A', '2026-12-01', 6, 1],
+            [10, 'VAR1', 'LOC1', null, '2027-01-15', 4, 1]
+        ]);
+        expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO variation_expiration'))).toBe(true);
+    });
+
+    test('rejects lots adding up to more than the received quantity', async () => {
+        mockPoCheck();
+
+        await expect(receiveItems(10, 1, [{ id: 1, received_quantity: 5, lots: [{ quantity: 6, expiration_date: '2026-12-01' }] }]))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+});
+
 // ─── Expiry flag (EXPIRY-REORDER-AUDIT) ──────────────────────────────────────
 
 describe('receiveItems — expiry flag', () => {
@@ -383,3 +424,26 @@ describe('receiveItems — expiry flag', () => {
         expect(flagCall).toBeUndefined();
     });
 });
+
+// ─── receiveItems — caller's transaction ─────────────────────────────────────
+
+describe('receiveItems — caller\'s transaction', () => {
+    test('runs the check, the receipt and the final read on the given client', async () => {
+        const client = { query: jest.fn() };
+        client.query
+            .mockResolvedValueOnce({ rows: [{ id: 1, status: 'SUBMITTED' }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ total: '1', received: '1' }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ id: 1, status: 'RECEIVED' }] });
+        mockExpiryFlag();
+
+        const po = await receiveItems(10, 1, oneItem, client);
+
+        expect(po.status).toBe('RECEIVED');
+        expect(db.transaction).not.toHaveBeenCalled();
+        expect(client.query.mock.calls[0][1]).toEqual([1, 10]);
+        expect(client.query.mock.calls[4][0]).toContain("status = 'RECEIVED'");
+    });
+});
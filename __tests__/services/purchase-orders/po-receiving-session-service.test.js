@@ -0,0 +1,217 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../services/vendor/vendor-query-service', () => ({
+    lookupOurItemByUPC: jest.fn(),
+}));
+jest.mock('../../../services/vendor/catalog-service', () => ({
+    lookupByUPC: jest.fn(),
+}));
+jest.mock('../../../services/purchase-orders/po-receive-service', () => ({
+    receiveItems: jest.fn(),
+}));
+jest.mock('../../../services/expiry/gs1-scan', () => ({
+    resolveScan: jest.fn(),
+}));
+
+const db = require('../../../utils/database');
+const { lookupOurItemByUPC } = require('../../../services/vendor/vendor-query-service');
+const { lookupByUPC } = require('../../../services/vendor/catalog-service');
+const { receiveItems } = require('../../../services/purchase-orders/po-receive-service');
+const { resolveScan } = require('../../../services/expiry/gs1-scan');
+const sessions = require('../../../services/purchase-orders/po-receiving-session-service');
+
+const MERCHANT_ID = 10;
+const PO_ID = 5;
+const PO = { id: PO_ID, po_number: 'PO-20261019-001', vendor_id: 'V1', status: 'SUBMITTED' };
+const SESSION = { id: 3, purchase_order_id: PO_ID, status: 'OPEN' };
+const LINE = {
+    id: 71, variation_id: 'VAR1', quantity_ordered: 12, received_quantity: 0,
+    item_name: 'Dog Food', variation_name: '5kg'
+};
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+});
+
+// Every PO-scoped call starts with the PO status check and the open session lookup
+function mockPoAndSession(po = PO, session = SESSION) {
+    db.query.mockResolvedValueOnce({ rows: [po] });
+    if (session !== undefined) db.query.mockResolvedValueOnce({ rows: session ? [session] : [] });
+}
+
+describe('normalizeBarcode', () => {
+    test('treats UPC-A, EAN-13 and GTIN-14 forms as the same product', () => {
+        expect(sessions.normalizeBarcode('012345678905')).toBe('12345678905');
+        expect(sessions.normalizeBarcode('0012345678905')).toBe('12345678905');
+        expect(sessions.normalizeBarcode('00012345678905')).toBe('12345678905');
+    });
+});
+
+describe('startSession', () => {
+    test('rejects a PO that is not SUBMITTED', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ ...PO, status: 'DRAFT' }] });
+
+        await expect(sessions.startSession(MERCHANT_ID, PO_ID, 1))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('opens (or resumes) the session and returns its lines', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [PO] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [SESSION] })
+            .mockResolvedValueOnce({ rows: [{ ...LINE, scanned_quantity: 0 }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const state = await sessions.startSession(MERCHANT_ID, PO_ID, 1);
+
+        expect(db.query.mock.calls[1][0]).toContain('ON CONFLICT (purchase_order_id) WHERE status = \'OPEN\' DO NOTHING');
+        expect(state.session).toEqual(SESSION);
+        expect(state.lines).toHaveLength(1);
+    });
+});
+
+describe('recordScan', () => {
+    test('counts a scan toward the matching PO line', async () => {
+        mockPoAndSession();
+        db.query
+            .mockResolvedValueOnce({ rows: [LINE] })
+            .mockResolvedValueOnce({ rows: [{ scanned: 4 }] })
+            .mockResolvedValueOnce({ rows: [{ id: 900, flag: null }] });
+
+        const { line } = await sessions.recordScan(MERCHANT_ID, PO_ID,
+            { barcode: '012345678905', quantity: 6, expirationDate: '2026-12-01', lotCode: 'L7' });
+
+        expect(db.query.mock.calls[2][1]).toEqual([MERCHANT_ID, PO_ID, '12345678905', 'V1']);
+        expect(db.query.mock.calls[3][1]).toEqual([3, 71, MERCHANT_ID]);
+        expect(line.scanned_quantity).toBe(10);
+        const insertParams = db.query.mock.calls[4][1];
+        expect(insertParams).toEqual([3, MERCHANT_ID, '012345678905', 6, 71, 'VAR1', 'Dog Food — 5kg', null, '2026-12-01', 'L7']);
+    });
+
+    test('flags a scan that takes the line past the ordered quantity', async () => {
+        mockPoAndSession();
+        db.query
+            .mockResolvedValueOnce({ rows: [LINE] })
+            .mockResolvedValueOnce({ rows: [{ scanned: 12 }] })
+            .mockResolvedValueOnce({ rows: [{ id: 901, flag: 'over_receipt' }] });
+
+        await sessions.recordScan(MERCHANT_ID, PO_ID, { barcode: '012345678905' });
+
+        expect(db.query.mock.calls[4][1][7]).toBe('over_receipt');
+    });
+
+    test('flags our catalog item that is not on the PO as a substitution', async () => {
+        mockPoAndSession();
+        db.query.mockResolvedValueOnce({ rows: [] });
+        lookupOurItemByUPC.mockResolvedValueOnce({ id: 'VAR9', item_name: 'Cat Food', variation_name: '2kg' });
+        db.query.mockResolvedValueOnce({ rows: [{ id: 902, flag: 'substitution' }] });
+
+        const { line } = await sessions.recordScan(MERCHANT_ID, PO_ID, { barcode: '099999999999' });
+
+        expect(line).toBeNull();
+        expect(db.query.mock.calls[3][1]).toEqual([3, MERCHANT_ID, '099999999999', 1, null, 'VAR9', 'Cat Food — 2kg', 'substitution', null, null]);
+        expect(lookupByUPC).not.toHaveBeenCalled();
+    });
+
+    test('falls back to the vendor catalog for barcodes we do not carry', async () => {
+        mockPoAndSession();
+        db.query.mockResolvedValueOnce({ rows: [] });
+        lookupOurItemByUPC.mockResolvedValueOnce(null);
+        lookupByUPC.mockResolvedValueOnce([
+            { vendor_id: 'V2', product_name: 'Other', vendor_name: 'Else', vendor_item_number: 'X' },
+            { vendor_id: 'V1', product_name: 'Chew Toy', vendor_name: 'Acme', vendor_item_number: 'A-12', matched_variation_id: null }
+        ]);
+        db.query.mockResolvedValueOnce({ rows: [{ id: 903, flag: 'unknown' }] });
+
+        await sessions.recordScan(MERCHANT_ID, PO_ID, { barcode: '088888888888' });
+
+        const insertParams = db.query.mock.calls[3][1];
+        expect(insertParams[6]).toBe('Chew Toy (Acme #A-12)');
+        expect(insertParams[7]).toBe('unknown');
+    });
+
+    test('takes the barcode, expiry and lot from a GS1 scan', async () => {
+        mockPoAndSession();
+        const gs1 = {
+            gtin: '00012345678905', expiration_date: '2027-03-31', lot_code: 'B12',
+            variation: { id: 'VAR1' }, conflicts: []
+        };
+        resolveScan.mockResolvedValueOnce(gs1);
+        db.query
+            .mockResolvedValueOnce({ rows: [LINE] })
+            .mockResolvedValueOnce({ rows: [{ scanned: 0 }] })
+            .mockResolvedValueOnce({ rows: [{ id: 904, flag: null }] });
+
+        const scan = ']d2010001234567890517270300\x1D10B12';
+
+        const result = await sessions.recordScan(MERCHANT_ID, PO_ID, { gs1: scan, quantity: 2 });
+
+        expect(resolveScan).toHaveBeenCalledWith(MERCHANT_ID, scan);
+        expect(db.query.mock.calls[2][1]).toEqual([MERCHANT_ID, PO_ID, '12345678905', 'V1']);
+        expect(db.query.mock.calls[4][1]).toEqual([3, MERCHANT_ID, '00012345678905', 2, 71, 'VAR1', 'Dog Food — 5kg', null, '2027-03-31', 'B12']);
+        expect(result.gs1).toBe(gs1);
+    });
+
+    test('requires an open session', async () => {
+        mockPoAndSession(PO, null);
+
+        await expect(sessions.recordScan(MERCHANT_ID, PO_ID, { barcode: '012345678905' }))
+            .rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('commitSession', () => {
+    let client;
+
+    beforeEach(() => {
+        client = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+        db.transaction.mockImplementation(fn => fn(client));
+    });
+
+    test('claims the session and receives the scanned quantities in one transaction', async () => {
+        mockPoAndSession();
+        db.query
+            .mockResolvedValueOnce({ rows: [{ id: 71, received_quantity: 12 }, { id: 72, received_quantity: 3 }] })
+            .mockResolvedValueOnce({ rows: [{ id: 903, flag: 'unknown' }] });
+        receiveItems.mockResolvedValueOnce({ id: PO_ID, status: 'PARTIAL' });
+
+        const result = await sessions.commitSession(MERCHANT_ID, PO_ID);
+
+        expect(db.query.mock.calls[2][0]).toContain('GROUP BY ls.expiration_date, ls.lot_code');
+        expect(client.query.mock.calls[0][0]).toContain("status = 'COMMITTED'");
+        expect(client.query.mock.calls[0][1]).toEqual([SESSION.id, MERCHANT_ID]);
+        expect(receiveItems).toHaveBeenCalledWith(MERCHANT_ID, PO_ID,
+            [{ id: 71, received_quantity: 12 }, { id: 72, received_quantity: 3 }], client);
+        expect(result).toEqual({ purchase_order: { id: PO_ID, status: 'PARTIAL' }, received_lines: 2, flagged: [{ id: 903, flag: 'unknown' }] });
+    });
+
+    test('rejects a session with no scans on PO lines', async () => {
+        mockPoAndSession();
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(sessions.commitSession(MERCHANT_ID, PO_ID)).rejects.toMatchObject({ statusCode: 400 });
+        expect(db.transaction).not.toHaveBeenCalled();
+        expect(receiveItems).not.toHaveBeenCalled();
+    });
+
+    test('fails the whole transaction when receiving fails, so the claim rolls back', async () => {
+        mockPoAndSession();
+        db.query.mockResolvedValueOnce({ rows: [{ id: 71, received_quantity: 12 }] });
+        receiveItems.mockRejectedValueOnce(new Error('deadlock detected'));
+
+        await expect(sessions.commitSession(MERCHANT_ID, PO_ID)).rejects.toThrow('deadlock detected');
+        expect(client.query).toHaveBeenCalledTimes(1);
+        expect(db.query).toHaveBeenCalledTimes(3);
+    });
+
+    test('rejects a concurrent second commit', async () => {
+        mockPoAndSession();
+        db.query.mockResolvedValueOnce({ rows: [{ id: 71, received_quantity: 12 }] });
+        client.query.mockResolvedValueOnce({ rowCount: 0 });
+
+        await expect(sessions.commitSession(MERCHANT_ID, PO_ID)).rejects.toMatchObject({ statusCode: 409 });
+        expect(receiveItems).not.toHaveBeenCalled();
+    });
+});
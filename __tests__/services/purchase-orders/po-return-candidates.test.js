@@ -0,0 +1,47 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn() }));
+jest.mock('../../../services/expiry', () => ({ getVariationsInTier: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { getVariationsInTier } = require('../../../services/expiry');
+const { getReturnCandidates } = require('../../../services/purchase-orders/po-return-candidates');
+
+beforeEach(() => jest.resetAllMocks());
+
+describe('getReturnCandidates', () => {
+    test('returns nothing without querying stock when no variations are in the EXPIRED tier', async () => {
+        getVariationsInTier.mockResolvedValueOnce([]);
+
+        await expect(getReturnCandidates(1)).resolves.toEqual([]);
+        expect(getVariationsInTier).toHaveBeenCalledWith('EXPIRED', 1, { limit: 500 });
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('merges expiry details with vendor cost and on-hand stock', async () => {
+        getVariationsInTier.mockResolvedValueOnce([
+            { variation_id: 'VAR1', item_name: 'Kibble', variation_name: '5kg', sku: 'K5', expiration_date: '2026-10-01', days_until_expiry: -18 },
+            { variation_id: 'VAR2', item_name: 'Treats', variation_name: null, sku: 'T1', expiration_date: '2026-10-10', days_until_expiry: -9 }
+        ]);
+        db.query.mockResolvedValueOnce({ rows: [
+            { variation_id: 'VAR1', vendor_id: 'V1', vendor_name: 'Acme', vendor_code: 'AC-5', unit_cost_cents: '1250', on_hand: 3 }
+        ] });
+
+        const candidates = await getReturnCandidates(1, { vendorId: 'V1', locationId: 'LOC1' });
+
+        expect(db.query.mock.calls[0][1]).toEqual([1, ['VAR1', 'VAR2'], 'LOC1', 'V1']);
+        expect(candidates).toEqual([{
+            variation_id: 'VAR1',
+            item_name: 'Kibble',
+            variation_name: '5kg',
+            sku: 'K5',
+            expiration_date: '2026-10-01',
+            days_until_expiry: -18,
+            vendor_id: 'V1',
+            vendor_name: 'Acme',
+            vendor_code: 'AC-5',
+            unit_cost_cents: 1250,
+            on_hand: 3,
+            suggested_reason: 'EXPIRED',
+            suggested_quantity: 3
+        }]);
+    });
+});
@@ -0,0 +1,138 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../services/catalog/location-service', () => ({ getLocationById: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { getLocationById } = require('../../../services/catalog/location-service');
+const {
+    getReturn, createReturn, updateReturn, deleteReturn
+} = require('../../../services/purchase-orders/po-return-service');
+
+let client;
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction.mockImplementation(fn => fn(client));
+    getLocationById.mockResolvedValue({ id: 'LOC1', name: 'Main' });
+});
+
+// getReturn: header row, then item rows
+function mockGetReturn(header, items = []) {
+    db.query
+        .mockResolvedValueOnce({ rows: header ? [header] : [] })
+        .mockResolvedValueOnce({ rows: items });
+}
+
+describe('createReturn', () => {
+    const input = {
+        vendorId: 'V1', locationId: 'LOC1', purchaseOrderId: 5,
+        items: [
+            { variation_id: 'VAR1', quantity: 2, reason: 'DAMAGED' },
+            { variation_id: 'VAR2', quantity: 1, unit_cost_cents: 300, reason: 'EXPIRED', note: 'Best before 2026-09' }
+        ]
+    };
+
+    test('costs lines from the PO, then the vendor, and inserts a DRAFT with the total', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ id: 'V1' }] })                  // vendor check
+            .mockResolvedValueOnce({ rows: [{ vendor_id: 'V1' }] })           // PO check
+            .mockResolvedValueOnce({ rows: [
+                { id: 'VAR1', po_cost_cents: 450, vendor_cost_cents: 500 },
+                { id: 'VAR2', po_cost_cents: null, vendor_cost_cents: 275 }
+            ] })
+            .mockResolvedValueOnce({ rows: [{ count: '2' }] });               // return number
+        client.query.mockResolvedValueOnce({ rows: [{ id: 9 }] });
+        mockGetReturn({ id: 9, vendor_id: 'V1', status: 'DRAFT' });
+
+        const result = await createReturn(1, input);
+
+        expect(result).toMatchObject({ id: 9, status: 'DRAFT', items: [] });
+        const [insertSql, insertParams] = client.query.mock.calls[0];
+        expect(insertSql).toContain('INSERT INTO vendor_returns');
+        expect(insertParams[1]).toMatch(/^RMA-\d{8}-003$/);
+        expect(insertParams[7]).toBe(2 * 450 + 300); // explicit unit cost wins over the lookup
+        expect(client.query.mock.calls[1][1]).toEqual([9, 1, 'VAR1', 2, 450, 'DAMAGED', null]);
+        expect(client.query.mock.calls[2][1]).toEqual([9, 1, 'VAR2', 1, 300, 'EXPIRED', 'Best before 2026-09']);
+    });
+
+    test('rejects a vendor from another merchant with 403', async () => {
+        db.query.mockResolvedValueOnce({ rows: [] });
+        await expect(createReturn(1, input)).rejects.toMatchObject({ statusCode: 403 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    test('rejects a PO for a different vendor with 400', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ id: 'V1' }] })
+            .mockResolvedValueOnce({ rows: [{ vendor_id: 'V2' }] });
+        await expect(createReturn(1, input)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('rejects unknown variations with 400', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ id: 'V1' }] })
+            .mockResolvedValueOnce({ rows: [{ vendor_id: 'V1' }] })
+            .mockResolvedValueOnce({ rows: [{ id: 'VAR1', po_cost_cents: 450, vendor_cost_cents: null }] });
+        await expect(createReturn(1, input)).rejects.toThrow('Unknown variation(s): VAR2');
+    });
+});
+
+describe('updateReturn', () => {
+    test('returns 404 when the return does not exist', async () => {
+        mockGetReturn(null);
+        await expect(updateReturn(1, 9, { notes: 'x' })).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('refuses line changes once the return has been sent', async () => {
+        mockGetReturn({ id: 9, status: 'SENT', vendor_id: 'V1' });
+        await expect(updateReturn(1, 9, { items: [{ variation_id: 'VAR1', quantity: 1, reason: 'OTHER' }] }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('allows the RMA number to be set on a sent return', async () => {
+        mockGetReturn({ id: 9, status: 'SENT', vendor_id: 'V1' });
+        mockGetReturn({ id: 9, status: 'SENT', vendor_rma_number: 'RA-1' });
+
+        const result = await updateReturn(1, 9, { vendorRmaNumber: 'RA-1' });
+
+        expect(result.vendor_rma_number).toBe('RA-1');
+        expect(client.query).toHaveBeenCalledTimes(1);
+        expect(client.query.mock.calls[0][1]).toEqual([9, 1, 'RA-1', null, null]);
+    });
+
+    test('replaces all lines and the total on a draft', async () => {
+        mockGetReturn({ id: 9, status: 'DRAFT', vendor_id: 'V1', purchase_order_id: null });
+        db.query.mockResolvedValueOnce({ rows: [{ id: 'VAR3', po_cost_cents: null, vendor_cost_cents: 125 }] });
+        mockGetReturn({ id: 9, status: 'DRAFT' });
+
+        await updateReturn(1, 9, { items: [{ variation_id: 'VAR3', quantity: 4, reason: 'OVERSTOCK' }] });
+
+        expect(client.query.mock.calls[0][1][4]).toBe(500);
+        expect(client.query.mock.calls[1][0]).toContain('DELETE FROM vendor_return_items');
+        expect(client.query.mock.calls[2][1]).toEqual([9, 1, 'VAR3', 4, 125, 'OVERSTOCK', null]);
+    });
+});
+
+describe('deleteReturn', () => {
+    test('deletes a draft', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ return_number: 'RMA-20260101-001', status: 'DRAFT' }] });
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(deleteReturn(1, 9)).resolves.toEqual({ returnNumber: 'RMA-20260101-001' });
+        expect(db.query.mock.calls[1][0]).toContain('DELETE FROM vendor_returns');
+    });
+
+    test('refuses to delete a sent return', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ return_number: 'RMA-20260101-001', status: 'SENT' }] });
+        await expect(deleteReturn(1, 9)).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('getReturn', () => {
+    test('returns null when not found for this merchant', async () => {
+        db.query.mockResolvedValueOnce({ rows: [] });
+        await expect(getReturn(1, 9)).resolves.toBeNull();
+        expect(db.query.mock.calls[0][1]).toEqual([9, 1]);
+    });
+});
@@ -0,0 +1,111 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../services/square/square-inventory', () => ({ removeSquareInventory: jest.fn() }));
+jest.mock('../../../services/purchase-orders/po-return-service', () => ({ getReturn: jest.fn() }));
+
+const db = require('../../../utils/database');
+const { removeSquareInventory } = require('../../../services/square/square-inventory');
+const { getReturn } = require('../../../services/purchase-orders/po-return-service');
+const { shipReturn, creditReturn } = require('../../../services/purchase-orders/po-return-status-service');
+
+const draft = {
+    id: 9,
+    return_number: 'RMA-20260101-001',
+    status: 'DRAFT',
+    location_id: 'LOC1',
+    updated_at: new Date('2026-01-01T12:00:00Z'),
+    items: [
+        { variation_id: 'VAR1', quantity: 2, reason: 'DAMAGED' },
+        { variation_id: 'VAR1', quantity: 1, reason: 'EXPIRED' },
+        { variation_id: 'VAR2', quantity: 4, reason: 'EXPIRED' }
+    ]
+};
+
+let client;
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction.mockImplementation(fn => fn(client));
+    removeSquareInventory.mockResolvedValue({ success: true, changes: [] });
+});
+
+describe('shipReturn', () => {
+    test('removes one adjustment per variation from Square, then marks SENT and decrements local stock', async () => {
+        getReturn.mockResolvedValueOnce(draft).mockResolvedValueOnce({ ...draft, status: 'SENT' });
+        client.query.mockResolvedValueOnce({ rows: [{ id: 9 }] });
+
+        const result = await shipReturn(1, 9);
+
+        expect(result.status).toBe('SENT');
+        expect(removeSquareInventory).toHaveBeenCalledWith(1, [
+            { catalogObjectId: 'VAR1', locationId: 'LOC1', quantity: 3 },
+            { catalogObjectId: 'VAR2', locationId: 'LOC1', quantity: 4 }
+        ], {
+            idempotencyKey: `vendor-return-9-${Date.parse('2026-01-01T12:00:00Z')}`,
+            referenceId: 'RMA-20260101-001',
+            occurredAt: '2026-01-01T12:00:00.000Z'
+        });
+        expect(client.query.mock.calls[0][0]).toContain("status = 'SENT'");
+        expect(client.query.mock.calls[1][1]).toEqual([3, 'VAR1', 'LOC1', 1]);
+        expect(client.query.mock.calls[2][1]).toEqual([4, 'VAR2', 'LOC1', 1]);
+    });
+
+    test('leaves stock alone when a double-submitted ship already marked the return SENT', async () => {
+        getReturn.mockResolvedValueOnce(draft).mockResolvedValueOnce({ ...draft, status: 'SENT' });
+
+        const result = await shipReturn(1, 9);
+
+        expect(result.status).toBe('SENT');
+        expect(client.query).toHaveBeenCalledTimes(1);
+        expect(client.query.mock.calls[0][0]).toContain('RETURNING id');
+    });
+
+    test('leaves the return as a draft with 502 when Square fails', async () => {
+        getReturn.mockResolvedValueOnce(draft);
+        removeSquareInventory.mockRejectedValueOnce(new Error('Square down'));
+
+        await expect(shipReturn(1, 9)).rejects.toMatchObject({ statusCode: 502 });
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    test('rejects returns that are not drafts or have no lines', async () => {
+        getReturn.mockResolvedValueOnce({ ...draft, status: 'SENT' });
+        await expect(shipReturn(1, 9)).rejects.toMatchObject({ statusCode: 400 });
+
+        getReturn.mockResolvedValueOnce({ ...draft, items: [] });
+        await expect(shipReturn(1, 9)).rejects.toMatchObject({ statusCode: 400 });
+
+        getReturn.mockResolvedValueOnce(null);
+        await expect(shipReturn(1, 9)).rejects.toMatchObject({ statusCode: 404 });
+        expect(removeSquareInventory).not.toHaveBeenCalled();
+    });
+});
+
+describe('creditReturn', () => {
+    test('marks a sent return CREDITED with the given amount and memo', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 9, return_number: 'RMA-20260101-001', total_cents: 1000, credit_amount_cents: 900 }] });
+        getReturn.mockResolvedValueOnce({ id: 9, status: 'CREDITED' });
+
+        const result = await creditReturn(1, 9, { creditAmountCents: 900, creditMemoNumber: 'CM-42' });
+
+        expect(result.status).toBe('CREDITED');
+        expect(db.query.mock.calls[0][1]).toEqual([9, 1, 900, 'CM-42']);
+    });
+
+    test('passes null so the expected credit is used when no amount is given', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 9, return_number: 'RMA-20260101-001', total_cents: 1000, credit_amount_cents: 1000 }] });
+
+        await creditReturn(1, 9);
+
+        expect(db.query.mock.calls[0][1]).toEqual([9, 1, null, null]);
+    });
+
+    test('returns 400 for a draft and 404 for a missing return', async () => {
+        db.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ status: 'DRAFT' }] });
+        await expect(creditReturn(1, 9)).rejects.toMatchObject({ statusCode: 400 });
+
+        db.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [] });
+        await expect(creditReturn(1, 9)).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
@@ -301,8 +301,8 @@ describe('updatePurchaseOrder', () => {
             typeof c[0] === 'string' && c[0].includes('INSERT INTO purchase_order_items')
         );
         expect(insertCalls).toHaveLength(1);
-        // All 2 items × 7 params = 14 values in one batch
-        expect(insertCalls[0][1]).toHaveLength(14);
+        // All 2 items × 8 params = 16 values in one batch
+        expect(insertCalls[0][1]).toHaveLength(16);
     });
 
     test('updates totals after item replace', async () => {
@@ -60,6 +60,7 @@ describe('Square API Shim (api.js)', () => {
             'syncInventory',
             'getSquareInventoryCount',
             'setSquareInventoryCount',
+            'removeSquareInventory',
             'setSquareInventoryAlertThreshold',
             'syncCommittedInventory',
             // Sales velocity
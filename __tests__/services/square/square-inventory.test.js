@@ -2,7 +2,7 @@
  * Tests for square-inventory.js
  *
  * Covers syncInventory, getSquareInventoryCount, setSquareInventoryCount,
- * setSquareInventoryAlertThreshold, syncCommittedInventory, cleanupInventory.
+ * removeSquareInventory, transferSquareInventory, setSquareInventoryAlertThreshold, syncCommittedInventory, cleanupInventory.
  */
 
 jest.mock('../../../utils/logger', () => ({
@@ -47,6 +47,8 @@ const {
     syncInventory,
     getSquareInventoryCount,
     setSquareInventoryCount,
+    removeSquareInventory,
+    transferSquareInventory,
     setSquareInventoryAlertThreshold,
     pushMinStockThresholdsToSquare,
     syncCommittedInventory,
@@ -331,6 +333,124 @@ describe('setSquareInventoryCount', () => {
     });
 });
 
+// ---------------------------------------------------------------------------
+// removeSquareInventory
+// ---------------------------------------------------------------------------
+describe('removeSquareInventory', () => {
+    const options = { idempotencyKey: 'vendor-return-7-1700000000000', referenceId: 'RMA-20260101-001', occurredAt: '2026-01-01T12:00:00.000Z' };
+
+    test('posts IN_STOCK → WASTE adjustments with the caller\'s key and reference', async () => {
+        makeSquareRequest.mockResolvedValueOnce({ changes: [{ type: 'ADJUSTMENT' }, { type: 'ADJUSTMENT' }] });
+
+        const result = await removeSquareInventory(merchantId, [
+            { catalogObjectId: 'VAR1', locationId: 'LOC1', quantity: 3 },
+            { catalogObjectId: 'VAR2', locationId: 'LOC1', quantity: 1 }
+        ], options);
+
+        expect(result).toEqual({ success: true, changes: [{ type: 'ADJUSTMENT' }, { type: 'ADJUSTMENT' }] });
+        expect(makeSquareRequest.mock.calls[0][0]).toBe('/v2/inventory/changes/batch-create');
+        const body = JSON.parse(makeSquareRequest.mock.calls[0][1].body);
+        expect(body.idempotency_key).toBe('vendor-return-7-1700000000000-0');
+        expect(body.changes[0]).toEqual({
+            type: 'ADJUSTMENT',
+            adjustment: {
+                catalog_object_id: 'VAR1',
+                location_id: 'LOC1',
+                from_state: 'IN_STOCK',
+                to_state: 'WASTE',
+                quantity: '3',
+                occurred_at: '2026-01-01T12:00:00.000Z',
+                reference_id: 'RMA-20260101-001'
+            }
+        });
+    });
+
+    test('splits more than 100 adjustments into batches with distinct keys', async () => {
+        makeSquareRequest.mockResolvedValue({ changes: [] });
+        const adjustments = Array.from({ length: 150 }, (_, i) => ({ catalogObjectId: `VAR${i}`, locationId: 'LOC1', quantity: 1 }));
+
+        await removeSquareInventory(merchantId, adjustments, options);
+
+        expect(makeSquareRequest).toHaveBeenCalledTimes(2);
+        const keys = makeSquareRequest.mock.calls.map(call => JSON.parse(call[1].body).idempotency_key);
+        expect(keys).toEqual(['vendor-return-7-1700000000000-0', 'vendor-return-7-1700000000000-1']);
+        expect(JSON.parse(makeSquareRequest.mock.calls[1][1].body).changes).toHaveLength(50);
+    });
+
+    test('requires merchantId and idempotencyKey', async () => {
+        await expect(removeSquareInventory(undefined, [], options)).rejects.toThrow('merchantId is required');
+        await expect(removeSquareInventory(merchantId, [], {})).rejects.toThrow('idempotencyKey is required');
+    });
+
+    test('logs and rethrows Square errors', async () => {
+        makeSquareRequest.mockRejectedValueOnce(new Error('INSUFFICIENT_SCOPES'));
+
+        await expect(removeSquareInventory(merchantId, [{ catalogObjectId: 'VAR1', locationId: 'LOC1', quantity: 1 }], options))
+            .rejects.toThrow('INSUFFICIENT_SCOPES');
+        expect(logger.error).toHaveBeenCalledWith('Failed to remove Square inventory', expect.objectContaining({ referenceId: 'RMA-20260101-001' }));
+    });
+});
+
+// ---------------------------------------------------------------------------
+// transferSquareInventory
+// ---------------------------------------------------------------------------
+describe('transferSquareInventory', () => {
+    const transfer = { fromLocationId: 'LOC1', toLocationId: 'LOC2', lines: [{ catalogObjectId: 'VAR1', quantity: 4 }] };
+    const options = { idempotencyKey: 'stock-transfer-5-ship-1700000000000', referenceId: 'TRF-20260101-001', occurredAt: '2026-01-01T12:00:00.000Z' };
+
+    test('ship moves stock IN_STOCK → IN_TRANSIT at the source location', async () => {
+        makeSquareRequest.mockResolvedValueOnce({ changes: [{ type: 'ADJUSTMENT' }] });
+
+        await transferSquareInventory(merchantId, transfer, { ...options, stage: 'SHIP' });
+
+        const body = JSON.parse(makeSquareRequest.mock.calls[0][1].body);
+        expect(body.idempotency_key).toBe('stock-transfer-5-ship-1700000000000-0');
+        expect(body.changes).toEqual([{
+            type: 'ADJUSTMENT',
+            adjustment: {
+                catalog_object_id: 'VAR1',
+                location_id: 'LOC1',
+                from_state: 'IN_STOCK',
+                to_state: 'IN_TRANSIT',
+                quantity: '4',
+                occurred_at: '2026-01-01T12:00:00.000Z',
+                reference_id: 'TRF-20260101-001'
+            }
+        }]);
+    });
+
+    test('receive transfers the in-transit quantity and puts it in stock at the destination', async () => {
+        makeSquareRequest.mockResolvedValueOnce({ changes: [] });
+
+        await transferSquareInventory(merchantId, transfer, { ...options, stage: 'RECEIVE' });
+
+        const { changes } = JSON.parse(makeSquareRequest.mock.calls[0][1].body);
+        expect(changes).toHaveLength(2);
+        expect(changes[0]).toEqual({
+            type: 'TRANSFER',
+            transfer: {
+                catalog_object_id: 'VAR1',
+                state: 'IN_TRANSIT',
+                from_location_id: 'LOC1',
+                to_location_id: 'LOC2',
+                quantity: '4',
+                occurred_at: '2026-01-01T12:00:00.000Z',
+                reference_id: 'TRF-20260101-001'
+            }
+        });
+        expect(changes[1].adjustment).toMatchObject({
+            location_id: 'LOC2', from_state: 'IN_TRANSIT', to_state: 'IN_STOCK', quantity: '4'
+        });
+    });
+
+    test('requires merchantId, idempotencyKey and a known stage', async () => {
+        await expect(transferSquareInventory(undefined, transfer, { ...options, stage: 'SHIP' })).rejects.toThrow('merchantId is required');
+        await expect(transferSquareInventory(merchantId, transfer, { stage: 'SHIP' })).rejects.toThrow('idempotencyKey is required');
+        await expect(transferSquareInventory(merchantId, transfer, options)).rejects.toThrow('Unknown transfer stage');
+        expect(makeSquareRequest).not.toHaveBeenCalled();
+    });
+});
+
 // ---------------------------------------------------------------------------
 // setSquareInventoryAlertThreshold
 // ---------------------------------------------------------------------------
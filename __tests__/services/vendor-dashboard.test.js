@@ -20,8 +20,14 @@ jest.mock('../../services/merchant', () => ({
     getMerchantSettings: jest.fn(),
 }));
 
+jest.mock('../../services/vendor/vendor-performance-service', () => ({
+    ...jest.requireActual('../../services/vendor/vendor-performance-service'),
+    getVendorDeliveryStats: jest.fn(),
+}));
+
 const db = require('../../utils/database');
 const { getMerchantSettings } = require('../../services/merchant');
+const { getVendorDeliveryStats } = require('../../services/vendor/vendor-performance-service');
 const { computeStatus, getVendorDashboard, updateVendorSettings, STATUS_PRIORITY } = require('../../services/vendor/vendor-dashboard');
 
 describe('Vendor Dashboard Service', () => {
@@ -120,6 +126,7 @@ describe('Vendor Dashboard Service', () => {
                 default_supply_days: 45,
                 reorder_safety_days: 7
             });
+            getVendorDeliveryStats.mockResolvedValue(new Map());
         });
 
         // Helper: mock all 4 queries (vendors, reorder items, unassigned, global OOS)
@@ -431,6 +438,30 @@ describe('Vendor Dashboard Service', () => {
             expect(unassigned).toBeTruthy();
             expect(unassigned.uncapped_reorder_value).toBe(0);
         });
+
+        test('attaches delivery stats and applies observed planning when enabled', async () => {
+            getMerchantSettings.mockResolvedValue({
+                default_supply_days: 45,
+                reorder_safety_days: 7,
+                reorder_use_observed_lead_time: true
+            });
+            getVendorDeliveryStats.mockResolvedValue(new Map([['V1', {
+                received_po_count: 4, mean_lead_time_days: 5, p90_lead_time_days: 8.2,
+                filled_po_count: 4, line_count: 20, short_line_count: 2, short_line_pct: 10, fill_rate: 0.8
+            }]]));
+            mockDashboardQueries([{ id: 'V1', name: 'Test Vendor', total_items: 1 }], []);
+
+            const result = await getVendorDashboard(merchantId);
+
+            expect(result.vendors[0].delivery_stats).toMatchObject({
+                p90_lead_time_days: 8.2,
+                planning_lead_time_days: 9,
+                planning_extra_safety_days: 1.8
+            });
+            const [vendorSql, vendorParams] = db.query.mock.calls[0];
+            expect(vendorSql).toContain('COALESCE(olt.lead_time_days,');
+            expect(vendorParams).toEqual([merchantId, 45, 7, ['V1'], [9], [1.8]]);
+        });
     });
 
     // ==================== UPDATE VENDOR SETTINGS ====================
@@ -0,0 +1,68 @@
+/**
+ * Tests for order-lots.js — expiry lot depletion from completed orders
+ */
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+jest.mock('../../../../utils/logger', () => logger);
+jest.mock('../../../../services/expiry/lot-depletion', () => ({
+    depleteForSale: jest.fn()
+}));
+
+const { depleteLotsFromOrder } = require('../../../../services/webhook-handlers/order-handler/order-lots');
+const { depleteForSale } = require('../../../../services/expiry/lot-depletion');
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('depleteLotsFromOrder', () => {
+    test('passes catalog line items and the order location to depleteForSale', async () => {
+        depleteForSale.mockResolvedValueOnce({ duplicate: false, allocations: [{ lot_id: 1 }, { lot_id: 2 }] });
+
+        const result = await depleteLotsFromOrder({
+            id: 'ORD1',
+            location_id: 'LOC1',
+            line_items: [
+                { catalog_object_id: 'VAR1', quantity: '3' },
+                { name: 'Custom amount', quantity: '1' },
+                { catalog_object_id: 'VAR2', quantity: '1' }
+            ]
+        }, 7);
+
+        expect(depleteForSale).toHaveBeenCalledWith(7, {
+            orderId: 'ORD1',
+            locationId: 'LOC1',
+            lines: [{ variationId: 'VAR1', quantity: 3 }, { variationId: 'VAR2', quantity: 1 }]
+        });
+        expect(result).toEqual({ duplicate: false, lotsDepleted: 2 });
+    });
+
+    test('accepts camelCase orders from the SDK', async () => {
+        depleteForSale.mockResolvedValueOnce({ duplicate: true, allocations: [] });
+
+        await depleteLotsFromOrder({
+            id: 'ORD2', locationId: 'LOC2', lineItems: [{ catalogObjectId: 'VAR1', quantity: '2' }]
+        }, 7);
+
+        expect(depleteForSale).toHaveBeenCalledWith(7, expect.objectContaining({
+            locationId: 'LOC2', lines: [{ variationId: 'VAR1', quantity: 2 }]
+        }));
+    });
+
+    test('skips orders without catalog items', async () => {
+        const result = await depleteLotsFromOrder({ id: 'ORD3', location_id: 'LOC1', line_items: [{ quantity: '1' }] }, 7);
+
+        expect(result).toBeNull();
+        expect(depleteForSale).not.toHaveBeenCalled();
+    });
+
+    test('logs and returns the error instead of throwing', async () => {
+        depleteForSale.mockRejectedValueOnce(new Error('deadlock detected'));
+
+        const result = await depleteLotsFromOrder({
+            id: 'ORD4', location_id: 'LOC1', line_items: [{ catalog_object_id: 'VAR1', quantity: '1' }]
+        }, 7);
+
+        expect(result).toEqual({ error: 'deadlock detected' });
+        expect(logger.warn).toHaveBeenCalledWith('Failed to deplete inventory lots from order',
+            expect.objectContaining({ orderId: 'ORD4', merchantId: 7 }));
+    });
+});
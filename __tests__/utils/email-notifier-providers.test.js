@@ -279,6 +279,80 @@ describe('EmailNotifier multi-provider', () => {
         });
     });
 
+    describe('sendVendorEmail', () => {
+        test('returns null when email disabled', async () => {
+            const notifier = require('../../utils/email-notifier');
+            await expect(notifier.sendVendorEmail({ to: 'v@test.com', subject: 's', html: 'h' })).resolves.toBeNull();
+        });
+
+        test('sends from the merchant name with reply-to over smtp', async () => {
+            jest.resetModules();
+            process.env.EMAIL_ENABLED = 'true';
+            process.env.EMAIL_PROVIDER = 'smtp';
+            process.env.EMAIL_FROM = 'alerts@sqtools.ca';
+            const notifier = require('../../utils/email-notifier');
+            const sendMail = notifier.transporter.sendMail;
+
+            const result = await notifier.sendVendorEmail({
+                to: 'orders@vendor.test', subject: 'PO', html: '<p>PO</p>',
+                replyTo: 'owner@shop.test', fromName: 'Corner "Pet" <Shop>'
+            });
+
+            expect(result).toEqual({ messageId: 'smtp-test-id' });
+            const mailOpts = sendMail.mock.calls[0][0];
+            expect(mailOpts.from).toBe('"Corner Pet Shop" <alerts@sqtools.ca>');
+            expect(mailOpts.replyTo).toBe('owner@shop.test');
+        });
+
+        test('passes reply_to and returns the Resend id', async () => {
+            jest.resetModules();
+            process.env.EMAIL_PROVIDER = 'resend';
+            process.env.EMAIL_API_KEY = 're_test_key';
+            process.env.EMAIL_ENABLED = 'true';
+            process.env.EMAIL_FROM = 'alerts@sqtools.ca';
+            const mockFetch = jest.fn().mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ id: 'resend-123' })
+            });
+            global.fetch = mockFetch;
+
+            const notifier = require('../../utils/email-notifier');
+            const result = await notifier.sendVendorEmail({
+                to: 'orders@vendor.test', subject: 'PO', html: '<p>PO</p>', replyTo: 'owner@shop.test',
+                attachments: [{ filename: 'PO-1.pdf', content: Buffer.from('%PDF'), contentType: 'application/pdf' }]
+            });
+
+            expect(result).toEqual({ messageId: 'resend-123' });
+            const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+            expect(body.reply_to).toBe('owner@shop.test');
+            expect(body.attachments[0]).toEqual({ filename: 'PO-1.pdf', content: 'JVBERg==', content_type: 'application/pdf' });
+
+            delete global.fetch;
+        });
+    });
+
+    describe('sendMerchantNotice', () => {
+        test('sends the caller\'s HTML to role recipients without the alert wrapper', async () => {
+            jest.resetModules();
+            process.env.EMAIL_ENABLED = 'true';
+            process.env.EMAIL_PROVIDER = 'smtp';
+            process.env.EMAIL_FROM = 'alerts@sqtools.ca';
+            const database = require('../../utils/database');
+            database.query.mockResolvedValueOnce({ rows: [{ email: 'owner@shop.test' }, { email: 'buyer@shop.test' }] });
+            const notifier = require('../../utils/email-notifier');
+            const sendMail = notifier.transporter.sendMail;
+
+            await notifier.sendMerchantNotice({ merchantId: 1, subject: 'Drafts to review', html: '<h2>Drafts</h2>' });
+
+            expect(sendMail).toHaveBeenCalledTimes(2);
+            const mailOpts = sendMail.mock.calls[0][0];
+            expect(mailOpts.to).toBe('owner@shop.test');
+            expect(mailOpts.subject).toBe('Drafts to review');
+            expect(mailOpts.html).toContain('<h2>Drafts</h2>');
+            expect(mailOpts.html).not.toContain('System Alert');
+        });
+    });
+
     describe('backward compatibility', () => {
         test('sendAlert accepts 2-arg signature', async () => {
             const notifier = require('../../utils/email-notifier');
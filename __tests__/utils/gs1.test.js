@@ -0,0 +1,67 @@
+const { parseGs1, gs1DateToIso, isValidGtin } = require('../../utils/gs1');
+
+const GTIN = '09506000134352';
+const TODAY = new Date('2026-10-19T12:00:00Z');
+
+describe('parseGs1', () => {
+    test('reads a raw DataMatrix scan with symbology identifier and GS separator', () => {
+        const result = parseGs1(`]d201${GTIN}17271231\x1D10ABC123\x1D21SN9`, { today: TODAY });
+
+        expect(result).toEqual({
+            gtin: GTIN,
+            expirationDate: '2027-12-31',
+            lotCode: 'ABC123',
+            serial: 'SN9',
+            elements: { '01': GTIN, '17': '271231', '10': 'ABC123', '21': 'SN9' }
+        });
+    });
+
+    test('reads the human-readable form', () => {
+        const result = parseGs1(`(01)${GTIN}(17)270200(10)LOT 7`, { today: TODAY });
+
+        expect(result).toMatchObject({ gtin: GTIN, expirationDate: '2027-02-28', lotCode: 'LOT 7' });
+    });
+
+    test('lets a last variable-length field run to the end when the scanner drops GS', () => {
+        expect(parseGs1(`01${GTIN}1727063010B-55`, { today: TODAY }))
+            .toMatchObject({ expirationDate: '2027-06-30', lotCode: 'B-55' });
+        // 3103 net weight (fixed length) between the fields
+        expect(parseGs1(`]C101${GTIN}310300125017270630`, { today: TODAY }).elements['3103']).toBe('001250');
+    });
+
+    test('falls back to best-before (15) when there is no expiry (17)', () => {
+        expect(parseGs1(`01${GTIN}15270101`, { today: TODAY }).expirationDate).toBe('2027-01-01');
+    });
+
+    test('rejects a bad check digit, an invalid date and an unknown AI', () => {
+        expect(() => parseGs1('0109506000134353')).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => parseGs1(`01${GTIN}17271340`)).toThrow('not a valid YYMMDD date');
+        expect(() => parseGs1(`01${GTIN}8812`)).toThrow('Unsupported GS1 application identifier');
+    });
+
+    test('rejects a variable field longer than its maximum', () => {
+        expect(() => parseGs1(`01${GTIN}10${'A'.repeat(21)}`)).toThrow('is longer than 20 characters');
+    });
+});
+
+describe('gs1DateToIso', () => {
+    test('puts two-digit years within 49 years back and 50 ahead', () => {
+        expect(gs1DateToIso('760101', TODAY)).toBe('2076-01-01');
+        expect(gs1DateToIso('770101', TODAY)).toBe('1977-01-01');
+    });
+
+    test('treats day 00 as the last day of the month, leap years included', () => {
+        expect(gs1DateToIso('280200', TODAY)).toBe('2028-02-29');
+        expect(gs1DateToIso('270230', TODAY)).toBeNull();
+    });
+});
+
+describe('isValidGtin', () => {
+    test('checks the mod-10 digit for GTIN-8, -12, -13 and -14', () => {
+        expect(isValidGtin('96385074')).toBe(true);
+        expect(isValidGtin('012345678905')).toBe(true);
+        expect(isValidGtin('4006381333931')).toBe(true);
+        expect(isValidGtin(GTIN)).toBe(true);
+        expect(isValidGtin('4006381333932')).toBe(false);
+    });
+});
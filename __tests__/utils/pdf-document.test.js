@@ -0,0 +1,67 @@
+/**
+ * Tests for utils/pdf-document.js
+ */
+
+const { PdfDocument, encodeWinAnsi } = require('../../utils/pdf-document');
+
+describe('encodeWinAnsi', () => {
+    it('keeps ASCII and Latin-1, maps typographic punctuation, replaces the rest', () => {
+        expect(encodeWinAnsi('A é')).toEqual([65, 32, 233]);
+        expect(encodeWinAnsi('—’')).toEqual([0x97, 0x92]);
+        expect(encodeWinAnsi('☃')).toEqual([63]);
+    });
+});
+
+describe('PdfDocument', () => {
+    it('produces a PDF with a valid cross-reference table', () => {
+        const doc = new PdfDocument();
+        doc.text('Purchase Order', 40, 60, { size: 20, bold: true });
+        doc.rect(40, 70, 100, 20, '#1f2937');
+        doc.line(40, 100, 572, 100);
+        const pdf = doc.toBuffer().toString('latin1');
+
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+        expect(pdf).toContain('(Purchase Order) Tj');
+        expect(pdf).toContain('/BaseFont /Helvetica-Bold');
+
+        const xrefOffset = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+        expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+        const offsets = [...pdf.matchAll(/^(\d{10}) 00000 n $/gm)].map(m => parseInt(m[1], 10));
+        offsets.forEach((offset, index) => {
+            expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+        });
+    });
+
+    it('escapes delimiters and writes non-ASCII as octal', () => {
+        const doc = new PdfDocument();
+        doc.text('Cafe (é) \\ 100%', 40, 60);
+        const pdf = doc.toBuffer().toString('latin1');
+        expect(pdf).toContain('(Cafe \\(\\351\\) \\\\ 100%) Tj');
+    });
+
+    it('right-aligns text using font metrics', () => {
+        const doc = new PdfDocument();
+        // "10" in Helvetica 10pt is 2 * 556 / 100 = 11.12pt wide
+        doc.text('10', 100, 50, { align: 'right' });
+        expect(doc.toBuffer().toString('latin1')).toContain('88.88 742 Td (10) Tj');
+    });
+
+    it('truncates text past maxWidth with an ellipsis', () => {
+        const doc = new PdfDocument();
+        doc.text('A very long item name that will not fit', 40, 60, { maxWidth: 60 });
+        const pdf = doc.toBuffer().toString('latin1');
+        expect(pdf).toMatch(/\(A very[^)]*\\205\) Tj/);
+        expect(doc.widthOf('A very long item name that will not fit')).toBeGreaterThan(60);
+    });
+
+    it('writes one page object per page', () => {
+        const doc = new PdfDocument();
+        doc.text('Page 1', 40, 60);
+        doc.addPage();
+        doc.text('Page 2', 40, 60);
+        const pdf = doc.toBuffer().toString('latin1');
+        expect(pdf).toContain('/Kids [5 0 R 7 0 R] /Count 2');
+        expect(pdf.match(/\/Type \/Page /g)).toHaveLength(2);
+    });
+});
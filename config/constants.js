@@ -91,6 +91,12 @@ module.exports = {
         MAX_PAGINATION_ITERATIONS: 500,
     },
 
+    // Delivery module settings
+    DELIVERY: {
+        // Structured reasons a driver can give when skipping a stop (reported in delivery analytics)
+        SKIP_REASONS: ['not_home', 'no_access', 'refused', 'bad_address', 'out_of_time', 'vehicle_issue', 'other'],
+    },
+
     // Seniors Day discount configuration
     // Monthly discount program for customers aged 60+ with DOB on file
     SENIORS_DISCOUNT: {
@@ -99,6 +99,8 @@ const modules = {
             '/api/min-max/audit-log',
             '/api/min-max/toggle-pin',
             '/api/purchase-orders',
+            '/api/vendor-returns',
+            '/api/stock-transfers',
             '/api/vendor-catalog',
             '/api/vendor-dashboard',
             '/api/vendor-match-suggestions',
@@ -110,6 +112,11 @@ const modules = {
         pages: [
             'reorder',
             'purchase-orders',
+            'po-receiving',
+            'po-invoice',
+            'po-landed-costs',
+            'vendor-returns',
+            'stock-transfers',
             'vendor-dashboard',
             'vendor-catalog',
             'vendor-match-suggestions',
@@ -127,11 +134,15 @@ const modules = {
         routes: [
             '/api/expiry-discounts',
             '/api/expirations',
+            '/api/expiry-lots',
+            '/api/waste',
         ],
         pages: [
             'expiry',
             'expiry-discounts',
             'expiry-audit',
+            'expiry-lots',
+            'waste',
         ],
         price_cents: 999,
         free: false,
@@ -148,8 +159,11 @@ const modules = {
             'delivery',
             'delivery-route',
             'delivery-history',
+            'delivery-recurring',
+            'delivery-analytics',
             'delivery-settings',
             'driver',
+            'track',
         ],
         price_cents: 1499,
         free: false,
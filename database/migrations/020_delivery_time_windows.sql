@@ -0,0 +1,24 @@
+BEGIN;
+
+-- Migration 020: Delivery time windows and per-stop service durations
+--
+-- window_start / window_end: optional promised delivery window (time of day on
+-- the route date). Either bound may be NULL for an open-ended window.
+-- service_minutes: time on site at the stop; NULL = default (5 min).
+-- planned_arrival / window_missed: written by route generation. window_missed
+-- flags stops the optimizer could not fit inside their window so the route
+-- view can surface them instead of silently placing them late.
+-- delivery_routes.planned_departure: departure the stop ETAs were computed from.
+--
+-- Schema-manager handles this via ADD COLUMN IF NOT EXISTS on fresh installs;
+-- this migration applies the columns to existing databases.
+
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS window_start TIME;
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS window_end TIME;
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS service_minutes INTEGER;
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS planned_arrival TIMESTAMPTZ;
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS window_missed BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE delivery_routes ADD COLUMN IF NOT EXISTS planned_departure TIMESTAMPTZ;
+
+COMMIT;
@@ -0,0 +1,17 @@
+BEGIN;
+
+-- Migration 021: Multi-driver route splitting
+--
+-- A delivery day can now have several active routes, one per vehicle.
+-- vehicle_number: 1-based driver slot within the day (existing routes = 1).
+-- vehicle_label: optional driver/vehicle name shown on the scheduler.
+-- vehicle_capacity: max stops requested for the vehicle; NULL = unlimited.
+--
+-- Schema-manager handles this via ADD COLUMN IF NOT EXISTS on fresh installs;
+-- this migration applies the columns to existing databases.
+
+ALTER TABLE delivery_routes ADD COLUMN IF NOT EXISTS vehicle_number INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE delivery_routes ADD COLUMN IF NOT EXISTS vehicle_label VARCHAR(100);
+ALTER TABLE delivery_routes ADD COLUMN IF NOT EXISTS vehicle_capacity INTEGER;
+
+COMMIT;
@@ -0,0 +1,30 @@
+BEGIN;
+
+-- Migration 022: Customer delivery tracking links
+--
+-- One public tracking token per delivery order. The customer page shows the
+-- order's position on its route, a live ETA and proof-of-delivery status.
+-- Only the SHA-256 of the token is stored (utils/hash-utils.js hashToken).
+--
+-- Schema-manager creates this table on fresh installs; this migration
+-- applies it to existing databases.
+
+CREATE TABLE IF NOT EXISTS delivery_tracking_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES delivery_orders(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'expired', 'revoked')),
+    created_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ,
+    last_viewed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_tracking_tokens_merchant_order ON delivery_tracking_tokens(merchant_id, order_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tracking_tokens_active_order
+ON delivery_tracking_tokens(order_id)
+WHERE status = 'active';
+
+COMMIT;
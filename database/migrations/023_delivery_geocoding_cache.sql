@@ -0,0 +1,34 @@
+BEGIN;
+
+-- Migration 023: Geocoding provider per merchant + address cache
+--
+-- delivery_settings.geocoding_provider: 'ors' (default), 'nominatim', or
+-- 'stub' (offline deterministic coordinates, for testing).
+-- delivery_geocode_cache: normalized address -> coordinates, so repeat
+-- customers are not re-geocoded. Staff pin corrections are stored with
+-- source = 'manual' and take precedence over provider results.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+ALTER TABLE delivery_settings ADD COLUMN IF NOT EXISTS geocoding_provider VARCHAR(20) DEFAULT 'ors'
+    CHECK (geocoding_provider IN ('ors', 'nominatim', 'stub'));
+
+CREATE TABLE IF NOT EXISTS delivery_geocode_cache (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    normalized_address TEXT NOT NULL,
+    address TEXT NOT NULL,
+    lat DECIMAL(10, 8) NOT NULL,
+    lng DECIMAL(11, 8) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'provider' CHECK (source IN ('provider', 'manual')),
+    provider VARCHAR(20),
+    confidence DECIMAL(4, 3),
+    corrected_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT delivery_geocode_cache_address_unique UNIQUE(merchant_id, normalized_address)
+);
+
+COMMIT;
@@ -0,0 +1,49 @@
+BEGIN;
+
+-- Migration 024: Delivery zones with fee / minimum order / allowed-day rules
+--
+-- delivery_zones: polygon ([[lat, lng], ...]) or radius ring around
+-- center_lat/center_lng (NULL center = the store start address). Overlaps
+-- resolve by lowest priority, then oldest zone.
+-- delivery_orders.zone_id / delivery_fee_cents: set when an ingested Square
+-- order lands in a zone.
+-- delivery_orders.needs_review / review_reason: orders outside every zone,
+-- without coordinates, or breaking the zone's rules are held for a human.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+CREATE TABLE IF NOT EXISTS delivery_zones (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    zone_type VARCHAR(20) NOT NULL CHECK (zone_type IN ('polygon', 'radius')),
+    polygon JSONB,
+    center_lat DECIMAL(10, 8),
+    center_lng DECIMAL(11, 8),
+    radius_km DECIMAL(6, 2),
+    fee_cents INTEGER NOT NULL DEFAULT 0 CHECK (fee_cents >= 0),
+    min_order_cents INTEGER NOT NULL DEFAULT 0 CHECK (min_order_cents >= 0),
+    allowed_days SMALLINT[],
+    priority INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT delivery_zones_shape CHECK (
+        (zone_type = 'polygon' AND polygon IS NOT NULL) OR
+        (zone_type = 'radius' AND radius_km IS NOT NULL AND radius_km > 0)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_zones_merchant ON delivery_zones(merchant_id, is_active);
+
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS zone_id INTEGER;
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS delivery_fee_cents INTEGER;
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS needs_review BOOLEAN DEFAULT FALSE;
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS review_reason VARCHAR(30);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_orders_needs_review
+    ON delivery_orders(merchant_id)
+    WHERE needs_review = TRUE;
+
+COMMIT;
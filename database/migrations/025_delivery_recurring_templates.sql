@@ -0,0 +1,51 @@
+BEGIN;
+
+-- Migration 025: Recurring delivery templates
+--
+-- delivery_recurring_templates: a customer's standing delivery (address,
+-- line items, every interval_weeks on start_date's weekday, skip dates).
+-- A morning job creates one pending delivery order per template due that
+-- day, optionally backed by a new Square order.
+-- delivery_orders.recurring_template_id / scheduled_date: link a
+-- materialized order to its template; the unique index makes re-runs safe.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+CREATE TABLE IF NOT EXISTS delivery_recurring_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    customer_name VARCHAR(255) NOT NULL,
+    address TEXT NOT NULL,
+    address_lat DECIMAL(10, 8),
+    address_lng DECIMAL(11, 8),
+    phone VARCHAR(50),
+    square_customer_id VARCHAR(255),
+    notes TEXT,
+    line_items JSONB NOT NULL DEFAULT '[]',
+    interval_weeks SMALLINT NOT NULL DEFAULT 1 CHECK (interval_weeks BETWEEN 1 AND 8),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    skip_dates DATE[] NOT NULL DEFAULT '{}',
+    window_start TIME,
+    window_end TIME,
+    service_minutes INTEGER,
+    create_square_order BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_materialized_date DATE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT delivery_recurring_templates_dates CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_recurring_merchant
+    ON delivery_recurring_templates(merchant_id, is_active);
+
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS recurring_template_id UUID;
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS scheduled_date DATE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_orders_recurring
+    ON delivery_orders(recurring_template_id, scheduled_date)
+    WHERE recurring_template_id IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,32 @@
+BEGIN;
+
+-- Migration 026: Driver offline queue
+--
+-- idempotency_keys: client-generated keys for replayable requests. The
+-- driver page queues complete / skip / POD actions while offline and
+-- replays them with the same key; the stored response is returned instead
+-- of running the action twice.
+-- delivery_orders.completed_at: when the driver recorded the completion,
+-- which can be earlier than when a queued action reached the server.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    scope VARCHAR(100) NOT NULL,
+    idempotency_key VARCHAR(100) NOT NULL,
+    response JSONB,
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Leads with merchant_id, so it doubles as the merchant composite index
+    PRIMARY KEY (merchant_id, scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires
+    ON idempotency_keys(expires_at);
+
+ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+COMMIT;
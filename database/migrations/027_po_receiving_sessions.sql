@@ -0,0 +1,47 @@
+BEGIN;
+
+-- Migration 027: Barcode receiving sessions
+--
+-- po_receiving_sessions: one open session per SUBMITTED purchase order
+-- while it is being received with a scanner.
+-- po_receiving_scans: every scan in a session, with the PO line it counted
+-- toward and a flag for over-receipts, substitutions (our item, not on the
+-- PO) and unknown barcodes. Committing a session sums the scans per line and
+-- records them through the existing receive path.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+CREATE TABLE IF NOT EXISTS po_receiving_sessions (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'OPEN',
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    committed_at TIMESTAMPTZ,
+    CONSTRAINT po_receiving_sessions_status_check CHECK (status IN ('OPEN', 'COMMITTED', 'CANCELLED'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_po_receiving_sessions_open
+    ON po_receiving_sessions(purchase_order_id) WHERE status = 'OPEN';
+
+CREATE TABLE IF NOT EXISTS po_receiving_scans (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES po_receiving_sessions(id) ON DELETE CASCADE,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    barcode TEXT NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    purchase_order_item_id INTEGER REFERENCES purchase_order_items(id) ON DELETE CASCADE,
+    variation_id TEXT,
+    description TEXT,
+    flag VARCHAR(20),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT po_receiving_scans_quantity_check CHECK (quantity > 0),
+    CONSTRAINT po_receiving_scans_flag_check CHECK (flag IS NULL OR flag IN ('over_receipt', 'substitution', 'unknown'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_po_receiving_scans_session
+    ON po_receiving_scans(session_id);
+
+COMMIT;
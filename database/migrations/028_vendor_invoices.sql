@@ -0,0 +1,51 @@
+BEGIN;
+
+-- Migration 028: Vendor invoices (three-way match)
+--
+-- vendor_invoices: supplier invoice files imported against a RECEIVED or
+-- PARTIAL purchase order. PENDING until the buyer accepts the invoiced costs.
+-- vendor_invoice_lines: the invoice's lines with the PO line each matched
+-- (by vendor item code or UPC). Ordered / received / invoiced quantities and
+-- PO vs invoice costs are compared when the match report is built, so it
+-- stays current if more of the PO is received later.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+CREATE TABLE IF NOT EXISTS vendor_invoices (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    invoice_number TEXT,
+    invoice_date DATE,
+    file_name TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    total_cents INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    accepted_at TIMESTAMPTZ,
+    CONSTRAINT vendor_invoices_status_check CHECK (status IN ('PENDING', 'ACCEPTED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_invoices_po
+    ON vendor_invoices(purchase_order_id);
+
+CREATE TABLE IF NOT EXISTS vendor_invoice_lines (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES vendor_invoices(id) ON DELETE CASCADE,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    row_number INTEGER,
+    vendor_item_number TEXT,
+    upc TEXT,
+    description TEXT,
+    quantity DECIMAL(10,2) NOT NULL,
+    unit_cost_cents INTEGER NOT NULL,
+    purchase_order_item_id INTEGER REFERENCES purchase_order_items(id) ON DELETE SET NULL,
+    match_method VARCHAR(20),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT vendor_invoice_lines_match_method_check CHECK (match_method IS NULL OR match_method IN ('vendor_code', 'upc'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_invoice_lines_invoice
+    ON vendor_invoice_lines(invoice_id);
+
+COMMIT;
@@ -0,0 +1,22 @@
+BEGIN;
+
+-- Migration 029: Email purchase orders to vendors
+--
+-- purchase_orders.emailed_at / emailed_to / email_message_id: last time the
+-- PO PDF was emailed to the vendor, the address used and the provider's
+-- message ID. email_send_count counts the initial send plus resends.
+-- vendors.po_email_subject / po_email_body: optional per-vendor email
+-- templates with {{placeholder}} fields; NULL uses the built-in default.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMPTZ;
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS emailed_to TEXT;
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS email_message_id TEXT;
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS email_send_count INTEGER DEFAULT 0;
+
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS po_email_subject TEXT;
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS po_email_body TEXT;
+
+COMMIT;
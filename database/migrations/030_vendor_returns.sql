@@ -0,0 +1,60 @@
+BEGIN;
+
+-- Migration 030: Vendor returns (RMA / credit memos)
+--
+-- vendor_returns: a return of stock to a vendor, optionally tied to the PO
+-- it came in on. DRAFT while being assembled; SENT once shipped (the
+-- quantities are removed from Square inventory at the return's location);
+-- CREDITED when the vendor's credit memo is recorded. total_cents is the
+-- expected credit, credit_amount_cents what the vendor actually credited.
+-- vendor_return_items: returned variations with quantity, unit cost and
+-- reason.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+CREATE TABLE IF NOT EXISTS vendor_returns (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    return_number TEXT NOT NULL,
+    vendor_id TEXT NOT NULL REFERENCES vendors(id) ON DELETE RESTRICT,
+    location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+    purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'DRAFT',
+    vendor_rma_number TEXT,
+    notes TEXT,
+    total_cents INTEGER NOT NULL DEFAULT 0,
+    credit_amount_cents INTEGER,
+    credit_memo_number TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    sent_at TIMESTAMPTZ,
+    credited_at TIMESTAMPTZ,
+    UNIQUE(return_number, merchant_id),
+    CONSTRAINT vendor_returns_status_check CHECK (status IN ('DRAFT', 'SENT', 'CREDITED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_returns_merchant_status
+    ON vendor_returns(merchant_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_returns_vendor
+    ON vendor_returns(vendor_id);
+
+CREATE TABLE IF NOT EXISTS vendor_return_items (
+    id SERIAL PRIMARY KEY,
+    return_id INTEGER NOT NULL REFERENCES vendor_returns(id) ON DELETE CASCADE,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    variation_id TEXT NOT NULL REFERENCES variations(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL,
+    unit_cost_cents INTEGER NOT NULL DEFAULT 0,
+    reason VARCHAR(20) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT vendor_return_items_quantity_check CHECK (quantity > 0),
+    CONSTRAINT vendor_return_items_reason_check CHECK (reason IN ('DAMAGED', 'EXPIRED', 'SHORT_DATED', 'DEFECTIVE', 'WRONG_ITEM', 'OVERSTOCK', 'RECALL', 'OTHER'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_return_items_return
+    ON vendor_return_items(return_id);
+
+COMMIT;
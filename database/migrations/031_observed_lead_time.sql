@@ -0,0 +1,15 @@
+BEGIN;
+
+-- Migration 031: Observed vendor lead time in reorder math
+--
+-- merchant_settings.reorder_use_observed_lead_time: when TRUE, reorder
+-- suggestions and the vendor dashboard use each vendor's observed p90 lead
+-- time (from received PO history) and scale safety days by the vendor's
+-- fill rate. Vendors without enough history keep their configured values.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+ALTER TABLE merchant_settings ADD COLUMN IF NOT EXISTS reorder_use_observed_lead_time BOOLEAN DEFAULT FALSE;
+
+COMMIT;
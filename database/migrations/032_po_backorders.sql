@@ -0,0 +1,24 @@
+BEGIN;
+
+-- Migration 032: Close partially received purchase orders and carry backorders forward
+--
+-- A PARTIAL PO can be closed (status CLOSED). closed_at records when and
+-- closed_remainder what happened to the unreceived quantity: CANCELLED, or
+-- BACKORDERED onto the vendor's next DRAFT PO for the same location.
+-- purchase_order_items.backorder_of_item_id tags a carried-forward line with
+-- the short-shipped line it came from.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS closed_remainder TEXT
+    CHECK (closed_remainder IN ('CANCELLED', 'BACKORDERED'));
+
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS backorder_of_item_id INTEGER
+    REFERENCES purchase_order_items(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_items_backorder
+    ON purchase_order_items(backorder_of_item_id) WHERE backorder_of_item_id IS NOT NULL;
+
+COMMIT;
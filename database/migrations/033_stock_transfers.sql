@@ -0,0 +1,55 @@
+BEGIN;
+
+-- Migration 033: Stock transfer orders between locations
+--
+-- stock_transfers: stock moving from one of the merchant's locations to
+-- another. DRAFT while being assembled (lines editable); SHIPPED once it
+-- leaves the source (Square: IN_STOCK -> IN_TRANSIT at the source);
+-- RECEIVED when it arrives (Square: transfer to the destination, then
+-- IN_TRANSIT -> IN_STOCK there). shipped_at / received_at are stamped before
+-- Square is called and reused on retry, so a retried posting sends the same
+-- request under the same idempotency key.
+-- stock_transfer_items: transferred variations and quantities.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+CREATE TABLE IF NOT EXISTS stock_transfers (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    transfer_number TEXT NOT NULL,
+    from_location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+    to_location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+    status VARCHAR(20) NOT NULL DEFAULT 'DRAFT',
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    shipped_at TIMESTAMPTZ,
+    received_at TIMESTAMPTZ,
+    UNIQUE(transfer_number, merchant_id),
+    CONSTRAINT stock_transfers_status_check CHECK (status IN ('DRAFT', 'SHIPPED', 'RECEIVED')),
+    CONSTRAINT stock_transfers_locations_check CHECK (from_location_id <> to_location_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_merchant_status
+    ON stock_transfers(merchant_id, status);
+
+CREATE TABLE IF NOT EXISTS stock_transfer_items (
+    id SERIAL PRIMARY KEY,
+    transfer_id INTEGER NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    variation_id TEXT NOT NULL REFERENCES variations(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(transfer_id, variation_id),
+    CONSTRAINT stock_transfer_items_quantity_check CHECK (quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer
+    ON stock_transfer_items(transfer_id);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_variation
+    ON stock_transfer_items(merchant_id, variation_id);
+
+COMMIT;
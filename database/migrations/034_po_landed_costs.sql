@@ -0,0 +1,40 @@
+BEGIN;
+
+-- Migration 034: Landed cost on purchase order receipts
+--
+-- po_landed_charges: freight, duty, brokerage and other charges paid on a
+-- received PO's shipment. purchase_orders.landed_cost_method says how they
+-- are spread over the received lines: VALUE (received qty x unit cost),
+-- QUANTITY (received units) or WEIGHT (purchase_order_items.received_weight,
+-- entered with the charges).
+-- purchase_order_items.allocated_charges_cents / landed_unit_cost_cents hold
+-- each line's share and resulting unit cost; variation_vendors.landed_unit_cost_money
+-- carries the latest landed unit cost next to unit_cost_money for margins.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+CREATE TABLE IF NOT EXISTS po_landed_charges (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    charge_type VARCHAR(20) NOT NULL,
+    description TEXT,
+    amount_cents INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT po_landed_charges_type_check CHECK (charge_type IN ('FREIGHT', 'DUTY', 'BROKERAGE', 'OTHER')),
+    CONSTRAINT po_landed_charges_amount_check CHECK (amount_cents >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_po_landed_charges_po ON po_landed_charges(purchase_order_id);
+
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS landed_cost_method TEXT
+    CHECK (landed_cost_method IN ('VALUE', 'QUANTITY', 'WEIGHT'));
+
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS received_weight DECIMAL(12,3);
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS allocated_charges_cents INTEGER;
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS landed_unit_cost_cents INTEGER;
+
+ALTER TABLE variation_vendors ADD COLUMN IF NOT EXISTS landed_unit_cost_money INTEGER;
+
+COMMIT;
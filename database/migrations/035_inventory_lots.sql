@@ -0,0 +1,53 @@
+BEGIN;
+
+-- Migration 035: Lot-level expiry tracking
+--
+-- inventory_lots: stock of one variation at one location sharing an expiry
+-- date (and optional lot code). Lots are created when PO lines are received
+-- with expiry dates, or entered by hand for stock already on the shelf.
+-- Completed sales deplete a location's lots earliest-expiry first;
+-- inventory_lot_sales records which lots each Square order drew from and
+-- makes a redelivered order webhook a no-op.
+-- current_tier_id / days_until_expiry hold each lot's own expiry tier from
+-- the last discount evaluation; the variation takes its most urgent lot's tier.
+-- po_receiving_scans.expiration_date / lot_code carry a scanned lot into the
+-- lots created when the receiving session is committed.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+CREATE TABLE IF NOT EXISTS inventory_lots (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    variation_id TEXT NOT NULL REFERENCES variations(id) ON DELETE CASCADE,
+    location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    lot_code TEXT,
+    expiration_date DATE NOT NULL,
+    received_quantity INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE SET NULL,
+    current_tier_id INTEGER,
+    days_until_expiry INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT inventory_lots_quantity_check CHECK (quantity >= 0 AND received_quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_lots_merchant_variation
+    ON inventory_lots(merchant_id, variation_id, location_id, expiration_date)
+    WHERE quantity > 0;
+
+CREATE TABLE IF NOT EXISTS inventory_lot_sales (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    square_order_id TEXT NOT NULL,
+    location_id TEXT,
+    allocations JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT inventory_lot_sales_order_unique UNIQUE (merchant_id, square_order_id)
+);
+
+ALTER TABLE po_receiving_scans ADD COLUMN IF NOT EXISTS expiration_date DATE;
+ALTER TABLE po_receiving_scans ADD COLUMN IF NOT EXISTS lot_code TEXT;
+
+COMMIT;
@@ -0,0 +1,60 @@
+BEGIN;
+
+-- Migration 036: Waste log and expiry discount sales
+--
+-- waste_log: one row per variation and location written off (expired,
+-- damaged or recalled), with the primary vendor's unit cost at the time so
+-- the loss is costed even after vendor prices change. Each row is posted to
+-- Square as an IN_STOCK -> WASTE adjustment; square_status records whether
+-- it went through so a failed post can be retried.
+-- expiry_discount_sales: units sold while an expiry discount was applied,
+-- with the discounted and regular price, one row per order and variation.
+-- The shrink report sets this recovery against the waste log.
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+CREATE TABLE IF NOT EXISTS waste_log (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    variation_id TEXT NOT NULL,
+    location_id TEXT NOT NULL,
+    quantity INTEGER NOT NULL,
+    unit_cost_cents INTEGER,
+    total_cost_cents INTEGER,
+    vendor_id TEXT,
+    reason VARCHAR(20) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'MANUAL',
+    notes TEXT,
+    recorded_by TEXT,
+    square_status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    square_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT waste_log_quantity_check CHECK (quantity > 0),
+    CONSTRAINT waste_log_reason_check CHECK (reason IN ('EXPIRED', 'DAMAGED', 'RECALLED')),
+    CONSTRAINT waste_log_source_check CHECK (source IN ('EXPIRY_PULL', 'MANUAL')),
+    CONSTRAINT waste_log_square_status_check CHECK (square_status IN ('PENDING', 'POSTED', 'FAILED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_waste_log_merchant_created
+    ON waste_log(merchant_id, created_at);
+
+CREATE TABLE IF NOT EXISTS expiry_discount_sales (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    variation_id TEXT NOT NULL,
+    square_order_id TEXT NOT NULL,
+    tier_id INTEGER,
+    quantity INTEGER NOT NULL,
+    unit_price_cents INTEGER NOT NULL,
+    original_price_cents INTEGER,
+    discount_percent DECIMAL(5,2),
+    sold_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT expiry_discount_sales_order_unique UNIQUE (merchant_id, square_order_id, variation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_expiry_discount_sales_merchant_sold
+    ON expiry_discount_sales(merchant_id, sold_at);
+
+COMMIT;
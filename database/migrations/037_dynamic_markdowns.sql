@@ -0,0 +1,36 @@
+BEGIN;
+
+-- Migration 037: Dynamic markdown pricing for expiry discounts
+--
+-- With expiry_discount_settings.pricing_mode = 'DYNAMIC' each variation in
+-- an auto-apply tier gets its own markdown, between the tier's
+-- dynamic_min_percent and dynamic_max_percent, sized from sales velocity,
+-- units on hand and days to expiry. Percentages are rounded to 5% steps;
+-- expiry_discount_steps holds the Square discount object for each tier and
+-- step, and how many variations its pricing rule covers (0 = no rule
+-- published). variation_discount_status.dynamic_discount_percent is the
+-- markdown applied to the variation (NULL when the tier's own percentage
+-- applies).
+--
+-- Schema-manager handles this on fresh installs; this migration applies it
+-- to existing databases.
+
+ALTER TABLE expiry_discount_tiers ADD COLUMN IF NOT EXISTS dynamic_min_percent DECIMAL(5,2);
+ALTER TABLE expiry_discount_tiers ADD COLUMN IF NOT EXISTS dynamic_max_percent DECIMAL(5,2);
+
+ALTER TABLE variation_discount_status ADD COLUMN IF NOT EXISTS dynamic_discount_percent DECIMAL(5,2);
+
+CREATE TABLE IF NOT EXISTS expiry_discount_steps (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    tier_id INTEGER NOT NULL REFERENCES expiry_discount_tiers(id) ON DELETE CASCADE,
+    discount_percent DECIMAL(5,2) NOT NULL,
+    square_discount_id TEXT,
+    variation_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT expiry_discount_steps_unique UNIQUE (merchant_id, tier_id, discount_percent),
+    CONSTRAINT expiry_discount_steps_percent_check CHECK (discount_percent > 0 AND discount_percent <= 100)
+);
+
+COMMIT;
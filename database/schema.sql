@@ -3,6 +3,39 @@
 
 -- Drop existing tables (in reverse order of dependencies)
 
+-- Dynamic expiry markdown steps
+DROP TABLE IF EXISTS expiry_discount_steps CASCADE;
+
+-- Waste log and expiry discount sales (shrink report)
+DROP TABLE IF EXISTS expiry_discount_sales CASCADE;
+DROP TABLE IF EXISTS waste_log CASCADE;
+
+-- Inventory lots (lot-level expiry)
+DROP TABLE IF EXISTS inventory_lot_sales CASCADE;
+DROP TABLE IF EXISTS inventory_lots CASCADE;
+
+-- PO landed cost charges
+DROP TABLE IF EXISTS po_landed_charges CASCADE;
+
+-- Stock transfers
+DROP TABLE IF EXISTS stock_transfer_items CASCADE;
+DROP TABLE IF EXISTS stock_transfers CASCADE;
+
+-- Vendor returns
+DROP TABLE IF EXISTS vendor_return_items CASCADE;
+DROP TABLE IF EXISTS vendor_returns CASCADE;
+
+-- Vendor invoices
+DROP TABLE IF EXISTS vendor_invoice_lines CASCADE;
+DROP TABLE IF EXISTS vendor_invoices CASCADE;
+
+-- Barcode receiving sessions
+DROP TABLE IF EXISTS po_receiving_scans CASCADE;
+DROP TABLE IF EXISTS po_receiving_sessions CASCADE;
+
+-- Request idempotency keys
+DROP TABLE IF EXISTS idempotency_keys CASCADE;
+
 -- Catalog health tables
 DROP TABLE IF EXISTS catalog_location_health CASCADE;
 
@@ -24,6 +57,10 @@ DROP TABLE IF EXISTS loyalty_audit_log CASCADE;
 DROP TABLE IF EXISTS loyalty_processed_orders CASCADE;
 
 -- Delivery module tables (drop first due to FK dependencies)
+DROP TABLE IF EXISTS delivery_tracking_tokens CASCADE;
+DROP TABLE IF EXISTS delivery_geocode_cache CASCADE;
+DROP TABLE IF EXISTS delivery_recurring_templates CASCADE;
+DROP TABLE IF EXISTS delivery_zones CASCADE;
 DROP TABLE IF EXISTS delivery_route_tokens CASCADE;
 DROP TABLE IF EXISTS delivery_audit_log CASCADE;
 DROP TABLE IF EXISTS delivery_pod CASCADE;
@@ -214,6 +251,8 @@ CREATE TABLE vendors (
     addon_cutoff_enabled BOOLEAN DEFAULT FALSE,
     addon_cutoff_day VARCHAR(10) DEFAULT NULL,
     addon_cutoff_time TIME DEFAULT NULL,
+    po_email_subject TEXT,
+    po_email_body TEXT,
     merchant_id INTEGER NOT NULL REFERENCES merchants(id),
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -336,6 +375,7 @@ CREATE TABLE variation_vendors (
     vendor_id TEXT NOT NULL,
     vendor_code TEXT,
     unit_cost_money INTEGER,
+    landed_unit_cost_money INTEGER,
     currency TEXT DEFAULT 'CAD',
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
@@ -442,6 +482,13 @@ CREATE TABLE purchase_orders (
     total_cents INTEGER DEFAULT 0,
     notes TEXT,
     created_by TEXT,
+    emailed_at TIMESTAMPTZ,
+    emailed_to TEXT,
+    email_message_id TEXT,
+    email_send_count INTEGER DEFAULT 0,
+    closed_at TIMESTAMPTZ,
+    closed_remainder TEXT CHECK (closed_remainder IN ('CANCELLED', 'BACKORDERED')),
+    landed_cost_method TEXT CHECK (landed_cost_method IN ('VALUE', 'QUANTITY', 'WEIGHT')),
     merchant_id INTEGER NOT NULL REFERENCES merchants(id),
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
@@ -460,6 +507,10 @@ CREATE TABLE purchase_order_items (
     total_cost_cents INTEGER NOT NULL,
     received_quantity DECIMAL(10,2) DEFAULT 0,
     notes TEXT,
+    backorder_of_item_id INTEGER REFERENCES purchase_order_items(id) ON DELETE SET NULL,
+    received_weight DECIMAL(12,3),
+    allocated_charges_cents INTEGER,
+    landed_unit_cost_cents INTEGER,
     merchant_id INTEGER NOT NULL REFERENCES merchants(id),
     created_at TIMESTAMPTZ DEFAULT NOW(),
     FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
@@ -495,6 +546,7 @@ CREATE INDEX idx_purchase_orders_location ON purchase_orders(location_id);
 CREATE INDEX idx_purchase_orders_date ON purchase_orders(order_date);
 CREATE INDEX idx_purchase_order_items_po ON purchase_order_items(purchase_order_id);
 CREATE INDEX idx_purchase_order_items_variation ON purchase_order_items(variation_id);
+CREATE INDEX idx_purchase_order_items_backorder ON purchase_order_items(backorder_of_item_id) WHERE backorder_of_item_id IS NOT NULL;
 
 -- Items lookups
 CREATE INDEX idx_items_category ON items(category_id);
@@ -977,6 +1029,8 @@ CREATE TABLE IF NOT EXISTS expiry_discount_tiers (
     is_auto_apply BOOLEAN DEFAULT FALSE,       -- Whether to auto-apply discount in Square
     requires_review BOOLEAN DEFAULT FALSE,     -- Whether items need manual review
     square_discount_id TEXT,                   -- Square catalog discount object ID (once created)
+    dynamic_min_percent DECIMAL(5,2),          -- DYNAMIC pricing mode floor, NULL = discount_percent
+    dynamic_max_percent DECIMAL(5,2),          -- DYNAMIC pricing mode ceiling, NULL = discount_percent
     color_code TEXT DEFAULT '#6b7280',         -- Color for UI display (hex)
     priority INTEGER DEFAULT 0,                -- Higher = evaluated first (for overlapping ranges)
     is_active BOOLEAN DEFAULT TRUE,
@@ -1003,6 +1057,7 @@ CREATE TABLE IF NOT EXISTS variation_discount_status (
     -- LOGIC CHANGE: Expiry quantity tracking (BACKLOG-94)
     expiring_quantity INTEGER,                 -- Expected units to sell at discount (NULL = all inventory)
     units_sold_at_discount INTEGER DEFAULT 0,  -- Count of units sold at discounted price
+    dynamic_discount_percent DECIMAL(5,2),     -- Markdown applied in DYNAMIC mode (NULL = tier percent)
     merchant_id INTEGER NOT NULL REFERENCES merchants(id),
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
@@ -1374,6 +1429,18 @@ CREATE TABLE IF NOT EXISTS delivery_orders (
     square_synced_at TIMESTAMPTZ,  -- when synced to Square as completed
     square_order_state VARCHAR(50),  -- Square order state (DRAFT, OPEN, COMPLETED, CANCELED)
     needs_customer_refresh BOOLEAN DEFAULT FALSE,  -- TRUE when ingested with incomplete customer data
+    window_start TIME,             -- earliest promised delivery time (NULL = any time)
+    window_end TIME,               -- latest promised delivery time (NULL = any time)
+    service_minutes INTEGER,       -- time on site at the stop (NULL = default 5 min)
+    planned_arrival TIMESTAMPTZ,   -- optimizer ETA for this stop on its route
+    window_missed BOOLEAN DEFAULT FALSE,  -- TRUE when the optimizer could not fit the window
+    zone_id INTEGER,               -- reference to delivery_zones (NULL = unzoned)
+    delivery_fee_cents INTEGER,    -- fee from the assigned zone
+    needs_review BOOLEAN DEFAULT FALSE,  -- TRUE when zone assignment needs a human decision
+    review_reason VARCHAR(30),     -- outside_zones, not_geocoded, below_minimum, day_not_allowed
+    recurring_template_id UUID,    -- reference to delivery_recurring_templates (NULL = one-off)
+    scheduled_date DATE,           -- occurrence date for orders created from a recurring template
+    completed_at TIMESTAMPTZ,      -- when the driver recorded the completion (may predate an offline sync)
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -1450,6 +1517,9 @@ CREATE TABLE IF NOT EXISTS delivery_settings (
     auto_ingest_ready_orders BOOLEAN DEFAULT TRUE,
     openrouteservice_api_key TEXT,  -- deprecated: migrated to ors_api_key_encrypted on read
     ors_api_key_encrypted TEXT,    -- AES-256-GCM encrypted ORS API key
+    geocoding_provider VARCHAR(20) DEFAULT 'ors' CHECK (
+        geocoding_provider IN ('ors', 'nominatim', 'stub')
+    ),                             -- address lookup backend (stub = offline, for testing)
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     CONSTRAINT delivery_settings_merchant_unique UNIQUE(merchant_id)
@@ -1481,6 +1551,10 @@ CREATE TABLE IF NOT EXISTS delivery_routes (
     start_lng DOUBLE PRECISION,
     end_lat DOUBLE PRECISION,     -- route end override (NULL = use merchant default)
     end_lng DOUBLE PRECISION,
+    planned_departure TIMESTAMPTZ, -- departure time the stop ETAs were computed from
+    vehicle_number INTEGER NOT NULL DEFAULT 1,  -- driver slot on multi-vehicle days (1-based)
+    vehicle_label VARCHAR(100),    -- driver/vehicle name shown on the scheduler
+    vehicle_capacity INTEGER,      -- max stops for this vehicle (NULL = unlimited)
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -2125,6 +2199,508 @@ BEGIN
     RAISE NOTICE 'Created table: delivery_route_tokens';
 END $$;
 
+-- ========================================
+-- MIGRATION: Delivery Tracking Tokens
+-- ========================================
+-- Per-order public tracking links for customers (live ETA + POD status).
+-- Only the SHA-256 of the token is stored; the plaintext lives in the link.
+
+CREATE TABLE IF NOT EXISTS delivery_tracking_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES delivery_orders(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'expired', 'revoked')),
+    created_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ,
+    last_viewed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_tracking_tokens_merchant_order ON delivery_tracking_tokens(merchant_id, order_id);
+
+-- Only one active tracking link per order at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tracking_tokens_active_order
+ON delivery_tracking_tokens(order_id)
+WHERE status = 'active';
+
+COMMENT ON TABLE delivery_tracking_tokens IS 'Public per-order tracking links for delivery customers';
+COMMENT ON COLUMN delivery_tracking_tokens.token_hash IS 'SHA-256 hex of the token in the link (plaintext is never stored)';
+
+-- ========================================
+-- MIGRATION: Delivery Geocode Cache
+-- ========================================
+-- Address -> coordinate cache so repeat customers are not re-geocoded.
+-- Keyed on a normalized address (see delivery-geocoding.js normalizeAddress).
+-- Pins corrected by staff are stored with source = 'manual' and are never
+-- overwritten by a provider result.
+
+CREATE TABLE IF NOT EXISTS delivery_geocode_cache (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    normalized_address TEXT NOT NULL,
+    address TEXT NOT NULL,
+    lat DECIMAL(10, 8) NOT NULL,
+    lng DECIMAL(11, 8) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'provider' CHECK (source IN ('provider', 'manual')),
+    provider VARCHAR(20),
+    confidence DECIMAL(4, 3),
+    corrected_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT delivery_geocode_cache_address_unique UNIQUE(merchant_id, normalized_address)
+);
+
+COMMENT ON TABLE delivery_geocode_cache IS 'Per-merchant address to coordinate cache for delivery geocoding';
+COMMENT ON COLUMN delivery_geocode_cache.source IS 'provider = geocoder result; manual = pin corrected by staff (takes precedence)';
+
+-- ========================================
+-- MIGRATION: Delivery Zones
+-- ========================================
+-- Merchant-drawn delivery areas (polygon, or radius ring around a center /
+-- the store) with per-zone rules. Incoming Square orders are assigned to the
+-- first matching active zone by priority; orders outside every zone or
+-- breaking a rule are flagged via delivery_orders.needs_review.
+
+CREATE TABLE IF NOT EXISTS delivery_zones (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    zone_type VARCHAR(20) NOT NULL CHECK (zone_type IN ('polygon', 'radius')),
+    polygon JSONB,                 -- [[lat, lng], ...] for polygon zones
+    center_lat DECIMAL(10, 8),     -- radius zones; NULL = store start address
+    center_lng DECIMAL(11, 8),
+    radius_km DECIMAL(6, 2),
+    fee_cents INTEGER NOT NULL DEFAULT 0 CHECK (fee_cents >= 0),
+    min_order_cents INTEGER NOT NULL DEFAULT 0 CHECK (min_order_cents >= 0),
+    allowed_days SMALLINT[],       -- 0 = Sunday .. 6 = Saturday; NULL = every day
+    priority INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT delivery_zones_shape CHECK (
+        (zone_type = 'polygon' AND polygon IS NOT NULL) OR
+        (zone_type = 'radius' AND radius_km IS NOT NULL AND radius_km > 0)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_zones_merchant ON delivery_zones(merchant_id, is_active);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_orders_needs_review
+    ON delivery_orders(merchant_id)
+    WHERE needs_review = TRUE;
+
+COMMENT ON TABLE delivery_zones IS 'Delivery areas with fee, minimum order and allowed-day rules';
+COMMENT ON COLUMN delivery_orders.review_reason IS 'Why zone assignment flagged the order: outside_zones, not_geocoded, below_minimum, day_not_allowed';
+
+-- ========================================
+-- MIGRATION: Recurring Delivery Templates
+-- ========================================
+-- Standing weekly / every-N-weeks deliveries for a customer. The delivery
+-- day is start_date's weekday. A morning job turns each template due today
+-- into a pending delivery_orders row (optionally backed by a new Square
+-- order); the unique index keeps one order per template per date.
+
+CREATE TABLE IF NOT EXISTS delivery_recurring_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    customer_name VARCHAR(255) NOT NULL,
+    address TEXT NOT NULL,
+    address_lat DECIMAL(10, 8),
+    address_lng DECIMAL(11, 8),
+    phone VARCHAR(50),
+    square_customer_id VARCHAR(255),
+    notes TEXT,
+    line_items JSONB NOT NULL DEFAULT '[]',  -- [{name, quantity, variationId, variationName, priceCents, note}]
+    interval_weeks SMALLINT NOT NULL DEFAULT 1 CHECK (interval_weeks BETWEEN 1 AND 8),
+    start_date DATE NOT NULL,      -- first delivery; its weekday is the delivery day
+    end_date DATE,                 -- last possible delivery (NULL = open-ended)
+    skip_dates DATE[] NOT NULL DEFAULT '{}',
+    window_start TIME,
+    window_end TIME,
+    service_minutes INTEGER,
+    create_square_order BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_materialized_date DATE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT delivery_recurring_templates_dates CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_recurring_merchant
+    ON delivery_recurring_templates(merchant_id, is_active);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_orders_recurring
+    ON delivery_orders(recurring_template_id, scheduled_date)
+    WHERE recurring_template_id IS NOT NULL;
+
+COMMENT ON TABLE delivery_recurring_templates IS 'Recurring delivery schedules materialized into delivery_orders each morning';
+COMMENT ON COLUMN delivery_recurring_templates.create_square_order IS 'TRUE = each occurrence also creates a Square order with a DELIVERY fulfillment';
+
+-- ========================================
+-- MIGRATION: Request Idempotency Keys
+-- ========================================
+-- Client-generated keys for requests that may be replayed (the driver page
+-- queues complete / skip / POD actions while offline). The first request
+-- claims the key and stores its response; replays get the stored response
+-- instead of running the action again. Rows expire after a week.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    scope VARCHAR(100) NOT NULL,        -- action namespace, e.g. driver-complete:<order id>
+    idempotency_key VARCHAR(100) NOT NULL,
+    response JSONB,                     -- NULL while the first request is still running
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),   -- claim time; stale in-progress claims can be taken over
+    PRIMARY KEY (merchant_id, scope, idempotency_key)   -- merchant-leading composite index
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires
+    ON idempotency_keys(expires_at);
+
+COMMENT ON TABLE idempotency_keys IS 'Stored responses for replayable requests, keyed by client idempotency key';
+COMMENT ON COLUMN delivery_orders.completed_at IS 'Completion time as recorded by the driver, kept when the action syncs later';
+
+-- ========================================
+-- MIGRATION: Barcode Receiving Sessions
+-- ========================================
+-- Receiving a SUBMITTED purchase order by scanning barcodes at the back door.
+-- Each scan is logged against the session; committing the session sums the
+-- scans per line and records them through the normal receive path. Scans that
+-- push a line past the ordered quantity, or don't match a line at all, are
+-- flagged for the buyer.
+
+CREATE TABLE IF NOT EXISTS po_receiving_sessions (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'OPEN',
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    committed_at TIMESTAMPTZ,
+    CONSTRAINT po_receiving_sessions_status_check CHECK (status IN ('OPEN', 'COMMITTED', 'CANCELLED'))
+);
+
+-- One open session per purchase order
+CREATE UNIQUE INDEX IF NOT EXISTS idx_po_receiving_sessions_open
+    ON po_receiving_sessions(purchase_order_id) WHERE status = 'OPEN';
+
+CREATE TABLE IF NOT EXISTS po_receiving_scans (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES po_receiving_sessions(id) ON DELETE CASCADE,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    barcode TEXT NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    purchase_order_item_id INTEGER REFERENCES purchase_order_items(id) ON DELETE CASCADE,
+    variation_id TEXT,
+    description TEXT,
+    flag VARCHAR(20),
+    expiration_date DATE,
+    lot_code TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT po_receiving_scans_quantity_check CHECK (quantity > 0),
+    CONSTRAINT po_receiving_scans_flag_check CHECK (flag IS NULL OR flag IN ('over_receipt', 'substitution', 'unknown'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_po_receiving_scans_session
+    ON po_receiving_scans(session_id);
+
+COMMENT ON TABLE po_receiving_sessions IS 'Barcode-scan receiving sessions for submitted purchase orders';
+COMMENT ON COLUMN po_receiving_scans.purchase_order_item_id IS 'PO line the scan counted toward; NULL for items not on the PO';
+COMMENT ON COLUMN po_receiving_scans.flag IS 'over_receipt = past ordered qty, substitution = our item not on the PO, unknown = barcode not in our catalog';
+
+-- ========================================
+-- MIGRATION: Vendor Invoices (three-way match)
+-- ========================================
+-- Supplier invoices imported against received POs; lines matched to PO
+-- lines by vendor item code or UPC
+
+CREATE TABLE IF NOT EXISTS vendor_invoices (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    invoice_number TEXT,
+    invoice_date DATE,
+    file_name TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    total_cents INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    accepted_at TIMESTAMPTZ,
+    CONSTRAINT vendor_invoices_status_check CHECK (status IN ('PENDING', 'ACCEPTED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_invoices_po
+    ON vendor_invoices(purchase_order_id);
+
+CREATE TABLE IF NOT EXISTS vendor_invoice_lines (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES vendor_invoices(id) ON DELETE CASCADE,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    row_number INTEGER,
+    vendor_item_number TEXT,
+    upc TEXT,
+    description TEXT,
+    quantity DECIMAL(10,2) NOT NULL,
+    unit_cost_cents INTEGER NOT NULL,
+    purchase_order_item_id INTEGER REFERENCES purchase_order_items(id) ON DELETE SET NULL,
+    match_method VARCHAR(20),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT vendor_invoice_lines_match_method_check CHECK (match_method IS NULL OR match_method IN ('vendor_code', 'upc'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_invoice_lines_invoice
+    ON vendor_invoice_lines(invoice_id);
+
+COMMENT ON TABLE vendor_invoices IS 'Supplier invoices imported against received purchase orders for three-way match';
+COMMENT ON COLUMN vendor_invoice_lines.purchase_order_item_id IS 'Matched PO line; NULL when the invoice line is not on the PO';
+COMMENT ON COLUMN vendor_invoice_lines.match_method IS 'vendor_code = variation_vendors.vendor_code, upc = variation UPC (leading zeros ignored)';
+
+-- ========================================
+-- MIGRATION: Vendor Returns (RMA / credit memos)
+-- ========================================
+-- Stock going back to a vendor (damaged, expired, short-dated, ...).
+-- DRAFT -> SENT (Square inventory decremented) -> CREDITED
+
+CREATE TABLE IF NOT EXISTS vendor_returns (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    return_number TEXT NOT NULL,
+    vendor_id TEXT NOT NULL REFERENCES vendors(id) ON DELETE RESTRICT,
+    location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+    purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'DRAFT',
+    vendor_rma_number TEXT,
+    notes TEXT,
+    total_cents INTEGER NOT NULL DEFAULT 0,
+    credit_amount_cents INTEGER,
+    credit_memo_number TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    sent_at TIMESTAMPTZ,
+    credited_at TIMESTAMPTZ,
+    UNIQUE(return_number, merchant_id),
+    CONSTRAINT vendor_returns_status_check CHECK (status IN ('DRAFT', 'SENT', 'CREDITED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_returns_merchant_status
+    ON vendor_returns(merchant_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_returns_vendor
+    ON vendor_returns(vendor_id);
+
+CREATE TABLE IF NOT EXISTS vendor_return_items (
+    id SERIAL PRIMARY KEY,
+    return_id INTEGER NOT NULL REFERENCES vendor_returns(id) ON DELETE CASCADE,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    variation_id TEXT NOT NULL REFERENCES variations(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL,
+    unit_cost_cents INTEGER NOT NULL DEFAULT 0,
+    reason VARCHAR(20) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT vendor_return_items_quantity_check CHECK (quantity > 0),
+    CONSTRAINT vendor_return_items_reason_check CHECK (reason IN ('DAMAGED', 'EXPIRED', 'SHORT_DATED', 'DEFECTIVE', 'WRONG_ITEM', 'OVERSTOCK', 'RECALL', 'OTHER'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_return_items_return
+    ON vendor_return_items(return_id);
+
+COMMENT ON TABLE vendor_returns IS 'Vendor returns (RMA) with expected and received credit';
+COMMENT ON COLUMN vendor_returns.total_cents IS 'Expected credit: sum of line quantity x unit cost';
+COMMENT ON COLUMN vendor_returns.credit_amount_cents IS 'Credit actually received from the vendor, recorded when CREDITED';
+
+-- ========================================
+-- MIGRATION: Stock Transfers between locations
+-- ========================================
+-- DRAFT -> SHIPPED (Square IN_STOCK -> IN_TRANSIT at source)
+--       -> RECEIVED (Square transfer to destination, IN_TRANSIT -> IN_STOCK)
+
+CREATE TABLE IF NOT EXISTS stock_transfers (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    transfer_number TEXT NOT NULL,
+    from_location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+    to_location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+    status VARCHAR(20) NOT NULL DEFAULT 'DRAFT',
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    shipped_at TIMESTAMPTZ,
+    received_at TIMESTAMPTZ,
+    UNIQUE(transfer_number, merchant_id),
+    CONSTRAINT stock_transfers_status_check CHECK (status IN ('DRAFT', 'SHIPPED', 'RECEIVED')),
+    CONSTRAINT stock_transfers_locations_check CHECK (from_location_id <> to_location_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_merchant_status
+    ON stock_transfers(merchant_id, status);
+
+CREATE TABLE IF NOT EXISTS stock_transfer_items (
+    id SERIAL PRIMARY KEY,
+    transfer_id INTEGER NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    variation_id TEXT NOT NULL REFERENCES variations(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(transfer_id, variation_id),
+    CONSTRAINT stock_transfer_items_quantity_check CHECK (quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer
+    ON stock_transfer_items(transfer_id);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_variation
+    ON stock_transfer_items(merchant_id, variation_id);
+
+COMMENT ON TABLE stock_transfers IS 'Stock transfer orders between two of the merchant''s locations';
+COMMENT ON COLUMN stock_transfers.shipped_at IS 'Stamped before the Square ship posting and reused on retry';
+COMMENT ON COLUMN stock_transfers.received_at IS 'Stamped before the Square receive posting and reused on retry';
+
+-- ========================================
+-- MIGRATION: Landed cost on PO receipts
+-- ========================================
+-- Freight / duty / brokerage charges per received PO, allocated to the
+-- received lines by value, quantity or weight (purchase_orders.landed_cost_method)
+
+CREATE TABLE IF NOT EXISTS po_landed_charges (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    charge_type VARCHAR(20) NOT NULL,
+    description TEXT,
+    amount_cents INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT po_landed_charges_type_check CHECK (charge_type IN ('FREIGHT', 'DUTY', 'BROKERAGE', 'OTHER')),
+    CONSTRAINT po_landed_charges_amount_check CHECK (amount_cents >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_po_landed_charges_po
+    ON po_landed_charges(purchase_order_id);
+
+COMMENT ON TABLE po_landed_charges IS 'Freight, duty, brokerage and other charges paid on a received purchase order';
+COMMENT ON COLUMN purchase_order_items.landed_unit_cost_cents IS 'unit_cost_cents plus this line''s share of the PO''s landed charges per received unit';
+COMMENT ON COLUMN variation_vendors.landed_unit_cost_money IS 'Latest landed unit cost (vendor cost plus allocated charges), used for margins';
+
+-- ========================================
+-- MIGRATION: Lot-level expiry tracking
+-- ========================================
+-- Stock per variation, location and expiry date. Sales deplete lots FIFO by
+-- expiry; discount tiers are evaluated per lot (current_tier_id).
+
+CREATE TABLE IF NOT EXISTS inventory_lots (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    variation_id TEXT NOT NULL REFERENCES variations(id) ON DELETE CASCADE,
+    location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    lot_code TEXT,
+    expiration_date DATE NOT NULL,
+    received_quantity INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE SET NULL,
+    current_tier_id INTEGER,
+    days_until_expiry INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT inventory_lots_quantity_check CHECK (quantity >= 0 AND received_quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_lots_merchant_variation
+    ON inventory_lots(merchant_id, variation_id, location_id, expiration_date)
+    WHERE quantity > 0;
+
+CREATE TABLE IF NOT EXISTS inventory_lot_sales (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    square_order_id TEXT NOT NULL,
+    location_id TEXT,
+    allocations JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT inventory_lot_sales_order_unique UNIQUE (merchant_id, square_order_id)
+);
+
+COMMENT ON TABLE inventory_lots IS 'Stock of a variation at a location sharing one expiry date and optional lot code';
+COMMENT ON COLUMN inventory_lots.current_tier_id IS 'Expiry discount tier for this lot''s own date (expiry_discount_tiers.id) from the last evaluation';
+COMMENT ON TABLE inventory_lot_sales IS 'Lots each completed Square order was depleted from; one row per order makes webhook redelivery a no-op';
+
+-- ========================================
+-- MIGRATION: Waste log and expiry discount sales
+-- ========================================
+-- Written-off stock at its vendor cost, posted to Square as WASTE; units sold
+-- at an expiry discount. The shrink report sets one against the other.
+
+CREATE TABLE IF NOT EXISTS waste_log (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    variation_id TEXT NOT NULL,
+    location_id TEXT NOT NULL,
+    quantity INTEGER NOT NULL,
+    unit_cost_cents INTEGER,
+    total_cost_cents INTEGER,
+    vendor_id TEXT,
+    reason VARCHAR(20) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'MANUAL',
+    notes TEXT,
+    recorded_by TEXT,
+    square_status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    square_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT waste_log_quantity_check CHECK (quantity > 0),
+    CONSTRAINT waste_log_reason_check CHECK (reason IN ('EXPIRED', 'DAMAGED', 'RECALLED')),
+    CONSTRAINT waste_log_source_check CHECK (source IN ('EXPIRY_PULL', 'MANUAL')),
+    CONSTRAINT waste_log_square_status_check CHECK (square_status IN ('PENDING', 'POSTED', 'FAILED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_waste_log_merchant_created
+    ON waste_log(merchant_id, created_at);
+
+CREATE TABLE IF NOT EXISTS expiry_discount_sales (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    variation_id TEXT NOT NULL,
+    square_order_id TEXT NOT NULL,
+    tier_id INTEGER,
+    quantity INTEGER NOT NULL,
+    unit_price_cents INTEGER NOT NULL,
+    original_price_cents INTEGER,
+    discount_percent DECIMAL(5,2),
+    sold_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT expiry_discount_sales_order_unique UNIQUE (merchant_id, square_order_id, variation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_expiry_discount_sales_merchant_sold
+    ON expiry_discount_sales(merchant_id, sold_at);
+
+COMMENT ON TABLE waste_log IS 'Stock written off (expired, damaged, recalled) with the primary vendor''s unit cost at the time; posted to Square as WASTE';
+COMMENT ON COLUMN waste_log.square_status IS 'PENDING until Square accepts the IN_STOCK -> WASTE adjustment (POSTED); FAILED rows can be retried';
+COMMENT ON TABLE expiry_discount_sales IS 'Units sold while an expiry discount was applied, at the discounted and regular price; one row per order and variation';
+
+-- ========================================
+-- MIGRATION: Dynamic expiry markdowns
+-- ========================================
+-- Per-variation markdowns between a tier's floor and ceiling, sized from
+-- velocity, stock and days to expiry; one Square discount per tier and 5% step
+
+CREATE TABLE IF NOT EXISTS expiry_discount_steps (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    tier_id INTEGER NOT NULL REFERENCES expiry_discount_tiers(id) ON DELETE CASCADE,
+    discount_percent DECIMAL(5,2) NOT NULL,
+    square_discount_id TEXT,
+    variation_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT expiry_discount_steps_unique UNIQUE (merchant_id, tier_id, discount_percent),
+    CONSTRAINT expiry_discount_steps_percent_check CHECK (discount_percent > 0 AND discount_percent <= 100)
+);
+
+COMMENT ON TABLE expiry_discount_steps IS 'Square discount object per tier and markdown step used by the DYNAMIC expiry pricing mode';
+COMMENT ON COLUMN expiry_discount_steps.variation_count IS 'Variations in the step''s Square pricing rule; 0 when no rule is published';
+COMMENT ON COLUMN variation_discount_status.dynamic_discount_percent IS 'Markdown applied in DYNAMIC pricing mode; NULL when the tier''s discount_percent applies';
+
 -- ========================================
 -- MIGRATION: Bundle Support for Reorder System
 -- ========================================
@@ -2415,6 +2991,7 @@ CREATE TABLE IF NOT EXISTS merchant_settings (
     notification_email TEXT,
     low_stock_alerts_enabled BOOLEAN DEFAULT TRUE,
     claude_api_key_encrypted TEXT,
+    reorder_use_observed_lead_time BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE(merchant_id)
@@ -40,6 +40,8 @@
 // | 21 | Delivery retention cleanup  | 0 1 * * 0  (Sun 1AM)  | Batch  | BACKLOG-116: purge old routes/orders|
 // | 22 | Promo expiry check          | 0 7 * * 0  (Sun 7AM)  | Batch  | B3 fix: flag expired promo pricing  |
 // | 23 | Staff invite cleanup        | 0 2 * * 0  (Sun 2AM)  | Batch  | Clear expired pending invites       |
+// | 24 | Delivery recurring orders   | 30 5 * * * (5:30 AM)  | Batch  | Before drivers generate routes      |
+// | 25 | PO auto-draft               | 30 6 * * * (6:30 AM)  | Batch  | Vendor order day drafts for review  |
 
 const cron = require('node-cron');
 const logger = require('../utils/logger');
@@ -65,6 +67,8 @@ const { runScheduledVendorMatchBackfill } = require('./vendor-match-backfill-job
 const { runScheduledDeliveryAutoFinish, runScheduledDeliveryRetentionCleanup } = require('./delivery-auto-finish-job');
 const { runScheduledPromoExpiryCheck } = require('./promo-expiry-job');
 const { runScheduledStaffInviteCleanup } = require('./staff-invite-cleanup-job');
+const { runScheduledDeliveryRecurringOrders } = require('./delivery-recurring-job');
+const { runScheduledPoAutoDraft } = require('./po-auto-draft-job');
 const syncQueue = require('../services/infra/sync-queue');
 
 // Store cron task references for graceful shutdown
@@ -264,6 +268,24 @@ function initializeCronJobs() {
     }));
     logger.info('Staff invite cleanup cron job scheduled', { schedule: staffInviteCleanupSchedule, timezone: 'America/Toronto' });
 
+    // 24. Delivery recurring orders
+    // Runs daily at 5:30 AM — create today's pending orders from recurring delivery templates
+    // so they are in the queue before the first route of the day is generated
+    const deliveryRecurringSchedule = process.env.DELIVERY_RECURRING_CRON || '30 5 * * *';
+    cronTasks.push(cron.schedule(deliveryRecurringSchedule, runScheduledDeliveryRecurringOrders, {
+        timezone: 'America/Toronto'
+    }));
+    logger.info('Delivery recurring orders cron job scheduled', { schedule: deliveryRecurringSchedule, timezone: 'America/Toronto' });
+
+    // 25. Purchase order auto-draft
+    // Runs daily at 6:30 AM — draft POs for fixed-schedule vendors whose order day is today
+    // and email the buyer review links before ordering starts
+    const poAutoDraftSchedule = process.env.PO_AUTO_DRAFT_CRON || '30 6 * * *';
+    cronTasks.push(cron.schedule(poAutoDraftSchedule, runScheduledPoAutoDraft, {
+        timezone: 'America/Toronto'
+    }));
+    logger.info('PO auto-draft cron job scheduled', { schedule: poAutoDraftSchedule, timezone: 'America/Toronto' });
+
     return cronTasks;
 }
 
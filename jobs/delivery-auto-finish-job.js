@@ -14,12 +14,14 @@
  *     - Deletes finished/cancelled routes older than DELIVERY_RETENTION_DAYS
  *     - Deletes associated completed/delivered/skipped/cancelled orders first
  *     - Never deletes active/pending data or unscheduled pending orders
+ *     - Purges expired idempotency keys from the driver offline queue
  *
  * @module jobs/delivery-auto-finish-job
  */
 
 const logger = require('../utils/logger');
 const db = require('../utils/database');
+const { purgeExpiredIdempotencyKeys } = require('../utils/idempotency');
 
 const DEFAULT_RETENTION_DAYS = 90;
 
@@ -51,6 +53,7 @@ async function runDeliveryRetentionCleanup() {
 
     try {
         const result = await cleanupOldRoutes();
+        await purgeIdempotencyKeys();
         logger.info('Delivery retention cleanup job completed', result);
         return result;
     } catch (err) {
@@ -59,6 +62,18 @@ async function runDeliveryRetentionCleanup() {
     }
 }
 
+// Best effort: a failed purge is retried next week and shouldn't fail the cleanup
+async function purgeIdempotencyKeys() {
+    try {
+        const purged = await purgeExpiredIdempotencyKeys();
+        if (purged > 0) {
+            logger.info(`Purged ${purged} expired idempotency keys`);
+        }
+    } catch (err) {
+        logger.warn('Failed to purge expired idempotency keys', { error: err.message });
+    }
+}
+
 async function autoFinishStaleRoutes() {
     const staleResult = await db.query(
         `SELECT id, merchant_id FROM delivery_routes
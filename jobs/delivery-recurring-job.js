@@ -0,0 +1,64 @@
+/**
+ * Delivery Recurring Orders Job
+ *
+ * Customers with a standing weekly / every-other-week delivery have a
+ * recurring template (services/delivery/delivery-recurring.js). Each morning,
+ * before drivers generate routes, this job creates the pending delivery order
+ * for every template due today in the merchant's timezone.
+ *
+ * Re-running on the same day is safe: occurrences that already have an order
+ * are skipped.
+ *
+ * @module jobs/delivery-recurring-job
+ */
+
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const { materializeRecurringOrders } = require('../services/delivery/delivery-recurring-orders');
+
+/**
+ * Materialize today's recurring deliveries for all merchants with active templates.
+ *
+ * @returns {Promise<Object>} { merchants, created, failed, errors }
+ */
+async function runDeliveryRecurringOrders() {
+    logger.info('Starting delivery recurring orders job');
+
+    let merchantIds;
+    try {
+        const result = await db.query(
+            `SELECT DISTINCT merchant_id FROM delivery_recurring_templates WHERE is_active = TRUE`
+        );
+        merchantIds = result.rows.map(r => r.merchant_id);
+    } catch (err) {
+        logger.error('Delivery recurring orders job failed', { error: err.message, stack: err.stack });
+        return { merchants: 0, created: 0, failed: 0, errors: 1 };
+    }
+
+    const totals = { merchants: merchantIds.length, created: 0, failed: 0, errors: 0 };
+
+    for (const merchantId of merchantIds) {
+        try {
+            const result = await materializeRecurringOrders(merchantId);
+            totals.created += result.created;
+            totals.failed += result.failed;
+        } catch (err) {
+            totals.errors++;
+            logger.error('Failed to materialize recurring deliveries for merchant', {
+                merchantId, error: err.message
+            });
+        }
+    }
+
+    logger.info('Delivery recurring orders job completed', totals);
+    return totals;
+}
+
+async function runScheduledDeliveryRecurringOrders() {
+    await runDeliveryRecurringOrders();
+}
+
+module.exports = {
+    runDeliveryRecurringOrders,
+    runScheduledDeliveryRecurringOrders
+};
@@ -22,6 +22,8 @@ const podCleanupJob = require('./pod-cleanup-job');
 const autoMinMaxJob = require('./auto-min-max-job');
 const vendorMatchBackfillJob = require('./vendor-match-backfill-job');
 const deliveryAutoFinishJob = require('./delivery-auto-finish-job');
+const deliveryRecurringJob = require('./delivery-recurring-job');
+const poAutoDraftJob = require('./po-auto-draft-job');
 const staffInviteCleanupJob = require('./staff-invite-cleanup-job');
 const cronScheduler = require('./cron-scheduler');
 
@@ -101,6 +103,14 @@ module.exports = {
     runScheduledDeliveryAutoFinish: deliveryAutoFinishJob.runScheduledDeliveryAutoFinish,
     runScheduledDeliveryRetentionCleanup: deliveryAutoFinishJob.runScheduledDeliveryRetentionCleanup,
 
+    // Delivery recurring orders job
+    runDeliveryRecurringOrders: deliveryRecurringJob.runDeliveryRecurringOrders,
+    runScheduledDeliveryRecurringOrders: deliveryRecurringJob.runScheduledDeliveryRecurringOrders,
+
+    // Purchase order auto-draft job
+    runPoAutoDraft: poAutoDraftJob.runPoAutoDraft,
+    runScheduledPoAutoDraft: poAutoDraftJob.runScheduledPoAutoDraft,
+
     // Staff invite cleanup job
     cleanupExpiredStaffInvites: staffInviteCleanupJob.cleanupExpiredStaffInvites,
     runScheduledStaffInviteCleanup: staffInviteCleanupJob.runScheduledStaffInviteCleanup,
@@ -0,0 +1,130 @@
+/**
+ * Purchase Order Auto-Draft Job
+ *
+ * Each morning, drafts purchase orders from reorder suggestions for every
+ * fixed-schedule vendor whose order day is today (merchant timezone), then
+ * emails the merchant's owners/managers a review link for each draft.
+ * See services/purchase-orders/po-auto-draft-service.js for the drafting rules.
+ *
+ * Schedule: daily 6:30 AM ET (after the 6 AM Sunday min/max adjustment)
+ *
+ * @module jobs/po-auto-draft-job
+ */
+
+const db = require('../utils/database');
+const logger = require('../utils/logger');
+const emailNotifier = require('../utils/email-notifier');
+const { escapeHtml } = require('../utils/privacy-format');
+const { autoDraftPurchaseOrders } = require('../services/purchase-orders/po-auto-draft-service');
+
+const formatDollars = cents => `$${(cents / 100).toFixed(2)}`;
+
+/**
+ * Build the buyer review email for one merchant, or null when there is nothing to review.
+ * Vendor names and errors are escaped; they come from merchant data.
+ * @param {string} businessName
+ * @param {Array} results - From autoDraftPurchaseOrders()
+ * @returns {{subject: string, html: string}|null}
+ */
+function buildReviewEmail(businessName, results) {
+    const drafted = results.filter(r => r.status === 'drafted');
+    const belowMinimum = results.filter(r => r.status === 'below_minimum');
+    const failed = results.filter(r => r.status === 'failed');
+    if (drafted.length === 0 && belowMinimum.length === 0 && failed.length === 0) return null;
+
+    const appUrl = process.env.PUBLIC_APP_URL || 'http://localhost:5001';
+    const list = items => `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+    const parts = [
+        '<h2>Purchase orders to review</h2>',
+        `<p><strong>${escapeHtml(businessName)}</strong></p>`
+    ];
+
+    if (drafted.length > 0) {
+        parts.push('<h3>Draft purchase orders ready for review</h3>', list(drafted.map(r => (
+            `<a href="${escapeHtml(`${appUrl}/purchase-orders.html?po=${r.po.id}`)}">` +
+            `${escapeHtml(r.vendorName)}: ${escapeHtml(r.po.po_number)}</a>, ` +
+            `${r.itemCount} items, ${formatDollars(r.subtotalCents)}`
+        ))));
+    }
+    if (belowMinimum.length > 0) {
+        parts.push('<h3>Not drafted — suggestions below the vendor minimum</h3>', list(belowMinimum.map(r => (
+            `${escapeHtml(r.vendorName)}: ${formatDollars(r.subtotalCents)} of ${formatDollars(r.minimumCents)} ` +
+            `minimum (short ${formatDollars(r.shortfallCents)})`
+        ))));
+        parts.push(`<p>Build these manually on the <a href="${escapeHtml(`${appUrl}/reorder.html`)}">reorder page</a> if an order is still needed.</p>`);
+    }
+    if (failed.length > 0) {
+        parts.push('<h3>Could not be drafted (see logs)</h3>',
+            list(failed.map(r => `${escapeHtml(r.vendorName)}: ${escapeHtml(r.error)}`)));
+    }
+
+    return {
+        subject: `${drafted.length} purchase order draft(s) to review — ${businessName}`,
+        html: parts.join('\n')
+    };
+}
+
+/**
+ * Auto-draft today's vendor orders for all active merchants with fixed-schedule vendors.
+ *
+ * @returns {Promise<Object>} { merchants, drafted, belowMinimum, errors }
+ */
+async function runPoAutoDraft() {
+    logger.info('Starting purchase order auto-draft job');
+
+    let merchants;
+    try {
+        const result = await db.query(`
+            SELECT DISTINCT m.id, m.business_name
+            FROM merchants m
+            JOIN vendors v ON v.merchant_id = m.id
+            WHERE m.is_active = TRUE AND m.square_access_token IS NOT NULL
+              AND v.schedule_type = 'fixed' AND v.order_day IS NOT NULL
+        `);
+        merchants = result.rows;
+    } catch (err) {
+        logger.error('Purchase order auto-draft job failed', { error: err.message, stack: err.stack });
+        return { merchants: 0, drafted: 0, belowMinimum: 0, errors: 1 };
+    }
+
+    const totals = { merchants: merchants.length, drafted: 0, belowMinimum: 0, errors: 0 };
+
+    for (const merchant of merchants) {
+        let results;
+        try {
+            ({ results } = await autoDraftPurchaseOrders(merchant));
+        } catch (err) {
+            totals.errors++;
+            logger.error('Failed to auto-draft purchase orders for merchant', {
+                merchantId: merchant.id, error: err.message
+            });
+            continue;
+        }
+
+        totals.drafted += results.filter(r => r.status === 'drafted').length;
+        totals.belowMinimum += results.filter(r => r.status === 'below_minimum').length;
+        totals.errors += results.filter(r => r.status === 'failed').length;
+
+        const email = buildReviewEmail(merchant.business_name, results);
+        if (email) {
+            await emailNotifier.sendMerchantNotice({
+                merchantId: merchant.id,
+                subject: email.subject,
+                html: email.html
+            });
+        }
+    }
+
+    logger.info('Purchase order auto-draft job completed', totals);
+    return totals;
+}
+
+async function runScheduledPoAutoDraft() {
+    await runPoAutoDraft();
+}
+
+module.exports = {
+    buildReviewEmail,
+    runPoAutoDraft,
+    runScheduledPoAutoDraft
+};
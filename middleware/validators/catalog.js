@@ -198,11 +198,28 @@ const getExpirations = [
 ];
 
 // POST /api/expirations
+// Entries are { variation_id, expiration_date, does_not_expire } or a GS1 scan { scan, override_conflict }
 const saveExpirations = [
     body().isArray().withMessage('Expected array of changes'),
-    body('*.variation_id').isString().notEmpty(),
+    body('*').custom((entry) => {
+        if (entry?.scan) return true;
+        if (typeof entry?.variation_id !== 'string' || entry.variation_id === '') {
+            throw new Error('variation_id or scan is required');
+        }
+        return true;
+    }),
     body('*.expiration_date').optional({ nullable: true }).isISO8601(),
     body('*.does_not_expire').optional().isBoolean(),
+    body('*.scan').optional().isString().isLength({ min: 1, max: 200 })
+        .withMessage('scan must be a GS1 element string of at most 200 characters'),
+    body('*.override_conflict').optional().isBoolean(),
+    handleValidationErrors
+];
+
+// POST /api/expirations/scan
+const readExpiryScan = [
+    body('scan').isString().isLength({ min: 1, max: 200 })
+        .withMessage('scan must be a GS1 element string of at most 200 characters'),
     handleValidationErrors
 ];
 
@@ -245,6 +262,15 @@ const getDeletedItems = [
     handleValidationErrors
 ];
 
+// POST /api/deleted-items/restore/preview and /api/deleted-items/restore
+const restoreDeletedItems = [
+    body('variation_ids')
+        .isArray({ min: 1, max: 100 })
+        .withMessage('variation_ids must be an array of 1-100 variation IDs'),
+    body('variation_ids.*').isString().matches(/^[A-Za-z0-9_-]+$/),
+    handleValidationErrors
+];
+
 // GET /api/catalog-audit
 const getCatalogAudit = [
     query('location_id').optional().matches(/^[A-Za-z0-9_-]+$/),
@@ -278,11 +304,13 @@ module.exports = {
     bulkUpdateExtended,
     getExpirations,
     saveExpirations,
+    readExpiryScan,
     pullExpired,
     reviewExpirations,
     getInventory,
     getLowStock,
     getDeletedItems,
+    restoreDeletedItems,
     getCatalogAudit,
     enableItemAtLocations,
     fixLocations,
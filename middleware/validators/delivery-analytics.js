@@ -0,0 +1,24 @@
+/**
+ * Validators for Delivery Analytics routes
+ */
+
+const { query } = require('express-validator');
+const { handleValidationErrors } = require('./index');
+
+const MAX_WEEKS = 26;
+
+/**
+ * GET /api/delivery/analytics
+ * Optional number of weeks to report (current week included)
+ */
+const getAnalytics = [
+    query('weeks')
+        .optional()
+        .isInt({ min: 1, max: MAX_WEEKS })
+        .withMessage(`weeks must be between 1 and ${MAX_WEEKS}`),
+    handleValidationErrors
+];
+
+module.exports = {
+    getAnalytics
+};
@@ -0,0 +1,233 @@
+/**
+ * Validators for Recurring Delivery routes
+ *
+ * Dates are calendar dates (YYYY-MM-DD). Line items are
+ * {name, quantity, variationId?, variationName?, priceCents?, note?}; when
+ * the template creates Square orders every item needs either a catalog
+ * variationId or a priceCents so Square can price it.
+ */
+
+const { body, param } = require('express-validator');
+const { handleValidationErrors, isValidUUID } = require('./index');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_OF_DAY_REGEX = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const MAX_LINE_ITEMS = 100;
+const MAX_SKIP_DATES = 366;
+
+const isCalendarDate = (value) => DATE_REGEX.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+
+const isLineItemList = (value) => {
+    if (!Array.isArray(value) || value.length > MAX_LINE_ITEMS) {
+        throw new Error(`lineItems must be an array of at most ${MAX_LINE_ITEMS} items`);
+    }
+    for (const item of value) {
+        if (!item || typeof item.name !== 'string' || !item.name.trim() || item.name.length > 255) {
+            throw new Error('Each line item needs a name (255 characters or less)');
+        }
+        if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > 999) {
+            throw new Error('Line item quantity must be between 1 and 999');
+        }
+        if (item.variationId != null && (typeof item.variationId !== 'string' || item.variationId.length > 255)) {
+            throw new Error('Line item variationId must be a string');
+        }
+        if (item.priceCents != null && (!Number.isInteger(item.priceCents) || item.priceCents < 0)) {
+            throw new Error('Line item priceCents must be a non-negative integer');
+        }
+        if (item.note != null && (typeof item.note !== 'string' || item.note.length > 500)) {
+            throw new Error('Line item note must be 500 characters or less');
+        }
+    }
+    return true;
+};
+
+const isSkipDateList = (value) => {
+    if (!Array.isArray(value) || value.length > MAX_SKIP_DATES || !value.every(isCalendarDate)) {
+        throw new Error(`skipDates must be a list of at most ${MAX_SKIP_DATES} dates (YYYY-MM-DD)`);
+    }
+    return true;
+};
+
+/**
+ * Fields shared by create and update
+ */
+const templateFields = [
+    body('phone')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 50 })
+        .withMessage('Phone must be 50 characters or less'),
+    body('notes')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 2000 })
+        .withMessage('Notes must be 2000 characters or less'),
+    body('squareCustomerId')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 255 })
+        .withMessage('squareCustomerId must be 255 characters or less'),
+    body('addressLat')
+        .optional({ nullable: true })
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('addressLat must be between -90 and 90'),
+    body('addressLng')
+        .optional({ nullable: true })
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('addressLng must be between -180 and 180'),
+    body('lineItems')
+        .optional()
+        .custom(isLineItemList),
+    body('intervalWeeks')
+        .optional()
+        .isInt({ min: 1, max: 8 })
+        .withMessage('intervalWeeks must be between 1 and 8'),
+    body('endDate')
+        .optional({ nullable: true })
+        .custom(isCalendarDate)
+        .withMessage('endDate must be a date (YYYY-MM-DD)')
+        .custom((value, { req }) => {
+            if (req.body.startDate && value < req.body.startDate) {
+                throw new Error('endDate cannot be before startDate');
+            }
+            return true;
+        }),
+    body('skipDates')
+        .optional()
+        .custom(isSkipDateList),
+    body('windowStart')
+        .optional({ nullable: true })
+        .matches(TIME_OF_DAY_REGEX)
+        .withMessage('Window start must be in HH:MM format'),
+    body('windowEnd')
+        .optional({ nullable: true })
+        .matches(TIME_OF_DAY_REGEX)
+        .withMessage('Window end must be in HH:MM format')
+        .custom((value, { req }) => {
+            const start = req.body.windowStart;
+            if (value && start && TIME_OF_DAY_REGEX.test(start)) {
+                const toMinutes = t => t.split(':').reduce((h, m) => h * 60 + Number(m), 0);
+                if (toMinutes(value) <= toMinutes(start)) {
+                    throw new Error('Window end must be after window start');
+                }
+            }
+            return true;
+        }),
+    body('serviceMinutes')
+        .optional({ nullable: true })
+        .isInt({ min: 0, max: 240 })
+        .withMessage('serviceMinutes must be between 0 and 240'),
+    body('createSquareOrder')
+        .optional()
+        .isBoolean()
+        .withMessage('createSquareOrder must be a boolean')
+        .custom((value, { req }) => {
+            const items = req.body.lineItems;
+            if (value === true && Array.isArray(items)) {
+                if (items.length === 0) {
+                    throw new Error('Square orders need at least one line item');
+                }
+                if (items.some(item => !item.variationId && item.priceCents == null)) {
+                    throw new Error('Square orders need a variationId or priceCents on every line item');
+                }
+            }
+            return true;
+        }),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+];
+
+const templateId = param('id')
+    .custom(isValidUUID)
+    .withMessage('Template ID must be a valid UUID');
+
+/**
+ * GET /api/delivery/recurring
+ */
+const listTemplates = [
+    handleValidationErrors
+];
+
+/**
+ * POST /api/delivery/recurring
+ */
+const createTemplate = [
+    body('customerName')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Customer name is required')
+        .isLength({ max: 255 })
+        .withMessage('Customer name must be 255 characters or less'),
+    body('address')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Address is required')
+        .isLength({ max: 500 })
+        .withMessage('Address must be 500 characters or less'),
+    body('startDate')
+        .custom(isCalendarDate)
+        .withMessage('startDate must be a date (YYYY-MM-DD)'),
+    ...templateFields,
+    handleValidationErrors
+];
+
+/**
+ * PUT /api/delivery/recurring/:id
+ */
+const updateTemplate = [
+    templateId,
+    body('customerName')
+        .optional()
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Customer name cannot be empty')
+        .isLength({ max: 255 })
+        .withMessage('Customer name must be 255 characters or less'),
+    body('address')
+        .optional()
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Address cannot be empty')
+        .isLength({ max: 500 })
+        .withMessage('Address must be 500 characters or less'),
+    body('startDate')
+        .optional()
+        .custom(isCalendarDate)
+        .withMessage('startDate must be a date (YYYY-MM-DD)'),
+    ...templateFields,
+    handleValidationErrors
+];
+
+/**
+ * DELETE /api/delivery/recurring/:id
+ */
+const deleteTemplate = [
+    templateId,
+    handleValidationErrors
+];
+
+/**
+ * POST /api/delivery/recurring/materialize
+ * Create today's (or a given date's) recurring orders now instead of waiting for the job
+ */
+const materialize = [
+    body('date')
+        .optional()
+        .custom(isCalendarDate)
+        .withMessage('date must be a date (YYYY-MM-DD)'),
+    handleValidationErrors
+];
+
+module.exports = {
+    listTemplates,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    materialize
+};
@@ -0,0 +1,22 @@
+/**
+ * Validators for the structured skip reason sent when a delivery stop is
+ * skipped, shared by the merchant route view (routes/delivery/orders.js)
+ * and the public driver page (routes/driver-api.js).
+ */
+
+const { handleValidationErrors, validateOptionalEnum, validateOptionalString } = require('./index');
+const { DELIVERY } = require('../../config/constants');
+
+/**
+ * POST /api/delivery/orders/:id/skip and /api/driver/:token/orders/:orderId/skip
+ * Optional reason (one of DELIVERY.SKIP_REASONS) and free-text note
+ */
+const skipReason = [
+    validateOptionalEnum('reason', DELIVERY.SKIP_REASONS),
+    validateOptionalString('reasonNote', { maxLength: 500 }),
+    handleValidationErrors
+];
+
+module.exports = {
+    skipReason
+};
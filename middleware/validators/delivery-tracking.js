@@ -0,0 +1,52 @@
+/**
+ * Validators for Delivery Tracking routes
+ *
+ * SECURITY NOTE: GET /api/track/:token is PUBLIC (customer-facing).
+ * Token format matches driver share tokens: 64-char hex from crypto.randomBytes(32).
+ */
+
+const { param } = require('express-validator');
+const {
+    handleValidationErrors,
+    validateOptionalPositiveInt
+} = require('./index');
+
+const validateTrackingToken = param('token')
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('Invalid token format');
+
+const validateOrderId = param('id').isUUID().withMessage('Invalid order ID');
+
+/**
+ * POST /api/delivery/orders/:id/tracking
+ * Generate a customer tracking link for an order
+ */
+const createTrackingLink = [
+    validateOrderId,
+    validateOptionalPositiveInt('expiresInHours', { min: 1, max: 168 }), // Max 7 days
+    handleValidationErrors
+];
+
+/**
+ * DELETE /api/delivery/orders/:id/tracking
+ * Revoke an order's tracking link
+ */
+const revokeTrackingLink = [
+    validateOrderId,
+    handleValidationErrors
+];
+
+/**
+ * GET /api/track/:token
+ * PUBLIC: Tracking view for a customer
+ */
+const getTracking = [
+    validateTrackingToken,
+    handleValidationErrors
+];
+
+module.exports = {
+    createTrackingLink,
+    revokeTrackingLink,
+    getTracking
+};
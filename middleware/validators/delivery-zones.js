@@ -0,0 +1,151 @@
+/**
+ * Validators for Delivery Zone routes
+ *
+ * Polygons are arrays of [lat, lng] pairs; radius zones take radiusKm and an
+ * optional center (omitted = the store start address). allowedDays uses
+ * JavaScript day numbers: 0 = Sunday .. 6 = Saturday.
+ */
+
+const { body, param } = require('express-validator');
+const {
+    handleValidationErrors,
+    validateIntId,
+    validateOptionalCurrencyAmount,
+    validateOptionalEnum
+} = require('./index');
+
+const ZONE_TYPES = ['polygon', 'radius'];
+const MAX_POLYGON_POINTS = 200;
+
+const isPolygon = (value) => {
+    if (!Array.isArray(value) || value.length < 3 || value.length > MAX_POLYGON_POINTS) {
+        throw new Error(`polygon must have between 3 and ${MAX_POLYGON_POINTS} points`);
+    }
+    for (const point of value) {
+        const [lat, lng] = Array.isArray(point) ? point.map(Number) : [];
+        if (point.length !== 2 || !(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+            throw new Error('polygon points must be [lat, lng] pairs');
+        }
+    }
+    return true;
+};
+
+const isDayList = (value) => {
+    if (value === null) return true;
+    if (!Array.isArray(value) || !value.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+        throw new Error('allowedDays must be a list of day numbers (0 = Sunday .. 6 = Saturday)');
+    }
+    return true;
+};
+
+/**
+ * Fields shared by create and update. Shape fields are only required when
+ * the zone type that needs them is being set.
+ */
+const zoneFields = [
+    validateOptionalEnum('zoneType', ZONE_TYPES),
+    body('polygon')
+        .if((value, { req }) => req.body.zoneType === 'polygon' || value !== undefined)
+        .custom(isPolygon),
+    body('radiusKm')
+        .if((value, { req }) => req.body.zoneType === 'radius' || value !== undefined)
+        .isFloat({ gt: 0, max: 500 })
+        .withMessage('radiusKm must be greater than 0 and at most 500'),
+    body('centerLat')
+        .optional({ nullable: true })
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('centerLat must be between -90 and 90'),
+    body('centerLng')
+        .optional({ nullable: true })
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('centerLng must be between -180 and 180'),
+    body('centerLat')
+        .custom((value, { req }) => {
+            if ((value == null) !== (req.body.centerLng == null)) {
+                throw new Error('centerLat and centerLng must be set together');
+            }
+            return true;
+        }),
+    validateOptionalCurrencyAmount('feeCents'),
+    validateOptionalCurrencyAmount('minOrderCents'),
+    body('allowedDays')
+        .optional({ nullable: true })
+        .custom(isDayList),
+    body('priority')
+        .optional()
+        .isInt({ min: 0, max: 1000 })
+        .withMessage('priority must be between 0 and 1000'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+];
+
+/**
+ * GET /api/delivery/zones
+ */
+const listZones = [
+    handleValidationErrors
+];
+
+/**
+ * POST /api/delivery/zones
+ */
+const createZone = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('name is required')
+        .isLength({ max: 100 })
+        .withMessage('name cannot exceed 100 characters'),
+    body('zoneType')
+        .isIn(ZONE_TYPES)
+        .withMessage(`zoneType must be one of: ${ZONE_TYPES.join(', ')}`),
+    ...zoneFields,
+    handleValidationErrors
+];
+
+/**
+ * PUT /api/delivery/zones/:id
+ */
+const updateZone = [
+    validateIntId('id'),
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('name cannot be empty')
+        .isLength({ max: 100 })
+        .withMessage('name cannot exceed 100 characters'),
+    ...zoneFields,
+    handleValidationErrors
+];
+
+/**
+ * DELETE /api/delivery/zones/:id
+ */
+const deleteZone = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+/**
+ * POST /api/delivery/orders/:id/zone
+ * Resolve a flagged order: assign a zone (or none) and clear the review flag
+ */
+const resolveOrderZone = [
+    param('id').isUUID().withMessage('Invalid order ID'),
+    body('zoneId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('zoneId must be a positive integer or null'),
+    handleValidationErrors
+];
+
+module.exports = {
+    listZones,
+    createZone,
+    updateZone,
+    deleteZone,
+    resolveOrderZone
+};
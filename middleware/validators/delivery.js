@@ -8,6 +8,11 @@
 const { body, param, query } = require('express-validator');
 const { handleValidationErrors, isValidUUID, sanitizeString } = require('./index');
 
+// The offline stub geocoder is for development and tests only
+const GEOCODING_PROVIDERS = process.env.NODE_ENV === 'production'
+    ? ['ors', 'nominatim']
+    : ['ors', 'nominatim', 'stub'];
+
 // Helper to validate integer in range (handles JSON number types)
 const isIntInRange = (value, fieldName, min, max) => {
     const num = Number(value);
@@ -20,6 +25,38 @@ const isIntInRange = (value, fieldName, min, max) => {
     return true;
 };
 
+// HH:MM time-of-day (24h), shared by delivery windows and route departure
+const TIME_OF_DAY_REGEX = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Delivery window + service duration fields shared by create and update.
+ * Either window bound may be null (open-ended); when both are set the window
+ * must close after it opens.
+ */
+const deliveryWindowFields = [
+    body('windowStart')
+        .optional({ nullable: true })
+        .matches(TIME_OF_DAY_REGEX)
+        .withMessage('Window start must be in HH:MM format'),
+    body('windowEnd')
+        .optional({ nullable: true })
+        .matches(TIME_OF_DAY_REGEX)
+        .withMessage('Window end must be in HH:MM format')
+        .custom((value, { req }) => {
+            const start = req.body.windowStart;
+            if (value && start && TIME_OF_DAY_REGEX.test(start)) {
+                const toMinutes = t => t.split(':').reduce((h, m) => h * 60 + Number(m), 0);
+                if (toMinutes(value) <= toMinutes(start)) {
+                    throw new Error('Window end must be after window start');
+                }
+            }
+            return true;
+        }),
+    body('serviceMinutes')
+        .optional({ nullable: true })
+        .custom((value) => isIntInRange(value, 'serviceMinutes', 0, 240))
+];
+
 /**
  * List orders - validate query parameters
  */
@@ -88,6 +125,7 @@ const createOrder = [
         .isLength({ max: 2000 })
         .withMessage('Notes must be 2000 characters or less')
         .customSanitizer(sanitizeString),
+    ...deliveryWindowFields,
     handleValidationErrors
 ];
 
@@ -131,6 +169,7 @@ const updateOrder = [
         .isLength({ max: 500 })
         .withMessage('Address must be 500 characters or less')
         .customSanitizer(sanitizeString),
+    ...deliveryWindowFields,
     handleValidationErrors
 ];
 
@@ -196,6 +235,22 @@ const updateOrderNotes = [
     handleValidationErrors
 ];
 
+/**
+ * Correct order pin - validate params and body
+ */
+const updateOrderLocation = [
+    param('id')
+        .custom(isValidUUID)
+        .withMessage('Order ID must be a valid UUID'),
+    body('lat')
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90'),
+    body('lng')
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180'),
+    handleValidationErrors
+];
+
 /**
  * Upload POD - validate params and body
  */
@@ -268,6 +323,23 @@ const generateRoute = [
         .optional()
         .isFloat({ min: -180, max: 180 })
         .withMessage('End longitude must be between -180 and 180'),
+    body('departureTime')
+        .optional()
+        .matches(TIME_OF_DAY_REGEX)
+        .withMessage('Departure time must be in HH:MM format'),
+    body('vehicles')
+        .optional()
+        .isArray({ min: 1, max: 10 })
+        .withMessage('Vehicles must be an array of 1 to 10 vehicles'),
+    body('vehicles.*.label')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 100 })
+        .withMessage('Vehicle label must be 100 characters or less')
+        .customSanitizer(sanitizeString),
+    body('vehicles.*.capacity')
+        .optional({ nullable: true })
+        .custom((value) => isIntInRange(value, 'Vehicle capacity', 1, 500)),
     handleValidationErrors
 ];
 
@@ -292,6 +364,17 @@ const getRoute = [
     handleValidationErrors
 ];
 
+const exportRoute = [
+    param('id')
+        .custom(isValidUUID)
+        .withMessage('Route ID must be a valid UUID'),
+    query('format')
+        .optional()
+        .isIn(['gpx', 'kml', 'manifest'])
+        .withMessage('format must be gpx, kml or manifest'),
+    handleValidationErrors
+];
+
 /**
  * Finish route - validate body
  */
@@ -331,7 +414,7 @@ const updateSettings = [
         .customSanitizer(sanitizeString),
     body('sameDayCutoff')
         .optional()
-        .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .matches(TIME_OF_DAY_REGEX)
         .withMessage('Same day cutoff must be in HH:MM format'),
     body('podRetentionDays')
         .optional()
@@ -345,6 +428,10 @@ const updateSettings = [
         .isString()
         .isLength({ max: 255 })
         .withMessage('API key must be 255 characters or less'),
+    body('geocodingProvider')
+        .optional()
+        .isIn(GEOCODING_PROVIDERS)
+        .withMessage(`Geocoding provider must be one of: ${GEOCODING_PROVIDERS.join(', ')}`),
     handleValidationErrors
 ];
 
@@ -404,11 +491,13 @@ module.exports = {
     completeOrder,
     updateCustomerNote,
     updateOrderNotes,
+    updateOrderLocation,
     uploadPod,
     getPod,
     generateRoute,
     getActiveRoute,
     getRoute,
+    exportRoute,
     finishRoute,
     geocode,
     updateSettings,
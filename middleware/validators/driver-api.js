@@ -5,7 +5,7 @@
  * Validation is critical to prevent abuse.
  */
 
-const { body, param } = require('express-validator');
+const { body, param, header } = require('express-validator');
 const {
     handleValidationErrors,
     validateLatitude,
@@ -32,6 +32,21 @@ const validateRouteId = param('id').isUUID().withMessage('Invalid route ID');
  */
 const validateOrderId = param('orderId').isUUID().withMessage('Invalid order ID');
 
+/**
+ * Offline queue headers for driver actions (both optional):
+ * - Idempotency-Key: client-generated UUID, repeated on every replay
+ * - X-Recorded-At: ISO 8601 time the driver took the action
+ */
+const validateIdempotencyKey = header('idempotency-key')
+    .optional()
+    .isUUID()
+    .withMessage('Idempotency-Key must be a UUID');
+
+const validateRecordedAt = header('x-recorded-at')
+    .optional()
+    .isISO8601()
+    .withMessage('X-Recorded-At must be an ISO 8601 timestamp');
+
 // ==================== ROUTE-SPECIFIC VALIDATORS ====================
 
 /**
@@ -78,6 +93,8 @@ const getDriverRoute = [
 const completeOrder = [
     validateDriverToken,
     validateOrderId,
+    validateIdempotencyKey,
+    validateRecordedAt,
     handleValidationErrors
 ];
 
@@ -88,6 +105,8 @@ const completeOrder = [
 const skipOrder = [
     validateDriverToken,
     validateOrderId,
+    validateIdempotencyKey,
+    validateRecordedAt,
     handleValidationErrors
 ];
 
@@ -100,6 +119,8 @@ const uploadPod = [
     validateOrderId,
     validateLatitude('latitude'),
     validateLongitude('longitude'),
+    validateIdempotencyKey,
+    validateRecordedAt,
     handleValidationErrors
 ];
 
@@ -63,6 +63,20 @@ const updateTier = [
         .optional()
         .isBoolean()
         .withMessage('is_active must be a boolean'),
+    // Dynamic pricing floor/ceiling; null falls back to discount_percent
+    body('dynamic_min_percent')
+        .optional({ nullable: true })
+        .custom((value) => isIntInRange(value, 'dynamic_min_percent', 0, 100)),
+    body('dynamic_max_percent')
+        .optional({ nullable: true })
+        .custom((value, { req }) => {
+            isIntInRange(value, 'dynamic_max_percent', 0, 100);
+            const min = req.body.dynamic_min_percent;
+            if (min !== undefined && min !== null && Number(min) > Number(value)) {
+                throw new Error('dynamic_max_percent must be at least dynamic_min_percent');
+            }
+            return true;
+        }),
     handleValidationErrors
 ];
 
@@ -101,6 +115,42 @@ const evaluate = [
     handleValidationErrors
 ];
 
+// Simulated boundaries may be null (no lower / upper bound)
+const isNullableNonNegativeInt = (value, fieldName) => value === null || isNonNegativeInt(value, fieldName);
+
+/**
+ * POST /api/expiry-discounts/simulate
+ */
+const simulate = [
+    body('tiers')
+        .isArray({ min: 1, max: 50 })
+        .withMessage('tiers must be a non-empty array of proposed tier changes'),
+    body('tiers.*.id')
+        .isInt({ min: 1 })
+        .withMessage('tiers[].id must be a tier ID'),
+    body('tiers.*.min_days_to_expiry')
+        .optional()
+        .custom((value) => isNullableNonNegativeInt(value, 'min_days_to_expiry')),
+    body('tiers.*.max_days_to_expiry')
+        .optional()
+        .custom((value) => isNullableNonNegativeInt(value, 'max_days_to_expiry')),
+    body('tiers.*.discount_percent')
+        .optional()
+        .custom((value) => isIntInRange(value, 'discount_percent', 0, 100)),
+    body('tiers.*.is_auto_apply')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('is_auto_apply must be a boolean'),
+    body('tiers.*.priority')
+        .optional()
+        .custom((value) => isIntInRange(value, 'priority', 0, 100)),
+    body('tiers.*.is_active')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('is_active must be a boolean'),
+    handleValidationErrors
+];
+
 /**
  * POST /api/expiry-discounts/apply
  */
@@ -146,6 +196,10 @@ const updateSettings = [
     body()
         .isObject()
         .withMessage('Request body must be an object'),
+    body('pricing_mode')
+        .optional()
+        .isIn(['TIERED', 'DYNAMIC'])
+        .withMessage('pricing_mode must be TIERED or DYNAMIC'),
     handleValidationErrors
 ];
 
@@ -153,6 +207,7 @@ module.exports = {
     updateTier,
     getVariations,
     evaluate,
+    simulate,
     apply,
     run,
     getAuditLog,
@@ -0,0 +1,96 @@
+/**
+ * Validators for Expiry Lot routes
+ */
+
+const { body, query } = require('express-validator');
+const {
+    handleValidationErrors,
+    validateIntId,
+    validateOptionalString
+} = require('./index');
+
+// ==================== ROUTE-SPECIFIC VALIDATORS ====================
+
+// A field a GS1 scan can fill in: required without a scan, checked when sent
+const requiredWithoutScan = (value, { req }) => !req.body.scan || value !== undefined;
+
+/**
+ * GET /api/expiry-lots
+ * List lots (?variation_id=, ?location_id=, ?include_depleted=true)
+ */
+const listLots = [
+    query('variation_id')
+        .optional()
+        .isString()
+        .withMessage('variation_id must be a string'),
+    query('location_id')
+        .optional()
+        .isString()
+        .withMessage('location_id must be a string'),
+    query('include_depleted')
+        .optional()
+        .isBoolean()
+        .withMessage('include_depleted must be true or false'),
+    handleValidationErrors
+];
+
+/**
+ * POST /api/expiry-lots
+ * Enter a lot by hand, or from a GS1 scan (scan fills variation, expiry and lot code)
+ */
+const createLot = [
+    body('scan')
+        .optional()
+        .isString().isLength({ min: 1, max: 200 })
+        .withMessage('scan must be a GS1 element string of at most 200 characters'),
+    body('variation_id')
+        .if(requiredWithoutScan)
+        .isString().notEmpty()
+        .withMessage('variation_id is required'),
+    body('location_id')
+        .isString().notEmpty()
+        .withMessage('location_id is required'),
+    body('quantity')
+        .isInt({ min: 1, max: 99999 })
+        .withMessage('quantity must be a positive integer'),
+    body('expiration_date')
+        .if(requiredWithoutScan)
+        .isISO8601({ strict: true })
+        .withMessage('expiration_date must be a date (YYYY-MM-DD)'),
+    validateOptionalString('lot_code', { maxLength: 100 }),
+    handleValidationErrors
+];
+
+/**
+ * PATCH /api/expiry-lots/:id
+ * Correct a lot's on-hand quantity, expiry date or lot code
+ */
+const updateLot = [
+    validateIntId('id'),
+    body('quantity')
+        .optional()
+        .isInt({ min: 0, max: 99999 })
+        .withMessage('quantity must be a non-negative integer'),
+    body('expiration_date')
+        .optional()
+        .isISO8601({ strict: true })
+        .withMessage('expiration_date must be a date (YYYY-MM-DD)'),
+    validateOptionalString('lot_code', { maxLength: 100 }),
+    handleValidationErrors
+];
+
+/**
+ * DELETE /api/expiry-lots/:id
+ * Delete a lot entered in error
+ */
+const deleteLot = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+module.exports = {
+    listLots,
+    createLot,
+    updateLot,
+    deleteLot
+};
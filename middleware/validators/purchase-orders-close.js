@@ -0,0 +1,23 @@
+/**
+ * Validators for closing partially received purchase orders
+ * (the remainder is cancelled or carried forward as a backorder)
+ */
+
+const { body } = require('express-validator');
+const { handleValidationErrors, validateIntId } = require('./index');
+
+/**
+ * POST /api/purchase-orders/:id/close
+ * Close a PARTIAL PO, cancelling or backordering the unreceived quantity
+ */
+const closePurchaseOrder = [
+    validateIntId('id'),
+    body('remainder')
+        .isIn(['cancel', 'backorder'])
+        .withMessage('remainder must be one of: cancel, backorder'),
+    handleValidationErrors
+];
+
+module.exports = {
+    closePurchaseOrder
+};
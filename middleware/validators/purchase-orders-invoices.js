@@ -0,0 +1,56 @@
+/**
+ * Validators for vendor invoices imported against purchase orders
+ */
+
+const { body } = require('express-validator');
+const {
+    handleValidationErrors,
+    validateIntId,
+    validateOptionalString,
+    validateOptionalDate
+} = require('./index');
+
+/**
+ * GET /api/purchase-orders/:id/invoices
+ * List vendor invoices imported against a PO
+ */
+const listInvoices = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+/**
+ * POST /api/purchase-orders/:id/invoices
+ * Import a vendor invoice (base64 CSV/XLSX, same encoding as vendor catalog import)
+ */
+const uploadInvoice = [
+    validateIntId('id'),
+    body('data')
+        .notEmpty()
+        .withMessage('File data is required'),
+    body('fileType')
+        .optional()
+        .isIn(['csv', 'xlsx'])
+        .withMessage('fileType must be csv or xlsx'),
+    validateOptionalString('fileName', { maxLength: 255 }),
+    validateOptionalString('invoice_number', { maxLength: 100 }),
+    validateOptionalDate('invoice_date'),
+    handleValidationErrors
+];
+
+/**
+ * GET|DELETE /api/purchase-orders/:id/invoices/:invoiceId
+ * POST /api/purchase-orders/:id/invoices/:invoiceId/accept
+ * View match report, discard, or accept invoice costs
+ */
+const invoice = [
+    validateIntId('id'),
+    validateIntId('invoiceId'),
+    handleValidationErrors
+];
+
+module.exports = {
+    listInvoices,
+    uploadInvoice,
+    invoice
+};
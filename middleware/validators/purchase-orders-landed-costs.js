@@ -0,0 +1,72 @@
+/**
+ * Validators for purchase order landed costs (receipt charges)
+ *
+ * All monetary values are in cents to avoid floating point issues.
+ */
+
+const { body } = require('express-validator');
+const { handleValidationErrors, validateIntId, validateOptionalArray } = require('./index');
+
+// Helper to validate positive integer (handles both string and number types from JSON)
+const isPositiveInt = (value, fieldName) => {
+    const num = Number(value);
+    if (!Number.isInteger(num) || num < 1) {
+        throw new Error(`${fieldName} must be a positive integer`);
+    }
+    return true;
+};
+
+// Helper to validate non-negative integer
+const isNonNegativeInt = (value, fieldName) => {
+    const num = Number(value);
+    if (!Number.isInteger(num) || num < 0) {
+        throw new Error(`${fieldName} must be a non-negative integer`);
+    }
+    return true;
+};
+
+/**
+ * GET /api/purchase-orders/:id/landed-costs
+ * Receipt charges and their allocation to the received lines
+ */
+const landedCosts = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+/**
+ * PUT /api/purchase-orders/:id/landed-costs
+ * Replace receipt charges (freight, duty, brokerage) and re-allocate them
+ */
+const setLandedCosts = [
+    validateIntId('id'),
+    body('allocation_method')
+        .isIn(['VALUE', 'QUANTITY', 'WEIGHT'])
+        .withMessage('allocation_method must be one of: VALUE, QUANTITY, WEIGHT'),
+    body('charges')
+        .isArray({ max: 50 })
+        .withMessage('charges must be an array of at most 50 charges'),
+    body('charges.*.charge_type')
+        .isIn(['FREIGHT', 'DUTY', 'BROKERAGE', 'OTHER'])
+        .withMessage('charge_type must be one of: FREIGHT, DUTY, BROKERAGE, OTHER'),
+    body('charges.*.amount_cents')
+        .exists({ checkNull: true }).withMessage('Each charge must have amount_cents')
+        .custom((value) => isNonNegativeInt(value, 'amount_cents')),
+    body('charges.*.description')
+        .optional({ nullable: true })
+        .isString().trim()
+        .isLength({ max: 255 }).withMessage('description must be 255 characters or less'),
+    validateOptionalArray('weights'),
+    body('weights.*.id')
+        .exists({ checkNull: true }).withMessage('Each weight must have an id')
+        .custom((value) => isPositiveInt(value, 'id')),
+    body('weights.*.weight')
+        .isFloat({ min: 0, max: 1000000 })
+        .withMessage('weight must be a non-negative number'),
+    handleValidationErrors
+];
+
+module.exports = {
+    landedCosts,
+    setLandedCosts
+};
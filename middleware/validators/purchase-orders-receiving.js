@@ -0,0 +1,64 @@
+/**
+ * Validators for purchase order barcode receiving sessions
+ */
+
+const { body } = require('express-validator');
+const { handleValidationErrors, validateIntId } = require('./index');
+
+/**
+ * GET|POST|DELETE /api/purchase-orders/:id/receiving-session
+ * POST /api/purchase-orders/:id/receiving-session/commit
+ * View, start / resume, cancel or commit a barcode receiving session
+ */
+const receivingSession = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+/**
+ * POST /api/purchase-orders/:id/receiving-session/scans
+ * Record a barcode scan (quantity > 1 for counted multiples), optionally with
+ * the expiry date and lot code printed on the units, or a GS1 scan carrying all three
+ */
+const recordReceivingScan = [
+    validateIntId('id'),
+    body('scan')
+        .optional()
+        .isString().isLength({ min: 1, max: 200 })
+        .withMessage('scan must be a GS1 element string of at most 200 characters'),
+    body('barcode')
+        .if(body('scan').not().exists())
+        .trim()
+        .matches(/^\d{6,14}$/)
+        .withMessage('barcode must be 6-14 digits'),
+    body('quantity')
+        .optional()
+        .isInt({ min: 1, max: 9999 })
+        .withMessage('quantity must be between 1 and 9999')
+        .toInt(),
+    body('expiration_date')
+        .optional({ nullable: true, checkFalsy: true })
+        .isISO8601({ strict: true })
+        .withMessage('expiration_date must be a date (YYYY-MM-DD)'),
+    body('lot_code')
+        .optional({ nullable: true })
+        .isString().isLength({ max: 100 })
+        .withMessage('lot_code must be at most 100 characters'),
+    handleValidationErrors
+];
+
+/**
+ * DELETE /api/purchase-orders/:id/receiving-session/scans/:scanId
+ * Undo a scan
+ */
+const removeReceivingScan = [
+    validateIntId('id'),
+    validateIntId('scanId'),
+    handleValidationErrors
+];
+
+module.exports = {
+    receivingSession,
+    recordReceivingScan,
+    removeReceivingScan
+};
@@ -1,5 +1,8 @@
 /**
  * Validators for Purchase Order routes
+ * Feature routes have their own modules: purchase-orders-receiving.js (scan
+ * sessions), purchase-orders-invoices.js, purchase-orders-landed-costs.js and
+ * purchase-orders-close.js (close / backorder).
  *
  * SECURITY NOTE: Financial operations - extra validation required.
  * All monetary values are in cents to avoid floating point issues.
@@ -74,8 +77,8 @@ const createPurchaseOrder = [
 const listPurchaseOrders = [
     query('status')
         .optional()
-        .isIn(['DRAFT', 'SUBMITTED', 'PARTIAL', 'RECEIVED', 'CANCELLED'])
-        .withMessage('status must be one of: DRAFT, SUBMITTED, PARTIAL, RECEIVED, CANCELLED'),
+        .isIn(['DRAFT', 'SUBMITTED', 'PARTIAL', 'RECEIVED', 'CLOSED', 'CANCELLED'])
+        .withMessage('status must be one of: DRAFT, SUBMITTED, PARTIAL, RECEIVED, CLOSED, CANCELLED'),
     query('vendor_id')
         .optional()
         .isString()
@@ -122,6 +125,9 @@ const updatePurchaseOrder = [
     body('items.*.unit_cost_cents')
         .optional()
         .custom((value) => isNonNegativeInt(value, 'unit_cost_cents')),
+    body('items.*.backorder_of_item_id')
+        .optional({ values: 'null' })
+        .custom((value) => isPositiveInt(value, 'backorder_of_item_id')),
     handleValidationErrors
 ];
 
@@ -134,9 +140,23 @@ const submitPurchaseOrder = [
     handleValidationErrors
 ];
 
+/**
+ * POST /api/purchase-orders/:id/send
+ * Email the PO (as PDF) to the vendor; submits it first if it's a draft
+ */
+const sendPurchaseOrder = [
+    validateIntId('id'),
+    body('to')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isEmail()
+        .withMessage('to must be a valid email address'),
+    handleValidationErrors
+];
+
 /**
  * POST /api/purchase-orders/:id/receive
- * Record received quantities for PO items
+ * Record received quantities for PO items, optionally split into expiry lots
  */
 const receivePurchaseOrder = [
     validateIntId('id'),
@@ -149,6 +169,20 @@ const receivePurchaseOrder = [
     body('items.*.received_quantity')
         .exists({ checkNull: true }).withMessage('Each item must have received_quantity')
         .custom((value) => isNonNegativeInt(value, 'received_quantity')),
+    body('items.*.lots')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('lots must be an array of at most 50 lots'),
+    body('items.*.lots.*.quantity')
+        .exists({ checkNull: true }).withMessage('Each lot must have a quantity')
+        .custom((value) => isPositiveInt(value, 'quantity')),
+    body('items.*.lots.*.expiration_date')
+        .isISO8601({ strict: true })
+        .withMessage('Each lot must have an expiration_date (YYYY-MM-DD)'),
+    body('items.*.lots.*.lot_code')
+        .optional({ nullable: true })
+        .isString().isLength({ max: 100 })
+        .withMessage('lot_code must be at most 100 characters'),
     handleValidationErrors
 ];
 
@@ -189,6 +223,7 @@ module.exports = {
     getPurchaseOrder,
     updatePurchaseOrder,
     submitPurchaseOrder,
+    sendPurchaseOrder,
     receivePurchaseOrder,
     deletePurchaseOrder,
     exportPurchaseOrderCsv,
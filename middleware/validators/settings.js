@@ -23,6 +23,7 @@ const update = [
     body('reorder_priority_high_days').optional().custom((value) => isNonNegativeInt(value, 'reorder_priority_high_days')),
     body('reorder_priority_medium_days').optional().custom((value) => isNonNegativeInt(value, 'reorder_priority_medium_days')),
     body('reorder_priority_low_days').optional().custom((value) => isNonNegativeInt(value, 'reorder_priority_low_days')),
+    body('reorder_use_observed_lead_time').optional().isBoolean(),
     body('daily_count_target').optional().custom((value) => isNonNegativeInt(value, 'daily_count_target')),
     body('cycle_count_email_enabled').optional().isBoolean(),
     body('cycle_count_report_email').optional().isBoolean(),
@@ -0,0 +1,119 @@
+/**
+ * Validators for Stock Transfer routes
+ */
+
+const { body, query } = require('express-validator');
+const {
+    handleValidationErrors,
+    validateIntId,
+    validateOptionalString
+} = require('./index');
+
+const TRANSFER_STATUSES = ['DRAFT', 'SHIPPED', 'RECEIVED'];
+
+// Line rules shared by create (required) and update (optional replacement)
+const transferLines = (required) => [
+    required
+        ? body('items').isArray({ min: 1 }).withMessage('items must be a non-empty array')
+        : body('items').optional().isArray({ min: 1 }).withMessage('items must be a non-empty array if provided'),
+    body('items.*.variation_id')
+        .isString().notEmpty()
+        .withMessage('Each item must have a variation_id (string)'),
+    body('items.*.quantity')
+        .isInt({ min: 1, max: 99999 })
+        .withMessage('Each item quantity must be a positive integer'),
+    validateOptionalString('items.*.note', { maxLength: 500 })
+];
+
+// ==================== ROUTE-SPECIFIC VALIDATORS ====================
+
+/**
+ * GET /api/stock-transfers
+ * List transfers (?status=, ?location_id= matching either end)
+ */
+const listTransfers = [
+    query('status')
+        .optional()
+        .isIn(TRANSFER_STATUSES)
+        .withMessage(`status must be one of: ${TRANSFER_STATUSES.join(', ')}`),
+    query('location_id')
+        .optional()
+        .isString()
+        .withMessage('location_id must be a string'),
+    handleValidationErrors
+];
+
+/**
+ * GET /api/stock-transfers/:id
+ * Get single transfer with lines
+ */
+const getTransfer = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+/**
+ * POST /api/stock-transfers
+ * Create a DRAFT transfer
+ */
+const createTransfer = [
+    body('from_location_id')
+        .isString().notEmpty()
+        .withMessage('from_location_id is required and must be a string'),
+    body('to_location_id')
+        .isString().notEmpty()
+        .withMessage('to_location_id is required and must be a string')
+        .custom((value, { req }) => value !== req.body.from_location_id)
+        .withMessage('to_location_id must differ from from_location_id'),
+    validateOptionalString('notes', { maxLength: 2000 }),
+    ...transferLines(true),
+    handleValidationErrors
+];
+
+/**
+ * PATCH /api/stock-transfers/:id
+ * Update notes; replace lines while DRAFT
+ */
+const updateTransfer = [
+    validateIntId('id'),
+    validateOptionalString('notes', { maxLength: 2000 }),
+    ...transferLines(false),
+    handleValidationErrors
+];
+
+/**
+ * DELETE /api/stock-transfers/:id
+ * Delete a DRAFT transfer
+ */
+const deleteTransfer = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+/**
+ * POST /api/stock-transfers/:id/ship
+ * Ship a DRAFT transfer (stock goes in transit in Square)
+ */
+const shipTransfer = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+/**
+ * POST /api/stock-transfers/:id/receive
+ * Receive a SHIPPED transfer (stock goes in stock at the destination in Square)
+ */
+const receiveTransfer = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+module.exports = {
+    listTransfers,
+    getTransfer,
+    createTransfer,
+    updateTransfer,
+    deleteTransfer,
+    shipTransfer,
+    receiveTransfer
+};
@@ -248,6 +248,16 @@ const updateVendorSettings = [
         .trim()
         .isLength({ max: 2000 })
         .withMessage('notes cannot exceed 2000 characters'),
+    body('po_email_subject')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('po_email_subject cannot exceed 200 characters'),
+    body('po_email_body')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 5000 })
+        .withMessage('po_email_body cannot exceed 5000 characters'),
     body('addon_cutoff_enabled')
         .optional()
         .isBoolean()
@@ -0,0 +1,149 @@
+/**
+ * Validators for Vendor Return (RMA) routes
+ *
+ * Monetary values are in cents, like purchase orders.
+ */
+
+const { body, query } = require('express-validator');
+const {
+    handleValidationErrors,
+    validateIntId,
+    validateOptionalString,
+    validateOptionalCurrencyAmount
+} = require('./index');
+
+const RETURN_STATUSES = ['DRAFT', 'SENT', 'CREDITED'];
+const RETURN_REASONS = ['DAMAGED', 'EXPIRED', 'SHORT_DATED', 'DEFECTIVE', 'WRONG_ITEM', 'OVERSTOCK', 'RECALL', 'OTHER'];
+
+// Line rules shared by create (required) and update (optional replacement)
+const returnLines = (required) => [
+    required
+        ? body('items').isArray({ min: 1 }).withMessage('items must be a non-empty array')
+        : body('items').optional().isArray({ min: 1 }).withMessage('items must be a non-empty array if provided'),
+    body('items.*.variation_id')
+        .isString().notEmpty()
+        .withMessage('Each item must have a variation_id (string)'),
+    body('items.*.quantity')
+        .isInt({ min: 1, max: 99999 })
+        .withMessage('Each item quantity must be a positive integer'),
+    body('items.*.unit_cost_cents')
+        .optional({ values: 'null' })
+        .isInt({ min: 0 })
+        .withMessage('unit_cost_cents must be a non-negative integer'),
+    body('items.*.reason')
+        .isIn(RETURN_REASONS)
+        .withMessage(`Each item reason must be one of: ${RETURN_REASONS.join(', ')}`),
+    validateOptionalString('items.*.note', { maxLength: 500 })
+];
+
+// ==================== ROUTE-SPECIFIC VALIDATORS ====================
+
+/**
+ * GET /api/vendor-returns
+ * List returns (?status=, ?vendor_id=)
+ */
+const listReturns = [
+    query('status')
+        .optional()
+        .isIn(RETURN_STATUSES)
+        .withMessage(`status must be one of: ${RETURN_STATUSES.join(', ')}`),
+    query('vendor_id')
+        .optional()
+        .isString()
+        .withMessage('vendor_id must be a string'),
+    handleValidationErrors
+];
+
+/**
+ * GET /api/vendor-returns/candidates
+ * Expired stock that could be returned (?vendor_id=, ?location_id=)
+ */
+const returnCandidates = [
+    query('vendor_id').optional().isString().withMessage('vendor_id must be a string'),
+    query('location_id').optional().isString().withMessage('location_id must be a string'),
+    handleValidationErrors
+];
+
+/**
+ * GET /api/vendor-returns/:id
+ * Get single return with lines
+ */
+const getReturn = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+/**
+ * POST /api/vendor-returns
+ * Create a DRAFT return
+ */
+const createReturn = [
+    body('vendor_id')
+        .isString().notEmpty()
+        .withMessage('vendor_id is required and must be a string'),
+    body('location_id')
+        .isString().notEmpty()
+        .withMessage('location_id is required and must be a string'),
+    body('purchase_order_id')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('purchase_order_id must be a positive integer')
+        .toInt(),
+    validateOptionalString('vendor_rma_number', { maxLength: 100 }),
+    validateOptionalString('notes', { maxLength: 2000 }),
+    ...returnLines(true),
+    handleValidationErrors
+];
+
+/**
+ * PATCH /api/vendor-returns/:id
+ * Update RMA number / notes; replace lines while DRAFT
+ */
+const updateReturn = [
+    validateIntId('id'),
+    validateOptionalString('vendor_rma_number', { maxLength: 100 }),
+    validateOptionalString('notes', { maxLength: 2000 }),
+    ...returnLines(false),
+    handleValidationErrors
+];
+
+/**
+ * DELETE /api/vendor-returns/:id
+ * Delete a DRAFT return
+ */
+const deleteReturn = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+/**
+ * POST /api/vendor-returns/:id/ship
+ * Ship a DRAFT return (removes the stock from Square inventory)
+ */
+const shipReturn = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+/**
+ * POST /api/vendor-returns/:id/credit
+ * Record the vendor's credit memo
+ */
+const creditReturn = [
+    validateIntId('id'),
+    validateOptionalCurrencyAmount('credit_amount_cents'),
+    validateOptionalString('credit_memo_number', { maxLength: 100 }),
+    handleValidationErrors
+];
+
+module.exports = {
+    RETURN_REASONS,
+    listReturns,
+    returnCandidates,
+    getReturn,
+    createReturn,
+    updateReturn,
+    deleteReturn,
+    shipReturn,
+    creditReturn
+};
@@ -0,0 +1,101 @@
+/**
+ * Validators for Waste routes
+ */
+
+const { body, query } = require('express-validator');
+const {
+    handleValidationErrors,
+    validateIntId,
+    validateOptionalString
+} = require('./index');
+
+const REASONS = ['EXPIRED', 'DAMAGED', 'RECALLED'];
+
+const dateRange = [
+    query('start_date')
+        .optional()
+        .isISO8601({ strict: true })
+        .withMessage('start_date must be a date (YYYY-MM-DD)'),
+    query('end_date')
+        .optional()
+        .isISO8601({ strict: true })
+        .withMessage('end_date must be a date (YYYY-MM-DD)')
+];
+
+// ==================== ROUTE-SPECIFIC VALIDATORS ====================
+
+/**
+ * GET /api/waste
+ * Waste log (?start_date=, ?end_date=, ?reason=, ?square_status=, ?limit=, ?offset=)
+ */
+const listWaste = [
+    ...dateRange,
+    query('reason')
+        .optional()
+        .isIn(REASONS)
+        .withMessage(`reason must be one of ${REASONS.join(', ')}`),
+    query('square_status')
+        .optional()
+        .isIn(['PENDING', 'POSTED', 'FAILED'])
+        .withMessage('square_status must be PENDING, POSTED or FAILED'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 500 })
+        .withMessage('limit must be between 1 and 500'),
+    query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('offset must be a non-negative integer'),
+    handleValidationErrors
+];
+
+/**
+ * GET /api/waste/shrink-report
+ * Waste vs expiry discount recovery (?group_by=, ?start_date=, ?end_date=)
+ */
+const shrinkReport = [
+    query('group_by')
+        .optional()
+        .isIn(['vendor', 'brand', 'category', 'month'])
+        .withMessage('group_by must be vendor, brand, category or month'),
+    ...dateRange,
+    handleValidationErrors
+];
+
+/**
+ * POST /api/waste
+ * Write off stock at a location
+ */
+const recordWaste = [
+    body('variation_id')
+        .isString().notEmpty()
+        .withMessage('variation_id is required'),
+    body('location_id')
+        .isString().notEmpty()
+        .withMessage('location_id is required'),
+    body('quantity')
+        .isInt({ min: 1, max: 99999 })
+        .withMessage('quantity must be a positive integer'),
+    body('reason')
+        .isIn(REASONS)
+        .withMessage(`reason must be one of ${REASONS.join(', ')}`),
+    validateOptionalString('notes', { maxLength: 500 }),
+    validateOptionalString('recorded_by', { maxLength: 255 }),
+    handleValidationErrors
+];
+
+/**
+ * POST /api/waste/:id/retry
+ * Post a failed waste entry to Square again
+ */
+const retryWaste = [
+    validateIntId('id'),
+    handleValidationErrors
+];
+
+module.exports = {
+    listWaste,
+    shrinkReport,
+    recordWaste,
+    retryWaste
+};
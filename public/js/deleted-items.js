@@ -7,12 +7,13 @@ let allItems = [];
 let filteredItems = [];
 let deletedCount = 0;
 let archivedCount = 0;
+let selectedIds = new Set();
 
 async function loadDeletedItems() {
   const statusFilter = document.getElementById('status-filter').value;
   const ageFilter = document.getElementById('age-filter').value;
   const tbody = document.getElementById('items-body');
-  tbody.innerHTML = '<tr><td colspan="9" class="loading">Loading items...</td></tr>';
+  tbody.innerHTML = '<tr><td colspan="10" class="loading">Loading items...</td></tr>';
 
   try {
     const params = new URLSearchParams();
@@ -25,6 +26,8 @@ async function loadDeletedItems() {
     const data = await response.json();
 
     allItems = data.deleted_items || [];
+    selectedIds = new Set();
+    updateSelection();
     deletedCount = data.deleted_count || 0;
     archivedCount = data.archived_count || 0;
 
@@ -45,7 +48,7 @@ async function loadDeletedItems() {
 
   } catch (error) {
     console.error('Failed to load items:', error);
-    tbody.innerHTML = `<tr><td colspan="9" class="loading">Error: ${escapeHtml(error.message)}</td></tr>`;
+    tbody.innerHTML = `<tr><td colspan="10" class="loading">Error: ${escapeHtml(error.message)}</td></tr>`;
   }
 }
 
@@ -61,7 +64,7 @@ function filterItems() {
   if (filteredItems.length === 0) {
     tbody.innerHTML = `
       <tr>
-        <td colspan="9" class="empty-state">
+        <td colspan="10" class="empty-state">
           <h3>No Items Found</h3>
           <p>No items match your criteria. Try adjusting the filters.</p>
         </td>
@@ -125,8 +128,14 @@ function renderTable() {
       ? `${escapeHtml(item.currency || 'CAD')} ${formatCurrency(item.price_money)}`
       : '-';
 
+    // Only deleted items can be restored; archived ones still exist in Square
+    const checkbox = item.status === 'deleted'
+      ? `<input type="checkbox" class="restore-select" data-change="toggleSelect" data-action-param="${escapeAttr(item.id)}" ${selectedIds.has(item.id) ? 'checked' : ''}>`
+      : '';
+
     return `
       <tr>
+        <td>${checkbox}</td>
         <td>${imageHtml}</td>
         <td>
           <div class="product-name">${escapeHtml(item.item_name)}</div>
@@ -150,6 +159,103 @@ function updateFooter() {
   document.getElementById('archived-count').textContent = filteredItems.filter(i => i.status === 'archived').length;
 }
 
+function toggleSelect(element, event, id) {
+  if (element.checked) selectedIds.add(id);
+  else selectedIds.delete(id);
+  updateSelection();
+}
+
+function toggleSelectAll(element) {
+  selectedIds = new Set(element.checked
+    ? filteredItems.filter(item => item.status === 'deleted').map(item => item.id)
+    : []);
+  renderTable();
+  updateSelection();
+}
+
+function updateSelection() {
+  document.getElementById('selected-count').textContent = selectedIds.size;
+  document.getElementById('restore-btn').disabled = selectedIds.size === 0;
+}
+
+function renderRestorePreview(items) {
+  return items.map(item => {
+    const mode = item.mode === 'item' ? 'recreate item' : 'add variations to existing item';
+    const warnings = item.warnings.map(w => `<div class="restore-warning">⚠️ ${escapeHtml(w)}</div>`).join('');
+    const variations = item.variations.map(v => {
+      if (v.conflict) {
+        return `<li class="restore-conflict">${escapeHtml(v.name || v.sku || v.id)}: skipped, ${escapeHtml(v.conflict)}</li>`;
+      }
+      const vendors = v.vendors.map(ve => escapeHtml(ve.vendor_name) + (ve.relinked ? '' : ' (inactive, not re-linked)')).join(', ');
+      const history = v.history
+        ? `${v.history.velocity_rows} velocity, ${v.history.count_rows} count, ${v.history.po_lines} PO line(s), ${v.history.loyalty_offers} loyalty offer(s)`
+        : 'none';
+      return `<li>${escapeHtml(v.name || 'Regular')} ${v.sku ? `(${escapeHtml(v.sku)})` : ''}
+        — vendors: ${vendors || 'none'}; images: ${v.images}${v.missing_images ? ` (${v.missing_images} missing)` : ''};
+        location alerts: ${v.location_overrides}; history: ${history}</li>`;
+    }).join('');
+    return `
+      <div class="restore-item">
+        <h4>${escapeHtml(item.item_name)} <span class="restore-mode">${mode}</span></h4>
+        ${warnings}
+        <ul>${variations}</ul>
+      </div>
+    `;
+  }).join('');
+}
+
+async function previewRestore() {
+  const body = document.getElementById('restore-body');
+  const confirmBtn = document.getElementById('restore-confirm-btn');
+  body.innerHTML = '<p class="loading">Checking Square for images, taxes, vendors and locations...</p>';
+  confirmBtn.disabled = true;
+  document.getElementById('restore-modal').classList.add('active');
+
+  try {
+    const response = await fetch('/api/deleted-items/restore/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ variation_ids: [...selectedIds] })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Preview failed');
+
+    body.innerHTML = renderRestorePreview(data.items);
+    confirmBtn.disabled = !data.items.some(item => item.restorable);
+  } catch (error) {
+    body.innerHTML = `<p class="restore-conflict">Error: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function closeRestoreModal() {
+  document.getElementById('restore-modal').classList.remove('active');
+}
+
+async function confirmRestore() {
+  const confirmBtn = document.getElementById('restore-confirm-btn');
+  confirmBtn.disabled = true;
+  confirmBtn.textContent = 'Restoring...';
+
+  try {
+    const response = await fetch('/api/deleted-items/restore', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ variation_ids: [...selectedIds] })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Restore failed');
+
+    const failures = data.failed.map(f => `${f.item_name}: ${f.error}`).join('\n');
+    alert(`Restored ${data.restored.length} item(s).` + (failures ? `\n\nFailed:\n${failures}` : ''));
+    closeRestoreModal();
+    loadDeletedItems();
+  } catch (error) {
+    alert('Restore failed: ' + error.message);
+  } finally {
+    confirmBtn.textContent = 'Restore in Square';
+  }
+}
+
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
   loadDeletedItems();
@@ -169,3 +275,8 @@ document.addEventListener('error', function(event) {
 // Expose functions to global scope for event delegation
 window.loadDeletedItems = loadDeletedItems;
 window.filterItems = filterItems;
+window.toggleSelect = toggleSelect;
+window.toggleSelectAll = toggleSelectAll;
+window.previewRestore = previewRestore;
+window.closeRestoreModal = closeRestoreModal;
+window.confirmRestore = confirmRestore;
@@ -0,0 +1,156 @@
+/**
+ * Delivery Analytics page JavaScript
+ * Weekly per-driver route performance, skip reasons and repeat failed addresses.
+ */
+
+const SKIP_REASON_LABELS = {
+  not_home: 'Not home',
+  no_access: 'No access',
+  refused: 'Refused',
+  bad_address: 'Bad address',
+  out_of_time: 'Out of time',
+  vehicle_issue: 'Vehicle issue',
+  other: 'Other',
+  unspecified: 'No reason given'
+};
+
+function showMessage(text, type) {
+  const messageEl = document.getElementById('message');
+  messageEl.innerHTML = `<div class="alert ${escapeHtml(type)}">${escapeHtml(text)}</div>`;
+  setTimeout(() => { messageEl.innerHTML = ''; }, 5000);
+}
+
+// 'YYYY-MM-DD' → 'Oct 20' without timezone shifts
+function formatDateKey(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+function formatPercent(rate) {
+  return rate === null ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+function formatMinutes(minutes) {
+  if (minutes === null) return '—';
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function formatReasons(reasons) {
+  return Object.entries(reasons)
+    .sort((a, b) => b[1] - a[1])
+    .map(([reason, count]) => `${escapeHtml(SKIP_REASON_LABELS[reason] || reason)} ×${count}`)
+    .join(', ');
+}
+
+function metricCells(m) {
+  return `
+    <td class="num">${m.routes}</td>
+    <td class="num">${m.completed}</td>
+    <td class="num">${m.skipped} <span class="text-muted">(${formatPercent(m.skipRate)})</span></td>
+    <td class="num">${formatPercent(m.onTimeRate)}</td>
+    <td class="num">${formatMinutes(m.estimatedMinutes)}</td>
+    <td class="num">${formatMinutes(m.actualMinutes)}</td>
+    <td class="num">${m.stopsPerHour === null ? '—' : m.stopsPerHour}</td>
+    <td class="td-notes">${formatReasons(m.skipReasons)}</td>
+  `;
+}
+
+const METRIC_HEADERS = `
+  <th class="num">Routes</th><th class="num">Delivered</th><th class="num">Skipped</th><th class="num">On Time</th>
+  <th class="num">Estimated</th><th class="num">Actual</th><th class="num">Stops/hr</th><th>Skip Reasons</th>
+`;
+
+function renderTotals(totals) {
+  const stats = [
+    ['Routes', totals.routes],
+    ['Delivered', totals.completed],
+    ['Skip rate', formatPercent(totals.skipRate)],
+    ['On time', formatPercent(totals.onTimeRate)],
+    ['Estimated vs actual', `${formatMinutes(totals.estimatedMinutes)} / ${formatMinutes(totals.actualMinutes)}`],
+    ['Stops per hour', totals.stopsPerHour === null ? '—' : totals.stopsPerHour]
+  ];
+  const container = document.getElementById('analyticsTotals');
+  container.classList.remove('loading');
+  container.innerHTML = `
+    <div class="stats-grid">
+      ${stats.map(([label, value]) => `
+        <div class="stat-card"><div class="stat-value">${escapeHtml(String(value))}</div><div class="stat-label">${label}</div></div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function renderDrivers(drivers) {
+  const container = document.getElementById('analyticsDrivers');
+  if (drivers.length === 0) {
+    container.innerHTML = '<div class="alert info">No routes in this period.</div>';
+    return;
+  }
+  container.innerHTML = `
+    <table class="data-table">
+      <thead><tr><th>Driver</th>${METRIC_HEADERS}</tr></thead>
+      <tbody>
+        ${drivers.map(d => `<tr><td>${escapeHtml(d.driver)}</td>${metricCells(d)}</tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderWeeks(weeks) {
+  const rows = weeks.slice().reverse().filter(w => w.drivers.length > 0).map(week => `
+    <tr class="group-row"><td colspan="9">Week of ${escapeHtml(formatDateKey(week.weekStart))}</td></tr>
+    ${week.drivers.map(d => `<tr><td>${escapeHtml(d.driver)}</td>${metricCells(d)}</tr>`).join('')}
+  `).join('');
+
+  document.getElementById('analyticsWeeksTable').innerHTML = rows
+    ? `<table class="data-table"><thead><tr><th>Driver</th>${METRIC_HEADERS}</tr></thead><tbody>${rows}</tbody></table>`
+    : '';
+}
+
+function renderFailures(addresses) {
+  const container = document.getElementById('analyticsFailures');
+  if (addresses.length === 0) {
+    container.innerHTML = '<div class="alert info">No address was skipped more than once.</div>';
+    return;
+  }
+  container.innerHTML = `
+    <table class="data-table">
+      <thead><tr><th>Address</th><th class="num">Skips</th><th>Reasons</th><th>Last Skipped</th></tr></thead>
+      <tbody>
+        ${addresses.map(a => `
+          <tr>
+            <td>${escapeHtml(a.address)}</td>
+            <td class="num">${a.failures}</td>
+            <td class="td-notes">${formatReasons(a.reasons)}</td>
+            <td>${escapeHtml(formatDate(a.lastFailedAt))}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function loadAnalytics() {
+  const weeks = document.getElementById('analyticsWeeks').value;
+  try {
+    const response = await fetch(`/api/delivery/analytics?weeks=${encodeURIComponent(weeks)}`);
+    if (!response.ok) throw new Error('Failed to load delivery analytics');
+
+    const { analytics } = await response.json();
+    document.getElementById('analyticsRange').textContent =
+      `${formatDateKey(analytics.from)} – ${formatDateKey(analytics.to)}`;
+    renderTotals(analytics.totals);
+    renderDrivers(analytics.drivers);
+    renderWeeks(analytics.weeks);
+    renderFailures(analytics.repeatFailedAddresses);
+  } catch (error) {
+    console.error('Error loading delivery analytics:', error);
+    showMessage('Failed to load delivery analytics: ' + error.message, 'error');
+  }
+}
+
+loadAnalytics();
+
+// Expose functions to global scope for event delegation
+window.loadAnalytics = loadAnalytics;
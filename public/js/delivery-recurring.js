@@ -0,0 +1,197 @@
+/**
+ * Recurring Deliveries page JavaScript
+ * List, add, pause, skip and delete recurring delivery templates.
+ */
+
+const RECURRING_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+let templates = [];
+
+function showMessage(text, type) {
+  const messageEl = document.getElementById('message');
+  messageEl.innerHTML = `<div class="alert ${escapeHtml(type)}">${escapeHtml(text)}</div>`;
+  setTimeout(() => { messageEl.innerHTML = ''; }, 5000);
+}
+
+async function loadTemplates() {
+  try {
+    const response = await fetch('/api/delivery/recurring');
+    if (!response.ok) throw new Error('Failed to load recurring deliveries');
+
+    const data = await response.json();
+    templates = data.templates || [];
+    renderTemplates();
+  } catch (error) {
+    console.error('Error loading recurring deliveries:', error);
+    showMessage('Failed to load recurring deliveries: ' + error.message, 'error');
+  }
+}
+
+// 'YYYY-MM-DD' → 'Tue, Oct 20' without timezone shifts
+function formatDateKey(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function describeSchedule(template) {
+  const [y, m, d] = template.start_date.split('-').map(Number);
+  const day = RECURRING_DAY_NAMES[new Date(y, m - 1, d).getDay()];
+  const every = template.interval_weeks === 1 ? 'Every' : `Every ${template.interval_weeks} weeks on`;
+  const until = template.end_date ? ` until ${formatDateKey(template.end_date)}` : '';
+  return `${every} ${day}${until}`;
+}
+
+function renderTemplates() {
+  const container = document.getElementById('recurringList');
+  container.classList.remove('loading');
+
+  if (templates.length === 0) {
+    container.innerHTML = '<div class="alert info">No recurring deliveries yet.</div>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr><th>Customer</th><th>Schedule</th><th>Next</th><th>Items</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${templates.map(t => `
+          <tr class="${t.is_active ? '' : 'row-muted'}">
+            <td>
+              ${escapeHtml(t.customer_name)}${t.is_active ? '' : ' (paused)'}
+              <div class="cell-sub">${escapeHtml(t.address)}</div>
+            </td>
+            <td>${escapeHtml(describeSchedule(t))}${t.create_square_order ? '<br><small>+ Square order</small>' : ''}</td>
+            <td>${t.next_dates.length ? t.next_dates.map(d => escapeHtml(formatDateKey(d))).join('<br>') : '—'}</td>
+            <td>${(t.line_items || []).map(item => `${escapeHtml(item.quantity)} x ${escapeHtml(item.name)}`).join('<br>') || '—'}</td>
+            <td>
+              ${t.next_dates.length ? `<button type="button" class="btn btn-secondary" data-action="skipNext" data-action-param="${escapeHtml(t.id)}">Skip ${escapeHtml(formatDateKey(t.next_dates[0]))}</button><br>` : ''}
+              <button type="button" class="btn btn-secondary" data-action="toggleTemplate" data-action-param="${escapeHtml(t.id)}">${t.is_active ? 'Pause' : 'Resume'}</button>
+              <button type="button" class="btn btn-danger" data-action="deleteTemplate" data-action-param="${escapeHtml(t.id)}">Delete</button>
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// "2 x Dog Food @ 24.99" → { quantity: 2, name: 'Dog Food', priceCents: 2499 }
+function parseItemLine(line) {
+  const match = /^\s*(\d+)\s*x\s*(.+?)\s*(?:@\s*\$?(\d+(?:\.\d{1,2})?))?\s*$/i.exec(line);
+  if (!match) return null;
+  const item = { quantity: parseInt(match[1], 10), name: match[2] };
+  if (match[3]) item.priceCents = Math.round(parseFloat(match[3]) * 100);
+  return item;
+}
+
+function readTemplateForm() {
+  const value = id => document.getElementById(id).value.trim();
+  const template = {
+    customerName: value('recurringCustomer'),
+    address: value('recurringAddress'),
+    startDate: value('recurringStart'),
+    intervalWeeks: parseInt(value('recurringInterval'), 10),
+    createSquareOrder: document.getElementById('recurringSquareOrder').checked
+  };
+
+  if (!template.customerName) throw new Error('Enter the customer name');
+  if (!template.address) throw new Error('Enter the delivery address');
+  if (!template.startDate) throw new Error('Pick the first delivery date');
+
+  if (value('recurringPhone')) template.phone = value('recurringPhone');
+  if (value('recurringNotes')) template.notes = value('recurringNotes');
+  if (value('recurringEnd')) template.endDate = value('recurringEnd');
+  if (value('recurringWindowStart')) template.windowStart = value('recurringWindowStart');
+  if (value('recurringWindowEnd')) template.windowEnd = value('recurringWindowEnd');
+
+  const lines = document.getElementById('recurringItems').value.split('\n').filter(l => l.trim());
+  template.lineItems = lines.map(parseItemLine);
+  if (template.lineItems.some(item => !item)) throw new Error('Each item line must look like "2 x Item name"');
+
+  return template;
+}
+
+async function sendTemplateRequest(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+async function addRecurring() {
+  try {
+    await sendTemplateRequest('/api/delivery/recurring', 'POST', readTemplateForm());
+    ['recurringCustomer', 'recurringPhone', 'recurringAddress', 'recurringItems', 'recurringNotes'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    showMessage('Recurring delivery added', 'success');
+    loadTemplates();
+  } catch (error) {
+    showMessage('Failed to add recurring delivery: ' + error.message, 'error');
+  }
+}
+
+async function skipNext(element, event, templateId) {
+  const template = templates.find(t => t.id === templateId);
+  if (!template || !template.next_dates.length) return;
+
+  try {
+    await sendTemplateRequest(`/api/delivery/recurring/${template.id}`, 'PUT', {
+      skipDates: [...template.skip_dates, template.next_dates[0]]
+    });
+    showMessage(`Skipping ${formatDateKey(template.next_dates[0])}`, 'success');
+    loadTemplates();
+  } catch (error) {
+    showMessage('Failed to skip delivery: ' + error.message, 'error');
+  }
+}
+
+async function toggleTemplate(element, event, templateId) {
+  const template = templates.find(t => t.id === templateId);
+  if (!template) return;
+
+  try {
+    await sendTemplateRequest(`/api/delivery/recurring/${template.id}`, 'PUT', { isActive: !template.is_active });
+    loadTemplates();
+  } catch (error) {
+    showMessage('Failed to update recurring delivery: ' + error.message, 'error');
+  }
+}
+
+async function deleteTemplate(element, event, templateId) {
+  if (!confirm('Delete this recurring delivery? Orders already created from it are kept.')) return;
+
+  try {
+    await sendTemplateRequest(`/api/delivery/recurring/${templateId}`, 'DELETE');
+    showMessage('Recurring delivery deleted', 'success');
+    loadTemplates();
+  } catch (error) {
+    showMessage('Failed to delete recurring delivery: ' + error.message, 'error');
+  }
+}
+
+async function materializeToday() {
+  try {
+    const data = await sendTemplateRequest('/api/delivery/recurring/materialize', 'POST', {});
+    const failed = data.failed ? `, ${data.failed} failed (see logs)` : '';
+    showMessage(`${data.created} deliveries added for ${formatDateKey(data.date)}${failed}`, data.failed ? 'error' : 'success');
+    loadTemplates();
+  } catch (error) {
+    showMessage('Failed to add deliveries: ' + error.message, 'error');
+  }
+}
+
+loadTemplates();
+
+// Expose functions to global scope for event delegation
+window.addRecurring = addRecurring;
+window.skipNext = skipNext;
+window.toggleTemplate = toggleTemplate;
+window.deleteTemplate = deleteTemplate;
+window.materializeToday = materializeToday;
@@ -16,7 +16,11 @@ let refreshInterval = null;
 
 async function loadRoute() {
   try {
-    const response = await fetch('/api/delivery/route/active');
+    // Multi-driver days link each driver's route by ID from the scheduler
+    const routeId = new URLSearchParams(window.location.search).get('routeId');
+    const response = await fetch(routeId
+      ? `/api/delivery/route/${encodeURIComponent(routeId)}`
+      : '/api/delivery/route/active');
 
     // Handle auth/session errors
     if (response.status === 401 || response.status === 403) {
@@ -34,7 +38,8 @@ async function loadRoute() {
     }
 
     route = data.route;
-    stops = data.orders || [];
+    // GET /route/:id nests orders in the route; /route/active returns them alongside
+    stops = data.orders || data.route.orders || [];
 
     // Debug: Log order data to help diagnose rendering issues
     console.log('Route loaded:', route?.id);
@@ -140,6 +145,15 @@ function renderRoute() {
             </a>
           ` : ''}
 
+          ${stop.window_start || stop.window_end || stop.planned_arrival ? `
+            <div class="stop-window" style="${stop.window_missed ? 'color: #dc2626;' : ''}">
+              <span class="icon">&#128336;</span>
+              ${stop.window_start || stop.window_end ? `Window ${escapeHtml(formatWindow(stop))}` : ''}
+              ${stop.planned_arrival ? ` &middot; ETA ${formatTime(stop.planned_arrival)}` : ''}
+              ${stop.window_missed ? ' &middot; <strong>Cannot make window</strong>' : ''}
+            </div>
+          ` : ''}
+
           ${stop.customer_note ? `
             <div class="stop-customer-notes">
               <button class="edit-btn" data-action="editCustomerNote" data-action-param="${escapeHtml(stop.id)}" data-note="${escapeHtml(stop.customer_note || '')}">Edit</button>
@@ -530,6 +544,14 @@ function formatTime(timestamp) {
   return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
+// Delivery window as "HH:MM–HH:MM" (either bound may be open-ended)
+function formatWindow(order) {
+  const trim = t => (t ? String(t).slice(0, 5) : '');
+  if (order.window_start && order.window_end) return `${trim(order.window_start)}–${trim(order.window_end)}`;
+  if (order.window_start) return `after ${trim(order.window_start)}`;
+  return `by ${trim(order.window_end)}`;
+}
+
 // Render line items with error handling for each item
 function renderLineItems(lineItems, orderId) {
   // Debug: log what we're rendering
@@ -23,6 +23,10 @@ async function loadSettings() {
     document.getElementById('autoIngestReadyOrders').checked = currentSettings.auto_ingest_ready_orders !== false;
     document.getElementById('podRetentionDays').value = currentSettings.pod_retention_days || 180;
     document.getElementById('openrouteserviceApiKey').value = ''; // Don't show existing key
+    const providerSelect = document.getElementById('geocodingProvider');
+    providerSelect.value = currentSettings.geocoding_provider || 'ors';
+    // The offline stub can only be set through the API in development; show ORS instead
+    if (!providerSelect.value) providerSelect.value = 'ors';
 
     // Show geocode status
     updateGeocodeStatus('startAddress', currentSettings.start_address_lat, currentSettings.start_address_lng);
@@ -67,6 +71,7 @@ async function saveSettings(e) {
       sameDayCutoff: document.getElementById('sameDayCutoff').value,
       autoIngestReadyOrders: document.getElementById('autoIngestReadyOrders').checked,
       podRetentionDays: parseInt(document.getElementById('podRetentionDays').value),
+      geocodingProvider: document.getElementById('geocodingProvider').value,
     };
 
     // Only include API key if a new one was entered
@@ -0,0 +1,178 @@
+/**
+ * Delivery Zones (settings page)
+ * List, add, enable/disable and delete delivery zones.
+ * Uses showMessage() from delivery-settings.js.
+ */
+
+const ZONE_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+let zones = [];
+
+async function loadZones() {
+  try {
+    const response = await fetch('/api/delivery/zones');
+    if (!response.ok) throw new Error('Failed to load zones');
+
+    const data = await response.json();
+    zones = data.zones || [];
+    renderZones();
+    document.getElementById('zonesSection').style.display = 'block';
+  } catch (error) {
+    console.error('Error loading zones:', error);
+    showMessage('Failed to load delivery zones: ' + error.message, 'error');
+  }
+}
+
+function describeZoneShape(zone) {
+  if (zone.zone_type === 'polygon') {
+    return `Polygon (${(zone.polygon || []).length} corners)`;
+  }
+  const center = zone.center_lat != null ? 'custom center' : 'start address';
+  return `${parseFloat(zone.radius_km)} km from ${center}`;
+}
+
+function renderZones() {
+  const container = document.getElementById('zoneList');
+
+  if (zones.length === 0) {
+    container.innerHTML = '<div class="alert info">No zones yet. Without zones, every imported order is accepted.</div>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="zone-table">
+      <thead>
+        <tr><th>Zone</th><th>Area</th><th>Fee</th><th>Minimum</th><th>Days</th><th>Priority</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${zones.map(zone => `
+          <tr class="${zone.is_active ? '' : 'zone-inactive'}">
+            <td>${escapeHtml(zone.name)}${zone.is_active ? '' : ' (off)'}</td>
+            <td>${escapeHtml(describeZoneShape(zone))}</td>
+            <td>$${escapeHtml((zone.fee_cents / 100).toFixed(2))}</td>
+            <td>$${escapeHtml((zone.min_order_cents / 100).toFixed(2))}</td>
+            <td>${zone.allowed_days && zone.allowed_days.length ? escapeHtml(zone.allowed_days.map(d => ZONE_DAY_NAMES[d]).join(', ')) : 'Every day'}</td>
+            <td>${escapeHtml(zone.priority)}</td>
+            <td>
+              <button type="button" class="btn btn-secondary" data-action="toggleZone" data-action-param="${escapeHtml(zone.id)}">${zone.is_active ? 'Disable' : 'Enable'}</button>
+              <button type="button" class="btn btn-danger" data-action="deleteZone" data-action-param="${escapeHtml(zone.id)}">Delete</button>
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function toggleZoneShape() {
+  const isPolygon = document.getElementById('zoneType').value === 'polygon';
+  document.getElementById('zonePolygonFields').style.display = isPolygon ? 'block' : 'none';
+  document.getElementById('zoneRadiusFields').style.display = isPolygon ? 'none' : 'grid';
+}
+
+// "lat, lng" text → [lat, lng]; null when it isn't a coordinate pair
+function parseLatLng(text) {
+  const parts = text.split(',').map(p => parseFloat(p.trim()));
+  return parts.length === 2 && parts.every(Number.isFinite) ? parts : null;
+}
+
+function readZoneForm() {
+  const zone = {
+    name: document.getElementById('zoneName').value.trim(),
+    zoneType: document.getElementById('zoneType').value,
+    feeCents: Math.round(parseFloat(document.getElementById('zoneFee').value || '0') * 100),
+    minOrderCents: Math.round(parseFloat(document.getElementById('zoneMinOrder').value || '0') * 100),
+    allowedDays: Array.from(document.querySelectorAll('#zoneDays input:checked')).map(el => parseInt(el.value, 10)),
+    priority: parseInt(document.getElementById('zonePriority').value || '0', 10)
+  };
+
+  if (!zone.name) throw new Error('Give the zone a name');
+
+  if (zone.zoneType === 'polygon') {
+    const lines = document.getElementById('zonePolygon').value.split('\n').filter(l => l.trim());
+    zone.polygon = lines.map(parseLatLng);
+    if (zone.polygon.some(p => !p)) throw new Error('Each polygon line must be "lat, lng"');
+    if (zone.polygon.length < 3) throw new Error('A polygon needs at least 3 corners');
+  } else {
+    zone.radiusKm = parseFloat(document.getElementById('zoneRadiusKm').value);
+    const centerText = document.getElementById('zoneCenter').value.trim();
+    if (centerText) {
+      const center = parseLatLng(centerText);
+      if (!center) throw new Error('Center must be "lat, lng"');
+      [zone.centerLat, zone.centerLng] = center;
+    }
+  }
+
+  return zone;
+}
+
+async function addZone() {
+  try {
+    const zone = readZoneForm();
+    const response = await fetch('/api/delivery/zones', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(zone)
+    });
+
+    if (!response.ok) {
+      const err = await response.json();
+      throw new Error(err.error || 'Failed to add zone');
+    }
+
+    document.getElementById('zoneName').value = '';
+    document.getElementById('zonePolygon').value = '';
+    showMessage('Zone added', 'success');
+    loadZones();
+  } catch (error) {
+    showMessage('Failed to add zone: ' + error.message, 'error');
+  }
+}
+
+async function toggleZone(element, event, zoneId) {
+  const zone = zones.find(z => String(z.id) === String(zoneId));
+  if (!zone) return;
+
+  try {
+    const response = await fetch(`/api/delivery/zones/${zone.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ isActive: !zone.is_active })
+    });
+
+    if (!response.ok) {
+      const err = await response.json();
+      throw new Error(err.error || 'Failed to update zone');
+    }
+
+    loadZones();
+  } catch (error) {
+    showMessage('Failed to update zone: ' + error.message, 'error');
+  }
+}
+
+async function deleteZone(element, event, zoneId) {
+  if (!confirm('Delete this zone? Orders already assigned to it keep their fee.')) return;
+
+  try {
+    const response = await fetch(`/api/delivery/zones/${zoneId}`, { method: 'DELETE' });
+
+    if (!response.ok) {
+      const err = await response.json();
+      throw new Error(err.error || 'Failed to delete zone');
+    }
+
+    showMessage('Zone deleted', 'success');
+    loadZones();
+  } catch (error) {
+    showMessage('Failed to delete zone: ' + error.message, 'error');
+  }
+}
+
+loadZones();
+
+// Expose functions to global scope for event delegation
+window.toggleZoneShape = toggleZoneShape;
+window.addZone = addZone;
+window.toggleZone = toggleZone;
+window.deleteZone = deleteZone;
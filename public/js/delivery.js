@@ -5,7 +5,7 @@
 
 // State
 let orders = { pending: [], active: [], completed: [] };
-let activeRoute = null;
+let activeRoutes = [];
 let pollInterval = null;
 let excludedOrderIds = new Set();
 const POLL_INTERVAL_MS = 60000;
@@ -83,11 +83,10 @@ async function loadOrders() {
     // Check for active route
     const routeRes = await fetch('/api/delivery/route/active');
     const routeData = await routeRes.json();
-    if (routeData.route) {
-      activeRoute = routeData.route;
-      showRouteBanner(activeRoute);
+    activeRoutes = routeData.routes || (routeData.route ? [routeData.route] : []);
+    if (activeRoutes.length > 0) {
+      showRouteBanner(activeRoutes);
     } else {
-      activeRoute = null;
       document.getElementById('routeBanner').classList.remove('active');
     }
   } catch (error) {
@@ -143,6 +142,10 @@ function renderOrderList(containerId, orderList, type) {
           ${order.square_order_state === 'DRAFT' ? '<span class="badge-draft" title="Order is still in DRAFT state">Draft</span>' : ''}
           ${!order.geocoded_at ? '<span style="color: #f59e0b;">Needs Geocoding</span>' : ''}
           ${order.route_position ? `<span>Stop #${order.route_position}</span>` : ''}
+          ${order.window_start || order.window_end ? `<span>Window: ${escapeHtml(formatWindow(order))}</span>` : ''}
+          ${order.window_missed ? '<span style="color: #dc2626;" title="The optimizer could not fit this stop inside its delivery window">Window at risk</span>' : ''}
+          ${order.zone_name ? `<span>Zone: ${escapeHtml(order.zone_name)}${order.delivery_fee_cents ? ` (${escapeHtml(formatCents(order.delivery_fee_cents))})` : ''}</span>` : ''}
+          ${order.needs_review ? `<span class="badge-review" title="Check this order before routing it">Review: ${escapeHtml(ZONE_REVIEW_LABELS[order.review_reason] || order.review_reason)}</span>` : ''}
         </div>
         ${order.notes ? `<div class="order-notes">${escapeHtml(order.notes)}</div>` : ''}
       </div>
@@ -157,6 +160,26 @@ function renderOrderList(containerId, orderList, type) {
   }
 }
 
+// Why zone assignment flagged an order (delivery_orders.review_reason)
+const ZONE_REVIEW_LABELS = {
+  outside_zones: 'outside delivery zones',
+  not_geocoded: 'address not located',
+  below_minimum: 'below zone minimum',
+  day_not_allowed: 'zone not served that day'
+};
+
+function formatCents(cents) {
+  return '$' + (cents / 100).toFixed(2);
+}
+
+// Delivery window as "HH:MM–HH:MM" (either bound may be open-ended)
+function formatWindow(order) {
+  const trim = t => (t ? String(t).slice(0, 5) : '');
+  if (order.window_start && order.window_end) return `${trim(order.window_start)}–${trim(order.window_end)}`;
+  if (order.window_start) return `after ${trim(order.window_start)}`;
+  return `by ${trim(order.window_end)}`;
+}
+
 function getOrderActions(order, type) {
   let actions = '';
 
@@ -169,6 +192,14 @@ function getOrderActions(order, type) {
     actions += `<button class="btn btn-secondary" data-action="editOrder" data-action-param="${escapeHtml(order.id)}">Edit Notes</button>`;
   }
 
+  if (type === 'pending' && order.needs_review) {
+    actions += `<button class="btn btn-secondary" data-action="approveZoneReview" data-action-param="${escapeHtml(order.id)}">Approve</button>`;
+  }
+
+  if ((type === 'pending' || type === 'active') && !['completed', 'delivered'].includes(order.status)) {
+    actions += `<button class="btn btn-secondary" data-action="copyTrackingLink" data-action-param="${escapeHtml(order.id)}">Tracking Link</button>`;
+  }
+
   return actions;
 }
 
@@ -191,30 +222,54 @@ function updateStats(stats) {
   document.getElementById('geocodeBtn').disabled = needsGeocode === 0;
 }
 
-function showRouteBanner(route) {
+// One card per active route so multi-driver days show side by side
+function showRouteBanner(routes) {
   const banner = document.getElementById('routeBanner');
   banner.classList.add('active');
 
-  const completed = route.completed_count || 0;
-  const total = route.order_count || route.total_stops || 0;
-  const percent = total > 0 ? Math.round((completed / total) * 100) : 0;
+  document.getElementById('routeBannerGrid').innerHTML = routes.map(route => {
+    const completed = route.completed_count || 0;
+    const total = route.order_count || route.total_stops || 0;
+    const percent = total > 0 ? Math.round((completed / total) * 100) : 0;
+    const driver = routes.length > 1
+      ? ` - ${route.vehicle_label || 'Driver ' + (route.vehicle_number || 1)}`
+      : '';
 
-  document.getElementById('routeDate').textContent = route.route_date || 'Today';
-  document.getElementById('routeProgressText').textContent = `${completed}/${total} stops completed`;
-  document.getElementById('routeProgressBar').style.width = percent + '%';
+    // Show start/end coords if stored on route
+    let endpoints = '';
+    if (route.start_lat && route.start_lng) {
+      endpoints = `Start: ${Number(route.start_lat).toFixed(4)}, ${Number(route.start_lng).toFixed(4)}`;
+      if (route.end_lat && route.end_lng) {
+        endpoints += ` | End: ${Number(route.end_lat).toFixed(4)}, ${Number(route.end_lng).toFixed(4)}`;
+      }
+    }
 
-  // Show start/end coords if stored on route
-  const endpointsEl = document.getElementById('routeEndpoints');
-  if (route.start_lat && route.start_lng) {
-    const startText = `Start: ${Number(route.start_lat).toFixed(4)}, ${Number(route.start_lng).toFixed(4)}`;
-    const endText = (route.end_lat && route.end_lng)
-      ? ` | End: ${Number(route.end_lat).toFixed(4)}, ${Number(route.end_lng).toFixed(4)}`
-      : '';
-    endpointsEl.textContent = startText + endText;
-    endpointsEl.style.display = 'block';
-  } else {
-    endpointsEl.style.display = 'none';
-  }
+    const exportBase = `/api/delivery/route/${encodeURIComponent(route.id)}/export`;
+
+    return `
+      <div class="route-banner-content">
+        <div class="route-info">
+          <h2>Active Route${escapeHtml(driver)} - ${escapeHtml(route.route_date ? String(route.route_date).slice(0, 10) : 'Today')}</h2>
+          ${endpoints ? `<div class="route-endpoints">${escapeHtml(endpoints)}</div>` : ''}
+          <div class="route-progress">
+            <span>${completed}/${total} stops completed</span>
+            <div class="progress-bar">
+              <div class="progress-fill" style="width: ${percent}%"></div>
+            </div>
+          </div>
+        </div>
+        <div class="route-actions">
+          <a href="/delivery-route.html?routeId=${encodeURIComponent(route.id)}" class="btn btn-primary">Open Route</a>
+          <button class="btn btn-warning" data-action="finishRoute" data-action-param="${escapeHtml(route.id)}">Finish Route</button>
+          <div class="route-exports">
+            <a href="${exportBase}?format=manifest" target="_blank" rel="noopener">Manifest</a>
+            <a href="${exportBase}?format=gpx">GPX</a>
+            <a href="${exportBase}?format=kml">KML</a>
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
 }
 
 // Modal functions
@@ -280,6 +335,9 @@ function editOrder(element, event, orderId) {
   document.getElementById('editCountry').value = addr.country;
   document.getElementById('editPhone').value = order.phone || '';
   document.getElementById('editNotes').value = order.notes || '';
+  document.getElementById('editWindowStart').value = order.window_start ? order.window_start.slice(0, 5) : '';
+  document.getElementById('editWindowEnd').value = order.window_end ? order.window_end.slice(0, 5) : '';
+  document.getElementById('editServiceMinutes').value = order.service_minutes ?? '';
   document.getElementById('editOrderModal').classList.add('active');
 }
 
@@ -323,7 +381,11 @@ async function submitAddOrder(element, e) {
         customerName: document.getElementById('orderCustomerName').value,
         address: address,
         phone: document.getElementById('orderPhone').value || null,
-        notes: document.getElementById('orderNotes').value || null
+        notes: document.getElementById('orderNotes').value || null,
+        windowStart: document.getElementById('orderWindowStart').value || null,
+        windowEnd: document.getElementById('orderWindowEnd').value || null,
+        serviceMinutes: document.getElementById('orderServiceMinutes').value
+          ? parseInt(document.getElementById('orderServiceMinutes').value, 10) : null
       })
     });
 
@@ -364,7 +426,11 @@ async function submitEditOrder(element, e) {
         customerName: document.getElementById('editCustomerName').value,
         address: address,
         phone: document.getElementById('editPhone').value,
-        notes: document.getElementById('editNotes').value
+        notes: document.getElementById('editNotes').value,
+        windowStart: document.getElementById('editWindowStart').value || null,
+        windowEnd: document.getElementById('editWindowEnd').value || null,
+        serviceMinutes: document.getElementById('editServiceMinutes').value
+          ? parseInt(document.getElementById('editServiceMinutes').value, 10) : null
       })
     });
 
@@ -405,6 +471,57 @@ async function deleteOrder(element, event, orderId) {
   }
 }
 
+async function copyTrackingLink(element, event, orderId) {
+  try {
+    const response = await fetch(`/api/delivery/orders/${orderId}/tracking`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error);
+    }
+
+    try {
+      await navigator.clipboard.writeText(data.trackingUrl);
+      showAlert('Tracking link copied to clipboard. Any earlier link for this order no longer works.', 'success');
+    } catch (clipboardError) {
+      // Clipboard API needs a secure context; fall back to showing the link
+      prompt('Copy the tracking link for the customer:', data.trackingUrl);
+    }
+  } catch (error) {
+    showAlert('Failed to create tracking link: ' + error.message, 'error');
+  }
+}
+
+// Accept a zone-flagged order as-is: keeps any assigned zone and clears the review flag
+async function approveZoneReview(element, event, orderId) {
+  const order = orders.pending.find(o => o.id === orderId);
+  if (!order) return;
+  const reason = ZONE_REVIEW_LABELS[order.review_reason] || order.review_reason;
+  if (!confirm(`Deliver this order anyway (${reason})?`)) return;
+
+  try {
+    const response = await fetch(`/api/delivery/orders/${orderId}/zone`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ zoneId: order.zone_id || null })
+    });
+
+    if (!response.ok) {
+      const err = await response.json();
+      throw new Error(err.error);
+    }
+
+    showAlert('Order approved for delivery', 'success');
+    loadOrders();
+  } catch (error) {
+    showAlert('Failed to approve order: ' + error.message, 'error');
+  }
+}
+
 function toggleExcludeOrder(element, event, param) {
   const orderId = param || element.dataset.actionParam;
   if (excludedOrderIds.has(orderId)) {
@@ -494,6 +611,13 @@ async function generateRoute() {
       body.endLng = parseFloat(eLng);
     }
 
+    // Multi-driver days: one route per driver, optionally capped at N stops each
+    const vehicleCount = parseInt(document.getElementById('vehicleCountInput').value, 10) || 1;
+    const vehicleCapacity = parseInt(document.getElementById('vehicleCapacityInput').value, 10) || null;
+    if (vehicleCount > 1 || vehicleCapacity) {
+      body.vehicles = Array.from({ length: vehicleCount }, () => ({ capacity: vehicleCapacity }));
+    }
+
     const response = await fetch('/api/delivery/route/generate', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -506,7 +630,16 @@ async function generateRoute() {
     }
 
     const data = await response.json();
-    showAlert(`Route generated with ${data.route.orders?.length || data.route.total_stops} stops!`, 'success');
+    const routes = data.route.routes || [data.route];
+    const conflicts = routes.flatMap(r => r.windowConflicts || []);
+    const stopCount = routes.reduce((sum, r) => sum + (r.orders?.length || r.total_stops || 0), 0);
+    if (conflicts.length > 0) {
+      showAlert(`Route generated, but ${conflicts.length} stop(s) cannot make their delivery window — check the flagged orders.`, 'warning');
+    } else if (routes.length > 1) {
+      showAlert(`${routes.length} routes generated with ${stopCount} stops. Each driver's link is under Share on their route.`, 'success');
+    } else {
+      showAlert(`Route generated with ${stopCount} stops!`, 'success');
+    }
     excludedOrderIds.clear();
     loadOrders();
   } catch (error) {
@@ -517,15 +650,20 @@ async function generateRoute() {
   }
 }
 
-async function finishRoute() {
-  if (!activeRoute) return;
+async function finishRoute(element, event, routeId) {
+  // Support both direct call finishRoute(id) and event delegation finishRoute(el, ev, id)
+  if (typeof element === 'string') {
+    routeId = element;
+  }
+  const route = activeRoutes.find(r => r.id === routeId) || activeRoutes[0];
+  if (!route) return;
   if (!confirm('Finish the route? Skipped orders will return to pending.')) return;
 
   try {
     const response = await fetch('/api/delivery/route/finish', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ routeId: activeRoute.id })
+      body: JSON.stringify({ routeId: route.id })
     });
 
     if (!response.ok) {
@@ -690,6 +828,8 @@ window.syncFromSquare = syncFromSquare;
 window.closeModal = closeModal;
 window.editOrder = editOrder;
 window.deleteOrder = deleteOrder;
+window.copyTrackingLink = copyTrackingLink;
+window.approveZoneReview = approveZoneReview;
 window.submitAddOrder = submitAddOrder;
 window.submitEditOrder = submitEditOrder;
 window.toggleExcludeOrder = toggleExcludeOrder;
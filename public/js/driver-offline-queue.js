@@ -0,0 +1,133 @@
+/**
+ * Driver offline action queue
+ * Complete / skip / POD actions are stored in IndexedDB before they are sent,
+ * so a dead zone or a page reload doesn't lose them. Each action keeps the
+ * Idempotency-Key and recorded time it was created with; replays send both,
+ * and the server returns the original result for actions it already applied.
+ */
+
+const DriverOfflineQueue = (() => {
+  const DB_NAME = 'driver-offline-queue';
+  const STORE = 'actions';
+
+  // Statuses worth retrying later; anything else is a final answer from the server.
+  // 409 means an earlier send of the same action is still running and may yet fail.
+  const RETRYABLE_STATUSES = [408, 409, 429, 502, 503, 504];
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: 'idempotencyKey' });
+          store.createIndex('token', 'token');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Queue an action. `type` is 'complete', 'skip' (with `reason`,
+   * `reasonNote`) or 'pod' (with `photo`, `latitude`, `longitude`).
+   */
+  async function add(token, type, orderId, extra) {
+    const action = {
+      idempotencyKey: crypto.randomUUID(),
+      token,
+      type,
+      orderId,
+      recordedAt: new Date().toISOString(),
+      queuedAt: Date.now(),
+      ...extra
+    };
+    await withStore('readwrite', store => store.put(action));
+    return action;
+  }
+
+  /** Queued actions for a route token, oldest first. */
+  async function pending(token) {
+    const actions = await withStore('readonly', store => store.index('token').getAll(token));
+    return actions.sort((a, b) => a.queuedAt - b.queuedAt);
+  }
+
+  function remove(idempotencyKey) {
+    return withStore('readwrite', store => store.delete(idempotencyKey));
+  }
+
+  function send(action) {
+    const headers = {
+      'Idempotency-Key': action.idempotencyKey,
+      'X-Recorded-At': action.recordedAt
+    };
+    let body;
+    if (action.type === 'pod') {
+      body = new FormData();
+      body.append('photo', action.photo, action.photo.name || 'pod.jpg');
+      if (action.latitude != null) {
+        body.append('latitude', action.latitude);
+        body.append('longitude', action.longitude);
+      }
+    } else if (action.type === 'skip' && action.reason) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify({ reason: action.reason, reasonNote: action.reasonNote });
+    }
+    return fetch(`/api/driver/${action.token}/orders/${action.orderId}/${action.type}`, {
+      method: 'POST',
+      headers,
+      body
+    });
+  }
+
+  /**
+   * Send queued actions in order. Stops at the first one that can't reach the
+   * server so later actions for the same stop never overtake it.
+   * @returns {Promise<{sent: number, failed: Array<{action, error}>, remaining: number}>}
+   */
+  async function flush(token) {
+    const actions = await pending(token);
+    const failed = [];
+    let sent = 0;
+
+    for (const [index, action] of actions.entries()) {
+      let response;
+      try {
+        response = await send(action);
+      } catch (error) {
+        return { sent, failed, remaining: actions.length - index };
+      }
+
+      if (RETRYABLE_STATUSES.includes(response.status)) {
+        return { sent, failed, remaining: actions.length - index };
+      }
+
+      if (response.ok) {
+        sent++;
+      } else {
+        const data = await response.json().catch(() => ({}));
+        failed.push({ action, error: data.error || `Request failed (${response.status})` });
+      }
+      await remove(action.idempotencyKey);
+    }
+
+    return { sent, failed, remaining: 0 };
+  }
+
+  return { add, pending, flush };
+})();
+
+window.DriverOfflineQueue = DriverOfflineQueue;
@@ -11,9 +11,15 @@ const token = urlParams.get('token');
 let route = null;
 let stops = [];
 let currentPodOrderId = null;
+let currentSkipOrderId = null;
 let currentPodFile = null;
 let currentLocation = null;
 
+// Offline queue: retry queued actions this often while any are waiting
+const SYNC_INTERVAL_MS = 30000;
+const ROUTE_CACHE_KEY = `driver-route-${token}`;
+let syncChain = Promise.resolve();
+
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
   if (!token) {
@@ -21,26 +27,108 @@ document.addEventListener('DOMContentLoaded', () => {
     return;
   }
   loadRoute();
+  window.addEventListener('online', syncInBackground);
+  setInterval(syncInBackground, SYNC_INTERVAL_MS);
+  syncInBackground();
 });
 
 async function loadRoute() {
+  let data;
   try {
     const response = await fetch(`/api/driver/${token}`);
-    const data = await response.json();
+    data = await response.json();
 
     if (!response.ok) {
       showError(data.error || 'Failed to load route', 'This link may have expired or been revoked.');
       return;
     }
 
-    route = data.route;
-    stops = data.orders || [];
-
-    renderRoute();
+    localStorage.setItem(ROUTE_CACHE_KEY, JSON.stringify(data));
   } catch (error) {
     console.error('Error loading route:', error);
-    showError('Failed to load route', 'Please check your internet connection and try again.');
+    data = JSON.parse(localStorage.getItem(ROUTE_CACHE_KEY) || 'null');
+    if (!data) {
+      showError('Failed to load route', 'Please check your internet connection and try again.');
+      return;
+    }
+  }
+
+  route = data.route;
+  stops = data.orders || [];
+
+  await applyQueuedActions();
+  renderRoute();
+}
+
+// Show queued (not yet synced) actions on the stops they belong to
+async function applyQueuedActions() {
+  let queued = [];
+  try {
+    queued = await DriverOfflineQueue.pending(token);
+  } catch (error) {
+    console.error('Error reading offline queue:', error);
+  }
+
+  for (const action of queued) {
+    const stop = stops.find(s => s.id === action.orderId);
+    if (!stop) continue;
+    stop.queued = true;
+    if (action.type === 'complete') {
+      stop.status = 'completed';
+    } else if (action.type === 'skip') {
+      stop.status = 'skipped';
+    } else {
+      stop.hasPod = true;
+      if (stop.status === 'active') stop.status = 'delivered';
+    }
+  }
+
+  const syncStatus = document.getElementById('syncStatus');
+  syncStatus.style.display = queued.length > 0 ? 'block' : 'none';
+  syncStatus.textContent = `${queued.length} update${queued.length !== 1 ? 's' : ''} waiting to sync`;
+}
+
+// Flushes run one after another so two never send the same action
+function syncQueue() {
+  const run = syncChain.then(() => DriverOfflineQueue.flush(token));
+  syncChain = run.catch(() => {});
+  return run;
+}
+
+async function syncInBackground() {
+  try {
+    const queued = await DriverOfflineQueue.pending(token);
+    if (queued.length === 0) return;
+
+    const result = await syncQueue();
+    if (result.failed.length > 0) {
+      showToast(result.failed[result.failed.length - 1].error, 'error');
+    }
+    if (result.sent > 0 || result.failed.length > 0) {
+      await loadRoute();
+    }
+  } catch (error) {
+    console.error('Error syncing offline queue:', error);
+  }
+}
+
+/**
+ * Queue a driver action and try to send it right away. Without a
+ * connection it stays queued and the stop shows as done locally.
+ */
+async function runDriverAction(type, orderId, extra, doneMessage) {
+  await DriverOfflineQueue.add(token, type, orderId, extra);
+  const result = await syncQueue();
+
+  if (result.failed.length > 0) {
+    showToast(result.failed[result.failed.length - 1].error, 'error');
+  } else if (result.remaining > 0) {
+    showToast(`${doneMessage} Saved offline, it will sync when you're back online.`, 'success');
+  } else {
+    showToast(doneMessage, 'success');
   }
+
+  await loadRoute();
 }
 
 function showError(title, message) {
@@ -164,7 +252,7 @@ function renderRoute() {
           <div class="stop-customer">
             <h3>${escapeHtml(stop.customerName)}</h3>
           </div>
-          <span class="stop-status ${statusClass}">${statusText}</span>
+          <span class="stop-status ${statusClass}">${statusText}${stop.queued ? ' &#8987;' : ''}</span>
         </div>
         <div class="stop-body">
           <div class="stop-address" data-action="openMaps" data-action-param="${escapeHtml(stop.address)}">
@@ -257,17 +345,7 @@ async function completeStop(element, event, orderId) {
 
   showLoading('Completing delivery...');
   try {
-    const response = await fetch(`/api/driver/${token}/orders/${orderId}/complete`, {
-      method: 'POST'
-    });
-
-    if (!response.ok) {
-      const err = await response.json();
-      throw new Error(err.error || 'Failed to complete');
-    }
-
-    showToast('Delivery completed!', 'success');
-    await loadRoute();
+    await runDriverAction('complete', orderId, {}, 'Delivery completed!');
   } catch (error) {
     console.error('Error:', error);
     showToast(error.message, 'error');
@@ -276,23 +354,37 @@ async function completeStop(element, event, orderId) {
   }
 }
 
-async function skipStop(element, event, orderId) {
+// Skip Modal Functions
+function skipStop(element, event, orderId) {
   // orderId comes from data-action-param via event delegation
-  if (!confirm('Skip this delivery? It will be returned to the queue.')) return;
+  currentSkipOrderId = orderId;
+  document.getElementById('skipReason').value = '';
+  document.getElementById('skipReasonNote').value = '';
+  document.getElementById('confirmSkipBtn').disabled = true;
+  document.getElementById('skipModal').classList.add('active');
+}
 
-  showLoading('Skipping...');
-  try {
-    const response = await fetch(`/api/driver/${token}/orders/${orderId}/skip`, {
-      method: 'POST'
-    });
+function closeSkipModal() {
+  document.getElementById('skipModal').classList.remove('active');
+  currentSkipOrderId = null;
+}
 
-    if (!response.ok) {
-      const err = await response.json();
-      throw new Error(err.error || 'Failed to skip');
-    }
+function handleSkipReasonChange(element) {
+  document.getElementById('confirmSkipBtn').disabled = !element.value;
+}
+
+async function confirmSkip() {
+  const reason = document.getElementById('skipReason').value;
+  if (!currentSkipOrderId || !reason) return;
 
-    showToast('Delivery skipped', 'success');
-    await loadRoute();
+  // closeSkipModal() clears the current order, so capture it first
+  const orderId = currentSkipOrderId;
+  const reasonNote = document.getElementById('skipReasonNote').value.trim();
+  closeSkipModal();
+
+  showLoading('Skipping...');
+  try {
+    await runDriverAction('skip', orderId, { reason, reasonNote: reasonNote || undefined }, 'Delivery skipped');
   } catch (error) {
     console.error('Error:', error);
     showToast(error.message, 'error');
@@ -362,29 +454,19 @@ function handlePodFileSelect(element, event, param) {
 async function uploadPod() {
   if (!currentPodFile || !currentPodOrderId) return;
 
+  // closePodModal() clears the current selection, so capture it first
+  const orderId = currentPodOrderId;
+  const pod = {
+    photo: currentPodFile,
+    latitude: currentLocation ? currentLocation.latitude : null,
+    longitude: currentLocation ? currentLocation.longitude : null
+  };
+
   showLoading('Uploading photo...');
   closePodModal();
 
   try {
-    const formData = new FormData();
-    formData.append('photo', currentPodFile);
-    if (currentLocation) {
-      formData.append('latitude', currentLocation.latitude);
-      formData.append('longitude', currentLocation.longitude);
-    }
-
-    const response = await fetch(`/api/driver/${token}/orders/${currentPodOrderId}/pod`, {
-      method: 'POST',
-      body: formData
-    });
-
-    if (!response.ok) {
-      const err = await response.json();
-      throw new Error(err.error || 'Upload failed');
-    }
-
-    showToast('Photo uploaded!', 'success');
-    await loadRoute();
+    await runDriverAction('pod', orderId, pod, 'Photo uploaded!');
   } catch (error) {
     console.error('Error:', error);
     showToast(error.message, 'error');
@@ -407,6 +489,11 @@ async function finishRoute() {
   showLoading('Finishing route...');
 
   try {
+    const { remaining } = await syncQueue();
+    if (remaining > 0) {
+      throw new Error('Some updates have not synced yet. Finish the route once you are back online.');
+    }
+
     const driverName = document.getElementById('driverName').value.trim();
     const driverNotes = document.getElementById('driverNotes').value.trim();
 
@@ -448,6 +535,9 @@ window.toggleOrderItems = toggleOrderItems;
 window.openMaps = openMaps;
 window.completeStop = completeStop;
 window.skipStop = skipStop;
+window.closeSkipModal = closeSkipModal;
+window.handleSkipReasonChange = handleSkipReasonChange;
+window.confirmSkip = confirmSkip;
 window.openPodModal = openPodModal;
 window.closePodModal = closePodModal;
 window.uploadPod = uploadPod;
@@ -461,6 +461,8 @@ async function loadTierConfig() {
         <td><input type="number" value="${tier.min_days_to_expiry ?? ''}" data-field="min_days_to_expiry" placeholder="None" style="width: 70px;"></td>
         <td><input type="number" value="${tier.max_days_to_expiry ?? ''}" data-field="max_days_to_expiry" placeholder="None" style="width: 70px;"></td>
         <td><input type="number" value="${tier.discount_percent}" data-field="discount_percent" min="0" max="100" step="1" style="width: 70px;"></td>
+        <td><input type="number" value="${tier.dynamic_min_percent ?? ''}" data-field="dynamic_min_percent" min="0" max="100" step="1" placeholder="${escapeAttr(tier.discount_percent)}" style="width: 70px;"></td>
+        <td><input type="number" value="${tier.dynamic_max_percent ?? ''}" data-field="dynamic_max_percent" min="0" max="100" step="1" placeholder="${escapeAttr(tier.discount_percent)}" style="width: 70px;"></td>
         <td class="text-center"><input type="checkbox" ${tier.is_auto_apply ? 'checked' : ''} data-field="is_auto_apply"></td>
         <td class="text-center"><input type="checkbox" ${tier.requires_review ? 'checked' : ''} data-field="requires_review"></td>
         <td><button class="btn-primary" style="padding: 4px 12px; font-size: 12px;" data-action="saveTierConfig" data-action-param="${escapeAttr(tier.id)}">Save</button></td>
@@ -469,7 +471,7 @@ async function loadTierConfig() {
 
   } catch (error) {
     console.error('Failed to load tier config:', error);
-    tbody.innerHTML = '<tr><td colspan="8" class="empty-state">Failed to load tier configuration.</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="10" class="empty-state">Failed to load tier configuration.</td></tr>';
   }
 }
 
@@ -477,6 +479,7 @@ async function saveSettings() {
   const updates = {
     cron_schedule: document.getElementById('setting-cron_schedule').value,
     timezone: document.getElementById('setting-timezone').value,
+    pricing_mode: document.getElementById('setting-pricing_mode').value,
     auto_apply_enabled: document.getElementById('setting-auto_apply_enabled').checked ? 'true' : 'false',
     email_notifications: document.getElementById('setting-email_notifications').checked ? 'true' : 'false'
   };
@@ -0,0 +1,190 @@
+/**
+ * Expiry Lots page JavaScript
+ * Lists stock tracked by expiry lot per location, and lets staff enter lots
+ * for stock already on the shelf, correct on-hand counts and delete mistakes.
+ */
+
+let searchResultsCache = {};
+let selectedVariation = null;
+
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+}
+
+function sendJson(url, method, body) {
+  return requestJson(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+}
+
+const variationLabel = row => [row.item_name, row.variation_name || row.name].filter(Boolean).join(' — ');
+const dateOnly = value => (value ? String(value).split('T')[0] : '');
+
+async function loadLocations() {
+  const data = await requestJson('/api/locations');
+  // Handle both flat ({ locations: [...] }) and nested ({ locations: { count, locations } }) shapes
+  const rawLocations = data.locations || [];
+  const locations = (Array.isArray(rawLocations) ? rawLocations : (rawLocations.locations || []))
+    .filter(loc => loc.active);
+  const options = locations
+    .map(loc => `<option value="${escapeHtml(loc.id)}">${escapeHtml(loc.name)}</option>`)
+    .join('');
+  document.getElementById('newLotLocation').innerHTML = options;
+  document.getElementById('locationFilter').innerHTML = `<option value="">All locations</option>${options}`;
+}
+
+function renderLots(lots) {
+  const container = document.getElementById('lotsList');
+  container.classList.remove('loading');
+  if (lots.length === 0) {
+    container.innerHTML = '<p class="empty-state">No lots tracked yet.</p>';
+    return;
+  }
+  container.innerHTML = `
+    <table class="data-table">
+      <thead><tr>
+        <th>Item</th><th>SKU</th><th>Location</th><th>Expiry</th><th>Lot</th><th>Tier</th><th>From PO</th>
+        <th class="num">Received</th><th class="num">On hand</th><th></th>
+      </tr></thead>
+      <tbody>
+        ${lots.map(lot => `
+          <tr class="${lot.quantity > 0 ? '' : 'row-muted'}">
+            <td>${escapeHtml(variationLabel(lot))}</td>
+            <td>${escapeHtml(lot.sku || '-')}</td>
+            <td>${escapeHtml(lot.location_name || lot.location_id)}</td>
+            <td>${escapeHtml(dateOnly(lot.expiration_date))}</td>
+            <td>${escapeHtml(lot.lot_code || '-')}</td>
+            <td>${lot.tier_code ? `<span class="badge badge-warning">${escapeHtml(lot.tier_name || lot.tier_code)}</span>` : ''}</td>
+            <td>${escapeHtml(lot.po_number || '-')}</td>
+            <td class="num">${lot.received_quantity}</td>
+            <td class="num">
+              <input type="number" class="form-input" min="0" value="${lot.quantity}"
+                     data-lot-id="${lot.id}" data-change="updateLotQuantity">
+            </td>
+            <td><button type="button" class="btn btn-secondary" data-action="deleteLot" data-action-param="${lot.id}">Delete</button></td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function loadLots() {
+  const params = new URLSearchParams();
+  const locationId = document.getElementById('locationFilter').value;
+  if (locationId) params.set('location_id', locationId);
+  if (document.getElementById('includeDepleted').checked) params.set('include_depleted', 'true');
+  try {
+    const { lots } = await requestJson(`/api/expiry-lots?${params}`);
+    renderLots(lots);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function searchItems() {
+  const query = document.getElementById('itemSearch').value.trim();
+  const resultsElem = document.getElementById('searchResults');
+  if (!query) {
+    resultsElem.innerHTML = '';
+    return;
+  }
+  try {
+    const { variations = [] } = await requestJson(`/api/variations?search=${encodeURIComponent(query)}&limit=20`);
+    searchResultsCache = {};
+    variations.forEach(v => { searchResultsCache[v.id] = v; });
+    resultsElem.innerHTML = variations.length === 0
+      ? '<p class="empty-state">No items found.</p>'
+      : variations.map(v => `
+        <div class="search-result" data-action="selectItem" data-action-param="${escapeHtml(v.id)}">
+          <strong>${escapeHtml(variationLabel(v))}</strong> · SKU: ${escapeHtml(v.sku || '-')}
+        </div>
+      `).join('');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function searchOnEnter(element, event) {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    searchItems();
+  }
+}
+
+function selectItem(element, event, variationId) {
+  selectedVariation = searchResultsCache[variationId] || null;
+  if (!selectedVariation) return;
+  document.getElementById('selectedItem').innerHTML =
+    `Selected: <strong>${escapeHtml(variationLabel(selectedVariation))}</strong>`;
+  document.getElementById('searchResults').innerHTML = '';
+}
+
+async function createLot() {
+  if (!selectedVariation) {
+    showToast('Select an item first', 'error');
+    return;
+  }
+  const expirationDate = document.getElementById('newLotExpiry').value;
+  if (!expirationDate) {
+    showToast('Enter the expiry date', 'error');
+    return;
+  }
+  try {
+    await sendJson('/api/expiry-lots', 'POST', {
+      variation_id: selectedVariation.id,
+      location_id: document.getElementById('newLotLocation').value,
+      quantity: parseInt(document.getElementById('newLotQuantity').value, 10),
+      expiration_date: expirationDate,
+      lot_code: document.getElementById('newLotCode').value.trim() || undefined
+    });
+    showToast('Lot added', 'success');
+    document.getElementById('newLotCode').value = '';
+    await loadLots();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function updateLotQuantity(element) {
+  const quantity = parseInt(element.value, 10);
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    showToast('Quantity must be 0 or more', 'error');
+    return;
+  }
+  try {
+    await sendJson(`/api/expiry-lots/${encodeURIComponent(element.dataset.lotId)}`, 'PATCH', { quantity });
+    showToast('Lot updated', 'success');
+    await loadLots();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function deleteLot(element, event, lotId) {
+  if (!confirm('Delete this lot? Use this for lots entered in error; sold or pulled stock is depleted automatically.')) return;
+  try {
+    await requestJson(`/api/expiry-lots/${encodeURIComponent(lotId)}`, { method: 'DELETE' });
+    await loadLots();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+loadLocations()
+  .catch(error => showToast(error.message, 'error'))
+  .then(loadLots);
+
+// Expose functions to global scope for event delegation
+window.loadLots = loadLots;
+window.searchItems = searchItems;
+window.searchOnEnter = searchOnEnter;
+window.selectItem = selectItem;
+window.createLot = createLot;
+window.updateLotQuantity = updateLotQuantity;
+window.deleteLot = deleteLot;
@@ -0,0 +1,89 @@
+/**
+ * Expiry tracker: GS1 scan entry
+ * A GS1-128 / DataMatrix scan is read by the server (item from the GTIN,
+ * expiry from AI 17, lot from AI 10) and shown with any conflict with the
+ * stored date before it is saved.
+ */
+
+let pendingScan = null;
+
+function renderScanResult(result) {
+  const el = document.getElementById('expiry-scan-result');
+  const v = result.variation;
+  if (!v) {
+    el.className = 'expiry-scan-result conflict';
+    el.innerHTML = `No item has GTIN ${escapeHtml(result.gtin)}.`;
+    return;
+  }
+  const name = [v.item_name, v.variation_name].filter(Boolean).join(' — ');
+  const lot = result.lot_code ? ` · Lot ${escapeHtml(result.lot_code)}` : '';
+  const conflicts = result.conflicts.map(c => `<li>${escapeHtml(c.message)}</li>`).join('');
+  const canSave = Boolean(result.expiration_date);
+  el.className = `expiry-scan-result${result.conflicts.length > 0 ? ' conflict' : ''}`;
+  el.innerHTML = `
+    <strong>${escapeHtml(name)}</strong>${v.sku ? ` (${escapeHtml(v.sku)})` : ''} ·
+    Expiry ${escapeHtml(result.expiration_date || 'not in code')}${lot} ·
+    Stored ${escapeHtml(v.stored_expiration_date || 'none')}
+    ${conflicts ? `<ul>${conflicts}</ul>` : ''}
+    ${canSave ? `<button data-action="saveScannedExpiry">${result.conflicts.length > 0 ? 'Save anyway' : 'Save date'}</button>` : ''}
+  `;
+}
+
+async function readExpiryScan() {
+  const input = document.getElementById('expiry-scan');
+  const scan = input.value.trim();
+  input.value = '';
+  if (!scan) return;
+  pendingScan = null;
+  try {
+    const response = await fetch('/api/expirations/scan', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ scan })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || 'Could not read scan');
+    pendingScan = result.variation && result.expiration_date ? scan : null;
+    renderScanResult(result);
+  } catch (error) {
+    const el = document.getElementById('expiry-scan-result');
+    el.className = 'expiry-scan-result conflict';
+    el.textContent = error.message;
+  }
+}
+
+function handleExpiryScanKey(element, event) {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    readExpiryScan();
+  }
+}
+
+async function saveScannedExpiry() {
+  if (!pendingScan) return;
+  try {
+    // The conflicts were shown above the button; saving confirms the scanned date
+    const response = await fetch('/api/expirations', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify([{ scan: pendingScan, override_conflict: true }])
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || 'Failed to save expiration date');
+    const saved = result.scans && result.scans[0];
+    if (!saved || saved.status !== 'SAVED') throw new Error(saved?.error || `Not saved (${saved?.status})`);
+
+    pendingScan = null;
+    const el = document.getElementById('expiry-scan-result');
+    el.className = 'expiry-scan-result';
+    el.textContent = `Saved ${saved.expiration_date} for ${saved.variation.item_name}`;
+    document.getElementById('expiry-scan').focus();
+    loadItems();
+  } catch (error) {
+    alert('Failed to save: ' + error.message);
+  }
+}
+
+// Expose functions to global scope for event delegation
+window.handleExpiryScanKey = handleExpiryScanKey;
+window.saveScannedExpiry = saveScannedExpiry;
@@ -0,0 +1,213 @@
+/**
+ * PO Invoice page JavaScript
+ * Imports a supplier invoice against a received purchase order and shows the
+ * three-way match (ordered / received / invoiced) with quantity and price
+ * discrepancies. Accepting the invoice updates vendor costs.
+ */
+
+const poId = new URLSearchParams(window.location.search).get('po');
+const invoicesUrl = `/api/purchase-orders/${encodeURIComponent(poId)}/invoices`;
+
+const DISCREPANCY_LABELS = {
+  over_billed: 'Billed more than received',
+  under_billed: 'Billed less than received',
+  price_higher: 'Price higher than PO',
+  price_lower: 'Price lower than PO'
+};
+// Discrepancies that cost the merchant money are shown in red
+const COSTLY_DISCREPANCIES = ['over_billed', 'price_higher'];
+
+let selectedInvoiceId = null;
+
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+}
+
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+}
+
+function renderInvoiceList(invoices) {
+  const container = document.getElementById('invoiceList');
+  container.innerHTML = invoices.map(inv => `
+    <button type="button" class="btn ${inv.id === selectedInvoiceId ? 'btn-primary' : 'btn-secondary'}"
+            data-action="showInvoice" data-action-param="${inv.id}">
+      ${escapeHtml(inv.invoice_number || inv.file_name || `Invoice ${inv.id}`)} · ${escapeHtml(inv.status)}
+    </button>
+  `).join('');
+}
+
+function renderMatchLines(lines) {
+  return `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Item</th><th>Vendor Code</th>
+          <th class="num">Ordered</th><th class="num">Received</th><th class="num">Invoiced</th>
+          <th class="num">PO Cost</th><th class="num">Invoice Cost</th><th>Discrepancies</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${lines.map(line => `
+          <tr class="${line.discrepancies.length > 0 ? 'row-warning' : ''}">
+            <td>${escapeHtml([line.item_name, line.variation_name].filter(Boolean).join(' — '))}</td>
+            <td>${escapeHtml(line.vendor_code || '')}</td>
+            <td class="num">${line.ordered_quantity}</td>
+            <td class="num">${line.received_quantity}</td>
+            <td class="num">${line.invoiced_quantity}</td>
+            <td class="num">${formatCurrency(line.po_unit_cost_cents)}</td>
+            <td class="num">${formatCurrency(line.invoice_unit_cost_cents)}</td>
+            <td>${line.discrepancies.map(d => `<span class="badge ${COSTLY_DISCREPANCIES.includes(d) ? 'badge-error' : 'badge-warning'}">${escapeHtml(DISCREPANCY_LABELS[d] || d)}</span>`).join(' ')}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderUnmatchedLines(lines) {
+  if (lines.length === 0) return '';
+  return `
+    <h2>Not on this PO</h2>
+    <table class="data-table">
+      <thead><tr><th>Row</th><th>Vendor Item #</th><th>UPC</th><th>Description</th><th class="num">Qty</th><th class="num">Cost</th></tr></thead>
+      <tbody>
+        ${lines.map(line => `
+          <tr class="row-warning">
+            <td>${line.row_number}</td>
+            <td>${escapeHtml(line.vendor_item_number || '')}</td>
+            <td>${escapeHtml(line.upc || '')}</td>
+            <td>${escapeHtml(line.description || '')}</td>
+            <td class="num">${line.quantity}</td>
+            <td class="num">${formatCurrency(line.unit_cost_cents)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderReport(invoice) {
+  const { summary } = invoice;
+  const actions = invoice.status === 'PENDING' ? `
+    <div class="page-actions">
+      <button type="button" class="btn btn-secondary" data-action="discardInvoice">Discard Invoice</button>
+      <button type="button" class="btn btn-success" data-action="acceptInvoice">Accept Invoice Costs</button>
+    </div>
+  ` : '';
+  document.getElementById('invoiceReport').innerHTML = `
+    <div class="summary-figures">
+      <div>Invoice total<strong>${formatCurrency(summary.invoice_total_cents)}</strong></div>
+      <div>Received at PO cost<strong>${formatCurrency(summary.expected_total_cents)}</strong></div>
+      <div>Variance<strong>${formatCurrency(summary.variance_cents)}</strong></div>
+      <div>Lines with discrepancies<strong>${summary.discrepancy_lines}</strong></div>
+      <div>Not on PO<strong>${summary.unmatched_lines}</strong></div>
+    </div>
+    ${renderMatchLines(invoice.lines)}
+    ${renderUnmatchedLines(invoice.unmatched_lines)}
+    ${actions}
+  `;
+}
+
+async function loadInvoices() {
+  const { invoices } = await requestJson(invoicesUrl);
+  renderInvoiceList(invoices);
+  if (!selectedInvoiceId && invoices.length > 0) await showInvoice(null, null, invoices[0].id);
+}
+
+async function showInvoice(element, event, invoiceId) {
+  try {
+    const { invoice } = await requestJson(`${invoicesUrl}/${encodeURIComponent(invoiceId)}`);
+    selectedInvoiceId = invoice.id;
+    renderReport(invoice);
+    document.querySelectorAll('#invoiceList .btn').forEach(btn => {
+      const selected = String(btn.dataset.actionParam) === String(invoice.id);
+      btn.classList.toggle('btn-primary', selected);
+      btn.classList.toggle('btn-secondary', !selected);
+    });
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function uploadInvoice() {
+  const file = document.getElementById('invoiceFile').files[0];
+  if (!file) {
+    showToast('Choose an invoice file first', 'error');
+    return;
+  }
+  try {
+    const result = await requestJson(invoicesUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        data: await readFileAsBase64(file),
+        fileName: file.name,
+        invoice_number: document.getElementById('invoiceNumber').value.trim() || undefined,
+        invoice_date: document.getElementById('invoiceDate').value || undefined
+      })
+    });
+    selectedInvoiceId = result.invoice.id;
+    renderReport(result.invoice);
+    await loadInvoices();
+    const skipped = result.skipped_rows.length > 0 ? ` (${result.skipped_rows.length} rows skipped)` : '';
+    showToast(`Invoice imported${skipped}`, 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function acceptInvoice() {
+  if (!confirm('Accept this invoice? Invoiced unit costs will become the vendor costs for these items.')) return;
+  try {
+    const result = await requestJson(`${invoicesUrl}/${encodeURIComponent(selectedInvoiceId)}/accept`, { method: 'POST' });
+    renderReport(result.invoice);
+    await loadInvoices();
+    showToast(`Invoice accepted — ${result.vendor_costs_updated} vendor costs updated`, 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function discardInvoice() {
+  if (!confirm('Discard this invoice import?')) return;
+  try {
+    await requestJson(`${invoicesUrl}/${encodeURIComponent(selectedInvoiceId)}`, { method: 'DELETE' });
+    selectedInvoiceId = null;
+    document.getElementById('invoiceReport').innerHTML = '';
+    await loadInvoices();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function init() {
+  if (!poId) {
+    showToast('No purchase order selected', 'error');
+    return;
+  }
+  try {
+    const po = await requestJson(`/api/purchase-orders/${encodeURIComponent(poId)}`);
+    document.getElementById('invoiceTitle').textContent = `Match Invoice — ${po.po_number} (${po.vendor_name})`;
+    await loadInvoices();
+  } catch (error) {
+    console.error('Error loading invoices:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+init();
+
+// Expose functions to global scope for event delegation
+window.showInvoice = showInvoice;
+window.uploadInvoice = uploadInvoice;
+window.acceptInvoice = acceptInvoice;
+window.discardInvoice = discardInvoice;
@@ -0,0 +1,180 @@
+/**
+ * PO Landed Costs page JavaScript
+ * Enters freight, duty, brokerage and other charges on a received purchase
+ * order and allocates them over the received lines by value, quantity or
+ * weight. The resulting landed unit costs feed margin calculations.
+ */
+
+const poId = new URLSearchParams(window.location.search).get('po');
+const landedCostsUrl = `/api/purchase-orders/${encodeURIComponent(poId)}/landed-costs`;
+
+const CHARGE_TYPES = { FREIGHT: 'Freight', DUTY: 'Duty', BROKERAGE: 'Brokerage', OTHER: 'Other' };
+
+let charges = []; // { charge_type, description, amount } — amount in dollars as typed
+let lines = [];
+let lastLandedCosts = null;
+
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+}
+
+function renderCharges() {
+  const container = document.getElementById('chargesTable');
+  if (charges.length === 0) {
+    container.innerHTML = '<p class="text-muted">No charges entered.</p>';
+    return;
+  }
+  container.innerHTML = `
+    <table class="data-table">
+      <thead><tr><th>Type</th><th>Description</th><th class="num">Amount ($)</th><th></th></tr></thead>
+      <tbody>
+        ${charges.map((charge, index) => `
+          <tr>
+            <td>
+              <select class="form-input" data-index="${index}" data-field="charge_type" data-change="updateCharge">
+                ${Object.entries(CHARGE_TYPES).map(([value, label]) =>
+                  `<option value="${value}"${value === charge.charge_type ? ' selected' : ''}>${label}</option>`).join('')}
+              </select>
+            </td>
+            <td><input type="text" class="form-input" maxlength="255" value="${escapeHtml(charge.description || '')}"
+                       data-index="${index}" data-field="description" data-change="updateCharge"></td>
+            <td class="num"><input type="number" class="form-input" min="0" step="0.01" value="${escapeHtml(String(charge.amount))}"
+                       data-index="${index}" data-field="amount" data-change="updateCharge"></td>
+            <td><button type="button" class="btn btn-secondary" data-action="removeCharge" data-action-param="${index}">Remove</button></td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderLines(landedCosts) {
+  const byWeight = document.getElementById('allocationMethod').value === 'WEIGHT';
+  document.getElementById('landedSummary').innerHTML = `
+    <div>Charges allocated<strong>${formatCurrency(landedCosts.total_charges_cents)}</strong></div>
+    <div>Received lines<strong>${lines.length}</strong></div>
+  `;
+  document.getElementById('landedLines').innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Item</th><th>SKU</th><th class="num">Received</th><th class="num">Unit Cost</th>
+          ${byWeight ? '<th class="num">Line Weight</th>' : ''}
+          <th class="num">Allocated Charges</th><th class="num">Landed Unit Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${lines.map(line => `
+          <tr>
+            <td>${escapeHtml([line.item_name, line.variation_name].filter(Boolean).join(' — '))}</td>
+            <td>${escapeHtml(line.sku || '')}</td>
+            <td class="num">${line.received_quantity}</td>
+            <td class="num">${formatCurrency(line.unit_cost_cents)}</td>
+            ${byWeight ? `<td class="num"><input type="number" class="form-input" min="0" step="0.001"
+                value="${line.received_weight ?? ''}" data-line-id="${line.id}" data-change="updateWeight"></td>` : ''}
+            <td class="num">${line.allocated_charges_cents != null ? formatCurrency(line.allocated_charges_cents) : '—'}</td>
+            <td class="num">${line.landed_unit_cost_cents != null ? formatCurrency(line.landed_unit_cost_cents) : '—'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function render(landedCosts) {
+  lastLandedCosts = landedCosts;
+  renderCharges();
+  renderLines(landedCosts);
+}
+
+function loadState(landedCosts) {
+  charges = landedCosts.charges.map(charge => ({
+    charge_type: charge.charge_type,
+    description: charge.description,
+    amount: (charge.amount_cents / 100).toFixed(2)
+  }));
+  lines = landedCosts.lines;
+  document.getElementById('allocationMethod').value = landedCosts.allocation_method || 'VALUE';
+  render(landedCosts);
+}
+
+function addCharge() {
+  charges.push({ charge_type: 'FREIGHT', description: '', amount: '' });
+  renderCharges();
+}
+
+function removeCharge(element, event, index) {
+  charges.splice(Number(index), 1);
+  renderCharges();
+}
+
+function updateCharge(input) {
+  const charge = charges[Number(input.dataset.index)];
+  if (charge) charge[input.dataset.field] = input.value;
+}
+
+function updateWeight(input) {
+  const line = lines.find(l => String(l.id) === input.dataset.lineId);
+  if (line) line.received_weight = input.value === '' ? null : Number(input.value);
+}
+
+function changeAllocationMethod() {
+  if (lastLandedCosts) renderLines(lastLandedCosts);
+}
+
+async function saveLandedCosts() {
+  const invalid = charges.find(charge => !(Number(charge.amount) >= 0) || charge.amount === '');
+  if (invalid) {
+    showToast('Enter an amount for every charge', 'error');
+    return;
+  }
+  try {
+    const { landed_costs: landedCosts } = await requestJson(landedCostsUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        allocation_method: document.getElementById('allocationMethod').value,
+        charges: charges.map(charge => ({
+          charge_type: charge.charge_type,
+          description: charge.description || undefined,
+          amount_cents: Math.round(Number(charge.amount) * 100)
+        })),
+        weights: lines
+          .filter(line => line.received_weight != null)
+          .map(line => ({ id: line.id, weight: line.received_weight }))
+      })
+    });
+    loadState(landedCosts);
+    showToast('Charges allocated — landed costs updated', 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function init() {
+  if (!poId) {
+    showToast('No purchase order selected', 'error');
+    return;
+  }
+  try {
+    const { landed_costs: landedCosts } = await requestJson(landedCostsUrl);
+    document.getElementById('landedTitle').textContent = `Landed Costs — ${landedCosts.po_number}`;
+    loadState(landedCosts);
+  } catch (error) {
+    console.error('Error loading landed costs:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+init();
+
+// Expose functions to global scope for event delegation
+window.addCharge = addCharge;
+window.removeCharge = removeCharge;
+window.updateCharge = updateCharge;
+window.updateWeight = updateWeight;
+window.changeAllocationMethod = changeAllocationMethod;
+window.saveLandedCosts = saveLandedCosts;
@@ -0,0 +1,207 @@
+/**
+ * PO Receiving page JavaScript
+ * Barcode-scan receiving for a submitted purchase order. Scans go to the PO's
+ * open receiving session on the server, so a reload or a second device picks
+ * up where the last one left off.
+ */
+
+const poId = new URLSearchParams(window.location.search).get('po');
+const sessionUrl = `/api/purchase-orders/${encodeURIComponent(poId)}/receiving-session`;
+
+const FLAG_LABELS = {
+  over_receipt: 'Over-receipt',
+  substitution: 'Not on PO',
+  unknown: 'Unknown barcode'
+};
+
+let scanInFlight = Promise.resolve();
+
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+}
+
+// Scan outcome → alert style
+const SCAN_RESULT_CLASSES = { ok: 'alert-success', flagged: 'alert-warning', unknown: 'alert-error' };
+
+function showScanResult(text, type) {
+  const el = document.getElementById('scanResult');
+  el.textContent = text;
+  el.className = `alert ${SCAN_RESULT_CLASSES[type]}`;
+}
+
+function renderLines(lines) {
+  const container = document.getElementById('receivingLines');
+  container.classList.remove('loading');
+  container.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr><th>Item</th><th>SKU</th><th>UPC</th><th class="num">Ordered</th><th class="num">Previously Received</th><th class="num">Scanned</th></tr>
+      </thead>
+      <tbody>
+        ${lines.map(line => {
+          const total = line.received_quantity + line.scanned_quantity;
+          const rowClass = total > line.quantity_ordered ? 'row-warning' : (total === line.quantity_ordered ? 'row-success' : '');
+          const name = [line.item_name, line.variation_name].filter(Boolean).join(' — ');
+          return `
+            <tr class="${rowClass}">
+              <td>${escapeHtml(name)}</td>
+              <td>${escapeHtml(line.sku || '')}</td>
+              <td>${escapeHtml(line.upc || '')}</td>
+              <td class="num">${line.quantity_ordered}</td>
+              <td class="num">${line.received_quantity}</td>
+              <td class="num"><strong>${line.scanned_quantity}</strong></td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderScans(scans) {
+  const container = document.getElementById('receivingScans');
+  if (scans.length === 0) {
+    container.innerHTML = '<p>No scans yet.</p>';
+    return;
+  }
+  container.innerHTML = `
+    <table class="data-table">
+      <thead><tr><th>Barcode</th><th>Item</th><th class="num">Qty</th><th>Expiry / Lot</th><th></th><th></th></tr></thead>
+      <tbody>
+        ${scans.map(scan => `
+          <tr>
+            <td>${escapeHtml(scan.barcode)}</td>
+            <td>${escapeHtml(scan.description || '—')}</td>
+            <td class="num">${scan.quantity}</td>
+            <td>${scan.expiration_date ? escapeHtml([String(scan.expiration_date).slice(0, 10), scan.lot_code].filter(Boolean).join(' / ')) : ''}</td>
+            <td>${scan.flag ? `<span class="badge ${scan.flag === 'unknown' ? 'badge-error' : 'badge-warning'}">${escapeHtml(FLAG_LABELS[scan.flag] || scan.flag)}</span>` : ''}</td>
+            <td><button type="button" class="btn btn-secondary" data-action="undoScan" data-action-param="${scan.id}">Undo</button></td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderSession(session) {
+  renderLines(session.lines);
+  renderScans(session.scans);
+}
+
+async function startReceiving() {
+  if (!poId) {
+    showScanResult('No purchase order selected', 'unknown');
+    return;
+  }
+  try {
+    const po = await requestJson(`/api/purchase-orders/${encodeURIComponent(poId)}`);
+    document.getElementById('receivingTitle').textContent = `Receive ${po.po_number} — ${po.vendor_name}`;
+    const { session } = await requestJson(sessionUrl, { method: 'POST' });
+    renderSession(session);
+  } catch (error) {
+    console.error('Error starting receiving session:', error);
+    showScanResult(error.message, 'unknown');
+  }
+}
+
+async function refreshSession() {
+  const { session } = await requestJson(sessionUrl);
+  if (session) renderSession(session);
+}
+
+// GS1-128 / DataMatrix reads: symbology identifier, (AI) text, GS separator,
+// or a GTIN (01) followed by more AIs
+function isGs1Scan(value) {
+  return /^(\][A-Za-z]\d|\(\d{2})|\x1D/.test(value) || /^01\d{14}./.test(value);
+}
+
+async function sendScan(payload) {
+  try {
+    const { scan, gs1 } = await requestJson(`${sessionUrl}/scans`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const label = scan.description || scan.barcode;
+    const dated = scan.expiration_date
+      ? ` (${[String(scan.expiration_date).slice(0, 10), scan.lot_code].filter(Boolean).join(' / ')})`
+      : '';
+    const conflicts = gs1 && gs1.conflicts.length > 0 ? ` — ${gs1.conflicts.map(c => c.message).join('; ')}` : '';
+    if (!scan.flag) {
+      showScanResult(`+${scan.quantity} ${label}${dated}${conflicts}`, conflicts ? 'flagged' : 'ok');
+    } else {
+      showScanResult(`${FLAG_LABELS[scan.flag]}: +${scan.quantity} ${label}${dated}${conflicts}`, scan.flag === 'unknown' ? 'unknown' : 'flagged');
+    }
+    await refreshSession();
+  } catch (error) {
+    showScanResult(`${payload.barcode || payload.scan}: ${error.message}`, 'unknown');
+  }
+}
+
+function submitScan() {
+  const input = document.getElementById('scanInput');
+  const raw = input.value.trim();
+  const quantity = parseInt(document.getElementById('scanQuantity').value, 10) || 1;
+  // Expiry and lot stay filled in: a case of units usually shares them
+  const expirationDate = document.getElementById('scanExpiry').value;
+  const lotCode = document.getElementById('scanLotCode').value.trim();
+  input.value = '';
+  input.focus();
+  // A GS1 code carries its own expiry and lot; the fields above are for plain barcodes
+  const payload = isGs1Scan(raw)
+    ? { scan: raw, quantity }
+    : { barcode: raw.replace(/\D/g, ''), quantity, expiration_date: expirationDate || null, lot_code: lotCode || null };
+  if (!payload.scan && !payload.barcode) return;
+  // Scanners fire faster than the server answers; keep scans in order
+  scanInFlight = scanInFlight.then(() => sendScan(payload));
+}
+
+function handleScanKey(element, event) {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    submitScan();
+  }
+}
+
+async function undoScan(element, event, scanId) {
+  try {
+    await requestJson(`${sessionUrl}/scans/${encodeURIComponent(scanId)}`, { method: 'DELETE' });
+    await refreshSession();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function commitReceiving() {
+  if (!confirm('Record the scanned quantities as received?')) return;
+  try {
+    const result = await requestJson(`${sessionUrl}/commit`, { method: 'POST' });
+    const flagged = result.flagged.length > 0 ? ` ${result.flagged.length} flagged scans need follow-up.` : '';
+    alert(`Received ${result.received_lines} lines. PO is now ${result.purchase_order.status}.${flagged}`);
+    window.location.href = `/purchase-orders.html?po=${encodeURIComponent(poId)}`;
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function cancelReceiving() {
+  if (!confirm('Discard all scans in this session?')) return;
+  try {
+    await requestJson(sessionUrl, { method: 'DELETE' });
+    window.location.href = '/purchase-orders.html';
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+startReceiving();
+
+// Expose functions to global scope for event delegation
+window.submitScan = submitScan;
+window.handleScanKey = handleScanKey;
+window.undoScan = undoScan;
+window.commitReceiving = commitReceiving;
+window.cancelReceiving = cancelReceiving;
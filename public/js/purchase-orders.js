@@ -278,6 +278,18 @@ function renderPODetails() {
           <span class="po-info-label">Created</span>
           <span class="po-info-value">${formatDate(po.created_at)}</span>
         </div>
+        ${po.closed_at ? `
+          <div class="po-info-item">
+            <span class="po-info-label">Closed</span>
+            <span class="po-info-value">${formatDate(po.closed_at)} &middot; remainder ${po.closed_remainder === 'BACKORDERED' ? 'backordered' : 'cancelled'}</span>
+          </div>
+        ` : ''}
+        ${po.emailed_at ? `
+          <div class="po-info-item">
+            <span class="po-info-label">Emailed to Vendor</span>
+            <span class="po-info-value">${formatDate(po.emailed_at)} &middot; ${escapeHtml(po.emailed_to || '')}</span>
+          </div>
+        ` : ''}
         ${po.created_by ? `
           <div class="po-info-item">
             <span class="po-info-label">Created By</span>
@@ -340,6 +352,7 @@ function renderItemRow(item, index) {
       <td>
         <strong>${escapeHtml(item.item_name)}</strong>
         ${item.variation_name ? `<br><small>${escapeHtml(item.variation_name)}</small>` : ''}
+        ${item.backorder_of_item_id ? `<br><span class="backorder-tag">Backorder${item.backorder_of_po_number ? ` from ${escapeHtml(item.backorder_of_po_number)}` : ''}</span>` : ''}
       </td>
       <td>${escapeHtml(item.sku || '-')}</td>
       <td>${escapeHtml(item.vendor_code || '-')}</td>
@@ -419,6 +432,25 @@ function renderFooterButtons() {
       <button class="btn btn-secondary" data-action="closeModal">Close</button>
       <button class="btn btn-warning" data-action="enterEditMode">&#9999; Edit</button>
       <button class="btn btn-success" data-action="showSubmitConfirmation">&#10003; Submit PO</button>
+      <button class="btn btn-primary" data-action="showSendConfirmation">&#9993; Submit &amp; Email</button>
+    `;
+    modalFooter.style.display = 'flex';
+  } else if (po.status === 'SUBMITTED') {
+    // SUBMITTED PO buttons
+    modalFooter.innerHTML = `
+      <button class="btn btn-secondary" data-action="closeModal">Close</button>
+      ${emailButtonHTML(po)}
+      <a class="btn btn-success" href="/po-receiving.html?po=${encodeURIComponent(po.id)}">&#128230; Receive by Scan</a>
+    `;
+    modalFooter.style.display = 'flex';
+  } else if (po.status === 'RECEIVED' || po.status === 'PARTIAL' || po.status === 'CLOSED') {
+    // Received PO buttons
+    modalFooter.innerHTML = `
+      <button class="btn btn-secondary" data-action="closeModal">Close</button>
+      ${po.status === 'PARTIAL' ? emailButtonHTML(po) : ''}
+      ${po.status === 'PARTIAL' ? '<button class="btn btn-warning" data-action="showClosePOConfirmation">&#10006; Close PO</button>' : ''}
+      <a class="btn btn-secondary" href="/po-landed-costs.html?po=${encodeURIComponent(po.id)}">&#128666; Landed Costs</a>
+      <a class="btn btn-primary" href="/po-invoice.html?po=${encodeURIComponent(po.id)}">&#129534; Match Invoice</a>
     `;
     modalFooter.style.display = 'flex';
   } else {
@@ -430,6 +462,12 @@ function renderFooterButtons() {
   }
 }
 
+// Email / resend button for submitted POs
+function emailButtonHTML(po) {
+  const label = po.emailed_at ? '&#9993; Resend to Vendor' : '&#9993; Email to Vendor';
+  return `<button class="btn btn-primary" data-action="showSendConfirmation">${label}</button>`;
+}
+
 // Enter edit mode
 function enterEditMode() {
   isEditMode = true;
@@ -469,7 +507,8 @@ async function saveChanges() {
     items: po.items.map(item => ({
       variation_id: item.variation_id,
       quantity_ordered: item.quantity_ordered,
-      unit_cost_cents: item.unit_cost_cents
+      unit_cost_cents: item.unit_cost_cents,
+      backorder_of_item_id: item.backorder_of_item_id || null
     }))
   };
 
@@ -601,6 +640,127 @@ async function submitPO() {
   }
 }
 
+// Show send-to-vendor confirmation (submits first when the PO is a draft)
+function showSendConfirmation() {
+  const po = currentPO;
+  const isDraft = po.status === 'DRAFT';
+
+  document.getElementById('confirm-title').textContent = isDraft ? 'Submit & Email Purchase Order' : 'Email Purchase Order';
+  document.getElementById('confirm-body').innerHTML = `
+    <h3>Email ${escapeHtml(po.po_number)} to ${escapeHtml(po.vendor_name)}?</h3>
+    ${isDraft ? '<p>The PO will be submitted (and can no longer be edited) before it is emailed.</p>' : ''}
+    ${po.emailed_at ? `<p>Last emailed ${formatDate(po.emailed_at)} to ${escapeHtml(po.emailed_to || '')}.</p>` : ''}
+    <div class="form-group">
+      <label for="send-to-email">Send to</label>
+      <input type="email" id="send-to-email" class="form-input" value="${escapeAttr(po.vendor_contact_email || '')}" placeholder="vendor@example.com">
+    </div>
+    <p>A PDF of the purchase order will be attached.</p>
+  `;
+
+  const confirmBtn = document.getElementById('confirm-action-btn');
+  confirmBtn.textContent = isDraft ? 'Submit & Email' : 'Send Email';
+  confirmBtn.className = 'btn btn-primary';
+
+  confirmCallback = sendPO;
+  document.getElementById('confirm-modal').classList.add('active');
+}
+
+// Email PO to vendor
+async function sendPO() {
+  const po = currentPO;
+  const to = document.getElementById('send-to-email').value.trim();
+  if (!to) {
+    showToast('Enter the vendor email address', 'error');
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/purchase-orders/${po.id}/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ to })
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.message || result.error || 'Failed to email purchase order');
+    }
+
+    showToast(`Purchase order ${po.po_number} emailed to ${result.sent_to}`, 'success');
+    closeConfirmModal();
+    closeModal();
+    loadPurchaseOrders();
+
+  } catch (error) {
+    console.error('Failed to email PO:', error);
+    showToast(error.message, 'error');
+    closeConfirmModal();
+    // A draft may have been submitted even though the email failed
+    loadPurchaseOrders();
+  }
+}
+
+// Show close confirmation for a partially received PO
+function showClosePOConfirmation() {
+  const po = currentPO;
+  const shortLines = (po.items || []).filter(item => Number(item.received_quantity || 0) < Number(item.quantity_ordered));
+  const remaining = shortLines.reduce((sum, item) => sum + Number(item.quantity_ordered) - Number(item.received_quantity || 0), 0);
+
+  document.getElementById('confirm-title').textContent = 'Close Purchase Order';
+  document.getElementById('confirm-body').innerHTML = `
+    <h3>Close ${escapeHtml(po.po_number)}?</h3>
+    <p>${escapeHtml(String(remaining))} unit(s) on ${escapeHtml(String(shortLines.length))} line(s) were not received.</p>
+    <div class="form-group">
+      <label><input type="radio" name="close-remainder" value="backorder" checked>
+        Carry forward as backorder onto ${escapeHtml(po.vendor_name)}'s next draft PO</label>
+      <label><input type="radio" name="close-remainder" value="cancel">
+        Cancel the remaining quantity</label>
+    </div>
+    <p>Closed POs can no longer be received against.</p>
+  `;
+
+  const confirmBtn = document.getElementById('confirm-action-btn');
+  confirmBtn.textContent = 'Close PO';
+  confirmBtn.className = 'btn btn-warning';
+
+  confirmCallback = closePO;
+  document.getElementById('confirm-modal').classList.add('active');
+}
+
+// Close a partially received PO
+async function closePO() {
+  const po = currentPO;
+  const remainder = document.querySelector('input[name="close-remainder"]:checked').value;
+
+  try {
+    const response = await fetch(`/api/purchase-orders/${po.id}/close`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ remainder })
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.message || result.error || 'Failed to close purchase order');
+    }
+
+    const message = result.backorder
+      ? `PO ${po.po_number} closed; ${result.backorder.line_count} line(s) backordered onto ${result.backorder.po_number}`
+      : `PO ${po.po_number} closed`;
+    showToast(message, 'success');
+    closeConfirmModal();
+    closeModal();
+    loadPurchaseOrders();
+
+  } catch (error) {
+    console.error('Failed to close PO:', error);
+    showToast(error.message, 'error');
+    closeConfirmModal();
+  }
+}
+
 // Confirm action (generic handler)
 function confirmAction() {
   if (confirmCallback) {
@@ -746,6 +906,10 @@ function closeModal() {
 document.addEventListener('DOMContentLoaded', function() {
   loadPurchaseOrders();
 
+  // Review links in auto-draft emails open the PO directly (?po=<id>)
+  const linkedPoId = new URLSearchParams(window.location.search).get('po');
+  if (linkedPoId) viewPO(null, null, linkedPoId);
+
   // Close modal when clicking outside
   document.getElementById('view-po-modal').addEventListener('click', (e) => {
     if (e.target.id === 'view-po-modal') {
@@ -786,6 +950,8 @@ window.enterEditMode = enterEditMode;
 window.cancelEdit = cancelEdit;
 window.saveChanges = saveChanges;
 window.showSubmitConfirmation = showSubmitConfirmation;
+window.showSendConfirmation = showSendConfirmation;
+window.showClosePOConfirmation = showClosePOConfirmation;
 window.dismissToast = dismissToast;
 window.removeItem = removeItem;
 window.updateItemQuantity = updateItemQuantity;
@@ -571,6 +571,20 @@ function defaultReasonLabel(reason) {
   return labels[reason] || reason;
 }
 
+// Stock at other locations suggested to cover this row before ordering (links prefill a draft transfer)
+function renderTransferSuggestions(item) {
+  return (item.transfer_suggestions || []).map(t => {
+    const params = new URLSearchParams({
+      from: t.from_location_id,
+      to: item.location_id,
+      variation_id: item.variation_id,
+      name: [item.item_name, item.variation_name].filter(Boolean).join(' — '),
+      quantity: t.quantity
+    });
+    return `<br><a href="stock-transfers.html?${escapeAttr(params.toString())}" style="color: #0d9488; font-size: 12px;" title="Surplus at ${escapeAttr(t.from_location_name)}; already deducted from the order quantity">🔁 Transfer ${t.quantity} from ${escapeHtml(t.from_location_name)}</a>`;
+  }).join('');
+}
+
 function renderTable() {
   const tbody = document.getElementById('suggestions-body');
 
@@ -801,6 +815,8 @@ function renderTable() {
           ${cappedByMax ? '<br><small style="color: #f59e0b;">⚠️ Capped at max</small>' : ''}
           ${item.conflict === 'min_exceeds_max' ? `<br><span class="reorder-minmax-conflict" title="Fix in catalog settings">⚠ Min/max conflict: min=${item.conflict_detail ? item.conflict_detail.stock_alert_min : item.stock_alert_min}, max=${item.conflict_detail ? item.conflict_detail.stock_alert_max : item.stock_alert_max} — fix in catalog settings</span>` : ''}
           ${item.pending_po_quantity > 0 ? `<br><small style="color: #3b82f6;" title="${item.pending_po_quantity} units pending in unreceived POs">📦 ${item.pending_po_quantity} on order</small>` : ''}
+          ${item.pending_transfer_quantity > 0 ? `<br><small style="color: #0d9488;" title="${item.pending_transfer_quantity} units on draft or shipped transfers to this location">🔁 ${item.pending_transfer_quantity} inbound</small>` : ''}
+          ${renderTransferSuggestions(item)}
         </td>
         <td class="text-right editable-cell">
           <input type="number"
@@ -829,7 +845,7 @@ function renderTable() {
                  style="width: 70px;">
         </td>
         <td class="text-right">${item.retail_price_cents ? '$' + (item.retail_price_cents / 100).toFixed(2) : '-'}</td>
-        <td class="text-right ${item.gross_margin_percent !== null ? (item.gross_margin_percent >= 40 ? 'velocity-fast' : item.gross_margin_percent >= 20 ? 'velocity-moderate' : 'days-critical') : ''}">${item.gross_margin_percent !== null ? item.gross_margin_percent.toFixed(1) + '%' : '-'}</td>
+        <td class="text-right ${item.gross_margin_percent !== null ? (item.gross_margin_percent >= 40 ? 'velocity-fast' : item.gross_margin_percent >= 20 ? 'velocity-moderate' : 'days-critical') : ''}"${item.landed_unit_cost_cents != null ? ` title="Margin on landed cost $${(item.landed_unit_cost_cents / 100).toFixed(2)} (vendor cost + receipt charges)"` : ''}>${item.gross_margin_percent !== null ? item.gross_margin_percent.toFixed(1) + '%' : '-'}</td>
         <td class="text-right" id="line-total-${item.variation_id}"><strong>$${totalCost}</strong></td>
         <td class="clickable ${needsReorderResistance ? 'vendor-code-expiring' : ''}" data-action="copyToClipboard" data-action-param="${escapeJsString(item.vendor_code || '')}" data-copy-label="Vendor Code" title="${needsReorderResistance ? 'EXPIRING ITEM - Click to copy Vendor Code (still works)' : 'Click to copy Vendor Code'}">${escapeHtml(item.vendor_code)}</td>
       </tr>
@@ -524,7 +524,10 @@ async function loadMerchantSettings() {
     }
 
     // Populate checkboxes
-    const checkboxFields = ['cycle_count_email_enabled', 'cycle_count_report_email', 'low_stock_alerts_enabled'];
+    const checkboxFields = [
+      'cycle_count_email_enabled', 'cycle_count_report_email', 'low_stock_alerts_enabled',
+      'reorder_use_observed_lead_time'
+    ];
     for (const field of checkboxFields) {
       const el = document.getElementById(field);
       if (el) {
@@ -568,7 +571,10 @@ async function saveMerchantSettings() {
     }
 
     // Collect checkbox fields
-    const checkboxFields = ['cycle_count_email_enabled', 'cycle_count_report_email', 'low_stock_alerts_enabled'];
+    const checkboxFields = [
+      'cycle_count_email_enabled', 'cycle_count_report_email', 'low_stock_alerts_enabled',
+      'reorder_use_observed_lead_time'
+    ];
     for (const field of checkboxFields) {
       const el = document.getElementById(field);
       if (el) {
@@ -632,6 +638,7 @@ async function resetMerchantSettingsToDefaults() {
     document.getElementById('cycle_count_email_enabled').checked = defaults.cycle_count_email_enabled !== false;
     document.getElementById('cycle_count_report_email').checked = defaults.cycle_count_report_email !== false;
     document.getElementById('low_stock_alerts_enabled').checked = defaults.low_stock_alerts_enabled !== false;
+    document.getElementById('reorder_use_observed_lead_time').checked = defaults.reorder_use_observed_lead_time === true;
 
     // Save the defaults
     await saveMerchantSettings();
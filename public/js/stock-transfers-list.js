@@ -0,0 +1,100 @@
+/**
+ * Stock Transfers page: transfer list and detail panel.
+ * Split out of public/js/stock-transfers.js to keep that file under 300 lines.
+ *
+ * Depends on: escapeHtml (from utils/escape.js), showToast (from utils/toast.js),
+ * requestJson, variationLabel and selectedTransferId (from stock-transfers.js)
+ */
+
+// DRAFT and anything unknown show as gray
+const STATUS_BADGES = { SHIPPED: 'badge-info', RECEIVED: 'badge-success' };
+
+async function loadTransfers() {
+  const status = document.getElementById('statusFilter').value;
+  const query = status ? `?status=${encodeURIComponent(status)}` : '';
+  try {
+    const { transfers } = await requestJson(`/api/stock-transfers${query}`);
+    document.getElementById('transfersList').innerHTML = transfers.length === 0
+      ? '<p class="text-muted">No stock transfers yet.</p>'
+      : `
+        <table class="data-table">
+          <thead>
+            <tr><th>Transfer #</th><th>From</th><th>To</th><th>Status</th><th class="num">Lines</th><th class="num">Units</th><th>Created</th></tr>
+          </thead>
+          <tbody>
+            ${transfers.map(t => `
+              <tr class="${t.id === selectedTransferId ? 'selected' : ''}" data-action="showTransfer" data-action-param="${t.id}">
+                <td>${escapeHtml(t.transfer_number)}</td>
+                <td>${escapeHtml(t.from_location_name)}</td>
+                <td>${escapeHtml(t.to_location_name)}</td>
+                <td><span class="badge ${STATUS_BADGES[t.status] || 'badge-gray'}">${escapeHtml(t.status)}</span></td>
+                <td class="num">${t.item_count}</td>
+                <td class="num">${t.total_quantity}</td>
+                <td>${escapeHtml(String(t.created_at).split('T')[0])}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    if (selectedTransferId) await showTransfer(null, null, selectedTransferId);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function renderTransferActions(transfer) {
+  if (transfer.status === 'DRAFT') {
+    return `
+      <button type="button" class="btn btn-secondary" data-action="deleteTransfer">Delete Draft</button>
+      <button type="button" class="btn btn-success" data-action="shipTransfer">Ship Transfer</button>
+    `;
+  }
+  if (transfer.status === 'SHIPPED') {
+    return '<button type="button" class="btn btn-success" data-action="receiveTransfer">Receive Transfer</button>';
+  }
+  return '';
+}
+
+function renderTransferDetail(transfer) {
+  const isDraft = transfer.status === 'DRAFT';
+  document.getElementById('transferDetail').innerHTML = `
+    <h2>${escapeHtml(transfer.transfer_number)} — ${escapeHtml(transfer.from_location_name)} → ${escapeHtml(transfer.to_location_name)}</h2>
+    <div class="summary-figures">
+      <div>Status<strong><span class="badge ${STATUS_BADGES[transfer.status] || 'badge-gray'}">${escapeHtml(transfer.status)}</span></strong></div>
+      <div>Shipped<strong>${transfer.status !== 'DRAFT' && transfer.shipped_at ? escapeHtml(String(transfer.shipped_at).split('T')[0]) : '—'}</strong></div>
+      <div>Received<strong>${transfer.status === 'RECEIVED' && transfer.received_at ? escapeHtml(String(transfer.received_at).split('T')[0]) : '—'}</strong></div>
+      <div>Notes<strong>${escapeHtml(transfer.notes || '—')}</strong></div>
+    </div>
+    <table class="data-table">
+      <thead>
+        <tr><th>Item</th><th>SKU</th><th class="num">Qty</th><th class="num">On hand (from)</th><th class="num">On hand (to)</th></tr>
+      </thead>
+      <tbody>
+        ${transfer.items.map(item => `
+          <tr>
+            <td>${escapeHtml(variationLabel(item))}</td>
+            <td>${escapeHtml(item.sku || '')}</td>
+            <td class="num">${item.quantity}</td>
+            <td class="num ${isDraft && Number(item.from_on_hand) < item.quantity ? 'cell-alert' : ''}">${Number(item.from_on_hand)}</td>
+            <td class="num">${Number(item.to_on_hand)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <div class="page-actions">${renderTransferActions(transfer)}</div>
+  `;
+}
+
+async function showTransfer(element, event, transferId) {
+  try {
+    const { transfer } = await requestJson(`/api/stock-transfers/${encodeURIComponent(transferId)}`);
+    selectedTransferId = transfer.id;
+    renderTransferDetail(transfer);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Expose functions to global scope for event delegation
+window.loadTransfers = loadTransfers;
+window.showTransfer = showTransfer;
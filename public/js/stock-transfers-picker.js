@@ -0,0 +1,109 @@
+/**
+ * Stock Transfers page: draft transfer builder.
+ * Item search, the draft lines table and the reorder-suggestion prefill.
+ * Split out of public/js/stock-transfers.js to keep that file under 300 lines.
+ *
+ * Depends on: escapeHtml (from utils/escape.js), showToast (from utils/toast.js),
+ * requestJson and variationLabel (from stock-transfers.js)
+ */
+
+const draftLines = new Map(); // variation_id → { variation_id, label, quantity }
+let searchResultsCache = {};
+
+// Prefill from a reorder suggestion link (?from=&to=&variation_id=&name=&quantity=)
+function applyPrefill() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.get('variation_id')) return;
+  if (params.get('from')) document.getElementById('fromLocation').value = params.get('from');
+  if (params.get('to')) document.getElementById('toLocation').value = params.get('to');
+  draftLines.set(params.get('variation_id'), {
+    variation_id: params.get('variation_id'),
+    label: params.get('name') || params.get('variation_id'),
+    quantity: parseInt(params.get('quantity')) || 1
+  });
+}
+
+function renderDraftLines() {
+  const container = document.getElementById('draftLines');
+  if (draftLines.size === 0) {
+    container.innerHTML = '<p class="text-muted">Search for items to add to the transfer.</p>';
+    return;
+  }
+  container.innerHTML = `
+    <table class="data-table">
+      <thead><tr><th>Item</th><th class="num">Quantity</th><th></th></tr></thead>
+      <tbody>
+        ${[...draftLines.values()].map(line => `
+          <tr>
+            <td>${escapeHtml(line.label)}</td>
+            <td class="num">
+              <input type="number" class="form-input" min="1" value="${line.quantity}"
+                     data-variation-id="${escapeHtml(line.variation_id)}" data-change="updateDraftQuantity">
+            </td>
+            <td><button type="button" class="btn btn-secondary" data-action="removeDraftLine" data-action-param="${escapeHtml(line.variation_id)}">Remove</button></td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function searchItems() {
+  const query = document.getElementById('itemSearch').value.trim();
+  const resultsElem = document.getElementById('searchResults');
+  if (!query) {
+    resultsElem.innerHTML = '';
+    return;
+  }
+  try {
+    const { variations = [] } = await requestJson(`/api/variations?search=${encodeURIComponent(query)}&limit=20`);
+    searchResultsCache = {};
+    variations.forEach(v => { searchResultsCache[v.id] = v; });
+    resultsElem.innerHTML = variations.length === 0
+      ? '<p class="text-muted">No items found.</p>'
+      : variations.map(v => `
+        <div class="search-result" data-action="addDraftLine" data-action-param="${escapeHtml(v.id)}">
+          <strong>${escapeHtml(variationLabel(v))}</strong> · SKU: ${escapeHtml(v.sku || '-')}
+        </div>
+      `).join('');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function searchOnEnter(element, event) {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    searchItems();
+  }
+}
+
+function addDraftLine(element, event, variationId) {
+  const variation = searchResultsCache[variationId];
+  if (!variation) return;
+  const existing = draftLines.get(variationId);
+  if (existing) {
+    existing.quantity += 1;
+  } else {
+    draftLines.set(variationId, { variation_id: variationId, label: variationLabel(variation), quantity: 1 });
+  }
+  renderDraftLines();
+}
+
+function updateDraftQuantity(input) {
+  const line = draftLines.get(input.dataset.variationId);
+  const quantity = parseInt(input.value);
+  if (line && quantity > 0) line.quantity = quantity;
+}
+
+function removeDraftLine(element, event, variationId) {
+  draftLines.delete(variationId);
+  renderDraftLines();
+}
+
+// Expose functions to global scope for event delegation
+window.searchItems = searchItems;
+window.searchOnEnter = searchOnEnter;
+window.addDraftLine = addDraftLine;
+window.updateDraftQuantity = updateDraftQuantity;
+window.removeDraftLine = removeDraftLine;
@@ -0,0 +1,127 @@
+/**
+ * Stock Transfers page JavaScript
+ * Builds draft transfers between locations (optionally prefilled from a
+ * reorder suggestion link), lists transfers, and moves them through
+ * DRAFT → SHIPPED (in transit in Square) → RECEIVED (in stock at destination).
+ * The draft builder is in stock-transfers-picker.js and the list / detail
+ * panel in stock-transfers-list.js.
+ */
+
+let locations = [];
+let selectedTransferId = null;
+
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+}
+
+function postJson(url, body) {
+  return requestJson(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+}
+
+const variationLabel = row => [row.item_name, row.variation_name || row.name].filter(Boolean).join(' — ');
+
+async function loadLocations() {
+  const data = await requestJson('/api/locations');
+  // Handle both flat ({ locations: [...] }) and nested ({ locations: { count, locations } }) shapes
+  const rawLocations = data.locations || [];
+  locations = (Array.isArray(rawLocations) ? rawLocations : (rawLocations.locations || []))
+    .filter(loc => loc.active);
+  const options = locations
+    .map(loc => `<option value="${escapeHtml(loc.id)}">${escapeHtml(loc.name)}</option>`)
+    .join('');
+  document.getElementById('fromLocation').innerHTML = options;
+  document.getElementById('toLocation').innerHTML = options;
+  if (locations.length > 1) document.getElementById('toLocation').value = locations[1].id;
+}
+
+async function createTransfer() {
+  const fromLocationId = document.getElementById('fromLocation').value;
+  const toLocationId = document.getElementById('toLocation').value;
+  if (fromLocationId === toLocationId) {
+    showToast('Choose two different locations', 'error');
+    return;
+  }
+  if (draftLines.size === 0) {
+    showToast('Add at least one item', 'error');
+    return;
+  }
+  try {
+    const { transfer } = await postJson('/api/stock-transfers', {
+      from_location_id: fromLocationId,
+      to_location_id: toLocationId,
+      notes: document.getElementById('transferNotes').value.trim() || undefined,
+      items: [...draftLines.values()].map(line => ({ variation_id: line.variation_id, quantity: line.quantity }))
+    });
+    showToast(`Transfer ${transfer.transfer_number} created`, 'success');
+    draftLines.clear();
+    renderDraftLines();
+    document.getElementById('transferNotes').value = '';
+    selectedTransferId = transfer.id;
+    await loadTransfers();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function runTransferAction(request, successMessage) {
+  try {
+    await request();
+    showToast(successMessage, 'success');
+    await loadTransfers();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function transferUrl(suffix = '') {
+  return `/api/stock-transfers/${encodeURIComponent(selectedTransferId)}${suffix}`;
+}
+
+async function shipTransfer() {
+  if (!confirm('Ship this transfer? The quantities will be moved to in-transit in Square at the source location.')) return;
+  await runTransferAction(() => postJson(transferUrl('/ship')), 'Transfer shipped — inventory updated');
+}
+
+async function receiveTransfer() {
+  if (!confirm('Receive this transfer? The quantities will be added to stock in Square at the destination.')) return;
+  await runTransferAction(() => postJson(transferUrl('/receive')), 'Transfer received — inventory updated');
+}
+
+async function deleteTransfer() {
+  if (!confirm('Delete this draft transfer?')) return;
+  try {
+    await requestJson(transferUrl(), { method: 'DELETE' });
+    selectedTransferId = null;
+    document.getElementById('transferDetail').innerHTML = '';
+    await loadTransfers();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function init() {
+  try {
+    await loadLocations();
+    applyPrefill();
+    renderDraftLines();
+    await loadTransfers();
+  } catch (error) {
+    console.error('Error loading stock transfers:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+init();
+
+// Expose functions to global scope for event delegation
+window.createTransfer = createTransfer;
+window.shipTransfer = shipTransfer;
+window.receiveTransfer = receiveTransfer;
+window.deleteTransfer = deleteTransfer;
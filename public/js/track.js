@@ -0,0 +1,123 @@
+/**
+ * Customer delivery tracking page JavaScript
+ * Public page opened from a tracking link; refreshes the ETA periodically.
+ */
+
+const urlParams = new URLSearchParams(window.location.search);
+const token = urlParams.get('token');
+
+// Refresh interval while the order is still on its way
+const REFRESH_MS = 60 * 1000;
+
+let refreshTimer = null;
+
+const STATUS_TEXT = {
+  scheduled: 'Scheduled',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  attempted: 'Delivery attempted'
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (!token) {
+    showError('No tracking token provided', 'Please use the link you were sent.');
+    return;
+  }
+  loadTracking();
+});
+
+async function loadTracking() {
+  try {
+    const response = await fetch(`/api/track/${token}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      stopRefresh();
+      showError(data.error || 'Unable to load tracking', 'This link may have expired or been revoked.');
+      return;
+    }
+
+    renderTracking(data.tracking);
+
+    if (data.tracking.status === 'delivered' || data.tracking.status === 'attempted') {
+      stopRefresh();
+    } else if (!refreshTimer) {
+      refreshTimer = setInterval(loadTracking, REFRESH_MS);
+    }
+  } catch (error) {
+    console.error('Error loading tracking:', error);
+    // Keep polling; a dropped connection shouldn't end tracking
+    if (!refreshTimer) {
+      showError('Unable to load tracking', 'Please check your internet connection and try again.');
+    }
+  }
+}
+
+function stopRefresh() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+function formatWindow(window) {
+  if (!window || (!window.start && !window.end)) return '';
+  // Window times arrive as HH:MM[:SS]
+  const clip = t => (t ? t.slice(0, 5) : '');
+  if (window.start && window.end) return `${clip(window.start)} – ${clip(window.end)}`;
+  return window.start ? `after ${clip(window.start)}` : `before ${clip(window.end)}`;
+}
+
+function renderTracking(tracking) {
+  document.getElementById('merchantName').textContent = tracking.merchantName || '';
+
+  const lines = [];
+  if (tracking.status === 'delivered') {
+    if (tracking.deliveredAt) {
+      lines.push(`Delivered at ${escapeHtml(formatDateTime(tracking.deliveredAt))}`);
+    }
+    if (tracking.proofOfDelivery && tracking.proofOfDelivery.captured) {
+      lines.push('Proof of delivery photo captured');
+    }
+  } else if (tracking.status === 'out_for_delivery') {
+    if (tracking.stopsAhead != null) {
+      lines.push(tracking.stopsAhead === 0
+        ? 'You are the next stop'
+        : `${tracking.stopsAhead} stop${tracking.stopsAhead === 1 ? '' : 's'} before yours`);
+    }
+  } else if (tracking.status === 'scheduled' && tracking.routeDate) {
+    lines.push(`Scheduled for ${escapeHtml(formatDate(tracking.routeDate))}`);
+  }
+
+  const windowText = formatWindow(tracking.window);
+  if (windowText && tracking.status !== 'delivered') {
+    lines.push(`Delivery window: ${escapeHtml(windowText)}`);
+  }
+
+  const statusClass = tracking.status === 'delivered' || tracking.status === 'attempted' ? tracking.status : '';
+  const etaHtml = tracking.eta
+    ? `<div class="eta">${escapeHtml(formatTime(tracking.eta))}</div><div class="eta-caption">Estimated arrival</div>`
+    : '';
+
+  document.getElementById('trackingContent').innerHTML = `
+    <div class="track-card">
+      <div class="status-label ${statusClass}">${escapeHtml(STATUS_TEXT[tracking.status] || tracking.status)}</div>
+      ${etaHtml}
+      ${lines.map(line => `<div class="track-detail">${line}</div>`).join('')}
+    </div>
+  `;
+  document.getElementById('updatedAt').textContent = `Updated ${formatTime(new Date())}`;
+}
+
+function showError(title, message) {
+  document.getElementById('trackingContent').innerHTML = `
+    <div class="error-state">
+      <h2>${escapeHtml(title)}</h2>
+      <p>${escapeHtml(message)}</p>
+    </div>
+  `;
+}
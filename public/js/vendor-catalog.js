@@ -569,6 +569,12 @@
       return `<span class="margin ${marginClass}">${Number(margin).toFixed(1)}%</span>`;
     }
 
+    // Format margin as plain text (printable price report window)
+    function formatReportMargin(margin) {
+      if (margin === null || margin === undefined) return '-';
+      return `${Number(margin).toFixed(1)}%`;
+    }
+
     // Load stats
     async function loadStats() {
       try {
@@ -1247,6 +1253,8 @@
         <th class="right">Our Price</th>
         <th class="right">Vendor SRP</th>
         <th class="right">Vendor Cost</th>
+        <th class="right" title="Vendor cost plus per-unit receipt charges (freight, duty, brokerage)">Landed Cost</th>
+        <th class="right" title="Margin on landed cost at our price / at vendor SRP">Margin (Ours / SRP)</th>
         <th class="right">Difference</th>
         <th>Match</th>
       </tr>
@@ -1266,6 +1274,8 @@
         <td class="right">${formatMoney(p.our_price_cents)}</td>
         <td class="right">${formatMoney(p.vendor_srp_cents)}</td>
         <td class="right">${formatMoney(p.vendor_cost_cents)}</td>
+        <td class="right">${formatMoney(p.landed_cost_cents)}</td>
+        <td class="right">${formatReportMargin(p.margin_percent)} / ${formatReportMargin(p.srp_margin_percent)}</td>
         <td class="right ${diffClass}">${diffSign}${formatMoney(p.price_diff_cents)} (${diffSign}${(p.price_diff_percent ?? 0).toFixed(1)}%)</td>
         <td>${p.match_method || '-'}</td>
       </tr>
@@ -1286,7 +1296,7 @@
       const csvBtn = reportWindow.document.getElementById('downloadCSVBtn');
       if (csvBtn) {
         csvBtn.addEventListener('click', function() {
-          const headers = ['Our SKU','Item Name','UPC','Vendor Item #','Our Price','Vendor SRP','Vendor Cost','Diff ($)','Diff (%)','Match Method'];
+          const headers = ['Our SKU','Item Name','UPC','Vendor Item #','Our Price','Vendor SRP','Vendor Cost','Landed Cost','Margin (%)','Margin at SRP (%)','Diff ($)','Diff (%)','Match Method'];
           const rows = report.priceUpdates.map(p => [
             p.our_sku || '',
             '"' + (p.our_item_name || p.product_name || '').replace(/"/g, '""') + '"',
@@ -1295,6 +1305,9 @@
             ((p.our_price_cents ?? 0) / 100).toFixed(2),
             ((p.vendor_srp_cents ?? 0) / 100).toFixed(2),
             ((p.vendor_cost_cents ?? 0) / 100).toFixed(2),
+            p.landed_cost_cents != null ? (p.landed_cost_cents / 100).toFixed(2) : '',
+            p.margin_percent != null ? p.margin_percent.toFixed(1) : '',
+            p.srp_margin_percent != null ? p.srp_margin_percent.toFixed(1) : '',
             ((p.price_diff_cents ?? 0) / 100).toFixed(2),
             (p.price_diff_percent ?? 0).toFixed(1),
             p.match_method || ''
@@ -1457,7 +1470,7 @@
       }
 
       const report = lastPriceReport;
-      const headers = ['Our SKU','Item Name','UPC','Vendor Item #','Our Price','Vendor SRP','Vendor Cost','Diff ($)','Diff (%)','Match Method','Action'];
+      const headers = ['Our SKU','Item Name','UPC','Vendor Item #','Our Price','Vendor SRP','Vendor Cost','Landed Cost','Margin (%)','Margin at SRP (%)','Diff ($)','Diff (%)','Match Method','Action'];
 
       const rows = report.priceUpdates.map(p => [
         p.our_sku || '',
@@ -1467,6 +1480,9 @@
         ((p.our_price_cents ?? 0) / 100).toFixed(2),
         ((p.vendor_srp_cents ?? 0) / 100).toFixed(2),
         ((p.vendor_cost_cents ?? 0) / 100).toFixed(2),
+        p.landed_cost_cents != null ? (p.landed_cost_cents / 100).toFixed(2) : '',
+        p.margin_percent != null ? p.margin_percent.toFixed(1) : '',
+        p.srp_margin_percent != null ? p.srp_margin_percent.toFixed(1) : '',
         ((p.price_diff_cents ?? 0) / 100).toFixed(2),
         (p.price_diff_percent ?? 0).toFixed(1),
         p.match_method || '',
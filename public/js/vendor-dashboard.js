@@ -253,6 +253,7 @@
                   (v.addon_cutoff_time ? ' at ' + v.addon_cutoff_time : '')
                 : 'Disabled') +
             '</div>' +
+            renderDeliveryStatsSection(v) +
             '<div class="detail-section">' +
               '<h4>Notes</h4>' +
               '<textarea class="detail-notes" readonly>' + escapeHtml(v.notes || '') + '</textarea>' +
@@ -307,6 +308,7 @@
               '<textarea id="field-notes-' + vid + '">' + escapeHtml(v.notes || '') + '</textarea>' +
             '</div>' +
             renderAddonCutoffFormGroup(v, vid) +
+            renderPoEmailFormGroup(v, vid) +
           '</div>' +
           '<div class="form-actions">' +
             '<button class="btn btn-green" data-action="saveVendorSettings" data-action-param="' + vid + '">Save</button>' +
@@ -321,6 +323,42 @@
       '</span><span class="detail-value">' + escapeHtml(value || 'N/A') + '</span></div>';
   }
 
+  // Observed lead time / fill rate from received PO history (last 12 months)
+  function renderDeliveryStatsSection(v) {
+    var s = v.delivery_stats;
+    var rows;
+    if (!s) {
+      rows = '<div class="detail-row"><span class="detail-value">No received purchase orders yet</span></div>';
+    } else {
+      var planning = s.planning_lead_time_days != null ? ' (used for reorders)' : '';
+      rows = detailRow('Received POs', String(s.received_po_count)) +
+        detailRow('Lead Time (mean)', s.mean_lead_time_days != null ? s.mean_lead_time_days + ' days' : null) +
+        detailRow('Lead Time (p90)', s.p90_lead_time_days != null ? s.p90_lead_time_days + ' days' + planning : null) +
+        detailRow('Fill Rate', s.fill_rate != null ? Math.round(s.fill_rate * 1000) / 10 + '%' : null) +
+        detailRow('Lines Short-shipped', s.short_line_pct + '% of ' + s.line_count) +
+        (s.planning_extra_safety_days > 0 ? detailRow('Extra Safety', '+' + s.planning_extra_safety_days + ' days') : '');
+    }
+    return '<div class="detail-section">' +
+      '<h4>Delivery History</h4>' +
+      rows +
+    '</div>';
+  }
+
+  // Per-vendor PO email template; blank fields use the built-in default
+  function renderPoEmailFormGroup(v, vid) {
+    var hint = 'Placeholders: {{po_number}}, {{vendor_name}}, {{contact_name}}, {{business_name}}, ' +
+      '{{expected_delivery_date}}, {{location_name}}, {{order_total}}. Leave blank for the default.';
+    return '<div class="form-group" style="grid-column: 1 / -1">' +
+        '<label>PO Email Subject</label>' +
+        '<input type="text" id="field-po_email_subject-' + vid + '" maxlength="200" value="' + escapeAttr(v.po_email_subject || '') + '" placeholder="Purchase Order {{po_number}} from {{business_name}}">' +
+      '</div>' +
+      '<div class="form-group" style="grid-column: 1 / -1">' +
+        '<label>PO Email Message</label>' +
+        '<textarea id="field-po_email_body-' + vid + '" maxlength="5000">' + escapeHtml(v.po_email_body || '') + '</textarea>' +
+        '<small>' + escapeHtml(hint) + '</small>' +
+      '</div>';
+  }
+
   function formGroup(label, innerHtml) {
     return '<div class="form-group"><label>' + escapeHtml(label) + '</label>' + innerHtml + '</div>';
   }
@@ -457,6 +495,8 @@
       order_method: getVal('order_method') || null,
       default_supply_days: getVal('default_supply_days') !== '' ? parseInt(getVal('default_supply_days')) : null,
       notes: getVal('notes') || null,
+      po_email_subject: getVal('po_email_subject') || null,
+      po_email_body: getVal('po_email_body') || null,
       addon_cutoff_enabled: addonEnabled,
       addon_cutoff_day: addonEnabled ? addonDay : null,
       addon_cutoff_time: addonEnabled ? addonTime : null
@@ -0,0 +1,91 @@
+/**
+ * Vendor Returns page: expired-stock candidates.
+ * Groups expired stock at the selected location by vendor and turns a
+ * group's checked rows into a draft return.
+ * Split out of public/js/vendor-returns.js to keep that file under 300 lines.
+ *
+ * Depends on: escapeHtml (from utils/escape.js), showToast (from utils/toast.js),
+ * formatCurrency (from utils/format-currency.js), requestJson, postJson,
+ * selectedLocationId, selectedReturnId and loadReturns (from vendor-returns.js)
+ */
+
+let candidatesByVendor = new Map();
+
+function renderCandidateGroup(vendorId, rows) {
+  return `
+    <div class="panel-box">
+      <div class="section-header">
+        <strong>${escapeHtml(rows[0].vendor_name)}</strong>
+        <button type="button" class="btn btn-primary" data-action="createReturnForVendor" data-action-param="${escapeHtml(vendorId)}">
+          Create Return
+        </button>
+      </div>
+      <table class="data-table">
+        <thead>
+          <tr><th></th><th>Item</th><th>Vendor Code</th><th>Expired</th><th class="num">On Hand</th><th class="num">Unit Cost</th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr>
+              <td><input type="checkbox" class="candidate-check" data-vendor="${escapeHtml(vendorId)}" value="${escapeHtml(row.variation_id)}" checked></td>
+              <td>${escapeHtml([row.item_name, row.variation_name].filter(Boolean).join(' — '))}</td>
+              <td>${escapeHtml(row.vendor_code || '')}</td>
+              <td>${row.expiration_date ? escapeHtml(String(row.expiration_date).split('T')[0]) : ''}</td>
+              <td class="num">${row.on_hand}</td>
+              <td class="num">${formatCurrency(row.unit_cost_cents)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+async function loadCandidates() {
+  const container = document.getElementById('candidates');
+  try {
+    const params = new URLSearchParams({ location_id: selectedLocationId() });
+    const { candidates } = await requestJson(`/api/vendor-returns/candidates?${params}`);
+    candidatesByVendor = new Map();
+    for (const row of candidates) {
+      if (!candidatesByVendor.has(row.vendor_id)) candidatesByVendor.set(row.vendor_id, []);
+      candidatesByVendor.get(row.vendor_id).push(row);
+    }
+    container.innerHTML = candidates.length === 0
+      ? '<p class="text-muted">No expired stock on hand at this location.</p>'
+      : [...candidatesByVendor].map(([vendorId, rows]) => renderCandidateGroup(vendorId, rows)).join('');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function createReturnForVendor(element, event, vendorId) {
+  const checked = new Set([...document.querySelectorAll('.candidate-check:checked')]
+    .filter(box => box.dataset.vendor === vendorId)
+    .map(box => box.value));
+  const rows = (candidatesByVendor.get(vendorId) || []).filter(row => checked.has(row.variation_id));
+  if (rows.length === 0) {
+    showToast('Select at least one item to return', 'error');
+    return;
+  }
+  try {
+    const { vendor_return } = await postJson('/api/vendor-returns', {
+      vendor_id: vendorId,
+      location_id: selectedLocationId(),
+      items: rows.map(row => ({
+        variation_id: row.variation_id,
+        quantity: row.suggested_quantity,
+        reason: row.suggested_reason
+      }))
+    });
+    showToast(`Return ${vendor_return.return_number} created`, 'success');
+    selectedReturnId = vendor_return.id;
+    await loadReturns();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Expose functions to global scope for event delegation
+window.loadCandidates = loadCandidates;
+window.createReturnForVendor = createReturnForVendor;
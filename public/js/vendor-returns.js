@@ -0,0 +1,224 @@
+/**
+ * Vendor Returns page JavaScript
+ * Lists return (RMA) documents, turns expired stock from the expiry tiers into
+ * draft returns (one per vendor), and moves returns through
+ * DRAFT → SENT (stock removed from Square) → CREDITED.
+ * Expired-stock candidates are rendered by vendor-returns-candidates.js.
+ */
+
+const REASON_LABELS = {
+  DAMAGED: 'Damaged',
+  EXPIRED: 'Expired',
+  SHORT_DATED: 'Short-dated',
+  DEFECTIVE: 'Defective',
+  WRONG_ITEM: 'Wrong item',
+  OVERSTOCK: 'Overstock',
+  RECALL: 'Recall',
+  OTHER: 'Other'
+};
+
+// DRAFT and anything unknown show as gray
+const STATUS_BADGES = { SENT: 'badge-info', CREDITED: 'badge-success' };
+
+let selectedReturnId = null;
+
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+}
+
+function postJson(url, body) {
+  return requestJson(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+}
+
+function selectedLocationId() {
+  return document.getElementById('locationSelect').value;
+}
+
+async function loadLocations() {
+  const data = await requestJson('/api/locations');
+  // Handle both flat ({ locations: [...] }) and nested ({ locations: { count, locations } }) shapes
+  const rawLocations = data.locations || [];
+  const locations = Array.isArray(rawLocations) ? rawLocations : (rawLocations.locations || []);
+  document.getElementById('locationSelect').innerHTML = locations
+    .filter(loc => loc.active)
+    .map(loc => `<option value="${escapeHtml(loc.id)}">${escapeHtml(loc.name)}</option>`)
+    .join('');
+}
+
+async function loadReturns() {
+  const status = document.getElementById('statusFilter').value;
+  const query = status ? `?status=${encodeURIComponent(status)}` : '';
+  try {
+    const { returns } = await requestJson(`/api/vendor-returns${query}`);
+    document.getElementById('returnsList').innerHTML = returns.length === 0
+      ? '<p class="text-muted">No vendor returns yet.</p>'
+      : `
+        <table class="data-table">
+          <thead>
+            <tr><th>Return #</th><th>Vendor</th><th>Location</th><th>PO</th><th>Status</th><th class="num">Lines</th><th class="num">Expected Credit</th></tr>
+          </thead>
+          <tbody>
+            ${returns.map(ret => `
+              <tr class="${ret.id === selectedReturnId ? 'selected' : ''}" data-action="showReturn" data-action-param="${ret.id}">
+                <td>${escapeHtml(ret.return_number)}</td>
+                <td>${escapeHtml(ret.vendor_name)}</td>
+                <td>${escapeHtml(ret.location_name)}</td>
+                <td>${escapeHtml(ret.po_number || '')}</td>
+                <td><span class="badge ${STATUS_BADGES[ret.status] || 'badge-gray'}">${escapeHtml(ret.status)}</span></td>
+                <td class="num">${ret.item_count}</td>
+                <td class="num">${formatCurrency(ret.total_cents)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    if (selectedReturnId) await showReturn(null, null, selectedReturnId);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function renderReturnActions(ret) {
+  if (ret.status === 'DRAFT') {
+    return `
+      <button type="button" class="btn btn-secondary" data-action="deleteReturn">Delete Draft</button>
+      <button type="button" class="btn btn-secondary" data-action="editRmaNumber">Set RMA #</button>
+      <button type="button" class="btn btn-success" data-action="shipReturn">Ship Return</button>
+    `;
+  }
+  if (ret.status === 'SENT') {
+    return `
+      <button type="button" class="btn btn-secondary" data-action="editRmaNumber">Set RMA #</button>
+      <button type="button" class="btn btn-success" data-action="creditReturn">Record Credit</button>
+    `;
+  }
+  return '';
+}
+
+function renderReturnDetail(ret) {
+  document.getElementById('returnDetail').innerHTML = `
+    <h2>${escapeHtml(ret.return_number)} — ${escapeHtml(ret.vendor_name)}</h2>
+    <div class="summary-figures">
+      <div>Status<strong><span class="badge ${STATUS_BADGES[ret.status] || 'badge-gray'}">${escapeHtml(ret.status)}</span></strong></div>
+      <div>Vendor RMA #<strong>${escapeHtml(ret.vendor_rma_number || '—')}</strong></div>
+      <div>Expected credit<strong>${formatCurrency(ret.total_cents)}</strong></div>
+      <div>Credited<strong>${formatCurrency(ret.credit_amount_cents)}</strong></div>
+      <div>Credit memo #<strong>${escapeHtml(ret.credit_memo_number || '—')}</strong></div>
+    </div>
+    <table class="data-table">
+      <thead>
+        <tr><th>Item</th><th>SKU</th><th>Vendor Code</th><th>Reason</th><th class="num">Qty</th><th class="num">Unit Cost</th><th class="num">Line Total</th></tr>
+      </thead>
+      <tbody>
+        ${ret.items.map(item => `
+          <tr>
+            <td>${escapeHtml([item.item_name, item.variation_name].filter(Boolean).join(' — '))}</td>
+            <td>${escapeHtml(item.sku || '')}</td>
+            <td>${escapeHtml(item.vendor_code || '')}</td>
+            <td>${escapeHtml(REASON_LABELS[item.reason] || item.reason)}</td>
+            <td class="num">${item.quantity}</td>
+            <td class="num">${formatCurrency(item.unit_cost_cents)}</td>
+            <td class="num">${formatCurrency(item.quantity * item.unit_cost_cents)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <div class="page-actions">${renderReturnActions(ret)}</div>
+  `;
+}
+
+async function showReturn(element, event, returnId) {
+  try {
+    const { vendor_return } = await requestJson(`/api/vendor-returns/${encodeURIComponent(returnId)}`);
+    selectedReturnId = vendor_return.id;
+    renderReturnDetail(vendor_return);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function runReturnAction(request, successMessage) {
+  try {
+    await request();
+    showToast(successMessage, 'success');
+    await loadReturns();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function returnUrl(suffix = '') {
+  return `/api/vendor-returns/${encodeURIComponent(selectedReturnId)}${suffix}`;
+}
+
+async function shipReturn() {
+  if (!confirm('Ship this return? The quantities will be removed from Square inventory at this location.')) return;
+  await runReturnAction(() => postJson(returnUrl('/ship')), 'Return shipped — inventory updated');
+  await loadCandidates();
+}
+
+async function creditReturn() {
+  const amount = prompt('Credit amount received (leave blank for the expected credit):', '');
+  if (amount === null) return;
+  const memo = prompt('Credit memo number (optional):', '');
+  if (memo === null) return;
+  const body = { credit_memo_number: memo.trim() || undefined };
+  if (amount.trim()) {
+    const cents = Math.round(parseFloat(amount) * 100);
+    if (!Number.isFinite(cents) || cents < 0) {
+      showToast('Enter a valid credit amount', 'error');
+      return;
+    }
+    body.credit_amount_cents = cents;
+  }
+  await runReturnAction(() => postJson(returnUrl('/credit'), body), 'Credit recorded');
+}
+
+async function editRmaNumber() {
+  const rmaNumber = prompt('Vendor RMA number:', '');
+  if (rmaNumber === null || !rmaNumber.trim()) return;
+  await runReturnAction(() => requestJson(returnUrl(), {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ vendor_rma_number: rmaNumber.trim() })
+  }), 'RMA number saved');
+}
+
+async function deleteReturn() {
+  if (!confirm('Delete this draft return?')) return;
+  try {
+    await requestJson(returnUrl(), { method: 'DELETE' });
+    selectedReturnId = null;
+    document.getElementById('returnDetail').innerHTML = '';
+    await loadReturns();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function init() {
+  try {
+    await loadLocations();
+    await Promise.all([loadCandidates(), loadReturns()]);
+  } catch (error) {
+    console.error('Error loading vendor returns:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+init();
+
+// Expose functions to global scope for event delegation
+window.loadReturns = loadReturns;
+window.showReturn = showReturn;
+window.shipReturn = shipReturn;
+window.creditReturn = creditReturn;
+window.editRmaNumber = editRmaNumber;
+window.deleteReturn = deleteReturn;
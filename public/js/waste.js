@@ -0,0 +1,245 @@
+/**
+ * Waste & Shrink page JavaScript
+ * Shrink report (waste cost next to expiry discount recovery), manual
+ * write-offs of damaged or recalled stock, and the waste log with retry for
+ * entries Square did not accept.
+ */
+
+let searchResultsCache = {};
+let selectedVariation = null;
+
+const REASON_LABELS = { EXPIRED: 'Expired', DAMAGED: 'Damaged', RECALLED: 'Recalled' };
+
+// Square sync status of a write-off
+const STATUS_BADGES = { POSTED: 'badge-success', FAILED: 'badge-error', PENDING: 'badge-warning' };
+
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+}
+
+function sendJson(url, method, body) {
+  return requestJson(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+}
+
+const variationLabel = row => [row.item_name, row.variation_name || row.name].filter(Boolean).join(' — ');
+
+async function loadLocations() {
+  const data = await requestJson('/api/locations');
+  // Handle both flat ({ locations: [...] }) and nested ({ locations: { count, locations } }) shapes
+  const rawLocations = data.locations || [];
+  const locations = (Array.isArray(rawLocations) ? rawLocations : (rawLocations.locations || []))
+    .filter(loc => loc.active);
+  document.getElementById('wasteLocation').innerHTML = locations
+    .map(loc => `<option value="${escapeHtml(loc.id)}">${escapeHtml(loc.name)}</option>`)
+    .join('');
+}
+
+function reportParams() {
+  const params = new URLSearchParams({ group_by: document.getElementById('groupBy').value });
+  const startDate = document.getElementById('startDate').value;
+  const endDate = document.getElementById('endDate').value;
+  if (startDate) params.set('start_date', startDate);
+  if (endDate) params.set('end_date', endDate);
+  return params;
+}
+
+function renderReport(report) {
+  const container = document.getElementById('shrinkReport');
+  container.classList.remove('loading');
+  document.getElementById('startDate').value = report.start_date;
+  document.getElementById('endDate').value = report.end_date;
+  if (report.rows.length === 0) {
+    container.innerHTML = '<p class="empty-state">No waste or discounted sales in this period.</p>';
+    return;
+  }
+  const reasonCell = (row, reason) => {
+    const entry = row.waste.by_reason[reason];
+    return entry ? `${entry.units} · ${formatCurrency(entry.cost_cents)}` : '-';
+  };
+  const { totals } = report;
+  container.innerHTML = `
+    <table class="data-table">
+      <thead><tr>
+        <th></th>
+        <th class="num">Expired</th><th class="num">Damaged</th><th class="num">Recalled</th>
+        <th class="num">Waste units</th><th class="num">Waste cost</th>
+        <th class="num">Sold at discount</th><th class="num">Recovered revenue</th><th class="num">Markdown</th>
+      </tr></thead>
+      <tbody>
+        ${report.rows.map(row => `
+          <tr>
+            <td>${escapeHtml(row.label)}${row.waste.uncosted_entries > 0 ? ` <small>(${row.waste.uncosted_entries} without cost)</small>` : ''}</td>
+            <td class="num">${reasonCell(row, 'EXPIRED')}</td>
+            <td class="num">${reasonCell(row, 'DAMAGED')}</td>
+            <td class="num">${reasonCell(row, 'RECALLED')}</td>
+            <td class="num">${row.waste.units}</td>
+            <td class="num">${formatCurrency(row.waste.cost_cents)}</td>
+            <td class="num">${row.recovery.units}</td>
+            <td class="num">${formatCurrency(row.recovery.revenue_cents)}</td>
+            <td class="num">${formatCurrency(row.recovery.markdown_cents)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+      <tfoot><tr>
+        <td>Total</td><td></td><td></td><td></td>
+        <td class="num">${totals.waste_units}</td>
+        <td class="num">${formatCurrency(totals.waste_cost_cents)}</td>
+        <td class="num">${totals.recovery_units}</td>
+        <td class="num">${formatCurrency(totals.recovery_revenue_cents)}</td>
+        <td class="num">${formatCurrency(totals.markdown_cents)}</td>
+      </tr></tfoot>
+    </table>
+  `;
+}
+
+async function loadReport() {
+  try {
+    renderReport(await requestJson(`/api/waste/shrink-report?${reportParams()}`));
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function renderLog(entries) {
+  const container = document.getElementById('wasteLog');
+  container.classList.remove('loading');
+  if (entries.length === 0) {
+    container.innerHTML = '<p class="empty-state">Nothing written off yet.</p>';
+    return;
+  }
+  container.innerHTML = `
+    <table class="data-table">
+      <thead><tr>
+        <th>When</th><th>Item</th><th>SKU</th><th>Location</th><th>Reason</th><th>Vendor</th>
+        <th class="num">Qty</th><th class="num">Unit cost</th><th class="num">Total</th><th>Square</th><th>By</th>
+      </tr></thead>
+      <tbody>
+        ${entries.map(entry => `
+          <tr>
+            <td>${escapeHtml(formatDateTime(entry.created_at))}</td>
+            <td>${escapeHtml(variationLabel(entry) || entry.variation_id)}${entry.notes ? `<br><small>${escapeHtml(entry.notes)}</small>` : ''}</td>
+            <td>${escapeHtml(entry.sku || '-')}</td>
+            <td>${escapeHtml(entry.location_name || entry.location_id)}</td>
+            <td>${escapeHtml(REASON_LABELS[entry.reason] || entry.reason)}</td>
+            <td>${escapeHtml(entry.vendor_name || '-')}</td>
+            <td class="num">${entry.quantity}</td>
+            <td class="num">${formatCurrency(entry.unit_cost_cents)}</td>
+            <td class="num">${formatCurrency(entry.total_cost_cents)}</td>
+            <td>
+              <span class="badge ${STATUS_BADGES[entry.square_status] || 'badge-gray'}"
+                    title="${escapeHtml(entry.square_error || '')}">${escapeHtml(entry.square_status)}</span>
+              ${entry.square_status === 'POSTED' ? '' : `<button type="button" class="btn btn-secondary" data-action="retryWaste" data-action-param="${entry.id}">Retry</button>`}
+            </td>
+            <td>${escapeHtml(entry.recorded_by || '-')}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function loadLog() {
+  try {
+    const { entries } = await requestJson('/api/waste?limit=200');
+    renderLog(entries);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function searchItems() {
+  const query = document.getElementById('itemSearch').value.trim();
+  const resultsElem = document.getElementById('searchResults');
+  if (!query) {
+    resultsElem.innerHTML = '';
+    return;
+  }
+  try {
+    const { variations = [] } = await requestJson(`/api/variations?search=${encodeURIComponent(query)}&limit=20`);
+    searchResultsCache = {};
+    variations.forEach(v => { searchResultsCache[v.id] = v; });
+    resultsElem.innerHTML = variations.length === 0
+      ? '<p class="empty-state">No items found.</p>'
+      : variations.map(v => `
+        <div class="search-result" data-action="selectItem" data-action-param="${escapeHtml(v.id)}">
+          <strong>${escapeHtml(variationLabel(v))}</strong> · SKU: ${escapeHtml(v.sku || '-')}
+        </div>
+      `).join('');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function searchOnEnter(element, event) {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    searchItems();
+  }
+}
+
+function selectItem(element, event, variationId) {
+  selectedVariation = searchResultsCache[variationId] || null;
+  if (!selectedVariation) return;
+  document.getElementById('selectedItem').innerHTML =
+    `Selected: <strong>${escapeHtml(variationLabel(selectedVariation))}</strong>`;
+  document.getElementById('searchResults').innerHTML = '';
+}
+
+async function recordWaste() {
+  if (!selectedVariation) {
+    showToast('Select an item first', 'error');
+    return;
+  }
+  const quantity = parseInt(document.getElementById('wasteQuantity').value, 10);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    showToast('Quantity must be at least 1', 'error');
+    return;
+  }
+  try {
+    const { squareInventory } = await sendJson('/api/waste', 'POST', {
+      variation_id: selectedVariation.id,
+      location_id: document.getElementById('wasteLocation').value,
+      quantity,
+      reason: document.getElementById('wasteReason').value,
+      notes: document.getElementById('wasteNotes').value.trim() || undefined
+    });
+    if (squareInventory.failed > 0) {
+      showToast('Logged, but Square was not updated — retry from the waste log', 'error');
+    } else {
+      showToast('Stock written off', 'success');
+    }
+    document.getElementById('wasteNotes').value = '';
+    await Promise.all([loadLog(), loadReport()]);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function retryWaste(element, event, wasteId) {
+  try {
+    await sendJson(`/api/waste/${encodeURIComponent(wasteId)}/retry`, 'POST');
+    showToast('Posted to Square', 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+  await loadLog();
+}
+
+loadLocations().catch(error => showToast(error.message, 'error'));
+loadReport();
+loadLog();
+
+// Expose functions to global scope for event delegation
+window.loadReport = loadReport;
+window.searchItems = searchItems;
+window.searchOnEnter = searchOnEnter;
+window.selectItem = selectItem;
+window.recordWaste = recordWaste;
+window.retryWaste = retryWaste;
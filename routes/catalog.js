@@ -19,12 +19,15 @@
  * - PATCH  /api/variations/:id/cost           - Update unit cost
  * - POST   /api/variations/bulk-update-extended - Bulk update custom fields
  * - GET    /api/expirations                   - Get expiration data
- * - POST   /api/expirations                   - Save expiration data
+ * - POST   /api/expirations                   - Save expiration data (entries may be GS1 scans)
+ * - POST   /api/expirations/scan              - Read a GS1 scan: variation, expiry, lot, conflicts
  * - POST   /api/expirations/pull              - Handle expired item pull (full or partial)
  * - POST   /api/expirations/review            - Mark items as reviewed
  * - GET    /api/inventory                     - Get inventory levels
  * - GET    /api/low-stock                     - Get low stock items
  * - GET    /api/deleted-items                 - Get deleted/archived items
+ * - POST   /api/deleted-items/restore/preview - Preview restoring deleted items in Square
+ * - POST   /api/deleted-items/restore         - Restore deleted items in Square from the local snapshot
  * - GET    /api/catalog-audit                 - Get catalog audit data
  * - POST   /api/catalog-audit/enable-item-at-locations - Enable parent item at all locations
  * - POST   /api/catalog-audit/fix-locations   - Fix location mismatches
@@ -36,6 +39,7 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const catalogService = require('../services/catalog');
+const gs1Scan = require('../services/expiry/gs1-scan');
 const { requireAuth, requireWriteAccess } = require('../middleware/auth');
 const { requireMerchant } = require('../middleware/merchant');
 const asyncHandler = require('../middleware/async-handler');
@@ -199,9 +203,11 @@ router.get('/expirations', requireAuth, requireMerchant, validators.getExpiratio
  * Save/update expiration data for variations
  */
 router.post('/expirations', requireAuth, requireWriteAccess, requireMerchant, validators.saveExpirations, asyncHandler(async (req, res) => {
-    const changes = req.body;
     const merchantId = req.merchantContext.id;
 
+    // Entries given as GS1 scans ({ scan }) are resolved to variation and date first
+    const { changes, scans } = await gs1Scan.resolveExpiryEntries(merchantId, req.body);
+
     const result = await catalogService.saveExpirations(merchantId, changes);
 
     if (!result.success && result.status) {
@@ -211,10 +217,26 @@ router.post('/expirations', requireAuth, requireWriteAccess, requireMerchant, va
     sendSuccess(res, {
         message: result.message,
         squarePush: result.squarePush,
-        tierOverrides: result.tierOverrides
+        tierOverrides: result.tierOverrides,
+        scans
     });
 }));
 
+/**
+ * POST /api/expirations/scan
+ * Read a GS1-128 / DataMatrix scan without saving: the matching variation,
+ * expiry date (AI 17) and lot (AI 10), and conflicts with the stored date
+ */
+router.post('/expirations/scan', requireAuth, requireMerchant, validators.readExpiryScan, asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await gs1Scan.resolveScan(req.merchantContext.id, req.body.scan);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, result);
+}));
+
 /**
  * POST /api/expirations/pull
  * Handle expired item pull — full (all units expired) or partial (some units remain)
@@ -292,6 +314,39 @@ router.get('/deleted-items', requireAuth, requireMerchant, validators.getDeleted
     sendSuccess(res, result);
 }));
 
+/**
+ * POST /api/deleted-items/restore/preview
+ * Show what restoring the given deleted variations would recreate and re-link
+ * Body: { variation_ids: string[] }
+ */
+router.post('/deleted-items/restore/preview', requireAuth, requireWriteAccess, requireMerchant, validators.restoreDeletedItems, asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await catalogService.previewRestore(req.merchantContext.id, req.body.variation_ids);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, result);
+}));
+
+/**
+ * POST /api/deleted-items/restore
+ * Recreate deleted items/variations in Square and move local history onto the new IDs
+ * Body: { variation_ids: string[] }
+ */
+router.post('/deleted-items/restore', requireAuth, requireWriteAccess, requireMerchant, validators.restoreDeletedItems, asyncHandler(async (req, res) => {
+    const merchantId = req.merchantContext.id;
+    logger.info('Restoring deleted items from API', { merchantId, count: req.body.variation_ids.length });
+
+    let result;
+    try {
+        result = await catalogService.restoreDeletedItems(merchantId, req.body.variation_ids);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, result);
+}));
+
 // ==================== CATALOG AUDIT ENDPOINTS ====================
 
 /**
@@ -0,0 +1,79 @@
+/**
+ * Delivery Tracking Routes
+ *
+ * Customer-facing tracking links for delivery orders, plus the merchant
+ * endpoints that issue and revoke them.
+ *
+ * SECURITY CONSIDERATIONS:
+ * - Tokens are 64-character hex strings (256-bit entropy); only the SHA-256 is stored
+ * - Links expire (default 72 hours, max 7 days) and can be revoked at any time
+ * - The public view omits address, phone and order contents
+ * - Public endpoint is rate limited per IP like the driver API
+ *
+ * Endpoints:
+ * - POST   /api/delivery/orders/:id/tracking - Generate tracking link (authenticated)
+ * - DELETE /api/delivery/orders/:id/tracking - Revoke tracking link (authenticated)
+ * - GET    /api/track/:token                 - Tracking view (public)
+ */
+
+const express = require('express');
+const router = express.Router();
+const deliveryApi = require('../services/delivery');
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
+const { requireMerchant } = require('../middleware/merchant');
+const asyncHandler = require('../middleware/async-handler');
+const { configureDeliveryRateLimit } = require('../middleware/security');
+const validators = require('../middleware/validators/delivery-tracking');
+const { sendSuccess, sendError } = require('../utils/response-helper');
+
+// Keyed by IP for the public endpoint (no session)
+const deliveryRateLimit = configureDeliveryRateLimit();
+
+// ==================== AUTHENTICATED ENDPOINTS (Merchant-facing) ====================
+
+/**
+ * POST /api/delivery/orders/:id/tracking
+ * Generate a tracking link for a delivery order (replaces any existing link)
+ */
+router.post('/delivery/orders/:id/tracking', deliveryRateLimit, requireAuth, requireMerchant, requireWriteAccess, validators.createTrackingLink, asyncHandler(async (req, res) => {
+    const token = await deliveryApi.generateTrackingToken(req.merchantContext.id, req.params.id, req.session.user.id, {
+        expiresInHours: req.body.expiresInHours ? parseInt(req.body.expiresInHours, 10) : 72
+    });
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    sendSuccess(res, {
+        trackingUrl: `${baseUrl}/track.html?token=${token.token}`,
+        expiresAt: token.expires_at
+    });
+}));
+
+/**
+ * DELETE /api/delivery/orders/:id/tracking
+ * Revoke the tracking link for a delivery order
+ */
+router.delete('/delivery/orders/:id/tracking', deliveryRateLimit, requireAuth, requireMerchant, requireWriteAccess, validators.revokeTrackingLink, asyncHandler(async (req, res) => {
+    const revoked = await deliveryApi.revokeTrackingToken(req.merchantContext.id, req.params.id);
+    sendSuccess(res, { revoked });
+}));
+
+// ==================== PUBLIC ENDPOINT (Customer-facing, token-based) ====================
+
+/**
+ * GET /api/track/:token
+ * PUBLIC: Order position, live ETA and proof-of-delivery status
+ */
+router.get('/track/:token', deliveryRateLimit, validators.getTracking, asyncHandler(async (req, res) => {
+    const result = await deliveryApi.getTrackingByToken(req.params.token);
+
+    if (!result) {
+        return sendError(res, 'Invalid tracking link', 404);
+    }
+
+    if (!result.valid) {
+        return sendError(res, result.reason || 'Tracking link is no longer valid', 403);
+    }
+
+    sendSuccess(res, { tracking: result.tracking });
+}));
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// Delivery analytics sub-router: weekly per-driver performance (durations, stops/hour, skip reasons, on-time rate).
+const express = require('express');
+const router = express.Router();
+const deliveryAnalytics = require('../../services/delivery/delivery-analytics');
+const asyncHandler = require('../../middleware/async-handler');
+const validators = require('../../middleware/validators/delivery-analytics');
+const { sendSuccess } = require('../../utils/response-helper');
+
+router.get('/analytics', validators.getAnalytics, asyncHandler(async (req, res) => {
+    const weeks = req.query.weeks ? parseInt(req.query.weeks, 10) : undefined;
+    const analytics = await deliveryAnalytics.getDeliveryAnalytics(req.merchantContext.id, { weeks });
+    sendSuccess(res, { analytics });
+}));
+
+module.exports = router;
@@ -1,5 +1,5 @@
-// Delivery feature routes — mounts sub-routers for orders, pod, route, settings, and sync.
-// Services: services/delivery (orders, routes, settings, sync, pod, audit), services/delivery/delivery-stats
+// Delivery feature routes — mounts sub-routers for orders, pod, route, settings, sync, zones, recurring, and analytics.
+// Services: services/delivery (orders, routes, settings, sync, pod, audit, zones, recurring), services/delivery/delivery-stats, services/delivery/delivery-analytics
 const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../../middleware/auth');
@@ -12,5 +12,8 @@ router.use('/', require('./pod'));
 router.use('/', require('./routes'));
 router.use('/', require('./settings'));
 router.use('/', require('./sync'));
+router.use('/', require('./zones'));
+router.use('/', require('./recurring'));
+router.use('/', require('./analytics'));
 
 module.exports = router;
@@ -1,4 +1,4 @@
-// Delivery orders sub-router: CRUD, lifecycle, customer info, and notes.
+// Delivery orders sub-router: CRUD, lifecycle, customer info, notes, and pin correction.
 const express = require('express');
 const router = express.Router();
 const deliveryApi = require('../../services/delivery');
@@ -6,6 +6,7 @@ const deliveryStats = require('../../services/delivery/delivery-stats');
 const asyncHandler = require('../../middleware/async-handler');
 const { configureDeliveryRateLimit } = require('../../middleware/security');
 const validators = require('../../middleware/validators/delivery');
+const skipReasonValidators = require('../../middleware/validators/delivery-skip-reason');
 const { requireWriteAccess } = require('../../middleware/auth');
 const { sendSuccess, sendError } = require('../../utils/response-helper');
 
@@ -26,10 +27,12 @@ router.get('/orders', validators.listOrders, asyncHandler(async (req, res) => {
 
 // Create manual order — includes inline geocode + audit (no service fn for this combination yet)
 router.post('/orders', deliveryRateLimit, requireWriteAccess, validators.createOrder, asyncHandler(async (req, res) => {
-    const { customerName, address, phone, notes } = req.body;
+    const { customerName, address, phone, notes, windowStart, windowEnd, serviceMinutes } = req.body;
     const merchantId = req.merchantContext.id;
     if (!customerName || !address) return sendError(res, 'Customer name and address are required', 400);
-    const order = await deliveryApi.createOrder(merchantId, { customerName, address, phone, notes });
+    const order = await deliveryApi.createOrder(merchantId, {
+        customerName, address, phone, notes, windowStart, windowEnd, serviceMinutes
+    });
     const coords = await deliveryApi.geocodeAndPatchOrder(merchantId, order.id, address);
     if (coords) { order.address_lat = coords.lat; order.address_lng = coords.lng; order.geocoded_at = new Date(); }
     await deliveryApi.logAuditEvent(merchantId, req.session.user.id, 'order_created', order.id, null,
@@ -51,6 +54,9 @@ router.patch('/orders/:id', deliveryRateLimit, requireWriteAccess, validators.up
     if (req.body.phone !== undefined) updates.phone = req.body.phone;
     if (req.body.customerName !== undefined) updates.customerName = req.body.customerName;
     if (req.body.address !== undefined) updates.address = req.body.address;
+    if (req.body.windowStart !== undefined) updates.windowStart = req.body.windowStart;
+    if (req.body.windowEnd !== undefined) updates.windowEnd = req.body.windowEnd;
+    if (req.body.serviceMinutes !== undefined) updates.serviceMinutes = req.body.serviceMinutes;
     const order = await deliveryApi.updateOrder(merchantId, req.params.id, updates);
     if (!order) return sendError(res, 'Order not found', 404);
     if (req.body.address) await deliveryApi.geocodeAndPatchOrder(merchantId, order.id, req.body.address);
@@ -65,8 +71,11 @@ router.delete('/orders/:id', deliveryRateLimit, requireWriteAccess, validators.d
     sendSuccess(res, {});
 }));
 
-router.post('/orders/:id/skip', deliveryRateLimit, requireWriteAccess, validators.skipOrder, asyncHandler(async (req, res) => {
-    const order = await deliveryApi.skipOrder(req.merchantContext.id, req.params.id, req.session.user.id);
+router.post('/orders/:id/skip', deliveryRateLimit, requireWriteAccess, validators.skipOrder, skipReasonValidators.skipReason, asyncHandler(async (req, res) => {
+    const order = await deliveryApi.skipOrder(req.merchantContext.id, req.params.id, req.session.user.id, {
+        reason: req.body.reason,
+        reasonNote: req.body.reasonNote
+    });
     if (!order) return sendError(res, 'Order not found', 404);
     sendSuccess(res, { order });
 }));
@@ -99,6 +108,18 @@ router.patch('/orders/:id/notes', deliveryRateLimit, requireWriteAccess, validat
     sendSuccess(res, result);
 }));
 
+// Staff drag-corrected the pin; the correction is cached for future orders to this address
+router.patch('/orders/:id/location', deliveryRateLimit, requireWriteAccess, validators.updateOrderLocation, asyncHandler(async (req, res) => {
+    const merchantId = req.merchantContext.id;
+    const order = await deliveryApi.correctOrderLocation(merchantId, req.params.id, {
+        lat: parseFloat(req.body.lat),
+        lng: parseFloat(req.body.lng)
+    }, req.session.user.id);
+    await deliveryApi.logAuditEvent(merchantId, req.session.user.id, 'order_location_corrected', order.id, null,
+        { lat: order.address_lat, lng: order.address_lng }, req.ip, req.get('user-agent'));
+    sendSuccess(res, { order });
+}));
+
 router.get('/orders/:id/customer-stats', validators.getOrder, asyncHandler(async (req, res) => {
     const { order, stats } = await deliveryStats.getCustomerStats(req.merchantContext.id, req.params.id);
     if (!order) return sendError(res, 'Order not found', 404);
@@ -0,0 +1,53 @@
+// Recurring deliveries sub-router: template CRUD (cadence, skip dates, line items) and on-demand materialization.
+const express = require('express');
+const router = express.Router();
+const deliveryApi = require('../../services/delivery');
+const asyncHandler = require('../../middleware/async-handler');
+const { configureDeliveryRateLimit } = require('../../middleware/security');
+const validators = require('../../middleware/validators/delivery-recurring');
+const { requireWriteAccess } = require('../../middleware/auth');
+const { sendSuccess, sendError } = require('../../utils/response-helper');
+
+const deliveryRateLimit = configureDeliveryRateLimit();
+
+router.get('/recurring', validators.listTemplates, asyncHandler(async (req, res) => {
+    const templates = await deliveryApi.listRecurringTemplates(req.merchantContext.id);
+    sendSuccess(res, { templates });
+}));
+
+// Registered before /recurring/:id so "materialize" is never read as an id
+router.post('/recurring/materialize', deliveryRateLimit, requireWriteAccess, validators.materialize, asyncHandler(async (req, res) => {
+    const merchantId = req.merchantContext.id;
+    const result = await deliveryApi.materializeRecurringOrders(merchantId, { date: req.body.date });
+    await deliveryApi.logAuditEvent(merchantId, req.session.user.id, 'recurring_materialized', null, null,
+        { date: result.date, created: result.created, failed: result.failed }, req.ip, req.get('user-agent'));
+    sendSuccess(res, result);
+}));
+
+router.post('/recurring', deliveryRateLimit, requireWriteAccess, validators.createTemplate, asyncHandler(async (req, res) => {
+    const merchantId = req.merchantContext.id;
+    const template = await deliveryApi.createRecurringTemplate(merchantId, req.body);
+    await deliveryApi.logAuditEvent(merchantId, req.session.user.id, 'recurring_created', null, null,
+        { templateId: template.id, customerName: template.customer_name }, req.ip, req.get('user-agent'));
+    sendSuccess(res, { template }, 201);
+}));
+
+router.put('/recurring/:id', deliveryRateLimit, requireWriteAccess, validators.updateTemplate, asyncHandler(async (req, res) => {
+    const merchantId = req.merchantContext.id;
+    const template = await deliveryApi.updateRecurringTemplate(merchantId, req.params.id, req.body);
+    if (!template) return sendError(res, 'Recurring delivery not found', 404);
+    await deliveryApi.logAuditEvent(merchantId, req.session.user.id, 'recurring_updated', null, null,
+        { templateId: template.id, fields: Object.keys(req.body) }, req.ip, req.get('user-agent'));
+    sendSuccess(res, { template });
+}));
+
+router.delete('/recurring/:id', deliveryRateLimit, requireWriteAccess, validators.deleteTemplate, asyncHandler(async (req, res) => {
+    const merchantId = req.merchantContext.id;
+    const deleted = await deliveryApi.deleteRecurringTemplate(merchantId, req.params.id);
+    if (!deleted) return sendError(res, 'Recurring delivery not found', 404);
+    await deliveryApi.logAuditEvent(merchantId, req.session.user.id, 'recurring_deleted', null, null,
+        { templateId: req.params.id }, req.ip, req.get('user-agent'));
+    sendSuccess(res, { deleted: true });
+}));
+
+module.exports = router;
@@ -1,4 +1,4 @@
-// Delivery route management sub-router: generate, active, specific route, finish, geocode.
+// Delivery route management sub-router: generate, active, specific route, export, finish, geocode.
 const express = require('express');
 const router = express.Router();
 const logger = require('../../utils/logger');
@@ -13,22 +13,34 @@ const deliveryRateLimit = configureDeliveryRateLimit();
 const deliveryStrictRateLimit = configureDeliveryStrictRateLimit();
 
 router.post('/route/generate', deliveryStrictRateLimit, requireWriteAccess, validators.generateRoute, asyncHandler(async (req, res) => {
-    const { routeDate, orderIds, excludeOrderIds, force, startLat, startLng, endLat, endLng } = req.body;
+    const { routeDate, orderIds, excludeOrderIds, force, startLat, startLng, endLat, endLng, departureTime, vehicles } = req.body;
     const route = await deliveryApi.generateRoute(req.merchantContext.id, req.session.user.id, {
-        routeDate, orderIds, excludeOrderIds, force,
+        routeDate, orderIds, excludeOrderIds, force, departureTime,
         startLat: startLat != null ? parseFloat(startLat) : null,
         startLng: startLng != null ? parseFloat(startLng) : null,
         endLat: endLat != null ? parseFloat(endLat) : null,
-        endLng: endLng != null ? parseFloat(endLng) : null
+        endLng: endLng != null ? parseFloat(endLng) : null,
+        vehicles: Array.isArray(vehicles) ? vehicles.map(v => ({
+            label: v.label || null,
+            capacity: v.capacity != null ? parseInt(v.capacity, 10) : null
+        })) : null
     });
+
+    // Multi-driver days issue a driver token per route; hand back ready-to-send links
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    for (const r of route.routes || []) {
+        if (r.shareToken) {
+            r.shareUrl = `${baseUrl}/driver.html?token=${r.shareToken.token}`;
+        }
+    }
     sendSuccess(res, { route }, 201);
 }));
 
 router.get('/route/active', validators.getActiveRoute, asyncHandler(async (req, res) => {
     const merchantId = req.merchantContext.id;
     logger.debug('Fetching active delivery route', { merchantId, routeDate: req.query.routeDate });
-    const { route, orders } = await deliveryApi.getActiveRouteWithOrders(merchantId, req.query.routeDate);
-    sendSuccess(res, { route, orders });
+    const { route, orders, routes } = await deliveryApi.getActiveRouteWithOrders(merchantId, req.query.routeDate);
+    sendSuccess(res, { route, orders, routes });
 }));
 
 router.get('/route/:id', validators.getRoute, asyncHandler(async (req, res) => {
@@ -38,6 +50,16 @@ router.get('/route/:id', validators.getRoute, asyncHandler(async (req, res) => {
     sendSuccess(res, { route });
 }));
 
+// GPX/KML for drivers' own nav apps; manifest is a printable PDF
+router.get('/route/:id/export', validators.exportRoute, asyncHandler(async (req, res) => {
+    const result = await deliveryApi.exportRoute(req.merchantContext.id, req.params.id, req.query.format || 'manifest');
+    if (!result) return sendError(res, 'Route not found', 404);
+    const disposition = req.query.format === 'gpx' || req.query.format === 'kml' ? 'attachment' : 'inline';
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `${disposition}; filename="${result.filename}"`);
+    res.send(result.content);
+}));
+
 router.post('/route/finish', deliveryRateLimit, requireWriteAccess, validators.finishRoute, asyncHandler(async (req, res) => {
     const result = await deliveryApi.finishRoute(req.merchantContext.id, req.body.routeId || null, req.session.user.id);
     sendSuccess(res, { result });
@@ -0,0 +1,55 @@
+// Delivery zones sub-router: zone CRUD (fee, minimum order, allowed days) and manual review of flagged orders.
+const express = require('express');
+const router = express.Router();
+const deliveryApi = require('../../services/delivery');
+const asyncHandler = require('../../middleware/async-handler');
+const { configureDeliveryRateLimit } = require('../../middleware/security');
+const validators = require('../../middleware/validators/delivery-zones');
+const { requireWriteAccess } = require('../../middleware/auth');
+const { sendSuccess, sendError } = require('../../utils/response-helper');
+
+const deliveryRateLimit = configureDeliveryRateLimit();
+
+router.get('/zones', validators.listZones, asyncHandler(async (req, res) => {
+    const zones = await deliveryApi.listZones(req.merchantContext.id);
+    sendSuccess(res, { zones });
+}));
+
+router.post('/zones', deliveryRateLimit, requireWriteAccess, validators.createZone, asyncHandler(async (req, res) => {
+    const merchantId = req.merchantContext.id;
+    const zone = await deliveryApi.createZone(merchantId, req.body);
+    await deliveryApi.logAuditEvent(merchantId, req.session.user.id, 'zone_created', null, null,
+        { zoneId: zone.id, name: zone.name, zoneType: zone.zone_type }, req.ip, req.get('user-agent'));
+    sendSuccess(res, { zone }, 201);
+}));
+
+router.put('/zones/:id', deliveryRateLimit, requireWriteAccess, validators.updateZone, asyncHandler(async (req, res) => {
+    const merchantId = req.merchantContext.id;
+    const zone = await deliveryApi.updateZone(merchantId, parseInt(req.params.id, 10), req.body);
+    if (!zone) return sendError(res, 'Zone not found', 404);
+    await deliveryApi.logAuditEvent(merchantId, req.session.user.id, 'zone_updated', null, null,
+        { zoneId: zone.id, fields: Object.keys(req.body) }, req.ip, req.get('user-agent'));
+    sendSuccess(res, { zone });
+}));
+
+router.delete('/zones/:id', deliveryRateLimit, requireWriteAccess, validators.deleteZone, asyncHandler(async (req, res) => {
+    const merchantId = req.merchantContext.id;
+    const zoneId = parseInt(req.params.id, 10);
+    const deleted = await deliveryApi.deleteZone(merchantId, zoneId);
+    if (!deleted) return sendError(res, 'Zone not found', 404);
+    await deliveryApi.logAuditEvent(merchantId, req.session.user.id, 'zone_deleted', null, null,
+        { zoneId }, req.ip, req.get('user-agent'));
+    sendSuccess(res, { deleted: true });
+}));
+
+// Staff decision on an order flagged by zone assignment: set the zone (or none) and clear the flag
+router.post('/orders/:id/zone', deliveryRateLimit, requireWriteAccess, validators.resolveOrderZone, asyncHandler(async (req, res) => {
+    const merchantId = req.merchantContext.id;
+    const zoneId = req.body.zoneId != null ? parseInt(req.body.zoneId, 10) : null;
+    const order = await deliveryApi.resolveOrderZoneReview(merchantId, req.params.id, zoneId);
+    await deliveryApi.logAuditEvent(merchantId, req.session.user.id, 'order_zone_reviewed', order.id, null,
+        { zoneId }, req.ip, req.get('user-agent'));
+    sendSuccess(res, { order });
+}));
+
+module.exports = router;
@@ -20,6 +20,12 @@
  * - POST   /api/driver/:token/orders/:orderId/skip     - Skip order (public)
  * - POST   /api/driver/:token/orders/:orderId/pod      - Upload POD photo (public)
  * - POST   /api/driver/:token/finish          - Finish route (public)
+ *
+ * OFFLINE QUEUE:
+ * The driver page queues complete / skip / POD actions while offline and
+ * replays them later with the same Idempotency-Key header. Replays of an
+ * action that already succeeded get the original response back. The
+ * X-Recorded-At header carries when the driver actually took the action.
  */
 
 const express = require('express');
@@ -32,7 +38,9 @@ const { requireMerchant } = require('../middleware/merchant');
 const asyncHandler = require('../middleware/async-handler');
 const { configureDeliveryRateLimit, configureDeliveryStrictRateLimit } = require('../middleware/security');
 const { validateUploadedImage } = require('../utils/file-validation');
+const { runIdempotent } = require('../utils/idempotency');
 const validators = require('../middleware/validators/driver-api');
+const skipReasonValidators = require('../middleware/validators/delivery-skip-reason');
 // LOGIC CHANGE (BUG-010/011): Use response helpers instead of raw res.json()
 const { sendSuccess, sendError } = require('../utils/response-helper');
 
@@ -57,6 +65,54 @@ const podUpload = multer({
     }
 });
 
+// Queued actions can't predate the token (max 7 days) or come from the future
+const MAX_RECORDED_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Time the driver recorded a queued action, clamped to the last 7 days so a
+ * wrong phone clock can't push it into the future or far into the past.
+ * @param {Object} req - Express request
+ * @returns {string|undefined} ISO timestamp, or undefined for live actions
+ */
+function getRecordedAt(req) {
+    const header = req.get('X-Recorded-At');
+    if (!header) return undefined;
+    const now = Date.now();
+    const recorded = Math.min(Math.max(new Date(header).getTime(), now - MAX_RECORDED_AGE_MS), now);
+    return new Date(recorded).toISOString();
+}
+
+/**
+ * Run a driver action once per Idempotency-Key and send its result.
+ * Keys are stored per merchant, so a keyed request resolves the token first.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - Action name, part of the key scope
+ * @param {Function} operation - Async function returning the response data
+ */
+async function sendIdempotent(req, res, action, operation) {
+    const key = req.get('Idempotency-Key');
+    let merchantId = null;
+    if (key) {
+        const tokenData = await deliveryApi.getRouteByToken(req.params.token);
+        if (!tokenData) {
+            return sendError(res, 'Invalid token', 404);
+        }
+        if (!tokenData.valid) {
+            return sendError(res, tokenData.reason || 'Token is no longer valid', 403);
+        }
+        merchantId = tokenData.merchant_id;
+    }
+
+    const scope = `driver-${action}:${req.params.orderId}`;
+    const { result, replayed } = await runIdempotent(merchantId, scope, key, operation);
+    if (replayed) {
+        logger.info('Replayed driver action', { action, orderId: req.params.orderId });
+        res.set('Idempotent-Replayed', 'true');
+    }
+    sendSuccess(res, result);
+}
+
 // ==================== AUTHENTICATED ENDPOINTS (Merchant-facing) ====================
 
 /**
@@ -165,17 +221,27 @@ router.get('/driver/:token', deliveryRateLimit, validators.getDriverRoute, async
  * PUBLIC: Mark order as completed (contract driver)
  */
 router.post('/driver/:token/orders/:orderId/complete', deliveryRateLimit, validators.completeOrder, asyncHandler(async (req, res) => {
-    const order = await deliveryApi.completeOrderByToken(req.params.token, req.params.orderId);
-    sendSuccess(res, { order: { id: order.id, status: order.status } });
+    await sendIdempotent(req, res, 'complete', async () => {
+        const order = await deliveryApi.completeOrderByToken(req.params.token, req.params.orderId, {
+            recordedAt: getRecordedAt(req)
+        });
+        return { order: { id: order.id, status: order.status } };
+    });
 }));
 
 /**
  * POST /api/driver/:token/orders/:orderId/skip
  * PUBLIC: Skip order (contract driver)
  */
-router.post('/driver/:token/orders/:orderId/skip', deliveryRateLimit, validators.skipOrder, asyncHandler(async (req, res) => {
-    const order = await deliveryApi.skipOrderByToken(req.params.token, req.params.orderId);
-    sendSuccess(res, { order: { id: order.id, status: order.status } });
+router.post('/driver/:token/orders/:orderId/skip', deliveryRateLimit, validators.skipOrder, skipReasonValidators.skipReason, asyncHandler(async (req, res) => {
+    await sendIdempotent(req, res, 'skip', async () => {
+        const order = await deliveryApi.skipOrderByToken(req.params.token, req.params.orderId, {
+            reason: req.body.reason,
+            reasonNote: req.body.reasonNote,
+            recordedAt: getRecordedAt(req)
+        });
+        return { order: { id: order.id, status: order.status } };
+    });
 }));
 
 /**
@@ -191,13 +257,13 @@ router.post('/driver/:token/orders/:orderId/pod', deliveryStrictRateLimit, podUp
         originalFilename: req.file.originalname,
         mimeType: req.file.mimetype,
         latitude: req.body.latitude ? parseFloat(req.body.latitude) : null,
-        longitude: req.body.longitude ? parseFloat(req.body.longitude) : null
+        longitude: req.body.longitude ? parseFloat(req.body.longitude) : null,
+        capturedAt: getRecordedAt(req) || null
     };
 
-    const pod = await deliveryApi.savePodByToken(req.params.token, req.params.orderId, req.file.buffer, metadata);
-
-    sendSuccess(res, {
-        pod: { id: pod.id, capturedAt: pod.captured_at }
+    await sendIdempotent(req, res, 'pod', async () => {
+        const pod = await deliveryApi.savePodByToken(req.params.token, req.params.orderId, req.file.buffer, metadata);
+        return { pod: { id: pod.id, capturedAt: pod.captured_at } };
     });
 }));
 
@@ -14,6 +14,7 @@
  * - PATCH  /api/expiry-discounts/tiers/:id        - Update a tier configuration
  * - GET    /api/expiry-discounts/variations       - Get variations with discount status
  * - POST   /api/expiry-discounts/evaluate         - Run tier evaluation
+ * - POST   /api/expiry-discounts/simulate         - Preview proposed tier changes (no writes)
  * - POST   /api/expiry-discounts/apply            - Apply discounts based on tiers
  * - POST   /api/expiry-discounts/run              - Run full automation (evaluate + apply)
  * - POST   /api/expiry-discounts/init-square      - Initialize Square discount objects
@@ -29,6 +30,7 @@ const router = express.Router();
 const db = require('../utils/database');
 const logger = require('../utils/logger');
 const expiryDiscount = require('../services/expiry');
+const { simulateTiers } = require('../services/expiry/tier-simulation');
 const emailNotifier = require('../utils/email-notifier');
 const { batchResolveImageUrls } = require('../utils/image-utils');
 const { requireAuth, requireWriteAccess } = require('../middleware/auth');
@@ -79,7 +81,8 @@ router.patch('/expiry-discounts/tiers/:id', requireAuth, requireMerchant, requir
     const allowedFields = [
         'tier_name', 'min_days_to_expiry', 'max_days_to_expiry',
         'discount_percent', 'is_auto_apply', 'requires_review',
-        'color_code', 'priority', 'is_active'
+        'color_code', 'priority', 'is_active',
+        'dynamic_min_percent', 'dynamic_max_percent'
     ];
 
     const setClauses = [];
@@ -245,6 +248,21 @@ router.post('/expiry-discounts/evaluate', requireAuth, requireMerchant, validato
     sendSuccess(res, result);
 }));
 
+/**
+ * POST /api/expiry-discounts/simulate
+ * Preview proposed tier boundaries / percentages over current stock: tier
+ * moves, projected markdown and recovered revenue. Writes nothing.
+ */
+router.post('/expiry-discounts/simulate', requireAuth, requireMerchant, validators.simulate, asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await simulateTiers(req.merchantContext.id, req.body.tiers);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, result);
+}));
+
 /**
  * POST /api/expiry-discounts/apply
  * Apply discounts based on current tier assignments
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Expiry Lot Routes — thin handlers; all logic in services.
+ * Lots:      services/expiry/lot-service.js (scans resolved via gs1-scan.js)
+ * Depletion: services/expiry/lot-depletion.js (order webhooks, expired pulls)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
+const { requireMerchant } = require('../middleware/merchant');
+const asyncHandler = require('../middleware/async-handler');
+const validators = require('../middleware/validators/expiry-lots');
+const { sendSuccess, sendError } = require('../utils/response-helper');
+const lotService = require('../services/expiry/lot-service');
+
+// GET /api/expiry-lots — List lots, earliest expiry first (?variation_id=, ?location_id=, ?include_depleted=)
+router.get('/', requireAuth, requireMerchant, validators.listLots, asyncHandler(async (req, res) => {
+    const lots = await lotService.listLots(req.merchantContext.id, {
+        variationId: req.query.variation_id,
+        locationId: req.query.location_id,
+        includeDepleted: req.query.include_depleted === 'true',
+    });
+    sendSuccess(res, { count: lots.length, lots });
+}));
+
+// POST /api/expiry-lots — Enter a lot by hand, or from a GS1 scan (fields sent alongside it win)
+router.post('/', requireAuth, requireMerchant, requireWriteAccess, validators.createLot, asyncHandler(async (req, res) => {
+    const { scan, variation_id, location_id, quantity, expiration_date, lot_code } = req.body;
+    let result;
+    try {
+        result = await lotService.createLot(req.merchantContext.id, {
+            scan, variationId: variation_id, locationId: location_id, quantity: Number(quantity),
+            expirationDate: expiration_date, lotCode: lot_code,
+        });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, result.scan ? result : { lot: result.lot }, 201);
+}));
+
+// PATCH /api/expiry-lots/:id — Correct quantity, expiry date or lot code
+router.patch('/:id', requireAuth, requireMerchant, requireWriteAccess, validators.updateLot, asyncHandler(async (req, res) => {
+    const { quantity, expiration_date, lot_code } = req.body;
+    let lot;
+    try {
+        lot = await lotService.updateLot(req.merchantContext.id, req.params.id, {
+            quantity: quantity === undefined ? undefined : Number(quantity),
+            expirationDate: expiration_date, lotCode: lot_code,
+        });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', lot });
+}));
+
+// DELETE /api/expiry-lots/:id — Delete a lot entered in error
+router.delete('/:id', requireAuth, requireMerchant, requireWriteAccess, validators.deleteLot, asyncHandler(async (req, res) => {
+    try {
+        await lotService.deleteLot(req.merchantContext.id, req.params.id);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success' });
+}));
+
+module.exports = router;
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Purchase Order Routes
+ *
+ * Mounts sub-routers for purchase orders and their receiving, landed cost and
+ * vendor invoice features. All sub-routers define paths relative to
+ * /api/purchase-orders (mounted in server.js).
+ *
+ * Sub-routers:
+ *   orders.js        – CRUD, submit, send, receive, close, delete, CSV/XLSX export
+ *   receiving.js     – /:id/receiving-session (start, scans, commit, cancel)
+ *   landed-costs.js  – GET/PUT /:id/landed-costs
+ *   invoices.js      – /:id/invoices (import, match report, accept, discard)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+router.use('/', require('./orders'));
+router.use('/', require('./receiving'));
+router.use('/', require('./landed-costs'));
+router.use('/', require('./invoices'));
+
+module.exports = router;
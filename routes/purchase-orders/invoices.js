@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Purchase Order Vendor Invoice Routes — thin handlers; all logic in
+ * services/purchase-orders/po-invoice-service.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireWriteAccess } = require('../../middleware/auth');
+const { requireMerchant } = require('../../middleware/merchant');
+const asyncHandler = require('../../middleware/async-handler');
+const validators = require('../../middleware/validators/purchase-orders-invoices');
+const { sendSuccess, sendError } = require('../../utils/response-helper');
+const poInvoiceService = require('../../services/purchase-orders/po-invoice-service');
+const { decodeFileData } = require('../../utils/file-decode');
+
+// GET /api/purchase-orders/:id/invoices — Vendor invoices imported against the PO
+router.get('/:id/invoices', requireAuth, requireMerchant, validators.listInvoices, asyncHandler(async (req, res) => {
+    const invoices = await poInvoiceService.listInvoices(req.merchantContext.id, req.params.id);
+    sendSuccess(res, { count: invoices.length, invoices });
+}));
+
+// POST /api/purchase-orders/:id/invoices — Import a vendor invoice (CSV/XLSX) and match it
+router.post('/:id/invoices', requireAuth, requireMerchant, requireWriteAccess, validators.uploadInvoice, asyncHandler(async (req, res) => {
+    const { data, fileType, fileName, invoice_number, invoice_date } = req.body;
+    const { fileData, type } = decodeFileData(data, fileType, fileName);
+    let result;
+    try {
+        result = await poInvoiceService.importInvoice(req.merchantContext.id, req.params.id, {
+            data: fileData, fileType: type, fileName, invoiceNumber: invoice_number, invoiceDate: invoice_date,
+        });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, result, 201);
+}));
+
+// GET /api/purchase-orders/:id/invoices/:invoiceId — Three-way match report
+router.get('/:id/invoices/:invoiceId', requireAuth, requireMerchant, validators.invoice, asyncHandler(async (req, res) => {
+    const invoice = await poInvoiceService.getInvoice(req.merchantContext.id, req.params.id, req.params.invoiceId);
+    if (!invoice) return sendError(res, 'Invoice not found', 404);
+    sendSuccess(res, { invoice });
+}));
+
+// POST /api/purchase-orders/:id/invoices/:invoiceId/accept — Apply invoiced costs to vendor costs
+router.post('/:id/invoices/:invoiceId/accept', requireAuth, requireMerchant, requireWriteAccess, validators.invoice, asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await poInvoiceService.acceptInvoice(req.merchantContext.id, req.params.id, req.params.invoiceId);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', ...result });
+}));
+
+// DELETE /api/purchase-orders/:id/invoices/:invoiceId — Discard a pending invoice
+router.delete('/:id/invoices/:invoiceId', requireAuth, requireMerchant, requireWriteAccess, validators.invoice, asyncHandler(async (req, res) => {
+    const deleted = await poInvoiceService.deleteInvoice(req.merchantContext.id, req.params.id, req.params.invoiceId);
+    if (!deleted) return sendError(res, 'Pending invoice not found', 404);
+    sendSuccess(res, { status: 'success' });
+}));
+
+module.exports = router;
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Purchase Order Landed Cost Routes — thin handlers; all logic in
+ * services/purchase-orders/po-landed-cost-service.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireWriteAccess } = require('../../middleware/auth');
+const { requireMerchant } = require('../../middleware/merchant');
+const asyncHandler = require('../../middleware/async-handler');
+const validators = require('../../middleware/validators/purchase-orders-landed-costs');
+const { sendSuccess, sendError } = require('../../utils/response-helper');
+const poLandedCostService = require('../../services/purchase-orders/po-landed-cost-service');
+
+// GET /api/purchase-orders/:id/landed-costs — Receipt charges and landed unit costs per received line
+router.get('/:id/landed-costs', requireAuth, requireMerchant, validators.landedCosts, asyncHandler(async (req, res) => {
+    let landedCosts;
+    try {
+        landedCosts = await poLandedCostService.getLandedCosts(req.merchantContext.id, req.params.id);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { landed_costs: landedCosts });
+}));
+
+// PUT /api/purchase-orders/:id/landed-costs — Replace receipt charges and re-allocate them
+router.put('/:id/landed-costs', requireAuth, requireMerchant, requireWriteAccess, validators.setLandedCosts, asyncHandler(async (req, res) => {
+    let landedCosts;
+    try {
+        landedCosts = await poLandedCostService.setLandedCosts(req.merchantContext.id, req.params.id, {
+            allocationMethod: req.body.allocation_method, charges: req.body.charges, weights: req.body.weights,
+        });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', landed_costs: landedCosts });
+}));
+
+module.exports = router;
@@ -3,21 +3,26 @@
 /**
  * Purchase Order Routes — thin handlers; all logic in services.
  * CRUD/status:  services/purchase-orders/po-service.js
+ * Email:        services/purchase-orders/po-email-service.js
  * Receive:      services/purchase-orders/po-receive-service.js
+ * Close:        services/purchase-orders/po-backorder-service.js
  * Exports:      services/purchase-orders/po-export-service.js
  */
 
 const express = require('express');
 const router = express.Router();
-const logger = require('../utils/logger');
-const { requireAuth, requireWriteAccess } = require('../middleware/auth');
-const { requireMerchant } = require('../middleware/merchant');
-const asyncHandler = require('../middleware/async-handler');
-const validators = require('../middleware/validators/purchase-orders');
-const { sendSuccess, sendError } = require('../utils/response-helper');
-const poService = require('../services/purchase-orders/po-service');
-const poReceiveService = require('../services/purchase-orders/po-receive-service');
-const poExportService = require('../services/purchase-orders/po-export-service');
+const logger = require('../../utils/logger');
+const { requireAuth, requireWriteAccess } = require('../../middleware/auth');
+const { requireMerchant } = require('../../middleware/merchant');
+const asyncHandler = require('../../middleware/async-handler');
+const validators = require('../../middleware/validators/purchase-orders');
+const closeValidators = require('../../middleware/validators/purchase-orders-close');
+const { sendSuccess, sendError } = require('../../utils/response-helper');
+const poService = require('../../services/purchase-orders/po-service');
+const poEmailService = require('../../services/purchase-orders/po-email-service');
+const poReceiveService = require('../../services/purchase-orders/po-receive-service');
+const poBackorderService = require('../../services/purchase-orders/po-backorder-service');
+const poExportService = require('../../services/purchase-orders/po-export-service');
 
 // POST /api/purchase-orders — Create PO
 router.post('/', requireAuth, requireMerchant, requireWriteAccess, validators.createPurchaseOrder, asyncHandler(async (req, res) => {
@@ -92,6 +97,17 @@ router.post('/:id/submit', requireAuth, requireMerchant, requireWriteAccess, val
     sendSuccess(res, { status: 'success', purchase_order: po });
 }));
 
+// POST /api/purchase-orders/:id/send — Email PDF to vendor (submits a DRAFT first); also resends
+router.post('/:id/send', requireAuth, requireMerchant, requireWriteAccess, validators.sendPurchaseOrder, asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await poEmailService.sendPurchaseOrder(req.merchantContext.id, req.params.id, { to: req.body.to });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', ...result });
+}));
+
 // POST /api/purchase-orders/:id/receive — Record received quantities
 router.post('/:id/receive', requireAuth, requireMerchant, requireWriteAccess, validators.receivePurchaseOrder, asyncHandler(async (req, res) => {
     let po;
@@ -103,6 +119,17 @@ router.post('/:id/receive', requireAuth, requireMerchant, requireWriteAccess, va
     sendSuccess(res, { status: 'success', purchase_order: po });
 }));
 
+// POST /api/purchase-orders/:id/close — PARTIAL → CLOSED; remainder cancelled or carried to the next draft
+router.post('/:id/close', requireAuth, requireMerchant, requireWriteAccess, closeValidators.closePurchaseOrder, asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await poBackorderService.closePurchaseOrder(req.merchantContext.id, req.params.id, { remainder: req.body.remainder });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', ...result });
+}));
+
 // DELETE /api/purchase-orders/:id — Delete DRAFT PO
 router.delete('/:id', requireAuth, requireMerchant, requireWriteAccess, validators.deletePurchaseOrder, asyncHandler(async (req, res) => {
     let deleted;
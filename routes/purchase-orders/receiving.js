@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Purchase Order Scan Receiving Routes — thin handlers; all logic in
+ * services/purchase-orders/po-receiving-session-service.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireWriteAccess } = require('../../middleware/auth');
+const { requireMerchant } = require('../../middleware/merchant');
+const asyncHandler = require('../../middleware/async-handler');
+const validators = require('../../middleware/validators/purchase-orders-receiving');
+const { sendSuccess, sendError } = require('../../utils/response-helper');
+const poReceivingSessionService = require('../../services/purchase-orders/po-receiving-session-service');
+
+// GET /api/purchase-orders/:id/receiving-session — Open scan session with per-line counts
+router.get('/:id/receiving-session', requireAuth, requireMerchant, validators.receivingSession, asyncHandler(async (req, res) => {
+    const session = await poReceivingSessionService.getSession(req.merchantContext.id, req.params.id);
+    sendSuccess(res, { session });
+}));
+
+// POST /api/purchase-orders/:id/receiving-session — Start (or resume) scan receiving
+router.post('/:id/receiving-session', requireAuth, requireMerchant, requireWriteAccess, validators.receivingSession, asyncHandler(async (req, res) => {
+    let session;
+    try {
+        session = await poReceivingSessionService.startSession(req.merchantContext.id, req.params.id, req.session.user.id);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { session });
+}));
+
+// POST /api/purchase-orders/:id/receiving-session/scans — Record a barcode or GS1 scan
+router.post('/:id/receiving-session/scans', requireAuth, requireMerchant, requireWriteAccess, validators.recordReceivingScan, asyncHandler(async (req, res) => {
+    let result;
+    try {
+        const { barcode, scan, quantity, expiration_date: expirationDate, lot_code: lotCode } = req.body;
+        result = await poReceivingSessionService.recordScan(req.merchantContext.id, req.params.id, { barcode, gs1: scan, quantity, expirationDate, lotCode });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, result);
+}));
+
+// DELETE /api/purchase-orders/:id/receiving-session/scans/:scanId — Undo a scan
+router.delete('/:id/receiving-session/scans/:scanId', requireAuth, requireMerchant, requireWriteAccess, validators.removeReceivingScan, asyncHandler(async (req, res) => {
+    let removed;
+    try {
+        removed = await poReceivingSessionService.removeScan(req.merchantContext.id, req.params.id, req.params.scanId);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    if (!removed) return sendError(res, 'Scan not found', 404);
+    sendSuccess(res, { status: 'success' });
+}));
+
+// POST /api/purchase-orders/:id/receiving-session/commit — Record scanned quantities
+router.post('/:id/receiving-session/commit', requireAuth, requireMerchant, requireWriteAccess, validators.receivingSession, asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await poReceivingSessionService.commitSession(req.merchantContext.id, req.params.id);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', ...result });
+}));
+
+// DELETE /api/purchase-orders/:id/receiving-session — Discard the open session's scans
+router.delete('/:id/receiving-session', requireAuth, requireMerchant, requireWriteAccess, validators.receivingSession, asyncHandler(async (req, res) => {
+    try {
+        await poReceivingSessionService.cancelSession(req.merchantContext.id, req.params.id);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success' });
+}));
+
+module.exports = router;
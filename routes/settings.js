@@ -68,7 +68,10 @@ router.put('/settings/merchant', requireAuth, requireMerchant, requireWriteAcces
         }
 
         // Validate boolean fields
-        const booleanFields = ['cycle_count_email_enabled', 'cycle_count_report_email', 'low_stock_alerts_enabled'];
+        const booleanFields = [
+            'cycle_count_email_enabled', 'cycle_count_report_email', 'low_stock_alerts_enabled',
+            'reorder_use_observed_lead_time'
+        ];
         for (const field of booleanFields) {
             if (settings.hasOwnProperty(field)) {
                 settings[field] = Boolean(settings[field]);
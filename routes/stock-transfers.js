@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * Stock Transfer Routes — thin handlers; all logic in services.
+ * CRUD:         services/inventory/transfer-service.js
+ * Ship/receive: services/inventory/transfer-status-service.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
+const { requireMerchant } = require('../middleware/merchant');
+const asyncHandler = require('../middleware/async-handler');
+const validators = require('../middleware/validators/stock-transfers');
+const { sendSuccess, sendError } = require('../utils/response-helper');
+const transferService = require('../services/inventory/transfer-service');
+const transferStatusService = require('../services/inventory/transfer-status-service');
+
+// GET /api/stock-transfers — List transfers (?status= and ?location_id= filters)
+router.get('/', requireAuth, requireMerchant, validators.listTransfers, asyncHandler(async (req, res) => {
+    const rows = await transferService.listTransfers(req.merchantContext.id, {
+        status: req.query.status, locationId: req.query.location_id,
+    });
+    sendSuccess(res, { count: rows.length, transfers: rows });
+}));
+
+// GET /api/stock-transfers/:id — Get single transfer with lines
+router.get('/:id', requireAuth, requireMerchant, validators.getTransfer, asyncHandler(async (req, res) => {
+    const transfer = await transferService.getTransfer(req.merchantContext.id, req.params.id);
+    if (!transfer) return sendError(res, 'Stock transfer not found', 404);
+    sendSuccess(res, { transfer });
+}));
+
+// POST /api/stock-transfers — Create DRAFT transfer
+router.post('/', requireAuth, requireMerchant, requireWriteAccess, validators.createTransfer, asyncHandler(async (req, res) => {
+    const { from_location_id, to_location_id, notes, items } = req.body;
+    let transfer;
+    try {
+        transfer = await transferService.createTransfer(req.merchantContext.id, {
+            fromLocationId: from_location_id, toLocationId: to_location_id, notes, items,
+        });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { transfer }, 201);
+}));
+
+// PATCH /api/stock-transfers/:id — Update notes; replace lines while DRAFT
+router.patch('/:id', requireAuth, requireMerchant, requireWriteAccess, validators.updateTransfer, asyncHandler(async (req, res) => {
+    const { notes, items } = req.body;
+    let transfer;
+    try {
+        transfer = await transferService.updateTransfer(req.merchantContext.id, req.params.id, { notes, items });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', transfer });
+}));
+
+// POST /api/stock-transfers/:id/ship — DRAFT → SHIPPED; stock goes in transit in Square
+router.post('/:id/ship', requireAuth, requireMerchant, requireWriteAccess, validators.shipTransfer, asyncHandler(async (req, res) => {
+    let transfer;
+    try {
+        transfer = await transferStatusService.shipTransfer(req.merchantContext.id, req.params.id);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', transfer });
+}));
+
+// POST /api/stock-transfers/:id/receive — SHIPPED → RECEIVED; stock lands at the destination in Square
+router.post('/:id/receive', requireAuth, requireMerchant, requireWriteAccess, validators.receiveTransfer, asyncHandler(async (req, res) => {
+    let transfer;
+    try {
+        transfer = await transferStatusService.receiveTransfer(req.merchantContext.id, req.params.id);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', transfer });
+}));
+
+// DELETE /api/stock-transfers/:id — Delete DRAFT transfer
+router.delete('/:id', requireAuth, requireMerchant, requireWriteAccess, validators.deleteTransfer, asyncHandler(async (req, res) => {
+    let deleted;
+    try {
+        deleted = await transferService.deleteTransfer(req.merchantContext.id, req.params.id);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', message: `Stock transfer ${deleted.transferNumber} deleted successfully` });
+}));
+
+module.exports = router;
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Vendor Return (RMA) Routes — thin handlers; all logic in services.
+ * CRUD:        services/purchase-orders/po-return-service.js
+ * Ship/credit: services/purchase-orders/po-return-status-service.js
+ * Candidates:  services/purchase-orders/po-return-candidates.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
+const { requireMerchant } = require('../middleware/merchant');
+const asyncHandler = require('../middleware/async-handler');
+const validators = require('../middleware/validators/vendor-returns');
+const { sendSuccess, sendError } = require('../utils/response-helper');
+const returnService = require('../services/purchase-orders/po-return-service');
+const returnStatusService = require('../services/purchase-orders/po-return-status-service');
+const { getReturnCandidates } = require('../services/purchase-orders/po-return-candidates');
+
+// GET /api/vendor-returns — List returns (?status= and ?vendor_id= filters)
+router.get('/', requireAuth, requireMerchant, validators.listReturns, asyncHandler(async (req, res) => {
+    const rows = await returnService.listReturns(req.merchantContext.id, {
+        status: req.query.status, vendorId: req.query.vendor_id,
+    });
+    sendSuccess(res, { count: rows.length, returns: rows });
+}));
+
+// GET /api/vendor-returns/candidates — Expired stock on hand, pre-filled as return lines
+router.get('/candidates', requireAuth, requireMerchant, validators.returnCandidates, asyncHandler(async (req, res) => {
+    const candidates = await getReturnCandidates(req.merchantContext.id, {
+        vendorId: req.query.vendor_id, locationId: req.query.location_id,
+    });
+    sendSuccess(res, { count: candidates.length, candidates });
+}));
+
+// GET /api/vendor-returns/:id — Get single return with lines
+router.get('/:id', requireAuth, requireMerchant, validators.getReturn, asyncHandler(async (req, res) => {
+    const vendorReturn = await returnService.getReturn(req.merchantContext.id, req.params.id);
+    if (!vendorReturn) return sendError(res, 'Vendor return not found', 404);
+    sendSuccess(res, { vendor_return: vendorReturn });
+}));
+
+// POST /api/vendor-returns — Create DRAFT return
+router.post('/', requireAuth, requireMerchant, requireWriteAccess, validators.createReturn, asyncHandler(async (req, res) => {
+    const { vendor_id, location_id, purchase_order_id, vendor_rma_number, notes, items } = req.body;
+    let vendorReturn;
+    try {
+        vendorReturn = await returnService.createReturn(req.merchantContext.id, {
+            vendorId: vendor_id, locationId: location_id, purchaseOrderId: purchase_order_id,
+            vendorRmaNumber: vendor_rma_number, notes, items,
+        });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { vendor_return: vendorReturn }, 201);
+}));
+
+// PATCH /api/vendor-returns/:id — Update RMA number / notes; replace lines while DRAFT
+router.patch('/:id', requireAuth, requireMerchant, requireWriteAccess, validators.updateReturn, asyncHandler(async (req, res) => {
+    const { vendor_rma_number, notes, items } = req.body;
+    let vendorReturn;
+    try {
+        vendorReturn = await returnService.updateReturn(req.merchantContext.id, req.params.id, {
+            vendorRmaNumber: vendor_rma_number, notes, items,
+        });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', vendor_return: vendorReturn });
+}));
+
+// POST /api/vendor-returns/:id/ship — DRAFT → SENT; removes the stock from Square inventory
+router.post('/:id/ship', requireAuth, requireMerchant, requireWriteAccess, validators.shipReturn, asyncHandler(async (req, res) => {
+    let vendorReturn;
+    try {
+        vendorReturn = await returnStatusService.shipReturn(req.merchantContext.id, req.params.id);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', vendor_return: vendorReturn });
+}));
+
+// POST /api/vendor-returns/:id/credit — SENT → CREDITED with the vendor's credit memo
+router.post('/:id/credit', requireAuth, requireMerchant, requireWriteAccess, validators.creditReturn, asyncHandler(async (req, res) => {
+    const { credit_amount_cents, credit_memo_number } = req.body;
+    let vendorReturn;
+    try {
+        vendorReturn = await returnStatusService.creditReturn(req.merchantContext.id, req.params.id, {
+            creditAmountCents: credit_amount_cents != null ? Number(credit_amount_cents) : undefined,
+            creditMemoNumber: credit_memo_number,
+        });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', vendor_return: vendorReturn });
+}));
+
+// DELETE /api/vendor-returns/:id — Delete DRAFT return
+router.delete('/:id', requireAuth, requireMerchant, requireWriteAccess, validators.deleteReturn, asyncHandler(async (req, res) => {
+    let deleted;
+    try {
+        deleted = await returnService.deleteReturn(req.merchantContext.id, req.params.id);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', message: `Vendor return ${deleted.returnNumber} deleted successfully` });
+}));
+
+module.exports = router;
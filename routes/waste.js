@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Waste Routes — thin handlers; all logic in services.
+ * Waste log:    services/inventory/waste-service.js
+ * Shrink report: services/inventory/shrink-report-service.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
+const { requireMerchant } = require('../middleware/merchant');
+const asyncHandler = require('../middleware/async-handler');
+const validators = require('../middleware/validators/waste');
+const { sendSuccess, sendError } = require('../utils/response-helper');
+const wasteService = require('../services/inventory/waste-service');
+const shrinkReportService = require('../services/inventory/shrink-report-service');
+
+// GET /api/waste — Waste log, newest first (?start_date=, ?end_date=, ?reason=, ?square_status=, ?limit=, ?offset=)
+router.get('/', requireAuth, requireMerchant, validators.listWaste, asyncHandler(async (req, res) => {
+    const entries = await wasteService.listWaste(req.merchantContext.id, {
+        startDate: req.query.start_date,
+        endDate: req.query.end_date,
+        reason: req.query.reason,
+        squareStatus: req.query.square_status,
+        limit: req.query.limit ? Number(req.query.limit) : undefined,
+        offset: req.query.offset ? Number(req.query.offset) : undefined,
+    });
+    sendSuccess(res, { count: entries.length, entries });
+}));
+
+// GET /api/waste/shrink-report — Waste cost vs expiry discount recovery (?group_by=vendor|brand|category|month)
+router.get('/shrink-report', requireAuth, requireMerchant, validators.shrinkReport, asyncHandler(async (req, res) => {
+    let report;
+    try {
+        report = await shrinkReportService.getShrinkReport(req.merchantContext.id, {
+            groupBy: req.query.group_by,
+            startDate: req.query.start_date,
+            endDate: req.query.end_date,
+        });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, report);
+}));
+
+// POST /api/waste — Write off damaged, recalled or expired stock at a location
+router.post('/', requireAuth, requireMerchant, requireWriteAccess, validators.recordWaste, asyncHandler(async (req, res) => {
+    const { variation_id, location_id, quantity, reason, notes, recorded_by } = req.body;
+    let result;
+    try {
+        result = await wasteService.recordWaste(req.merchantContext.id, {
+            variationId: variation_id,
+            lines: [{ locationId: location_id, quantity: Number(quantity) }],
+            reason,
+            notes: notes || null,
+            recordedBy: recorded_by || req.session.user.email || null,
+        });
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, result, 201);
+}));
+
+// POST /api/waste/:id/retry — Post a waste entry to Square again after a failure
+router.post('/:id/retry', requireAuth, requireMerchant, requireWriteAccess, validators.retryWaste, asyncHandler(async (req, res) => {
+    let entry;
+    try {
+        entry = await wasteService.retryWastePost(req.merchantContext.id, req.params.id);
+    } catch (err) {
+        return sendError(res, err.message, err.statusCode || 500);
+    }
+    sendSuccess(res, { status: 'success', entry });
+}));
+
+module.exports = router;
@@ -78,7 +78,10 @@ const { loadMerchantContext, requireMerchant, requireValidSubscription, getSquar
 const { requireActiveSubscription } = require('./middleware/require-active-subscription');
 const squareOAuthRoutes = require('./routes/square-oauth');
 const driverApiRoutes = require('./routes/driver-api');
+const deliveryTrackingRoutes = require('./routes/delivery-tracking');
 const purchaseOrdersRoutes = require('./routes/purchase-orders');
+const vendorReturnsRoutes = require('./routes/vendor-returns');
+const stockTransfersRoutes = require('./routes/stock-transfers');
 const subscriptionsRoutes = require('./routes/subscriptions');
 const loyaltyRoutes = require('./routes/loyalty');
 const gmcRoutes = require('./routes/gmc/index');
@@ -86,6 +89,8 @@ const deliveryRoutes = require('./routes/delivery');
 const webhooksRoutes = require('./routes/webhooks');
 const webhooksSquareRoute = require('./routes/webhooks/square');
 const expiryDiscountsRoutes = require('./routes/expiry-discounts');
+const expiryLotsRoutes = require('./routes/expiry-lots');
+const wasteRoutes = require('./routes/waste');
 const vendorCatalogRoutes = require('./routes/vendor-catalog');
 const vendorMatchSuggestionsRoutes = require('./routes/vendor-match-suggestions');
 const cycleCountsRoutes = require('./routes/cycle-counts');
@@ -230,7 +235,7 @@ if (!process.env.SESSION_SECRET) {
 // NOTE: AUTH_DISABLED bypass removed for security (2026-01-05)
 
 // Public pages that don't require authentication
-const publicPages = ['/', '/index.html', '/login.html', '/subscribe.html', '/support.html', '/set-password.html', '/subscription-expired.html', '/accept-invite.html', '/driver.html', '/pricing.html'];
+const publicPages = ['/', '/index.html', '/login.html', '/subscribe.html', '/support.html', '/set-password.html', '/subscription-expired.html', '/accept-invite.html', '/driver.html', '/track.html', '/pricing.html'];
 
 app.use((req, res, next) => {
     // Only check HTML page requests (not API, not static assets)
@@ -316,9 +321,9 @@ const apiAuthMiddleware = (req, res, next) => {
     ];
 
     // Allow public routes without auth
-    // Also allow driver API routes (token-based auth handled in route)
+    // Also allow driver API and customer tracking routes (token-based auth handled in route)
     // Also allow staff invitation routes (token-based, no login required)
-    if (publicPaths.includes(req.path) || req.path.startsWith('/driver/') || req.path === '/staff/accept' || req.path === '/staff/validate-token') {
+    if (publicPaths.includes(req.path) || req.path.startsWith('/driver/') || req.path.startsWith('/track/') || req.path === '/staff/accept' || req.path === '/staff/validate-token') {
         return next();
     }
 
@@ -345,6 +350,7 @@ const subscriptionExcludedPaths = [
     '/webhooks/',
     '/subscriptions/',
     '/driver/',
+    '/track/',
     '/admin/',
     '/config',
     '/merchants',
@@ -520,9 +526,15 @@ app.use('/api/admin/catalog-location-health', catalogLocationHealthRoutes);
 // Token-based public endpoints for contract drivers + authenticated merchant endpoints
 app.use('/api', driverApiRoutes);
 
+// ==================== DELIVERY TRACKING ROUTES ====================
+// Token-based public tracking view for customers + authenticated link management
+app.use('/api', deliveryTrackingRoutes);
+
 // ==================== PURCHASE ORDERS ROUTES ====================
 // Financial operations for managing purchase orders
 app.use('/api/purchase-orders', requireFeature('reorder'), requirePermission('reorder', 'read'), purchaseOrdersRoutes);
+app.use('/api/vendor-returns', requireFeature('reorder'), requirePermission('reorder', 'read'), vendorReturnsRoutes);
+app.use('/api/stock-transfers', requireFeature('reorder'), requirePermission('reorder', 'read'), stockTransfersRoutes);
 
 // ==================== SUBSCRIPTIONS ROUTES ====================
 // SaaS subscription management (Square Subscriptions API)
@@ -560,6 +572,8 @@ app.use('/api/webhooks', webhooksSquareRoute);
 // ==================== EXPIRY DISCOUNTS ROUTES ====================
 // Automatic discount management for products approaching expiration
 app.use('/api', expiryDiscountsRoutes);
+app.use('/api/expiry-lots', requireFeature('expiry'), requirePermission('expiry', 'read'), expiryLotsRoutes);
+app.use('/api/waste', requireFeature('expiry'), requirePermission('expiry', 'read'), wasteRoutes);
 
 // ==================== VENDOR CATALOG ROUTES ====================
 // Vendor management and catalog import/matching
@@ -595,14 +609,19 @@ app.use('/api', seniorsRoutes);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/square/oauth', squareOAuthRoutes);
 app.use('/api/v1/purchase-orders', requireFeature('reorder'), requirePermission('reorder', 'read'), purchaseOrdersRoutes);
+app.use('/api/v1/vendor-returns', requireFeature('reorder'), requirePermission('reorder', 'read'), vendorReturnsRoutes);
+app.use('/api/v1/stock-transfers', requireFeature('reorder'), requirePermission('reorder', 'read'), stockTransfersRoutes);
 app.use('/api/v1/loyalty', requireFeature('loyalty'), requirePermission('loyalty', 'read'), loyaltyRoutes);
 app.use('/api/v1/gmc', requireFeature('gmc'), requirePermission('gmc', 'read'), gmcRoutes);
 app.use('/api/v1/delivery', requireFeature('delivery'), requirePermission('delivery', 'read'), deliveryRoutes);
 app.use('/api/v1/webhooks', webhooksSquareRoute);
 app.use('/api/v1', driverApiRoutes);
+app.use('/api/v1', deliveryTrackingRoutes);
 app.use('/api/v1', subscriptionsRoutes);
 app.use('/api/v1', webhooksRoutes);
 app.use('/api/v1', expiryDiscountsRoutes);
+app.use('/api/v1/expiry-lots', requireFeature('expiry'), requirePermission('expiry', 'read'), expiryLotsRoutes);
+app.use('/api/v1/waste', requireFeature('expiry'), requirePermission('expiry', 'read'), wasteRoutes);
 app.use('/api/v1', vendorCatalogRoutes);
 app.use('/api/v1/vendor-match-suggestions', vendorMatchSuggestionsRoutes);
 app.use('/api/v1', cycleCountsRoutes);
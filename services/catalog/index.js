@@ -6,6 +6,7 @@
  * - Inventory and stock levels
  * - Expiration tracking
  * - Catalog auditing
+ * - Restoring items deleted in Square
  *
  * Extracted from routes/catalog.js as part of P1-2 (fat routes service extraction).
  */
@@ -15,6 +16,7 @@ const variationService = require('./variation-service');
 const inventoryService = require('./inventory-service');
 const auditService = require('./audit-service');
 const reorderMath = require('./reorder-math');
+const restoreService = require('./restore-service');
 
 module.exports = {
     // Item Service
@@ -45,6 +47,10 @@ module.exports = {
     enableItemAtAllLocations: auditService.enableItemAtAllLocations,
     fixInventoryAlerts: auditService.fixInventoryAlerts,
 
+    // Restore Service
+    previewRestore: restoreService.previewRestore,
+    restoreDeletedItems: restoreService.restoreDeletedItems,
+
     // Reorder Math
     calculateReorderQuantity: reorderMath.calculateReorderQuantity,
     calculateDaysOfStock: reorderMath.calculateDaysOfStock
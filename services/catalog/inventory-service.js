@@ -15,6 +15,8 @@ const logger = require('../../utils/logger');
 const squareApi = require('../square');
 const { escapeLikePattern } = require('../../utils/escape-like');
 const expiryDiscount = require('../expiry');
+const { pullLots } = require('../expiry/lot-depletion');
+const { recordWaste } = require('../inventory/waste-service');
 const { batchResolveImageUrls } = require('../../utils/image-utils');
 
 /**
@@ -684,6 +686,8 @@ async function markExpirationsReviewed(merchantId, variationIds, reviewedBy = 'U
 
 /**
  * Handle expired item pull — supports both full and partial expiry.
+ * Pulled units are written off through the waste log (reason EXPIRED), which
+ * posts them to Square as WASTE and reduces local inventory counts.
  *
  * @param {number} merchantId
  * @param {Object} params
@@ -729,36 +733,21 @@ async function handleExpiredPull(merchantId, params) {
         WHERE catalog_object_id = $1 AND state = 'IN_STOCK' AND merchant_id = $2
     `, [variation_id, merchantId]);
 
-    const squareResults = { success: 0, failed: 0, errors: [] };
+    const waste = {
+        variationId: variation_id,
+        reason: 'EXPIRED',
+        source: 'EXPIRY_PULL',
+        notes: notes || null,
+        recordedBy: reviewed_by
+    };
 
     if (all_expired) {
-        // --- ALL EXPIRED: zero inventory at every location ---
-        for (const row of inventoryResult.rows) {
-            if (row.quantity > 0) {
-                try {
-                    await squareApi.setSquareInventoryCount(
-                        row.catalog_object_id,
-                        row.location_id,
-                        0,
-                        notes || 'Expiry audit — all units expired, pulled from shelf',
-                        merchantId
-                    );
-                    squareResults.success++;
-                } catch (err) {
-                    squareResults.failed++;
-                    squareResults.errors.push({ location_id: row.location_id, error: err.message });
-                    logger.error('Failed to zero inventory for expired pull', {
-                        variation_id, location_id: row.location_id, merchantId, error: err.message
-                    });
-                }
-            }
-        }
-
-        // Update local inventory_counts to 0
-        await db.query(`
-            UPDATE inventory_counts SET quantity = 0, updated_at = NOW()
-            WHERE catalog_object_id = $1 AND state = 'IN_STOCK' AND merchant_id = $2
-        `, [variation_id, merchantId]);
+        // --- ALL EXPIRED: write off the stock at every location ---
+        const { entries, squareInventory } = await recordWaste(merchantId, {
+            ...waste,
+            lines: inventoryResult.rows.map(row => ({ locationId: row.location_id, quantity: row.quantity }))
+        });
+        await pullLots(merchantId, variation_id);
 
         // Mark reviewed
         await markExpirationsReviewed(merchantId, [variation_id], reviewed_by);
@@ -768,8 +757,9 @@ async function handleExpiredPull(merchantId, params) {
         return {
             success: true,
             action: 'full_pull',
-            message: 'All units pulled from shelf — inventory zeroed',
-            squareInventory: squareResults
+            message: 'All units pulled from shelf and logged as waste',
+            squareInventory,
+            waste: entries
         };
     }
 
@@ -781,34 +771,19 @@ async function handleExpiredPull(merchantId, params) {
         return { success: false, error: 'new_expiry_date is required for partial expiry', status: 400 };
     }
 
-    // Set inventory to remaining_quantity at primary location
-    // (use the first location with stock, or first location overall)
+    // Units above remaining_quantity at the primary location (the first with
+    // stock, or first overall) are written off; nothing when none are pulled
     const locationRow = inventoryResult.rows.find(r => r.quantity > 0) || inventoryResult.rows[0];
-    if (locationRow) {
-        try {
-            await squareApi.setSquareInventoryCount(
-                variation_id,
-                locationRow.location_id,
-                remaining_quantity,
-                notes || `Expiry audit — partial pull, ${remaining_quantity} units remain`,
-                merchantId
-            );
-            squareResults.success++;
-        } catch (err) {
-            squareResults.failed++;
-            squareResults.errors.push({ location_id: locationRow.location_id, error: err.message });
-            logger.error('Failed to update inventory for partial pull', {
-                variation_id, location_id: locationRow.location_id, merchantId, error: err.message
-            });
-        }
+    const { entries, squareInventory } = await recordWaste(merchantId, {
+        ...waste,
+        lines: locationRow
+            ? [{ locationId: locationRow.location_id, quantity: locationRow.quantity - remaining_quantity }]
+            : []
+    });
 
-        // Update local inventory_counts
-        await db.query(`
-            UPDATE inventory_counts SET quantity = $1, updated_at = NOW()
-            WHERE catalog_object_id = $2 AND location_id = $3
-              AND state = 'IN_STOCK' AND merchant_id = $4
-        `, [remaining_quantity, variation_id, locationRow.location_id, merchantId]);
-    }
+    // Lots dated before the new expiry are the ones pulled; the date entered
+    // by the auditor is then saved as the variation's expiry
+    await pullLots(merchantId, variation_id, { expiringBefore: new_expiry_date });
 
     // Update expiry date to the next valid date
     const saveResult = await saveExpirations(merchantId, [{
@@ -828,7 +803,8 @@ async function handleExpiredPull(merchantId, params) {
         success: true,
         action: 'partial_pull',
         message: `Partial pull — ${remaining_quantity} units remain with new expiry ${new_expiry_date}`,
-        squareInventory: squareResults,
+        squareInventory,
+        waste: entries,
         expiryUpdate: saveResult
     };
 }
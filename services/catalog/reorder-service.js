@@ -15,6 +15,10 @@ const { batchResolveImageUrls } = require('../../utils/image-utils');
 const { calculateOrderOptions } = require('../bundles/bundle-calculator');
 const { calculateReorderQuantity, detectMinMaxConflict } = require('./reorder-math');
 const { calculateLeadTime, leadTimeSqlExpr } = require('../vendor/lead-time-service');
+const {
+    getVendorDeliveryStats, buildPlanningAdjustments, observedPlanningSql
+} = require('../vendor/vendor-performance-service');
+const { applyTransferSuggestions } = require('../inventory/transfer-suggestions');
 
 /**
  * Get reorder suggestions for a merchant.
@@ -60,8 +64,19 @@ async function getReorderSuggestions({ merchantId, businessName, query }) {
         }
     }
 
+    // Optional: observed p90 lead time and fill-rate-adjusted safety per vendor
+    let planningAdjustments = null;
+    if (merchantSettings.reorder_use_observed_lead_time) {
+        const stats = await getVendorDeliveryStats(merchantId, {
+            vendorId: vendor_id && vendor_id !== 'none' ? vendor_id : undefined
+        });
+        planningAdjustments = buildPlanningAdjustments(stats, safetyDays);
+    }
+
     // Run main reorder query
-    const { rows, params: queryParams } = buildMainQuery({ supplyDaysNum, safetyDays, merchantId, vendor_id, location_id });
+    const { rows, params: queryParams } = buildMainQuery({
+        supplyDaysNum, safetyDays, merchantId, vendor_id, location_id, planningAdjustments
+    });
     const queryStart = Date.now();
     const result = await db.query(rows, queryParams);
     const queryDurationMs = Date.now() - queryStart;
@@ -87,11 +102,15 @@ async function getReorderSuggestions({ merchantId, businessName, query }) {
 
     const suggestions = processSuggestionRows(result.rows, { supplyDaysNum, safetyDays, priorityConfig });
 
-    // Apply min_cost filter
+    // Cover needs from other locations' surplus before ordering; most urgent first
+    sortSuggestions(suggestions);
+    await applyTransferSuggestions(merchantId, suggestions, { horizonDays: supplyDaysNum + safetyDays });
+
+    // Apply min_cost filter (suggested transfers stay visible whatever the PO cost)
     let filteredSuggestions = suggestions;
     if (min_cost) {
         const minCostNum = parseFloat(min_cost);
-        filteredSuggestions = suggestions.filter(s => s.order_cost >= minCostNum);
+        filteredSuggestions = suggestions.filter(s => s.order_cost >= minCostNum || s.transfer_quantity > 0);
     }
 
     // Sort by priority, then stockout days, then velocity
@@ -136,9 +155,10 @@ async function getReorderSuggestions({ merchantId, businessName, query }) {
 // MAIN QUERY
 // ============================================================================
 
-function buildMainQuery({ supplyDaysNum, safetyDays, merchantId, vendor_id, location_id }) {
+function buildMainQuery({ supplyDaysNum, safetyDays, merchantId, vendor_id, location_id, planningAdjustments }) {
     const reorderThreshold = supplyDaysNum + safetyDays;
     const params = [reorderThreshold, merchantId];
+    const planning = observedPlanningSql(planningAdjustments, 've', params);
 
     // PERF-6: Optimized from 11 JOINs + 4 correlated subqueries to 8 JOINs + 2 LATERAL + 1 subquery.
     // - 3 sales_velocity JOINs (sv91/sv182/sv365) → 1 LATERAL with conditional aggregation
@@ -175,6 +195,7 @@ function buildMainQuery({ supplyDaysNum, safetyDays, merchantId, vendor_id, loca
                 vv.vendor_code,
                 vv.vendor_id as current_vendor_id,
                 vv.unit_cost_money as unit_cost_cents,
+                vv.landed_unit_cost_money as landed_unit_cost_cents,
                 -- Primary vendor (cheapest cost, then earliest) from LATERAL join
                 pv.vendor_id as primary_vendor_id,
                 pv.vendor_name as primary_vendor_name,
@@ -185,9 +206,28 @@ function buildMainQuery({ supplyDaysNum, safetyDays, merchantId, vendor_id, loca
                     FROM purchase_order_items poi
                     JOIN purchase_orders po ON poi.purchase_order_id = po.id AND po.merchant_id = $2
                     WHERE poi.variation_id = v.id AND poi.merchant_id = $2
-                      AND po.status NOT IN ('RECEIVED', 'CANCELLED')
+                      AND po.status NOT IN ('RECEIVED', 'CLOSED', 'CANCELLED')
                       AND (poi.quantity_ordered - COALESCE(poi.received_quantity, 0)) > 0
                 ), 0) as pending_po_quantity,
+                -- Portion of the pending quantity carried forward from closed partial POs
+                COALESCE((
+                    SELECT SUM(poi.quantity_ordered - COALESCE(poi.received_quantity, 0))
+                    FROM purchase_order_items poi
+                    JOIN purchase_orders po ON poi.purchase_order_id = po.id AND po.merchant_id = $2
+                    WHERE poi.variation_id = v.id AND poi.merchant_id = $2
+                      AND poi.backorder_of_item_id IS NOT NULL
+                      AND po.status NOT IN ('RECEIVED', 'CLOSED', 'CANCELLED')
+                      AND (poi.quantity_ordered - COALESCE(poi.received_quantity, 0)) > 0
+                ), 0) as backorder_quantity,
+                -- Inbound stock on draft or shipped transfers to this location
+                COALESCE((
+                    SELECT SUM(sti.quantity)
+                    FROM stock_transfer_items sti
+                    JOIN stock_transfers st ON sti.transfer_id = st.id AND st.merchant_id = $2
+                    WHERE sti.variation_id = v.id AND sti.merchant_id = $2
+                      AND st.to_location_id = ic.location_id
+                      AND st.status IN ('DRAFT', 'SHIPPED')
+                ), 0) as pending_transfer_quantity,
                 v.case_pack_quantity,
                 v.reorder_multiple,
                 v.price_money as retail_price_cents,
@@ -199,7 +239,8 @@ function buildMainQuery({ supplyDaysNum, safetyDays, merchantId, vendor_id, loca
                 ve.schedule_type AS vendor_schedule_type,
                 ve.order_day AS vendor_order_day,
                 ve.receive_day AS vendor_receive_day,
-                ${leadTimeSqlExpr('ve')} AS effective_lead_time_days,
+                ${planning.leadTime(leadTimeSqlExpr('ve'))} AS effective_lead_time_days,
+                ${planning.select}
                 ve.default_supply_days,
                 -- Calculate days until stockout based on AVAILABLE quantity (not total on-hand)
                 CASE
@@ -227,6 +268,7 @@ function buildMainQuery({ supplyDaysNum, safetyDays, merchantId, vendor_id, loca
             LEFT JOIN variation_vendors vv ON v.id = vv.variation_id AND vv.merchant_id = $2
             -- Vendor details: name, lead_time_days, default_supply_days
             LEFT JOIN vendors ve ON vv.vendor_id = ve.id AND ve.merchant_id = $2
+            ${planning.join}
             -- On-hand inventory at each location (IN_STOCK state only)
             LEFT JOIN inventory_counts ic ON v.id = ic.catalog_object_id AND ic.merchant_id = $2
                 AND ic.state = 'IN_STOCK'
@@ -284,9 +326,11 @@ function buildMainQuery({ supplyDaysNum, safetyDays, merchantId, vendor_id, loca
                   -- APPLY SUPPLY_DAYS + SAFETY_DAYS + LEAD_TIME: Items with available stock that will run out within threshold period
                   -- Only applies to items with active sales velocity (daily_avg_quantity > 0)
                   -- $1 is (supply_days + safety_days); effective lead time added dynamically
-                  -- (schedule-aware: fixed-day vendors derive lead time from order_day/receive_day)
+                  -- (schedule-aware: fixed-day vendors derive lead time from order_day/receive_day;
+                  -- observed p90 and fill-rate safety when enabled)
                   (sv.daily_avg_quantity > 0
-                      AND (COALESCE(ic.quantity, 0) - COALESCE(ic_committed.quantity, 0)) / sv.daily_avg_quantity < $1 + (${leadTimeSqlExpr('ve')}))
+                      AND (COALESCE(ic.quantity, 0) - COALESCE(ic_committed.quantity, 0)) / sv.daily_avg_quantity
+                          < $1 + ${planning.extraSafety} + (${planning.leadTime(leadTimeSqlExpr('ve'))}))
               )
         `;
 
@@ -333,9 +377,12 @@ function processSuggestionRows(rows, { supplyDaysNum, safetyDays, priorityConfig
                 receive_day: row.vendor_receive_day,
                 lead_time_days: row.lead_time_days != null ? parseInt(row.lead_time_days) : null
             });
-            const leadTime = calculatedLeadTime != null
+            const configuredLeadTime = calculatedLeadTime != null
                 ? parseInt(calculatedLeadTime)
                 : (parseInt(row.lead_time_days) || 0);
+            const observedLeadTime = row.observed_lead_time_days != null ? parseInt(row.observed_lead_time_days) : null;
+            const leadTime = observedLeadTime ?? configuredLeadTime;
+            const rowSafetyDays = safetyDays + (parseFloat(row.extra_safety_days) || 0);
             const daysUntilStockout = parseFloat(row.days_until_stockout) || 999;
 
             // Detect min/max conflict. When present, we ignore the max cap entirely
@@ -353,7 +400,7 @@ function processSuggestionRows(rows, { supplyDaysNum, safetyDays, priorityConfig
 
             // FILTERING LOGIC (must match SQL WHERE clause)
             const isOutOfStock = availableQty <= 0;
-            const reorderThreshold = supplyDaysNum + leadTime + safetyDays;
+            const reorderThreshold = supplyDaysNum + leadTime + rowSafetyDays;
             const needsReorder = isOutOfStock || row.below_minimum || daysUntilStockout < reorderThreshold;
             if (!needsReorder) {
                 return null;
@@ -398,7 +445,7 @@ function processSuggestionRows(rows, { supplyDaysNum, safetyDays, priorityConfig
                 velocity: dailyAvg,
                 supplyDays: supplyDaysNum,
                 leadTimeDays: leadTime,
-                safetyDays,
+                safetyDays: rowSafetyDays,
                 casePack,
                 reorderMultiple,
                 stockAlertMin,
@@ -413,15 +460,19 @@ function processSuggestionRows(rows, { supplyDaysNum, safetyDays, priorityConfig
             const unitCost = parseInt(row.unit_cost_cents) || 0;
             const retailPrice = parseInt(row.retail_price_cents) || 0;
             const pendingPoQty = parseInt(row.pending_po_quantity) || 0;
+            const pendingTransferQty = parseInt(row.pending_transfer_quantity) || 0;
 
-            const grossMarginPercent = retailPrice > 0 && unitCost > 0
-                ? Math.round(((retailPrice - unitCost) / retailPrice) * 1000) / 10
+            // Margin is on landed cost (vendor cost plus freight/duty) once receipts have charges
+            const landedCost = row.landed_unit_cost_cents != null ? parseInt(row.landed_unit_cost_cents) : null;
+            const marginCost = landedCost ?? unitCost;
+            const grossMarginPercent = retailPrice > 0 && marginCost > 0
+                ? Math.round(((retailPrice - marginCost) / retailPrice) * 1000) / 10
                 : null;
 
-            const adjustedQty = Math.max(0, finalQty - pendingPoQty);
+            const adjustedQty = Math.max(0, finalQty - pendingPoQty - pendingTransferQty);
             const orderCost = (adjustedQty * unitCost) / 100;
 
-            // Always surface below-minimum items even when a pending PO covers the order
+            // Always surface below-minimum items even when a pending PO/transfer covers the order
             // quantity. Stock is below threshold right now and the PO may not arrive for days.
             if (adjustedQty <= 0 && !row.below_minimum) {
                 return null;
@@ -452,8 +503,11 @@ function processSuggestionRows(rows, { supplyDaysNum, safetyDays, priorityConfig
                 case_pack_quantity: casePack,
                 case_pack_adjusted_qty: finalQty,
                 pending_po_quantity: pendingPoQty,
+                backorder_quantity: parseInt(row.backorder_quantity) || 0,
+                pending_transfer_quantity: pendingTransferQty,
                 final_suggested_qty: adjustedQty,
                 unit_cost_cents: unitCost,
+                landed_unit_cost_cents: landedCost,
                 retail_price_cents: retailPrice,
                 gross_margin_percent: grossMarginPercent,
                 order_cost: orderCost,
@@ -465,6 +519,8 @@ function processSuggestionRows(rows, { supplyDaysNum, safetyDays, priorityConfig
                 primary_vendor_name: row.primary_vendor_name,
                 primary_vendor_cost: parseInt(row.primary_vendor_cost) || 0,
                 lead_time_days: leadTime,
+                lead_time_source: observedLeadTime != null ? 'observed' : 'configured',
+                safety_days: rowSafetyDays,
                 vendor_default_supply_days: parseInt(row.default_supply_days) || null,
                 has_velocity: dailyAvg > 0,
                 images: row.images,
@@ -772,10 +828,12 @@ async function fetchOtherVendorItems({ merchantId, vendor_id, location_id, sugge
                         ELSE 999
                     END as days_until_stockout,
                     vv.unit_cost_money as unit_cost_cents,
+                    vv.landed_unit_cost_money as landed_unit_cost_cents,
                     v.price_money as retail_price_cents,
                     CASE
-                        WHEN v.price_money > 0 AND vv.unit_cost_money > 0
-                        THEN ROUND(((v.price_money - vv.unit_cost_money)::NUMERIC / v.price_money) * 100, 1)
+                        WHEN v.price_money > 0 AND COALESCE(vv.landed_unit_cost_money, vv.unit_cost_money) > 0
+                        THEN ROUND(((v.price_money - COALESCE(vv.landed_unit_cost_money, vv.unit_cost_money))::NUMERIC
+                             / v.price_money) * 100, 1)
                         ELSE NULL
                     END as gross_margin_percent,
                     v.case_pack_quantity,
@@ -832,6 +890,7 @@ async function fetchOtherVendorItems({ merchantId, vendor_id, location_id, sugge
             days_until_stockout: parseFloat(row.days_until_stockout) || 999,
             weekly_avg_91d: parseFloat(row.weekly_avg_91d) || 0,
             unit_cost_cents: parseInt(row.unit_cost_cents) || 0,
+            landed_unit_cost_cents: row.landed_unit_cost_cents != null ? parseInt(row.landed_unit_cost_cents) : null,
             retail_price_cents: parseInt(row.retail_price_cents) || 0,
             gross_margin_percent: row.gross_margin_percent != null
                 ? parseFloat(row.gross_margin_percent) : null,
@@ -0,0 +1,209 @@
+/**
+ * Catalog Restore — Plan
+ *
+ * Turns a deleted item's snapshot (see restore-snapshot.js) into the Square
+ * objects a restore will upsert, keeping only references that still exist,
+ * and into the preview shown before restoring.
+ *
+ * Square objects use temporary IDs (#restore_<old id>) that Square maps to
+ * new IDs on upsert.
+ */
+
+const asArray = value => (Array.isArray(value) ? value : []);
+
+const tempId = id => `#restore_${id}`;
+
+/** Drop null/undefined/empty-array fields so Square keeps its defaults */
+function compact(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) =>
+        v !== null && v !== undefined && !(Array.isArray(v) && v.length === 0)
+    ));
+}
+
+function customAttributeValues(attrs, existing) {
+    const values = {};
+    for (const [key, attr] of Object.entries(attrs || {})) {
+        if (!attr || !existing.has(attr.custom_attribute_definition_id)) continue;
+        values[key] = compact({
+            string_value: attr.string_value,
+            number_value: attr.number_value,
+            boolean_value: attr.boolean_value,
+            selection_uid_values: attr.selection_uid_values
+        });
+    }
+    return Object.keys(values).length > 0 ? values : null;
+}
+
+function locationPresence(row, activeLocations) {
+    return {
+        present_at_all_locations: row.present_at_all_locations !== false,
+        present_at_location_ids: asArray(row.present_at_location_ids).filter(id => activeLocations.has(id)),
+        absent_at_location_ids: asArray(row.absent_at_location_ids).filter(id => activeLocations.has(id))
+    };
+}
+
+function planVariation(v, context) {
+    const { conflicts, links, activeLocations, existing } = context;
+    const code = [v.sku, v.upc].find(c => c && conflicts.has(c));
+    const vendors = links.vendors.get(v.id) || [];
+    const images = asArray(v.images).filter(id => existing.has(id));
+    return {
+        variation: v,
+        conflict: code ? `${code} is used by active variation ${conflicts.get(code)}` : null,
+        vendors,
+        activeVendors: vendors.filter(ve => ve.vendor_status === 'ACTIVE'),
+        locations: (links.locations.get(v.id) || []).filter(l => activeLocations.has(l.location_id)),
+        images,
+        missingImages: asArray(v.images).length - images.length,
+        history: links.history.get(v.id) || null
+    };
+}
+
+function variationObject(p, parentId, context) {
+    const v = p.variation;
+    return compact({
+        type: 'ITEM_VARIATION',
+        id: tempId(v.id),
+        ...locationPresence(v, context.activeLocations),
+        custom_attribute_values: customAttributeValues(v.custom_attributes, context.existing),
+        item_variation_data: compact({
+            item_id: parentId,
+            name: v.name,
+            sku: v.sku,
+            upc: v.upc,
+            ordinal: v.ordinal,
+            pricing_type: v.pricing_type || 'FIXED_PRICING',
+            price_money: v.price_money != null && v.pricing_type !== 'VARIABLE_PRICING'
+                ? { amount: Number(v.price_money), currency: v.currency || 'CAD' }
+                : null,
+            track_inventory: v.track_inventory,
+            inventory_alert_type: v.inventory_alert_type,
+            inventory_alert_threshold: v.inventory_alert_threshold,
+            location_overrides: p.locations.map(l => ({
+                location_id: l.location_id,
+                track_inventory: v.track_inventory !== false,
+                inventory_alert_type: 'LOW_QUANTITY',
+                inventory_alert_threshold: l.stock_alert_min
+            })),
+            vendor_information: p.activeVendors.map(ve => compact({
+                vendor_id: ve.vendor_id,
+                vendor_code: ve.vendor_code,
+                unit_cost_money: ve.unit_cost_money != null
+                    ? { amount: Number(ve.unit_cost_money), currency: ve.currency || 'CAD' }
+                    : null
+            })),
+            image_ids: p.images,
+            sellable: v.sellable,
+            stockable: v.stockable
+        })
+    });
+}
+
+/** The deleted item's own references, filtered to what still exists, with a warning per loss */
+function planItemReferences(item, existing) {
+    const keep = ids => ids.filter(id => existing.has(id));
+    const refs = {
+        images: keep(asArray(item.images)),
+        taxIds: keep(asArray(item.tax_ids)),
+        modifierLists: asArray(item.modifier_list_info).filter(m => existing.has(m?.modifier_list_id)),
+        categoryExists: !!item.category_id && existing.has(item.category_id),
+        warnings: []
+    };
+
+    const lost = (all, kept) => asArray(all).length - kept.length;
+    if (item.category_id && !refs.categoryExists) refs.warnings.push(`Category ${item.category_name || item.category_id} no longer exists`);
+    if (lost(item.images, refs.images) > 0) refs.warnings.push(`${lost(item.images, refs.images)} item image(s) no longer exist`);
+    if (lost(item.tax_ids, refs.taxIds) > 0) refs.warnings.push(`${lost(item.tax_ids, refs.taxIds)} tax(es) no longer exist`);
+    if (lost(item.modifier_list_info, refs.modifierLists) > 0) refs.warnings.push('Some modifier lists no longer exist');
+    if (asArray(item.item_options).length > 0) refs.warnings.push('Item options are not restored');
+    return refs;
+}
+
+function itemObject(item, refs, variationObjects, context) {
+    return compact({
+        type: 'ITEM',
+        id: tempId(item.id),
+        ...locationPresence(item, context.activeLocations),
+        custom_attribute_values: customAttributeValues(item.custom_attributes, context.existing),
+        item_data: compact({
+            name: item.name,
+            description_html: item.description_html,
+            description: item.description_html ? null : item.description,
+            abbreviation: item.abbreviation,
+            product_type: item.product_type,
+            categories: refs.categoryExists ? [{ id: item.category_id }] : null,
+            tax_ids: refs.taxIds,
+            modifier_list_info: refs.modifierLists,
+            image_ids: refs.images,
+            ecom_seo_data: item.seo_title || item.seo_description
+                ? compact({ page_title: item.seo_title, page_description: item.seo_description })
+                : null,
+            variations: variationObjects
+        })
+    });
+}
+
+/**
+ * Work out what restoring one item group will send and re-link.
+ * A deleted item is recreated around its variations; variations of a live
+ * item are upserted on their own against the existing item ID.
+ *
+ * @param {Object} group - { item, itemDeleted, variations } from loadSnapshot
+ * @param {Object} context - From loadContext
+ * @returns {Object} { item, itemDeleted, itemTempId, variations, restorable, warnings, objects }
+ */
+function planGroup(group, context) {
+    const { item, itemDeleted } = group;
+    const variations = group.variations.map(v => planVariation(v, context));
+    const restorable = variations.filter(p => !p.conflict);
+    const warnings = restorable.length === 0
+        ? ['Every variation conflicts with an active SKU/UPC; nothing to restore']
+        : [];
+
+    const parentId = itemDeleted ? tempId(item.id) : item.id;
+    const variationObjects = restorable.map(p => variationObject(p, parentId, context));
+
+    let objects = variationObjects;
+    if (itemDeleted) {
+        const refs = planItemReferences(item, context.existing);
+        warnings.push(...refs.warnings);
+        if (variationObjects.length > 0) objects = [itemObject(item, refs, variationObjects, context)];
+    }
+
+    return { item, itemDeleted, itemTempId: tempId(item.id), variations, restorable, warnings, objects };
+}
+
+/** Preview shape of a plan (no Square payloads) */
+function summarizePlan(plan) {
+    return {
+        item_id: plan.item.id,
+        item_name: plan.item.name,
+        category_name: plan.item.category_name,
+        mode: plan.itemDeleted ? 'item' : 'variations',
+        restorable: plan.restorable.length > 0,
+        warnings: plan.warnings,
+        variations: plan.variations.map(p => ({
+            id: p.variation.id,
+            name: p.variation.name,
+            sku: p.variation.sku,
+            upc: p.variation.upc,
+            conflict: p.conflict,
+            vendors: p.vendors.map(ve => ({
+                vendor_id: ve.vendor_id,
+                vendor_name: ve.vendor_name,
+                relinked: ve.vendor_status === 'ACTIVE'
+            })),
+            location_overrides: p.locations.length,
+            images: p.images.length,
+            missing_images: p.missingImages,
+            history: p.history ? {
+                velocity_rows: p.history.velocity_rows,
+                count_rows: p.history.count_rows,
+                loyalty_offers: p.history.loyalty_offers,
+                po_lines: p.history.po_lines
+            } : null
+        }))
+    };
+}
+
+module.exports = { planGroup, summarizePlan, tempId };
@@ -0,0 +1,296 @@
+/**
+ * Catalog Restore Service
+ *
+ * Recreates items deleted in Square from the local snapshot that deletion
+ * detection leaves behind (items/variations rows with is_deleted = TRUE).
+ *
+ * Square never reuses catalog IDs, so a restore creates new objects:
+ * - Deleted item: the item is recreated with its deleted variations.
+ * - Deleted variation of a live item: the variation is added back to the item.
+ *
+ * References are re-linked only where they still exist: images, category,
+ * taxes, modifier lists and custom attribute definitions are checked against
+ * Square; vendors must be ACTIVE; locations must be active. Per-location alert
+ * thresholds are sent as location_overrides.
+ *
+ * Once Square has assigned new IDs, local history is moved onto them
+ * (velocity, counts, cycle-count queues, PO lines, loyalty qualifying
+ * variations, bundles, vendor links, ...) and the old snapshot rows are
+ * removed. Loyalty purchase events and redemptions keep the IDs Square
+ * recorded at the time of sale.
+ *
+ * Variations whose SKU or UPC is now used by an active variation are skipped.
+ * Item options are not restored.
+ *
+ * Snapshot loading lives in restore-snapshot.js; Square payloads and the
+ * preview in restore-plan.js.
+ */
+
+const crypto = require('crypto');
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { makeSquareRequest, sleep } = require('../square/square-client');
+const { loadSnapshot, loadContext } = require('./restore-snapshot');
+const { planGroup, summarizePlan, tempId } = require('./restore-plan');
+const { SYNC: { INTER_BATCH_DELAY_MS } } = require('../../config/constants');
+
+const MAX_RESTORE_VARIATIONS = 100;
+
+// Local columns Square does not know about, carried over to the new variation
+const LOCAL_VARIATION_COLUMNS = [
+    'case_pack_quantity', 'stock_alert_min', 'stock_alert_max', 'preferred_stock_level',
+    'shelf_location', 'bin_location', 'reorder_multiple', 'discontinued', 'discontinue_date',
+    'replacement_variation_id', 'notes'
+];
+
+// Snapshot columns copied onto the new local variation row (sync refreshes them later)
+const SQUARE_VARIATION_COLUMNS = [
+    'name', 'sku', 'upc', 'price_money', 'currency', 'pricing_type', 'track_inventory',
+    'inventory_alert_type', 'inventory_alert_threshold', 'present_at_all_locations',
+    'present_at_location_ids', 'absent_at_location_ids', 'custom_attributes', 'images',
+    'ordinal', 'tax_ids', 'sellable', 'stockable'
+];
+
+const ITEM_COLUMNS = [
+    'name', 'description', 'category_id', 'category_name', 'product_type', 'taxable', 'tax_ids',
+    'visibility', 'present_at_all_locations', 'present_at_location_ids', 'absent_at_location_ids',
+    'modifier_list_info', 'images', 'available_online', 'available_for_pickup', 'seo_title',
+    'seo_description', 'description_html', 'abbreviation', 'custom_attributes'
+];
+
+// Rows the sync may already have written for the new ID; the snapshot's rows replace them
+const SNAPSHOT_TABLES = ['variation_vendors', 'variation_location_settings', 'variation_expiration'];
+
+// Local history keyed by variation ID that moves to the restored variation
+const VARIATION_REFERENCES = [
+    ['sales_velocity', 'variation_id'],
+    ['count_history', 'catalog_object_id'],
+    ['count_queue_priority', 'catalog_object_id'],
+    ['count_queue_daily', 'catalog_object_id'],
+    ['committed_inventory', 'catalog_object_id'],
+    ['purchase_order_items', 'variation_id'],
+    ['po_receiving_scans', 'variation_id'],
+    ['vendor_return_items', 'variation_id'],
+    ['stock_transfer_items', 'variation_id'],
+    ['inventory_lots', 'variation_id'],
+    ['waste_log', 'variation_id'],
+    ['expiry_discount_sales', 'variation_id'],
+    ['vendor_catalog_items', 'matched_variation_id'],
+    ['vendor_match_suggestions', 'variation_id'],
+    ['variation_discount_status', 'variation_id'],
+    ['expiry_discount_audit_log', 'variation_id'],
+    ['min_stock_audit', 'variation_id'],
+    ['min_max_audit_log', 'variation_id'],
+    ['catalog_location_health', 'variation_id'],
+    ['loyalty_qualifying_variations', 'variation_id'],
+    ['bundle_definitions', 'bundle_variation_id'],
+    ['variations', 'replacement_variation_id']
+];
+
+// Local data keyed by item ID that moves to a recreated item
+const ITEM_REFERENCES = [
+    ['item_brands', 'item_id'],
+    ['loyalty_qualifying_variations', 'item_id'],
+    ['catalog_location_health', 'item_id'],
+    ['bundle_definitions', 'bundle_item_id']
+];
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+async function buildPlans(merchantId, variationIds) {
+    if (!merchantId) throw new Error('merchantId is required');
+    if (!Array.isArray(variationIds) || variationIds.length === 0)
+        throw clientError('variation_ids must be a non-empty array', 400);
+    if (variationIds.length > MAX_RESTORE_VARIATIONS)
+        throw clientError(`At most ${MAX_RESTORE_VARIATIONS} variations can be restored at once`, 400);
+
+    const groups = await loadSnapshot(merchantId, variationIds);
+    if (groups.length === 0) throw clientError('No deleted items found for the given variations', 404);
+
+    const context = await loadContext(merchantId, groups);
+    return { plans: groups.map(g => planGroup(g, context)), context };
+}
+
+/**
+ * Show what a restore would do without touching Square.
+ *
+ * @param {number} merchantId
+ * @param {string[]} variationIds - Deleted variation IDs (from /api/deleted-items)
+ * @returns {Promise<Object>} { items: [{ item_id, item_name, mode, restorable, warnings, variations }] }
+ * @throws with .statusCode 400 (bad input) or 404 (nothing deleted matches)
+ */
+async function previewRestore(merchantId, variationIds) {
+    const { plans } = await buildPlans(merchantId, variationIds);
+    return { items: plans.map(summarizePlan) };
+}
+
+/** Move local rows from old IDs onto new ones; `mapping` is [[oldId, newId], ...] */
+async function remapReferences(client, merchantId, references, mapping) {
+    const params = [mapping.map(m => m[0]), mapping.map(m => m[1]), merchantId];
+    for (const [table, column] of references) {
+        await client.query(`
+            UPDATE ${table} t SET ${column} = m.new_id
+            FROM unnest($1::text[], $2::text[]) AS m(old_id, new_id)
+            WHERE t.${column} = m.old_id AND t.merchant_id = $3
+        `, params);
+    }
+}
+
+/**
+ * Copy the snapshot onto the new IDs, move local history across and drop the
+ * old rows. Runs in one transaction per item.
+ */
+async function applyLocalRestore(client, merchantId, plan, newItemId, variationMapping) {
+    const itemId = plan.itemDeleted ? newItemId : plan.item.id;
+    const oldIds = variationMapping.map(m => m[0]);
+    const newIds = variationMapping.map(m => m[1]);
+
+    if (plan.itemDeleted) {
+        await client.query(`
+            INSERT INTO items (id, ${ITEM_COLUMNS.join(', ')}, merchant_id, is_deleted, deleted_at)
+            SELECT $1, ${ITEM_COLUMNS.join(', ')}, merchant_id, FALSE, NULL
+            FROM items WHERE id = $2 AND merchant_id = $3
+            ON CONFLICT (id) DO NOTHING
+        `, [newItemId, plan.item.id, merchantId]);
+    }
+
+    const columns = [...SQUARE_VARIATION_COLUMNS, ...LOCAL_VARIATION_COLUMNS];
+    await client.query(`
+        INSERT INTO variations (id, item_id, ${columns.join(', ')}, merchant_id, is_deleted, deleted_at)
+        SELECT m.new_id, $3, ${columns.map(c => `v.${c}`).join(', ')}, v.merchant_id, FALSE, NULL
+        FROM variations v
+        JOIN unnest($1::text[], $2::text[]) AS m(old_id, new_id) ON m.old_id = v.id
+        WHERE v.merchant_id = $4
+        ON CONFLICT (id) DO UPDATE SET
+            ${LOCAL_VARIATION_COLUMNS.map(c => `${c} = EXCLUDED.${c}`).join(',\n            ')},
+            updated_at = CURRENT_TIMESTAMP
+    `, [oldIds, newIds, itemId, merchantId]);
+
+    for (const table of SNAPSHOT_TABLES) {
+        await client.query(`DELETE FROM ${table} WHERE variation_id = ANY($1) AND merchant_id = $2`, [newIds, merchantId]);
+    }
+    await remapReferences(client, merchantId, SNAPSHOT_TABLES.map(t => [t, 'variation_id']), variationMapping);
+    await remapReferences(client, merchantId, VARIATION_REFERENCES, variationMapping);
+    await client.query(`
+        UPDATE bundle_components bc SET child_variation_id = m.new_id
+        FROM unnest($1::text[], $2::text[]) AS m(old_id, new_id)
+        WHERE bc.child_variation_id = m.old_id
+          AND bc.bundle_id IN (SELECT id FROM bundle_definitions WHERE merchant_id = $3)
+    `, [oldIds, newIds, merchantId]);
+
+    // Counts for deleted variations were zeroed by sync; Square reports the new ones
+    await client.query('DELETE FROM inventory_counts WHERE catalog_object_id = ANY($1) AND merchant_id = $2', [oldIds, merchantId]);
+    await client.query('DELETE FROM variations WHERE id = ANY($1) AND merchant_id = $2', [oldIds, merchantId]);
+
+    if (plan.itemDeleted) {
+        const itemMapping = [[plan.item.id, newItemId]];
+        await remapReferences(client, merchantId, ITEM_REFERENCES, itemMapping);
+        await client.query(`
+            UPDATE bundle_components bc SET child_item_id = $2
+            WHERE bc.child_item_id = $1
+              AND bc.bundle_id IN (SELECT id FROM bundle_definitions WHERE merchant_id = $3)
+        `, [plan.item.id, newItemId, merchantId]);
+        // Variations skipped for conflicts keep the old item as their snapshot
+        await client.query(`
+            DELETE FROM items
+            WHERE id = $1 AND merchant_id = $2
+              AND NOT EXISTS (SELECT 1 FROM variations WHERE item_id = $1 AND merchant_id = $2)
+        `, [plan.item.id, merchantId]);
+    }
+}
+
+/**
+ * Idempotency key for one item's batch-upsert, derived from what is being
+ * restored. The snapshot rows stay in place until the local transaction
+ * commits, so a retry after that transaction failed sends the same key and
+ * Square replays the original ID mappings instead of creating duplicates.
+ */
+function restoreIdempotencyKey(merchantId, plan) {
+    const oldIds = plan.restorable.map(p => p.variation.id).sort();
+    const digest = crypto.createHash('sha256')
+        .update(JSON.stringify([merchantId, plan.item.id, oldIds]))
+        .digest('hex');
+    return `catalog-restore-${digest.slice(0, 40)}`;
+}
+
+async function restorePlan(merchantId, plan, accessToken) {
+    const data = await makeSquareRequest('/v2/catalog/batch-upsert', {
+        accessToken,
+        method: 'POST',
+        body: JSON.stringify({
+            idempotency_key: restoreIdempotencyKey(merchantId, plan),
+            batches: [{ objects: plan.objects }]
+        })
+    });
+
+    const idMappings = new Map((data.id_mappings || []).map(m => [m.client_object_id, m.object_id]));
+    const newItemId = plan.itemDeleted ? idMappings.get(plan.itemTempId) : plan.item.id;
+    const variationMapping = plan.restorable
+        .map(p => [p.variation.id, idMappings.get(tempId(p.variation.id))])
+        .filter(([, newId]) => newId);
+    if (!newItemId || variationMapping.length !== plan.restorable.length) {
+        throw new Error('Square returned no ID mapping for the restored objects');
+    }
+
+    await db.transaction(client => applyLocalRestore(client, merchantId, plan, newItemId, variationMapping));
+
+    return {
+        old_item_id: plan.item.id,
+        item_id: newItemId,
+        item_name: plan.item.name,
+        variations: variationMapping.map(([oldId, newId]) => ({ old_id: oldId, id: newId })),
+        skipped: plan.variations.filter(p => p.conflict).map(p => ({ id: p.variation.id, reason: p.conflict })),
+        warnings: plan.warnings
+    };
+}
+
+/**
+ * Recreate deleted items/variations in Square and move local history onto
+ * the new IDs. Each item is restored independently; a failure on one does
+ * not stop the others.
+ *
+ * @param {number} merchantId
+ * @param {string[]} variationIds - Deleted variation IDs (from /api/deleted-items)
+ * @returns {Promise<Object>} { restored: [{ old_item_id, item_id, item_name, variations, skipped, warnings }],
+ *   failed: [{ item_id, item_name, error }] }
+ * @throws with .statusCode 400 (bad input) or 404 (nothing deleted matches)
+ */
+async function restoreDeletedItems(merchantId, variationIds) {
+    const { plans, context } = await buildPlans(merchantId, variationIds);
+    const results = { restored: [], failed: [] };
+
+    for (let i = 0; i < plans.length; i++) {
+        const plan = plans[i];
+        if (plan.restorable.length === 0) {
+            results.failed.push({ item_id: plan.item.id, item_name: plan.item.name, error: plan.warnings[0] });
+            continue;
+        }
+        try {
+            results.restored.push(await restorePlan(merchantId, plan, context.accessToken));
+        } catch (error) {
+            logger.error('Failed to restore deleted item', {
+                merchantId, itemId: plan.item.id, error: error.message, stack: error.stack
+            });
+            results.failed.push({ item_id: plan.item.id, item_name: plan.item.name, error: error.message });
+        }
+        if (i < plans.length - 1) await sleep(INTER_BATCH_DELAY_MS);
+    }
+
+    logger.info('Restored deleted catalog items', {
+        merchantId,
+        restored: results.restored.length,
+        failed: results.failed.length,
+        variations: results.restored.reduce((sum, r) => sum + r.variations.length, 0)
+    });
+    return results;
+}
+
+module.exports = {
+    previewRestore,
+    restoreDeletedItems,
+    MAX_RESTORE_VARIATIONS
+};
@@ -0,0 +1,167 @@
+/**
+ * Catalog Restore — Snapshot
+ *
+ * Loads what a restore works from: the deleted items/variations kept locally,
+ * their vendor links, per-location alert thresholds and history counts, plus
+ * which of the Square objects they reference (images, category, taxes,
+ * modifier lists, custom attribute definitions) still exist.
+ *
+ * Used by restore-service.js.
+ */
+
+const db = require('../../utils/database');
+const { getMerchantToken, makeSquareRequest } = require('../square/square-client');
+const { getActiveLocationIds } = require('./location-service');
+const { SYNC: { SQUARE_BATCH_RETRIEVE_LIMIT } } = require('../../config/constants');
+
+const asArray = value => (Array.isArray(value) ? value : []);
+
+/**
+ * Deleted items/variations to restore. Asking for any variation of a deleted
+ * item restores the item with all of its deleted variations. Archived items
+ * still exist in Square and are ignored.
+ */
+async function loadSnapshot(merchantId, variationIds) {
+    const { rows: items } = await db.query(`
+        SELECT i.*
+        FROM items i
+        WHERE i.merchant_id = $2
+          AND COALESCE(i.is_archived, FALSE) = FALSE
+          AND i.id IN (
+              SELECT item_id FROM variations
+              WHERE id = ANY($1) AND merchant_id = $2 AND is_deleted = TRUE
+          )
+        ORDER BY i.name
+    `, [variationIds, merchantId]);
+    if (items.length === 0) return [];
+
+    const { rows: variations } = await db.query(`
+        SELECT v.*
+        FROM variations v
+        JOIN items i ON i.id = v.item_id AND i.merchant_id = v.merchant_id
+        WHERE v.merchant_id = $2
+          AND v.is_deleted = TRUE
+          AND i.id = ANY($3)
+          AND (v.id = ANY($1) OR i.is_deleted = TRUE)
+        ORDER BY v.ordinal NULLS LAST, v.name
+    `, [variationIds, merchantId, items.map(i => i.id)]);
+
+    return items.map(item => ({
+        item,
+        itemDeleted: item.is_deleted === true,
+        variations: variations.filter(v => v.item_id === item.id)
+    }));
+}
+
+/** Active variations already using a snapshot SKU or UPC: Map of code → variation ID */
+async function findCodeConflicts(merchantId, variations) {
+    const codes = [...new Set(variations.flatMap(v => [v.sku, v.upc]).filter(Boolean))];
+    if (codes.length === 0) return new Map();
+
+    const { rows } = await db.query(`
+        SELECT id, sku, upc FROM variations
+        WHERE merchant_id = $1 AND COALESCE(is_deleted, FALSE) = FALSE
+          AND (sku = ANY($2) OR upc = ANY($2))
+    `, [merchantId, codes]);
+
+    const conflicts = new Map();
+    for (const row of rows) {
+        if (row.sku) conflicts.set(row.sku, row.id);
+        if (row.upc) conflicts.set(row.upc, row.id);
+    }
+    return conflicts;
+}
+
+async function loadVariationLinks(merchantId, variationIds) {
+    const [vendors, locations, history] = await Promise.all([
+        db.query(`
+            SELECT vv.variation_id, vv.vendor_id, vv.vendor_code, vv.unit_cost_money, vv.currency,
+                   ve.name AS vendor_name, ve.status AS vendor_status
+            FROM variation_vendors vv
+            JOIN vendors ve ON ve.id = vv.vendor_id AND ve.merchant_id = vv.merchant_id
+            WHERE vv.variation_id = ANY($1) AND vv.merchant_id = $2
+        `, [variationIds, merchantId]),
+        db.query(`
+            SELECT variation_id, location_id, stock_alert_min
+            FROM variation_location_settings
+            WHERE variation_id = ANY($1) AND merchant_id = $2 AND stock_alert_min IS NOT NULL
+        `, [variationIds, merchantId]),
+        db.query(`
+            SELECT v.id,
+                   (SELECT COUNT(*) FROM sales_velocity t WHERE t.variation_id = v.id AND t.merchant_id = $2)::int AS velocity_rows,
+                   (SELECT COUNT(*) FROM count_history t WHERE t.catalog_object_id = v.id AND t.merchant_id = $2)::int AS count_rows,
+                   (SELECT COUNT(*) FROM loyalty_qualifying_variations t WHERE t.variation_id = v.id AND t.merchant_id = $2)::int AS loyalty_offers,
+                   (SELECT COUNT(*) FROM purchase_order_items t WHERE t.variation_id = v.id AND t.merchant_id = $2)::int AS po_lines
+            FROM unnest($1::text[]) AS v(id)
+        `, [variationIds, merchantId])
+    ]);
+
+    const groupBy = rows => rows.reduce((map, row) => {
+        if (!map.has(row.variation_id)) map.set(row.variation_id, []);
+        map.get(row.variation_id).push(row);
+        return map;
+    }, new Map());
+
+    return {
+        vendors: groupBy(vendors.rows),
+        locations: groupBy(locations.rows),
+        history: new Map(history.rows.map(r => [r.id, r]))
+    };
+}
+
+/** IDs the snapshot points at that Square no longer has */
+function referencedObjectIds(groups) {
+    const ids = new Set();
+    const addCustomAttributes = attrs => Object.values(attrs || {})
+        .forEach(a => a?.custom_attribute_definition_id && ids.add(a.custom_attribute_definition_id));
+
+    for (const { item, variations } of groups) {
+        asArray(item.images).forEach(id => ids.add(id));
+        asArray(item.tax_ids).forEach(id => ids.add(id));
+        asArray(item.modifier_list_info).forEach(m => m?.modifier_list_id && ids.add(m.modifier_list_id));
+        if (item.category_id) ids.add(item.category_id);
+        addCustomAttributes(item.custom_attributes);
+        for (const v of variations) {
+            asArray(v.images).forEach(id => ids.add(id));
+            asArray(v.tax_ids).forEach(id => ids.add(id));
+            addCustomAttributes(v.custom_attributes);
+        }
+    }
+    return [...ids];
+}
+
+async function fetchExistingObjectIds(accessToken, objectIds) {
+    const existing = new Set();
+    for (let i = 0; i < objectIds.length; i += SQUARE_BATCH_RETRIEVE_LIMIT) {
+        const data = await makeSquareRequest('/v2/catalog/batch-retrieve', {
+            method: 'POST',
+            accessToken,
+            body: JSON.stringify({
+                object_ids: objectIds.slice(i, i + SQUARE_BATCH_RETRIEVE_LIMIT),
+                include_related_objects: false
+            })
+        });
+        for (const obj of data.objects || []) {
+            if (!obj.is_deleted) existing.add(obj.id);
+        }
+    }
+    return existing;
+}
+
+/** Everything about the current Square/local state a plan depends on */
+async function loadContext(merchantId, groups) {
+    const variations = groups.flatMap(g => g.variations);
+    const variationIds = variations.map(v => v.id);
+    const accessToken = await getMerchantToken(merchantId);
+
+    const [conflicts, links, activeLocations, existing] = await Promise.all([
+        findCodeConflicts(merchantId, variations),
+        loadVariationLinks(merchantId, variationIds),
+        getActiveLocationIds(merchantId),
+        fetchExistingObjectIds(accessToken, referencedObjectIds(groups))
+    ]);
+
+    return { accessToken, conflicts, links, activeLocations: new Set(activeLocations), existing };
+}
+
+module.exports = { loadSnapshot, loadContext };
@@ -126,7 +126,8 @@ async function getVariations(merchantId, filters = {}) {
 }
 
 /**
- * Get variations with cost and margin information
+ * Get variations with cost and margin information. Margin uses the landed
+ * cost from PO receipt charges when a vendor has one.
  * @param {number} merchantId - The merchant ID for multi-tenant isolation
  * @returns {Promise<Object>} - { count, variations }
  */
@@ -145,16 +146,19 @@ async function getVariationsWithCosts(merchantId) {
             v.name as variation_name,
             v.price_money as retail_price_cents,
             vv.unit_cost_money as cost_cents,
+            vv.landed_unit_cost_money as landed_cost_cents,
             ve.name as vendor_name,
             vv.vendor_code,
+            -- Margin and profit are on landed cost (vendor cost plus receipt charges) when known
             CASE
-                WHEN v.price_money > 0 AND vv.unit_cost_money > 0
-                THEN ROUND(((v.price_money - vv.unit_cost_money)::DECIMAL / v.price_money * 100), 2)
+                WHEN v.price_money > 0 AND COALESCE(vv.landed_unit_cost_money, vv.unit_cost_money) > 0
+                THEN ROUND(((v.price_money - COALESCE(vv.landed_unit_cost_money, vv.unit_cost_money))::DECIMAL
+                     / v.price_money * 100), 2)
                 ELSE NULL
             END as margin_percent,
             CASE
-                WHEN v.price_money > 0 AND vv.unit_cost_money > 0
-                THEN v.price_money - vv.unit_cost_money
+                WHEN v.price_money > 0 AND COALESCE(vv.landed_unit_cost_money, vv.unit_cost_money) > 0
+                THEN v.price_money - COALESCE(vv.landed_unit_cost_money, vv.unit_cost_money)
                 ELSE NULL
             END as profit_cents
         FROM variations v
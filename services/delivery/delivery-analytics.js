@@ -0,0 +1,240 @@
+/**
+ * Delivery Analytics Service
+ * Weekly delivery performance per driver, built from records that already
+ * exist: route timestamps (delivery_routes, delivery_route_tokens) and the
+ * order_completed / order_skipped events in delivery_audit_log.
+ *
+ * - A route's actual duration runs from its planned departure (or first stop
+ *   event) to its last stop event, so routes finished late or closed by the
+ *   nightly auto-finish job don't look slower than they were.
+ * - An order's outcome on a route is its last stop event on that route.
+ * - On time = completed no later than the end of the order's delivery window.
+ * - Driver = name entered when finishing a shared route, else the vehicle label.
+ */
+
+const db = require('../../utils/database');
+const { getMerchantLocaleConfig } = require('../merchant');
+const { todayInTimezone, zonedDateTimeToIso, toDateKey } = require('./delivery-recurring-schedule');
+
+const DEFAULT_WEEKS = 8;
+const REPEAT_FAILURE_MIN = 2;
+const REPEAT_FAILURE_LIMIT = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday of the week containing a 'YYYY-MM-DD' date, offset by whole weeks
+function weekStart(dateKey, weekOffset = 0) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    const sinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - (sinceMonday - weekOffset * 7) * DAY_MS).toISOString().slice(0, 10);
+}
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+async function loadRoutes(merchantId, from, to) {
+    const result = await db.query(
+        `SELECT dr.id, dr.route_date, dr.estimated_duration_min,
+                COALESCE(dr.started_at, dr.planned_departure) AS departed_at,
+                dr.finished_at,
+                COALESCE(NULLIF(TRIM(t.driver_name), ''), dr.vehicle_label, 'Vehicle ' || dr.vehicle_number) AS driver
+         FROM delivery_routes dr
+         LEFT JOIN LATERAL (
+             SELECT driver_name FROM delivery_route_tokens
+             WHERE route_id = dr.id AND driver_name IS NOT NULL
+             ORDER BY finished_at DESC NULLS LAST
+             LIMIT 1
+         ) t ON TRUE
+         WHERE dr.merchant_id = $1
+           AND dr.route_date BETWEEN $2 AND $3
+           AND dr.status <> 'cancelled'
+         ORDER BY dr.route_date`,
+        [merchantId, from, to]
+    );
+    return result.rows;
+}
+
+// Older events were logged without a route ID; fall back to the order's current route
+async function loadStopEvents(merchantId, routeIds) {
+    if (routeIds.length === 0) return [];
+    const result = await db.query(
+        `SELECT COALESCE(dal.route_id, o.route_id) AS route_id,
+                dal.delivery_order_id AS order_id,
+                dal.action,
+                COALESCE((dal.details->>'recordedAt')::timestamptz, dal.created_at) AS occurred_at,
+                dal.details->>'reason' AS reason,
+                o.address,
+                o.window_end
+         FROM delivery_audit_log dal
+         LEFT JOIN delivery_orders o ON o.id = dal.delivery_order_id
+         WHERE dal.merchant_id = $1
+           AND dal.action IN ('order_completed', 'order_skipped')
+           AND COALESCE(dal.route_id, o.route_id) = ANY($2::uuid[])
+         ORDER BY occurred_at`,
+        [merchantId, routeIds]
+    );
+    return result.rows;
+}
+
+/**
+ * Outcome counts, timing and failed stops for one route
+ * @param {Object} route - Row from loadRoutes
+ * @param {Array} events - The route's stop events, oldest first
+ * @param {string} timezone - Merchant timezone (delivery windows are local times)
+ */
+function summarizeRoute(route, events, timezone) {
+    const outcomes = new Map();
+    for (const event of events) outcomes.set(event.order_id, event);
+
+    const routeDate = toDateKey(route.route_date);
+    const summary = {
+        driver: route.driver,
+        weekStart: weekStart(routeDate),
+        completed: 0,
+        skipped: 0,
+        windowed: 0,
+        onTime: 0,
+        estimatedMinutes: route.estimated_duration_min,
+        actualMinutes: null,
+        failures: []
+    };
+
+    for (const outcome of outcomes.values()) {
+        if (outcome.action === 'order_skipped') {
+            summary.skipped++;
+            summary.failures.push(outcome);
+            continue;
+        }
+        summary.completed++;
+        if (outcome.window_end) {
+            summary.windowed++;
+            const windowEnd = new Date(zonedDateTimeToIso(routeDate, outcome.window_end, timezone));
+            if (new Date(outcome.occurred_at) <= windowEnd) summary.onTime++;
+        }
+    }
+
+    const start = route.departed_at || events[0]?.occurred_at;
+    const end = events[events.length - 1]?.occurred_at || route.finished_at;
+    if (start && end && new Date(end) > new Date(start)) {
+        summary.actualMinutes = Math.round((new Date(end) - new Date(start)) / 60000);
+    }
+
+    return summary;
+}
+
+function emptyTotals() {
+    return {
+        routes: 0, completed: 0, skipped: 0, windowed: 0, onTime: 0,
+        timedRoutes: 0, timedStops: 0, estimatedMinutes: 0, actualMinutes: 0, skipReasons: {}
+    };
+}
+
+function addRoute(totals, route) {
+    totals.routes++;
+    totals.completed += route.completed;
+    totals.skipped += route.skipped;
+    totals.windowed += route.windowed;
+    totals.onTime += route.onTime;
+    // Only routes with both durations, so estimated vs actual compares like with like
+    if (route.actualMinutes !== null && route.estimatedMinutes !== null) {
+        totals.timedRoutes++;
+        totals.timedStops += route.completed + route.skipped;
+        totals.estimatedMinutes += route.estimatedMinutes;
+        totals.actualMinutes += route.actualMinutes;
+    }
+    for (const failure of route.failures) {
+        const reason = failure.reason || 'unspecified';
+        totals.skipReasons[reason] = (totals.skipReasons[reason] || 0) + 1;
+    }
+}
+
+function finalizeTotals(totals) {
+    const attempted = totals.completed + totals.skipped;
+    return {
+        routes: totals.routes,
+        completed: totals.completed,
+        skipped: totals.skipped,
+        skipRate: attempted > 0 ? round(totals.skipped / attempted, 3) : null,
+        onTimeRate: totals.windowed > 0 ? round(totals.onTime / totals.windowed, 3) : null,
+        estimatedMinutes: totals.timedRoutes > 0 ? totals.estimatedMinutes : null,
+        actualMinutes: totals.timedRoutes > 0 ? totals.actualMinutes : null,
+        stopsPerHour: totals.actualMinutes > 0 ? round(totals.timedStops / (totals.actualMinutes / 60), 1) : null,
+        skipReasons: totals.skipReasons
+    };
+}
+
+// Group route summaries by key, returning [{ key, ...metrics }]
+function aggregate(routes, keyOf) {
+    const groups = new Map();
+    for (const route of routes) {
+        const key = keyOf(route);
+        if (!groups.has(key)) groups.set(key, emptyTotals());
+        addRoute(groups.get(key), route);
+    }
+    return [...groups.entries()].map(([key, totals]) => ({ key, ...finalizeTotals(totals) }));
+}
+
+/**
+ * Addresses skipped on at least REPEAT_FAILURE_MIN routes in the period
+ * (recurring and repeat customers get a new order each time, so group by address)
+ */
+function findRepeatFailures(routes) {
+    const byAddress = new Map();
+    for (const failure of routes.flatMap(r => r.failures)) {
+        if (!failure.address) continue;
+        const key = failure.address.trim().toLowerCase().replace(/\s+/g, ' ');
+        const entry = byAddress.get(key) || { address: failure.address, failures: 0, reasons: {}, lastFailedAt: null };
+        entry.failures++;
+        const reason = failure.reason || 'unspecified';
+        entry.reasons[reason] = (entry.reasons[reason] || 0) + 1;
+        entry.lastFailedAt = failure.occurred_at;
+        byAddress.set(key, entry);
+    }
+    return [...byAddress.values()]
+        .filter(entry => entry.failures >= REPEAT_FAILURE_MIN)
+        .sort((a, b) => b.failures - a.failures)
+        .slice(0, REPEAT_FAILURE_LIMIT);
+}
+
+/**
+ * Delivery performance for the last N weeks (Monday-based, current week included)
+ * @param {number} merchantId - The merchant ID
+ * @param {Object} [options]
+ * @param {number} [options.weeks=8] - Number of weeks to cover
+ * @returns {Promise<Object>} { from, to, weeks: [{ weekStart, drivers }], drivers, totals, repeatFailedAddresses }
+ */
+async function getDeliveryAnalytics(merchantId, { weeks = DEFAULT_WEEKS } = {}) {
+    const { timezone } = await getMerchantLocaleConfig(merchantId);
+    const to = todayInTimezone(timezone);
+    const from = weekStart(to, -(weeks - 1));
+
+    const routes = await loadRoutes(merchantId, from, to);
+    const events = await loadStopEvents(merchantId, routes.map(r => r.id));
+
+    const eventsByRoute = new Map(routes.map(r => [r.id, []]));
+    for (const event of events) eventsByRoute.get(event.route_id)?.push(event);
+    const summaries = routes.map(r => summarizeRoute(r, eventsByRoute.get(r.id), timezone));
+
+    const weekRows = aggregate(summaries, r => `${r.weekStart}|${r.driver}`);
+    const overall = emptyTotals();
+    summaries.forEach(r => addRoute(overall, r));
+
+    return {
+        from,
+        to,
+        weeks: Array.from({ length: weeks }, (_, i) => {
+            const start = weekStart(from, i);
+            return {
+                weekStart: start,
+                drivers: weekRows
+                    .filter(row => row.key.startsWith(`${start}|`))
+                    .map(({ key, ...metrics }) => ({ driver: key.slice(start.length + 1), ...metrics }))
+            };
+        }),
+        drivers: aggregate(summaries, r => r.driver).map(({ key, ...metrics }) => ({ driver: key, ...metrics })),
+        totals: finalizeTotals(overall),
+        repeatFailedAddresses: findRepeatFailures(summaries)
+    };
+}
+
+module.exports = {
+    getDeliveryAnalytics
+};
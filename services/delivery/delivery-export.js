@@ -0,0 +1,182 @@
+/**
+ * Delivery Route Export Service
+ * Route exports for drivers who use their own navigation apps (GPX, KML)
+ * and a printable manifest for the office.
+ *
+ * All formats are built from getRouteWithOrders, so stops appear in route
+ * order and line items carry GTINs from delivery-gtin.
+ *
+ * Output Formats:
+ * - GPX 1.1: ordered route points (Garmin, OsmAnd, most nav apps)
+ * - KML 2.2: placemarks plus a route line (Google Earth / My Maps)
+ * - Manifest: printable PDF (delivery-manifest-pdf.js)
+ */
+
+const db = require('../../utils/database');
+const { escapeHtml } = require('../../utils/privacy-format');
+const { getSettings } = require('./delivery-settings');
+const { buildRouteManifestPdf } = require('./delivery-manifest-pdf');
+
+/**
+ * Lazy require to avoid circular dependencies
+ */
+function _getRoutes() { return require('./delivery-routes'); }
+
+const EXPORT_FORMATS = ['gpx', 'kml', 'manifest'];
+
+/**
+ * Route start/end points: per-route override first, then merchant settings
+ * @param {Object} route - delivery_routes row
+ * @param {Object|null} settings - delivery_settings row
+ * @returns {{start: Object|null, end: Object|null}} { lat, lng, name }
+ */
+function resolveEndpoints(route, settings) {
+    const point = (lat, lng, name) => (lat != null && lng != null
+        ? { lat: parseFloat(lat), lng: parseFloat(lng), name }
+        : null);
+    const start = point(route.start_lat, route.start_lng, 'Start') ||
+        point(settings?.start_address_lat, settings?.start_address_lng, settings?.start_address || 'Start');
+    const end = point(route.end_lat, route.end_lng, 'End') ||
+        point(settings?.end_address_lat, settings?.end_address_lng, settings?.end_address || 'End');
+    return { start, end };
+}
+
+/**
+ * Geocoded stops in route order as waypoints
+ * @param {Array} orders - Route orders
+ * @returns {Array<{lat: number, lng: number, name: string, desc: string}>}
+ */
+function stopWaypoints(orders) {
+    return [...orders]
+        .sort((a, b) => (a.route_position || 0) - (b.route_position || 0))
+        .filter(o => o.address_lat != null && o.address_lng != null)
+        .map((o, i) => ({
+            lat: parseFloat(o.address_lat),
+            lng: parseFloat(o.address_lng),
+            name: `${o.route_position || i + 1}. ${o.customer_name}`,
+            desc: [o.address, o.phone, o.notes].filter(Boolean).join(' | ')
+        }));
+}
+
+/**
+ * Build a GPX 1.1 document with the stops as an ordered route
+ * @param {Object} route - Route with orders (getRouteWithOrders)
+ * @param {Object|null} settings - Merchant delivery settings
+ * @returns {string}
+ */
+function buildRouteGpx(route, settings) {
+    const { start, end } = resolveEndpoints(route, settings);
+    const points = [start, ...stopWaypoints(route.orders), end].filter(Boolean);
+    const label = `Delivery route ${route.route_date}${route.vehicle_label ? ` - ${route.vehicle_label}` : ''}`;
+
+    const rtepts = points.map(p => `    <rtept lat="${p.lat}" lon="${p.lng}">
+      <name>${escapeHtml(p.name)}</name>${p.desc ? `
+      <desc>${escapeHtml(p.desc)}</desc>` : ''}
+    </rtept>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="SqTools" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeHtml(label)}</name>
+  </metadata>
+  <rte>
+    <name>${escapeHtml(label)}</name>
+${rtepts}
+  </rte>
+</gpx>
+`;
+}
+
+/**
+ * Build a KML 2.2 document: one placemark per stop plus the route line
+ * @param {Object} route - Route with orders (getRouteWithOrders)
+ * @param {Object|null} settings - Merchant delivery settings
+ * @returns {string}
+ */
+function buildRouteKml(route, settings) {
+    const { start, end } = resolveEndpoints(route, settings);
+    const stops = stopWaypoints(route.orders);
+    const line = [start, ...stops, end].filter(Boolean);
+    const label = `Delivery route ${route.route_date}${route.vehicle_label ? ` - ${route.vehicle_label}` : ''}`;
+
+    // KML coordinates are lng,lat
+    const placemarks = stops.map(p => `    <Placemark>
+      <name>${escapeHtml(p.name)}</name>
+      <description>${escapeHtml(p.desc)}</description>
+      <Point><coordinates>${p.lng},${p.lat}</coordinates></Point>
+    </Placemark>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeHtml(label)}</name>
+${placemarks}
+    <Placemark>
+      <name>Route</name>
+      <LineString><coordinates>${line.map(p => `${p.lng},${p.lat}`).join(' ')}</coordinates></LineString>
+    </Placemark>
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Export a route in the requested format
+ * @param {number} merchantId - The merchant ID
+ * @param {string} routeId - The route UUID
+ * @param {string} format - 'gpx', 'kml' or 'manifest'
+ * @returns {Promise<Object|null>} { content, contentType, filename } or null if route not found
+ */
+async function exportRoute(merchantId, routeId, format) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        const err = new Error(`Unsupported export format: ${format}`);
+        err.status = 400;
+        throw err;
+    }
+
+    const route = await _getRoutes().getRouteWithOrders(merchantId, routeId);
+    if (!route) {
+        return null;
+    }
+
+    // pg returns DATE columns as local midnight; format in local time to keep the day
+    const d = route.route_date;
+    const routeDate = d instanceof Date
+        ? `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+        : String(d).slice(0, 10);
+    const normalized = { ...route, route_date: routeDate };
+    const baseName = `route-${routeDate}-${route.vehicle_number || 1}`;
+
+    if (format === 'manifest') {
+        const merchant = await db.query(
+            'SELECT business_name FROM merchants WHERE id = $1',
+            [merchantId]
+        );
+        return {
+            content: buildRouteManifestPdf(normalized, merchant.rows[0]?.business_name),
+            contentType: 'application/pdf',
+            filename: `${baseName}-manifest.pdf`
+        };
+    }
+
+    const settings = await getSettings(merchantId);
+    if (format === 'gpx') {
+        return {
+            content: buildRouteGpx(normalized, settings),
+            contentType: 'application/gpx+xml',
+            filename: `${baseName}.gpx`
+        };
+    }
+    return {
+        content: buildRouteKml(normalized, settings),
+        contentType: 'application/vnd.google-earth.kml+xml',
+        filename: `${baseName}.kml`
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    buildRouteGpx,
+    buildRouteKml,
+    exportRoute
+};
@@ -0,0 +1,111 @@
+/**
+ * Delivery Geocode Cache
+ * Per-merchant address → coordinate cache so repeat customers are not
+ * re-geocoded on every order.
+ *
+ * Entries are keyed on normalizeAddress(), so "123 Main Street" and
+ * "123 main st." share an entry. Pins corrected by staff are stored with
+ * source = 'manual' and always win over provider results.
+ *
+ * Cache failures are logged and treated as misses — geocoding still works
+ * without the cache.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+
+// Word-level abbreviations applied when normalizing addresses
+const ADDRESS_ABBREVIATIONS = {
+    street: 'st', avenue: 'ave', road: 'rd', drive: 'dr', boulevard: 'blvd',
+    lane: 'ln', court: 'ct', crescent: 'cres', place: 'pl', terrace: 'terr',
+    highway: 'hwy', parkway: 'pkwy', circle: 'cir', square: 'sq',
+    north: 'n', south: 's', east: 'e', west: 'w',
+    apartment: 'apt', suite: 'ste', unit: 'unit'
+};
+
+/**
+ * Normalize an address into a cache key: lowercase, punctuation stripped,
+ * whitespace collapsed, common street words abbreviated
+ * @param {string} address
+ * @returns {string}
+ */
+function normalizeAddress(address) {
+    return String(address || '')
+        .toLowerCase()
+        .replace(/[.,#]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+        .join(' ');
+}
+
+/**
+ * Look up an address in the merchant's geocode cache, counting the hit.
+ * @param {number} merchantId
+ * @param {string} address
+ * @returns {Promise<Object|null>} { lat, lng, confidence, source, cached: true } or null
+ */
+async function getCachedCoords(merchantId, address) {
+    try {
+        const result = await db.query(
+            `UPDATE delivery_geocode_cache
+             SET hit_count = hit_count + 1
+             WHERE merchant_id = $1 AND normalized_address = $2
+             RETURNING lat, lng, confidence, source`,
+            [merchantId, normalizeAddress(address)]
+        );
+        const row = result.rows[0];
+        if (!row) return null;
+        return {
+            lat: parseFloat(row.lat),
+            lng: parseFloat(row.lng),
+            confidence: row.confidence != null ? parseFloat(row.confidence) : null,
+            source: row.source,
+            cached: true
+        };
+    } catch (err) {
+        logger.warn('Geocode cache lookup failed', { merchantId, error: err.message });
+        return null;
+    }
+}
+
+/**
+ * Store coordinates for an address. Provider results never overwrite a
+ * manual correction; manual corrections overwrite anything.
+ * @param {number} merchantId
+ * @param {string} address
+ * @param {{lat: number, lng: number, confidence?: number}} coords
+ * @param {Object} meta
+ * @param {string} meta.source - 'provider' or 'manual'
+ * @param {string} [meta.provider]
+ * @param {number} [meta.userId] - Staff member who corrected the pin
+ */
+async function cacheCoords(merchantId, address, coords, { source, provider = null, userId = null }) {
+    try {
+        await db.query(
+            `INSERT INTO delivery_geocode_cache (
+                merchant_id, normalized_address, address, lat, lng, source, provider, confidence, corrected_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (merchant_id, normalized_address) DO UPDATE SET
+                address = EXCLUDED.address,
+                lat = EXCLUDED.lat,
+                lng = EXCLUDED.lng,
+                source = EXCLUDED.source,
+                provider = EXCLUDED.provider,
+                confidence = EXCLUDED.confidence,
+                corrected_by = EXCLUDED.corrected_by,
+                updated_at = NOW()
+            WHERE EXCLUDED.source = 'manual' OR delivery_geocode_cache.source <> 'manual'`,
+            [merchantId, normalizeAddress(address), address, coords.lat, coords.lng,
+                source, provider, coords.confidence ?? null, userId]
+        );
+    } catch (err) {
+        logger.warn('Failed to write geocode cache', { merchantId, error: err.message });
+    }
+}
+
+module.exports = {
+    normalizeAddress,
+    getCachedCoords,
+    cacheCoords
+};
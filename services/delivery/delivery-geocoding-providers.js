@@ -0,0 +1,167 @@
+/**
+ * Delivery Geocoding Providers
+ * Interchangeable address lookup backends, selected per merchant via
+ * delivery_settings.geocoding_provider.
+ *
+ * Every provider implements:
+ *   geocode(address, options) → Promise<{ lat, lng, confidence } | null>
+ *   minIntervalMs             → pause between batch requests (provider usage policy)
+ *   cacheable                 → whether results may be stored in the address cache
+ *
+ * Providers:
+ * - ors:       OpenRouteService (needs an API key; merchant key or ORS_API_KEY)
+ * - nominatim: OpenStreetMap Nominatim (no key; max 1 request/second)
+ * - stub:      Offline, deterministic coordinates near the depot — development
+ *              and tests only; not registered when NODE_ENV=production
+ *
+ * Providers return null on failure rather than throwing, matching the
+ * original geocodeAddress contract.
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { ORS_BASE_URL, ORS_API_KEY } = require('./delivery-utils');
+
+const NOMINATIM_BASE_URL = process.env.NOMINATIM_BASE_URL || 'https://nominatim.openstreetmap.org';
+// Nominatim's usage policy requires an identifying User-Agent
+const NOMINATIM_USER_AGENT = process.env.NOMINATIM_USER_AGENT || 'SqTools delivery geocoder';
+
+// Stub coordinates scatter within this many degrees of the depot (~5 km)
+const STUB_SPREAD_DEG = 0.05;
+
+const orsProvider = {
+    name: 'ors',
+    minIntervalMs: 100,
+    cacheable: true,
+
+    /**
+     * @param {string} address
+     * @param {Object} [options]
+     * @param {string} [options.apiKey] - Merchant ORS key (falls back to ORS_API_KEY)
+     */
+    async geocode(address, options = {}) {
+        const key = options.apiKey || ORS_API_KEY;
+
+        if (!key) {
+            logger.warn('OpenRouteService API key not configured for geocoding');
+            return null;
+        }
+
+        try {
+            const encodedAddress = encodeURIComponent(address);
+            const response = await fetch(
+                `${ORS_BASE_URL}/geocode/search?api_key=${key}&text=${encodedAddress}&size=1`,
+                { method: 'GET' }
+            );
+
+            if (!response.ok) {
+                logger.error('Geocoding API error', { provider: 'ors', status: response.status, address });
+                return null;
+            }
+
+            const result = await response.json();
+
+            if (result.features && result.features.length > 0) {
+                const coords = result.features[0].geometry.coordinates;
+                return {
+                    lng: coords[0],
+                    lat: coords[1],
+                    confidence: result.features[0].properties.confidence
+                };
+            }
+
+            return null;
+
+        } catch (err) {
+            logger.error('Geocoding error', { provider: 'ors', error: err.message, address });
+            return null;
+        }
+    }
+};
+
+const nominatimProvider = {
+    name: 'nominatim',
+    minIntervalMs: 1000,
+    cacheable: true,
+
+    async geocode(address) {
+        try {
+            const response = await fetch(
+                `${NOMINATIM_BASE_URL}/search?format=jsonv2&limit=1&q=${encodeURIComponent(address)}`,
+                { method: 'GET', headers: { 'User-Agent': NOMINATIM_USER_AGENT } }
+            );
+
+            if (!response.ok) {
+                logger.error('Geocoding API error', { provider: 'nominatim', status: response.status, address });
+                return null;
+            }
+
+            const results = await response.json();
+
+            if (Array.isArray(results) && results.length > 0) {
+                return {
+                    lat: parseFloat(results[0].lat),
+                    lng: parseFloat(results[0].lon),
+                    // Nominatim has no confidence score; importance is the closest analogue
+                    confidence: results[0].importance != null ? Number(results[0].importance) : null
+                };
+            }
+
+            return null;
+
+        } catch (err) {
+            logger.error('Geocoding error', { provider: 'nominatim', error: err.message, address });
+            return null;
+        }
+    }
+};
+
+const stubProvider = {
+    name: 'stub',
+    minIntervalMs: 0,
+    // Fake coordinates must never be reused once a real provider is selected
+    cacheable: false,
+
+    /**
+     * Same address always maps to the same point, scattered around the depot
+     * so generated routes look plausible.
+     * @param {string} address
+     * @param {Object} [options]
+     * @param {{lat: number, lng: number}} [options.near] - Depot coordinates
+     */
+    async geocode(address, options = {}) {
+        const digest = crypto.createHash('sha256').update(String(address)).digest();
+        const offset = byte => (digest.readUInt16BE(byte) / 0xffff * 2 - 1) * STUB_SPREAD_DEG;
+        const near = options.near || { lat: 0, lng: 0 };
+        return {
+            lat: Number((near.lat + offset(0)).toFixed(6)),
+            lng: Number((near.lng + offset(2)).toFixed(6)),
+            confidence: 0
+        };
+    }
+};
+
+const PROVIDERS = {
+    ors: orsProvider,
+    nominatim: nominatimProvider
+};
+
+if (process.env.NODE_ENV !== 'production') {
+    PROVIDERS.stub = stubProvider;
+}
+
+const DEFAULT_PROVIDER = 'ors';
+
+/**
+ * Resolve a provider by name, falling back to ORS for unknown/missing names
+ * @param {string|null|undefined} name
+ * @returns {Object} Provider
+ */
+function getGeocodingProvider(name) {
+    return PROVIDERS[name] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+module.exports = {
+    GEOCODING_PROVIDERS: Object.keys(PROVIDERS),
+    getGeocodingProvider
+};
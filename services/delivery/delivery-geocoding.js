@@ -1,6 +1,10 @@
 /**
  * Delivery Geocoding Service
- * Handles address geocoding via OpenRouteService.
+ * Handles address geocoding through the merchant's configured provider
+ * (delivery-geocoding-providers.js), backed by a per-merchant address cache.
+ *
+ * Lookups go through the address cache (delivery-geocode-cache.js) first;
+ * pins corrected by staff are cached and reused for future orders.
  *
  * Extracted from delivery-service.js as part of leaf module split.
  */
@@ -8,52 +12,64 @@
 const db = require('../../utils/database');
 const logger = require('../../utils/logger');
 const { getSettings, updateSettings } = require('./delivery-settings');
-const { ORS_BASE_URL, ORS_API_KEY } = require('./delivery-utils');
-const { updateOrder } = require('./delivery-orders');
+const { getOrderById, updateOrder } = require('./delivery-orders');
+const { getGeocodingProvider } = require('./delivery-geocoding-providers');
+const { getCachedCoords, cacheCoords } = require('./delivery-geocode-cache');
 
 /**
- * Geocode an address using OpenRouteService
+ * Geocode an address with a provider (no cache)
  * @param {string} address - The address to geocode
- * @param {string} apiKey - Optional API key override
- * @returns {Promise<Object|null>} Coordinates { lat, lng } or null
+ * @param {string} apiKey - Optional ORS API key override
+ * @param {Object} [options]
+ * @param {string} [options.provider='ors'] - 'ors', 'nominatim' or 'stub'
+ * @param {{lat: number, lng: number}} [options.near] - Depot coords (stub provider)
+ * @returns {Promise<Object|null>} Coordinates { lat, lng, confidence } or null
  */
-async function geocodeAddress(address, apiKey = null) {
-    const key = apiKey || ORS_API_KEY;
-
-    if (!key) {
-        logger.warn('OpenRouteService API key not configured for geocoding');
-        return null;
-    }
-
-    try {
-        const encodedAddress = encodeURIComponent(address);
-        const response = await fetch(
-            `${ORS_BASE_URL}/geocode/search?api_key=${key}&text=${encodedAddress}&size=1`,
-            { method: 'GET' }
-        );
+async function geocodeAddress(address, apiKey = null, options = {}) {
+    const provider = getGeocodingProvider(options.provider);
+    return provider.geocode(address, { apiKey, near: options.near });
+}
 
-        if (!response.ok) {
-            logger.error('Geocoding API error', { status: response.status, address });
-            return null;
-        }
+/**
+ * Depot coordinates from settings, used to anchor the stub provider
+ * @param {Object|null} settings
+ * @returns {{lat: number, lng: number}|undefined}
+ */
+function _depot(settings) {
+    if (settings?.start_address_lat == null || settings?.start_address_lng == null) return undefined;
+    return { lat: parseFloat(settings.start_address_lat), lng: parseFloat(settings.start_address_lng) };
+}
 
-        const result = await response.json();
+/**
+ * Geocode an address for a merchant: cache first, then the merchant's provider.
+ * Results from non-cacheable providers (the offline stub) are not stored.
+ * @param {number} merchantId
+ * @param {string} address
+ * @param {Object} [settings] - Delivery settings, if the caller already has them
+ * @returns {Promise<Object|null>} { lat, lng, confidence, source, cached } or null.
+ *          source is 'manual' for staff-corrected pins, otherwise 'provider'
+ */
+async function geocodeForMerchant(merchantId, address, settings = undefined) {
+    const cached = await getCachedCoords(merchantId, address);
+    if (cached) {
+        return cached;
+    }
 
-        if (result.features && result.features.length > 0) {
-            const coords = result.features[0].geometry.coordinates;
-            return {
-                lng: coords[0],
-                lat: coords[1],
-                confidence: result.features[0].properties.confidence
-            };
-        }
+    const merchantSettings = settings === undefined ? await getSettings(merchantId) : settings;
+    const provider = getGeocodingProvider(merchantSettings?.geocoding_provider);
+    const coords = await geocodeAddress(address, merchantSettings?.openrouteservice_api_key, {
+        provider: provider.name,
+        near: _depot(merchantSettings)
+    });
 
+    if (!coords || coords.lat == null || coords.lng == null) {
         return null;
+    }
 
-    } catch (err) {
-        logger.error('Geocoding error', { error: err.message, address });
-        return null;
+    if (provider.cacheable) {
+        await cacheCoords(merchantId, address, coords, { source: 'provider', provider: provider.name });
     }
+    return { ...coords, source: 'provider', cached: false };
 }
 
 /**
@@ -64,7 +80,7 @@ async function geocodeAddress(address, apiKey = null) {
  */
 async function geocodePendingOrders(merchantId, limit = 10) {
     const settings = await getSettings(merchantId);
-    const apiKey = settings?.openrouteservice_api_key || ORS_API_KEY;
+    const provider = getGeocodingProvider(settings?.geocoding_provider);
 
     const ordersResult = await db.query(
         `SELECT id, address FROM delivery_orders
@@ -74,10 +90,11 @@ async function geocodePendingOrders(merchantId, limit = 10) {
         [merchantId, limit]
     );
 
-    const results = { success: 0, failed: 0, orders: [] };
+    const results = { success: 0, failed: 0, cached: 0, orders: [] };
 
     for (const order of ordersResult.rows) {
-        const coords = await geocodeAddress(order.address, apiKey);
+        const coords = await geocodeForMerchant(merchantId, order.address, settings);
+        const fromCache = !!coords?.cached;
 
         if (coords && coords.lat && coords.lng) {
             // LOGIC CHANGE (SEC-1): Added merchant_id guard for defense in depth
@@ -88,14 +105,17 @@ async function geocodePendingOrders(merchantId, limit = 10) {
                 [coords.lat, coords.lng, order.id, merchantId]
             );
             results.success++;
+            if (fromCache) results.cached++;
             results.orders.push({ id: order.id, status: 'success', coords });
         } else {
             results.failed++;
             results.orders.push({ id: order.id, status: 'failed', address: order.address });
         }
 
-        // Rate limit: wait 100ms between requests
-        await new Promise(resolve => setTimeout(resolve, 100));
+        // Rate limit per provider policy; cache hits made no external request
+        if (!fromCache && provider.minIntervalMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, provider.minIntervalMs));
+        }
     }
 
     return results;
@@ -103,15 +123,14 @@ async function geocodePendingOrders(merchantId, limit = 10) {
 
 /**
  * Geocode an address and update the delivery order's coordinates.
- * Fetches the merchant's ORS key automatically.
+ * Uses the geocode cache and the merchant's provider.
  * @param {number} merchantId
  * @param {string} orderId
  * @param {string} address
  * @returns {Promise<{lat, lng}|null>} Coordinates if geocoding succeeded, else null
  */
 async function geocodeAndPatchOrder(merchantId, orderId, address) {
-    const settings = await getSettings(merchantId);
-    const coords = await geocodeAddress(address, settings?.openrouteservice_api_key);
+    const coords = await geocodeForMerchant(merchantId, address);
     if (!coords) {
         logger.warn('Geocoding failed for address, coordinates not updated', { merchantId, orderId, address });
         return null;
@@ -120,6 +139,31 @@ async function geocodeAndPatchOrder(merchantId, orderId, address) {
     return coords;
 }
 
+/**
+ * Manually correct an order's pin (staff dragged it on a map). The corrected
+ * coordinates are cached for the address so future orders reuse them.
+ * @param {number} merchantId
+ * @param {string} orderId
+ * @param {{lat: number, lng: number}} coords
+ * @param {number} userId - Staff member making the correction
+ * @returns {Promise<Object>} Updated order
+ * @throws {Error} (status 404) when the order does not exist
+ */
+async function correctOrderLocation(merchantId, orderId, { lat, lng }, userId) {
+    const order = await getOrderById(merchantId, orderId);
+    if (!order) {
+        const err = new Error('Order not found');
+        err.status = 404;
+        throw err;
+    }
+
+    const updated = await updateOrder(merchantId, orderId, { addressLat: lat, addressLng: lng, geocodedAt: new Date() });
+    await cacheCoords(merchantId, order.address, { lat, lng, confidence: 1 }, { source: 'manual', userId });
+
+    logger.info('Delivery pin corrected', { merchantId, orderId, userId });
+    return updated;
+}
+
 /**
  * Geocode start/end addresses in settings body then persist the full settings update.
  * @param {number} merchantId
@@ -129,7 +173,7 @@ async function geocodeAndPatchOrder(merchantId, orderId, address) {
 async function updateSettingsWithGeocode(merchantId, body) {
     const {
         startAddress, endAddress, sameDayCutoff, podRetentionDays,
-        autoIngestReadyOrders, openrouteserviceApiKey
+        autoIngestReadyOrders, openrouteserviceApiKey, geocodingProvider
     } = body;
 
     let startLat = null, startLng = null, endLat = null, endLng = null;
@@ -137,13 +181,14 @@ async function updateSettingsWithGeocode(merchantId, body) {
     if (startAddress || endAddress) {
         const currentSettings = await getSettings(merchantId);
         const apiKey = currentSettings?.openrouteservice_api_key || openrouteserviceApiKey;
+        const options = { provider: geocodingProvider || currentSettings?.geocoding_provider };
 
         if (startAddress) {
-            const coords = await geocodeAddress(startAddress, apiKey);
+            const coords = await geocodeAddress(startAddress, apiKey, options);
             if (coords) { startLat = coords.lat; startLng = coords.lng; }
         }
         if (endAddress) {
-            const coords = await geocodeAddress(endAddress, apiKey);
+            const coords = await geocodeAddress(endAddress, apiKey, options);
             if (coords) { endLat = coords.lat; endLng = coords.lng; }
         }
     }
@@ -158,13 +203,16 @@ async function updateSettingsWithGeocode(merchantId, body) {
         sameDayCutoff,
         podRetentionDays,
         autoIngestReadyOrders,
-        openrouteserviceApiKey
+        openrouteserviceApiKey,
+        geocodingProvider
     });
 }
 
 module.exports = {
     geocodeAddress,
+    geocodeForMerchant,
     geocodePendingOrders,
     geocodeAndPatchOrder,
+    correctOrderLocation,
     updateSettingsWithGeocode
 };
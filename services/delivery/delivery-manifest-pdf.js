@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Delivery Manifest PDF
+ * Printable route manifest: one block per stop with address, phone, notes,
+ * GTIN line items and a signature box. Pure builder: takes a route from
+ * getRouteWithOrders and returns a PDF Buffer (utils/pdf-document.js).
+ */
+
+const { PdfDocument } = require('../../utils/pdf-document');
+
+const MARGIN = 40;
+const RIGHT = 572;
+const BOTTOM = 752;
+const BRAND = '#1f2937';
+const MUTED = '#6b7280';
+const RULE = '#d1d5db';
+
+// Stop details: label column, then the wrapped value
+const VALUE_X = MARGIN + 90;
+const VALUE_WIDTH = RIGHT - VALUE_X;
+
+// Line items table: left edges, except qty which is right-aligned
+const ITEM_COLUMNS = { qty: MARGIN + 30, item: MARGIN + 42, gtin: 440, check: RIGHT - 16 };
+
+// Signature boxes: [left, right, caption]
+const SIGNATURE_LINES = [
+    [MARGIN, 300, 'Received by (signature)'],
+    [316, 456, 'Print name'],
+    [472, RIGHT, 'Time']
+];
+
+function wrapText(doc, text, width, size) {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && doc.widthOf(candidate, size) > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+// Delivery window as "HH:MM–HH:MM"; either bound may be open
+function formatWindow(order) {
+    if (!order.window_start && !order.window_end) return '';
+    return `${(order.window_start || '').slice(0, 5)}–${(order.window_end || '').slice(0, 5)}`;
+}
+
+/**
+ * Drawing cursor: moves to a new page, with a continuation heading, when
+ * the next element would run past the bottom margin.
+ */
+function createCursor(doc, heading) {
+    const cursor = {
+        doc,
+        y: 0,
+        ensureSpace(height) {
+            if (cursor.y + height <= BOTTOM) return;
+            doc.addPage();
+            doc.text(`${heading} (continued)`, MARGIN, 50, { size: 10, bold: true, color: MUTED });
+            cursor.y = 78;
+        }
+    };
+    return cursor;
+}
+
+function drawHeader(cursor, route, merchantName, stopCount) {
+    const { doc } = cursor;
+    doc.rect(0, 0, doc.pageWidth, 70, BRAND);
+    doc.text(`${merchantName || 'Delivery'} - Delivery Manifest`, MARGIN, 42, {
+        size: 18, bold: true, color: '#ffffff', maxWidth: RIGHT - MARGIN
+    });
+    const summary = [
+        route.route_date,
+        route.vehicle_label,
+        `${stopCount} stop${stopCount === 1 ? '' : 's'}`,
+        route.total_distance_km ? `${route.total_distance_km} km` : null
+    ].filter(Boolean).join(' • ');
+    doc.text(summary, MARGIN, 92, { size: 10, color: MUTED });
+    cursor.y = 120;
+}
+
+function drawDetails(cursor, order) {
+    const details = [
+        ['Address', order.address],
+        ['Phone', order.phone || 'N/A'],
+        ['Customer note', order.customer_note],
+        ['Notes', order.notes]
+    ].filter(([, value]) => value);
+
+    for (const [label, value] of details) {
+        const lines = wrapText(cursor.doc, value, VALUE_WIDTH, 10);
+        lines.forEach((line, index) => {
+            cursor.ensureSpace(13);
+            if (index === 0) cursor.doc.text(`${label}:`, MARGIN, cursor.y, { size: 10, bold: true });
+            cursor.doc.text(line, VALUE_X, cursor.y, { size: 10 });
+            cursor.y += 13;
+        });
+    }
+}
+
+function drawItemsHeader(cursor) {
+    const { doc } = cursor;
+    doc.rect(MARGIN, cursor.y - 11, RIGHT - MARGIN, 15, '#f3f4f6');
+    doc.text('Qty', ITEM_COLUMNS.qty, cursor.y, { size: 8, bold: true, color: MUTED, align: 'right' });
+    doc.text('Item', ITEM_COLUMNS.item, cursor.y, { size: 8, bold: true, color: MUTED });
+    doc.text('GTIN', ITEM_COLUMNS.gtin, cursor.y, { size: 8, bold: true, color: MUTED });
+    cursor.y += 15;
+}
+
+function drawItems(cursor, order) {
+    const { doc } = cursor;
+    const items = order.square_order_data?.lineItems || [];
+    cursor.y += 6;
+    if (items.length === 0) {
+        cursor.ensureSpace(13);
+        doc.text('No line items (manual order)', MARGIN, cursor.y, { size: 9, color: MUTED });
+        cursor.y += 13;
+        return;
+    }
+
+    cursor.ensureSpace(30);
+    drawItemsHeader(cursor);
+    for (const item of items) {
+        cursor.ensureSpace(14);
+        const name = `${item.name || 'Item'}${item.variationName ? ` - ${item.variationName}` : ''}` +
+            (item.note ? ` (${item.note})` : '');
+        doc.text(String(item.quantity ?? ''), ITEM_COLUMNS.qty, cursor.y, { size: 9, align: 'right' });
+        doc.text(name, ITEM_COLUMNS.item, cursor.y, { size: 9, maxWidth: ITEM_COLUMNS.gtin - ITEM_COLUMNS.item - 8 });
+        doc.text(item.gtin || '', ITEM_COLUMNS.gtin, cursor.y, { size: 9 });
+        // Tick box for loading the van
+        const box = [ITEM_COLUMNS.check, cursor.y - 8, ITEM_COLUMNS.check + 9, cursor.y + 1];
+        doc.line(box[0], box[1], box[2], box[1], { color: MUTED });
+        doc.line(box[2], box[1], box[2], box[3], { color: MUTED });
+        doc.line(box[2], box[3], box[0], box[3], { color: MUTED });
+        doc.line(box[0], box[3], box[0], box[1], { color: MUTED });
+        doc.line(MARGIN, cursor.y + 4, RIGHT, cursor.y + 4, { color: RULE });
+        cursor.y += 14;
+    }
+}
+
+function drawSignature(cursor) {
+    cursor.ensureSpace(44);
+    cursor.y += 30;
+    for (const [left, right, caption] of SIGNATURE_LINES) {
+        cursor.doc.line(left, cursor.y, right, cursor.y);
+        cursor.doc.text(caption, left, cursor.y + 10, { size: 8, color: MUTED });
+    }
+    cursor.y += 14;
+}
+
+function drawStop(cursor, order, number) {
+    const { doc } = cursor;
+    // Keep the stop heading with its address
+    cursor.ensureSpace(48);
+    doc.line(MARGIN, cursor.y - 14, RIGHT, cursor.y - 14, { color: RULE, width: 1 });
+    doc.text(`${number}.`, MARGIN, cursor.y, { size: 13, bold: true });
+    doc.text(order.customer_name, MARGIN + 28, cursor.y, { size: 13, bold: true, maxWidth: 360 });
+    const window = formatWindow(order);
+    if (window) doc.text(`Window: ${window}`, RIGHT, cursor.y, { size: 10, color: MUTED, align: 'right' });
+    cursor.y += 18;
+
+    drawDetails(cursor, order);
+    drawItems(cursor, order);
+    drawSignature(cursor);
+    cursor.y += 26;
+}
+
+/**
+ * Render a route's printable manifest as a PDF.
+ * Stops run in route order and continue on further pages as needed.
+ *
+ * @param {Object} route - Route with orders (getRouteWithOrders), route_date as YYYY-MM-DD
+ * @param {string} [merchantName]
+ * @returns {Buffer}
+ */
+function buildRouteManifestPdf(route, merchantName) {
+    const orders = [...route.orders].sort((a, b) => (a.route_position || 0) - (b.route_position || 0));
+    const doc = new PdfDocument();
+    const cursor = createCursor(doc, `Delivery Manifest ${route.route_date}`);
+
+    drawHeader(cursor, route, merchantName, orders.length);
+    orders.forEach((order, index) => drawStop(cursor, order, order.route_position || index + 1));
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    buildRouteManifestPdf
+};
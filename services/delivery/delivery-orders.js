@@ -34,9 +34,11 @@ async function getOrders(merchantId, options = {}) {
             dp.id as pod_id,
             dp.photo_path as pod_photo_path,
             dp.captured_at as pod_captured_at,
-            lc.note AS customer_profile_note
+            lc.note AS customer_profile_note,
+            dz.name AS zone_name
         FROM delivery_orders dord
         LEFT JOIN delivery_pod dp ON dp.delivery_order_id = dord.id
+        LEFT JOIN delivery_zones dz ON dz.id = dord.zone_id AND dz.merchant_id = dord.merchant_id
         LEFT JOIN loyalty_customers lc
             ON lc.square_customer_id = dord.square_customer_id
             AND lc.merchant_id = dord.merchant_id
@@ -146,7 +148,12 @@ async function createOrder(merchantId, orderData) {
         status = 'pending',
         squareOrderData = null,
         squareOrderState = null,
-        needsCustomerRefresh = false
+        needsCustomerRefresh = false,
+        windowStart = null,
+        windowEnd = null,
+        serviceMinutes = null,
+        recurringTemplateId = null,
+        scheduledDate = null
     } = orderData;
 
     const serializedOrderData = squareOrderData ? safeJsonStringify(squareOrderData) : null;
@@ -158,8 +165,9 @@ async function createOrder(merchantId, orderData) {
         ? `INSERT INTO delivery_orders (
                 merchant_id, square_order_id, square_customer_id, customer_name, address,
                 address_lat, address_lng, phone, notes, customer_note, status,
-                geocoded_at, square_order_data, square_order_state, needs_customer_refresh
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+                geocoded_at, square_order_data, square_order_state, needs_customer_refresh,
+                window_start, window_end, service_minutes, recurring_template_id, scheduled_date
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
             ON CONFLICT (square_order_id, merchant_id) WHERE square_order_id IS NOT NULL
             DO UPDATE SET
                 square_customer_id = COALESCE(EXCLUDED.square_customer_id, delivery_orders.square_customer_id),
@@ -171,19 +179,23 @@ async function createOrder(merchantId, orderData) {
                 phone = COALESCE(EXCLUDED.phone, delivery_orders.phone),
                 square_order_data = COALESCE(EXCLUDED.square_order_data, delivery_orders.square_order_data),
                 square_order_state = COALESCE(EXCLUDED.square_order_state, delivery_orders.square_order_state),
-                needs_customer_refresh = EXCLUDED.needs_customer_refresh
+                needs_customer_refresh = EXCLUDED.needs_customer_refresh,
+                recurring_template_id = COALESCE(delivery_orders.recurring_template_id, EXCLUDED.recurring_template_id),
+                scheduled_date = COALESCE(delivery_orders.scheduled_date, EXCLUDED.scheduled_date)
             RETURNING *, (xmax = 0) AS _inserted`
         : `INSERT INTO delivery_orders (
                 merchant_id, square_order_id, square_customer_id, customer_name, address,
                 address_lat, address_lng, phone, notes, customer_note, status,
-                geocoded_at, square_order_data, square_order_state, needs_customer_refresh
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+                geocoded_at, square_order_data, square_order_state, needs_customer_refresh,
+                window_start, window_end, service_minutes, recurring_template_id, scheduled_date
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
             RETURNING *, TRUE AS _inserted`;
 
     const result = await db.query(sql, [
         merchantId, squareOrderId, squareCustomerId, customerName, address,
         addressLat, addressLng, phone, notes, customerNote, status,
-        geocodedAt, serializedOrderData, squareOrderState, needsCustomerRefresh
+        geocodedAt, serializedOrderData, squareOrderState, needsCustomerRefresh,
+        windowStart, windowEnd, serviceMinutes, recurringTemplateId, scheduledDate
     ]);
 
     const row = result.rows[0];
@@ -220,7 +232,10 @@ async function updateOrder(merchantId, orderId, updates) {
         'customer_name', 'address', 'address_lat', 'address_lng',
         'geocoded_at', 'phone', 'notes', 'customer_note', 'status', 'route_id',
         'route_position', 'route_date', 'square_synced_at', 'square_customer_id',
-        'square_order_data', 'square_order_state', 'needs_customer_refresh'
+        'square_order_data', 'square_order_state', 'needs_customer_refresh',
+        'window_start', 'window_end', 'service_minutes',
+        'zone_id', 'delivery_fee_cents', 'needs_review', 'review_reason',
+        'recurring_template_id', 'scheduled_date', 'completed_at'
     ];
 
     const setClauses = [];
@@ -282,9 +297,13 @@ async function deleteOrder(merchantId, orderId) {
  * @param {number} merchantId - The merchant ID
  * @param {string} orderId - The delivery order UUID
  * @param {number} userId - The user performing the action
+ * @param {Object} [options]
+ * @param {string} [options.recordedAt] - When the driver skipped it (offline replays), ISO string
+ * @param {string} [options.reason] - Structured skip reason (config/constants DELIVERY.SKIP_REASONS)
+ * @param {string} [options.reasonNote] - Free-text detail for the reason
  * @returns {Promise<Object|null>} Updated order
  */
-async function skipOrder(merchantId, orderId, userId) {
+async function skipOrder(merchantId, orderId, userId, options = {}) {
     // LOGIC CHANGE (BUG-006): Only allow skipping 'active' orders.
     // Pending orders are not on a route, completed/delivered should not regress.
     const existing = await getOrderById(merchantId, orderId);
@@ -299,8 +318,12 @@ async function skipOrder(merchantId, orderId, userId) {
 
     if (order) {
         // LOGIC CHANGE (BUG-013): Use actual previous status instead of hardcoded 'active'
-        await logAuditEvent(merchantId, userId, 'order_skipped', orderId, null, {
-            previousStatus: existing.status
+        // Route ID is recorded because finishing the route detaches skipped orders from it
+        await logAuditEvent(merchantId, userId, 'order_skipped', orderId, existing.route_id, {
+            previousStatus: existing.status,
+            reason: options.reason || null,
+            ...(options.reasonNote && { reasonNote: options.reasonNote }),
+            ...(options.recordedAt && { recordedAt: options.recordedAt })
         });
     }
 
@@ -322,9 +345,11 @@ async function markDelivered(merchantId, orderId) {
  * @param {number} merchantId - The merchant ID
  * @param {string} orderId - The delivery order UUID
  * @param {number} userId - The user performing the action
+ * @param {Object} [options]
+ * @param {string} [options.recordedAt] - When the driver completed it (offline replays), ISO string
  * @returns {Promise<Object|null>} Updated order
  */
-async function completeOrder(merchantId, orderId, userId) {
+async function completeOrder(merchantId, orderId, userId, options = {}) {
     // LOGIC CHANGE (BUG-005): Only allow completing orders in active, delivered, or skipped status.
     // Reject pending (not on a route) and already-completed orders.
     const existing = await getOrderById(merchantId, orderId);
@@ -338,13 +363,15 @@ async function completeOrder(merchantId, orderId, userId) {
 
     const order = await updateOrder(merchantId, orderId, {
         status: 'completed',
+        completedAt: options.recordedAt ? new Date(options.recordedAt) : new Date(),
         squareSyncedAt: new Date()
     });
 
     if (order) {
-        await logAuditEvent(merchantId, userId, 'order_completed', orderId, null, {
+        await logAuditEvent(merchantId, userId, 'order_completed', orderId, existing.route_id, {
             squareOrderId: order.square_order_id,
-            hasPod: !!order.pod_id
+            hasPod: !!order.pod_id,
+            ...(options.recordedAt && { recordedAt: options.recordedAt })
         });
     }
 
@@ -35,7 +35,7 @@ function _getDeliverySettings() {
  * @param {number} merchantId - The merchant ID
  * @param {string} orderId - The delivery order UUID
  * @param {Buffer} photoBuffer - Photo file buffer
- * @param {Object} metadata - Photo metadata
+ * @param {Object} metadata - Photo metadata (capturedAt overrides the capture time for offline uploads)
  * @returns {Promise<Object>} Created POD record
  */
 async function savePodPhoto(merchantId, orderId, photoBuffer, metadata = {}) {
@@ -43,7 +43,8 @@ async function savePodPhoto(merchantId, orderId, photoBuffer, metadata = {}) {
         originalFilename = 'pod.jpg',
         mimeType = 'image/jpeg',
         latitude = null,
-        longitude = null
+        longitude = null,
+        capturedAt = null
     } = metadata;
 
     // Validate orderId is a valid UUID format (security)
@@ -94,12 +95,12 @@ async function savePodPhoto(merchantId, orderId, photoBuffer, metadata = {}) {
     const result = await db.query(
         `INSERT INTO delivery_pod (
             delivery_order_id, photo_path, original_filename,
-            file_size_bytes, mime_type, latitude, longitude, expires_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            file_size_bytes, mime_type, latitude, longitude, expires_at, captured_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()))
         RETURNING *`,
         [
             orderId, relativePath, originalFilename,
-            photoBuffer.length, mimeType, latitude, longitude, expiresAt
+            photoBuffer.length, mimeType, latitude, longitude, expiresAt, capturedAt
         ]
     );
 
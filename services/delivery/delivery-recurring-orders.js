@@ -0,0 +1,179 @@
+/**
+ * Recurring Delivery Orders
+ * Turns recurring templates due on a date into pending delivery orders,
+ * ahead of route generation (see jobs/delivery-recurring-job.js).
+ *
+ * Templates with create_square_order get a Square order first, which is then
+ * ingested through delivery-square.js exactly like a webhook-delivered order.
+ * Other templates become manual orders carrying the template's line items.
+ * Each template yields at most one order per date: existing occurrences are
+ * skipped, backed by a unique index on (recurring_template_id, scheduled_date).
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { getMerchantLocaleConfig } = require('../merchant');
+const { DEFAULT_DEPARTURE_TIME } = require('./delivery-utils');
+const { createOrder, updateOrder } = require('./delivery-orders');
+const { enrichLineItemsWithGtin } = require('./delivery-gtin');
+const { assignOrderZone } = require('./delivery-zones');
+const { ingestSquareOrder } = require('./delivery-square');
+const { createSquareDeliveryOrder } = require('./delivery-square-orders');
+const { toDateKey, todayInTimezone, zonedDateTimeToIso, isOccurrenceDate } = require('./delivery-recurring-schedule');
+
+// Template line item → the shape stored in square_order_data.lineItems
+function toOrderLineItem(item) {
+    return {
+        name: item.name,
+        variationName: item.variationName || null,
+        quantity: String(item.quantity || 1),
+        catalogObjectId: item.variationId || null,
+        note: item.note || null
+    };
+}
+
+// Total in cents when every item is priced, otherwise null (skips zone minimums)
+function templateTotalCents(lineItems) {
+    if (lineItems.length === 0 || lineItems.some(item => item.priceCents == null)) return null;
+    return lineItems.reduce((sum, item) => sum + item.priceCents * (item.quantity || 1), 0);
+}
+
+async function createOccurrenceViaSquare(merchantId, template, dateKey, locale) {
+    const squareOrder = await createSquareDeliveryOrder(merchantId, {
+        customerName: template.customer_name,
+        address: template.address,
+        phone: template.phone,
+        squareCustomerId: template.square_customer_id,
+        note: template.notes,
+        lineItems: template.line_items || [],
+        deliverAt: zonedDateTimeToIso(dateKey, template.window_start || DEFAULT_DEPARTURE_TIME, locale.timezone),
+        currency: locale.currency
+    }, `recurring-${template.id}-${dateKey}`);
+
+    const ingested = await ingestSquareOrder(merchantId, squareOrder);
+    if (!ingested) {
+        throw new Error(`Square order ${squareOrder.id} was created but could not be ingested`);
+    }
+
+    return updateOrder(merchantId, ingested.id, {
+        recurringTemplateId: template.id,
+        scheduledDate: dateKey,
+        windowStart: template.window_start,
+        windowEnd: template.window_end,
+        serviceMinutes: template.service_minutes
+    });
+}
+
+async function createOccurrenceLocally(merchantId, template, dateKey) {
+    const templateItems = template.line_items || [];
+    const lineItems = await enrichLineItemsWithGtin(merchantId, templateItems.map(toOrderLineItem));
+
+    const order = await createOrder(merchantId, {
+        squareCustomerId: template.square_customer_id,
+        customerName: template.customer_name,
+        address: template.address,
+        addressLat: template.address_lat,
+        addressLng: template.address_lng,
+        phone: template.phone,
+        customerNote: template.notes,
+        squareOrderData: lineItems.length > 0 ? { lineItems } : null,
+        windowStart: template.window_start,
+        windowEnd: template.window_end,
+        serviceMinutes: template.service_minutes,
+        recurringTemplateId: template.id,
+        scheduledDate: dateKey
+    });
+
+    try {
+        const coords = template.address_lat != null && template.address_lng != null
+            ? { lat: parseFloat(template.address_lat), lng: parseFloat(template.address_lng) }
+            : null;
+        const zoning = await assignOrderZone(merchantId, order.id, coords, {
+            orderTotalCents: templateTotalCents(templateItems),
+            deliveryDate: new Date(`${dateKey}T12:00:00`)
+        });
+        if (zoning) Object.assign(order, zoning);
+    } catch (zoneError) {
+        logger.error('Delivery zone assignment error', { orderId: order.id, error: zoneError.message });
+    }
+
+    return order;
+}
+
+/**
+ * Create the delivery order for one template occurrence
+ * @param {number} merchantId
+ * @param {Object} template - delivery_recurring_templates row
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {Object} locale - { timezone, currency } from getMerchantLocaleConfig
+ * @returns {Promise<Object|null>} The created order, or null if it already exists
+ */
+async function materializeTemplate(merchantId, template, dateKey, locale) {
+    const existing = await db.query(
+        `SELECT id FROM delivery_orders
+         WHERE merchant_id = $1 AND recurring_template_id = $2 AND scheduled_date = $3`,
+        [merchantId, template.id, dateKey]
+    );
+    if (existing.rows.length > 0) return null;
+
+    const order = template.create_square_order
+        ? await createOccurrenceViaSquare(merchantId, template, dateKey, locale)
+        : await createOccurrenceLocally(merchantId, template, dateKey);
+
+    await db.query(
+        `UPDATE delivery_recurring_templates
+         SET last_materialized_date = $1, updated_at = NOW()
+         WHERE id = $2 AND merchant_id = $3`,
+        [dateKey, template.id, merchantId]
+    );
+
+    logger.info('Materialized recurring delivery', {
+        merchantId, templateId: template.id, orderId: order.id, date: dateKey
+    });
+    return order;
+}
+
+/**
+ * Create pending delivery orders for every active template due on a date.
+ * A failing template is logged and counted; it doesn't stop the others.
+ * @param {number} merchantId
+ * @param {Object} [options]
+ * @param {string} [options.date] - 'YYYY-MM-DD'; defaults to today in the merchant's timezone
+ * @returns {Promise<Object>} { date, created, existing, failed, orders }
+ */
+async function materializeRecurringOrders(merchantId, { date = null } = {}) {
+    const locale = await getMerchantLocaleConfig(merchantId);
+    const dateKey = date ? toDateKey(date) : todayInTimezone(locale.timezone);
+
+    const result = await db.query(
+        `SELECT * FROM delivery_recurring_templates
+         WHERE merchant_id = $1 AND is_active = TRUE
+           AND start_date <= $2 AND (end_date IS NULL OR end_date >= $2)`,
+        [merchantId, dateKey]
+    );
+    const due = result.rows.filter(template => isOccurrenceDate(template, dateKey));
+
+    const summary = { date: dateKey, created: 0, existing: 0, failed: 0, orders: [] };
+    for (const template of due) {
+        try {
+            const order = await materializeTemplate(merchantId, template, dateKey, locale);
+            if (order) {
+                summary.created++;
+                summary.orders.push(order);
+            } else {
+                summary.existing++;
+            }
+        } catch (error) {
+            summary.failed++;
+            logger.error('Failed to materialize recurring delivery', {
+                merchantId, templateId: template.id, date: dateKey, error: error.message
+            });
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    materializeRecurringOrders
+};
@@ -0,0 +1,119 @@
+/**
+ * Recurring Delivery Schedule
+ * Date math for recurring delivery templates. A template delivers every
+ * interval_weeks on start_date's weekday, between start_date and end_date,
+ * except on its skip_dates.
+ *
+ * Dates are handled as 'YYYY-MM-DD' keys so schedules don't drift with the
+ * server timezone; "today" is resolved in the merchant's timezone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a DATE value to 'YYYY-MM-DD'
+ * @param {Date|string} value - node-postgres returns DATE columns as local-midnight Dates
+ * @returns {string}
+ */
+function toDateKey(value) {
+    if (value instanceof Date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+// Days since the epoch for a date key (calendar arithmetic, no DST effects)
+function dayNumber(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+}
+
+function dayNumberToKey(day) {
+    return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Wall-clock parts of an instant in a timezone
+function zonedParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute') };
+}
+
+/**
+ * Today's date in a timezone
+ * @param {string} [timezone='America/Toronto']
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function todayInTimezone(timezone = 'America/Toronto') {
+    const { year, month, day } = zonedParts(new Date(), timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Convert a local date + time in a timezone to an ISO timestamp
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM' or 'HH:MM:SS'
+ * @param {string} timezone
+ * @returns {string} ISO 8601 UTC timestamp
+ */
+function zonedDateTimeToIso(dateKey, time, timezone) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    const [hh, mm] = String(time).split(':').map(Number);
+    const guess = Date.UTC(y, m - 1, d, hh, mm);
+    // Shift by the zone's offset at that instant (what the wall clock reads vs. UTC)
+    const wall = zonedParts(new Date(guess), timezone);
+    const offset = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute) - guess;
+    return new Date(guess - offset).toISOString();
+}
+
+/**
+ * Whether a template delivers on a given date
+ * @param {Object} template - delivery_recurring_templates row
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {boolean}
+ */
+function isOccurrenceDate(template, dateKey) {
+    const day = dayNumber(dateKey);
+    const start = dayNumber(toDateKey(template.start_date));
+    if (day < start) return false;
+    if (template.end_date && day > dayNumber(toDateKey(template.end_date))) return false;
+    if ((day - start) % (7 * (template.interval_weeks || 1)) !== 0) return false;
+    return !(template.skip_dates || []).some(skip => toDateKey(skip) === dateKey);
+}
+
+/**
+ * Next delivery dates for a template, starting at fromDateKey (inclusive)
+ * @param {Object} template - delivery_recurring_templates row
+ * @param {string} fromDateKey - 'YYYY-MM-DD'
+ * @param {number} [count=3]
+ * @returns {string[]} Date keys, fewer than count when the template ends
+ */
+function upcomingDates(template, fromDateKey, count = 3) {
+    const start = dayNumber(toDateKey(template.start_date));
+    const end = template.end_date ? dayNumber(toDateKey(template.end_date)) : Infinity;
+    const step = 7 * (template.interval_weeks || 1);
+    const from = dayNumber(fromDateKey);
+
+    const dates = [];
+    let day = from <= start ? start : start + Math.ceil((from - start) / step) * step;
+    // Bounded so a long run of skip dates can't spin forever
+    for (let i = 0; dates.length < count && day <= end && i < count + 104; i++, day += step) {
+        const key = dayNumberToKey(day);
+        if (isOccurrenceDate(template, key)) dates.push(key);
+    }
+    return dates;
+}
+
+module.exports = {
+    toDateKey,
+    todayInTimezone,
+    zonedDateTimeToIso,
+    isOccurrenceDate,
+    upcomingDates
+};
@@ -0,0 +1,184 @@
+/**
+ * Recurring Delivery Templates Service
+ * Standing deliveries for customers who get the same order every week or
+ * every few weeks: customer, address, line items, cadence and skip dates.
+ *
+ * Templates are turned into pending delivery orders by
+ * delivery-recurring-orders.js; the schedule math is in
+ * delivery-recurring-schedule.js.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { getMerchantLocaleConfig } = require('../merchant');
+const { geocodeForMerchant } = require('./delivery-geocoding');
+const { toDateKey, todayInTimezone, upcomingDates } = require('./delivery-recurring-schedule');
+
+/**
+ * Geocode a template address, returning null coordinates on failure so the
+ * template still saves (materialized orders then go through normal geocoding)
+ */
+async function geocodeTemplateAddress(merchantId, address) {
+    try {
+        const coords = await geocodeForMerchant(merchantId, address);
+        return coords || { lat: null, lng: null };
+    } catch (error) {
+        logger.warn('Failed to geocode recurring delivery address', { merchantId, error: error.message });
+        return { lat: null, lng: null };
+    }
+}
+
+/**
+ * List a merchant's recurring templates with their next delivery dates
+ * @param {number} merchantId
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=false]
+ * @returns {Promise<Array>} Templates, each with next_dates ('YYYY-MM-DD'[])
+ */
+async function listRecurringTemplates(merchantId, { activeOnly = false } = {}) {
+    const result = await db.query(
+        `SELECT * FROM delivery_recurring_templates
+         WHERE merchant_id = $1 ${activeOnly ? 'AND is_active = TRUE' : ''}
+         ORDER BY customer_name ASC, created_at ASC`,
+        [merchantId]
+    );
+    const { timezone } = await getMerchantLocaleConfig(merchantId);
+    const today = todayInTimezone(timezone);
+    return result.rows.map(template => ({
+        ...template,
+        // Plain 'YYYY-MM-DD' so the client doesn't shift dates across timezones
+        start_date: toDateKey(template.start_date),
+        end_date: template.end_date ? toDateKey(template.end_date) : null,
+        skip_dates: (template.skip_dates || []).map(toDateKey),
+        next_dates: template.is_active ? upcomingDates(template, today) : []
+    }));
+}
+
+/**
+ * Get a single template
+ * @param {number} merchantId
+ * @param {string} templateId
+ * @returns {Promise<Object|null>}
+ */
+async function getRecurringTemplate(merchantId, templateId) {
+    const result = await db.query(
+        'SELECT * FROM delivery_recurring_templates WHERE id = $1 AND merchant_id = $2',
+        [templateId, merchantId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Create a template. The address is geocoded now so materialized orders are
+ * ready for routing.
+ * @param {number} merchantId
+ * @param {Object} data - camelCase template fields (see validators/delivery-recurring)
+ * @returns {Promise<Object>} Created template
+ */
+async function createRecurringTemplate(merchantId, data) {
+    const {
+        customerName, address, phone = null, squareCustomerId = null, notes = null,
+        lineItems = [], intervalWeeks = 1, startDate, endDate = null, skipDates = [],
+        windowStart = null, windowEnd = null, serviceMinutes = null,
+        createSquareOrder = false, isActive = true
+    } = data;
+
+    let { addressLat = null, addressLng = null } = data;
+    if (addressLat == null || addressLng == null) {
+        ({ lat: addressLat, lng: addressLng } = await geocodeTemplateAddress(merchantId, address));
+    }
+
+    const result = await db.query(
+        `INSERT INTO delivery_recurring_templates (
+            merchant_id, customer_name, address, address_lat, address_lng, phone,
+            square_customer_id, notes, line_items, interval_weeks, start_date, end_date,
+            skip_dates, window_start, window_end, service_minutes, create_square_order, is_active
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+        RETURNING *`,
+        [
+            merchantId, customerName, address, addressLat, addressLng, phone,
+            squareCustomerId, notes, JSON.stringify(lineItems), intervalWeeks, startDate, endDate,
+            skipDates, windowStart, windowEnd, serviceMinutes, createSquareOrder, isActive
+        ]
+    );
+
+    logger.info('Created recurring delivery template', {
+        merchantId, templateId: result.rows[0].id, intervalWeeks, createSquareOrder
+    });
+    return result.rows[0];
+}
+
+/**
+ * Update a template. Changing the address without coordinates re-geocodes it.
+ * @param {number} merchantId
+ * @param {string} templateId
+ * @param {Object} updates - camelCase template fields
+ * @returns {Promise<Object|null>} Updated template or null if not found
+ */
+async function updateRecurringTemplate(merchantId, templateId, updates) {
+    const allowedFields = [
+        'customer_name', 'address', 'address_lat', 'address_lng', 'phone',
+        'square_customer_id', 'notes', 'line_items', 'interval_weeks', 'start_date',
+        'end_date', 'skip_dates', 'window_start', 'window_end', 'service_minutes',
+        'create_square_order', 'is_active'
+    ];
+
+    const fields = { ...updates };
+    if (fields.address && (fields.addressLat == null || fields.addressLng == null)) {
+        const coords = await geocodeTemplateAddress(merchantId, fields.address);
+        fields.addressLat = coords.lat;
+        fields.addressLng = coords.lng;
+    }
+
+    const setClauses = [];
+    const params = [];
+
+    for (const [key, value] of Object.entries(fields)) {
+        const snakeKey = key.replace(/[A-Z]/g, m => '_' + m.toLowerCase());
+        if (allowedFields.includes(snakeKey) && value !== undefined) {
+            params.push(snakeKey === 'line_items' ? JSON.stringify(value) : value);
+            setClauses.push(`${snakeKey} = $${params.length}`);
+        }
+    }
+
+    if (setClauses.length === 0) {
+        return getRecurringTemplate(merchantId, templateId);
+    }
+
+    params.push(templateId, merchantId);
+
+    const result = await db.query(
+        `UPDATE delivery_recurring_templates
+         SET ${setClauses.join(', ')}, updated_at = NOW()
+         WHERE id = $${params.length - 1} AND merchant_id = $${params.length}
+         RETURNING *`,
+        params
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Delete a template. Orders already created from it are kept.
+ * @param {number} merchantId
+ * @param {string} templateId
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteRecurringTemplate(merchantId, templateId) {
+    const result = await db.query(
+        'DELETE FROM delivery_recurring_templates WHERE id = $1 AND merchant_id = $2 RETURNING id',
+        [templateId, merchantId]
+    );
+    if (result.rows.length === 0) return false;
+
+    logger.info('Deleted recurring delivery template', { merchantId, templateId });
+    return true;
+}
+
+module.exports = {
+    listRecurringTemplates,
+    getRecurringTemplate,
+    createRecurringTemplate,
+    updateRecurringTemplate,
+    deleteRecurringTemplate
+};
@@ -0,0 +1,300 @@
+/**
+ * Delivery Route Optimizer
+ * Stop ordering via OpenRouteService's /optimization endpoint, with the
+ * built-in solver (delivery-route-solver.js) as fallback.
+ *
+ * Both paths honor per-order time windows and service durations. Times are
+ * expressed as seconds since midnight on the route date. optimizeFleet
+ * handles multi-driver days by splitting stops between vehicles.
+ *
+ * Extracted from delivery-routes.js (route-planner / route-optimizer split).
+ */
+
+const logger = require('../../utils/logger');
+const { ORS_BASE_URL, ORS_API_KEY, DEFAULT_SERVICE_MINUTES, timeToSeconds } = require('./delivery-utils');
+const { solveRoute } = require('./delivery-route-solver');
+const { sweepSplit } = require('./delivery-route-splitter');
+
+// Latest time a vehicle may still be working (end of the route date)
+const END_OF_DAY_SEC = 24 * 3600 - 1;
+
+/**
+ * Extract timing constraints for an order
+ * @param {Object} order - delivery_orders row
+ * @returns {{windowStart: number|null, windowEnd: number|null, serviceSec: number}}
+ */
+function getStopTiming(order) {
+    const minutes = order.service_minutes != null ? Number(order.service_minutes) : DEFAULT_SERVICE_MINUTES;
+    return {
+        windowStart: timeToSeconds(order.window_start),
+        windowEnd: timeToSeconds(order.window_end),
+        serviceSec: minutes * 60
+    };
+}
+
+/**
+ * Order stops with the built-in solver (no external service)
+ * @param {Object} settings - Merchant delivery settings with resolved start/end coords
+ * @param {Array} orders - Orders to optimize
+ * @param {Object} [options]
+ * @param {number} [options.departureSec=0] - Departure, seconds since midnight
+ * @returns {Object} Optimized route data
+ */
+function optimizeRouteLocally(settings, orders, options = {}) {
+    const start = {
+        lat: parseFloat(settings.start_address_lat),
+        lng: parseFloat(settings.start_address_lng)
+    };
+    const end = (settings.end_address_lat && settings.end_address_lng)
+        ? { lat: parseFloat(settings.end_address_lat), lng: parseFloat(settings.end_address_lng) }
+        : null;
+
+    const result = solveRoute({
+        start,
+        end,
+        departureSec: options.departureSec || 0,
+        stops: orders.map(o => ({
+            id: o.id,
+            lat: parseFloat(o.address_lat),
+            lng: parseFloat(o.address_lng),
+            ...getStopTiming(o)
+        }))
+    });
+
+    return { ...result, optimizer: 'local' };
+}
+
+/**
+ * Build the ORS job for an order, including its time window if it has one
+ * @param {Object} order
+ * @param {number} jobId - 1-based ORS job ID
+ * @returns {Object}
+ */
+function buildOrsJob(order, jobId) {
+    const { windowStart, windowEnd, serviceSec } = getStopTiming(order);
+    const job = {
+        id: jobId,
+        location: [parseFloat(order.address_lng), parseFloat(order.address_lat)],
+        service: serviceSec
+    };
+    if (windowStart != null || windowEnd != null) {
+        job.time_windows = [[windowStart ?? 0, windowEnd ?? END_OF_DAY_SEC]];
+    }
+    return job;
+}
+
+/**
+ * Start/end coordinates in ORS [lng, lat] order. End defaults to start.
+ * @param {Object} settings - Merchant delivery settings with resolved start/end coords
+ * @returns {{start: number[], end: number[]}}
+ */
+function getOrsEndpoints(settings) {
+    const start = [parseFloat(settings.start_address_lng), parseFloat(settings.start_address_lat)];
+    const end = (settings.end_address_lat && settings.end_address_lng)
+        ? [parseFloat(settings.end_address_lng), parseFloat(settings.end_address_lat)]
+        : start;
+    return { start, end };
+}
+
+/**
+ * POST an optimization problem to ORS
+ * @param {string} apiKey
+ * @param {Object} problem - { jobs, vehicles }
+ * @returns {Promise<Object>} Parsed ORS response
+ * @throws {Error} on non-2xx responses (including 429 rate limiting)
+ */
+async function requestOrsOptimization(apiKey, problem) {
+    const response = await fetch(`${ORS_BASE_URL}/optimization`, {
+        method: 'POST',
+        headers: {
+            'Authorization': apiKey,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(problem)
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`ORS API error: ${response.status} - ${errorText}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Convert one ORS vehicle route into our route shape
+ * @param {Object} route - ORS route
+ * @param {Array} orders - Orders in job order (job N = orders[N - 1])
+ * @returns {{orderedIds: string[], distance: number|null, duration: number|null, arrivals: Object}}
+ */
+function parseOrsRoute(route, orders) {
+    const jobSteps = route.steps.filter(s => s.type === 'job');
+    const arrivals = {};
+    for (const step of jobSteps) {
+        if (step.arrival != null) {
+            // Service can't start before the window opens; ORS reports waiting separately
+            arrivals[orders[step.job - 1].id] = step.arrival + (step.waiting_time || 0);
+        }
+    }
+    return {
+        // Map step indices back to order IDs
+        orderedIds: jobSteps.map(s => orders[s.job - 1].id),
+        distance: route.distance ? route.distance / 1000 : null, // Convert to km
+        duration: route.duration ? Math.round(route.duration / 60) : null, // Convert to min
+        arrivals
+    };
+}
+
+/**
+ * Optimize route using OpenRouteService.
+ * Falls back to the built-in solver when no API key is configured or ORS
+ * is rate-limited / erroring, so drivers still get a sensible stop order.
+ *
+ * Stops ORS cannot fit inside their time window come back unassigned; they
+ * are appended to the end of the route and reported in lateIds rather than
+ * dropped.
+ * @param {Object} settings - Merchant delivery settings
+ * @param {Array} orders - Orders to optimize
+ * @param {Object} [options]
+ * @param {number} [options.departureSec=0] - Departure, seconds since midnight
+ * @returns {Promise<Object>} Optimized route data
+ *          { orderedIds, distance, duration, arrivals, lateIds, optimizer }
+ */
+async function optimizeRoute(settings, orders, options = {}) {
+    if (!settings.start_address_lat || !settings.start_address_lng) {
+        throw new Error('Start address not geocoded');
+    }
+
+    const apiKey = settings.openrouteservice_api_key || ORS_API_KEY;
+    const departureSec = options.departureSec || 0;
+
+    if (!apiKey) {
+        logger.warn('OpenRouteService API key not configured, using built-in route solver');
+        return optimizeRouteLocally(settings, orders, options);
+    }
+
+    const { start, end } = getOrsEndpoints(settings);
+
+    try {
+        const result = await requestOrsOptimization(apiKey, {
+            jobs: orders.map((o, i) => buildOrsJob(o, i + 1)),
+            vehicles: [{
+                id: 1,
+                profile: 'driving-car',
+                start,
+                end,
+                time_window: [departureSec, END_OF_DAY_SEC]
+            }]
+        });
+
+        if (result.routes && result.routes.length > 0) {
+            const route = parseOrsRoute(result.routes[0], orders);
+            const lateIds = (result.unassigned || []).map(u => orders[u.id - 1].id);
+
+            return {
+                ...route,
+                orderedIds: [...route.orderedIds, ...lateIds],
+                lateIds,
+                optimizer: 'ors'
+            };
+        }
+
+        logger.warn('ORS optimization returned no routes, using built-in route solver');
+        return optimizeRouteLocally(settings, orders, options);
+
+    } catch (err) {
+        // Covers 429 rate limiting, 5xx outages and network failures alike
+        logger.warn('ORS optimization failed, using built-in route solver', { error: err.message });
+        return optimizeRouteLocally(settings, orders, options);
+    }
+}
+
+/**
+ * Split orders between vehicles with the sweep splitter, then order each
+ * vehicle's stops with the built-in solver
+ * @param {Object} settings - Merchant delivery settings with resolved start/end coords
+ * @param {Array} orders
+ * @param {number[]} loads - Stops per vehicle
+ * @param {number} departureSec
+ * @returns {Array<Object>} One optimized route per vehicle
+ */
+function optimizeFleetLocally(settings, orders, loads, departureSec) {
+    const depot = { lat: parseFloat(settings.start_address_lat), lng: parseFloat(settings.start_address_lng) };
+    const groups = sweepSplit(
+        depot,
+        orders.map(o => ({ order: o, lat: parseFloat(o.address_lat), lng: parseFloat(o.address_lng) })),
+        loads
+    );
+    return groups.map(group => optimizeRouteLocally(settings, group.map(g => g.order), { departureSec }));
+}
+
+/**
+ * Optimize a day's orders across several vehicles.
+ * ORS gets each vehicle's planned load as its capacity so work stays balanced;
+ * unassigned stops (missed windows) go to a vehicle still short of its load
+ * and are reported late. Falls back to sweep splitting + the built-in solver.
+ * @param {Object} settings - Merchant delivery settings
+ * @param {Array} orders - Orders to optimize
+ * @param {Object} options
+ * @param {number[]} options.loads - Stops per vehicle, from planVehicleLoads
+ * @param {number} [options.departureSec=0] - Departure, seconds since midnight
+ * @returns {Promise<Array<Object>>} One optimized route per vehicle, in loads order
+ */
+async function optimizeFleet(settings, orders, options) {
+    const { loads, departureSec = 0 } = options;
+    if (loads.length === 1) {
+        return [await optimizeRoute(settings, orders, { departureSec })];
+    }
+    if (!settings.start_address_lat || !settings.start_address_lng) {
+        throw new Error('Start address not geocoded');
+    }
+
+    const apiKey = settings.openrouteservice_api_key || ORS_API_KEY;
+    if (!apiKey) {
+        logger.warn('OpenRouteService API key not configured, using built-in route solver');
+        return optimizeFleetLocally(settings, orders, loads, departureSec);
+    }
+
+    const { start, end } = getOrsEndpoints(settings);
+
+    try {
+        const result = await requestOrsOptimization(apiKey, {
+            jobs: orders.map((o, i) => ({ ...buildOrsJob(o, i + 1), delivery: [1] })),
+            vehicles: loads.map((load, v) => ({
+                id: v + 1,
+                profile: 'driving-car',
+                start,
+                end,
+                capacity: [load],
+                time_window: [departureSec, END_OF_DAY_SEC]
+            }))
+        });
+
+        if (!result.routes || result.routes.length === 0) {
+            logger.warn('ORS optimization returned no routes, using built-in route solver');
+            return optimizeFleetLocally(settings, orders, loads, departureSec);
+        }
+
+        // ORS omits vehicles it gave no work to
+        const plans = loads.map(() => ({ orderedIds: [], distance: 0, duration: 0, arrivals: {}, lateIds: [], optimizer: 'ors' }));
+        for (const route of result.routes) {
+            Object.assign(plans[route.vehicle - 1], parseOrsRoute(route, orders));
+        }
+        for (const unassigned of result.unassigned || []) {
+            const orderId = orders[unassigned.id - 1].id;
+            const plan = plans.find((p, v) => p.orderedIds.length < loads[v]);
+            plan.orderedIds.push(orderId);
+            plan.lateIds.push(orderId);
+        }
+        return plans;
+    } catch (err) {
+        logger.warn('ORS optimization failed, using built-in route solver', { error: err.message });
+        return optimizeFleetLocally(settings, orders, loads, departureSec);
+    }
+}
+
+module.exports = {
+    optimizeRoute,
+    optimizeRouteLocally,
+    optimizeFleet
+};
@@ -0,0 +1,300 @@
+/**
+ * Delivery Route Solver
+ * Built-in stop ordering used when OpenRouteService is unavailable
+ * (no API key, rate-limited, or erroring).
+ *
+ * Nearest-neighbour construction followed by 2-opt and or-opt local search
+ * on haversine distances. The start and end points are fixed; only the stop
+ * order between them is optimized. When stops carry time windows the local
+ * search minimizes lateness first and distance second, and any stop that
+ * still can't be served in its window is reported in lateIds.
+ * Pure functions — no DB or network access.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Straight-line distance understates street distance; scale it so the
+// reported km/min are in the same ballpark as ORS driving estimates.
+const ROAD_DISTANCE_FACTOR = 1.3;
+const AVERAGE_SPEED_KMH = 40;
+
+// Hard cap on improvement passes so a pathological input can't stall route generation
+const MAX_IMPROVEMENT_PASSES = 50;
+
+// Longest run of consecutive stops or-opt will try to relocate
+const OR_OPT_MAX_SEGMENT = 3;
+
+// Cost of one minute of lateness expressed in km, large enough that any
+// on-time ordering beats any late one regardless of distance
+const LATE_PENALTY_KM_PER_MIN = 1000;
+
+/**
+ * Great-circle distance between two points
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number} Distance in km
+ */
+function haversineKm(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Build a symmetric distance matrix for the given points
+ * @param {Array<{lat: number, lng: number}>} points
+ * @returns {number[][]}
+ */
+function buildDistanceMatrix(points) {
+    const n = points.length;
+    const matrix = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const d = haversineKm(points[i], points[j]);
+            matrix[i][j] = d;
+            matrix[j][i] = d;
+        }
+    }
+    return matrix;
+}
+
+/**
+ * Greedy construction: from the start, always visit the closest unvisited stop
+ * @param {number} startIdx
+ * @param {number[]} stopIdxs
+ * @param {number[][]} dist
+ * @returns {number[]} Stop indices in visiting order
+ */
+function nearestNeighbour(startIdx, stopIdxs, dist) {
+    const remaining = new Set(stopIdxs);
+    const order = [];
+    let current = startIdx;
+    while (remaining.size > 0) {
+        let best = null;
+        for (const idx of remaining) {
+            if (best === null || dist[current][idx] < dist[current][best]) {
+                best = idx;
+            }
+        }
+        order.push(best);
+        remaining.delete(best);
+        current = best;
+    }
+    return order;
+}
+
+/**
+ * 2-opt: reverse any interior segment that shortens the path.
+ * path[0] and path[path.length - 1] are the fixed start/end.
+ * @param {number[]} path - Mutated in place
+ * @param {number[][]} dist
+ * @returns {boolean} True if any improvement was made
+ */
+function twoOpt(path, dist) {
+    let improved = false;
+    for (let i = 1; i < path.length - 2; i++) {
+        for (let k = i + 1; k < path.length - 1; k++) {
+            const before = dist[path[i - 1]][path[i]] + dist[path[k]][path[k + 1]];
+            const after = dist[path[i - 1]][path[k]] + dist[path[i]][path[k + 1]];
+            if (after < before - 1e-9) {
+                const reversed = path.slice(i, k + 1).reverse();
+                path.splice(i, reversed.length, ...reversed);
+                improved = true;
+            }
+        }
+    }
+    return improved;
+}
+
+/**
+ * Or-opt: move a short run of consecutive stops to a cheaper position
+ * @param {number[]} path - Mutated in place
+ * @param {number[][]} dist
+ * @returns {boolean} True if any improvement was made
+ */
+function orOpt(path, dist) {
+    let improved = false;
+    for (let len = 1; len <= OR_OPT_MAX_SEGMENT; len++) {
+        for (let i = 1; i + len < path.length; i++) {
+            const segStart = path[i];
+            const segEnd = path[i + len - 1];
+            const prev = path[i - 1];
+            const next = path[i + len];
+            const removeGain = dist[prev][segStart] + dist[segEnd][next] - dist[prev][next];
+
+            for (let j = 0; j < path.length - 1; j++) {
+                if (j >= i - 1 && j <= i + len - 1) continue;
+                const a = path[j];
+                const b = path[j + 1];
+                const insertCost = dist[a][segStart] + dist[segEnd][b] - dist[a][b];
+                if (insertCost < removeGain - 1e-9) {
+                    const segment = path.splice(i, len);
+                    const insertAt = j < i ? j + 1 : j + 1 - len;
+                    path.splice(insertAt, 0, ...segment);
+                    improved = true;
+                    break;
+                }
+            }
+        }
+    }
+    return improved;
+}
+
+/**
+ * Drive a path in order and record when service starts at each stop.
+ * Arriving before a window opens means waiting; starting after it closes is lateness.
+ * @param {number[]} path
+ * @param {number[][]} dist
+ * @param {Array<Object>} points - Matrix points; stops may carry windowStart/windowEnd/serviceSec
+ * @param {number} departureSec - Seconds since midnight the driver leaves the start
+ * @returns {{km: number, lateSec: number, serviceStart: number[]}}
+ */
+function simulatePath(path, dist, points, departureSec) {
+    const serviceStart = new Array(points.length).fill(null);
+    let clock = departureSec;
+    let km = 0;
+    let lateSec = 0;
+
+    for (let i = 1; i < path.length; i++) {
+        const legKm = dist[path[i - 1]][path[i]] * ROAD_DISTANCE_FACTOR;
+        km += legKm;
+        clock += legKm / AVERAGE_SPEED_KMH * 3600;
+
+        const point = points[path[i]];
+        if (point.windowStart != null && clock < point.windowStart) {
+            clock = point.windowStart;
+        }
+        serviceStart[path[i]] = clock;
+        if (point.windowEnd != null && clock > point.windowEnd) {
+            lateSec += clock - point.windowEnd;
+        }
+        clock += point.serviceSec || 0;
+    }
+
+    return { km, lateSec, serviceStart };
+}
+
+/**
+ * Lateness-first local search used when any stop has a time window.
+ * Evaluates every 2-opt reversal and or-opt relocation by full simulation.
+ * @param {number[]} initial
+ * @param {function(number[]): number} cost
+ * @returns {number[]} Improved path
+ */
+function improveWithWindows(initial, cost) {
+    let path = initial;
+    let best = cost(path);
+
+    for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+        let improved = false;
+
+        for (let i = 1; i < path.length - 2; i++) {
+            for (let k = i + 1; k < path.length - 1; k++) {
+                const candidate = [...path.slice(0, i), ...path.slice(i, k + 1).reverse(), ...path.slice(k + 1)];
+                const c = cost(candidate);
+                if (c < best - 1e-9) {
+                    path = candidate;
+                    best = c;
+                    improved = true;
+                }
+            }
+        }
+
+        for (let len = 1; len <= OR_OPT_MAX_SEGMENT; len++) {
+            for (let i = 1; i + len < path.length; i++) {
+                const segment = path.slice(i, i + len);
+                const rest = [...path.slice(0, i), ...path.slice(i + len)];
+                for (let j = 1; j < rest.length; j++) {
+                    if (j === i) continue;
+                    const candidate = [...rest.slice(0, j), ...segment, ...rest.slice(j)];
+                    const c = cost(candidate);
+                    if (c < best - 1e-9) {
+                        path = candidate;
+                        best = c;
+                        improved = true;
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (!improved) break;
+    }
+
+    return path;
+}
+
+/**
+ * Order delivery stops between a fixed start and end point
+ * @param {Object} params
+ * @param {{lat: number, lng: number}} params.start - Route start (required)
+ * @param {{lat: number, lng: number}} [params.end] - Route end, defaults to start
+ * @param {Array<Object>} params.stops - { id, lat, lng, windowStart?, windowEnd?, serviceSec? }
+ * @param {number} [params.departureSec=0] - Departure from start, seconds since midnight
+ * @returns {{orderedIds: string[], distance: number, duration: number, arrivals: Object, lateIds: string[]}}
+ *          distance in km, duration in driving minutes, arrivals = service start per stop id
+ */
+function solveRoute({ start, end = null, stops, departureSec = 0 }) {
+    if (!stops || stops.length === 0) {
+        return { orderedIds: [], distance: 0, duration: 0, arrivals: {}, lateIds: [] };
+    }
+
+    const points = [start, ...stops, end || start];
+    const dist = buildDistanceMatrix(points);
+    const startIdx = 0;
+    const endIdx = points.length - 1;
+    const stopIdxs = stops.map((_, i) => i + 1);
+    const hasWindows = stops.some(s => s.windowStart != null || s.windowEnd != null);
+
+    let path = [startIdx, ...nearestNeighbour(startIdx, stopIdxs, dist), endIdx];
+
+    if (hasWindows) {
+        const cost = candidate => {
+            const sim = simulatePath(candidate, dist, points, departureSec);
+            return sim.km + LATE_PENALTY_KM_PER_MIN * sim.lateSec / 60;
+        };
+        // Earliest-deadline-first is a better seed than nearest-neighbour when windows are tight
+        const byDeadline = [...stopIdxs].sort((a, b) =>
+            (points[a].windowEnd ?? Infinity) - (points[b].windowEnd ?? Infinity) ||
+            (points[a].windowStart ?? 0) - (points[b].windowStart ?? 0)
+        );
+        const deadlinePath = [startIdx, ...byDeadline, endIdx];
+        if (cost(deadlinePath) < cost(path)) {
+            path = deadlinePath;
+        }
+        path = improveWithWindows(path, cost);
+    } else {
+        for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+            const reversed = twoOpt(path, dist);
+            const relocated = orOpt(path, dist);
+            if (!reversed && !relocated) break;
+        }
+    }
+
+    const { km, serviceStart } = simulatePath(path, dist, points, departureSec);
+    const arrivals = {};
+    const lateIds = [];
+    for (const idx of path.slice(1, -1)) {
+        const stop = stops[idx - 1];
+        arrivals[stop.id] = Math.round(serviceStart[idx]);
+        if (stop.windowEnd != null && serviceStart[idx] > stop.windowEnd) {
+            lateIds.push(stop.id);
+        }
+    }
+
+    return {
+        orderedIds: path.slice(1, -1).map(idx => stops[idx - 1].id),
+        distance: Math.round(km * 100) / 100,
+        duration: Math.round(km / AVERAGE_SPEED_KMH * 60),
+        arrivals,
+        lateIds
+    };
+}
+
+module.exports = {
+    haversineKm,
+    solveRoute
+};
@@ -0,0 +1,98 @@
+/**
+ * Delivery Route Splitter
+ * Divides a day's stops between several vehicles so each driver gets a
+ * balanced share. ORS splits multi-vehicle jobs itself; this module sizes
+ * the loads for both paths and does the geographic split for the
+ * built-in solver.
+ *
+ * Sweep clustering: stops are sorted by bearing from the depot and cut into
+ * contiguous wedges, so each driver works one side of town.
+ * Pure functions — no DB or network access.
+ */
+
+/**
+ * Decide how many stops each vehicle takes. Stops are handed out one at a
+ * time to the least-loaded vehicle that still has room, so loads differ by
+ * at most one unless a capacity limit gets in the way.
+ * @param {number} stopCount
+ * @param {Array<number|null|undefined>} capacities - Max stops per vehicle (null = unlimited)
+ * @returns {number[]} Stops per vehicle, same order as capacities
+ * @throws {Error} (status 400) when the combined capacity is too small
+ */
+function planVehicleLoads(stopCount, capacities) {
+    const limits = capacities.map(c => (c != null ? Number(c) : Infinity));
+    const totalCapacity = limits.reduce((sum, c) => sum + c, 0);
+    if (totalCapacity < stopCount) {
+        const err = new Error(
+            `Vehicle capacity (${totalCapacity} stops) is less than the ${stopCount} orders to route. Add a vehicle or exclude some orders.`
+        );
+        err.status = 400;
+        throw err;
+    }
+
+    const loads = new Array(limits.length).fill(0);
+    for (let s = 0; s < stopCount; s++) {
+        let pick = -1;
+        for (let v = 0; v < limits.length; v++) {
+            if (loads[v] < limits[v] && (pick === -1 || loads[v] < loads[pick])) {
+                pick = v;
+            }
+        }
+        loads[pick]++;
+    }
+    return loads;
+}
+
+/**
+ * Bearing of a point from the depot, in radians
+ * @param {{lat: number, lng: number}} depot
+ * @param {{lat: number, lng: number}} point
+ * @returns {number}
+ */
+function bearingFrom(depot, point) {
+    const dx = (point.lng - depot.lng) * Math.cos(depot.lat * Math.PI / 180);
+    const dy = point.lat - depot.lat;
+    return Math.atan2(dy, dx);
+}
+
+/**
+ * Split stops into one group per vehicle by sweeping around the depot.
+ * The sweep starts at the widest empty wedge so no cluster straddles a
+ * natural gap in the delivery area.
+ * @param {{lat: number, lng: number}} depot - Route start
+ * @param {Array<{lat: number, lng: number}>} stops - Any objects with coords
+ * @param {number[]} loads - Stops per vehicle, from planVehicleLoads
+ * @returns {Array<Array<Object>>} Stops per vehicle, same order as loads
+ */
+function sweepSplit(depot, stops, loads) {
+    const sorted = stops
+        .map(stop => ({ stop, angle: bearingFrom(depot, stop) }))
+        .sort((a, b) => a.angle - b.angle);
+
+    let startAt = 0;
+    let widestGap = -1;
+    for (let i = 0; i < sorted.length; i++) {
+        // Gap before stop i; for the first stop it wraps around from the last one
+        const gap = i === 0
+            ? sorted[0].angle + 2 * Math.PI - sorted[sorted.length - 1].angle
+            : sorted[i].angle - sorted[i - 1].angle;
+        if (gap > widestGap) {
+            widestGap = gap;
+            startAt = i;
+        }
+    }
+    const sweep = [...sorted.slice(startAt), ...sorted.slice(0, startAt)].map(s => s.stop);
+
+    const groups = [];
+    let offset = 0;
+    for (const load of loads) {
+        groups.push(sweep.slice(offset, offset + load));
+        offset += load;
+    }
+    return groups;
+}
+
+module.exports = {
+    planVehicleLoads,
+    sweepSplit
+};
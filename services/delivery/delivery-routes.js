@@ -7,14 +7,59 @@
 
 const db = require('../../utils/database');
 const logger = require('../../utils/logger');
-const { ORS_BASE_URL, ORS_API_KEY } = require('./delivery-utils');
 const { getSettings } = require('./delivery-settings');
 const { logAuditEvent } = require('./delivery-audit');
 const { enrichOrdersWithGtin } = require('./delivery-gtin');
 const { getOrders } = require('./delivery-orders');
+const { optimizeRoute, optimizeFleet } = require('./delivery-route-optimizer');
+const { planVehicleLoads } = require('./delivery-route-splitter');
+const { generateRouteToken } = require('./delivery-tokens');
+const { DEFAULT_DEPARTURE_TIME, timeToSeconds } = require('./delivery-utils');
+const { toDateKey } = require('./delivery-recurring-schedule');
 
 /**
- * Get the active route for today
+ * Resolve the route departure as seconds since midnight.
+ * Explicit departureTime wins; today's routes leave now; future routes use the default.
+ * "Today" and "now" both read the server's local clock, the same clock
+ * toRouteTimestamp turns the result back into a Date with.
+ * @param {string} date - Route date (YYYY-MM-DD)
+ * @param {string|null} departureTime - 'HH:MM' override
+ * @returns {number}
+ */
+function resolveDepartureSec(date, departureTime) {
+    const explicit = timeToSeconds(departureTime);
+    if (explicit != null) return explicit;
+    const now = new Date();
+    if (date === toDateKey(now)) {
+        return now.getHours() * 3600 + now.getMinutes() * 60;
+    }
+    return timeToSeconds(DEFAULT_DEPARTURE_TIME);
+}
+
+/**
+ * Convert seconds since midnight on a route date to a Date
+ * @param {string} date - Route date (YYYY-MM-DD)
+ * @param {number|null|undefined} seconds
+ * @returns {Date|null}
+ */
+function toRouteTimestamp(date, seconds) {
+    if (seconds == null) return null;
+    const [y, m, d] = String(date).slice(0, 10).split('-').map(Number);
+    return new Date(y, m - 1, d, 0, 0, Math.round(seconds));
+}
+
+// Active routes for a date with live stop counts
+const ACTIVE_ROUTES_SQL = `
+    SELECT dr.*,
+           (SELECT COUNT(*) FROM delivery_orders WHERE route_id = dr.id) as order_count,
+           (SELECT COUNT(*) FROM delivery_orders WHERE route_id = dr.id AND status = 'completed') as completed_count,
+           (SELECT COUNT(*) FROM delivery_orders WHERE route_id = dr.id AND status = 'skipped') as skipped_count
+    FROM delivery_routes dr
+    WHERE dr.merchant_id = $1 AND dr.route_date = $2 AND dr.status = 'active'`;
+
+/**
+ * Get the active route for today.
+ * On multi-driver days this is vehicle 1's route; use getActiveRoutes for all of them.
  * @param {number} merchantId - The merchant ID
  * @param {string} routeDate - Date string (YYYY-MM-DD), defaults to today
  * @returns {Promise<Object|null>} Active route or null
@@ -23,13 +68,8 @@ async function getActiveRoute(merchantId, routeDate = null) {
     const date = routeDate || new Date().toISOString().split('T')[0];
 
     const result = await db.query(
-        `SELECT dr.*,
-                (SELECT COUNT(*) FROM delivery_orders WHERE route_id = dr.id) as order_count,
-                (SELECT COUNT(*) FROM delivery_orders WHERE route_id = dr.id AND status = 'completed') as completed_count,
-                (SELECT COUNT(*) FROM delivery_orders WHERE route_id = dr.id AND status = 'skipped') as skipped_count
-         FROM delivery_routes dr
-         WHERE dr.merchant_id = $1 AND dr.route_date = $2 AND dr.status = 'active'
-         ORDER BY dr.generated_at DESC
+        `${ACTIVE_ROUTES_SQL}
+         ORDER BY dr.generated_at DESC, dr.vehicle_number
          LIMIT 1`,
         [merchantId, date]
     );
@@ -37,6 +77,24 @@ async function getActiveRoute(merchantId, routeDate = null) {
     return result.rows[0] || null;
 }
 
+/**
+ * Get every active route for a date, one per driver, in vehicle order
+ * @param {number} merchantId - The merchant ID
+ * @param {string} routeDate - Date string (YYYY-MM-DD), defaults to today
+ * @returns {Promise<Array>} Active routes (empty if none)
+ */
+async function getActiveRoutes(merchantId, routeDate = null) {
+    const date = routeDate || new Date().toISOString().split('T')[0];
+
+    const result = await db.query(
+        `${ACTIVE_ROUTES_SQL}
+         ORDER BY dr.vehicle_number, dr.generated_at`,
+        [merchantId, date]
+    );
+
+    return result.rows;
+}
+
 /**
  * Get route with its orders
  * @param {number} merchantId - The merchant ID
@@ -63,19 +121,165 @@ async function getRouteWithOrders(merchantId, routeId) {
 }
 
 /**
- * Generate an optimized route for pending orders
+ * Cancel an active route that a forced regenerate is replacing.
+ * LOGIC CHANGE: Reset orphaned orders before cancelling route (BUG-001 fix).
+ * Previously, force-regenerate cancelled the route but left its orders
+ * stranded in active/skipped/delivered status with a stale route_id.
+ * @param {Object} client - Transaction client
+ * @param {string} routeId - Route being replaced
+ */
+async function cancelReplacedRoute(client, routeId) {
+    // Step 1: Auto-complete delivered orders (they have POD photos — don't lose that work)
+    await client.query(
+        `UPDATE delivery_orders
+         SET status = 'completed', updated_at = NOW()
+         WHERE route_id = $1 AND status = 'delivered'`,
+        [routeId]
+    );
+
+    // Step 2: Roll back active/skipped orders to pending so they re-enter the queue
+    await client.query(
+        `UPDATE delivery_orders
+         SET status = 'pending', route_id = NULL, route_position = NULL, route_date = NULL, updated_at = NOW()
+         WHERE route_id = $1 AND status IN ('active', 'skipped')`,
+        [routeId]
+    );
+
+    await client.query(
+        `UPDATE delivery_routes SET status = 'cancelled' WHERE id = $1`,
+        [routeId]
+    );
+}
+
+/**
+ * Insert one vehicle's route and assign its orders
+ * @param {Object} client - Transaction client
+ * @param {number} merchantId
+ * @param {number} userId
+ * @param {Object} params
+ * @param {string} params.date - Route date (YYYY-MM-DD)
+ * @param {Object} params.plan - Optimizer output for this vehicle
+ * @param {Object} params.vehicle - { number, label, capacity }
+ * @param {Object} params.start - Resolved start { lat, lng }
+ * @param {Object} params.end - Resolved end { lat, lng }
+ * @param {number} params.departureSec - Departure, seconds since midnight
+ * @returns {Promise<Object>} Inserted delivery_routes row
+ */
+async function insertRoutePlan(client, merchantId, userId, { date, plan, vehicle, start, end, departureSec }) {
+    const arrivals = plan.arrivals || {};
+    const lateIds = plan.lateIds || [];
+
+    // Create new route (includes resolved start/end coords for audit trail)
+    const routeResult = await client.query(
+        `INSERT INTO delivery_routes (
+            merchant_id, route_date, generated_by, total_stops,
+            total_distance_km, estimated_duration_min, waypoint_order,
+            start_lat, start_lng, end_lat, end_lng, planned_departure,
+            vehicle_number, vehicle_label, vehicle_capacity
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING *`,
+        [
+            merchantId,
+            date,
+            userId,
+            plan.orderedIds.length,
+            plan.distance,
+            plan.duration,
+            plan.orderedIds,
+            start.lat,
+            start.lng,
+            end.lat,
+            end.lng,
+            toRouteTimestamp(date, departureSec),
+            vehicle.number,
+            vehicle.label,
+            vehicle.capacity
+        ]
+    );
+    const route = routeResult.rows[0];
+
+    // Update orders with route info, ETA, and whether their time window was missed
+    for (let i = 0; i < plan.orderedIds.length; i++) {
+        const orderId = plan.orderedIds[i];
+        await client.query(
+            `UPDATE delivery_orders
+             SET route_id = $1, route_position = $2, route_date = $3, status = 'active',
+                 planned_arrival = $6, window_missed = $7
+             WHERE id = $4 AND merchant_id = $5`,
+            [route.id, i + 1, date, orderId, merchantId,
+                toRouteTimestamp(date, arrivals[orderId]), lateIds.includes(orderId)]
+        );
+    }
+
+    return route;
+}
+
+/**
+ * Post-commit work for a generated route: audit, driver token, orders
+ * @param {number} merchantId
+ * @param {number} userId
+ * @param {Object} route - Inserted delivery_routes row
+ * @param {Object} plan - Optimizer output for this route
+ * @param {Object} context - { vehicleCount, issueToken }
+ * @returns {Promise<Object>} Route with orders, windowConflicts and shareToken
+ */
+async function finalizeGeneratedRoute(merchantId, userId, route, plan, { vehicleCount, issueToken }) {
+    const lateIds = plan.lateIds || [];
+
+    // Log audit event
+    await logAuditEvent(merchantId, userId, 'route_generated', null, route.id, {
+        totalStops: plan.orderedIds.length,
+        distanceKm: plan.distance,
+        durationMin: plan.duration,
+        optimizer: plan.optimizer || 'none',
+        windowConflicts: lateIds.length,
+        vehicleNumber: route.vehicle_number,
+        vehicleCount
+    });
+
+    if (lateIds.length > 0) {
+        logger.warn('Route has stops that cannot meet their delivery window', {
+            merchantId, routeId: route.id, orderIds: lateIds
+        });
+    }
+
+    // Each driver on a multi-vehicle day needs their own link to their route.
+    // A token failure shouldn't undo the committed routes — it can be re-issued from Share.
+    let shareToken = null;
+    if (issueToken) {
+        try {
+            shareToken = await generateRouteToken(merchantId, route.id, userId);
+        } catch (err) {
+            logger.warn('Failed to issue driver token for generated route', {
+                merchantId, routeId: route.id, error: err.message
+            });
+        }
+    }
+
+    const orders = await getOrders(merchantId, { routeId: route.id });
+    return { ...route, orders, windowConflicts: lateIds, shareToken };
+}
+
+/**
+ * Generate optimized routes for pending orders.
+ * With options.vehicles the orders are split into one balanced route per
+ * vehicle, each with its own driver share token; otherwise a single route.
  * @param {number} merchantId - The merchant ID
  * @param {number} userId - User generating the route
  * @param {Object} options - Route generation options
- * @returns {Promise<Object>} Generated route with orders
+ * @param {Array<{label?: string, capacity?: number}>} [options.vehicles] - Drivers for the day;
+ *        capacity = max stops for that vehicle
+ * @returns {Promise<Object>} First vehicle's route with orders, plus routes[] for every vehicle
  */
 async function generateRoute(merchantId, userId, options = {}) {
-    const { routeDate = null, orderIds = null, excludeOrderIds = null, startLat = null, startLng = null, endLat = null, endLng = null } = options;
+    const { routeDate = null, orderIds = null, excludeOrderIds = null, startLat = null, startLng = null, endLat = null, endLng = null, departureTime = null, vehicles = null } = options;
     const date = routeDate || new Date().toISOString().split('T')[0];
+    const departureSec = resolveDepartureSec(date, departureTime);
+    const fleet = (vehicles && vehicles.length > 0) ? vehicles : [{}];
 
-    // Check for existing active route
-    const existingRoute = await getActiveRoute(merchantId, date);
-    if (existingRoute && !options.force) {
+    // Check for existing active routes
+    const existingRoutes = await getActiveRoutes(merchantId, date);
+    if (existingRoutes.length > 0 && !options.force) {
         throw new Error('An active route already exists for this date. Finish it first.');
     }
 
@@ -143,105 +347,64 @@ async function generateRoute(merchantId, userId, options = {}) {
         throw new Error(`${notGeocoded.length} orders need address verification before route generation.`);
     }
 
-    // Optimize route using OpenRouteService
-    let optimizedRoute;
+    // Vehicles that end up with no stops don't get a route
+    const loads = planVehicleLoads(pendingOrders.length, fleet.map(v => v.capacity));
+    const fleetSlots = fleet
+        .map((v, i) => ({ number: i + 1, label: v.label || null, capacity: v.capacity ?? null, load: loads[i] }))
+        .filter(v => v.load > 0);
+
+    // Optimize routes using OpenRouteService (built-in solver if ORS is unavailable)
+    let plans;
     try {
-        optimizedRoute = await optimizeRoute({
+        plans = await optimizeFleet({
             ...settings,
             start_address_lat: resolvedStart.lat,
             start_address_lng: resolvedStart.lng,
             end_address_lat: resolvedEnd.lat,
             end_address_lng: resolvedEnd.lng
-        }, pendingOrders);
+        }, pendingOrders, { departureSec, loads: fleetSlots.map(v => v.load) });
     } catch (err) {
         logger.error('Route optimization failed', { merchantId, error: err.message });
         // Fall back to simple ordering by creation time
-        optimizedRoute = {
-            orderedIds: pendingOrders.map(o => o.id),
+        let offset = 0;
+        plans = fleetSlots.map(v => ({
+            orderedIds: pendingOrders.slice(offset, offset += v.load).map(o => o.id),
             distance: null,
-            duration: null
-        };
+            duration: null,
+            arrivals: {},
+            lateIds: []
+        }));
     }
 
-    // Create route record in transaction
+    // Create route records in transaction
     const client = await db.getClient();
     try {
         await client.query('BEGIN');
 
         // Cancel any existing active routes for this date
-        if (existingRoute) {
-            // LOGIC CHANGE: Reset orphaned orders before cancelling route (BUG-001 fix).
-            // Previously, force-regenerate cancelled the route but left its orders
-            // stranded in active/skipped/delivered status with a stale route_id.
-
-            // Step 1: Auto-complete delivered orders (they have POD photos — don't lose that work)
-            await client.query(
-                `UPDATE delivery_orders
-                 SET status = 'completed', updated_at = NOW()
-                 WHERE route_id = $1 AND status = 'delivered'`,
-                [existingRoute.id]
-            );
-
-            // Step 2: Roll back active/skipped orders to pending so they re-enter the queue
-            await client.query(
-                `UPDATE delivery_orders
-                 SET status = 'pending', route_id = NULL, route_position = NULL, route_date = NULL, updated_at = NOW()
-                 WHERE route_id = $1 AND status IN ('active', 'skipped')`,
-                [existingRoute.id]
-            );
-
-            await client.query(
-                `UPDATE delivery_routes SET status = 'cancelled' WHERE id = $1`,
-                [existingRoute.id]
-            );
+        for (const existing of existingRoutes) {
+            await cancelReplacedRoute(client, existing.id);
         }
 
-        // Create new route (includes resolved start/end coords for audit trail)
-        const routeResult = await client.query(
-            `INSERT INTO delivery_routes (
-                merchant_id, route_date, generated_by, total_stops,
-                total_distance_km, estimated_duration_min, waypoint_order,
-                start_lat, start_lng, end_lat, end_lng
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-            RETURNING *`,
-            [
-                merchantId,
-                date,
-                userId,
-                pendingOrders.length,
-                optimizedRoute.distance,
-                optimizedRoute.duration,
-                optimizedRoute.orderedIds,
-                resolvedStart.lat,
-                resolvedStart.lng,
-                resolvedEnd.lat,
-                resolvedEnd.lng
-            ]
-        );
-        const route = routeResult.rows[0];
-
-        // Update orders with route info
-        for (let i = 0; i < optimizedRoute.orderedIds.length; i++) {
-            await client.query(
-                `UPDATE delivery_orders
-                 SET route_id = $1, route_position = $2, route_date = $3, status = 'active'
-                 WHERE id = $4 AND merchant_id = $5`,
-                [route.id, i + 1, date, optimizedRoute.orderedIds[i], merchantId]
-            );
+        const routes = [];
+        for (let v = 0; v < plans.length; v++) {
+            routes.push(await insertRoutePlan(client, merchantId, userId, {
+                date, plan: plans[v], vehicle: fleetSlots[v], start: resolvedStart, end: resolvedEnd, departureSec
+            }));
         }
 
         await client.query('COMMIT');
 
-        // Log audit event
-        await logAuditEvent(merchantId, userId, 'route_generated', null, route.id, {
-            totalStops: pendingOrders.length,
-            distanceKm: optimizedRoute.distance,
-            durationMin: optimizedRoute.duration
-        });
+        const results = [];
+        for (let v = 0; v < routes.length; v++) {
+            results.push(await finalizeGeneratedRoute(merchantId, userId, routes[v], plans[v], {
+                vehicleCount: routes.length,
+                issueToken: routes.length > 1
+            }));
+        }
 
         // Return route with orders
-        const orders = await getOrders(merchantId, { routeId: route.id });
-        return { ...route, orders };
+        return { ...results[0], routes: results };
 
     } catch (err) {
         logger.error('Route generation transaction failed', { merchantId, error: err.message, stack: err.stack });
@@ -255,19 +418,21 @@ async function generateRoute(merchantId, userId, options = {}) {
 /**
  * Finish a route and roll skipped orders back to pending
  * @param {number} merchantId - The merchant ID
- * @param {string} routeId - The route UUID
+ * @param {string} [routeId] - The route UUID; may be omitted only when one route is active today
  * @param {number} userId - User finishing the route
  * @returns {Promise<Object>} Finished route stats
  */
 async function finishRoute(merchantId, routeId, userId) {
     if (!routeId) {
-        const active = await getActiveRoute(merchantId);
-        if (!active) {
-            const err = new Error('No active route found');
+        const active = await getActiveRoutes(merchantId);
+        if (active.length !== 1) {
+            const err = new Error(active.length === 0
+                ? 'No active route found'
+                : 'Several routes are active today; choose which route to finish');
             err.status = 400;
             throw err;
         }
-        routeId = active.id;
+        routeId = active[0].id;
     }
 
     const client = await db.getClient();
@@ -353,122 +518,26 @@ async function finishRoute(merchantId, routeId, userId) {
     }
 }
 
-/**
- * Optimize route using OpenRouteService
- * @param {Object} settings - Merchant delivery settings
- * @param {Array} orders - Orders to optimize
- * @returns {Promise<Object>} Optimized route data
- */
-async function optimizeRoute(settings, orders) {
-    const apiKey = settings.openrouteservice_api_key || ORS_API_KEY;
-
-    if (!apiKey) {
-        logger.warn('OpenRouteService API key not configured, using fallback ordering');
-        return {
-            orderedIds: orders.map(o => o.id),
-            distance: null,
-            duration: null
-        };
-    }
-
-    // Build coordinates array: [start, ...stops, end]
-    const coordinates = [];
-
-    // Start point
-    if (settings.start_address_lat && settings.start_address_lng) {
-        coordinates.push([parseFloat(settings.start_address_lng), parseFloat(settings.start_address_lat)]);
-    } else {
-        throw new Error('Start address not geocoded');
-    }
-
-    // Order stops
-    const orderCoords = orders.map(o => ({
-        id: o.id,
-        coords: [parseFloat(o.address_lng), parseFloat(o.address_lat)]
-    }));
-    coordinates.push(...orderCoords.map(o => o.coords));
-
-    // End point (optional, defaults to start)
-    if (settings.end_address_lat && settings.end_address_lng) {
-        coordinates.push([parseFloat(settings.end_address_lng), parseFloat(settings.end_address_lat)]);
-    } else {
-        coordinates.push(coordinates[0]); // Return to start
-    }
-
-    try {
-        // Use ORS optimization endpoint
-        const response = await fetch(`${ORS_BASE_URL}/optimization`, {
-            method: 'POST',
-            headers: {
-                'Authorization': apiKey,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                jobs: orderCoords.map((o, i) => ({
-                    id: i + 1,
-                    location: o.coords,
-                    service: 300 // 5 min service time per stop
-                })),
-                vehicles: [{
-                    id: 1,
-                    profile: 'driving-car',
-                    start: coordinates[0],
-                    end: coordinates[coordinates.length - 1]
-                }]
-            })
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`ORS API error: ${response.status} - ${errorText}`);
-        }
-
-        const result = await response.json();
-
-        if (result.routes && result.routes.length > 0) {
-            const route = result.routes[0];
-            // Map step indices back to order IDs
-            const orderedIds = route.steps
-                .filter(s => s.type === 'job')
-                .map(s => orderCoords[s.job - 1].id);
-
-            return {
-                orderedIds,
-                distance: route.distance ? route.distance / 1000 : null, // Convert to km
-                duration: route.duration ? Math.round(route.duration / 60) : null // Convert to min
-            };
-        }
-
-        // Fallback if no routes returned
-        return {
-            orderedIds: orders.map(o => o.id),
-            distance: null,
-            duration: null
-        };
-
-    } catch (err) {
-        logger.error('ORS optimization error', { error: err.message, stack: err.stack });
-        throw err;
-    }
-}
-
 /**
  * Get the active route for a date together with its GTIN-enriched orders.
- * Combines getActiveRoute + getRouteWithOrders for use by the route handler.
+ * Combines getActiveRoutes + getRouteWithOrders for use by the route handler;
+ * orders are for the first route, routes lists every driver's route that day.
  * @param {number} merchantId
  * @param {string} [routeDate] - Defaults to today
- * @returns {Promise<{route: Object|null, orders: Array}>}
+ * @returns {Promise<{route: Object|null, orders: Array, routes: Array}>}
  */
 async function getActiveRouteWithOrders(merchantId, routeDate) {
-    const route = await getActiveRoute(merchantId, routeDate);
-    if (!route) return { route: null, orders: [] };
+    const routes = await getActiveRoutes(merchantId, routeDate);
+    const route = routes[0] || null;
+    if (!route) return { route: null, orders: [], routes: [] };
     const routeWithOrders = await getRouteWithOrders(merchantId, route.id);
     const orders = routeWithOrders?.orders || [];
-    return { route, orders };
+    return { route, orders, routes };
 }
 
 module.exports = {
     getActiveRoute,
+    getActiveRoutes,
     getRouteWithOrders,
     generateRoute,
     finishRoute,
@@ -7,14 +7,27 @@
  *
  *   delivery-orders.js    — Order CRUD (getOrders, createOrder, updateOrder, etc.)
  *   delivery-routes.js    — Route generation, optimization, finish
+ *   delivery-route-optimizer.js — ORS optimization with built-in solver fallback
+ *   delivery-route-solver.js    — Offline stop ordering (nearest-neighbour + 2-opt/or-opt)
+ *   delivery-route-splitter.js  — Multi-driver load balancing and sweep clustering
+ *   delivery-export.js    — GPX/KML route exports and PDF manifest
  *   delivery-tokens.js    — Route sharing tokens for contract drivers
+ *   delivery-tracking.js  — Customer tracking links with live ETA
  *   delivery-square.js    — Square order ingestion and status updates
  *   delivery-backfill.js  — Customer backfill for "Unknown Customer"
  *   delivery-settings.js  — Merchant delivery settings
  *   delivery-audit.js     — Audit logging
  *   delivery-utils.js     — Shared constants and helpers
  *   delivery-gtin.js      — GTIN/UPC enrichment
- *   delivery-geocoding.js — Address geocoding via ORS
+ *   delivery-geocoding.js — Address geocoding (cache first, then the merchant's provider)
+ *   delivery-geocoding-providers.js — ORS / Nominatim / stub geocoders
+ *   delivery-geocode-cache.js — Address → coordinate cache incl. manual pin corrections
+ *   delivery-zones.js     — Delivery zones, fee/minimum/day rules, order zone assignment
+ *   delivery-zone-geometry.js — Point-in-polygon / radius zone matching
+ *   delivery-recurring.js — Recurring delivery templates (cadence, skip dates)
+ *   delivery-recurring-orders.js — Turns due templates into pending orders
+ *   delivery-recurring-schedule.js — Occurrence date math for templates
+ *   delivery-square-orders.js — Creates Square orders for deliveries that start here
  *   delivery-pod.js       — Proof of Delivery photo handling
  *
  * Usage:
@@ -29,9 +42,15 @@ module.exports = {
     // Routes
     ...require('./delivery-routes'),
 
+    // Route exports (GPX/KML/manifest)
+    ...require('./delivery-export'),
+
     // Route sharing tokens
     ...require('./delivery-tokens'),
 
+    // Customer tracking links
+    ...require('./delivery-tracking'),
+
     // Square integration
     ...require('./delivery-square'),
 
@@ -52,6 +71,18 @@ module.exports = {
 
     // Geocoding
     ...require('./delivery-geocoding'),
+    ...require('./delivery-geocode-cache'),
+    ...require('./delivery-geocoding-providers'),
+
+    // Delivery zones
+    ...require('./delivery-zones'),
+    ...require('./delivery-zone-geometry'),
+
+    // Recurring deliveries
+    ...require('./delivery-recurring'),
+    ...require('./delivery-recurring-orders'),
+    ...require('./delivery-recurring-schedule'),
+    ...require('./delivery-square-orders'),
 
     // POD
     ...require('./delivery-pod'),
@@ -98,7 +98,8 @@ async function updateSettings(merchantId, settings) {
         sameDayCutoff = null,
         podRetentionDays = null,
         autoIngestReadyOrders = null,
-        openrouteserviceApiKey = null
+        openrouteserviceApiKey = null,
+        geocodingProvider = null
     } = settings;
 
     // Encrypt ORS API key before storage
@@ -109,8 +110,8 @@ async function updateSettings(merchantId, settings) {
             merchant_id, start_address, start_address_lat, start_address_lng,
             end_address, end_address_lat, end_address_lng,
             same_day_cutoff, pod_retention_days, auto_ingest_ready_orders,
-            ors_api_key_encrypted
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            ors_api_key_encrypted, geocoding_provider
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12, 'ors'))
         ON CONFLICT (merchant_id) DO UPDATE SET
             start_address = COALESCE($2, delivery_settings.start_address),
             start_address_lat = COALESCE($3, delivery_settings.start_address_lat),
@@ -122,13 +123,14 @@ async function updateSettings(merchantId, settings) {
             pod_retention_days = COALESCE($9, delivery_settings.pod_retention_days),
             auto_ingest_ready_orders = COALESCE($10, delivery_settings.auto_ingest_ready_orders),
             ors_api_key_encrypted = COALESCE($11, delivery_settings.ors_api_key_encrypted),
+            geocoding_provider = COALESCE($12, delivery_settings.geocoding_provider),
             updated_at = NOW()
         RETURNING *`,
         [
             merchantId, startAddress, startAddressLat, startAddressLng,
             endAddress, endAddressLat, endAddressLng,
             sameDayCutoff, podRetentionDays, autoIngestReadyOrders,
-            encryptedOrsKey
+            encryptedOrsKey, geocodingProvider
         ]
     );
 
@@ -156,7 +158,8 @@ async function getSettingsWithDefaults(merchantId) {
         end_address: null,
         same_day_cutoff: '17:00',
         pod_retention_days: 180,
-        auto_ingest_ready_orders: true
+        auto_ingest_ready_orders: true,
+        geocoding_provider: 'ors'
     };
 }
 
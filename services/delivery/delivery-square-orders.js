@@ -0,0 +1,86 @@
+/**
+ * Delivery Square Orders
+ * Creates Square orders for deliveries that originate here rather than in
+ * Square (recurring templates). The created order carries a DELIVERY
+ * fulfillment, so it can be ingested by delivery-square.js like any other
+ * Square delivery and completes back to Square through delivery-fulfillment.js.
+ */
+
+const logger = require('../../utils/logger');
+const { getSquareClientForMerchant } = require('../../middleware/merchant');
+const { getFirstActiveLocation } = require('../catalog/location-service');
+
+/**
+ * Convert stored line items to Square order line items. Catalog items use
+ * the catalog price; ad hoc items need a name and priceCents.
+ * @param {Array} lineItems - [{name, quantity, variationId, priceCents, note}]
+ * @param {string} currency
+ * @returns {Array}
+ */
+function toSquareLineItems(lineItems, currency) {
+    return lineItems.map(item => {
+        const lineItem = { quantity: String(item.quantity || 1) };
+        if (item.variationId) {
+            lineItem.catalogObjectId = item.variationId;
+        } else {
+            lineItem.name = item.name;
+            lineItem.basePriceMoney = { amount: BigInt(item.priceCents || 0), currency };
+        }
+        if (item.note) lineItem.note = item.note;
+        return lineItem;
+    });
+}
+
+/**
+ * Create a Square order with a scheduled DELIVERY fulfillment
+ * @param {number} merchantId
+ * @param {Object} delivery
+ * @param {string} delivery.customerName
+ * @param {string} delivery.address - Single-line address
+ * @param {string|null} delivery.phone
+ * @param {string|null} delivery.squareCustomerId
+ * @param {string|null} delivery.note - Delivery instructions
+ * @param {Array} delivery.lineItems
+ * @param {string} delivery.deliverAt - ISO timestamp
+ * @param {string} delivery.currency
+ * @param {string} idempotencyKey - Stable per delivery so retries don't duplicate the order
+ * @returns {Promise<Object>} The created Square order
+ */
+async function createSquareDeliveryOrder(merchantId, delivery, idempotencyKey) {
+    const location = await getFirstActiveLocation(merchantId);
+    if (!location) {
+        throw new Error('No active Square location to create the order at');
+    }
+
+    const recipient = { displayName: delivery.customerName, address: { addressLine1: delivery.address } };
+    if (delivery.phone) recipient.phoneNumber = delivery.phone;
+
+    const squareClient = await getSquareClientForMerchant(merchantId);
+    const response = await squareClient.orders.create({
+        idempotencyKey,
+        order: {
+            locationId: location.id,
+            customerId: delivery.squareCustomerId || undefined,
+            lineItems: toSquareLineItems(delivery.lineItems, delivery.currency),
+            fulfillments: [{
+                type: 'DELIVERY',
+                state: 'PROPOSED',
+                deliveryDetails: {
+                    recipient,
+                    scheduleType: 'SCHEDULED',
+                    deliverAt: delivery.deliverAt,
+                    note: delivery.note || undefined
+                }
+            }]
+        }
+    });
+
+    logger.info('Created Square order for delivery', {
+        merchantId, squareOrderId: response.order.id, locationId: location.id
+    });
+    return response.order;
+}
+
+module.exports = {
+    createSquareDeliveryOrder
+};
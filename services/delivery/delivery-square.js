@@ -8,10 +8,10 @@
 const db = require('../../utils/database');
 const logger = require('../../utils/logger');
 const { getCustomerDetails: getSquareCustomerDetails } = require('../loyalty-admin/customer-details-service');
-const { getSettings } = require('./delivery-settings');
 const { enrichLineItemsWithGtin } = require('./delivery-gtin');
-const { geocodeAddress } = require('./delivery-geocoding');
+const { geocodeForMerchant } = require('./delivery-geocoding');
 const { getOrderBySquareId, createOrder, updateOrder } = require('./delivery-orders');
+const { assignOrderZone } = require('./delivery-zones');
 
 /**
  * Ingest a Square order as a delivery order
@@ -59,6 +59,7 @@ async function ingestSquareOrder(merchantId, squareOrder) {
     let address = null;
     let phone = null;
     let fulfillmentNote = null;
+    let deliverAt = null;
 
     // Check fulfillments for delivery info
     // Note: Square SDK v43 uses camelCase, older versions use snake_case
@@ -77,6 +78,7 @@ async function ingestSquareOrder(merchantId, squareOrder) {
             phone = dd.recipient?.phoneNumber || dd.recipient?.phone_number;
             // Capture per-order delivery instructions from checkout (Square Online "Delivery Instructions" field)
             fulfillmentNote = dd.note || null;
+            deliverAt = dd.deliverAt || dd.deliver_at || null;
             if (dd.recipient?.address) {
                 const addr = dd.recipient.address;
                 address = [
@@ -210,10 +212,10 @@ async function ingestSquareOrder(merchantId, squareOrder) {
         needsCustomerRefresh
     });
 
-    // Geocode the address immediately so it's ready for routing
+    // Geocode the address immediately so it's ready for routing (repeat addresses hit the cache)
+    let coords = null;
     try {
-        const settings = await getSettings(merchantId);
-        const coords = await geocodeAddress(address, settings?.openrouteservice_api_key);
+        coords = await geocodeForMerchant(merchantId, address);
 
         if (coords) {
             await updateOrder(merchantId, order.id, {
@@ -230,6 +232,18 @@ async function ingestSquareOrder(merchantId, squareOrder) {
         logger.error('Geocoding error', { orderId: order.id, address, error: geoError.message });
     }
 
+    // Match the order to a delivery zone; orders outside all zones are flagged for review
+    try {
+        const totalAmount = squareOrderData.totalMoney?.amount;
+        const zoning = await assignOrderZone(merchantId, order.id, coords, {
+            orderTotalCents: totalAmount != null ? Number(totalAmount) : null,
+            deliveryDate: deliverAt ? new Date(deliverAt) : new Date()
+        });
+        if (zoning) Object.assign(order, zoning);
+    } catch (zoneError) {
+        logger.error('Delivery zone assignment error', { orderId: order.id, error: zoneError.message });
+    }
+
     return order;
 }
 
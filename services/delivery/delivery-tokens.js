@@ -172,9 +172,10 @@ async function getRouteOrdersByToken(token) {
  * Complete an order via share token
  * @param {string} token - The share token
  * @param {string} orderId - The order UUID
+ * @param {Object} [options] - { recordedAt } when replayed from the driver's offline queue
  * @returns {Promise<Object>} Updated order
  */
-async function completeOrderByToken(token, orderId) {
+async function completeOrderByToken(token, orderId, options = {}) {
     const tokenData = await getRouteByToken(token);
 
     if (!tokenData || !tokenData.valid) {
@@ -189,16 +190,17 @@ async function completeOrderByToken(token, orderId) {
     }
 
     // Complete the order (using null for userId since it's a contract driver)
-    return completeOrder(tokenData.merchant_id, orderId, null);
+    return completeOrder(tokenData.merchant_id, orderId, null, options);
 }
 
 /**
  * Skip an order via share token
  * @param {string} token - The share token
  * @param {string} orderId - The order UUID
+ * @param {Object} [options] - { reason, reasonNote }, plus { recordedAt } when replayed from the driver's offline queue
  * @returns {Promise<Object>} Updated order
  */
-async function skipOrderByToken(token, orderId) {
+async function skipOrderByToken(token, orderId, options = {}) {
     const tokenData = await getRouteByToken(token);
 
     if (!tokenData || !tokenData.valid) {
@@ -212,7 +214,7 @@ async function skipOrderByToken(token, orderId) {
         throw new Error('Order not found on this route');
     }
 
-    return skipOrder(tokenData.merchant_id, orderId, null);
+    return skipOrder(tokenData.merchant_id, orderId, null, options);
 }
 
 /**
@@ -0,0 +1,285 @@
+/**
+ * Delivery Tracking Service
+ * Per-order public tracking links for customers: position on the route,
+ * a live ETA, and proof-of-delivery status.
+ *
+ * Tokens use the same format as driver share tokens (64-char hex) but only
+ * their SHA-256 is stored — the plaintext is returned once, at creation.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const crypto = require('crypto');
+const { hashResetToken: hashToken } = require('../../utils/hash-utils');
+const { DEFAULT_SERVICE_MINUTES } = require('./delivery-utils');
+
+/**
+ * Lazy require to avoid circular dependencies (delivery-orders pulls in
+ * modules that re-export everything from this directory).
+ */
+function _getOrders() { return require('./delivery-orders'); }
+
+// Stop statuses that mean the driver has already been there
+const DONE_STATUSES = ['completed', 'delivered', 'skipped'];
+
+// Per-stop time used when a route has no optimizer estimate to go on
+const FALLBACK_STOP_SECONDS = 15 * 60;
+
+// Customer-facing wording for order statuses
+const CUSTOMER_STATUS = {
+    pending: 'scheduled',
+    active: 'out_for_delivery',
+    delivered: 'delivered',
+    completed: 'delivered',
+    skipped: 'attempted'
+};
+
+/**
+ * Generate a tracking link token for an order, revoking any previous one
+ * @param {number} merchantId - The merchant ID
+ * @param {string} orderId - The delivery order UUID
+ * @param {number} userId - User generating the link
+ * @param {Object} [options]
+ * @param {number} [options.expiresInHours=72]
+ * @returns {Promise<Object>} Token record plus the plaintext token (only time it is available)
+ */
+async function generateTrackingToken(merchantId, orderId, userId, options = {}) {
+    const { expiresInHours = 72 } = options;
+
+    const { getOrderById } = _getOrders();
+    const order = await getOrderById(merchantId, orderId);
+    if (!order) {
+        const err = new Error('Order not found');
+        err.status = 404;
+        throw err;
+    }
+
+    // Generate a secure token (64-character hex string)
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + expiresInHours);
+
+    // Locking the order serializes concurrent generations, so only one
+    // active link is ever inserted (unique partial index on order_id)
+    const result = await db.transaction(async (client) => {
+        await client.query(
+            'SELECT id FROM delivery_orders WHERE id = $1 AND merchant_id = $2 FOR UPDATE',
+            [orderId, merchantId]
+        );
+        await client.query(
+            `UPDATE delivery_tracking_tokens
+             SET status = 'revoked'
+             WHERE order_id = $1 AND merchant_id = $2 AND status = 'active'`,
+            [orderId, merchantId]
+        );
+        return client.query(
+            `INSERT INTO delivery_tracking_tokens (
+                merchant_id, order_id, token_hash, created_by, expires_at
+            ) VALUES ($1, $2, $3, $4, $5)
+            RETURNING id, order_id, status, created_at, expires_at`,
+            [merchantId, orderId, hashToken(token), userId, expiresAt]
+        );
+    });
+
+    logger.info('Generated delivery tracking token', {
+        merchantId,
+        orderId,
+        tokenId: result.rows[0].id,
+        expiresAt
+    });
+
+    return { ...result.rows[0], token };
+}
+
+/**
+ * Revoke the active tracking link for an order
+ * @param {number} merchantId - The merchant ID
+ * @param {string} orderId - The delivery order UUID
+ * @returns {Promise<boolean>} True if a link was revoked
+ */
+async function revokeTrackingToken(merchantId, orderId) {
+    const result = await db.query(
+        `UPDATE delivery_tracking_tokens
+         SET status = 'revoked'
+         WHERE order_id = $1 AND merchant_id = $2 AND status = 'active'
+         RETURNING id`,
+        [orderId, merchantId]
+    );
+
+    if (result.rows.length > 0) {
+        logger.info('Revoked delivery tracking token', { merchantId, orderId });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Estimate when the driver will reach a stop.
+ *
+ * Anchors on the most recently finished stop's actual timestamp and adds the
+ * optimizer's planned gap (planned_arrival difference, less the anchor's
+ * service time) to the target. Without planned arrivals it falls back to
+ * the route's average time per stop for each unfinished stop ahead.
+ * Never returns a time in the past.
+ * @param {Object} params
+ * @param {Array<Object>} params.stops - Route orders: { id, route_position, status,
+ *        planned_arrival, service_minutes, updated_at }
+ * @param {string} params.orderId - Stop to estimate
+ * @param {Object} params.route - { planned_departure, started_at, estimated_duration_min, total_stops }
+ * @param {Date} [params.now]
+ * @returns {Date|null} null once the stop is finished
+ */
+function estimateStopEta({ stops, orderId, route, now = new Date() }) {
+    const ordered = [...stops].sort((a, b) => (a.route_position || 0) - (b.route_position || 0));
+    const target = ordered.find(s => s.id === orderId);
+    if (!target || DONE_STATUSES.includes(target.status)) {
+        return null;
+    }
+
+    const time = value => (value ? new Date(value).getTime() : null);
+    const done = ordered.filter(s => DONE_STATUSES.includes(s.status) && s.updated_at);
+    const anchor = done.reduce((latest, s) => (!latest || time(s.updated_at) > time(latest.updated_at) ? s : latest), null);
+
+    let etaMs = null;
+    const targetPlanned = time(target.planned_arrival);
+
+    if (anchor && targetPlanned && time(anchor.planned_arrival) && time(anchor.planned_arrival) < targetPlanned) {
+        const serviceMs = (anchor.service_minutes ?? DEFAULT_SERVICE_MINUTES) * 60000;
+        etaMs = time(anchor.updated_at) + (targetPlanned - time(anchor.planned_arrival)) - serviceMs;
+    } else if (!anchor && targetPlanned) {
+        // Nothing delivered yet: slide the plan by however late the driver is leaving
+        const departure = time(route.planned_departure);
+        const lateStart = departure ? Math.max(0, now.getTime() - departure) : 0;
+        etaMs = targetPlanned + lateStart;
+    } else {
+        const perStopMs = route.estimated_duration_min && route.total_stops
+            ? (route.estimated_duration_min * 60 / route.total_stops + DEFAULT_SERVICE_MINUTES * 60) * 1000
+            : FALLBACK_STOP_SECONDS * 1000;
+        const stopsUntilTarget = ordered
+            .slice(0, ordered.indexOf(target) + 1)
+            .filter(s => !DONE_STATUSES.includes(s.status)).length;
+        const base = anchor ? time(anchor.updated_at) : (time(route.started_at) || now.getTime());
+        etaMs = base + stopsUntilTarget * perStopMs;
+    }
+
+    return new Date(Math.max(etaMs, now.getTime()));
+}
+
+/**
+ * Resolve a tracking token to the customer-facing tracking view
+ * @param {string} token - Plaintext token from the link
+ * @returns {Promise<Object|null>} null if unknown; { valid: false, reason } if unusable;
+ *          otherwise { valid: true, tracking }
+ */
+async function getTrackingByToken(token) {
+    if (!token || token.length < 20) {
+        return null;
+    }
+
+    const result = await db.query(
+        `SELECT dtt.id AS token_id, dtt.status AS token_status, dtt.expires_at,
+                o.id, o.merchant_id, o.status, o.route_id, o.route_position, o.route_date,
+                o.window_start, o.window_end, o.updated_at,
+                m.business_name AS merchant_name
+         FROM delivery_tracking_tokens dtt
+         JOIN delivery_orders o ON o.id = dtt.order_id AND o.merchant_id = dtt.merchant_id
+         JOIN merchants m ON m.id = dtt.merchant_id
+         WHERE dtt.token_hash = $1`,
+        [hashToken(token)]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const row = result.rows[0];
+
+    if (row.token_status !== 'active') {
+        return { valid: false, reason: 'Tracking link has been ' + row.token_status };
+    }
+
+    if (row.expires_at && new Date(row.expires_at) < new Date()) {
+        await db.query(
+            `UPDATE delivery_tracking_tokens SET status = 'expired' WHERE id = $1`,
+            [row.token_id]
+        );
+        return { valid: false, reason: 'Tracking link has expired' };
+    }
+
+    await db.query(
+        `UPDATE delivery_tracking_tokens SET last_viewed_at = NOW() WHERE id = $1`,
+        [row.token_id]
+    );
+
+    return { valid: true, tracking: await buildTrackingView(row) };
+}
+
+/**
+ * Assemble the public tracking payload for an order. Deliberately excludes
+ * address, phone and order contents — links get forwarded.
+ * @param {Object} order - Joined token/order row from getTrackingByToken
+ * @returns {Promise<Object>}
+ */
+async function buildTrackingView(order) {
+    const podResult = await db.query(
+        `SELECT captured_at FROM delivery_pod
+         WHERE delivery_order_id = $1
+         ORDER BY captured_at DESC
+         LIMIT 1`,
+        [order.id]
+    );
+    const pod = podResult.rows[0] || null;
+
+    const view = {
+        merchantName: order.merchant_name,
+        status: CUSTOMER_STATUS[order.status] || order.status,
+        routeDate: order.route_date,
+        window: { start: order.window_start, end: order.window_end },
+        position: null,
+        totalStops: null,
+        stopsAhead: null,
+        eta: null,
+        deliveredAt: ['delivered', 'completed'].includes(order.status) ? order.updated_at : null,
+        proofOfDelivery: { captured: !!pod, capturedAt: pod ? pod.captured_at : null }
+    };
+
+    if (!order.route_id || order.status !== 'active') {
+        return view;
+    }
+
+    const routeResult = await db.query(
+        `SELECT status, planned_departure, started_at, estimated_duration_min, total_stops
+         FROM delivery_routes WHERE id = $1 AND merchant_id = $2`,
+        [order.route_id, order.merchant_id]
+    );
+    const route = routeResult.rows[0];
+    if (!route || route.status !== 'active') {
+        return view;
+    }
+
+    const stopsResult = await db.query(
+        `SELECT id, route_position, status, planned_arrival, service_minutes, updated_at
+         FROM delivery_orders
+         WHERE route_id = $1 AND merchant_id = $2
+         ORDER BY route_position`,
+        [order.route_id, order.merchant_id]
+    );
+    const stops = stopsResult.rows;
+
+    view.position = order.route_position;
+    view.totalStops = stops.length;
+    view.stopsAhead = stops.filter(s =>
+        s.route_position < order.route_position && !DONE_STATUSES.includes(s.status)
+    ).length;
+    view.eta = estimateStopEta({ stops, orderId: order.id, route });
+
+    return view;
+}
+
+module.exports = {
+    generateTrackingToken,
+    revokeTrackingToken,
+    getTrackingByToken,
+    estimateStopEta
+};
@@ -18,6 +18,10 @@ const POD_STORAGE_DIR = process.env.POD_STORAGE_DIR || 'storage/pod';
 const ORS_BASE_URL = 'https://api.openrouteservice.org';
 const ORS_API_KEY = process.env.OPENROUTESERVICE_API_KEY;
 
+// Route timing defaults (time on site per stop, departure when none is given)
+const DEFAULT_SERVICE_MINUTES = 5;
+const DEFAULT_DEPARTURE_TIME = '09:00';
+
 // UUID validation regex (for security - validate IDs before use)
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
@@ -45,11 +49,26 @@ function validateUUID(id, fieldName = 'ID') {
     }
 }
 
+/**
+ * Convert a time-of-day string to seconds since midnight
+ * @param {string|null} time - 'HH:MM' or 'HH:MM:SS' (Postgres TIME format)
+ * @returns {number|null} Seconds since midnight, or null if not set/invalid
+ */
+function timeToSeconds(time) {
+    if (!time) return null;
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(String(time));
+    if (!match) return null;
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+}
+
 module.exports = {
     POD_STORAGE_DIR,
     ORS_BASE_URL,
     ORS_API_KEY,
     UUID_REGEX,
+    DEFAULT_SERVICE_MINUTES,
+    DEFAULT_DEPARTURE_TIME,
+    timeToSeconds,
     safeJsonStringify,
     validateUUID,
     getSquareCustomerDetails
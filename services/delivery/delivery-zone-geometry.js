@@ -0,0 +1,72 @@
+/**
+ * Delivery Zone Geometry
+ * Point-in-zone tests for delivery zones. Pure functions — no DB access.
+ *
+ * Zone shapes:
+ * - polygon: ring of [lat, lng] vertices (closing vertex optional)
+ * - radius:  ring of radius_km around center_lat/center_lng, or around the
+ *            store (delivery_settings start address) when no center is set
+ *
+ * When zones overlap the lowest priority number wins (ties: oldest zone).
+ */
+
+const { haversineKm } = require('./delivery-route-solver');
+
+/**
+ * Ray-casting point-in-polygon test
+ * @param {{lat: number, lng: number}} point
+ * @param {Array<[number, number]>} polygon - [lat, lng] vertices
+ * @returns {boolean}
+ */
+function pointInPolygon(point, polygon) {
+    if (!Array.isArray(polygon) || polygon.length < 3) return false;
+
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i].map(Number);
+        const [latJ, lngJ] = polygon[j].map(Number);
+        const crosses = (latI > point.lat) !== (latJ > point.lat) &&
+            point.lng < (lngJ - lngI) * (point.lat - latI) / (latJ - latI) + lngI;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Whether a zone covers a point
+ * @param {Object} zone - delivery_zones row
+ * @param {{lat: number, lng: number}} point
+ * @param {{lat: number, lng: number}|null} store - Fallback center for radius zones
+ * @returns {boolean}
+ */
+function zoneContains(zone, point, store) {
+    if (zone.zone_type === 'polygon') {
+        return pointInPolygon(point, zone.polygon);
+    }
+
+    const center = zone.center_lat != null && zone.center_lng != null
+        ? { lat: parseFloat(zone.center_lat), lng: parseFloat(zone.center_lng) }
+        : store;
+    if (!center || zone.radius_km == null) return false;
+    return haversineKm(center, point) <= parseFloat(zone.radius_km);
+}
+
+/**
+ * Pick the zone for a point from a list of zones
+ * @param {Array<Object>} zones - delivery_zones rows
+ * @param {{lat: number, lng: number}} point
+ * @param {{lat: number, lng: number}|null} store
+ * @returns {Object|null} Winning zone, or null when outside all active zones
+ */
+function matchZone(zones, point, store) {
+    const candidates = zones
+        .filter(z => z.is_active !== false)
+        .sort((a, b) => (a.priority || 0) - (b.priority || 0) || a.id - b.id);
+    return candidates.find(z => zoneContains(z, point, store)) || null;
+}
+
+module.exports = {
+    pointInPolygon,
+    zoneContains,
+    matchZone
+};
@@ -0,0 +1,260 @@
+/**
+ * Delivery Zones Service
+ * Merchant-drawn delivery areas with per-zone rules (fee, minimum order,
+ * allowed delivery days), and assignment of incoming orders to a zone.
+ *
+ * Shape matching lives in delivery-zone-geometry.js. Orders outside every
+ * zone, or breaking their zone's rules, are flagged with needs_review +
+ * review_reason instead of being rejected.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { getSettings } = require('./delivery-settings');
+const { getOrderById, updateOrder } = require('./delivery-orders');
+const { matchZone } = require('./delivery-zone-geometry');
+
+const ZONE_TYPES = ['polygon', 'radius'];
+
+const REVIEW_REASONS = {
+    OUTSIDE_ZONES: 'outside_zones',
+    NOT_GEOCODED: 'not_geocoded',
+    BELOW_MINIMUM: 'below_minimum',
+    DAY_NOT_ALLOWED: 'day_not_allowed'
+};
+
+/**
+ * Check an order against its zone's rules
+ * @param {Object} zone - delivery_zones row
+ * @param {Object} order
+ * @param {number|null} order.orderTotalCents - null skips the minimum check
+ * @param {Date} order.deliveryDate - Day of week is checked against allowed_days
+ * @returns {string|null} A REVIEW_REASONS value, or null when the order passes
+ */
+function checkZoneRules(zone, { orderTotalCents, deliveryDate }) {
+    if (zone.min_order_cents > 0 && orderTotalCents != null && orderTotalCents < zone.min_order_cents) {
+        return REVIEW_REASONS.BELOW_MINIMUM;
+    }
+    const days = zone.allowed_days;
+    if (Array.isArray(days) && days.length > 0 && !days.map(Number).includes(deliveryDate.getDay())) {
+        return REVIEW_REASONS.DAY_NOT_ALLOWED;
+    }
+    return null;
+}
+
+/**
+ * List a merchant's zones
+ * @param {number} merchantId
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=false]
+ * @returns {Promise<Array>}
+ */
+async function listZones(merchantId, { activeOnly = false } = {}) {
+    const result = await db.query(
+        `SELECT * FROM delivery_zones
+         WHERE merchant_id = $1 ${activeOnly ? 'AND is_active = TRUE' : ''}
+         ORDER BY priority ASC, id ASC`,
+        [merchantId]
+    );
+    return result.rows;
+}
+
+/**
+ * Create a zone
+ * @param {number} merchantId
+ * @param {Object} data - camelCase zone fields (see validators/delivery-zones)
+ * @returns {Promise<Object>} Created zone
+ */
+async function createZone(merchantId, data) {
+    const {
+        name, zoneType, polygon = null, centerLat = null, centerLng = null, radiusKm = null,
+        feeCents = 0, minOrderCents = 0, allowedDays = null, priority = 0, isActive = true
+    } = data;
+
+    const result = await db.query(
+        `INSERT INTO delivery_zones (
+            merchant_id, name, zone_type, polygon, center_lat, center_lng, radius_km,
+            fee_cents, min_order_cents, allowed_days, priority, is_active
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *`,
+        [
+            merchantId, name, zoneType, polygon ? JSON.stringify(polygon) : null,
+            centerLat, centerLng, radiusKm, feeCents, minOrderCents,
+            allowedDays && allowedDays.length > 0 ? allowedDays : null, priority, isActive
+        ]
+    );
+
+    logger.info('Created delivery zone', { merchantId, zoneId: result.rows[0].id, zoneType });
+    return result.rows[0];
+}
+
+/**
+ * Update a zone
+ * @param {number} merchantId
+ * @param {number} zoneId
+ * @param {Object} updates - camelCase zone fields
+ * @returns {Promise<Object|null>} Updated zone or null if not found
+ */
+async function updateZone(merchantId, zoneId, updates) {
+    const allowedFields = [
+        'name', 'zone_type', 'polygon', 'center_lat', 'center_lng', 'radius_km',
+        'fee_cents', 'min_order_cents', 'allowed_days', 'priority', 'is_active'
+    ];
+
+    const setClauses = [];
+    const params = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+        const snakeKey = key.replace(/[A-Z]/g, m => '_' + m.toLowerCase());
+        if (allowedFields.includes(snakeKey) && value !== undefined) {
+            let paramValue = value;
+            if (snakeKey === 'polygon' && value) paramValue = JSON.stringify(value);
+            if (snakeKey === 'allowed_days' && Array.isArray(value) && value.length === 0) paramValue = null;
+            params.push(paramValue);
+            setClauses.push(`${snakeKey} = $${params.length}`);
+        }
+    }
+
+    if (setClauses.length === 0) {
+        const result = await db.query(
+            'SELECT * FROM delivery_zones WHERE id = $1 AND merchant_id = $2',
+            [zoneId, merchantId]
+        );
+        return result.rows[0] || null;
+    }
+
+    params.push(zoneId, merchantId);
+
+    const result = await db.query(
+        `UPDATE delivery_zones
+         SET ${setClauses.join(', ')}, updated_at = NOW()
+         WHERE id = $${params.length - 1} AND merchant_id = $${params.length}
+         RETURNING *`,
+        params
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Delete a zone. Orders assigned to it keep their fee but lose the zone link.
+ * @param {number} merchantId
+ * @param {number} zoneId
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteZone(merchantId, zoneId) {
+    const result = await db.query(
+        'DELETE FROM delivery_zones WHERE id = $1 AND merchant_id = $2 RETURNING id',
+        [zoneId, merchantId]
+    );
+    if (result.rows.length === 0) return false;
+
+    await db.query(
+        'UPDATE delivery_orders SET zone_id = NULL WHERE zone_id = $1 AND merchant_id = $2',
+        [zoneId, merchantId]
+    );
+    logger.info('Deleted delivery zone', { merchantId, zoneId });
+    return true;
+}
+
+/**
+ * Assign an order to a zone and record its fee, flagging it for review when
+ * it is outside every zone, could not be geocoded, or breaks the zone's rules.
+ * Merchants without zones are unaffected (nothing is written).
+ * @param {number} merchantId
+ * @param {string} orderId - Delivery order UUID
+ * @param {{lat: number, lng: number}|null} coords - Geocoded location, null if geocoding failed
+ * @param {Object} [context]
+ * @param {number|null} [context.orderTotalCents]
+ * @param {Date} [context.deliveryDate] - Defaults to today
+ * @returns {Promise<Object|null>} Columns written ({ zone_id, delivery_fee_cents, needs_review,
+ *          review_reason }), or null when the merchant has no active zones
+ */
+async function assignOrderZone(merchantId, orderId, coords, { orderTotalCents = null, deliveryDate = new Date() } = {}) {
+    const zones = await listZones(merchantId, { activeOnly: true });
+    if (zones.length === 0) {
+        return null;
+    }
+
+    const assignment = { zone_id: null, delivery_fee_cents: null, needs_review: true, review_reason: null };
+
+    if (!coords || coords.lat == null || coords.lng == null) {
+        assignment.review_reason = REVIEW_REASONS.NOT_GEOCODED;
+    } else {
+        const point = { lat: parseFloat(coords.lat), lng: parseFloat(coords.lng) };
+        // Only radius zones without their own center need the store location
+        const needsStore = zones.some(z => z.zone_type === 'radius' && (z.center_lat == null || z.center_lng == null));
+        const settings = needsStore ? await getSettings(merchantId) : null;
+        const store = settings?.start_address_lat != null && settings?.start_address_lng != null
+            ? { lat: parseFloat(settings.start_address_lat), lng: parseFloat(settings.start_address_lng) }
+            : null;
+
+        const zone = matchZone(zones, point, store);
+        if (!zone) {
+            assignment.review_reason = REVIEW_REASONS.OUTSIDE_ZONES;
+        } else {
+            assignment.zone_id = zone.id;
+            assignment.delivery_fee_cents = zone.fee_cents;
+            assignment.review_reason = checkZoneRules(zone, { orderTotalCents, deliveryDate });
+            assignment.needs_review = assignment.review_reason !== null;
+        }
+    }
+
+    await updateOrder(merchantId, orderId, assignment);
+
+    if (assignment.needs_review) {
+        logger.info('Delivery order flagged for zone review', { merchantId, orderId, reason: assignment.review_reason });
+    }
+    return assignment;
+}
+
+/**
+ * Resolve a flagged order by hand: optionally assign a zone (its fee applies)
+ * and clear the review flag.
+ * @param {number} merchantId
+ * @param {string} orderId
+ * @param {number|null} zoneId - Zone to assign, or null to leave the order unzoned
+ * @returns {Promise<Object>} Updated order
+ * @throws {Error} (status 404) when the order or zone does not exist
+ */
+async function resolveOrderZoneReview(merchantId, orderId, zoneId) {
+    const order = await getOrderById(merchantId, orderId);
+    if (!order) {
+        const err = new Error('Order not found');
+        err.status = 404;
+        throw err;
+    }
+
+    let feeCents = null;
+    if (zoneId != null) {
+        const zoneResult = await db.query(
+            'SELECT id, fee_cents FROM delivery_zones WHERE id = $1 AND merchant_id = $2',
+            [zoneId, merchantId]
+        );
+        if (zoneResult.rows.length === 0) {
+            const err = new Error('Zone not found');
+            err.status = 404;
+            throw err;
+        }
+        feeCents = zoneResult.rows[0].fee_cents;
+    }
+
+    return updateOrder(merchantId, orderId, {
+        zoneId: zoneId ?? null,
+        deliveryFeeCents: feeCents,
+        needsReview: false,
+        reviewReason: null
+    });
+}
+
+module.exports = {
+    ZONE_TYPES,
+    REVIEW_REASONS,
+    checkZoneRules,
+    listZones,
+    createZone,
+    updateZone,
+    deleteZone,
+    assignOrderZone,
+    resolveOrderZoneReview
+};
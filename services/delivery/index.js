@@ -10,7 +10,9 @@
 module.exports = {
     ...require('./delivery-orders'),
     ...require('./delivery-routes'),
+    ...require('./delivery-export'),
     ...require('./delivery-tokens'),
+    ...require('./delivery-tracking'),
     ...require('./delivery-square'),
     ...require('./delivery-fulfillment'),
     ...require('./delivery-sync'),
@@ -20,5 +22,13 @@ module.exports = {
     ...require('./delivery-utils'),
     ...require('./delivery-gtin'),
     ...require('./delivery-geocoding'),
+    ...require('./delivery-geocode-cache'),
+    ...require('./delivery-geocoding-providers'),
+    ...require('./delivery-zones'),
+    ...require('./delivery-zone-geometry'),
+    ...require('./delivery-recurring'),
+    ...require('./delivery-recurring-orders'),
+    ...require('./delivery-recurring-schedule'),
+    ...require('./delivery-square-orders'),
     ...require('./delivery-pod'),
 };
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Expiry Discount Sales
+ * Records units sold while an expiry discount was applied in Square
+ * (expiry_discount_sales), at the discounted and regular price, so the
+ * shrink report can set the revenue recovered by markdowns against the
+ * stock written off as waste. One row per order and variation; a
+ * redelivered order webhook records nothing new.
+ */
+
+const db = require('../../utils/database');
+
+/**
+ * Record a discounted sale if the variation's expiry discount is applied.
+ * Variations without an applied discount (no discounted price, or a 0% tier)
+ * are skipped. A dynamic markdown is recorded at its own percentage.
+ * @param {string} variationId
+ * @param {number} quantity - Units sold
+ * @param {number} merchantId
+ * @param {string} orderId - Square order ID
+ * @returns {Promise<boolean>} true when a new sale row was written
+ */
+async function recordDiscountSale(variationId, quantity, merchantId, orderId) {
+    const { rowCount } = await db.query(`
+        INSERT INTO expiry_discount_sales
+            (merchant_id, variation_id, square_order_id, tier_id, quantity,
+             unit_price_cents, original_price_cents, discount_percent)
+        SELECT vds.merchant_id, vds.variation_id, $3, vds.current_tier_id, $4,
+               vds.discounted_price_cents, vds.original_price_cents,
+               COALESCE(vds.dynamic_discount_percent, edt.discount_percent)
+        FROM variation_discount_status vds
+        JOIN expiry_discount_tiers edt ON vds.current_tier_id = edt.id AND edt.merchant_id = vds.merchant_id
+        WHERE vds.variation_id = $1 AND vds.merchant_id = $2
+          AND vds.discounted_price_cents IS NOT NULL
+          AND COALESCE(vds.dynamic_discount_percent, edt.discount_percent) > 0
+        ON CONFLICT (merchant_id, square_order_id, variation_id) DO NOTHING
+    `, [variationId, merchantId, orderId, quantity]);
+    return rowCount > 0;
+}
+
+module.exports = {
+    recordDiscountSale
+};
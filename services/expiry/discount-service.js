@@ -12,6 +12,11 @@ const db = require('../../utils/database');
 const logger = require('../../utils/logger');
 const { deleteCatalogObjects } = require('../../utils/square-catalog-cleanup');
 const { SYNC: { SQUARE_BATCH_RETRIEVE_LIMIT } } = require('../../config/constants');
+const { calculateDaysUntilExpiry, buildTierRankMap, determineTier } = require('./tier-math');
+const { assessLots, saveLotTiers } = require('./lot-tiers');
+const { recordDiscountSale } = require('./discount-sales');
+const { getPricingMode, applyDynamicMarkdowns } = require('./dynamic-markdowns');
+const { clearUnusedSteps } = require('./markdown-steps');
 
 // Lazy-load square-api to avoid circular dependency
 let squareApi = null;
@@ -90,89 +95,175 @@ async function updateSetting(key, value, merchantId) {
 }
 
 /**
- * Calculate days until expiry for a given expiration date
- * @param {Date|string} expirationDate - The expiration date
- * @param {string} timezone - Timezone string (default: America/Toronto)
- * @returns {number|null} Days until expiry (negative if expired), or null if no date
+ * Write a tier regression: flag the variation for manual review and keep its
+ * current tier rather than auto-downgrading.
  */
-function calculateDaysUntilExpiry(expirationDate, timezone = 'America/Toronto') {
-    if (expirationDate == null) return null;
-
-    // Expiration dates are calendar dates (e.g. "2026-03-15" meaning March 15).
-    // Extract the YYYY-MM-DD string directly to avoid UTC-parse timezone shift.
-    const dateStr = typeof expirationDate === 'string'
-        ? expirationDate.slice(0, 10)
-        : new Date(expirationDate).toISOString().slice(0, 10);
-
-    const expiryMs = Date.parse(dateStr + 'T00:00:00Z');
-    if (isNaN(expiryMs)) return null;
-
-    // Get today's date in the merchant's timezone using Intl.DateTimeFormat
-    // (avoids toLocaleDateString locale format inconsistencies across environments)
-    const fmt = new Intl.DateTimeFormat('en-CA', {
-        timeZone: timezone,
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
+async function flagTierRegression(row, change, ctx) {
+    const { merchantId, triggeredBy } = ctx;
+    logger.warn('Tier regression detected', {
+        variationId: row.variation_id,
+        sku: row.sku,
+        oldTierId: change.oldTierId,
+        newTierId: change.newTierId,
+        newTierCode: change.newTierCode,
+        daysUntilExpiry: change.daysUntilExpiry,
+        merchantId
     });
-    const parts = fmt.formatToParts(new Date());
-    const y = parts.find(p => p.type === 'year').value;
-    const m = parts.find(p => p.type === 'month').value;
-    const d = parts.find(p => p.type === 'day').value;
-    const nowMs = Date.parse(`${y}-${m}-${d}T00:00:00Z`);
 
-    const diffDays = Math.round((expiryMs - nowMs) / (1000 * 60 * 60 * 24));
-
-    return diffDays;
+    await db.query(`
+        UPDATE variation_discount_status
+        SET needs_manual_review = TRUE,
+            days_until_expiry = $1,
+            last_evaluated_at = NOW(),
+            updated_at = NOW()
+        WHERE variation_id = $2 AND merchant_id = $3
+    `, [change.daysUntilExpiry, row.variation_id, merchantId]);
+
+    await logAuditEvent({
+        merchantId,
+        variationId: row.variation_id,
+        action: 'REGRESSION_FLAGGED',
+        oldTierId: change.oldTierId,
+        newTierId: change.newTierId,
+        daysUntilExpiry: change.daysUntilExpiry,
+        triggeredBy
+    });
 }
 
 /**
- * Build a tier rank map from DB tiers, ordered by urgency (most urgent = highest rank).
- * Uses min_days_to_expiry ascending: EXPIRED (null/lowest min) = rank N, OK (highest min) = rank 0.
- * @param {Array} tiers - Array of tier objects from getActiveTiers()
- * @returns {Map<number, number>} Map of tier ID → rank (higher rank = more urgent)
+ * Write a new or changed tier to variation_discount_status and the audit log.
+ * For lot-tracked variations the expiring quantity becomes the units in the
+ * lots at the new tier, so trackExpiryDiscountSale() flags when they sell through.
  */
-function buildTierRankMap(tiers) {
-    // Sort by min_days_to_expiry descending (OK first, EXPIRED last)
-    // so that rank index increases with urgency
-    const sorted = [...tiers].sort((a, b) => {
-        const aMin = a.min_days_to_expiry ?? -Infinity;
-        const bMin = b.min_days_to_expiry ?? -Infinity;
-        return bMin - aMin; // descending: highest min_days first (OK), lowest last (EXPIRED)
-    });
-    const rankMap = new Map();
-    sorted.forEach((tier, index) => {
-        rankMap.set(tier.id, index); // OK=0, REVIEW=1, AUTO25=2, AUTO50=3, EXPIRED=4
+async function saveTierAssignment(row, change, ctx, lotAssessment) {
+    const { merchantId, triggeredBy } = ctx;
+    await db.query(`
+        INSERT INTO variation_discount_status (
+            variation_id, current_tier_id, days_until_expiry,
+            original_price_cents, needs_pull, needs_manual_review,
+            merchant_id, last_evaluated_at, updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, FALSE, $6, NOW(), NOW())
+        ON CONFLICT (variation_id, merchant_id) DO UPDATE SET
+            current_tier_id = EXCLUDED.current_tier_id,
+            days_until_expiry = EXCLUDED.days_until_expiry,
+            original_price_cents = COALESCE(variation_discount_status.original_price_cents, EXCLUDED.original_price_cents),
+            needs_pull = EXCLUDED.needs_pull,
+            needs_manual_review = FALSE,
+            last_evaluated_at = NOW(),
+            updated_at = NOW()
+    `, [
+        row.variation_id,
+        change.newTierId,
+        change.daysUntilExpiry,
+        row.current_price_cents,
+        change.needsPull,
+        merchantId
+    ]);
+
+    if (lotAssessment) {
+        await db.query(`
+            UPDATE variation_discount_status
+            SET expiring_quantity = $1, units_sold_at_discount = 0
+            WHERE variation_id = $2 AND merchant_id = $3
+        `, [lotAssessment.expiringQuantity, row.variation_id, merchantId]);
+        await saveLotTiers(lotAssessment.lotTiers, merchantId);
+    }
+
+    await logAuditEvent({
+        merchantId,
+        variationId: row.variation_id,
+        action: change.oldTierId ? 'TIER_CHANGED' : 'TIER_ASSIGNED',
+        oldTierId: change.oldTierId,
+        newTierId: change.newTierId,
+        daysUntilExpiry: change.daysUntilExpiry,
+        triggeredBy
     });
-    return rankMap;
 }
 
 /**
- * Determine which tier a variation belongs to based on days until expiry
- * @param {number|null} daysUntilExpiry - Days until expiry
- * @param {Array} tiers - Array of tier objects (sorted by priority DESC)
- * @returns {Object|null} Matching tier object or null
+ * Place one variation in its tier and record the outcome in ctx.results.
+ * Lot-tracked variations (row.lots) take the tier of their most urgent active
+ * lot (lot-tiers.js); others use the single variation_expiration date.
  */
-function determineTier(daysUntilExpiry, tiers) {
-    if (daysUntilExpiry === null) {
-        // No expiration date - could be "does_not_expire" or unknown
-        return null;
+async function evaluateVariation(row, ctx) {
+    const { merchantId, dryRun, tiers, tierRankMap, timezone, results } = ctx;
+
+    // Skip items that don't expire
+    if (row.does_not_expire === true) {
+        results.byTier['NO_EXPIRY']++;
+        return;
+    }
+
+    const lotAssessment = row.lots?.length ? assessLots(row.lots, tiers, tierRankMap, timezone) : null;
+    const daysUntilExpiry = lotAssessment
+        ? lotAssessment.daysUntilExpiry
+        : calculateDaysUntilExpiry(row.expiration_date, timezone);
+    const newTier = lotAssessment ? lotAssessment.tier : determineTier(daysUntilExpiry, tiers);
+
+    if (daysUntilExpiry === null || !newTier) {
+        results.byTier['NO_EXPIRY']++;
+        return;
     }
 
-    for (const tier of tiers) {
-        const minDays = tier.min_days_to_expiry;
-        const maxDays = tier.max_days_to_expiry;
+    results.byTier[newTier.tier_code]++;
+
+    const oldTierId = row.current_tier_id;
+    const newTierId = newTier.id;
 
-        // Check if days falls within this tier's range
-        const meetsMin = minDays === null || daysUntilExpiry >= minDays;
-        const meetsMax = maxDays === null || daysUntilExpiry <= maxDays;
+    if (oldTierId === newTierId) {
+        results.unchanged++;
 
-        if (meetsMin && meetsMax) {
-            return tier;
+        // Still update the days_until_expiry cache if not dry run
+        if (!dryRun && row.current_tier_id !== null) {
+            await db.query(`
+                UPDATE variation_discount_status
+                SET days_until_expiry = $1, last_evaluated_at = NOW()
+                WHERE variation_id = $2 AND merchant_id = $3
+            `, [daysUntilExpiry, row.variation_id, merchantId]);
+            if (lotAssessment) await saveLotTiers(lotAssessment.lotTiers, merchantId);
         }
+        return;
     }
 
-    return null;
+    // Tier regression guard: detect downgrade (moving to less urgent tier).
+    // A lot-tracked variation also steps down as its near-dated lots sell
+    // through; that only counts as a regression when a lot's own date moved.
+    const oldRank = oldTierId !== null ? (tierRankMap.get(oldTierId) ?? -1) : -1;
+    const newRank = tierRankMap.get(newTierId) ?? -1;
+    const isRegression = oldTierId !== null && newRank < oldRank
+        && (!lotAssessment || lotAssessment.lotRegressed);
+
+    const change = {
+        variationId: row.variation_id,
+        itemName: row.item_name,
+        variationName: row.variation_name,
+        sku: row.sku,
+        daysUntilExpiry,
+        expirationDate: lotAssessment ? lotAssessment.expirationDate : row.expiration_date,
+        oldTierId,
+        newTierId,
+        newTierCode: newTier.tier_code,
+        newTierName: newTier.tier_name,
+        discountPercent: newTier.discount_percent,
+        isAutoApply: newTier.is_auto_apply,
+        requiresReview: newTier.requires_review,
+        needsPull: newTier.tier_code === 'EXPIRED',
+        isRegression
+    };
+    if (lotAssessment) change.expiringQuantity = lotAssessment.expiringQuantity;
+
+    if (oldTierId === null) {
+        results.newAssignments.push(change);
+    } else if (isRegression) {
+        results.regressionsFlagged.push(change);
+        if (!dryRun) await flagTierRegression(row, change, ctx);
+        return; // Skip normal tier update
+    } else {
+        results.tierChanges.push(change);
+    }
+
+    if (!dryRun) await saveTierAssignment(row, change, ctx, lotAssessment);
 }
 
 /**
@@ -215,7 +306,8 @@ async function evaluateAllVariations(options = {}) {
         }
         results.byTier['NO_EXPIRY'] = 0;
 
-        // Get all variations with expiration data for this merchant
+        // Get all variations with expiration data for this merchant,
+        // plus their active lots (earliest expiry first) when tracked by lot
         const variationsResult = await db.query(`
             SELECT
                 v.id as variation_id,
@@ -228,166 +320,33 @@ async function evaluateAllVariations(options = {}) {
                 ve.does_not_expire,
                 vds.current_tier_id,
                 vds.original_price_cents,
-                vds.discounted_price_cents
+                vds.discounted_price_cents,
+                lots.lots
             FROM variations v
             JOIN items i ON v.item_id = i.id AND i.merchant_id = $1
             LEFT JOIN variation_expiration ve ON v.id = ve.variation_id AND ve.merchant_id = $1
             LEFT JOIN variation_discount_status vds ON v.id = vds.variation_id
+            LEFT JOIN LATERAL (
+                SELECT json_agg(json_build_object(
+                    'id', l.id, 'expiration_date', l.expiration_date,
+                    'quantity', l.quantity, 'current_tier_id', l.current_tier_id
+                ) ORDER BY l.expiration_date, l.id) AS lots
+                FROM inventory_lots l
+                WHERE l.variation_id = v.id AND l.merchant_id = $1 AND l.quantity > 0
+            ) lots ON TRUE
             WHERE v.is_deleted = FALSE
               AND i.is_deleted = FALSE
               AND v.merchant_id = $1
         `, [merchantId]);
 
         const timezone = await getSetting('timezone', merchantId) || 'America/Toronto';
+        const ctx = { merchantId, dryRun, triggeredBy, tiers, tierRankMap, timezone, results };
 
         for (const row of variationsResult.rows) {
             results.totalEvaluated++;
 
             try {
-                // Skip items that don't expire
-                if (row.does_not_expire === true) {
-                    results.byTier['NO_EXPIRY']++;
-                    continue;
-                }
-
-                // Calculate days until expiry
-                const daysUntilExpiry = calculateDaysUntilExpiry(row.expiration_date, timezone);
-
-                if (daysUntilExpiry === null) {
-                    results.byTier['NO_EXPIRY']++;
-                    continue;
-                }
-
-                // Determine tier
-                const newTier = determineTier(daysUntilExpiry, tiers);
-
-                if (!newTier) {
-                    results.byTier['NO_EXPIRY']++;
-                    continue;
-                }
-
-                results.byTier[newTier.tier_code]++;
-
-                // Check if tier changed
-                const oldTierId = row.current_tier_id;
-                const newTierId = newTier.id;
-
-                if (oldTierId !== newTierId) {
-                    // Tier regression guard: detect downgrade (moving to less urgent tier)
-                    const oldRank = oldTierId !== null ? (tierRankMap.get(oldTierId) ?? -1) : -1;
-                    const newRank = tierRankMap.get(newTierId) ?? -1;
-                    const isRegression = oldTierId !== null && newRank < oldRank;
-
-                    const change = {
-                        variationId: row.variation_id,
-                        itemName: row.item_name,
-                        variationName: row.variation_name,
-                        sku: row.sku,
-                        daysUntilExpiry,
-                        expirationDate: row.expiration_date,
-                        oldTierId,
-                        newTierId,
-                        newTierCode: newTier.tier_code,
-                        newTierName: newTier.tier_name,
-                        discountPercent: newTier.discount_percent,
-                        isAutoApply: newTier.is_auto_apply,
-                        requiresReview: newTier.requires_review,
-                        needsPull: newTier.tier_code === 'EXPIRED',
-                        isRegression
-                    };
-
-                    if (oldTierId === null) {
-                        results.newAssignments.push(change);
-                    } else if (isRegression) {
-                        // Regression: flag for manual review instead of auto-downgrading
-                        results.regressionsFlagged.push(change);
-
-                        if (!dryRun) {
-                            logger.warn('Tier regression detected', {
-                                variationId: row.variation_id,
-                                sku: row.sku,
-                                oldTierId,
-                                newTierId,
-                                newTierCode: newTier.tier_code,
-                                daysUntilExpiry,
-                                merchantId
-                            });
-
-                            // Flag for manual review — do NOT change the tier
-                            await db.query(`
-                                UPDATE variation_discount_status
-                                SET needs_manual_review = TRUE,
-                                    days_until_expiry = $1,
-                                    last_evaluated_at = NOW(),
-                                    updated_at = NOW()
-                                WHERE variation_id = $2 AND merchant_id = $3
-                            `, [daysUntilExpiry, row.variation_id, merchantId]);
-
-                            await logAuditEvent({
-                                merchantId,
-                                variationId: row.variation_id,
-                                action: 'REGRESSION_FLAGGED',
-                                oldTierId,
-                                newTierId,
-                                daysUntilExpiry,
-                                triggeredBy
-                            });
-                        }
-                        continue; // Skip normal tier update
-                    } else {
-                        results.tierChanges.push(change);
-                    }
-
-                    if (!dryRun) {
-                        // Update variation_discount_status
-                        await db.query(`
-                            INSERT INTO variation_discount_status (
-                                variation_id, current_tier_id, days_until_expiry,
-                                original_price_cents, needs_pull, needs_manual_review,
-                                merchant_id, last_evaluated_at, updated_at
-                            )
-                            VALUES ($1, $2, $3, $4, $5, FALSE, $6, NOW(), NOW())
-                            ON CONFLICT (variation_id, merchant_id) DO UPDATE SET
-                                current_tier_id = EXCLUDED.current_tier_id,
-                                days_until_expiry = EXCLUDED.days_until_expiry,
-                                original_price_cents = COALESCE(variation_discount_status.original_price_cents, EXCLUDED.original_price_cents),
-                                needs_pull = EXCLUDED.needs_pull,
-                                needs_manual_review = FALSE,
-                                last_evaluated_at = NOW(),
-                                updated_at = NOW()
-                        `, [
-                            row.variation_id,
-                            newTierId,
-                            daysUntilExpiry,
-                            row.current_price_cents,
-                            change.needsPull,
-                            merchantId
-                        ]);
-
-                        // Log to audit
-                        await logAuditEvent({
-                            merchantId,
-                            variationId: row.variation_id,
-                            action: oldTierId ? 'TIER_CHANGED' : 'TIER_ASSIGNED',
-                            oldTierId,
-                            newTierId,
-                            daysUntilExpiry,
-                            triggeredBy
-                        });
-                    }
-                } else {
-                    results.unchanged++;
-
-                    // Still update the days_until_expiry cache if not dry run
-                    if (!dryRun && row.current_tier_id !== null) {
-                        await db.query(`
-                            UPDATE variation_discount_status
-                            SET days_until_expiry = $1, last_evaluated_at = NOW()
-                            WHERE variation_id = $2 AND merchant_id = $3
-                        `, [daysUntilExpiry, row.variation_id, merchantId]);
-                    }
-                }
-
+                await evaluateVariation(row, ctx);
             } catch (error) {
                 results.errors.push({
                     variationId: row.variation_id,
@@ -668,9 +627,116 @@ async function getVariationsNeedingDiscountUpdate(merchantId) {
 
 // LOGIC CHANGE: removed dead function updateDiscountAppliesTo — 0 callers (CQ-4, 2026-03-17)
 
+/**
+ * Apply a tier's fixed percentage to the variations in it (TIERED pricing mode)
+ * and record the discounted prices
+ * @param {Object} tier - Active auto-apply tier with square_discount_id
+ * @param {Object} results - applyDiscounts() results
+ */
+async function applyTierDiscounts(tier, results) {
+    const merchantId = tier.merchant_id;
+
+    // Get variations currently in this tier for this merchant
+    const variationsResult = await db.query(`
+        SELECT
+            vds.variation_id,
+            vds.original_price_cents,
+            v.price_money as current_price_cents,
+            v.sku,
+            i.name as item_name
+        FROM variation_discount_status vds
+        JOIN variations v ON vds.variation_id = v.id AND vds.merchant_id = $1 AND v.merchant_id = $1
+        JOIN items i ON v.item_id = i.id AND i.merchant_id = $1
+        WHERE vds.current_tier_id = $2
+          AND v.is_deleted = FALSE
+    `, [merchantId, tier.id]);
+
+    const variationIds = variationsResult.rows.map(r => r.variation_id);
+
+    logger.info(`Processing ${tier.tier_code} tier`, {
+        variationCount: variationIds.length,
+        discountPercent: tier.discount_percent
+    });
+
+    // For item-level discounts in Square, we need to create/update
+    // a PRICING_RULE that applies the discount to specific items
+    // IMPORTANT: We must update the pricing rule even if variationIds is empty,
+    // to clear out items that moved to other tiers
+    // This will REPLACE the product set, removing items that moved to other tiers
+    await upsertPricingRule(tier, variationIds);
+
+    // If no variations in this tier, we're done (pricing rule was cleared)
+    if (variationIds.length === 0) {
+        logger.info(`Cleared pricing rule for empty tier ${tier.tier_code}`);
+        return;
+    }
+
+    // Update local records
+    for (const row of variationsResult.rows) {
+        const originalPrice = row.original_price_cents || row.current_price_cents;
+        const discountedPrice = Math.round(originalPrice * (1 - tier.discount_percent / 100));
+
+        // LOGIC CHANGE: skip re-apply when already at correct tier and price (BACKLOG-57)
+        // This prevents noisy DISCOUNT_APPLIED audit logs on daily re-runs
+        const existingDiscountedPrice = row.original_price_cents
+            ? Math.round(row.original_price_cents * (1 - tier.discount_percent / 100))
+            : null;
+        if (row.original_price_cents && existingDiscountedPrice === discountedPrice) {
+            // Check if discount is already applied at this price (and not as a dynamic markdown)
+            const statusCheck = await db.query(`
+                SELECT discounted_price_cents, discount_applied_at, dynamic_discount_percent
+                FROM variation_discount_status
+                WHERE variation_id = $1 AND merchant_id = $2
+            `, [row.variation_id, merchantId]);
+            const currentStatus = statusCheck.rows[0];
+            if (currentStatus?.discount_applied_at &&
+                currentStatus.discounted_price_cents === discountedPrice &&
+                currentStatus.dynamic_discount_percent == null) {
+                results.unchanged.push({
+                    variationId: row.variation_id,
+                    tierCode: tier.tier_code
+                });
+                continue;
+            }
+        }
+
+        await db.query(`
+            UPDATE variation_discount_status
+            SET discounted_price_cents = $1,
+                dynamic_discount_percent = NULL,
+                discount_applied_at = NOW(),
+                updated_at = NOW()
+            WHERE variation_id = $2 AND merchant_id = $3
+        `, [discountedPrice, row.variation_id, merchantId]);
+
+        results.applied.push({
+            variationId: row.variation_id,
+            itemName: row.item_name,
+            sku: row.sku,
+            tierCode: tier.tier_code,
+            originalPrice: originalPrice,
+            discountedPrice: discountedPrice,
+            discountPercent: tier.discount_percent
+        });
+
+        await logAuditEvent({
+            merchantId,
+            variationId: row.variation_id,
+            action: 'DISCOUNT_APPLIED',
+            newTierId: tier.id,
+            oldPriceCents: originalPrice,
+            newPriceCents: discountedPrice,
+            squareSyncStatus: 'SUCCESS',
+            triggeredBy: 'SYSTEM'
+        });
+    }
+}
+
 /**
  * Apply discounts to variations based on their current tier
- * Uses Square Pricing Rules to apply item-level discounts
+ * Uses Square Pricing Rules to apply item-level discounts. In the DYNAMIC
+ * pricing mode each variation gets its own markdown within the tier's
+ * floor and ceiling (dynamic-markdowns.js) instead of the tier percentage.
  * @param {Object} options - Options
  * @param {number} options.merchantId - REQUIRED: Merchant ID for multi-tenant filtering
  * @param {boolean} options.dryRun - If true, don't make any changes
@@ -683,9 +749,9 @@ async function applyDiscounts(options = {}) {
         throw new Error('merchantId is required for applyDiscounts');
     }
 
-    const squareApiModule = getSquareApi();
+    const pricingMode = await getPricingMode(merchantId);
 
-    logger.info('Applying discounts to variations', { merchantId, dryRun });
+    logger.info('Applying discounts to variations', { merchantId, dryRun, pricingMode });
 
     const results = {
         applied: [],
@@ -702,116 +768,33 @@ async function applyDiscounts(options = {}) {
             ORDER BY priority DESC
         `, [merchantId]);
 
+        const publishedSteps = [];
         for (const tier of tiersResult.rows) {
-            // Get variations currently in this tier for this merchant
-            const variationsResult = await db.query(`
-                SELECT
-                    vds.variation_id,
-                    vds.original_price_cents,
-                    v.price_money as current_price_cents,
-                    v.sku,
-                    i.name as item_name
-                FROM variation_discount_status vds
-                JOIN variations v ON vds.variation_id = v.id AND vds.merchant_id = $1 AND v.merchant_id = $1
-                JOIN items i ON v.item_id = i.id AND i.merchant_id = $1
-                WHERE vds.current_tier_id = $2
-                  AND v.is_deleted = FALSE
-            `, [merchantId, tier.id]);
-
-            const variationIds = variationsResult.rows.map(r => r.variation_id);
-
-            logger.info(`Processing ${tier.tier_code} tier`, {
-                variationCount: variationIds.length,
-                discountPercent: tier.discount_percent
-            });
-
-            // For item-level discounts in Square, we need to create/update
-            // a PRICING_RULE that applies the discount to specific items
-            // IMPORTANT: We must update the pricing rule even if variationIds is empty,
-            // to clear out items that moved to other tiers
-            if (!dryRun && tier.square_discount_id) {
-                try {
-                    // Create/update pricing rule for this tier
-                    // This will REPLACE the product set, removing items that moved to other tiers
-                    const pricingRuleResult = await upsertPricingRule(tier, variationIds);
-
-                    // If no variations in this tier, we're done (pricing rule was cleared)
-                    if (variationIds.length === 0) {
-                        logger.info(`Cleared pricing rule for empty tier ${tier.tier_code}`);
-                        continue;
-                    }
-
-                    // Update local records
-                    for (const row of variationsResult.rows) {
-                        const originalPrice = row.original_price_cents || row.current_price_cents;
-                        const discountedPrice = Math.round(originalPrice * (1 - tier.discount_percent / 100));
-
-                        // LOGIC CHANGE: skip re-apply when already at correct tier and price (BACKLOG-57)
-                        // This prevents noisy DISCOUNT_APPLIED audit logs on daily re-runs
-                        const existingDiscountedPrice = row.original_price_cents
-                            ? Math.round(row.original_price_cents * (1 - tier.discount_percent / 100))
-                            : null;
-                        if (row.original_price_cents && existingDiscountedPrice === discountedPrice) {
-                            // Check if discount is already applied at this price
-                            const statusCheck = await db.query(`
-                                SELECT discounted_price_cents, discount_applied_at
-                                FROM variation_discount_status
-                                WHERE variation_id = $1 AND merchant_id = $2
-                            `, [row.variation_id, merchantId]);
-                            const currentStatus = statusCheck.rows[0];
-                            if (currentStatus?.discount_applied_at &&
-                                currentStatus.discounted_price_cents === discountedPrice) {
-                                results.unchanged.push({
-                                    variationId: row.variation_id,
-                                    tierCode: tier.tier_code
-                                });
-                                continue;
-                            }
-                        }
-
-                        await db.query(`
-                            UPDATE variation_discount_status
-                            SET discounted_price_cents = $1,
-                                discount_applied_at = NOW(),
-                                updated_at = NOW()
-                            WHERE variation_id = $2 AND merchant_id = $3
-                        `, [discountedPrice, row.variation_id, merchantId]);
-
-                        results.applied.push({
-                            variationId: row.variation_id,
-                            itemName: row.item_name,
-                            sku: row.sku,
-                            tierCode: tier.tier_code,
-                            originalPrice: originalPrice,
-                            discountedPrice: discountedPrice,
-                            discountPercent: tier.discount_percent
-                        });
-
-                        await logAuditEvent({
-                            merchantId,
-                            variationId: row.variation_id,
-                            action: 'DISCOUNT_APPLIED',
-                            newTierId: tier.id,
-                            oldPriceCents: originalPrice,
-                            newPriceCents: discountedPrice,
-                            squareSyncStatus: 'SUCCESS',
-                            triggeredBy: 'SYSTEM'
-                        });
-                    }
-                } catch (error) {
-                    results.errors.push({
-                        tierCode: tier.tier_code,
-                        error: error.message
-                    });
-                    logger.error('Failed to apply discount for tier', {
-                        tierCode: tier.tier_code,
-                        error: error.message,
-                        merchantId
-                    });
+            if (dryRun) continue;
+            try {
+                if (pricingMode === 'DYNAMIC') {
+                    publishedSteps.push(...await applyDynamicMarkdowns(tier, results));
+                } else if (tier.square_discount_id) {
+                    await applyTierDiscounts(tier, results);
                 }
+            } catch (error) {
+                results.errors.push({
+                    tierCode: tier.tier_code,
+                    error: error.message
+                });
+                logger.error('Failed to apply discount for tier', {
+                    tierCode: tier.tier_code,
+                    error: error.message,
+                    merchantId
+                });
             }
         }
 
+        // Clear dynamic markdown rules no longer in use (all of them in TIERED mode)
+        if (!dryRun) {
+            await clearUnusedSteps(merchantId, publishedSteps, results);
+        }
+
         // Handle removing discounts from items no longer in auto-apply tiers
         // (e.g., moved to OK or EXPIRED)
         const removedResult = await db.query(`
@@ -839,6 +822,7 @@ async function applyDiscounts(options = {}) {
                 await db.query(`
                     UPDATE variation_discount_status
                     SET discounted_price_cents = NULL,
+                        dynamic_discount_percent = NULL,
                         discount_applied_at = NULL,
                         updated_at = NOW()
                     WHERE variation_id = $1 AND merchant_id = $2
@@ -1416,7 +1400,8 @@ async function initializeDefaultTiers(merchantId) {
         { key: 'cron_schedule', value: '0 6 * * *', desc: 'Cron schedule for daily expiry evaluation (default: 6:00 AM)' },
         { key: 'timezone', value: 'America/Toronto', desc: 'Timezone for expiry calculations (EST)' },
         { key: 'auto_apply_enabled', value: 'true', desc: 'Whether to automatically apply discounts' },
-        { key: 'email_notifications', value: 'true', desc: 'Send email alerts for tier changes' }
+        { key: 'email_notifications', value: 'true', desc: 'Send email alerts for tier changes' },
+        { key: 'pricing_mode', value: 'TIERED', desc: 'TIERED: tier percentage; DYNAMIC: per-variation markdown from sales velocity, stock and days to expiry' }
     ];
 
     for (const setting of defaultSettings) {
@@ -1624,10 +1609,11 @@ async function validateExpiryDiscounts({ merchantId, fix = false }) {
                     }
                 }
 
-                // Get expected variations for this tier
+                // Get expected variations for this tier (dynamic markdowns are in step rules)
                 const variationsResult = await db.query(`
                     SELECT variation_id FROM variation_discount_status
                     WHERE current_tier_id = $1 AND merchant_id = $2
+                      AND dynamic_discount_percent IS NULL
                 `, [tier.id, merchantId]);
                 const expectedVariations = variationsResult.rows.map(r => r.variation_id);
 
@@ -1789,6 +1775,7 @@ async function clearExpiryDiscountForReorder(merchantId, variationId) {
                 UPDATE variation_discount_status SET
                     current_tier_id = $1,
                     discounted_price_cents = NULL,
+                    dynamic_discount_percent = NULL,
                     discount_applied_at = NULL,
                     updated_at = NOW()
                 WHERE variation_id = $2 AND merchant_id = $3
@@ -2012,16 +1999,24 @@ async function resolveFlaggedVariation({ merchantId, variationId, action, note }
  * Called from order webhook when a completed order contains discounted variations.
  * When units_sold_at_discount >= expiring_quantity, flags for manual review.
  *
+ * With an orderId, the sale is also recorded at its discounted price
+ * (expiry_discount_sales) for the shrink report's recovery figures.
+ *
  * @param {string} variationId - The variation sold
  * @param {number} quantity - Number of units sold
  * @param {number} merchantId - Merchant ID
+ * @param {string} [orderId] - Square order ID
  * @returns {Promise<{tracked: boolean, flagged: boolean}>}
  */
-async function trackExpiryDiscountSale(variationId, quantity, merchantId) {
+async function trackExpiryDiscountSale(variationId, quantity, merchantId, orderId = null) {
     if (!merchantId || !variationId || !quantity || quantity <= 0) {
         return { tracked: false, flagged: false };
     }
 
+    if (orderId) {
+        await recordDiscountSale(variationId, quantity, merchantId, orderId);
+    }
+
     const result = await db.query(`
         UPDATE variation_discount_status
         SET units_sold_at_discount = COALESCE(units_sold_at_discount, 0) + $1,
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * Dynamic Expiry Markdowns
+ * Pricing mode DYNAMIC (expiry_discount_settings.pricing_mode): instead of
+ * the tier's fixed percentage, each variation in an auto-apply tier gets a
+ * markdown between the tier's floor and ceiling (dynamic_min_percent /
+ * dynamic_max_percent, defaulting to discount_percent) sized to sell its
+ * expiring units before the expiry date.
+ *
+ * Units that must sell per day = expiring units / days left. The 91-day
+ * sales velocity covers some share of that: a variation already selling fast
+ * enough gets the floor, one not selling at all the ceiling, and the rest in
+ * proportion to the shortfall. Percentages are rounded up to 5% steps so a
+ * tier needs at most a handful of Square discounts (markdown-steps.js).
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { ensureStepDiscount, publishStep } = require('./markdown-steps');
+
+const PRICING_MODES = ['TIERED', 'DYNAMIC'];
+const STEP_PERCENT = 5;
+
+// Lazy-load discount-service: it requires this module
+let discountService = null;
+function getDiscountService() {
+    if (!discountService) {
+        discountService = require('./discount-service');
+    }
+    return discountService;
+}
+
+/**
+ * Floor and ceiling for a tier; either falls back to the tier's discount_percent.
+ * @returns {{floor: number, ceiling: number}}
+ */
+function tierMarkdownRange(tier) {
+    const floor = Number(tier.dynamic_min_percent ?? tier.discount_percent);
+    const ceiling = Number(tier.dynamic_max_percent ?? tier.discount_percent);
+    return { floor, ceiling: Math.max(floor, ceiling) };
+}
+
+/**
+ * Markdown needed to sell the expiring units before expiry.
+ * @param {Object} stock
+ * @param {number} stock.units - Units expected to expire
+ * @param {number} stock.daysUntilExpiry
+ * @param {number} stock.dailyVelocity - Units sold per day (91-day average)
+ * @param {Object} range - From tierMarkdownRange()
+ * @returns {number} Percentage: the floor, the ceiling or a 5% step in between
+ */
+function calculateMarkdownPercent({ units, daysUntilExpiry, dailyVelocity }, { floor, ceiling }) {
+    if (!(units > 0)) return floor;
+    if (!(daysUntilExpiry > 0)) return ceiling;
+
+    const neededPerDay = units / daysUntilExpiry;
+    const coverage = Math.min((Number(dailyVelocity) || 0) / neededPerDay, 1);
+    const percent = floor + (ceiling - floor) * (1 - coverage);
+    if (percent <= floor) return floor;
+    // Round up to the next step (the epsilon keeps 35.000000001 at 35)
+    return Math.min(Math.ceil(percent / STEP_PERCENT - 1e-9) * STEP_PERCENT, ceiling);
+}
+
+/**
+ * @returns {Promise<string>} TIERED (default) or DYNAMIC
+ */
+async function getPricingMode(merchantId) {
+    const mode = await getDiscountService().getSetting('pricing_mode', merchantId);
+    return PRICING_MODES.includes(mode) ? mode : 'TIERED';
+}
+
+/**
+ * Variations in a tier with the stock and velocity the markdown is sized from.
+ * Expiring units are the expected units not yet sold at a discount
+ * (expiring_quantity, set per lot or by hand) or else all stock on hand.
+ */
+async function loadTierStock(tier) {
+    const { rows } = await db.query(`
+        SELECT
+            vds.variation_id,
+            vds.original_price_cents,
+            vds.discounted_price_cents,
+            vds.discount_applied_at,
+            vds.dynamic_discount_percent,
+            vds.days_until_expiry,
+            vds.expiring_quantity,
+            vds.units_sold_at_discount,
+            v.price_money AS current_price_cents,
+            v.sku,
+            i.name AS item_name,
+            COALESCE(stock.quantity, 0) AS on_hand,
+            COALESCE(vel.daily_avg_quantity, 0) AS daily_velocity
+        FROM variation_discount_status vds
+        JOIN variations v ON vds.variation_id = v.id AND v.merchant_id = $1
+        JOIN items i ON v.item_id = i.id AND i.merchant_id = $1
+        LEFT JOIN LATERAL (
+            SELECT SUM(ic.quantity) AS quantity
+            FROM inventory_counts ic
+            WHERE ic.catalog_object_id = v.id AND ic.merchant_id = $1 AND ic.state = 'IN_STOCK'
+        ) stock ON TRUE
+        LEFT JOIN LATERAL (
+            SELECT SUM(sv.daily_avg_quantity) AS daily_avg_quantity
+            FROM sales_velocity sv
+            WHERE sv.variation_id = v.id AND sv.merchant_id = $1 AND sv.period_days = 91
+        ) vel ON TRUE
+        WHERE vds.merchant_id = $1
+          AND vds.current_tier_id = $2
+          AND v.is_deleted = FALSE
+    `, [tier.merchant_id, tier.id]);
+    return rows;
+}
+
+function expiringUnits(row) {
+    const onHand = Math.max(Number(row.on_hand), 0);
+    if (row.expiring_quantity == null) return onHand;
+    const unsold = Math.max(row.expiring_quantity - (row.units_sold_at_discount || 0), 0);
+    return Math.min(unsold, onHand);
+}
+
+/**
+ * Record one variation's markdown locally, skipping it when unchanged.
+ * A 0% markdown (floor 0, selling fast enough) leaves it undiscounted.
+ */
+async function saveMarkdown(tier, row, percent, results) {
+    const merchantId = tier.merchant_id;
+    const originalPrice = row.original_price_cents || row.current_price_cents;
+    const discountedPrice = percent > 0 ? Math.round(originalPrice * (1 - percent / 100)) : null;
+    if (row.dynamic_discount_percent != null && Number(row.dynamic_discount_percent) === percent
+        && row.discounted_price_cents === discountedPrice) {
+        results.unchanged.push({ variationId: row.variation_id, tierCode: tier.tier_code });
+        return;
+    }
+
+    await db.query(`
+        UPDATE variation_discount_status
+        SET discounted_price_cents = $1,
+            dynamic_discount_percent = $2,
+            discount_applied_at = CASE WHEN $1::int IS NULL THEN NULL ELSE NOW() END,
+            updated_at = NOW()
+        WHERE variation_id = $3 AND merchant_id = $4
+    `, [discountedPrice, percent, row.variation_id, merchantId]);
+
+    if (discountedPrice === null) {
+        if (row.discount_applied_at) {
+            results.removed.push({ variationId: row.variation_id, tierCode: tier.tier_code });
+            await getDiscountService().logAuditEvent({
+                merchantId,
+                variationId: row.variation_id,
+                action: 'DISCOUNT_REMOVED',
+                oldPriceCents: row.discounted_price_cents,
+                newPriceCents: originalPrice,
+                squareSyncStatus: 'SUCCESS',
+                triggeredBy: 'SYSTEM'
+            });
+        }
+        return;
+    }
+
+    results.applied.push({
+        variationId: row.variation_id,
+        itemName: row.item_name,
+        sku: row.sku,
+        tierCode: tier.tier_code,
+        originalPrice,
+        discountedPrice,
+        discountPercent: percent
+    });
+    await getDiscountService().logAuditEvent({
+        merchantId,
+        variationId: row.variation_id,
+        action: 'DISCOUNT_APPLIED',
+        newTierId: tier.id,
+        oldPriceCents: originalPrice,
+        newPriceCents: discountedPrice,
+        squareSyncStatus: 'SUCCESS',
+        triggeredBy: 'SYSTEM'
+    });
+}
+
+/**
+ * Price every variation in an auto-apply tier dynamically and publish one
+ * pricing rule per step. The tier's fixed-percentage rule is cleared.
+ * @param {Object} tier - Active auto-apply tier
+ * @param {Object} results - applyDiscounts() results (applied/removed/unchanged/errors)
+ * @returns {Promise<Array<number>>} IDs of the steps published
+ */
+async function applyDynamicMarkdowns(tier, results) {
+    const rows = await loadTierStock(tier);
+    const range = tierMarkdownRange(tier);
+    const byPercent = new Map();
+    for (const row of rows) {
+        const percent = calculateMarkdownPercent({
+            units: expiringUnits(row),
+            daysUntilExpiry: row.days_until_expiry,
+            dailyVelocity: row.daily_velocity
+        }, range);
+        if (!byPercent.has(percent)) byPercent.set(percent, []);
+        byPercent.get(percent).push(row);
+    }
+
+    logger.info(`Processing ${tier.tier_code} tier (dynamic)`, {
+        variationCount: rows.length,
+        floor: range.floor,
+        ceiling: range.ceiling,
+        steps: [...byPercent.keys()].filter(percent => percent > 0)
+    });
+
+    await getDiscountService().upsertPricingRule(tier, []);
+
+    const { rows: existingSteps } = await db.query(
+        'SELECT * FROM expiry_discount_steps WHERE merchant_id = $1 AND tier_id = $2',
+        [tier.merchant_id, tier.id]
+    );
+    const published = [];
+    for (const [percent, stepRows] of byPercent) {
+        try {
+            if (percent > 0) {
+                const step = await ensureStepDiscount(tier, percent, existingSteps);
+                await publishStep(tier, step, stepRows.map(row => row.variation_id));
+                published.push(step.id);
+            }
+            for (const row of stepRows) await saveMarkdown(tier, row, percent, results);
+        } catch (error) {
+            results.errors.push({ tierCode: `${tier.tier_code}-${percent}`, error: error.message });
+            logger.error('Failed to apply dynamic markdown step', {
+                tierCode: tier.tier_code, percent, error: error.message, merchantId: tier.merchant_id
+            });
+        }
+    }
+    return published;
+}
+
+module.exports = {
+    PRICING_MODES,
+    tierMarkdownRange,
+    calculateMarkdownPercent,
+    getPricingMode,
+    applyDynamicMarkdowns
+};
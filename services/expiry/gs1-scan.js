@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * GS1 Expiry Scans
+ * Resolves a scanned GS1 element string (utils/gs1.js) for expiry entry and
+ * receiving: the GTIN to our variation (UPC compared without leading zeros,
+ * as PO receiving does), the expiry date and lot, and whether they disagree
+ * with what is stored.
+ *
+ * Conflicts:
+ *   EXPIRY_DATE_MISMATCH – the variation isn't tracked by lot and its stored
+ *                          expiry date differs from the scanned one
+ *   LOT_DATE_MISMATCH    – a lot with the scanned lot code has another date
+ *   DOES_NOT_EXPIRE      – the variation is marked as never expiring
+ * Lot-tracked variations are only checked by lot: their stored date is the
+ * earliest lot's, which a newer lot is expected to differ from.
+ */
+
+const db = require('../../utils/database');
+const { parseGs1 } = require('../../utils/gs1');
+
+// saveExpirations() stores this when no date is given, to force a review
+const REVIEW_PLACEHOLDER_DATE = '2020-01-01';
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+async function findVariationByGtin(merchantId, gtin) {
+    const { rows } = await db.query(`
+        SELECT v.id, v.sku, v.upc, v.name AS variation_name, i.name AS item_name,
+               to_char(ve.expiration_date, 'YYYY-MM-DD') AS stored_expiration_date,
+               COALESCE(ve.does_not_expire, FALSE) AS does_not_expire
+        FROM variations v
+        JOIN items i ON v.item_id = i.id AND i.merchant_id = $1
+        LEFT JOIN variation_expiration ve ON ve.variation_id = v.id AND ve.merchant_id = $1
+        WHERE v.merchant_id = $1
+          AND LTRIM(v.upc, '0') = $2
+          AND COALESCE(v.is_deleted, FALSE) = FALSE
+        ORDER BY v.id
+        LIMIT 1
+    `, [merchantId, gtin.replace(/^0+/, '')]);
+    return rows[0] || null;
+}
+
+async function loadActiveLots(merchantId, variationId) {
+    const { rows } = await db.query(`
+        SELECT id, lot_code, to_char(expiration_date, 'YYYY-MM-DD') AS expiration_date, quantity
+        FROM inventory_lots
+        WHERE variation_id = $1 AND merchant_id = $2 AND quantity > 0
+        ORDER BY expiration_date, id
+    `, [variationId, merchantId]);
+    return rows;
+}
+
+function findConflicts(variation, lots, { expirationDate, lotCode }) {
+    const conflicts = [];
+    if (!expirationDate) return conflicts;
+    if (variation.does_not_expire) {
+        conflicts.push({ type: 'DOES_NOT_EXPIRE', message: 'Item is marked as never expiring' });
+    }
+    const sameLot = lotCode ? lots.find(lot => lot.lot_code === lotCode) : null;
+    if (sameLot && sameLot.expiration_date !== expirationDate) {
+        conflicts.push({
+            type: 'LOT_DATE_MISMATCH',
+            message: `Lot ${lotCode} is recorded as expiring ${sameLot.expiration_date}`,
+            lot_id: sameLot.id,
+            stored_expiration_date: sameLot.expiration_date
+        });
+    }
+    const stored = variation.stored_expiration_date;
+    if (lots.length === 0 && stored && stored !== REVIEW_PLACEHOLDER_DATE && stored !== expirationDate) {
+        conflicts.push({
+            type: 'EXPIRY_DATE_MISMATCH',
+            message: `Stored expiry date is ${stored}`,
+            stored_expiration_date: stored
+        });
+    }
+    return conflicts;
+}
+
+/**
+ * Parse a scan and resolve it against the merchant's catalog.
+ * @param {number} merchantId
+ * @param {string} scan - GS1 element string as scanned
+ * @returns {Promise<Object>} { gtin, expiration_date, lot_code, variation, conflicts } —
+ *   variation is null when no variation has the GTIN as its UPC
+ * @throws with .statusCode 400 when the scan can't be read or carries no GTIN
+ */
+async function resolveScan(merchantId, scan) {
+    const parsed = parseGs1(scan);
+    if (!parsed.gtin) throw clientError('Scan has no GTIN (AI 01)', 400);
+
+    const variation = await findVariationByGtin(merchantId, parsed.gtin);
+    const lots = variation ? await loadActiveLots(merchantId, variation.id) : [];
+    return {
+        gtin: parsed.gtin,
+        expiration_date: parsed.expirationDate,
+        lot_code: parsed.lotCode,
+        variation: variation && {
+            id: variation.id,
+            sku: variation.sku,
+            item_name: variation.item_name,
+            variation_name: variation.variation_name,
+            stored_expiration_date: variation.stored_expiration_date,
+            lot_tracked: lots.length > 0
+        },
+        conflicts: variation ? findConflicts(variation, lots, parsed) : []
+    };
+}
+
+/**
+ * Resolve expiry entries given as scans ({ scan }) into the
+ * { variation_id, expiration_date } entries saveExpirations() takes.
+ * Entries without a scan pass through. A scan is held back when it can't be
+ * read, matches no variation or has no expiry date, and when it conflicts
+ * with the stored date unless the entry has override_conflict: true.
+ * @returns {Promise<Object>} { changes, scans } — scans reports every scanned entry
+ *   with status SAVED, CONFLICT, NO_EXPIRY, NOT_FOUND or INVALID
+ */
+async function resolveExpiryEntries(merchantId, entries) {
+    const changes = [];
+    const scans = [];
+    for (const entry of entries) {
+        if (!entry.scan) {
+            changes.push(entry);
+            continue;
+        }
+        let resolved;
+        try {
+            resolved = await resolveScan(merchantId, entry.scan);
+        } catch (err) {
+            if (!err.statusCode) throw err;
+            scans.push({ scan: entry.scan, status: 'INVALID', error: err.message });
+            continue;
+        }
+        let status = 'SAVED';
+        if (!resolved.variation) status = 'NOT_FOUND';
+        else if (!resolved.expiration_date) status = 'NO_EXPIRY';
+        else if (resolved.conflicts.length > 0 && entry.override_conflict !== true) status = 'CONFLICT';
+        scans.push({ scan: entry.scan, status, ...resolved });
+        if (status === 'SAVED') {
+            changes.push({ variation_id: resolved.variation.id, expiration_date: resolved.expiration_date });
+        }
+    }
+    return { changes, scans };
+}
+
+module.exports = {
+    resolveScan,
+    resolveExpiryEntries
+};
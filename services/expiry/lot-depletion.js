@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Inventory Lot Depletion
+ * Takes sold and pulled units out of inventory_lots. Sales draw on a
+ * location's lots earliest expiry first (FIFO), so the near-dated units a
+ * discount was applied for are the ones counted as sold. Each Square order is
+ * recorded once in inventory_lot_sales; a redelivered webhook for the same
+ * order finds its row and depletes nothing.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { syncVariationExpiry } = require('./lot-service');
+
+/**
+ * Split each line's quantity over its variation's lots in the order given.
+ * Mutates lot quantities; units beyond the lots' stock are left unallocated.
+ * @param {Array} lots - { id, variation_id, quantity }, earliest expiry first
+ * @param {Array} lines - { variationId, quantity }
+ * @returns {Array} { lot_id, variation_id, quantity }
+ */
+function allocateFifo(lots, lines) {
+    const allocations = [];
+    for (const line of lines) {
+        let remaining = line.quantity;
+        for (const lot of lots) {
+            if (remaining <= 0) break;
+            if (lot.variation_id !== line.variationId || lot.quantity <= 0) continue;
+            const taken = Math.min(lot.quantity, remaining);
+            lot.quantity -= taken;
+            remaining -= taken;
+            allocations.push({ lot_id: lot.id, variation_id: lot.variation_id, quantity: taken });
+        }
+    }
+    return allocations;
+}
+
+/**
+ * Deplete lots for a completed sale.
+ * @param {number} merchantId
+ * @param {Object} sale
+ * @param {string} sale.orderId - Square order ID (dedupe key)
+ * @param {string} sale.locationId - Location the order was sold from
+ * @param {Array} sale.lines - { variationId, quantity }
+ * @returns {Promise<Object>} { duplicate, allocations }
+ */
+async function depleteForSale(merchantId, { orderId, locationId, lines }) {
+    const variationIds = [...new Set(lines.map(line => line.variationId))];
+    if (!orderId || !locationId || variationIds.length === 0) return { duplicate: false, allocations: [] };
+
+    // Most orders have no lot-tracked items; skip the claim row for them
+    const { rows: tracked } = await db.query(`
+        SELECT 1 FROM inventory_lots
+        WHERE merchant_id = $1 AND location_id = $2 AND variation_id = ANY($3) AND quantity > 0
+        LIMIT 1
+    `, [merchantId, locationId, variationIds]);
+    if (tracked.length === 0) return { duplicate: false, allocations: [] };
+
+    const result = await db.transaction(async (client) => {
+        const { rows: claim } = await client.query(`
+            INSERT INTO inventory_lot_sales (merchant_id, square_order_id, location_id)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (merchant_id, square_order_id) DO NOTHING
+            RETURNING id
+        `, [merchantId, orderId, locationId]);
+        if (claim.length === 0) return { duplicate: true, allocations: [] };
+
+        const { rows: lots } = await client.query(`
+            SELECT id, variation_id, quantity
+            FROM inventory_lots
+            WHERE merchant_id = $1 AND location_id = $2 AND variation_id = ANY($3) AND quantity > 0
+            ORDER BY expiration_date, id
+            FOR UPDATE
+        `, [merchantId, locationId, variationIds]);
+
+        const allocations = allocateFifo(lots, lines);
+        for (const allocation of allocations) {
+            await client.query(
+                'UPDATE inventory_lots SET quantity = quantity - $1, updated_at = NOW() WHERE id = $2 AND merchant_id = $3',
+                [allocation.quantity, allocation.lot_id, merchantId]
+            );
+        }
+        await client.query(
+            'UPDATE inventory_lot_sales SET allocations = $1 WHERE id = $2',
+            [JSON.stringify(allocations), claim[0].id]
+        );
+        await syncVariationExpiry(client, merchantId, variationIds);
+        return { duplicate: false, allocations };
+    });
+
+    if (result.allocations.length > 0) {
+        logger.info('Depleted inventory lots for sale', {
+            merchantId, orderId, locationId, lots: result.allocations.length
+        });
+    }
+    return result;
+}
+
+/**
+ * Empty a variation's lots when stock is pulled from the shelf
+ * (POST /api/expirations/pull).
+ * @param {number} merchantId
+ * @param {string} variationId
+ * @param {Object} [options]
+ * @param {string|null} [options.expiringBefore] - Only lots dated before this
+ *   (YYYY-MM-DD; partial pull). null empties every lot (full pull).
+ * @returns {Promise<number>} Lots emptied
+ */
+async function pullLots(merchantId, variationId, { expiringBefore = null } = {}) {
+    const { rowCount } = await db.query(`
+        UPDATE inventory_lots SET quantity = 0, updated_at = NOW()
+        WHERE merchant_id = $1 AND variation_id = $2 AND quantity > 0
+          AND ($3::date IS NULL OR expiration_date < $3::date)
+    `, [merchantId, variationId, expiringBefore]);
+    if (rowCount > 0) {
+        await syncVariationExpiry(db, merchantId, [variationId]);
+        logger.info('Emptied pulled inventory lots', { merchantId, variationId, expiringBefore, lots: rowCount });
+    }
+    return rowCount;
+}
+
+module.exports = {
+    allocateFifo,
+    depleteForSale,
+    pullLots
+};
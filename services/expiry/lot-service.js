@@ -0,0 +1,248 @@
+'use strict';
+
+/**
+ * Inventory Lot Service
+ * Lots are stock of one variation at one location sharing an expiry date and
+ * optional lot code (inventory_lots). They are created when PO lines are
+ * received with expiry dates (createReceiptLots) or entered by hand, and
+ * depleted by sales and pulls (lot-depletion.js).
+ *
+ * variation_expiration.expiration_date stays the variation's summary date:
+ * after any lot change it is set to the earliest expiry among lots with stock,
+ * so screens and reports that read one date per variation keep working.
+ * Discount tiers are evaluated per lot (lot-tiers.js).
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { resolveScan } = require('./gs1-scan');
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+/**
+ * Set each variation's summary expiry to its earliest lot with stock.
+ * Variations whose lots are all depleted keep their last date.
+ * @param {Object} queryable - db or a transaction client
+ * @param {number} merchantId
+ * @param {string[]} variationIds
+ */
+async function syncVariationExpiry(queryable, merchantId, variationIds) {
+    if (variationIds.length === 0) return;
+    await queryable.query(`
+        INSERT INTO variation_expiration (variation_id, expiration_date, does_not_expire, merchant_id, updated_at)
+        SELECT variation_id, MIN(expiration_date), FALSE, merchant_id, NOW()
+        FROM inventory_lots
+        WHERE merchant_id = $1 AND variation_id = ANY($2) AND quantity > 0
+        GROUP BY variation_id, merchant_id
+        ON CONFLICT (variation_id, merchant_id) DO UPDATE SET
+            expiration_date = EXCLUDED.expiration_date,
+            does_not_expire = FALSE,
+            updated_at = NOW()
+    `, [merchantId, variationIds]);
+}
+
+/**
+ * @param {number} merchantId
+ * @param {Object} [filters]
+ * @param {string} [filters.variationId]
+ * @param {string} [filters.locationId]
+ * @param {boolean} [filters.includeDepleted] - Also return lots with no stock left
+ * @returns {Promise<Array>} Lots, earliest expiry first, with item / location names and tier
+ */
+async function listLots(merchantId, { variationId, locationId, includeDepleted = false } = {}) {
+    const params = [merchantId];
+    let where = 'l.merchant_id = $1';
+    if (variationId) {
+        params.push(variationId);
+        where += ` AND l.variation_id = $${params.length}`;
+    }
+    if (locationId) {
+        params.push(locationId);
+        where += ` AND l.location_id = $${params.length}`;
+    }
+    if (!includeDepleted) where += ' AND l.quantity > 0';
+
+    const { rows } = await db.query(`
+        SELECT l.id, l.variation_id, l.location_id, l.lot_code, l.expiration_date,
+               l.received_quantity, l.quantity, l.purchase_order_id, l.days_until_expiry,
+               l.created_at, l.updated_at,
+               v.sku, v.name AS variation_name, i.name AS item_name, loc.name AS location_name,
+               po.po_number, edt.tier_code, edt.tier_name
+        FROM inventory_lots l
+        JOIN variations v ON l.variation_id = v.id AND v.merchant_id = $1
+        JOIN items i ON v.item_id = i.id AND i.merchant_id = $1
+        LEFT JOIN locations loc ON l.location_id = loc.id AND loc.merchant_id = $1
+        LEFT JOIN purchase_orders po ON l.purchase_order_id = po.id AND po.merchant_id = $1
+        LEFT JOIN expiry_discount_tiers edt ON l.current_tier_id = edt.id AND edt.merchant_id = $1
+        WHERE ${where}
+        ORDER BY l.expiration_date, i.name, v.name, l.id
+    `, params);
+    return rows;
+}
+
+async function loadLot(merchantId, lotId) {
+    const { rows } = await db.query(
+        'SELECT * FROM inventory_lots WHERE id = $1 AND merchant_id = $2',
+        [lotId, merchantId]
+    );
+    if (rows.length === 0) throw clientError('Lot not found', 404);
+    return rows[0];
+}
+
+/**
+ * Fill a lot's variation, expiry date and lot code from a GS1 scan.
+ * Fields already given win over the scanned ones.
+ * @returns {Promise<Object>} { fields, scanned } — scanned as resolveScan() returns it
+ * @throws with .statusCode 404 when no variation has the scanned GTIN, 400 when
+ *   neither the scan nor the fields give an expiry date
+ */
+async function applyScan(merchantId, scan, fields) {
+    const scanned = await resolveScan(merchantId, scan);
+    if (!scanned.variation) throw clientError(`No item has GTIN ${scanned.gtin}`, 404);
+    const merged = {
+        ...fields,
+        variationId: fields.variationId || scanned.variation.id,
+        expirationDate: fields.expirationDate || scanned.expiration_date,
+        lotCode: fields.lotCode || scanned.lot_code
+    };
+    if (!merged.expirationDate) throw clientError('Scan has no expiry date; send expiration_date', 400);
+    return { fields: merged, scanned };
+}
+
+/**
+ * Enter a lot by hand (stock already on the shelf, or a correction), or from
+ * a GS1 scan.
+ * @param {number} merchantId
+ * @param {Object} lot - { variationId, locationId, quantity, expirationDate, lotCode, scan }.
+ *   With a scan, variationId/expirationDate/lotCode are optional and filled from it
+ * @returns {Promise<Object>} { lot, scan } — scan is the resolved scan (with conflicts), or null
+ * @throws with .statusCode 400 when the variation or location isn't the merchant's,
+ *   or as applyScan() for scans
+ */
+async function createLot(merchantId, { scan, ...entry }) {
+    let scanned = null;
+    if (scan) {
+        ({ fields: entry, scanned } = await applyScan(merchantId, scan, entry));
+    }
+    const { variationId, locationId, quantity, expirationDate, lotCode } = entry;
+
+    const { rows: refs } = await db.query(`
+        SELECT
+            EXISTS (SELECT 1 FROM variations WHERE id = $1 AND merchant_id = $3) AS variation_ok,
+            EXISTS (SELECT 1 FROM locations WHERE id = $2 AND merchant_id = $3) AS location_ok
+    `, [variationId, locationId, merchantId]);
+    if (!refs[0].variation_ok) throw clientError('Variation not found for this merchant', 400);
+    if (!refs[0].location_ok) throw clientError('Location not found for this merchant', 400);
+
+    const { rows } = await db.query(`
+        INSERT INTO inventory_lots
+            (merchant_id, variation_id, location_id, lot_code, expiration_date, received_quantity, quantity)
+        VALUES ($1, $2, $3, $4, $5, $6, $6)
+        RETURNING *
+    `, [merchantId, variationId, locationId, lotCode || null, expirationDate, quantity]);
+    await syncVariationExpiry(db, merchantId, [variationId]);
+
+    logger.info('Inventory lot created', { merchantId, lotId: rows[0].id, variationId, locationId, quantity, expirationDate });
+    return { lot: rows[0], scan: scanned };
+}
+
+/**
+ * Correct a lot's on-hand quantity, expiry date or lot code.
+ * @param {Object} changes - { quantity, expirationDate, lotCode } — omitted fields are kept
+ * @returns {Promise<Object>} The updated lot row
+ */
+async function updateLot(merchantId, lotId, { quantity, expirationDate, lotCode }) {
+    const lot = await loadLot(merchantId, lotId);
+    const { rows } = await db.query(`
+        UPDATE inventory_lots
+        SET quantity = $1, expiration_date = $2, lot_code = $3,
+            received_quantity = GREATEST(received_quantity, $1), updated_at = NOW()
+        WHERE id = $4 AND merchant_id = $5
+        RETURNING *
+    `, [
+        quantity ?? lot.quantity,
+        expirationDate ?? lot.expiration_date,
+        lotCode !== undefined ? (lotCode || null) : lot.lot_code,
+        lotId,
+        merchantId
+    ]);
+    await syncVariationExpiry(db, merchantId, [lot.variation_id]);
+    return rows[0];
+}
+
+/**
+ * @returns {Promise<Object>} The deleted lot row
+ */
+async function deleteLot(merchantId, lotId) {
+    const lot = await loadLot(merchantId, lotId);
+    await db.query('DELETE FROM inventory_lots WHERE id = $1 AND merchant_id = $2', [lotId, merchantId]);
+    await syncVariationExpiry(db, merchantId, [lot.variation_id]);
+    logger.info('Inventory lot deleted', { merchantId, lotId, variationId: lot.variation_id });
+    return lot;
+}
+
+/**
+ * Check receipt lots before anything is written: a line's lots can't add up
+ * to more than the quantity received on it.
+ * @param {Array} items - Receive payload lines { id, received_quantity, lots? }
+ * @throws with .statusCode 400
+ */
+function validateReceiptLots(items) {
+    for (const item of items) {
+        const lotTotal = (item.lots || []).reduce((sum, lot) => sum + Number(lot.quantity), 0);
+        if (lotTotal > Number(item.received_quantity)) {
+            throw clientError(`Lots on line ${item.id} add up to ${lotTotal}, more than the ${item.received_quantity} received`, 400);
+        }
+    }
+}
+
+/**
+ * Create lots for received PO lines at the PO's location, inside the receive
+ * transaction. Lines without lots are received without lot tracking.
+ * @param {Object} client - Transaction client
+ * @param {number} merchantId
+ * @param {Object} po - { id, location_id }
+ * @param {Array} items - Receive payload lines { id, lots?: [{ quantity, expiration_date, lot_code }] }
+ * @returns {Promise<number>} Lots created
+ */
+async function createReceiptLots(client, merchantId, po, items) {
+    const withLots = items.filter(item => item.lots && item.lots.length > 0);
+    if (withLots.length === 0) return 0;
+
+    const { rows: lines } = await client.query(
+        'SELECT id, variation_id FROM purchase_order_items WHERE id = ANY($1) AND purchase_order_id = $2 AND merchant_id = $3',
+        [withLots.map(item => item.id), po.id, merchantId]
+    );
+    const variationByLine = new Map(lines.map(line => [line.id, line.variation_id]));
+
+    let created = 0;
+    for (const item of withLots) {
+        const variationId = variationByLine.get(Number(item.id));
+        if (!variationId) continue;
+        for (const lot of item.lots) {
+            await client.query(`
+                INSERT INTO inventory_lots
+                    (merchant_id, variation_id, location_id, lot_code, expiration_date,
+                     received_quantity, quantity, purchase_order_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $6, $7)
+            `, [merchantId, variationId, po.location_id, lot.lot_code || null, lot.expiration_date, Number(lot.quantity), po.id]);
+            created++;
+        }
+    }
+    await syncVariationExpiry(client, merchantId, [...new Set(variationByLine.values())]);
+    return created;
+}
+
+module.exports = {
+    syncVariationExpiry,
+    listLots,
+    createLot,
+    updateLot,
+    deleteLot,
+    validateReceiptLots,
+    createReceiptLots
+};
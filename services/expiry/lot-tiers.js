@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Lot Tier Assessment
+ * Tier evaluation for variations tracked by lot (inventory_lots). Each active
+ * lot is placed in the tier for its own expiry date; the variation takes the
+ * most urgent lot's tier, and its expiring quantity is the units in lots at
+ * that tier — the near-dated units the discount is meant to move. As sales
+ * deplete those lots (FIFO, lot-service.js) the next evaluation moves the
+ * variation on to the next lot's tier.
+ */
+
+const db = require('../../utils/database');
+const { calculateDaysUntilExpiry, determineTier } = require('./tier-math');
+
+/**
+ * @param {Array} lots - Active lots { id, expiration_date, quantity, current_tier_id },
+ *   earliest expiry first
+ * @param {Array} tiers - From getActiveTiers()
+ * @param {Map<number, number>} tierRankMap - From buildTierRankMap()
+ * @param {string} timezone
+ * @returns {Object} { tier, daysUntilExpiry, expirationDate, expiringQuantity,
+ *   lotRegressed, lotTiers } — tier is null when no lot falls in a tier.
+ *   lotRegressed: a lot moved to a less urgent tier than the one stored for it
+ *   (its own date was pushed out), as opposed to near-dated lots selling through.
+ */
+function assessLots(lots, tiers, tierRankMap, timezone) {
+    const assessed = lots.map(lot => {
+        const daysUntilExpiry = calculateDaysUntilExpiry(lot.expiration_date, timezone);
+        const tier = determineTier(daysUntilExpiry, tiers);
+        const rank = tier ? (tierRankMap.get(tier.id) ?? -1) : -1;
+        const storedRank = lot.current_tier_id != null ? (tierRankMap.get(lot.current_tier_id) ?? -1) : -1;
+        return { lot, daysUntilExpiry, tier, regressed: tier !== null && lot.current_tier_id != null && rank < storedRank };
+    });
+
+    const tiered = assessed.filter(a => a.tier);
+    const top = tiered[0] || null;
+    const atTopTier = top ? tiered.filter(a => a.tier.id === top.tier.id) : [];
+
+    return {
+        tier: top ? top.tier : null,
+        daysUntilExpiry: top ? top.daysUntilExpiry : null,
+        expirationDate: top ? top.lot.expiration_date : null,
+        expiringQuantity: atTopTier.reduce((sum, a) => sum + Number(a.lot.quantity), 0),
+        lotRegressed: assessed.some(a => a.regressed),
+        lotTiers: assessed.map(a => ({ id: a.lot.id, tierId: a.tier ? a.tier.id : null, daysUntilExpiry: a.daysUntilExpiry }))
+    };
+}
+
+/**
+ * Store each lot's evaluated tier and days to expiry.
+ * @param {Array} lotTiers - assessLots().lotTiers
+ * @param {number} merchantId
+ */
+async function saveLotTiers(lotTiers, merchantId) {
+    if (lotTiers.length === 0) return;
+    await db.query(`
+        UPDATE inventory_lots l
+        SET current_tier_id = u.tier_id, days_until_expiry = u.days, updated_at = NOW()
+        FROM unnest($1::int[], $2::int[], $3::int[]) AS u(id, tier_id, days)
+        WHERE l.id = u.id AND l.merchant_id = $4
+    `, [
+        lotTiers.map(t => t.id),
+        lotTiers.map(t => t.tierId),
+        lotTiers.map(t => t.daysUntilExpiry),
+        merchantId
+    ]);
+}
+
+module.exports = {
+    assessLots,
+    saveLotTiers
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Dynamic Markdown Steps
+ * A Square pricing rule applies one discount object to a set of variations,
+ * so dynamic markdowns (dynamic-markdowns.js) are grouped into steps: one
+ * FIXED_PERCENTAGE discount per tier and percentage (expiry_discount_steps),
+ * created on first use and kept for reuse. Each step is published through
+ * the same upsertPricingRule() as a fixed-percentage tier, under the rule key
+ * expiry-<tier>-<percent>; variation_count records what the rule covers so
+ * rules no longer needed can be cleared.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+
+// Lazy-load discount-service (it requires this module via dynamic-markdowns) and square-api
+let discountService = null;
+function getDiscountService() {
+    if (!discountService) {
+        discountService = require('./discount-service');
+    }
+    return discountService;
+}
+
+let squareApi = null;
+function getSquareApi() {
+    if (!squareApi) {
+        squareApi = require('../square');
+    }
+    return squareApi;
+}
+
+// Tier as upsertPricingRule() sees it for one markdown step
+function stepTier(tier, step) {
+    return {
+        ...tier,
+        tier_code: `${tier.tier_code}-${Number(step.discount_percent)}`,
+        square_discount_id: step.square_discount_id
+    };
+}
+
+/**
+ * Square discount object for a tier and step, created on first use.
+ * @param {Object} tier
+ * @param {number} percent
+ * @param {Array} existingSteps - The tier's expiry_discount_steps rows
+ * @returns {Promise<Object>} expiry_discount_steps row
+ */
+async function ensureStepDiscount(tier, percent, existingSteps) {
+    const existing = existingSteps.find(step => Number(step.discount_percent) === percent);
+    if (existing?.square_discount_id) return existing;
+
+    const squareApiModule = getSquareApi();
+    const accessToken = await squareApiModule.getMerchantToken(tier.merchant_id);
+    const code = `${tier.tier_code}-${percent}`;
+    const response = await squareApiModule.makeSquareRequest('/v2/catalog/object', {
+        method: 'POST',
+        accessToken,
+        body: JSON.stringify({
+            // One discount per (merchant, tier, percent): if the step row failed to save
+            // after Square created the discount, the retry gets the same object back
+            idempotency_key: `expiry-step-${tier.merchant_id}-${tier.id}-${percent}`,
+            object: {
+                type: 'DISCOUNT',
+                id: `#${code}`,
+                discount_data: {
+                    name: `Clearance ${percent}% Off`,
+                    discount_type: 'FIXED_PERCENTAGE',
+                    percentage: percent.toString()
+                }
+            }
+        })
+    });
+
+    const { rows } = await db.query(`
+        INSERT INTO expiry_discount_steps (merchant_id, tier_id, discount_percent, square_discount_id)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (merchant_id, tier_id, discount_percent) DO UPDATE
+        SET square_discount_id = EXCLUDED.square_discount_id, updated_at = NOW()
+        RETURNING *
+    `, [tier.merchant_id, tier.id, percent, response.catalog_object?.id]);
+
+    logger.info('Created dynamic markdown discount', {
+        tierCode: tier.tier_code, percent, discountId: rows[0]?.square_discount_id, merchantId: tier.merchant_id
+    });
+    return rows[0];
+}
+
+/**
+ * Replace the variations in a step's pricing rule (an empty list clears it).
+ */
+async function publishStep(tier, step, variationIds) {
+    await getDiscountService().upsertPricingRule(stepTier(tier, step), variationIds);
+    await db.query(
+        'UPDATE expiry_discount_steps SET variation_count = $1, updated_at = NOW() WHERE id = $2 AND merchant_id = $3',
+        [variationIds.length, step.id, tier.merchant_id]
+    );
+}
+
+/**
+ * Clear the pricing rules of steps that still cover variations but were not
+ * published this run (tiered mode, or a step no variation needs any more).
+ * @param {number} merchantId
+ * @param {Array<number>} keepStepIds - Steps published by applyDynamicMarkdowns()
+ * @param {Object} results - applyDiscounts() results, for errors
+ */
+async function clearUnusedSteps(merchantId, keepStepIds, results) {
+    const { rows: steps } = await db.query(`
+        SELECT s.*, t.tier_code, t.tier_name
+        FROM expiry_discount_steps s
+        JOIN expiry_discount_tiers t ON s.tier_id = t.id AND t.merchant_id = $1
+        WHERE s.merchant_id = $1 AND s.variation_count > 0 AND NOT (s.id = ANY($2))
+    `, [merchantId, keepStepIds]);
+
+    for (const step of steps) {
+        const tier = { id: step.tier_id, tier_code: step.tier_code, tier_name: step.tier_name, merchant_id: merchantId };
+        try {
+            await publishStep(tier, step, []);
+        } catch (error) {
+            results.errors.push({ tierCode: stepTier(tier, step).tier_code, error: error.message });
+            logger.error('Failed to clear dynamic markdown step', {
+                tierCode: tier.tier_code, percent: step.discount_percent, error: error.message, merchantId
+            });
+        }
+    }
+}
+
+module.exports = {
+    ensureStepDiscount,
+    publishStep,
+    clearUnusedSteps
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Expiry Tier Math
+ * Pure helpers for placing an expiry date in a discount tier. Extracted from
+ * discount-service.js so lot-level evaluation (lot-tiers.js) can share them;
+ * discount-service re-exports them unchanged.
+ */
+
+/**
+ * Calculate days until expiry for a given expiration date
+ * @param {Date|string} expirationDate - The expiration date
+ * @param {string} timezone - Timezone string (default: America/Toronto)
+ * @returns {number|null} Days until expiry (negative if expired), or null if no date
+ */
+function calculateDaysUntilExpiry(expirationDate, timezone = 'America/Toronto') {
+    if (expirationDate == null) return null;
+
+    // Expiration dates are calendar dates (e.g. "2026-03-15" meaning March 15).
+    // Extract the YYYY-MM-DD string directly to avoid UTC-parse timezone shift.
+    const dateStr = typeof expirationDate === 'string'
+        ? expirationDate.slice(0, 10)
+        : new Date(expirationDate).toISOString().slice(0, 10);
+
+    const expiryMs = Date.parse(dateStr + 'T00:00:00Z');
+    if (isNaN(expiryMs)) return null;
+
+    // Get today's date in the merchant's timezone using Intl.DateTimeFormat
+    // (avoids toLocaleDateString locale format inconsistencies across environments)
+    const fmt = new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    });
+    const parts = fmt.formatToParts(new Date());
+    const y = parts.find(p => p.type === 'year').value;
+    const m = parts.find(p => p.type === 'month').value;
+    const d = parts.find(p => p.type === 'day').value;
+    const nowMs = Date.parse(`${y}-${m}-${d}T00:00:00Z`);
+
+    const diffDays = Math.round((expiryMs - nowMs) / (1000 * 60 * 60 * 24));
+
+    return diffDays;
+}
+
+/**
+ * Build a tier rank map from DB tiers, ordered by urgency (most urgent = highest rank).
+ * Uses min_days_to_expiry ascending: EXPIRED (null/lowest min) = rank N, OK (highest min) = rank 0.
+ * @param {Array} tiers - Array of tier objects from getActiveTiers()
+ * @returns {Map<number, number>} Map of tier ID → rank (higher rank = more urgent)
+ */
+function buildTierRankMap(tiers) {
+    // Sort by min_days_to_expiry descending (OK first, EXPIRED last)
+    // so that rank index increases with urgency
+    const sorted = [...tiers].sort((a, b) => {
+        const aMin = a.min_days_to_expiry ?? -Infinity;
+        const bMin = b.min_days_to_expiry ?? -Infinity;
+        return bMin - aMin; // descending: highest min_days first (OK), lowest last (EXPIRED)
+    });
+    const rankMap = new Map();
+    sorted.forEach((tier, index) => {
+        rankMap.set(tier.id, index); // OK=0, REVIEW=1, AUTO25=2, AUTO50=3, EXPIRED=4
+    });
+    return rankMap;
+}
+
+/**
+ * Determine which tier a variation belongs to based on days until expiry
+ * @param {number|null} daysUntilExpiry - Days until expiry
+ * @param {Array} tiers - Array of tier objects (sorted by priority DESC)
+ * @returns {Object|null} Matching tier object or null
+ */
+function determineTier(daysUntilExpiry, tiers) {
+    if (daysUntilExpiry === null) {
+        // No expiration date - could be "does_not_expire" or unknown
+        return null;
+    }
+
+    for (const tier of tiers) {
+        const minDays = tier.min_days_to_expiry;
+        const maxDays = tier.max_days_to_expiry;
+
+        // Check if days falls within this tier's range
+        const meetsMin = minDays === null || daysUntilExpiry >= minDays;
+        const meetsMax = maxDays === null || daysUntilExpiry <= maxDays;
+
+        if (meetsMin && meetsMax) {
+            return tier;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    calculateDaysUntilExpiry,
+    buildTierRankMap,
+    determineTier
+};
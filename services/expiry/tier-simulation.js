@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * Expiry Tier Simulation
+ * What-if for tier configuration: applies proposed boundary and percentage
+ * changes to the merchant's tiers in memory, places every variation with
+ * stock in a tier under both the current and the proposed set (the same
+ * determineTier / lot assessment the evaluation uses), and compares the
+ * outcome. Nothing is written to the database or Square.
+ *
+ * Projections use the 91-day sales velocity at the regular price, summed over
+ * locations: units expected to sell before expiry are
+ * min(units in the tier, daily velocity × days left). Markdown is what those
+ * units give away against the regular price; recovered revenue is what they
+ * bring in at the discounted price. Discounts count only for auto-apply tiers
+ * with a percentage, as applyDiscounts only prices those in Square.
+ */
+
+const db = require('../../utils/database');
+const { getSetting } = require('./discount-service');
+const { calculateDaysUntilExpiry, buildTierRankMap, determineTier } = require('./tier-math');
+const { assessLots } = require('./lot-tiers');
+
+const SIMULATED_FIELDS = ['min_days_to_expiry', 'max_days_to_expiry', 'discount_percent', 'is_auto_apply', 'priority', 'is_active'];
+const MAX_CHANGES = 200;
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+const byPriority = (a, b) => b.priority - a.priority;
+
+/**
+ * Apply proposed changes to a copy of the merchant's tiers.
+ * @param {Array} tiers - All of the merchant's tiers (active or not)
+ * @param {Array} proposals - { id, ...SIMULATED_FIELDS } — omitted fields are kept
+ * @returns {Array} Proposed active tiers, priority descending
+ * @throws with .statusCode 404 for an unknown tier, 400 for min > max
+ */
+function applyProposals(tiers, proposals) {
+    const proposed = new Map(tiers.map(tier => [tier.id, { ...tier }]));
+    for (const proposal of proposals) {
+        const tier = proposed.get(Number(proposal.id));
+        if (!tier) throw clientError(`Tier ${proposal.id} not found`, 404);
+        for (const field of SIMULATED_FIELDS) {
+            if (proposal[field] !== undefined) tier[field] = proposal[field];
+        }
+        if (tier.min_days_to_expiry != null && tier.max_days_to_expiry != null
+            && Number(tier.min_days_to_expiry) > Number(tier.max_days_to_expiry)) {
+            throw clientError(`${tier.tier_code}: min_days_to_expiry is greater than max_days_to_expiry`, 400);
+        }
+    }
+    return [...proposed.values()].filter(tier => tier.is_active).sort(byPriority);
+}
+
+/**
+ * Place a variation in a tier set. Lot-tracked variations take their most
+ * urgent lot's tier and count the units in lots at that tier.
+ * @returns {Object} { tier, daysUntilExpiry, units }
+ */
+function placeVariation(row, tiers, tierRankMap, timezone) {
+    if (row.lots?.length) {
+        const assessment = assessLots(row.lots, tiers, tierRankMap, timezone);
+        return { tier: assessment.tier, daysUntilExpiry: assessment.daysUntilExpiry, units: assessment.expiringQuantity };
+    }
+    const daysUntilExpiry = calculateDaysUntilExpiry(row.expiration_date, timezone);
+    return { tier: determineTier(daysUntilExpiry, tiers), daysUntilExpiry, units: Number(row.quantity) };
+}
+
+/**
+ * Expected discounted sales for a placed variation.
+ * @returns {Object} { discountedUnits, unitsSold, markdownCents, recoveredRevenueCents }
+ */
+function projectSales(placement, row) {
+    const { tier, daysUntilExpiry, units } = placement;
+    const percent = tier ? Number(tier.discount_percent) : 0;
+    if (!tier || !tier.is_auto_apply || percent <= 0 || !(units > 0)) {
+        return { discountedUnits: 0, unitsSold: 0, markdownCents: 0, recoveredRevenueCents: 0 };
+    }
+    const price = Number(row.price_cents) || 0;
+    const discountedPrice = Math.round(price * (1 - percent / 100));
+    const unitsSold = Math.min(units, Math.floor(Number(row.daily_velocity) * Math.max(daysUntilExpiry, 0)));
+    return {
+        discountedUnits: units,
+        unitsSold,
+        markdownCents: unitsSold * (price - discountedPrice),
+        recoveredRevenueCents: unitsSold * discountedPrice
+    };
+}
+
+function emptySummary(tiers) {
+    const byTier = { NO_TIER: 0 };
+    for (const tier of tiers) byTier[tier.tier_code] = 0;
+    return {
+        by_tier: byTier,
+        discounted_variations: 0,
+        discounted_units: 0,
+        projected_units_sold: 0,
+        projected_unsold_units: 0,
+        markdown_cents: 0,
+        recovered_revenue_cents: 0
+    };
+}
+
+function addToSummary(summary, placement, projection) {
+    summary.by_tier[placement.tier ? placement.tier.tier_code : 'NO_TIER']++;
+    if (projection.discountedUnits === 0) return;
+    summary.discounted_variations++;
+    summary.discounted_units += projection.discountedUnits;
+    summary.projected_units_sold += projection.unitsSold;
+    summary.projected_unsold_units += projection.discountedUnits - projection.unitsSold;
+    summary.markdown_cents += projection.markdownCents;
+    summary.recovered_revenue_cents += projection.recoveredRevenueCents;
+}
+
+/**
+ * Compare current and proposed tier sets over the given stock rows.
+ * @param {Array} rows - Variations with stock (see loadStock)
+ * @param {Array} currentTiers - Active tiers, priority descending
+ * @param {Array} proposedTiers - From applyProposals()
+ * @param {string} timezone
+ * @returns {Object} { current, proposed, moves, changes, changes_truncated }
+ */
+function compareTierSets(rows, currentTiers, proposedTiers, timezone) {
+    const currentRanks = buildTierRankMap(currentTiers);
+    const proposedRanks = buildTierRankMap(proposedTiers);
+    const current = emptySummary(currentTiers);
+    const proposed = emptySummary(proposedTiers);
+    const moves = new Map();
+    const changes = [];
+
+    for (const row of rows) {
+        const before = placeVariation(row, currentTiers, currentRanks, timezone);
+        const after = placeVariation(row, proposedTiers, proposedRanks, timezone);
+        const projectedBefore = projectSales(before, row);
+        const projectedAfter = projectSales(after, row);
+        addToSummary(current, before, projectedBefore);
+        addToSummary(proposed, after, projectedAfter);
+
+        const from = before.tier ? before.tier.tier_code : null;
+        const to = after.tier ? after.tier.tier_code : null;
+        const discountChanged = projectedBefore.markdownCents !== projectedAfter.markdownCents;
+        if (from === to && !discountChanged) continue;
+
+        if (from !== to) {
+            const key = `${from}>${to}`;
+            if (!moves.has(key)) moves.set(key, { from_tier: from, to_tier: to, variations: 0 });
+            moves.get(key).variations++;
+        }
+        changes.push({
+            variation_id: row.variation_id,
+            item_name: row.item_name,
+            variation_name: row.variation_name,
+            sku: row.sku,
+            days_until_expiry: after.daysUntilExpiry,
+            from_tier: from,
+            to_tier: to,
+            markdown_change_cents: projectedAfter.markdownCents - projectedBefore.markdownCents,
+            recovered_revenue_change_cents: projectedAfter.recoveredRevenueCents - projectedBefore.recoveredRevenueCents
+        });
+    }
+
+    changes.sort((a, b) => (a.days_until_expiry ?? Infinity) - (b.days_until_expiry ?? Infinity));
+    return {
+        current,
+        proposed,
+        moves: [...moves.values()].sort((a, b) => b.variations - a.variations),
+        changes: changes.slice(0, MAX_CHANGES),
+        changes_truncated: changes.length > MAX_CHANGES
+    };
+}
+
+/**
+ * Variations with stock and an expiry date or active lots, with their
+ * on-hand units and 91-day daily velocity summed over locations.
+ */
+async function loadStock(merchantId) {
+    const { rows } = await db.query(`
+        SELECT
+            v.id AS variation_id,
+            v.name AS variation_name,
+            v.sku,
+            v.price_money AS price_cents,
+            i.name AS item_name,
+            ve.expiration_date,
+            lots.lots,
+            stock.quantity,
+            COALESCE(vel.daily_avg_quantity, 0) AS daily_velocity
+        FROM variations v
+        JOIN items i ON v.item_id = i.id AND i.merchant_id = $1
+        LEFT JOIN variation_expiration ve ON v.id = ve.variation_id AND ve.merchant_id = $1
+        LEFT JOIN LATERAL (
+            SELECT json_agg(json_build_object(
+                'id', l.id, 'expiration_date', l.expiration_date,
+                'quantity', l.quantity, 'current_tier_id', l.current_tier_id
+            ) ORDER BY l.expiration_date, l.id) AS lots
+            FROM inventory_lots l
+            WHERE l.variation_id = v.id AND l.merchant_id = $1 AND l.quantity > 0
+        ) lots ON TRUE
+        JOIN LATERAL (
+            SELECT SUM(ic.quantity) AS quantity
+            FROM inventory_counts ic
+            WHERE ic.catalog_object_id = v.id AND ic.merchant_id = $1 AND ic.state = 'IN_STOCK'
+        ) stock ON stock.quantity > 0
+        LEFT JOIN LATERAL (
+            SELECT SUM(sv.daily_avg_quantity) AS daily_avg_quantity
+            FROM sales_velocity sv
+            WHERE sv.variation_id = v.id AND sv.merchant_id = $1 AND sv.period_days = 91
+        ) vel ON TRUE
+        WHERE v.is_deleted = FALSE
+          AND i.is_deleted = FALSE
+          AND v.merchant_id = $1
+          AND COALESCE(ve.does_not_expire, FALSE) = FALSE
+          AND (ve.expiration_date IS NOT NULL OR lots.lots IS NOT NULL)
+    `, [merchantId]);
+    return rows;
+}
+
+/**
+ * Simulate proposed tier changes over current stock.
+ * @param {number} merchantId
+ * @param {Array} proposals - { id, min_days_to_expiry?, max_days_to_expiry?,
+ *   discount_percent?, is_auto_apply?, priority?, is_active? }
+ * @returns {Promise<Object>} { tiers: { current, proposed }, current, proposed,
+ *   difference, moves, changes, changes_truncated }
+ * @throws with .statusCode 404 for a tier the merchant doesn't have, 400 for min > max
+ */
+async function simulateTiers(merchantId, proposals) {
+    const { rows: allTiers } = await db.query(
+        'SELECT * FROM expiry_discount_tiers WHERE merchant_id = $1 ORDER BY priority DESC',
+        [merchantId]
+    );
+    const currentTiers = allTiers.filter(tier => tier.is_active);
+    const proposedTiers = applyProposals(allTiers, proposals);
+
+    const timezone = await getSetting('timezone', merchantId) || 'America/Toronto';
+    const rows = await loadStock(merchantId);
+    const comparison = compareTierSets(rows, currentTiers, proposedTiers, timezone);
+
+    const difference = {};
+    for (const key of ['discounted_variations', 'discounted_units', 'projected_units_sold',
+        'projected_unsold_units', 'markdown_cents', 'recovered_revenue_cents']) {
+        difference[key] = comparison.proposed[key] - comparison.current[key];
+    }
+
+    return {
+        tiers: { current: currentTiers, proposed: proposedTiers },
+        variations_evaluated: rows.length,
+        ...comparison,
+        difference
+    };
+}
+
+module.exports = {
+    applyProposals,
+    compareTierSets,
+    simulateTiers
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * Shrink Report Service
+ *
+ * Loss from stock written off (waste_log) broken down by vendor, brand,
+ * category or month, next to what expiry discounts recovered in the same
+ * period (expiry_discount_sales, recorded by trackExpiryDiscountSale):
+ * units sold at a markdown, the revenue they brought in and the markdown
+ * given away.
+ *
+ * Waste is grouped under the vendor whose cost was snapshotted when it was
+ * logged; discounted sales under the variation's current primary vendor.
+ * Rows without a vendor, brand or category are grouped as 'Unassigned'.
+ */
+
+const db = require('../../utils/database');
+
+const GROUP_BY_OPTIONS = ['vendor', 'brand', 'category', 'month'];
+const UNASSIGNED = 'Unassigned';
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+/**
+ * Group key, label and joins for one source table. $1 is the merchant.
+ * @param {string} groupBy
+ * @param {Object} source - { alias, timeColumn, vendorJoin }
+ * @returns {Object} { key, label, joins }
+ */
+function grouping(groupBy, { alias, timeColumn, vendorJoin }) {
+    const itemJoins = `
+        LEFT JOIN variations v ON ${alias}.variation_id = v.id AND v.merchant_id = $1
+        LEFT JOIN items i ON v.item_id = i.id AND i.merchant_id = $1`;
+    switch (groupBy) {
+        case 'vendor':
+            return { key: 'ven.id', label: 'ven.name', joins: vendorJoin };
+        case 'brand':
+            return {
+                key: 'b.id::text',
+                label: 'b.name',
+                joins: `${itemJoins}
+        LEFT JOIN item_brands ib ON ib.item_id = i.id AND ib.merchant_id = $1
+        LEFT JOIN brands b ON ib.brand_id = b.id AND b.merchant_id = $1`
+            };
+        case 'category':
+            return { key: 'i.category_id', label: 'i.category_name', joins: itemJoins };
+        default: {
+            const month = `to_char(date_trunc('month', ${alias}.${timeColumn}), 'YYYY-MM')`;
+            return { key: month, label: month, joins: '' };
+        }
+    }
+}
+
+async function queryWaste(merchantId, groupBy, startDate, endDate) {
+    const { key, label, joins } = grouping(groupBy, {
+        alias: 'w',
+        timeColumn: 'created_at',
+        vendorJoin: 'LEFT JOIN vendors ven ON w.vendor_id = ven.id AND ven.merchant_id = $1'
+    });
+    const { rows } = await db.query(`
+        SELECT ${key} AS group_key, ${label} AS group_label, w.reason,
+               SUM(w.quantity)::int AS units,
+               COALESCE(SUM(w.total_cost_cents), 0)::bigint AS cost_cents,
+               COUNT(*) FILTER (WHERE w.total_cost_cents IS NULL)::int AS uncosted_entries
+        FROM waste_log w
+        ${joins}
+        WHERE w.merchant_id = $1 AND w.created_at >= $2::date AND w.created_at < $3::date + 1
+        GROUP BY 1, 2, 3
+    `, [merchantId, startDate, endDate]);
+    return rows;
+}
+
+async function queryRecovery(merchantId, groupBy, startDate, endDate) {
+    const { key, label, joins } = grouping(groupBy, {
+        alias: 's',
+        timeColumn: 'sold_at',
+        vendorJoin: `LEFT JOIN LATERAL (
+            SELECT vv.vendor_id FROM variation_vendors vv
+            WHERE vv.variation_id = s.variation_id AND vv.merchant_id = $1
+            ORDER BY vv.unit_cost_money ASC, vv.created_at ASC
+            LIMIT 1
+        ) pv ON TRUE
+        LEFT JOIN vendors ven ON pv.vendor_id = ven.id AND ven.merchant_id = $1`
+    });
+    const { rows } = await db.query(`
+        SELECT ${key} AS group_key, ${label} AS group_label,
+               SUM(s.quantity)::int AS units,
+               SUM(s.quantity * s.unit_price_cents)::bigint AS revenue_cents,
+               SUM(s.quantity * GREATEST(COALESCE(s.original_price_cents, s.unit_price_cents) - s.unit_price_cents, 0))::bigint
+                   AS markdown_cents
+        FROM expiry_discount_sales s
+        ${joins}
+        WHERE s.merchant_id = $1 AND s.sold_at >= $2::date AND s.sold_at < $3::date + 1
+        GROUP BY 1, 2
+    `, [merchantId, startDate, endDate]);
+    return rows;
+}
+
+function emptyRow(groupKey, label) {
+    return {
+        group_key: groupKey,
+        label: label || UNASSIGNED,
+        waste: { units: 0, cost_cents: 0, uncosted_entries: 0, by_reason: {} },
+        recovery: { units: 0, revenue_cents: 0, markdown_cents: 0 }
+    };
+}
+
+/**
+ * Merge grouped waste and recovery rows by group key.
+ * @param {Array} wasteRows - { group_key, group_label, reason, units, cost_cents, uncosted_entries }
+ * @param {Array} recoveryRows - { group_key, group_label, units, revenue_cents, markdown_cents }
+ * @returns {Array} One row per group; highest waste cost first (months in order)
+ */
+function mergeShrinkRows(wasteRows, recoveryRows, groupBy) {
+    const groups = new Map();
+    const groupFor = row => {
+        const groupKey = row.group_key ?? null;
+        if (!groups.has(groupKey)) groups.set(groupKey, emptyRow(groupKey, row.group_label));
+        return groups.get(groupKey);
+    };
+
+    for (const row of wasteRows) {
+        const { waste } = groupFor(row);
+        const units = Number(row.units);
+        const cost = Number(row.cost_cents);
+        waste.units += units;
+        waste.cost_cents += cost;
+        waste.uncosted_entries += Number(row.uncosted_entries);
+        waste.by_reason[row.reason] = { units, cost_cents: cost };
+    }
+    for (const row of recoveryRows) {
+        const { recovery } = groupFor(row);
+        recovery.units += Number(row.units);
+        recovery.revenue_cents += Number(row.revenue_cents);
+        recovery.markdown_cents += Number(row.markdown_cents);
+    }
+
+    const rows = [...groups.values()];
+    if (groupBy === 'month') return rows.sort((a, b) => a.label.localeCompare(b.label));
+    return rows.sort((a, b) => b.waste.cost_cents - a.waste.cost_cents || a.label.localeCompare(b.label));
+}
+
+/**
+ * @param {number} merchantId
+ * @param {Object} options
+ * @param {string} [options.groupBy] - vendor | brand | category | month (default)
+ * @param {string} [options.startDate] - YYYY-MM-DD, inclusive; default the
+ *   first of the month eleven months before endDate (twelve months in all)
+ * @param {string} [options.endDate] - YYYY-MM-DD, inclusive; default today
+ * @returns {Promise<Object>} { group_by, start_date, end_date, rows, totals }
+ * @throws with .statusCode 400 for an unknown groupBy or a reversed range
+ */
+async function getShrinkReport(merchantId, { groupBy = 'month', startDate, endDate } = {}) {
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+        throw clientError(`group_by must be one of ${GROUP_BY_OPTIONS.join(', ')}`, 400);
+    }
+    endDate = endDate || new Date().toISOString().slice(0, 10);
+    if (!startDate) {
+        const end = new Date(`${endDate}T00:00:00Z`);
+        startDate = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 11, 1)).toISOString().slice(0, 10);
+    }
+    if (startDate > endDate) throw clientError('start_date must be on or before end_date', 400);
+
+    const wasteRows = await queryWaste(merchantId, groupBy, startDate, endDate);
+    const recoveryRows = await queryRecovery(merchantId, groupBy, startDate, endDate);
+    const rows = mergeShrinkRows(wasteRows, recoveryRows, groupBy);
+
+    const totals = rows.reduce((sum, row) => ({
+        waste_units: sum.waste_units + row.waste.units,
+        waste_cost_cents: sum.waste_cost_cents + row.waste.cost_cents,
+        recovery_units: sum.recovery_units + row.recovery.units,
+        recovery_revenue_cents: sum.recovery_revenue_cents + row.recovery.revenue_cents,
+        markdown_cents: sum.markdown_cents + row.recovery.markdown_cents
+    }), { waste_units: 0, waste_cost_cents: 0, recovery_units: 0, recovery_revenue_cents: 0, markdown_cents: 0 });
+
+    return { group_by: groupBy, start_date: startDate, end_date: endDate, rows, totals };
+}
+
+module.exports = {
+    GROUP_BY_OPTIONS,
+    mergeShrinkRows,
+    getShrinkReport
+};
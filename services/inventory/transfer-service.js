@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * Stock Transfer Service — transfer orders moving stock between two of the
+ * merchant's locations.
+ *
+ * Status flow: DRAFT → SHIPPED → RECEIVED (transitions in transfer-status-service.js)
+ * - DRAFT: lines and notes can be edited; the transfer can be deleted.
+ * - SHIPPED: notes can still be updated.
+ * - RECEIVED: read-only.
+ *
+ * A variation appears once per transfer; repeated lines are merged.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { getLocationById } = require('../catalog/location-service');
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+async function generateTransferNumber(merchantId) {
+    const dateStr = new Date().toISOString().split('T')[0].replace(/-/g, '');
+    const { rows } = await db.query(
+        'SELECT COUNT(*) AS count FROM stock_transfers WHERE transfer_number LIKE $1 AND merchant_id = $2',
+        [`TRF-${dateStr}-%`, merchantId]
+    );
+    return `TRF-${dateStr}-${(parseInt(rows[0].count) + 1).toString().padStart(3, '0')}`;
+}
+
+async function listTransfers(merchantId, { status, locationId } = {}) {
+    const params = [merchantId];
+    let filters = '';
+    if (status) {
+        params.push(status);
+        filters += ` AND st.status = $${params.length}`;
+    }
+    if (locationId) {
+        params.push(locationId);
+        filters += ` AND (st.from_location_id = $${params.length} OR st.to_location_id = $${params.length})`;
+    }
+    const { rows } = await db.query(`
+        SELECT st.*, fl.name AS from_location_name, tl.name AS to_location_name,
+               (SELECT COUNT(*) FROM stock_transfer_items sti WHERE sti.transfer_id = st.id)::int AS item_count,
+               (SELECT COALESCE(SUM(sti.quantity), 0) FROM stock_transfer_items sti WHERE sti.transfer_id = st.id)::int AS total_quantity
+        FROM stock_transfers st
+        JOIN locations fl ON st.from_location_id = fl.id AND fl.merchant_id = $1
+        JOIN locations tl ON st.to_location_id = tl.id AND tl.merchant_id = $1
+        WHERE st.merchant_id = $1${filters}
+        ORDER BY st.created_at DESC
+    `, params);
+    return rows;
+}
+
+/**
+ * @returns {Promise<Object|null>} Transfer with location names and `items`
+ *   (each with on-hand stock at both ends), or null
+ */
+async function getTransfer(merchantId, transferId) {
+    const { rows } = await db.query(`
+        SELECT st.*, fl.name AS from_location_name, tl.name AS to_location_name
+        FROM stock_transfers st
+        JOIN locations fl ON st.from_location_id = fl.id AND fl.merchant_id = $2
+        JOIN locations tl ON st.to_location_id = tl.id AND tl.merchant_id = $2
+        WHERE st.id = $1 AND st.merchant_id = $2
+    `, [transferId, merchantId]);
+    if (rows.length === 0) return null;
+
+    const transfer = rows[0];
+    const items = await db.query(`
+        SELECT sti.*, v.sku, v.upc, i.name AS item_name, v.name AS variation_name,
+               COALESCE(fic.quantity, 0) AS from_on_hand,
+               COALESCE(tic.quantity, 0) AS to_on_hand
+        FROM stock_transfer_items sti
+        JOIN variations v ON sti.variation_id = v.id AND v.merchant_id = $2
+        JOIN items i ON v.item_id = i.id AND i.merchant_id = $2
+        LEFT JOIN inventory_counts fic ON fic.catalog_object_id = v.id AND fic.location_id = $3
+            AND fic.state = 'IN_STOCK' AND fic.merchant_id = $2
+        LEFT JOIN inventory_counts tic ON tic.catalog_object_id = v.id AND tic.location_id = $4
+            AND tic.state = 'IN_STOCK' AND tic.merchant_id = $2
+        WHERE sti.transfer_id = $1 AND sti.merchant_id = $2
+        ORDER BY i.name, v.name
+    `, [transferId, merchantId, transfer.from_location_id, transfer.to_location_id]);
+    transfer.items = items.rows;
+    return transfer;
+}
+
+async function validateLocations(merchantId, fromLocationId, toLocationId) {
+    if (fromLocationId === toLocationId) throw clientError('From and to locations must be different', 400);
+    for (const locationId of [fromLocationId, toLocationId]) {
+        const location = await getLocationById(merchantId, locationId);
+        if (!location) throw clientError('Invalid location or location does not belong to this merchant', 403);
+    }
+}
+
+/**
+ * Merge repeated variations and reject variations that don't belong to the merchant.
+ */
+async function resolveLines(merchantId, items) {
+    const merged = new Map();
+    for (const item of items) {
+        const line = merged.get(item.variation_id);
+        if (line) {
+            line.quantity += Number(item.quantity);
+        } else {
+            merged.set(item.variation_id, {
+                variation_id: item.variation_id,
+                quantity: Number(item.quantity),
+                note: item.note || null
+            });
+        }
+    }
+
+    const variationIds = [...merged.keys()];
+    const { rows } = await db.query(
+        'SELECT id FROM variations WHERE id = ANY($1) AND merchant_id = $2',
+        [variationIds, merchantId]
+    );
+    const known = new Set(rows.map(row => row.id));
+    const unknown = variationIds.filter(id => !known.has(id));
+    if (unknown.length > 0) throw clientError(`Unknown variation(s): ${unknown.join(', ')}`, 400);
+
+    return [...merged.values()];
+}
+
+async function insertTransferItems(client, transferId, lines, merchantId) {
+    for (const line of lines) {
+        await client.query(`
+            INSERT INTO stock_transfer_items (transfer_id, merchant_id, variation_id, quantity, note)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [transferId, merchantId, line.variation_id, line.quantity, line.note]);
+    }
+}
+
+async function createTransfer(merchantId, { fromLocationId, toLocationId, notes, items }) {
+    await validateLocations(merchantId, fromLocationId, toLocationId);
+    const lines = await resolveLines(merchantId, items);
+    const transferNumber = await generateTransferNumber(merchantId);
+
+    const transfer = await db.transaction(async (client) => {
+        const { rows } = await client.query(`
+            INSERT INTO stock_transfers (merchant_id, transfer_number, from_location_id, to_location_id, notes)
+            VALUES ($1, $2, $3, $4, $5) RETURNING *
+        `, [merchantId, transferNumber, fromLocationId, toLocationId, notes || null]);
+        await insertTransferItems(client, rows[0].id, lines, merchantId);
+        return rows[0];
+    });
+
+    logger.info('Stock transfer created', {
+        merchantId, transferId: transfer.id, transferNumber, fromLocationId, toLocationId, lines: lines.length
+    });
+    return getTransfer(merchantId, transfer.id);
+}
+
+/**
+ * Update a DRAFT or SHIPPED transfer. `items` (DRAFT only) replaces all lines
+ * and clears a shipped_at stamped by an earlier failed ship attempt, so the
+ * next attempt posts the new lines under a fresh key.
+ */
+async function updateTransfer(merchantId, transferId, { notes, items }) {
+    const existing = await getTransfer(merchantId, transferId);
+    if (!existing) throw clientError('Stock transfer not found', 404);
+    if (existing.status === 'RECEIVED') throw clientError('A received transfer cannot be changed', 400);
+    if (items && existing.status !== 'DRAFT') throw clientError('Lines can only be changed while the transfer is a draft', 400);
+
+    const lines = items ? await resolveLines(merchantId, items) : null;
+
+    await db.transaction(async (client) => {
+        await client.query(`
+            UPDATE stock_transfers
+            SET notes = COALESCE($3, notes),
+                shipped_at = CASE WHEN $4 THEN NULL ELSE shipped_at END,
+                updated_at = NOW()
+            WHERE id = $1 AND merchant_id = $2
+        `, [transferId, merchantId, notes ?? null, !!lines]);
+        if (lines) {
+            await client.query('DELETE FROM stock_transfer_items WHERE transfer_id = $1 AND merchant_id = $2', [transferId, merchantId]);
+            await insertTransferItems(client, transferId, lines, merchantId);
+        }
+    });
+    return getTransfer(merchantId, transferId);
+}
+
+async function deleteTransfer(merchantId, transferId) {
+    const { rows } = await db.query(
+        'SELECT transfer_number, status FROM stock_transfers WHERE id = $1 AND merchant_id = $2',
+        [transferId, merchantId]
+    );
+    if (rows.length === 0) throw clientError('Stock transfer not found', 404);
+    if (rows[0].status !== 'DRAFT') throw clientError(`Only draft transfers can be deleted (current: ${rows[0].status})`, 400);
+    await db.query('DELETE FROM stock_transfers WHERE id = $1 AND merchant_id = $2', [transferId, merchantId]);
+    return { transferNumber: rows[0].transfer_number };
+}
+
+module.exports = {
+    listTransfers,
+    getTransfer,
+    createTransfer,
+    updateTransfer,
+    deleteTransfer
+};
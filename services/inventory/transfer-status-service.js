@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Stock Transfer Status Service — SHIPPED and RECEIVED transitions.
+ *
+ * Each transition posts its Square inventory changes before the status moves
+ * (square-inventory.transferSquareInventory), so a Square failure leaves the
+ * transfer where it was to retry:
+ * - Ship: IN_STOCK → IN_TRANSIT at the source.
+ * - Receive: IN_TRANSIT moved to the destination, then IN_TRANSIT → IN_STOCK.
+ *
+ * shipped_at / received_at are stamped before Square is called and reused on
+ * retry; they make up the idempotency key and occurred_at, so a retry after a
+ * partial failure sends the same request and is not applied twice. Local
+ * inventory_counts (IN_STOCK only) are adjusted too, so stock screens are
+ * right before the next inventory sync — only by the request whose status
+ * UPDATE moved the row, so a double-submitted transition counts once.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { transferSquareInventory } = require('../square/square-inventory');
+const { getTransfer } = require('./transfer-service');
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+const squareLines = transfer => transfer.items.map(item => ({
+    catalogObjectId: item.variation_id, quantity: Number(item.quantity)
+}));
+
+/**
+ * Stamp the transition time (kept from an earlier failed attempt) while the
+ * transfer is still in the expected status.
+ * @returns {Promise<Date>}
+ */
+async function stampTransition(merchantId, transferId, column, status) {
+    const { rows } = await db.query(`
+        UPDATE stock_transfers SET ${column} = COALESCE(${column}, NOW())
+        WHERE id = $1 AND merchant_id = $2 AND status = $3
+        RETURNING ${column} AS stamped_at
+    `, [transferId, merchantId, status]);
+    if (rows.length === 0) throw clientError('Stock transfer changed status; reload and try again', 409);
+    return new Date(rows[0].stamped_at);
+}
+
+async function postToSquare(merchantId, transfer, stage, stampedAt) {
+    try {
+        await transferSquareInventory(merchantId, {
+            fromLocationId: transfer.from_location_id,
+            toLocationId: transfer.to_location_id,
+            lines: squareLines(transfer)
+        }, {
+            stage,
+            idempotencyKey: `stock-transfer-${transfer.id}-${stage.toLowerCase()}-${stampedAt.getTime()}`,
+            referenceId: transfer.transfer_number,
+            occurredAt: stampedAt.toISOString()
+        });
+    } catch (err) {
+        throw clientError(
+            `Square inventory could not be updated: ${err.message}. The transfer is still ${transfer.status.toLowerCase()}.`,
+            502
+        );
+    }
+}
+
+async function loadForTransition(merchantId, transferId, expectedStatus, action) {
+    const transfer = await getTransfer(merchantId, transferId);
+    if (!transfer) throw clientError('Stock transfer not found', 404);
+    if (transfer.status !== expectedStatus) {
+        throw clientError(`Only ${expectedStatus.toLowerCase()} transfers can be ${action} (current: ${transfer.status})`, 400);
+    }
+    return transfer;
+}
+
+/**
+ * Ship a DRAFT transfer: DRAFT → SHIPPED.
+ * @returns {Promise<Object>} The updated transfer with items
+ * @throws with .statusCode 404 / 400 (not DRAFT, no lines) / 409 (raced) / 502 (Square failed)
+ */
+async function shipTransfer(merchantId, transferId) {
+    const transfer = await loadForTransition(merchantId, transferId, 'DRAFT', 'shipped');
+    if (transfer.items.length === 0) throw clientError('Add at least one line before shipping the transfer', 400);
+
+    const shippedAt = await stampTransition(merchantId, transferId, 'shipped_at', 'DRAFT');
+    await postToSquare(merchantId, transfer, 'SHIP', shippedAt);
+
+    const shipped = await db.transaction(async (client) => {
+        const moved = await client.query(`
+            UPDATE stock_transfers SET status = 'SHIPPED', updated_at = NOW()
+            WHERE id = $1 AND merchant_id = $2 AND status = 'DRAFT'
+            RETURNING id
+        `, [transferId, merchantId]);
+        if (moved.rows.length === 0) return false;
+        for (const item of transfer.items) {
+            await client.query(`
+                UPDATE inventory_counts SET quantity = GREATEST(quantity - $1, 0), updated_at = NOW()
+                WHERE catalog_object_id = $2 AND location_id = $3 AND state = 'IN_STOCK' AND merchant_id = $4
+            `, [item.quantity, item.variation_id, transfer.from_location_id, merchantId]);
+        }
+        return true;
+    });
+
+    if (shipped) {
+        logger.info('Stock transfer shipped', {
+            merchantId, transferId, transferNumber: transfer.transfer_number, lines: transfer.items.length
+        });
+    }
+    return getTransfer(merchantId, transferId);
+}
+
+/**
+ * Receive a SHIPPED transfer at its destination: SHIPPED → RECEIVED.
+ * @returns {Promise<Object>} The updated transfer with items
+ * @throws with .statusCode 404 / 400 (not SHIPPED) / 409 (raced) / 502 (Square failed)
+ */
+async function receiveTransfer(merchantId, transferId) {
+    const transfer = await loadForTransition(merchantId, transferId, 'SHIPPED', 'received');
+
+    const receivedAt = await stampTransition(merchantId, transferId, 'received_at', 'SHIPPED');
+    await postToSquare(merchantId, transfer, 'RECEIVE', receivedAt);
+
+    const received = await db.transaction(async (client) => {
+        const moved = await client.query(`
+            UPDATE stock_transfers SET status = 'RECEIVED', updated_at = NOW()
+            WHERE id = $1 AND merchant_id = $2 AND status = 'SHIPPED'
+            RETURNING id
+        `, [transferId, merchantId]);
+        if (moved.rows.length === 0) return false;
+        for (const item of transfer.items) {
+            await client.query(`
+                INSERT INTO inventory_counts (catalog_object_id, location_id, state, quantity, merchant_id, updated_at)
+                VALUES ($1, $2, 'IN_STOCK', $3, $4, NOW())
+                ON CONFLICT (catalog_object_id, location_id, state, merchant_id) DO UPDATE SET
+                    quantity = inventory_counts.quantity + EXCLUDED.quantity,
+                    updated_at = NOW()
+            `, [item.variation_id, transfer.to_location_id, item.quantity, merchantId]);
+        }
+        return true;
+    });
+
+    if (received) {
+        logger.info('Stock transfer received', {
+            merchantId, transferId, transferNumber: transfer.transfer_number, lines: transfer.items.length
+        });
+    }
+    return getTransfer(merchantId, transferId);
+}
+
+module.exports = {
+    shipTransfer,
+    receiveTransfer
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * Transfer Suggestions — cover reorder needs from other locations' surplus
+ * before ordering from a vendor.
+ *
+ * A location's surplus for a variation is its available stock (on hand minus
+ * committed, minus quantities already on DRAFT transfers out of it) above
+ * what it keeps for itself: its alert minimum or supply_days + safety_days of
+ * its own sales, whichever is higher, capped at its alert maximum so stock
+ * over the max is always offered.
+ *
+ * Used by reorder-service after suggestions are built and sorted, so the most
+ * urgent needs draw on surplus first.
+ */
+
+const db = require('../../utils/database');
+
+/**
+ * Surplus per variation at every active location.
+ * @returns {Promise<Map<string, Array<{location_id, location_name, surplus}>>>}
+ *   variation_id → locations with surplus > 0, largest first
+ */
+async function getTransferSources(merchantId, variationIds, horizonDays) {
+    const { rows } = await db.query(`
+        SELECT ic.catalog_object_id AS variation_id, ic.location_id, l.name AS location_name,
+               ic.quantity - COALESCE(rc.quantity, 0) - COALESCE(outbound.quantity, 0) AS available_quantity,
+               COALESCE(vls.stock_alert_min, v.stock_alert_min, 0) AS stock_alert_min,
+               COALESCE(vls.stock_alert_max, v.stock_alert_max) AS stock_alert_max,
+               COALESCE(sv.daily_avg_quantity, 0) AS daily_avg_quantity
+        FROM inventory_counts ic
+        JOIN locations l ON l.id = ic.location_id AND l.merchant_id = $1 AND l.active = TRUE
+        JOIN variations v ON v.id = ic.catalog_object_id AND v.merchant_id = $1
+        LEFT JOIN inventory_counts rc ON rc.catalog_object_id = ic.catalog_object_id
+            AND rc.location_id = ic.location_id AND rc.state = 'RESERVED_FOR_SALE' AND rc.merchant_id = $1
+        LEFT JOIN variation_location_settings vls ON vls.variation_id = ic.catalog_object_id
+            AND vls.location_id = ic.location_id AND vls.merchant_id = $1
+        LEFT JOIN sales_velocity sv ON sv.variation_id = ic.catalog_object_id
+            AND sv.location_id = ic.location_id AND sv.period_days = 91 AND sv.merchant_id = $1
+        LEFT JOIN LATERAL (
+            SELECT SUM(sti.quantity) AS quantity
+            FROM stock_transfer_items sti
+            JOIN stock_transfers st ON st.id = sti.transfer_id AND st.merchant_id = $1
+            WHERE sti.variation_id = ic.catalog_object_id AND sti.merchant_id = $1
+              AND st.from_location_id = ic.location_id AND st.status = 'DRAFT'
+        ) outbound ON TRUE
+        WHERE ic.merchant_id = $1
+          AND ic.state = 'IN_STOCK'
+          AND ic.quantity > 0
+          AND ic.catalog_object_id = ANY($2)
+    `, [merchantId, variationIds]);
+
+    const sources = new Map();
+    for (const row of rows) {
+        const min = parseInt(row.stock_alert_min) || 0;
+        const max = row.stock_alert_max != null ? parseInt(row.stock_alert_max) : null;
+        let keep = Math.max(min, Math.ceil((parseFloat(row.daily_avg_quantity) || 0) * horizonDays));
+        if (max !== null && max >= min) keep = Math.min(keep, max);
+
+        const surplus = Math.floor(parseFloat(row.available_quantity) || 0) - keep;
+        if (surplus <= 0) continue;
+        if (!sources.has(row.variation_id)) sources.set(row.variation_id, []);
+        sources.get(row.variation_id).push({
+            location_id: row.location_id, location_name: row.location_name, surplus
+        });
+    }
+    for (const list of sources.values()) list.sort((a, b) => b.surplus - a.surplus);
+    return sources;
+}
+
+/**
+ * Draw each suggestion's remaining need from other locations' surplus, in
+ * the order given. Matched suggestions get `transfer_suggestions`
+ * ([{ from_location_id, from_location_name, quantity }]) and
+ * `transfer_quantity`; final_suggested_qty and order_cost are reduced to what
+ * is still needed from the vendor. Mutates and returns `suggestions`.
+ *
+ * @param {number} merchantId
+ * @param {Array<Object>} suggestions - From reorder-service processSuggestionRows
+ * @param {Object} options
+ * @param {number} options.horizonDays - supply_days + safety_days
+ */
+async function applyTransferSuggestions(merchantId, suggestions, { horizonDays }) {
+    for (const s of suggestions) {
+        s.transfer_suggestions = [];
+        s.transfer_quantity = 0;
+    }
+
+    const targets = suggestions.filter(s => s.location_id && s.final_suggested_qty > 0);
+    if (targets.length === 0) return suggestions;
+
+    const sources = await getTransferSources(
+        merchantId, [...new Set(targets.map(s => s.variation_id))], horizonDays
+    );
+    if (sources.size === 0) return suggestions;
+
+    for (const s of targets) {
+        let need = s.final_suggested_qty;
+        for (const source of sources.get(s.variation_id) || []) {
+            if (need <= 0) break;
+            if (source.location_id === s.location_id || source.surplus <= 0) continue;
+            const quantity = Math.min(need, source.surplus);
+            source.surplus -= quantity;
+            need -= quantity;
+            s.transfer_suggestions.push({
+                from_location_id: source.location_id,
+                from_location_name: source.location_name,
+                quantity
+            });
+            s.transfer_quantity += quantity;
+        }
+        if (s.transfer_quantity > 0) {
+            s.final_suggested_qty = need;
+            s.order_cost = (need * s.unit_cost_cents) / 100;
+        }
+    }
+    return suggestions;
+}
+
+module.exports = {
+    getTransferSources,
+    applyTransferSuggestions
+};
@@ -0,0 +1,231 @@
+'use strict';
+
+/**
+ * Waste Log Service
+ *
+ * Stock taken off the shelf and written off — expired (expiry pulls),
+ * damaged or recalled — is logged in waste_log with its quantity, reason and
+ * unit cost. The cost is the primary vendor's landed cost (vendor cost when
+ * no landed cost is known) at the time of the write-off, so the loss stays
+ * costed after vendor prices change.
+ *
+ * Each row is posted to Square as an IN_STOCK → WASTE adjustment
+ * (square-inventory.removeSquareInventory). The row id and created_at make up
+ * the idempotency key and occurred_at, so retrying a FAILED row sends the
+ * same request and is not applied twice. Local inventory_counts are reduced
+ * once Square has accepted the adjustment, by whichever post moves the row
+ * to POSTED first, so a retry racing the first post reduces them once.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { removeSquareInventory } = require('../square/square-inventory');
+
+const WASTE_REASONS = ['EXPIRED', 'DAMAGED', 'RECALLED'];
+const WASTE_SOURCES = ['EXPIRY_PULL', 'MANUAL'];
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+/**
+ * Primary vendor (lowest cost, then oldest) and its unit cost for a variation.
+ * @returns {Promise<{vendor_id: string|null, unit_cost_cents: number|null}>}
+ */
+async function getWasteUnitCost(merchantId, variationId) {
+    const { rows } = await db.query(`
+        SELECT vv.vendor_id, COALESCE(vv.landed_unit_cost_money, vv.unit_cost_money) AS unit_cost_cents
+        FROM variation_vendors vv
+        WHERE vv.variation_id = $1 AND vv.merchant_id = $2
+        ORDER BY vv.unit_cost_money ASC, vv.created_at ASC
+        LIMIT 1
+    `, [variationId, merchantId]);
+    return rows[0] || { vendor_id: null, unit_cost_cents: null };
+}
+
+/**
+ * Post one waste row to Square and record the outcome on the row.
+ * @param {number} merchantId
+ * @param {Object} entry - waste_log row
+ * @returns {Promise<Object>} The row with its updated square_status / square_error
+ */
+async function postWasteEntry(merchantId, entry) {
+    try {
+        await removeSquareInventory(merchantId, [{
+            catalogObjectId: entry.variation_id,
+            locationId: entry.location_id,
+            quantity: entry.quantity
+        }], {
+            idempotencyKey: `waste-${entry.id}`,
+            referenceId: `WASTE-${entry.id}`,
+            occurredAt: new Date(entry.created_at).toISOString()
+        });
+    } catch (err) {
+        logger.error('Failed to post waste to Square', {
+            merchantId, wasteId: entry.id, variationId: entry.variation_id, locationId: entry.location_id, error: err.message
+        });
+        const { rows } = await db.query(`
+            UPDATE waste_log SET square_status = 'FAILED', square_error = $1, updated_at = NOW()
+            WHERE id = $2 AND merchant_id = $3
+            RETURNING *
+        `, [err.message, entry.id, merchantId]);
+        return rows[0] || { ...entry, square_status: 'FAILED', square_error: err.message };
+    }
+
+    return db.transaction(async (client) => {
+        const { rows } = await client.query(`
+            UPDATE waste_log SET square_status = 'POSTED', square_error = NULL, updated_at = NOW()
+            WHERE id = $1 AND merchant_id = $2 AND square_status <> 'POSTED'
+            RETURNING *
+        `, [entry.id, merchantId]);
+        if (rows.length === 0) return { ...entry, square_status: 'POSTED', square_error: null };
+        await client.query(`
+            UPDATE inventory_counts SET quantity = GREATEST(quantity - $1, 0), updated_at = NOW()
+            WHERE catalog_object_id = $2 AND location_id = $3 AND state = 'IN_STOCK' AND merchant_id = $4
+        `, [entry.quantity, entry.variation_id, entry.location_id, merchantId]);
+        return rows[0];
+    });
+}
+
+/**
+ * Write off stock of one variation at one or more locations.
+ * Lines with no quantity are skipped.
+ * @param {number} merchantId
+ * @param {Object} waste
+ * @param {string} waste.variationId
+ * @param {Array} waste.lines - { locationId, quantity }
+ * @param {string} waste.reason - EXPIRED | DAMAGED | RECALLED
+ * @param {string} [waste.source] - EXPIRY_PULL | MANUAL (default)
+ * @param {string} [waste.notes]
+ * @param {string} [waste.recordedBy]
+ * @returns {Promise<Object>} { entries, squareInventory: { success, failed, errors } }
+ * @throws with .statusCode 400 for an unknown reason/source, or a variation
+ *   or location that isn't the merchant's
+ */
+async function recordWaste(merchantId, { variationId, lines, reason, source = 'MANUAL', notes = null, recordedBy = null }) {
+    if (!WASTE_REASONS.includes(reason)) throw clientError(`reason must be one of ${WASTE_REASONS.join(', ')}`, 400);
+    if (!WASTE_SOURCES.includes(source)) throw clientError(`source must be one of ${WASTE_SOURCES.join(', ')}`, 400);
+
+    const squareInventory = { success: 0, failed: 0, errors: [] };
+    const wasteLines = lines.filter(line => Number(line.quantity) > 0);
+    if (wasteLines.length === 0) return { entries: [], squareInventory };
+
+    const locationIds = [...new Set(wasteLines.map(line => line.locationId))];
+    const { rows: refs } = await db.query(`
+        SELECT
+            EXISTS (SELECT 1 FROM variations WHERE id = $1 AND merchant_id = $3) AS variation_ok,
+            (SELECT COUNT(*)::int FROM locations WHERE id = ANY($2) AND merchant_id = $3) AS locations_found
+    `, [variationId, locationIds, merchantId]);
+    if (!refs[0].variation_ok) throw clientError('Variation not found for this merchant', 400);
+    if (refs[0].locations_found !== locationIds.length) throw clientError('Location not found for this merchant', 400);
+
+    const { vendor_id: vendorId, unit_cost_cents: unitCost } = await getWasteUnitCost(merchantId, variationId);
+
+    const entries = [];
+    for (const line of wasteLines) {
+        const quantity = Number(line.quantity);
+        const { rows } = await db.query(`
+            INSERT INTO waste_log
+                (merchant_id, variation_id, location_id, quantity, unit_cost_cents, total_cost_cents,
+                 vendor_id, reason, source, notes, recorded_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            RETURNING *
+        `, [
+            merchantId, variationId, line.locationId, quantity,
+            unitCost, unitCost != null ? unitCost * quantity : null,
+            vendorId, reason, source, notes, recordedBy
+        ]);
+
+        const entry = await postWasteEntry(merchantId, rows[0]);
+        if (entry.square_status === 'POSTED') {
+            squareInventory.success++;
+        } else {
+            squareInventory.failed++;
+            squareInventory.errors.push({ location_id: entry.location_id, error: entry.square_error });
+        }
+        entries.push(entry);
+    }
+
+    logger.info('Waste recorded', {
+        merchantId, variationId, reason, source,
+        units: entries.reduce((sum, entry) => sum + entry.quantity, 0),
+        squareFailed: squareInventory.failed
+    });
+    return { entries, squareInventory };
+}
+
+/**
+ * Post a waste row whose Square adjustment failed again.
+ * @returns {Promise<Object>} The updated waste_log row
+ * @throws with .statusCode 404 when not found, 409 when already posted
+ */
+async function retryWastePost(merchantId, wasteId) {
+    const { rows } = await db.query(
+        'SELECT * FROM waste_log WHERE id = $1 AND merchant_id = $2',
+        [wasteId, merchantId]
+    );
+    if (rows.length === 0) throw clientError('Waste entry not found', 404);
+    if (rows[0].square_status === 'POSTED') throw clientError('Waste entry is already posted to Square', 409);
+
+    const entry = await postWasteEntry(merchantId, rows[0]);
+    if (entry.square_status !== 'POSTED') {
+        throw clientError(`Square inventory could not be updated: ${entry.square_error}`, 502);
+    }
+    return entry;
+}
+
+/**
+ * @param {number} merchantId
+ * @param {Object} [filters]
+ * @param {string} [filters.startDate] - YYYY-MM-DD, inclusive
+ * @param {string} [filters.endDate] - YYYY-MM-DD, inclusive
+ * @param {string} [filters.reason]
+ * @param {string} [filters.squareStatus]
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<Array>} Waste rows, newest first, with item, location and vendor names
+ */
+async function listWaste(merchantId, { startDate, endDate, reason, squareStatus, limit = 100, offset = 0 } = {}) {
+    const params = [merchantId];
+    let where = 'w.merchant_id = $1';
+    if (startDate) {
+        params.push(startDate);
+        where += ` AND w.created_at >= $${params.length}::date`;
+    }
+    if (endDate) {
+        params.push(endDate);
+        where += ` AND w.created_at < $${params.length}::date + 1`;
+    }
+    if (reason) {
+        params.push(reason);
+        where += ` AND w.reason = $${params.length}`;
+    }
+    if (squareStatus) {
+        params.push(squareStatus);
+        where += ` AND w.square_status = $${params.length}`;
+    }
+    params.push(limit, offset);
+
+    const { rows } = await db.query(`
+        SELECT w.*, v.sku, v.name AS variation_name, i.name AS item_name,
+               loc.name AS location_name, ven.name AS vendor_name
+        FROM waste_log w
+        LEFT JOIN variations v ON w.variation_id = v.id AND v.merchant_id = $1
+        LEFT JOIN items i ON v.item_id = i.id AND i.merchant_id = $1
+        LEFT JOIN locations loc ON w.location_id = loc.id AND loc.merchant_id = $1
+        LEFT JOIN vendors ven ON w.vendor_id = ven.id AND ven.merchant_id = $1
+        WHERE ${where}
+        ORDER BY w.created_at DESC, w.id DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+    return rows;
+}
+
+module.exports = {
+    WASTE_REASONS,
+    recordWaste,
+    retryWastePost,
+    listWaste
+};
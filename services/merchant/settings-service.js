@@ -25,6 +25,7 @@ const DEFAULT_MERCHANT_SETTINGS = {
     reorder_priority_high_days: parseInt(process.env.REORDER_PRIORITY_HIGH_DAYS) || 7,
     reorder_priority_medium_days: parseInt(process.env.REORDER_PRIORITY_MEDIUM_DAYS) || 14,
     reorder_priority_low_days: parseInt(process.env.REORDER_PRIORITY_LOW_DAYS) || 30,
+    reorder_use_observed_lead_time: false,
     daily_count_target: parseInt(process.env.DAILY_COUNT_TARGET) || 30,
     cycle_count_email_enabled: process.env.CYCLE_COUNT_EMAIL_ENABLED !== 'false',
     cycle_count_report_email: process.env.CYCLE_COUNT_REPORT_EMAIL !== 'false',
@@ -43,6 +44,7 @@ const ALLOWED_SETTING_FIELDS = [
     'reorder_priority_high_days',
     'reorder_priority_medium_days',
     'reorder_priority_low_days',
+    'reorder_use_observed_lead_time',
     'daily_count_target',
     'cycle_count_email_enabled',
     'cycle_count_report_email',
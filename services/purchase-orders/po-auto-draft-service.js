@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * Purchase Order Auto-Draft Service
+ *
+ * On a fixed-schedule vendor's order day, turns that vendor's reorder
+ * suggestions into a DRAFT purchase order for the buyer to review and submit.
+ * One draft per vendor per active location; nothing is sent to the vendor.
+ *
+ * - Quantities are rounded up to full case packs (suggestions net of pending
+ *   PO quantity can land between cases).
+ * - Orders below the vendor minimum are not drafted; the shortfall is reported.
+ * - A vendor/location that already has a DRAFT PO is left alone, so re-running
+ *   the job or a buyer's in-progress draft never produces duplicates.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { getMerchantLocaleConfig } = require('../merchant');
+const { getActiveLocationIds } = require('../catalog/location-service');
+const { getReorderSuggestions } = require('../catalog/reorder-service');
+const { calculateSubtotal, validateVendorMinimum, createPurchaseOrder } = require('./po-service');
+
+const AUTO_DRAFT_CREATED_BY = 'Auto-draft (vendor order day)';
+
+/**
+ * Lowercase weekday name ('monday'...) for a moment in the given timezone,
+ * matching how vendors.order_day is stored.
+ */
+function weekdayInTimezone(timezone, now = new Date()) {
+    return new Intl.DateTimeFormat('en-US', { weekday: 'long', timeZone: timezone })
+        .format(now)
+        .toLowerCase();
+}
+
+/**
+ * Convert reorder suggestions into PO line items, rounding each quantity up
+ * to a whole number of cases.
+ * @param {Array} suggestions - From getReorderSuggestions()
+ * @returns {Array<{variation_id, quantity_ordered, unit_cost_cents}>}
+ */
+function buildDraftItems(suggestions) {
+    return suggestions
+        .map(s => {
+            const casePack = s.case_pack_quantity > 1 ? s.case_pack_quantity : 1;
+            return {
+                variation_id: s.variation_id,
+                quantity_ordered: Math.ceil(s.final_suggested_qty / casePack) * casePack,
+                unit_cost_cents: s.unit_cost_cents
+            };
+        })
+        .filter(item => item.quantity_ordered > 0);
+}
+
+async function getVendorsDueOn(merchantId, weekday) {
+    const { rows } = await db.query(`
+        SELECT id, name, minimum_order_amount, default_supply_days
+        FROM vendors
+        WHERE merchant_id = $1
+          AND schedule_type = 'fixed'
+          AND LOWER(order_day) = $2
+          AND (status IS NULL OR status = 'ACTIVE')
+        ORDER BY name
+    `, [merchantId, weekday]);
+    return rows;
+}
+
+async function findOpenDraft(merchantId, vendorId, locationId) {
+    const { rows } = await db.query(`
+        SELECT id, po_number FROM purchase_orders
+        WHERE merchant_id = $1 AND vendor_id = $2 AND location_id = $3 AND status = 'DRAFT'
+        ORDER BY created_at DESC LIMIT 1
+    `, [merchantId, vendorId, locationId]);
+    return rows[0] || null;
+}
+
+/**
+ * Draft a PO for one vendor at one location.
+ * @returns {Promise<Object>} { vendorId, vendorName, locationId, status, ... } where status is
+ *   'drafted' (with po, itemCount, subtotalCents), 'existing_draft' (with po),
+ *   'below_minimum' (with subtotalCents, minimumCents, shortfallCents) or 'no_suggestions'
+ */
+async function draftVendorOrder(merchant, vendor, locationId) {
+    const base = { vendorId: vendor.id, vendorName: vendor.name, locationId };
+
+    const existing = await findOpenDraft(merchant.id, vendor.id, locationId);
+    if (existing) return { ...base, status: 'existing_draft', po: existing };
+
+    const suggestionResult = await getReorderSuggestions({
+        merchantId: merchant.id,
+        businessName: merchant.business_name,
+        query: { vendor_id: vendor.id, location_id: locationId, supply_days: vendor.default_supply_days || undefined }
+    });
+    if (suggestionResult.error) throw new Error(suggestionResult.message);
+
+    const items = buildDraftItems(suggestionResult.suggestions);
+    if (items.length === 0) return { ...base, status: 'no_suggestions' };
+
+    const subtotalCents = calculateSubtotal(items);
+    const minCheck = validateVendorMinimum(vendor, subtotalCents);
+    if (!minCheck.ok) {
+        return {
+            ...base,
+            status: 'below_minimum',
+            subtotalCents,
+            minimumCents: minCheck.minimumCents,
+            shortfallCents: minCheck.shortfallCents
+        };
+    }
+
+    const { po } = await createPurchaseOrder(merchant.id, {
+        vendorId: vendor.id,
+        locationId,
+        supplyDaysOverride: suggestionResult.supply_days,
+        notes: `Auto-drafted on ${vendor.name}'s order day from ${items.length} reorder suggestions. Review before submitting.`,
+        createdBy: AUTO_DRAFT_CREATED_BY,
+        items
+    });
+    return { ...base, status: 'drafted', po, itemCount: items.length, subtotalCents };
+}
+
+/**
+ * Draft POs for every fixed-schedule vendor whose order day is today in the
+ * merchant's timezone. A failure for one vendor/location doesn't stop the rest.
+ *
+ * @param {Object} merchant - { id, business_name }
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Override the current time (testing)
+ * @returns {Promise<{weekday: string, results: Array}>}
+ */
+async function autoDraftPurchaseOrders(merchant, { now = new Date() } = {}) {
+    const { timezone } = await getMerchantLocaleConfig(merchant.id);
+    const weekday = weekdayInTimezone(timezone, now);
+
+    const vendors = await getVendorsDueOn(merchant.id, weekday);
+    if (vendors.length === 0) return { weekday, results: [] };
+
+    const locationIds = await getActiveLocationIds(merchant.id);
+    const results = [];
+    for (const vendor of vendors) {
+        for (const locationId of locationIds) {
+            try {
+                results.push(await draftVendorOrder(merchant, vendor, locationId));
+            } catch (err) {
+                logger.error('Failed to auto-draft purchase order', {
+                    merchantId: merchant.id, vendorId: vendor.id, locationId, error: err.message
+                });
+                results.push({ vendorId: vendor.id, vendorName: vendor.name, locationId, status: 'failed', error: err.message });
+            }
+        }
+    }
+
+    logger.info('Purchase order auto-draft complete for merchant', {
+        merchantId: merchant.id,
+        weekday,
+        vendors: vendors.length,
+        drafted: results.filter(r => r.status === 'drafted').length
+    });
+    return { weekday, results };
+}
+
+module.exports = {
+    AUTO_DRAFT_CREATED_BY,
+    weekdayInTimezone,
+    buildDraftItems,
+    autoDraftPurchaseOrders
+};
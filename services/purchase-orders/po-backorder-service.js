@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * Purchase Order Backorder Service
+ *
+ * Closes a PARTIAL purchase order (→ CLOSED). The unreceived quantity on each
+ * short-shipped line is either cancelled or carried forward onto the vendor's
+ * next DRAFT PO for the same location (a new draft is created when there is
+ * none), as lines tagged with backorder_of_item_id.
+ *
+ * Pending-PO quantities in reorder math skip CLOSED POs, so a cancelled
+ * remainder stops counting as on-order while a backordered one keeps counting
+ * through its draft line.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { generatePoNumber } = require('./po-service');
+
+const REMAINDER_ACTIONS = { cancel: 'CANCELLED', backorder: 'BACKORDERED' };
+const BACKORDER_CREATED_BY = 'Backorder carry-forward';
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+async function getShortLines(merchantId, poId) {
+    const { rows } = await db.query(`
+        SELECT id, variation_id, unit_cost_cents,
+               quantity_ordered - COALESCE(received_quantity, 0) AS remaining_quantity
+        FROM purchase_order_items
+        WHERE purchase_order_id = $1 AND merchant_id = $2
+          AND quantity_ordered - COALESCE(received_quantity, 0) > 0
+        ORDER BY id
+    `, [poId, merchantId]);
+    return rows.map(r => ({ ...r, remaining_quantity: Number(r.remaining_quantity) }));
+}
+
+/**
+ * The vendor's next draft at this location (oldest first, as it's the one
+ * that will be submitted next), or a new one.
+ */
+async function findOrCreateDraft(client, merchantId, po) {
+    const { rows } = await client.query(`
+        SELECT id, po_number FROM purchase_orders
+        WHERE merchant_id = $1 AND vendor_id = $2 AND location_id = $3 AND status = 'DRAFT'
+        ORDER BY created_at ASC LIMIT 1
+        FOR UPDATE
+    `, [merchantId, po.vendor_id, po.location_id]);
+    if (rows.length > 0) return { ...rows[0], created: false };
+
+    const poNumber = await generatePoNumber(merchantId);
+    const { rows: created } = await client.query(`
+        INSERT INTO purchase_orders (po_number, vendor_id, location_id, status, notes, created_by, merchant_id)
+        VALUES ($1, $2, $3, 'DRAFT', $4, $5, $6)
+        RETURNING id, po_number
+    `, [poNumber, po.vendor_id, po.location_id, `Backorder from ${po.po_number}`, BACKORDER_CREATED_BY, merchantId]);
+    return { ...created[0], created: true };
+}
+
+async function carryForward(client, merchantId, po, lines) {
+    const draft = await findOrCreateDraft(client, merchantId, po);
+    for (const line of lines) {
+        await client.query(`
+            INSERT INTO purchase_order_items (
+                purchase_order_id, variation_id, quantity_ordered, unit_cost_cents,
+                total_cost_cents, notes, backorder_of_item_id, merchant_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [draft.id, line.variation_id, line.remaining_quantity, line.unit_cost_cents,
+            Math.round(line.remaining_quantity * line.unit_cost_cents), `Backorder from ${po.po_number}`,
+            line.id, merchantId]);
+    }
+    await client.query(`
+        UPDATE purchase_orders
+        SET subtotal_cents = t.sum, total_cents = t.sum, updated_at = CURRENT_TIMESTAMP
+        FROM (
+            SELECT COALESCE(SUM(total_cost_cents), 0) AS sum
+            FROM purchase_order_items WHERE purchase_order_id = $1 AND merchant_id = $2
+        ) t
+        WHERE id = $1 AND merchant_id = $2
+    `, [draft.id, merchantId]);
+    return draft;
+}
+
+/**
+ * Close a PARTIAL purchase order.
+ *
+ * @param {number} merchantId
+ * @param {number|string} poId
+ * @param {Object} options
+ * @param {'cancel'|'backorder'} options.remainder - What to do with unreceived quantities
+ * @returns {Promise<Object>} { purchase_order, remainder, remaining_quantity,
+ *   backorder: { po_id, po_number, created, line_count } | null }
+ * @throws with .statusCode 404 (not found) or 400 (not PARTIAL / bad remainder)
+ */
+async function closePurchaseOrder(merchantId, poId, { remainder } = {}) {
+    const closedRemainder = REMAINDER_ACTIONS[remainder];
+    if (!closedRemainder) throw clientError('remainder must be one of: cancel, backorder', 400);
+
+    const { rows } = await db.query(
+        'SELECT id, po_number, vendor_id, location_id, status FROM purchase_orders WHERE id = $1 AND merchant_id = $2',
+        [poId, merchantId]
+    );
+    if (rows.length === 0) throw clientError('Purchase order not found', 404);
+    const po = rows[0];
+    if (po.status !== 'PARTIAL')
+        throw clientError(`Only partially received purchase orders can be closed (current: ${po.status})`, 400);
+
+    const lines = await getShortLines(merchantId, po.id);
+
+    const result = await db.transaction(async (client) => {
+        const { rows: closed } = await client.query(`
+            UPDATE purchase_orders
+            SET status = 'CLOSED', closed_at = NOW(), closed_remainder = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND merchant_id = $2 AND status = 'PARTIAL'
+            RETURNING *
+        `, [po.id, merchantId, closedRemainder]);
+        if (closed.length === 0) throw clientError('Purchase order is no longer partially received', 400);
+
+        const draft = closedRemainder === 'BACKORDERED' && lines.length > 0
+            ? await carryForward(client, merchantId, po, lines)
+            : null;
+        return { purchaseOrder: closed[0], draft };
+    });
+
+    const remainingQuantity = lines.reduce((sum, l) => sum + l.remaining_quantity, 0);
+    logger.info('Closed partially received purchase order', {
+        merchantId, purchaseOrderId: po.id, poNumber: po.po_number, remainder: closedRemainder,
+        lineCount: lines.length, remainingQuantity, backorderPoId: result.draft?.id
+    });
+
+    return {
+        purchase_order: result.purchaseOrder,
+        remainder: closedRemainder,
+        remaining_quantity: remainingQuantity,
+        backorder: result.draft ? {
+            po_id: result.draft.id,
+            po_number: result.draft.po_number,
+            created: result.draft.created,
+            line_count: lines.length
+        } : null
+    };
+}
+
+module.exports = { closePurchaseOrder, REMAINDER_ACTIONS };
@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * Purchase Order Email Service
+ * "Submit & send": submits a draft PO, renders it as a PDF and emails it to
+ * the vendor through utils/email-notifier. Sent POs record when, to whom
+ * and under which provider message ID they were emailed; SUBMITTED and
+ * PARTIAL POs can be resent.
+ *
+ * Subject and body come from the vendor's po_email_subject / po_email_body
+ * templates when set, otherwise the defaults below. Templates are plain text
+ * with {{placeholder}} fields (see TEMPLATE_FIELDS).
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const emailNotifier = require('../../utils/email-notifier');
+const { escapeHtml } = require('../../utils/privacy-format');
+const { formatMoney } = require('../../utils/csv-helpers');
+const { submitPurchaseOrder } = require('./po-service');
+const { getPurchaseOrderForExport } = require('./po-export-service');
+const { buildPurchaseOrderPdf, calculateOrderTotalCents, formatDate } = require('./po-pdf-service');
+
+const SENDABLE_STATUSES = ['DRAFT', 'SUBMITTED', 'PARTIAL'];
+
+const TEMPLATE_FIELDS = [
+    'po_number', 'vendor_name', 'contact_name', 'business_name',
+    'expected_delivery_date', 'location_name', 'order_total'
+];
+
+const DEFAULT_SUBJECT_TEMPLATE = 'Purchase Order {{po_number}} from {{business_name}}';
+
+const DEFAULT_BODY_TEMPLATE = [
+    'Hello {{contact_name}},',
+    '',
+    'Please find attached purchase order {{po_number}} from {{business_name}}.',
+    '',
+    'Order total: {{order_total}}',
+    'Requested delivery: {{expected_delivery_date}}',
+    'Ship to: {{location_name}}',
+    '',
+    'Please reply to confirm the order and let us know about any items you cannot supply.',
+    '',
+    'Thank you,',
+    '{{business_name}}'
+].join('\n');
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+/**
+ * Fill {{field}} placeholders. Unknown placeholders are left as typed so a
+ * misspelt field is visible in the sent email rather than silently blank.
+ * @param {string} template
+ * @param {Object} values - Keyed by TEMPLATE_FIELDS
+ * @returns {string}
+ */
+function renderTemplate(template, values) {
+    return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) => (
+        TEMPLATE_FIELDS.includes(field) ? String(values[field] ?? '') : match
+    ));
+}
+
+/** Plain-text body → HTML, escaping the rendered text. */
+function bodyToHtml(text) {
+    return escapeHtml(text).replace(/\r?\n/g, '<br>\n');
+}
+
+async function loadSendablePo(merchantId, poId) {
+    const { rows } = await db.query(`
+        SELECT po.id, po.po_number, po.status, v.name AS vendor_name, v.contact_name, v.contact_email,
+               v.contact_phone, v.payment_terms, v.po_email_subject, v.po_email_body
+        FROM purchase_orders po
+        JOIN vendors v ON po.vendor_id = v.id AND v.merchant_id = $2
+        WHERE po.id = $1 AND po.merchant_id = $2
+    `, [poId, merchantId]);
+    if (rows.length === 0) throw clientError('Purchase order not found', 404);
+    if (!SENDABLE_STATUSES.includes(rows[0].status)) {
+        throw clientError(`Cannot email a ${rows[0].status} purchase order`, 400);
+    }
+    return rows[0];
+}
+
+/**
+ * Build the email (subject, HTML body, PDF attachment) for a PO.
+ * @param {{ po: object, items: Array }} poData - From getPurchaseOrderForExport
+ * @param {Object} vendor - Vendor contact and template columns
+ * @param {Object} merchant - { business_name, business_email }
+ * @returns {{ subject: string, html: string, attachment: Object }}
+ */
+function composePurchaseOrderEmail(poData, vendor, merchant) {
+    const { po } = poData;
+    const values = {
+        po_number: po.po_number,
+        vendor_name: po.vendor_name,
+        contact_name: vendor.contact_name || po.vendor_name,
+        business_name: merchant.business_name,
+        expected_delivery_date: formatDate(po.expected_delivery_date),
+        location_name: po.location_name,
+        order_total: formatMoney(calculateOrderTotalCents(poData))
+    };
+    return {
+        subject: renderTemplate(vendor.po_email_subject || DEFAULT_SUBJECT_TEMPLATE, values).replace(/[\r\n]+/g, ' '),
+        html: bodyToHtml(renderTemplate(vendor.po_email_body || DEFAULT_BODY_TEMPLATE, values)),
+        attachment: {
+            filename: `${po.po_number}.pdf`,
+            content: buildPurchaseOrderPdf(poData, { merchant, vendor }),
+            contentType: 'application/pdf'
+        }
+    };
+}
+
+/**
+ * Email a purchase order to its vendor, submitting it first if it's a draft.
+ *
+ * @param {number} merchantId
+ * @param {number} poId
+ * @param {Object} [options]
+ * @param {string} [options.to] - Override recipient (defaults to the vendor's contact_email)
+ * @returns {Promise<{purchase_order: Object, sent_to: string, message_id: string|null, submitted: boolean}>}
+ * @throws with .statusCode: 404 not found, 400 wrong status / no recipient,
+ *         503 email not configured, 502 provider failure
+ */
+async function sendPurchaseOrder(merchantId, poId, { to } = {}) {
+    const vendor = await loadSendablePo(merchantId, poId);
+    const recipient = to || vendor.contact_email;
+    if (!recipient) {
+        throw clientError('Vendor has no contact email. Add one in vendor settings or enter a recipient.', 400);
+    }
+    if (!emailNotifier.enabled) {
+        throw clientError('Email is not configured for this server', 503);
+    }
+
+    const submitted = vendor.status === 'DRAFT';
+    if (submitted) await submitPurchaseOrder(merchantId, poId);
+
+    const poData = await getPurchaseOrderForExport(merchantId, vendor.po_number);
+    const { rows: merchantRows } = await db.query(
+        'SELECT business_name, business_email, admin_email FROM merchants WHERE id = $1',
+        [merchantId]
+    );
+    const merchant = merchantRows[0] || {};
+    const { subject, html, attachment } = composePurchaseOrderEmail(poData, vendor, merchant);
+
+    let result;
+    try {
+        result = await emailNotifier.sendVendorEmail({
+            to: recipient,
+            subject,
+            html,
+            attachments: [attachment],
+            replyTo: merchant.business_email || merchant.admin_email || undefined,
+            fromName: merchant.business_name
+        });
+    } catch (err) {
+        logger.error('Purchase order email failed', { merchantId, poId, error: err.message });
+        const prefix = submitted ? 'Purchase order was submitted but the email' : 'Email';
+        throw clientError(`${prefix} could not be sent: ${err.message}. You can resend it from the order.`, 502);
+    }
+    if (!result) throw clientError('Email is not configured for this server', 503);
+
+    const { rows } = await db.query(`
+        UPDATE purchase_orders
+        SET emailed_at = NOW(), emailed_to = $3, email_message_id = $4,
+            email_send_count = COALESCE(email_send_count, 0) + 1, updated_at = NOW()
+        WHERE id = $1 AND merchant_id = $2
+        RETURNING *
+    `, [poId, merchantId, recipient, result.messageId]);
+
+    logger.info('Purchase order emailed to vendor', {
+        merchantId, poId, poNumber: vendor.po_number, to: recipient, messageId: result.messageId, submitted
+    });
+    return { purchase_order: rows[0], sent_to: recipient, message_id: result.messageId, submitted };
+}
+
+module.exports = {
+    sendPurchaseOrder,
+    composePurchaseOrderEmail,
+    renderTemplate,
+    DEFAULT_SUBJECT_TEMPLATE,
+    DEFAULT_BODY_TEMPLATE,
+    TEMPLATE_FIELDS
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Vendor Invoice Parser
+ * Reads supplier invoice CSV/XLSX files with the vendor catalog parsers
+ * (services/vendor/catalog-service.js) and returns normalized invoice lines.
+ * Column names are recognized the same way as catalog imports, plus the
+ * quantity and unit price columns invoices use.
+ */
+
+const { parseCSV, parseXLSX, normalizeHeader, parseMoney, cleanUPC } = require('../vendor/catalog-service');
+
+const QUANTITY_HEADERS = [
+    'qty', 'quantity', 'qty shipped', 'quantity shipped', 'shipped', 'ship qty',
+    'qty invoiced', 'quantity invoiced', 'invoiced', 'qty billed', 'units'
+];
+
+// Catalog imports call the unit cost "cost"/"price"; invoices often say "unit price"
+const UNIT_COST_HEADERS = ['unit price', 'unit_price', 'price each', 'each', 'net each', 'invoice price'];
+
+const INVOICE_FIELDS = ['vendor_item_number', 'upc', 'product_name', 'quantity', 'cost'];
+
+function invoiceField(header) {
+    const normalized = String(header).toLowerCase().trim().replace(/[.\s]+/g, ' ').trim();
+    if (QUANTITY_HEADERS.includes(normalized)) return 'quantity';
+    if (UNIT_COST_HEADERS.includes(normalized)) return 'cost';
+    const field = normalizeHeader(header);
+    return INVOICE_FIELDS.includes(field) ? field : null;
+}
+
+// First column wins when several map to the same field (e.g. "Qty" and "Units")
+function mapColumns(headers) {
+    const columns = {};
+    for (const header of headers) {
+        if (!header) continue;
+        const field = invoiceField(header);
+        if (field && !columns[field]) columns[field] = header;
+    }
+    return columns;
+}
+
+function parseQuantity(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(num) ? num : null;
+}
+
+function clientError(message) {
+    const err = new Error(message);
+    err.statusCode = 400;
+    return err;
+}
+
+/**
+ * Parse an invoice file into lines.
+ * Rows without an item number/UPC (freight, tax, totals) or without a usable
+ * quantity/cost are returned in `errors` rather than failing the import.
+ *
+ * @param {string|Buffer} data - File content (string for CSV, Buffer for XLSX)
+ * @param {'csv'|'xlsx'} fileType
+ * @returns {Promise<{lines: Array, errors: Array<{row, error}>, columns: Object}>}
+ * @throws with .statusCode 400 when the file can't be read or required columns are missing
+ */
+async function parseInvoiceFile(data, fileType) {
+    let parsed;
+    try {
+        parsed = fileType === 'xlsx' ? await parseXLSX(data) : parseCSV(data);
+    } catch (err) {
+        throw clientError(err.message);
+    }
+
+    const columns = mapColumns(parsed.headers);
+    const missing = ['quantity', 'cost'].filter(f => !columns[f]);
+    if (!columns.vendor_item_number && !columns.upc) missing.push('vendor_item_number or upc');
+    if (missing.length > 0) {
+        throw clientError(`Missing required invoice columns: ${missing.join(', ')}. ` +
+            `Found columns: ${parsed.headers.filter(Boolean).join(', ')}`);
+    }
+
+    const lines = [];
+    const errors = [];
+    parsed.rows.forEach((row, index) => {
+        const rowNumber = index + 2; // Account for header row
+        const value = field => (columns[field] ? row[columns[field]] : null);
+        const vendorItemNumber = value('vendor_item_number') ? String(value('vendor_item_number')).trim() : null;
+        const upc = cleanUPC(value('upc'));
+        const quantity = parseQuantity(value('quantity'));
+        const unitCostCents = parseMoney(value('cost'));
+        const description = value('product_name') ? String(value('product_name')).trim() : null;
+
+        if (!vendorItemNumber && !upc) {
+            if (description || quantity !== null) errors.push({ row: rowNumber, error: 'No vendor item number or UPC' });
+            return;
+        }
+        if (quantity === null || quantity <= 0) {
+            errors.push({ row: rowNumber, error: `Invalid quantity: ${value('quantity')}` });
+            return;
+        }
+        if (unitCostCents === null || unitCostCents < 0) {
+            errors.push({ row: rowNumber, error: `Invalid cost: ${value('cost')}` });
+            return;
+        }
+        lines.push({ rowNumber, vendorItemNumber, upc, description, quantity, unitCostCents });
+    });
+
+    return { lines, errors, columns };
+}
+
+module.exports = {
+    parseInvoiceFile
+};
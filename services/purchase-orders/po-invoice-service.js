@@ -0,0 +1,287 @@
+'use strict';
+
+/**
+ * Vendor Invoice Service
+ * Three-way match of a supplier invoice against a received purchase order:
+ * ordered (PO) vs received (receiving) vs invoiced (invoice file).
+ *
+ * - Invoice lines match PO lines by the vendor's item code
+ *   (variation_vendors.vendor_code) first, then by UPC (leading zeros ignored).
+ *   Split invoice lines for the same item are combined.
+ * - Quantity discrepancy: invoiced ≠ received. Price discrepancy: invoiced
+ *   unit cost ≠ PO unit cost.
+ * - Accepting an invoice writes the invoiced unit costs to variation_vendors
+ *   through the same update receiving uses (po-receive-service.upsertVendorCost).
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { parseInvoiceFile } = require('./po-invoice-parser');
+const { upsertVendorCost } = require('./po-receive-service');
+const { normalizeBarcode } = require('./po-receiving-session-service');
+
+const INVOICEABLE_STATUSES = ['RECEIVED', 'PARTIAL', 'CLOSED'];
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+const lineTotalCents = (quantity, unitCostCents) => Math.round(quantity * unitCostCents);
+
+async function loadInvoiceablePo(merchantId, poId) {
+    const { rows } = await db.query(
+        'SELECT id, po_number, vendor_id, status FROM purchase_orders WHERE id = $1 AND merchant_id = $2',
+        [poId, merchantId]
+    );
+    if (rows.length === 0) throw clientError('Purchase order not found', 404);
+    if (!INVOICEABLE_STATUSES.includes(rows[0].status)) {
+        throw clientError(`Invoices can only be matched against received purchase orders (current: ${rows[0].status})`, 400);
+    }
+    return rows[0];
+}
+
+// quantity columns are DECIMAL (returned as strings by pg); cast so they compare as numbers
+async function loadPoLines(merchantId, poId, vendorId) {
+    const { rows } = await db.query(`
+        SELECT poi.id, poi.variation_id, poi.quantity_ordered::float AS quantity_ordered,
+               COALESCE(poi.received_quantity, 0)::float AS received_quantity, poi.unit_cost_cents,
+               vv.vendor_code, v.upc, v.sku, i.name AS item_name, v.name AS variation_name
+        FROM purchase_order_items poi
+        JOIN variations v ON poi.variation_id = v.id AND v.merchant_id = $1
+        JOIN items i ON v.item_id = i.id AND i.merchant_id = $1
+        LEFT JOIN variation_vendors vv
+            ON vv.variation_id = poi.variation_id AND vv.vendor_id = $3 AND vv.merchant_id = $1
+        WHERE poi.purchase_order_id = $2 AND poi.merchant_id = $1
+        ORDER BY i.name, v.name
+    `, [merchantId, poId, vendorId]);
+    return rows;
+}
+
+/**
+ * Match parsed invoice lines to PO lines by vendor code, then UPC.
+ * @param {Array} invoiceLines - From parseInvoiceFile()
+ * @param {Array} poLines - PO lines with vendor_code and upc
+ * @returns {Array} invoice lines with purchaseOrderItemId and matchMethod ('vendor_code' | 'upc' | null)
+ */
+function matchInvoiceLines(invoiceLines, poLines) {
+    const byCode = new Map();
+    const byUpc = new Map();
+    for (const line of poLines) {
+        const code = line.vendor_code && line.vendor_code.trim().toUpperCase();
+        if (code && !byCode.has(code)) byCode.set(code, line);
+        const upc = line.upc && normalizeBarcode(line.upc);
+        if (upc && !byUpc.has(upc)) byUpc.set(upc, line);
+    }
+
+    return invoiceLines.map(line => {
+        const codeMatch = line.vendorItemNumber && byCode.get(line.vendorItemNumber.toUpperCase());
+        if (codeMatch) return { ...line, purchaseOrderItemId: codeMatch.id, matchMethod: 'vendor_code' };
+        const upcMatch = line.upc && byUpc.get(normalizeBarcode(line.upc));
+        if (upcMatch) return { ...line, purchaseOrderItemId: upcMatch.id, matchMethod: 'upc' };
+        return { ...line, purchaseOrderItemId: null, matchMethod: null };
+    });
+}
+
+/**
+ * Per-PO-line comparison of ordered, received and invoiced quantities and costs.
+ * @param {Array} poLines - From loadPoLines()
+ * @param {Array} invoiceLines - Stored vendor_invoice_lines rows
+ * @returns {Object} { lines, unmatched_lines, summary }
+ */
+function buildMatchReport(poLines, invoiceLines) {
+    const invoiced = new Map();
+    for (const line of invoiceLines) {
+        if (!line.purchase_order_item_id) continue;
+        const entry = invoiced.get(line.purchase_order_item_id) || { quantity: 0, totalCents: 0 };
+        entry.quantity += line.quantity;
+        entry.totalCents += lineTotalCents(line.quantity, line.unit_cost_cents);
+        invoiced.set(line.purchase_order_item_id, entry);
+    }
+
+    const lines = poLines.map(poLine => {
+        const entry = invoiced.get(poLine.id);
+        const invoicedQuantity = entry ? entry.quantity : 0;
+        const invoiceUnitCostCents = entry ? Math.round(entry.totalCents / entry.quantity) : null;
+        const discrepancies = [];
+        if (invoicedQuantity > poLine.received_quantity) discrepancies.push('over_billed');
+        if (invoicedQuantity < poLine.received_quantity) discrepancies.push('under_billed');
+        if (invoiceUnitCostCents !== null && invoiceUnitCostCents > poLine.unit_cost_cents) discrepancies.push('price_higher');
+        if (invoiceUnitCostCents !== null && invoiceUnitCostCents < poLine.unit_cost_cents) discrepancies.push('price_lower');
+        return {
+            purchase_order_item_id: poLine.id,
+            variation_id: poLine.variation_id,
+            item_name: poLine.item_name,
+            variation_name: poLine.variation_name,
+            sku: poLine.sku,
+            vendor_code: poLine.vendor_code,
+            ordered_quantity: poLine.quantity_ordered,
+            received_quantity: poLine.received_quantity,
+            invoiced_quantity: invoicedQuantity,
+            po_unit_cost_cents: poLine.unit_cost_cents,
+            invoice_unit_cost_cents: invoiceUnitCostCents,
+            quantity_variance: invoicedQuantity - poLine.received_quantity,
+            price_variance_cents: invoiceUnitCostCents === null ? null : invoiceUnitCostCents - poLine.unit_cost_cents,
+            discrepancies
+        };
+    });
+
+    const unmatched = invoiceLines.filter(line => !line.purchase_order_item_id);
+    const invoiceTotalCents = invoiceLines.reduce((sum, l) => sum + lineTotalCents(l.quantity, l.unit_cost_cents), 0);
+    const expectedTotalCents = poLines.reduce((sum, l) => sum + lineTotalCents(l.received_quantity, l.unit_cost_cents), 0);
+
+    return {
+        lines,
+        unmatched_lines: unmatched,
+        summary: {
+            matched_lines: invoiced.size,
+            discrepancy_lines: lines.filter(l => l.discrepancies.length > 0).length,
+            unmatched_lines: unmatched.length,
+            invoice_total_cents: invoiceTotalCents,
+            expected_total_cents: expectedTotalCents,
+            variance_cents: invoiceTotalCents - expectedTotalCents
+        }
+    };
+}
+
+/**
+ * Invoices imported against a PO, newest first.
+ */
+async function listInvoices(merchantId, poId) {
+    const { rows } = await db.query(`
+        SELECT vi.id, vi.invoice_number, vi.invoice_date, vi.file_name, vi.status, vi.total_cents,
+               vi.created_at, vi.accepted_at,
+               COUNT(l.id)::int AS line_count,
+               COUNT(l.id) FILTER (WHERE l.purchase_order_item_id IS NULL)::int AS unmatched_count
+        FROM vendor_invoices vi
+        LEFT JOIN vendor_invoice_lines l ON l.invoice_id = vi.id
+        WHERE vi.purchase_order_id = $1 AND vi.merchant_id = $2
+        GROUP BY vi.id
+        ORDER BY vi.created_at DESC
+    `, [poId, merchantId]);
+    return rows;
+}
+
+/**
+ * An invoice with its three-way match report, or null.
+ */
+async function getInvoice(merchantId, poId, invoiceId) {
+    const { rows } = await db.query(`
+        SELECT vi.*, po.po_number, po.vendor_id
+        FROM vendor_invoices vi
+        JOIN purchase_orders po ON po.id = vi.purchase_order_id AND po.merchant_id = vi.merchant_id
+        WHERE vi.id = $1 AND vi.purchase_order_id = $2 AND vi.merchant_id = $3
+    `, [invoiceId, poId, merchantId]);
+    if (rows.length === 0) return null;
+    const invoice = rows[0];
+
+    const poLines = await loadPoLines(merchantId, poId, invoice.vendor_id);
+    const { rows: invoiceLines } = await db.query(`
+        SELECT id, row_number, vendor_item_number, upc, description, quantity::float AS quantity,
+               unit_cost_cents, purchase_order_item_id, match_method
+        FROM vendor_invoice_lines
+        WHERE invoice_id = $1 AND merchant_id = $2
+        ORDER BY row_number
+    `, [invoiceId, merchantId]);
+
+    return { ...invoice, ...buildMatchReport(poLines, invoiceLines) };
+}
+
+/**
+ * Import an invoice file against a RECEIVED or PARTIAL PO and match its lines.
+ * @param {number} merchantId
+ * @param {number} poId
+ * @param {Object} file - { data, fileType, fileName, invoiceNumber, invoiceDate }; data already decoded
+ * @returns {Promise<Object>} { invoice (with match report), skipped_rows }
+ */
+async function importInvoice(merchantId, poId, { data, fileType, fileName, invoiceNumber, invoiceDate }) {
+    const po = await loadInvoiceablePo(merchantId, poId);
+    const { lines, errors } = await parseInvoiceFile(data, fileType);
+    if (lines.length === 0) throw clientError('No invoice lines with an item number or UPC, quantity and cost were found', 400);
+
+    const matched = matchInvoiceLines(lines, await loadPoLines(merchantId, poId, po.vendor_id));
+    const totalCents = matched.reduce((sum, l) => sum + lineTotalCents(l.quantity, l.unitCostCents), 0);
+
+    const invoiceId = await db.transaction(async (client) => {
+        const { rows } = await client.query(`
+            INSERT INTO vendor_invoices (merchant_id, purchase_order_id, invoice_number, invoice_date, file_name, total_cents)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id
+        `, [merchantId, poId, invoiceNumber || null, invoiceDate || null, fileName || null, totalCents]);
+        for (const line of matched) {
+            await client.query(`
+                INSERT INTO vendor_invoice_lines
+                    (invoice_id, merchant_id, row_number, vendor_item_number, upc, description,
+                     quantity, unit_cost_cents, purchase_order_item_id, match_method)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            `, [rows[0].id, merchantId, line.rowNumber, line.vendorItemNumber, line.upc, line.description,
+                line.quantity, line.unitCostCents, line.purchaseOrderItemId, line.matchMethod]);
+        }
+        return rows[0].id;
+    });
+
+    logger.info('Vendor invoice imported', {
+        merchantId, purchaseOrderId: poId, invoiceId,
+        lines: matched.length, unmatched: matched.filter(l => !l.purchaseOrderItemId).length, skippedRows: errors.length
+    });
+    return { invoice: await getInvoice(merchantId, poId, invoiceId), skipped_rows: errors };
+}
+
+/**
+ * Accept an invoice: invoiced unit costs become the vendor's current cost
+ * for each matched variation.
+ * @returns {Promise<Object>} { invoice, vendor_costs_updated }
+ */
+async function acceptInvoice(merchantId, poId, invoiceId) {
+    const invoice = await getInvoice(merchantId, poId, invoiceId);
+    if (!invoice) throw clientError('Invoice not found', 404);
+    if (invoice.status !== 'PENDING') throw clientError('Invoice was already accepted', 409);
+
+    const costLines = invoice.lines.filter(l => l.invoice_unit_cost_cents !== null);
+    let updated = 0;
+    await db.transaction(async (client) => {
+        const { rowCount } = await client.query(
+            "UPDATE vendor_invoices SET status = 'ACCEPTED', accepted_at = NOW() WHERE id = $1 AND merchant_id = $2 AND status = 'PENDING'",
+            [invoiceId, merchantId]
+        );
+        if (rowCount === 0) throw clientError('Invoice was already accepted', 409);
+
+        const { rows: current } = await client.query(
+            'SELECT variation_id, unit_cost_money FROM variation_vendors WHERE vendor_id = $1 AND merchant_id = $2 AND variation_id = ANY($3)',
+            [invoice.vendor_id, merchantId, costLines.map(l => l.variation_id)]
+        );
+        const currentCost = new Map(current.map(r => [r.variation_id, r.unit_cost_money]));
+        for (const line of costLines) {
+            if (currentCost.get(line.variation_id) !== line.invoice_unit_cost_cents) {
+                await upsertVendorCost(client, line.variation_id, invoice.vendor_id, line.invoice_unit_cost_cents, merchantId);
+                updated++;
+            }
+        }
+    });
+
+    logger.info('Vendor invoice accepted', { merchantId, purchaseOrderId: poId, invoiceId, vendorCostsUpdated: updated });
+    return { invoice: { ...invoice, status: 'ACCEPTED' }, vendor_costs_updated: updated };
+}
+
+/**
+ * Discard a pending invoice.
+ * @returns {Promise<boolean>} false when no pending invoice matched
+ */
+async function deleteInvoice(merchantId, poId, invoiceId) {
+    const { rowCount } = await db.query(
+        "DELETE FROM vendor_invoices WHERE id = $1 AND purchase_order_id = $2 AND merchant_id = $3 AND status = 'PENDING'",
+        [invoiceId, poId, merchantId]
+    );
+    return rowCount > 0;
+}
+
+module.exports = {
+    matchInvoiceLines,
+    buildMatchReport,
+    listInvoices,
+    getInvoice,
+    importInvoice,
+    acceptInvoice,
+    deleteInvoice
+};
@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * Purchase Order Landed Cost Service
+ *
+ * Freight, duty, brokerage and other charges paid on a received PO's shipment
+ * are spread over the received lines by one of:
+ * - VALUE:    received quantity × unit cost
+ * - QUANTITY: received units
+ * - WEIGHT:   line weight entered with the charges (purchase_order_items.received_weight)
+ *
+ * Each line's share is stored (allocated_charges_cents) along with its landed
+ * unit cost: unit cost plus its share per received unit. The per-unit charge is
+ * also added on top of the vendor's current cost in
+ * variation_vendors.landed_unit_cost_money, which margins in reorder
+ * suggestions, variations-with-costs and vendor catalog price reports use
+ * in place of the bare vendor cost. Saving charges replaces the PO's previous
+ * charges and allocation.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+
+const CHARGE_TYPES = ['FREIGHT', 'DUTY', 'BROKERAGE', 'OTHER'];
+const ALLOCATION_METHODS = ['VALUE', 'QUANTITY', 'WEIGHT'];
+const RECEIVED_STATUSES = ['PARTIAL', 'RECEIVED', 'CLOSED'];
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+/**
+ * Split totalCents in proportion to bases, in whole cents. Leftover cents go
+ * to the largest fractional shares so the shares always add up to the total.
+ * @param {number} totalCents
+ * @param {number[]} bases - Non-negative, at least one > 0
+ * @returns {number[]}
+ */
+function allocateCharges(totalCents, bases) {
+    const totalBasis = bases.reduce((sum, basis) => sum + basis, 0);
+    const exact = bases.map(basis => (totalCents * basis) / totalBasis);
+    const shares = exact.map(Math.floor);
+    let leftover = totalCents - shares.reduce((sum, share) => sum + share, 0);
+    const byFraction = exact
+        .map((value, index) => ({ index, fraction: value - shares[index] }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+    for (const { index } of byFraction) {
+        if (leftover <= 0) break;
+        shares[index] += 1;
+        leftover -= 1;
+    }
+    return shares;
+}
+
+function allocationBasis(line, method) {
+    if (method === 'QUANTITY') return line.received_quantity;
+    if (method === 'WEIGHT') return line.received_weight;
+    return line.received_quantity * line.unit_cost_cents;
+}
+
+async function loadPurchaseOrder(merchantId, poId) {
+    const { rows } = await db.query(
+        'SELECT id, po_number, status, vendor_id, landed_cost_method FROM purchase_orders WHERE id = $1 AND merchant_id = $2',
+        [poId, merchantId]
+    );
+    if (rows.length === 0) throw clientError('Purchase order not found', 404);
+    return rows[0];
+}
+
+async function getReceivedLines(merchantId, poId) {
+    const { rows } = await db.query(`
+        SELECT poi.id, poi.variation_id, poi.unit_cost_cents, poi.received_quantity, poi.received_weight,
+               poi.allocated_charges_cents, poi.landed_unit_cost_cents,
+               v.sku, v.name AS variation_name, i.name AS item_name
+        FROM purchase_order_items poi
+        JOIN variations v ON poi.variation_id = v.id AND v.merchant_id = $2
+        JOIN items i ON v.item_id = i.id AND i.merchant_id = $2
+        WHERE poi.purchase_order_id = $1 AND poi.merchant_id = $2
+          AND COALESCE(poi.received_quantity, 0) > 0
+        ORDER BY poi.id
+    `, [poId, merchantId]);
+    return rows.map(row => ({
+        ...row,
+        received_quantity: Number(row.received_quantity),
+        received_weight: row.received_weight != null ? Number(row.received_weight) : null
+    }));
+}
+
+/**
+ * @returns {Promise<Object>} { purchase_order_id, po_number, status, allocation_method,
+ *   charges, total_charges_cents, lines } — lines are the PO's received lines
+ */
+async function getLandedCosts(merchantId, poId) {
+    const po = await loadPurchaseOrder(merchantId, poId);
+    const { rows: charges } = await db.query(`
+        SELECT id, charge_type, description, amount_cents
+        FROM po_landed_charges
+        WHERE purchase_order_id = $1 AND merchant_id = $2
+        ORDER BY id
+    `, [poId, merchantId]);
+    return {
+        purchase_order_id: po.id,
+        po_number: po.po_number,
+        status: po.status,
+        allocation_method: po.landed_cost_method,
+        charges,
+        total_charges_cents: charges.reduce((sum, charge) => sum + charge.amount_cents, 0),
+        lines: await getReceivedLines(merchantId, poId)
+    };
+}
+
+/**
+ * Apply entered line weights; every received line needs one for WEIGHT.
+ */
+function applyWeights(lines, weights, method) {
+    const byId = new Map(weights.map(w => [Number(w.id), Number(w.weight)]));
+    const lineIds = new Set(lines.map(line => line.id));
+    const unknown = [...byId.keys()].filter(id => !lineIds.has(id));
+    if (unknown.length > 0) throw clientError(`Not a received line on this purchase order: ${unknown.join(', ')}`, 400);
+
+    for (const line of lines) {
+        if (byId.has(line.id)) line.received_weight = byId.get(line.id);
+    }
+    if (method === 'WEIGHT') {
+        const missing = lines.filter(line => !(line.received_weight > 0));
+        if (missing.length > 0) {
+            throw clientError(`Enter a weight for every received line to allocate by weight (missing: ${missing.map(l => l.sku || l.id).join(', ')})`, 400);
+        }
+    }
+}
+
+/**
+ * Replace a received PO's charges and re-allocate them to its received lines.
+ * @param {number} merchantId
+ * @param {number} poId
+ * @param {Object} input
+ * @param {string} input.allocationMethod - VALUE | QUANTITY | WEIGHT
+ * @param {Array<{charge_type, amount_cents, description}>} input.charges - [] clears them
+ * @param {Array<{id, weight}>} [input.weights] - Line weights (required for WEIGHT)
+ * @returns {Promise<Object>} As getLandedCosts
+ * @throws with .statusCode 404 / 400 (not received, bad weights, nothing to allocate over)
+ */
+async function setLandedCosts(merchantId, poId, { allocationMethod, charges, weights = [] }) {
+    const po = await loadPurchaseOrder(merchantId, poId);
+    if (!RECEIVED_STATUSES.includes(po.status)) {
+        throw clientError(`Landed costs can only be entered once a purchase order is received (current: ${po.status})`, 400);
+    }
+    const lines = await getReceivedLines(merchantId, poId);
+    if (lines.length === 0) throw clientError('Purchase order has no received lines', 400);
+    applyWeights(lines, weights, allocationMethod);
+
+    const totalCents = charges.reduce((sum, charge) => sum + Number(charge.amount_cents), 0);
+    const bases = lines.map(line => allocationBasis(line, allocationMethod));
+    if (totalCents > 0 && !bases.some(basis => basis > 0)) {
+        throw clientError(`Received lines have no ${allocationMethod.toLowerCase()} to allocate charges by`, 400);
+    }
+    const shares = totalCents > 0 ? allocateCharges(totalCents, bases) : lines.map(() => 0);
+
+    await db.transaction(async (client) => {
+        await client.query('DELETE FROM po_landed_charges WHERE purchase_order_id = $1 AND merchant_id = $2', [poId, merchantId]);
+        for (const charge of charges) {
+            await client.query(`
+                INSERT INTO po_landed_charges (merchant_id, purchase_order_id, charge_type, description, amount_cents)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [merchantId, poId, charge.charge_type, charge.description || null, Number(charge.amount_cents)]);
+        }
+        await client.query(
+            'UPDATE purchase_orders SET landed_cost_method = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND merchant_id = $3',
+            [allocationMethod, poId, merchantId]
+        );
+
+        for (const [index, line] of lines.entries()) {
+            const perUnitCharge = Math.round(shares[index] / line.received_quantity);
+            await client.query(`
+                UPDATE purchase_order_items
+                SET received_weight = $1, allocated_charges_cents = $2, landed_unit_cost_cents = $3
+                WHERE id = $4 AND merchant_id = $5
+            `, [line.received_weight, shares[index], line.unit_cost_cents + perUnitCharge, line.id, merchantId]);
+            await client.query(`
+                UPDATE variation_vendors
+                SET landed_unit_cost_money = unit_cost_money + $1, updated_at = CURRENT_TIMESTAMP
+                WHERE variation_id = $2 AND vendor_id = $3 AND merchant_id = $4 AND unit_cost_money IS NOT NULL
+            `, [perUnitCharge, line.variation_id, po.vendor_id, merchantId]);
+        }
+    });
+
+    logger.info('Allocated landed costs to purchase order', {
+        merchantId, purchaseOrderId: poId, poNumber: po.po_number,
+        allocationMethod, totalCents, lines: lines.length
+    });
+    return getLandedCosts(merchantId, poId);
+}
+
+module.exports = {
+    CHARGE_TYPES,
+    ALLOCATION_METHODS,
+    allocateCharges,
+    getLandedCosts,
+    setLandedCosts
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * Purchase Order PDF Service
+ * Renders a branded, printable purchase order for emailing to vendors.
+ * Pure builder: takes the data from getPurchaseOrderForExport plus merchant
+ * and vendor contact details, returns a PDF Buffer.
+ */
+
+const { PdfDocument } = require('../../utils/pdf-document');
+const { formatMoney } = require('../../utils/csv-helpers');
+
+const MARGIN = 40;
+const RIGHT = 572;
+const BOTTOM = 740;
+const BRAND = '#1f2937';
+const MUTED = '#6b7280';
+const RULE = '#d1d5db';
+
+// Items table columns: x is the left edge, or the right edge for numbers
+const COLUMNS = [
+    { key: 'vendor_code', label: 'Vendor Code', x: MARGIN, width: 80 },
+    { key: 'item', label: 'Item', x: 126, width: 200 },
+    { key: 'sku', label: 'SKU', x: 332, width: 70 },
+    { key: 'qty', label: 'Qty', x: 440, align: 'right' },
+    { key: 'unit_cost', label: 'Unit Cost', x: 500, align: 'right' },
+    { key: 'amount', label: 'Amount', x: RIGHT, align: 'right' }
+];
+
+/**
+ * DATE columns come back from pg as local-midnight Date objects; format
+ * them without a UTC shift.
+ */
+function formatDate(value) {
+    if (!value) return '';
+    if (value instanceof Date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+function formatQuantity(value) {
+    const qty = Number(value) || 0;
+    return Number.isInteger(qty) ? String(qty) : qty.toFixed(2);
+}
+
+function lineAmountCents(item) {
+    return Math.round((Number(item.quantity_ordered) || 0) * (item.unit_cost_cents || 0));
+}
+
+function drawHeader(doc, po, merchant) {
+    doc.rect(0, 0, doc.pageWidth, 80, BRAND);
+    doc.text(merchant.business_name || 'Purchase Order', MARGIN, 45, { size: 20, bold: true, color: '#ffffff', maxWidth: 330 });
+    if (merchant.business_email) {
+        doc.text(merchant.business_email, MARGIN, 63, { size: 9, color: '#e5e7eb' });
+    }
+    doc.text('PURCHASE ORDER', RIGHT, 45, { size: 14, bold: true, color: '#ffffff', align: 'right' });
+    doc.text(po.po_number, RIGHT, 63, { size: 10, color: '#e5e7eb', align: 'right' });
+}
+
+function drawBlock(doc, title, lines, x, y) {
+    doc.text(title, x, y, { size: 8, bold: true, color: MUTED });
+    lines.filter(Boolean).forEach((line, index) => {
+        doc.text(line, x, y + 15 + index * 13, { size: 10, bold: index === 0, maxWidth: 250 });
+    });
+}
+
+function drawDetails(doc, po, vendor) {
+    const details = [
+        ['Order date', formatDate(po.order_date)],
+        ['Expected delivery', formatDate(po.expected_delivery_date)],
+        ['Payment terms', vendor.payment_terms]
+    ].filter(([, value]) => value);
+    details.forEach(([label, value], index) => {
+        const y = 110 + index * 14;
+        doc.text(label, 440, y, { size: 9, color: MUTED, align: 'right' });
+        doc.text(value, RIGHT, y, { size: 9, bold: true, align: 'right' });
+    });
+
+    drawBlock(doc, 'VENDOR', [po.vendor_name, vendor.contact_name, vendor.contact_email, vendor.contact_phone], MARGIN, 110);
+    drawBlock(doc, 'SHIP TO', [po.location_name, po.location_address], MARGIN, 190);
+}
+
+function drawTableHeader(doc, y) {
+    doc.rect(MARGIN, y - 13, RIGHT - MARGIN, 19, '#f3f4f6');
+    for (const col of COLUMNS) {
+        doc.text(col.label, col.align === 'right' ? col.x - 4 : col.x + 4, y, {
+            size: 9, bold: true, color: MUTED, align: col.align
+        });
+    }
+    return y + 20;
+}
+
+function drawItemRow(doc, item, y) {
+    const values = {
+        vendor_code: item.vendor_code || '',
+        item: [item.item_name, item.variation_name].filter(Boolean).join(' — '),
+        sku: item.sku || '',
+        qty: formatQuantity(item.quantity_ordered),
+        unit_cost: formatMoney(item.unit_cost_cents),
+        amount: formatMoney(lineAmountCents(item))
+    };
+    for (const col of COLUMNS) {
+        doc.text(values[col.key], col.align === 'right' ? col.x - 4 : col.x + 4, y, {
+            size: 9, align: col.align, maxWidth: col.width && col.width - 8
+        });
+    }
+    doc.line(MARGIN, y + 6, RIGHT, y + 6, { color: RULE });
+}
+
+/**
+ * Order total from the line items, plus any tax and shipping on the PO.
+ * @param {{ po: object, items: Array }} poData
+ * @returns {number} cents
+ */
+function calculateOrderTotalCents({ po, items }) {
+    const subtotal = items.reduce((sum, item) => sum + lineAmountCents(item), 0);
+    return subtotal + (po.tax_cents || 0) + (po.shipping_cents || 0);
+}
+
+function drawTotals(doc, po, items, y) {
+    const subtotal = items.reduce((sum, item) => sum + lineAmountCents(item), 0);
+    const rows = [['Subtotal', subtotal]];
+    if (po.tax_cents) rows.push(['Tax', po.tax_cents]);
+    if (po.shipping_cents) rows.push(['Shipping', po.shipping_cents]);
+    rows.push(['Total', calculateOrderTotalCents({ po, items })]);
+
+    rows.forEach(([label, cents], index) => {
+        const isTotal = index === rows.length - 1;
+        const rowY = y + index * 16;
+        doc.text(label, 496, rowY, { size: isTotal ? 11 : 10, bold: isTotal, align: 'right' });
+        doc.text(formatMoney(cents), RIGHT - 4, rowY, { size: isTotal ? 11 : 10, bold: isTotal, align: 'right' });
+    });
+    return y + rows.length * 16;
+}
+
+function drawNotes(doc, notes, y) {
+    doc.text('NOTES', MARGIN, y, { size: 8, bold: true, color: MUTED });
+    const words = String(notes).split(/\s+/);
+    let line = '';
+    let lineY = y + 15;
+    for (const word of words) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (doc.widthOf(candidate, 9) > RIGHT - MARGIN && line) {
+            doc.text(line, MARGIN, lineY, { size: 9 });
+            line = word;
+            lineY += 12;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) doc.text(line, MARGIN, lineY, { size: 9, maxWidth: RIGHT - MARGIN });
+}
+
+/**
+ * Render a purchase order as a PDF.
+ * Long orders continue on further pages with the table header repeated.
+ *
+ * @param {{ po: object, items: Array }} poData - From getPurchaseOrderForExport
+ * @param {Object} [context]
+ * @param {Object} [context.merchant] - { business_name, business_email }
+ * @param {Object} [context.vendor] - { contact_name, contact_email, contact_phone, payment_terms }
+ * @returns {Buffer}
+ */
+function buildPurchaseOrderPdf({ po, items }, { merchant = {}, vendor = {} } = {}) {
+    const doc = new PdfDocument();
+    drawHeader(doc, po, merchant);
+    drawDetails(doc, po, vendor);
+
+    let y = drawTableHeader(doc, 250);
+    for (const item of items) {
+        if (y > BOTTOM) {
+            doc.addPage();
+            doc.text(`${po.po_number} (continued)`, MARGIN, 50, { size: 10, bold: true, color: MUTED });
+            y = drawTableHeader(doc, 80);
+        }
+        drawItemRow(doc, item, y);
+        y += 18;
+    }
+
+    if (y + 80 > BOTTOM) {
+        doc.addPage();
+        y = 60;
+    }
+    y = drawTotals(doc, po, items, y + 10);
+    if (po.notes) drawNotes(doc, po.notes, y + 20);
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    buildPurchaseOrderPdf,
+    calculateOrderTotalCents,
+    // Exported for testing
+    formatDate
+};
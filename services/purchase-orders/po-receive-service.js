@@ -3,11 +3,14 @@
 /**
  * Purchase Order Receive Service
  * Extracted from routes/purchase-orders.js receive handler.
- * Orchestrates: quantity recording, vendor cost sync, status transition, expiry re-audit flag.
+ * Orchestrates: quantity recording, vendor cost sync, expiry lots, status transition,
+ * expiry re-audit flag.
+ * upsertVendorCost() is also used when accepting vendor invoice costs (po-invoice-service.js).
  */
 
 const db = require('../../utils/database');
 const logger = require('../../utils/logger');
+const { validateReceiptLots, createReceiptLots } = require('../expiry/lot-service');
 
 async function updateLineItemQuantities(client, poId, items, merchantId) {
     for (const item of items) {
@@ -18,6 +21,23 @@ async function updateLineItemQuantities(client, poId, items, merchantId) {
     }
 }
 
+/**
+ * Set a variation's unit cost for a vendor. Shared by receiving (PO cost) and
+ * accepted vendor invoices (invoiced cost). A landed cost moves with the cost,
+ * keeping the per-unit charges from the last landed-cost allocation
+ * (po-landed-cost-service.js) on top of the new cost.
+ */
+async function upsertVendorCost(client, variationId, vendorId, unitCostCents, merchantId) {
+    await client.query(`
+        INSERT INTO variation_vendors (variation_id, vendor_id, unit_cost_money, currency, merchant_id, updated_at)
+        VALUES ($1, $2, $3, 'CAD', $4, CURRENT_TIMESTAMP)
+        ON CONFLICT (variation_id, vendor_id, merchant_id) DO UPDATE SET
+            landed_unit_cost_money = variation_vendors.landed_unit_cost_money
+                - variation_vendors.unit_cost_money + EXCLUDED.unit_cost_money,
+            unit_cost_money = EXCLUDED.unit_cost_money, updated_at = CURRENT_TIMESTAMP
+    `, [variationId, vendorId, unitCostCents, merchantId]);
+}
+
 async function syncVendorCosts(client, poId, items, merchantId) {
     const { rows: poRows } = await client.query(
         'SELECT vendor_id FROM purchase_orders WHERE id = $1 AND merchant_id = $2',
@@ -37,12 +57,7 @@ async function syncVendorCosts(client, poId, items, merchantId) {
 
     for (const row of diffs) {
         if (row.unit_cost_cents !== row.current_vendor_cost) {
-            await client.query(`
-                INSERT INTO variation_vendors (variation_id, vendor_id, unit_cost_money, currency, merchant_id, updated_at)
-                VALUES ($1, $2, $3, 'CAD', $4, CURRENT_TIMESTAMP)
-                ON CONFLICT (variation_id, vendor_id, merchant_id) DO UPDATE SET
-                    unit_cost_money = EXCLUDED.unit_cost_money, updated_at = CURRENT_TIMESTAMP
-            `, [row.variation_id, vendorId, row.unit_cost_cents, merchantId]);
+            await upsertVendorCost(client, row.variation_id, vendorId, row.unit_cost_cents, merchantId);
         }
     }
 }
@@ -83,13 +98,37 @@ async function flagExpiryItems(poId, items, merchantId) {
     }
 }
 
+async function recordReceipt(client, merchantId, poId, po, items) {
+    await updateLineItemQuantities(client, poId, items, merchantId);
+    await syncVendorCosts(client, poId, items, merchantId);
+    await createReceiptLots(client, merchantId, po, items);
+    const status = await determinePOStatus(client, poId, merchantId);
+    if (status === 'RECEIVED') {
+        await client.query(
+            "UPDATE purchase_orders SET status = 'RECEIVED', actual_delivery_date = CURRENT_DATE, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND merchant_id = $2",
+            [poId, merchantId]
+        );
+    } else {
+        await client.query(
+            "UPDATE purchase_orders SET status = 'PARTIAL', updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND merchant_id = $2",
+            [poId, merchantId]
+        );
+    }
+}
+
 /**
- * Record received quantities for a SUBMITTED purchase order.
+ * Record received quantities for a SUBMITTED purchase order. Lines may carry
+ * lots ({ quantity, expiration_date, lot_code }) to track the received units
+ * by expiry date at the PO's location.
+ * @param {Object} [client] - Database client when the caller's transaction should
+ *   include the receipt (the expiry re-audit flag is best effort and runs outside it)
  * @throws with .statusCode 404 (not found) or 400 (not SUBMITTED)
  */
-async function receiveItems(merchantId, poId, items) {
-    const { rows } = await db.query(
-        'SELECT id, status FROM purchase_orders WHERE id = $1 AND merchant_id = $2',
+async function receiveItems(merchantId, poId, items, client = null) {
+    // Use provided client (caller's transaction) or db.query (own transaction)
+    const queryFn = client ? client.query.bind(client) : db.query.bind(db);
+    const { rows } = await queryFn(
+        'SELECT id, status, location_id FROM purchase_orders WHERE id = $1 AND merchant_id = $2',
         [poId, merchantId]
     );
     if (rows.length === 0) {
@@ -102,31 +141,21 @@ async function receiveItems(merchantId, poId, items) {
         err.statusCode = 400;
         throw err;
     }
+    validateReceiptLots(items);
 
-    await db.transaction(async (client) => {
-        await updateLineItemQuantities(client, poId, items, merchantId);
-        await syncVendorCosts(client, poId, items, merchantId);
-        const status = await determinePOStatus(client, poId, merchantId);
-        if (status === 'RECEIVED') {
-            await client.query(
-                "UPDATE purchase_orders SET status = 'RECEIVED', actual_delivery_date = CURRENT_DATE, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND merchant_id = $2",
-                [poId, merchantId]
-            );
-        } else {
-            await client.query(
-                "UPDATE purchase_orders SET status = 'PARTIAL', updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND merchant_id = $2",
-                [poId, merchantId]
-            );
-        }
-    });
+    if (client) {
+        await recordReceipt(client, merchantId, poId, rows[0], items);
+    } else {
+        await db.transaction(txClient => recordReceipt(txClient, merchantId, poId, rows[0], items));
+    }
 
     await flagExpiryItems(poId, items, merchantId);
 
-    const { rows: poRows } = await db.query(
+    const { rows: poRows } = await queryFn(
         'SELECT * FROM purchase_orders WHERE id = $1 AND merchant_id = $2',
         [poId, merchantId]
     );
     return poRows[0];
 }
 
-module.exports = { receiveItems };
+module.exports = { receiveItems, upsertVendorCost };
@@ -0,0 +1,280 @@
+'use strict';
+
+/**
+ * Purchase Order Receiving Session Service
+ * Barcode-scan receiving for SUBMITTED purchase orders. Scans are logged to an
+ * open session (one per PO); committing the session sums scans per line and
+ * records them through po-receive-service.receiveItems(). Scans entered with
+ * an expiry date become expiry lots on commit (one per line, date and lot code).
+ * A GS1-128 / DataMatrix scan supplies the barcode (GTIN), expiry and lot itself.
+ *
+ * Scan flags:
+ *   over_receipt  – counted toward a PO line past its ordered quantity
+ *   substitution  – our catalog item, but not on this PO
+ *   unknown       – not in our catalog (vendor catalog match shown if any)
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { lookupOurItemByUPC } = require('../vendor/vendor-query-service');
+const { lookupByUPC } = require('../vendor/catalog-service');
+const { receiveItems } = require('./po-receive-service');
+const { resolveScan } = require('../expiry/gs1-scan');
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+// Scanners return UPC-A, EAN-13 and GTIN-14 for the same product with
+// different numbers of leading zeros; compare without them.
+function normalizeBarcode(barcode) {
+    return String(barcode).replace(/\D/g, '').replace(/^0+/, '');
+}
+
+async function loadReceivablePo(merchantId, poId) {
+    const { rows } = await db.query(
+        'SELECT id, po_number, vendor_id, status FROM purchase_orders WHERE id = $1 AND merchant_id = $2',
+        [poId, merchantId]
+    );
+    if (rows.length === 0) throw clientError('Purchase order not found', 404);
+    if (rows[0].status !== 'SUBMITTED')
+        throw clientError(`Purchase order is not in SUBMITTED status (current: ${rows[0].status})`, 400);
+    return rows[0];
+}
+
+async function findOpenSession(merchantId, poId) {
+    const { rows } = await db.query(
+        "SELECT * FROM po_receiving_sessions WHERE purchase_order_id = $1 AND merchant_id = $2 AND status = 'OPEN'",
+        [poId, merchantId]
+    );
+    return rows[0] || null;
+}
+
+async function requireOpenSession(merchantId, poId) {
+    const session = await findOpenSession(merchantId, poId);
+    if (!session) throw clientError('No open receiving session for this purchase order', 404);
+    return session;
+}
+
+// quantity columns are DECIMAL (returned as strings by pg); cast so counts compare as numbers
+async function buildSessionState(merchantId, poId, session) {
+    const { rows: lines } = await db.query(`
+        SELECT poi.id, poi.variation_id, poi.quantity_ordered::float AS quantity_ordered,
+               COALESCE(poi.received_quantity, 0)::float AS received_quantity,
+               COALESCE(SUM(s.quantity), 0)::int AS scanned_quantity,
+               i.name AS item_name, v.name AS variation_name, v.sku, v.upc
+        FROM purchase_order_items poi
+        JOIN variations v ON poi.variation_id = v.id AND v.merchant_id = $1
+        JOIN items i ON v.item_id = i.id AND i.merchant_id = $1
+        LEFT JOIN po_receiving_scans s ON s.purchase_order_item_id = poi.id AND s.session_id = $3
+        WHERE poi.purchase_order_id = $2 AND poi.merchant_id = $1
+        GROUP BY poi.id, v.id, i.id
+        ORDER BY i.name, v.name
+    `, [merchantId, poId, session.id]);
+    const { rows: scans } = await db.query(`
+        SELECT id, barcode, quantity, purchase_order_item_id, variation_id, description, flag,
+               expiration_date, lot_code, created_at
+        FROM po_receiving_scans
+        WHERE session_id = $1 AND merchant_id = $2
+        ORDER BY id DESC
+    `, [session.id, merchantId]);
+    return { session, lines, scans };
+}
+
+/**
+ * Current open session for a PO with per-line scanned counts, or null.
+ */
+async function getSession(merchantId, poId) {
+    const session = await findOpenSession(merchantId, poId);
+    return session ? buildSessionState(merchantId, poId, session) : null;
+}
+
+/**
+ * Open a receiving session for a SUBMITTED PO, or resume the one already open.
+ */
+async function startSession(merchantId, poId, userId) {
+    await loadReceivablePo(merchantId, poId);
+    await db.query(`
+        INSERT INTO po_receiving_sessions (merchant_id, purchase_order_id, user_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (purchase_order_id) WHERE status = 'OPEN' DO NOTHING
+    `, [merchantId, poId, userId || null]);
+    return getSession(merchantId, poId);
+}
+
+// PO line for a barcode: our variation's UPC, or the vendor's own barcode
+// (case/inner pack) from their imported catalog.
+async function findPoLine(merchantId, po, barcode) {
+    const { rows } = await db.query(`
+        SELECT poi.id, poi.variation_id, poi.quantity_ordered::float AS quantity_ordered,
+               COALESCE(poi.received_quantity, 0)::float AS received_quantity,
+               i.name AS item_name, v.name AS variation_name
+        FROM purchase_order_items poi
+        JOIN variations v ON poi.variation_id = v.id AND v.merchant_id = $1
+        JOIN items i ON v.item_id = i.id AND i.merchant_id = $1
+        WHERE poi.purchase_order_id = $2 AND poi.merchant_id = $1
+          AND (LTRIM(v.upc, '0') = $3 OR poi.variation_id IN (
+              SELECT matched_variation_id FROM vendor_catalog_items
+              WHERE merchant_id = $1 AND vendor_id = $4 AND LTRIM(upc, '0') = $3
+          ))
+        ORDER BY poi.id
+        LIMIT 1
+    `, [merchantId, po.id, normalizeBarcode(barcode), po.vendor_id]);
+    return rows[0] || null;
+}
+
+async function classifyOffPoBarcode(merchantId, po, barcode) {
+    const ourItem = await lookupOurItemByUPC(merchantId, barcode);
+    if (ourItem) {
+        const description = [ourItem.item_name, ourItem.variation_name].filter(Boolean).join(' — ');
+        return { flag: 'substitution', variationId: ourItem.id, description };
+    }
+    const vendorItems = await lookupByUPC(barcode, merchantId);
+    const vendorItem = vendorItems.find(vi => vi.vendor_id === po.vendor_id) || vendorItems[0];
+    return {
+        flag: 'unknown',
+        variationId: vendorItem?.matched_variation_id || null,
+        description: vendorItem ? `${vendorItem.product_name} (${vendorItem.vendor_name} #${vendorItem.vendor_item_number})` : null
+    };
+}
+
+/**
+ * Record a scan in the PO's open session.
+ * @param {number} merchantId
+ * @param {number} poId
+ * @param {Object} scan - { barcode, quantity = 1, expirationDate, lotCode } – expiry
+ *   date (YYYY-MM-DD) and lot code as printed on the units, both optional. Or
+ *   { gs1, quantity }: a GS1 element string giving all three (expirationDate and
+ *   lotCode, when sent, win over the code's)
+ * @returns {Promise<Object>} { scan, line, gs1 } – line is the matched PO line with
+ *   updated counts, or null; gs1 is the read GS1 scan with its conflicts, or null
+ */
+async function recordScan(merchantId, poId, { barcode, gs1: elementString = null, quantity = 1, expirationDate = null, lotCode = null }) {
+    const po = await loadReceivablePo(merchantId, poId);
+    const session = await requireOpenSession(merchantId, poId);
+
+    const gs1 = elementString ? await resolveScan(merchantId, elementString) : null;
+    if (gs1) {
+        barcode = gs1.gtin;
+        expirationDate = expirationDate || gs1.expiration_date;
+        lotCode = lotCode || gs1.lot_code;
+    }
+
+    let line = await findPoLine(merchantId, po, barcode);
+    let match;
+    if (line) {
+        const { rows } = await db.query(
+            `SELECT COALESCE(SUM(quantity), 0)::int AS scanned FROM po_receiving_scans
+             WHERE session_id = $1 AND purchase_order_item_id = $2 AND merchant_id = $3`,
+            [session.id, line.id, merchantId]
+        );
+        const scannedQuantity = rows[0].scanned + quantity;
+        line = { ...line, scanned_quantity: scannedQuantity };
+        match = {
+            flag: line.received_quantity + scannedQuantity > line.quantity_ordered ? 'over_receipt' : null,
+            variationId: line.variation_id,
+            description: [line.item_name, line.variation_name].filter(Boolean).join(' — ')
+        };
+    } else {
+        match = await classifyOffPoBarcode(merchantId, po, barcode);
+    }
+
+    const { rows } = await db.query(`
+        INSERT INTO po_receiving_scans
+            (session_id, merchant_id, barcode, quantity, purchase_order_item_id, variation_id, description, flag,
+             expiration_date, lot_code)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id, barcode, quantity, purchase_order_item_id, variation_id, description, flag,
+                  expiration_date, lot_code, created_at
+    `, [session.id, merchantId, barcode, quantity, line ? line.id : null, match.variationId, match.description, match.flag,
+        expirationDate || null, lotCode || null]);
+
+    return { scan: rows[0], line, gs1 };
+}
+
+/**
+ * Undo a scan in the PO's open session.
+ * @returns {Promise<boolean>} false when the scan isn't in the open session
+ */
+async function removeScan(merchantId, poId, scanId) {
+    const session = await requireOpenSession(merchantId, poId);
+    const { rowCount } = await db.query(
+        'DELETE FROM po_receiving_scans WHERE id = $1 AND session_id = $2 AND merchant_id = $3',
+        [scanId, session.id, merchantId]
+    );
+    return rowCount > 0;
+}
+
+async function cancelSession(merchantId, poId) {
+    const session = await requireOpenSession(merchantId, poId);
+    await db.query(
+        "UPDATE po_receiving_sessions SET status = 'CANCELLED' WHERE id = $1 AND merchant_id = $2",
+        [session.id, merchantId]
+    );
+}
+
+/**
+ * Commit the open session: scanned quantities are added to each line's
+ * received quantity via receiveItems(). Off-PO scans are not added to the PO;
+ * they are returned with the over-receipts for the buyer to follow up.
+ * Dated scans are received as expiry lots.
+ * @returns {Promise<Object>} { purchase_order, received_lines, flagged }
+ */
+async function commitSession(merchantId, poId) {
+    await loadReceivablePo(merchantId, poId);
+    const session = await requireOpenSession(merchantId, poId);
+
+    // Dated scans are grouped into one lot per line, expiry date and lot code
+    const { rows: items } = await db.query(`
+        SELECT poi.id, (COALESCE(poi.received_quantity, 0) + SUM(s.quantity))::float AS received_quantity,
+               (SELECT COALESCE(json_agg(json_build_object(
+                           'quantity', g.quantity, 'expiration_date', g.expiration_date, 'lot_code', g.lot_code)), '[]')
+                FROM (SELECT SUM(ls.quantity)::int AS quantity, ls.expiration_date, ls.lot_code
+                      FROM po_receiving_scans ls
+                      WHERE ls.session_id = $1 AND ls.purchase_order_item_id = poi.id AND ls.expiration_date IS NOT NULL
+                      GROUP BY ls.expiration_date, ls.lot_code) g) AS lots
+        FROM po_receiving_scans s
+        JOIN purchase_order_items poi ON s.purchase_order_item_id = poi.id AND poi.merchant_id = $2
+        WHERE s.session_id = $1 AND s.merchant_id = $2
+        GROUP BY poi.id, poi.received_quantity
+    `, [session.id, merchantId]);
+    if (items.length === 0) throw clientError('No scanned items match this purchase order', 400);
+
+    // Claim the session and receive in one transaction: a second commit from
+    // another device waits on the claim and gets a 409, and a failed receipt
+    // leaves the session OPEN with its scans
+    const po = await db.transaction(async (client) => {
+        const { rowCount } = await client.query(
+            `UPDATE po_receiving_sessions SET status = 'COMMITTED', committed_at = NOW()
+             WHERE id = $1 AND merchant_id = $2 AND status = 'OPEN'`,
+            [session.id, merchantId]
+        );
+        if (rowCount === 0) throw clientError('Receiving session was already committed', 409);
+        return receiveItems(merchantId, poId, items, client);
+    });
+
+    const { rows: flagged } = await db.query(`
+        SELECT id, barcode, quantity, purchase_order_item_id, variation_id, description, flag
+        FROM po_receiving_scans
+        WHERE session_id = $1 AND merchant_id = $2 AND flag IS NOT NULL
+        ORDER BY id
+    `, [session.id, merchantId]);
+
+    logger.info('PO receiving session committed', {
+        merchantId, purchaseOrderId: poId, sessionId: session.id,
+        receivedLines: items.length, flagged: flagged.length
+    });
+    return { purchase_order: po, received_lines: items.length, flagged };
+}
+
+module.exports = {
+    normalizeBarcode,
+    getSession,
+    startSession,
+    recordScan,
+    removeScan,
+    cancelSession,
+    commitSession
+};
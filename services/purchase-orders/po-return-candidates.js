@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Vendor Return Candidates — expired stock that could go back to a vendor.
+ *
+ * Takes the expiry subsystem's EXPIRED tier and keeps variations that still
+ * have stock on hand and a vendor to return them to, pre-filled as return
+ * lines (reason EXPIRED, full on-hand quantity, vendor cost).
+ */
+
+const db = require('../../utils/database');
+const { getVariationsInTier } = require('../expiry');
+
+const EXPIRED_TIER = 'EXPIRED';
+const CANDIDATE_LIMIT = 500;
+
+/**
+ * @param {number} merchantId
+ * @param {Object} [filters]
+ * @param {string} [filters.vendorId] - Only variations supplied by this vendor
+ * @param {string} [filters.locationId] - Count on-hand at this location only
+ * @returns {Promise<Array>} One row per variation/vendor pair
+ */
+async function getReturnCandidates(merchantId, { vendorId, locationId } = {}) {
+    const expired = await getVariationsInTier(EXPIRED_TIER, merchantId, { limit: CANDIDATE_LIMIT });
+    if (expired.length === 0) return [];
+
+    const byVariation = new Map(expired.map(row => [row.variation_id, row]));
+    const { rows } = await db.query(`
+        SELECT vv.variation_id, vv.vendor_id, ven.name AS vendor_name, vv.vendor_code,
+               vv.unit_cost_money AS unit_cost_cents, stock.on_hand
+        FROM variation_vendors vv
+        JOIN vendors ven ON vv.vendor_id = ven.id AND ven.merchant_id = $1
+        JOIN (
+            SELECT catalog_object_id, SUM(quantity)::int AS on_hand
+            FROM inventory_counts
+            WHERE merchant_id = $1 AND state = 'IN_STOCK'
+              AND ($3::text IS NULL OR location_id = $3)
+            GROUP BY catalog_object_id
+        ) stock ON stock.catalog_object_id = vv.variation_id
+        WHERE vv.merchant_id = $1 AND vv.variation_id = ANY($2)
+          AND ($4::text IS NULL OR vv.vendor_id = $4)
+          AND stock.on_hand > 0
+        ORDER BY ven.name
+    `, [merchantId, [...byVariation.keys()], locationId || null, vendorId || null]);
+
+    return rows.map(row => {
+        const variation = byVariation.get(row.variation_id);
+        return {
+            variation_id: row.variation_id,
+            item_name: variation.item_name,
+            variation_name: variation.variation_name,
+            sku: variation.sku,
+            expiration_date: variation.expiration_date,
+            days_until_expiry: variation.days_until_expiry,
+            vendor_id: row.vendor_id,
+            vendor_name: row.vendor_name,
+            vendor_code: row.vendor_code,
+            unit_cost_cents: row.unit_cost_cents != null ? Number(row.unit_cost_cents) : null,
+            on_hand: row.on_hand,
+            suggested_reason: 'EXPIRED',
+            suggested_quantity: row.on_hand
+        };
+    });
+}
+
+module.exports = {
+    getReturnCandidates
+};
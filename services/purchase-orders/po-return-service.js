@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * Vendor Return Service — RMA documents for stock going back to a vendor
+ * (damaged, expired, short-dated, ...), optionally tied to the PO it came in on.
+ *
+ * Status flow: DRAFT → SENT → CREDITED (transitions in po-return-status-service.js)
+ * - DRAFT: lines can be edited; the return can be deleted.
+ * - SENT: vendor RMA number and notes can still be updated.
+ * - CREDITED: read-only.
+ *
+ * Line unit costs default to the PO line cost when the return references a
+ * PO, otherwise the vendor cost (variation_vendors.unit_cost_money).
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { getLocationById } = require('../catalog/location-service');
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+const lineTotalCents = items => items.reduce((sum, item) => sum + item.quantity * item.unit_cost_cents, 0);
+
+async function generateReturnNumber(merchantId) {
+    const dateStr = new Date().toISOString().split('T')[0].replace(/-/g, '');
+    const { rows } = await db.query(
+        'SELECT COUNT(*) AS count FROM vendor_returns WHERE return_number LIKE $1 AND merchant_id = $2',
+        [`RMA-${dateStr}-%`, merchantId]
+    );
+    return `RMA-${dateStr}-${(parseInt(rows[0].count) + 1).toString().padStart(3, '0')}`;
+}
+
+async function listReturns(merchantId, { status, vendorId } = {}) {
+    const params = [merchantId];
+    let filters = '';
+    if (status) {
+        params.push(status);
+        filters += ` AND vr.status = $${params.length}`;
+    }
+    if (vendorId) {
+        params.push(vendorId);
+        filters += ` AND vr.vendor_id = $${params.length}`;
+    }
+    const { rows } = await db.query(`
+        SELECT vr.*, v.name AS vendor_name, l.name AS location_name, po.po_number,
+               (SELECT COUNT(*) FROM vendor_return_items vri WHERE vri.return_id = vr.id)::int AS item_count
+        FROM vendor_returns vr
+        JOIN vendors v ON vr.vendor_id = v.id AND v.merchant_id = $1
+        JOIN locations l ON vr.location_id = l.id AND l.merchant_id = $1
+        LEFT JOIN purchase_orders po ON vr.purchase_order_id = po.id AND po.merchant_id = $1
+        WHERE vr.merchant_id = $1${filters}
+        ORDER BY vr.created_at DESC
+    `, params);
+    return rows;
+}
+
+/**
+ * @returns {Promise<Object|null>} Return with vendor/location names and `items`, or null
+ */
+async function getReturn(merchantId, returnId) {
+    const { rows } = await db.query(`
+        SELECT vr.*, v.name AS vendor_name, v.contact_email AS vendor_contact_email,
+               l.name AS location_name, po.po_number
+        FROM vendor_returns vr
+        JOIN vendors v ON vr.vendor_id = v.id AND v.merchant_id = $2
+        JOIN locations l ON vr.location_id = l.id AND l.merchant_id = $2
+        LEFT JOIN purchase_orders po ON vr.purchase_order_id = po.id AND po.merchant_id = $2
+        WHERE vr.id = $1 AND vr.merchant_id = $2
+    `, [returnId, merchantId]);
+    if (rows.length === 0) return null;
+
+    const vendorReturn = rows[0];
+    const items = await db.query(`
+        SELECT vri.*, v.sku, v.upc, i.name AS item_name, v.name AS variation_name, vv.vendor_code
+        FROM vendor_return_items vri
+        JOIN variations v ON vri.variation_id = v.id AND v.merchant_id = $2
+        JOIN items i ON v.item_id = i.id AND i.merchant_id = $2
+        LEFT JOIN variation_vendors vv ON vv.variation_id = v.id AND vv.vendor_id = $3 AND vv.merchant_id = $2
+        WHERE vri.return_id = $1 AND vri.merchant_id = $2
+        ORDER BY i.name, v.name
+    `, [returnId, merchantId, vendorReturn.vendor_id]);
+    vendorReturn.items = items.rows;
+    return vendorReturn;
+}
+
+async function validateReturnHeader(merchantId, { vendorId, locationId, purchaseOrderId }) {
+    const vendor = await db.query('SELECT id FROM vendors WHERE id = $1 AND merchant_id = $2', [vendorId, merchantId]);
+    if (vendor.rows.length === 0) throw clientError('Invalid vendor or vendor does not belong to this merchant', 403);
+
+    const location = await getLocationById(merchantId, locationId);
+    if (!location) throw clientError('Invalid location or location does not belong to this merchant', 403);
+
+    if (purchaseOrderId) {
+        const po = await db.query(
+            'SELECT vendor_id FROM purchase_orders WHERE id = $1 AND merchant_id = $2',
+            [purchaseOrderId, merchantId]
+        );
+        if (po.rows.length === 0) throw clientError('Purchase order not found', 404);
+        if (po.rows[0].vendor_id !== vendorId) throw clientError('Purchase order is for a different vendor', 400);
+    }
+}
+
+/**
+ * Fill in missing unit costs (PO line cost, then vendor cost, then 0) and
+ * reject variations that don't belong to the merchant.
+ */
+async function resolveLineCosts(merchantId, vendorId, purchaseOrderId, items) {
+    const variationIds = [...new Set(items.map(item => item.variation_id))];
+    const { rows } = await db.query(`
+        SELECT v.id,
+               (SELECT poi.unit_cost_cents FROM purchase_order_items poi
+                WHERE poi.purchase_order_id = $3 AND poi.variation_id = v.id AND poi.merchant_id = $1
+                LIMIT 1) AS po_cost_cents,
+               vv.unit_cost_money AS vendor_cost_cents
+        FROM variations v
+        LEFT JOIN variation_vendors vv ON vv.variation_id = v.id AND vv.vendor_id = $2 AND vv.merchant_id = $1
+        WHERE v.id = ANY($4) AND v.merchant_id = $1
+    `, [merchantId, vendorId, purchaseOrderId || null, variationIds]);
+    const costs = new Map(rows.map(row => [row.id, row.po_cost_cents ?? row.vendor_cost_cents ?? 0]));
+
+    const unknown = variationIds.filter(id => !costs.has(id));
+    if (unknown.length > 0) throw clientError(`Unknown variation(s): ${unknown.join(', ')}`, 400);
+
+    return items.map(item => ({
+        variation_id: item.variation_id,
+        quantity: Number(item.quantity),
+        unit_cost_cents: item.unit_cost_cents != null ? Number(item.unit_cost_cents) : Number(costs.get(item.variation_id)),
+        reason: item.reason,
+        note: item.note || null
+    }));
+}
+
+async function insertReturnItems(client, returnId, items, merchantId) {
+    for (const item of items) {
+        await client.query(`
+            INSERT INTO vendor_return_items (return_id, merchant_id, variation_id, quantity, unit_cost_cents, reason, note)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [returnId, merchantId, item.variation_id, item.quantity, item.unit_cost_cents, item.reason, item.note]);
+    }
+}
+
+async function createReturn(merchantId, { vendorId, locationId, purchaseOrderId, vendorRmaNumber, notes, items }) {
+    await validateReturnHeader(merchantId, { vendorId, locationId, purchaseOrderId });
+    const lines = await resolveLineCosts(merchantId, vendorId, purchaseOrderId, items);
+    const returnNumber = await generateReturnNumber(merchantId);
+
+    const vendorReturn = await db.transaction(async (client) => {
+        const { rows } = await client.query(`
+            INSERT INTO vendor_returns (
+                merchant_id, return_number, vendor_id, location_id, purchase_order_id,
+                vendor_rma_number, notes, total_cents
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
+        `, [merchantId, returnNumber, vendorId, locationId, purchaseOrderId || null,
+            vendorRmaNumber || null, notes || null, lineTotalCents(lines)]);
+        await insertReturnItems(client, rows[0].id, lines, merchantId);
+        return rows[0];
+    });
+
+    logger.info('Vendor return created', { merchantId, returnId: vendorReturn.id, returnNumber, lines: lines.length });
+    return getReturn(merchantId, vendorReturn.id);
+}
+
+/**
+ * Update a DRAFT or SENT return. `items` (DRAFT only) replaces all lines.
+ */
+async function updateReturn(merchantId, returnId, { vendorRmaNumber, notes, items }) {
+    const existing = await getReturn(merchantId, returnId);
+    if (!existing) throw clientError('Vendor return not found', 404);
+    if (existing.status === 'CREDITED') throw clientError('A credited return cannot be changed', 400);
+    if (items && existing.status !== 'DRAFT') throw clientError('Lines can only be changed while the return is a draft', 400);
+
+    const lines = items
+        ? await resolveLineCosts(merchantId, existing.vendor_id, existing.purchase_order_id, items)
+        : null;
+
+    await db.transaction(async (client) => {
+        await client.query(`
+            UPDATE vendor_returns
+            SET vendor_rma_number = COALESCE($3, vendor_rma_number),
+                notes = COALESCE($4, notes),
+                total_cents = COALESCE($5, total_cents),
+                updated_at = NOW()
+            WHERE id = $1 AND merchant_id = $2
+        `, [returnId, merchantId, vendorRmaNumber ?? null, notes ?? null, lines ? lineTotalCents(lines) : null]);
+        if (lines) {
+            await client.query('DELETE FROM vendor_return_items WHERE return_id = $1 AND merchant_id = $2', [returnId, merchantId]);
+            await insertReturnItems(client, returnId, lines, merchantId);
+        }
+    });
+    return getReturn(merchantId, returnId);
+}
+
+async function deleteReturn(merchantId, returnId) {
+    const { rows } = await db.query(
+        'SELECT return_number, status FROM vendor_returns WHERE id = $1 AND merchant_id = $2',
+        [returnId, merchantId]
+    );
+    if (rows.length === 0) throw clientError('Vendor return not found', 404);
+    if (rows[0].status !== 'DRAFT') throw clientError(`Only draft returns can be deleted (current: ${rows[0].status})`, 400);
+    await db.query('DELETE FROM vendor_returns WHERE id = $1 AND merchant_id = $2', [returnId, merchantId]);
+    return { returnNumber: rows[0].return_number };
+}
+
+module.exports = {
+    listReturns,
+    getReturn,
+    createReturn,
+    updateReturn,
+    deleteReturn
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Vendor Return Status Service — SENT and CREDITED transitions.
+ *
+ * Shipping removes the returned quantities from Square inventory at the
+ * return's location (IN_STOCK → WASTE) before the return is marked SENT, so a
+ * Square failure leaves it in DRAFT to retry. The idempotency key is derived
+ * from the return and its last edit, so a retry after a partial failure is not
+ * applied twice. The local inventory_counts row is decremented too, so stock
+ * screens are right before the next inventory sync — only when this request's
+ * DRAFT → SENT update changed the row, so a double-submitted ship counts once.
+ */
+
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const { removeSquareInventory } = require('../square/square-inventory');
+const { getReturn } = require('./po-return-service');
+
+function clientError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+// One adjustment per variation even if it appears on several lines (different reasons)
+function buildAdjustments(vendorReturn) {
+    const totals = new Map();
+    for (const item of vendorReturn.items) {
+        totals.set(item.variation_id, (totals.get(item.variation_id) || 0) + Number(item.quantity));
+    }
+    return [...totals].map(([catalogObjectId, quantity]) => ({
+        catalogObjectId, locationId: vendorReturn.location_id, quantity
+    }));
+}
+
+/**
+ * Ship a DRAFT return: DRAFT → SENT.
+ * @returns {Promise<Object>} The updated return with items
+ * @throws with .statusCode 404 / 400 (not DRAFT, no lines) / 502 (Square failed)
+ */
+async function shipReturn(merchantId, returnId) {
+    const vendorReturn = await getReturn(merchantId, returnId);
+    if (!vendorReturn) throw clientError('Vendor return not found', 404);
+    if (vendorReturn.status !== 'DRAFT') {
+        throw clientError(`Only draft returns can be shipped (current: ${vendorReturn.status})`, 400);
+    }
+    if (vendorReturn.items.length === 0) throw clientError('Add at least one line before shipping the return', 400);
+
+    const adjustments = buildAdjustments(vendorReturn);
+    const editedAt = new Date(vendorReturn.updated_at);
+    try {
+        await removeSquareInventory(merchantId, adjustments, {
+            idempotencyKey: `vendor-return-${vendorReturn.id}-${editedAt.getTime()}`,
+            referenceId: vendorReturn.return_number,
+            occurredAt: editedAt.toISOString()
+        });
+    } catch (err) {
+        throw clientError(`Square inventory could not be updated: ${err.message}. The return is still a draft.`, 502);
+    }
+
+    const shipped = await db.transaction(async (client) => {
+        const moved = await client.query(`
+            UPDATE vendor_returns SET status = 'SENT', sent_at = NOW(), updated_at = NOW()
+            WHERE id = $1 AND merchant_id = $2 AND status = 'DRAFT'
+            RETURNING id
+        `, [returnId, merchantId]);
+        if (moved.rows.length === 0) return false;
+        for (const adj of adjustments) {
+            await client.query(`
+                UPDATE inventory_counts SET quantity = GREATEST(quantity - $1, 0), updated_at = NOW()
+                WHERE catalog_object_id = $2 AND location_id = $3 AND state = 'IN_STOCK' AND merchant_id = $4
+            `, [adj.quantity, adj.catalogObjectId, adj.locationId, merchantId]);
+        }
+        return true;
+    });
+
+    if (shipped) {
+        logger.info('Vendor return shipped', {
+            merchantId, returnId, returnNumber: vendorReturn.return_number, variations: adjustments.length
+        });
+    }
+    return getReturn(merchantId, returnId);
+}
+
+/**
+ * Record the vendor's credit: SENT → CREDITED.
+ * @param {Object} credit
+ * @param {number} [credit.creditAmountCents] - Defaults to the expected credit (total_cents)
+ * @param {string} [credit.creditMemoNumber]
+ */
+async function creditReturn(merchantId, returnId, { creditAmountCents, creditMemoNumber } = {}) {
+    const { rows } = await db.query(`
+        UPDATE vendor_returns
+        SET status = 'CREDITED', credited_at = NOW(), updated_at = NOW(),
+            credit_amount_cents = COALESCE($3, total_cents),
+            credit_memo_number = COALESCE($4, credit_memo_number)
+        WHERE id = $1 AND merchant_id = $2 AND status = 'SENT'
+        RETURNING id, return_number, total_cents, credit_amount_cents
+    `, [returnId, merchantId, creditAmountCents ?? null, creditMemoNumber || null]);
+
+    if (rows.length === 0) {
+        const existing = await db.query(
+            'SELECT status FROM vendor_returns WHERE id = $1 AND merchant_id = $2',
+            [returnId, merchantId]
+        );
+        if (existing.rows.length === 0) throw clientError('Vendor return not found', 404);
+        throw clientError(`Only sent returns can be credited (current: ${existing.rows[0].status})`, 400);
+    }
+
+    logger.info('Vendor return credited', {
+        merchantId, returnId, returnNumber: rows[0].return_number,
+        expectedCents: rows[0].total_cents, creditedCents: rows[0].credit_amount_cents
+    });
+    return getReturn(merchantId, returnId);
+}
+
+module.exports = {
+    shipReturn,
+    creditReturn
+};
@@ -106,6 +106,7 @@ async function getPurchaseOrder(merchantId, poId) {
                v.schedule_type AS vendor_schedule_type,
                v.order_day AS vendor_order_day,
                v.receive_day AS vendor_receive_day,
+               v.contact_email AS vendor_contact_email,
                l.name as location_name
         FROM purchase_orders po
         JOIN vendors v ON po.vendor_id = v.id AND v.merchant_id = $2
@@ -116,11 +117,14 @@ async function getPurchaseOrder(merchantId, poId) {
 
     const po = poResult.rows[0];
     const itemsResult = await db.query(`
-        SELECT poi.*, v.sku, v.upc as gtin, i.name as item_name, v.name as variation_name, vv.vendor_code
+        SELECT poi.*, v.sku, v.upc as gtin, i.name as item_name, v.name as variation_name, vv.vendor_code,
+               bpo.po_number AS backorder_of_po_number
         FROM purchase_order_items poi
         JOIN variations v ON poi.variation_id = v.id AND v.merchant_id = $2
         JOIN items i ON v.item_id = i.id AND i.merchant_id = $2
         LEFT JOIN variation_vendors vv ON v.id = vv.variation_id AND vv.vendor_id = $3 AND vv.merchant_id = $2
+        LEFT JOIN purchase_order_items bpoi ON bpoi.id = poi.backorder_of_item_id AND bpoi.merchant_id = $2
+        LEFT JOIN purchase_orders bpo ON bpo.id = bpoi.purchase_order_id AND bpo.merchant_id = $2
         WHERE poi.purchase_order_id = $1 AND poi.merchant_id = $2
         ORDER BY i.name, v.name
     `, [poId, merchantId, po.vendor_id]);
@@ -220,16 +224,18 @@ async function updatePurchaseOrder(merchantId, poId, { supplyDaysOverride, notes
             await client.query('DELETE FROM purchase_order_items WHERE purchase_order_id = $1 AND merchant_id = $2', [poId, merchantId]);
             const subtotalCents = calculateSubtotal(items);
             const batchValues = [];
+            // Items are replaced wholesale; backorder_of_item_id round-trips so carried-forward lines stay tagged
             const placeholders = items.map((item, i) => {
-                const o = i * 7;
+                const o = i * 8;
                 batchValues.push(poId, item.variation_id, item.quantity_ordered,
-                    item.unit_cost_cents, item.quantity_ordered * item.unit_cost_cents, item.notes || null, merchantId);
-                return `($${o+1},$${o+2},$${o+3},$${o+4},$${o+5},$${o+6},$${o+7})`;
+                    item.unit_cost_cents, item.quantity_ordered * item.unit_cost_cents, item.notes || null,
+                    item.backorder_of_item_id || null, merchantId);
+                return `($${o+1},$${o+2},$${o+3},$${o+4},$${o+5},$${o+6},$${o+7},$${o+8})`;
             }).join(',');
             await client.query(`
                 INSERT INTO purchase_order_items (
                     purchase_order_id, variation_id, quantity_ordered,
-                    unit_cost_cents, total_cost_cents, notes, merchant_id
+                    unit_cost_cents, total_cost_cents, notes, backorder_of_item_id, merchant_id
                 ) VALUES ${placeholders}
             `, batchValues);
             await client.query(
@@ -247,7 +253,9 @@ async function submitPurchaseOrder(merchantId, poId) {
     const { rows } = await db.query(`
         UPDATE purchase_orders po
         SET status = 'SUBMITTED',
-            order_date = COALESCE(order_date, CURRENT_DATE),
+            -- Drafts default order_date to their creation day; the order is placed when submitted
+            -- (observed lead times are measured from here)
+            order_date = CURRENT_DATE,
             expected_delivery_date = CURRENT_DATE + (
                 SELECT CASE
                     WHEN vendors.schedule_type = 'fixed'
@@ -32,7 +32,7 @@ const { getMerchantToken, makeSquareRequest, generateIdempotencyKey } = require(
 const { syncLocations } = require('./square-locations');
 const { syncVendors, ensureVendorsExist } = require('./square-vendors');
 const { syncCatalog, deltaSyncCatalog } = require('./square-catalog-sync');
-const { syncInventory, getSquareInventoryCount, setSquareInventoryCount, setSquareInventoryAlertThreshold, pushMinStockThresholdsToSquare, syncCommittedInventory, cleanupInventory } = require('./square-inventory');
+const { syncInventory, getSquareInventoryCount, setSquareInventoryCount, removeSquareInventory, transferSquareInventory, setSquareInventoryAlertThreshold, pushMinStockThresholdsToSquare, syncCommittedInventory, cleanupInventory } = require('./square-inventory');
 const { syncSalesVelocity, syncSalesVelocityAllPeriods, updateSalesVelocityFromOrder } = require('./square-velocity');
 const { fullSync } = require('./square-sync-orchestrator');
 
@@ -76,6 +76,8 @@ module.exports = {
     syncInventory,
     getSquareInventoryCount,
     setSquareInventoryCount,
+    removeSquareInventory,
+    transferSquareInventory,
     setSquareInventoryAlertThreshold,
     pushMinStockThresholdsToSquare,
     syncCommittedInventory,
@@ -8,6 +8,8 @@
  *   syncInventory(merchantId)                     — bulk inventory count sync
  *   getSquareInventoryCount(catalogObjectId, locationId, merchantId) — single count
  *   setSquareInventoryCount(catalogObjectId, locationId, quantity, reason, merchantId)
+ *   removeSquareInventory(merchantId, adjustments, options) — IN_STOCK → WASTE adjustments
+ *   transferSquareInventory(merchantId, transfer, options) — ship/receive legs of a location transfer
  *   setSquareInventoryAlertThreshold(catalogObjectId, locationId, threshold, options)
  *   syncCommittedInventory(merchantId)            — invoice-based committed inventory
  *   cleanupInventory()                            — clear background timers
@@ -283,6 +285,161 @@ async function setSquareInventoryCount(catalogObjectId, locationId, quantity, re
     }
 }
 
+// Square accepts at most 100 changes per batch-create call
+const INVENTORY_CHANGE_BATCH_SIZE = 100;
+
+/**
+ * Post inventory changes to Square in batches. Each batch's idempotency key is
+ * the caller's key suffixed with the batch index, so a retry with the same
+ * key and changes is not applied twice.
+ */
+async function batchCreateInventoryChanges(merchantId, changes, { idempotencyKey, referenceId, action }) {
+    const accessToken = await getMerchantToken(merchantId);
+    const created = [];
+
+    for (let i = 0; i < changes.length; i += INVENTORY_CHANGE_BATCH_SIZE) {
+        try {
+            const data = await makeSquareRequest('/v2/inventory/changes/batch-create', {
+                method: 'POST',
+                body: JSON.stringify({
+                    idempotency_key: `${idempotencyKey}-${i / INVENTORY_CHANGE_BATCH_SIZE}`,
+                    changes: changes.slice(i, i + INVENTORY_CHANGE_BATCH_SIZE)
+                }),
+                accessToken
+            });
+            created.push(...(data.changes || []));
+        } catch (error) {
+            logger.error(`Failed to ${action} Square inventory`, {
+                merchantId,
+                referenceId,
+                batchStart: i,
+                error: error.message,
+                squareErrors: error.squareErrors || []
+            });
+            throw error;
+        }
+    }
+    return created;
+}
+
+function adjustmentChange(line, fromState, toState, occurredAt, referenceId) {
+    return {
+        type: 'ADJUSTMENT',
+        adjustment: {
+            catalog_object_id: line.catalogObjectId,
+            location_id: line.locationId,
+            from_state: fromState,
+            to_state: toState,
+            quantity: String(line.quantity),
+            occurred_at: occurredAt,
+            ...(referenceId && { reference_id: referenceId })
+        }
+    };
+}
+
+/**
+ * Take stock out of IN_STOCK in Square as ADJUSTMENT changes (IN_STOCK → WASTE),
+ * e.g. goods shipped back to a vendor. Quantities are deltas, unlike
+ * setSquareInventoryCount which sets an absolute count.
+ *
+ * The caller supplies a stable idempotencyKey (suffixed per batch) so a retried
+ * request is not applied twice by Square.
+ *
+ * @param {number} merchantId - The merchant ID for multi-tenant token lookup
+ * @param {Array<{catalogObjectId: string, locationId: string, quantity: number}>} adjustments
+ * @param {Object} options
+ * @param {string} options.idempotencyKey - Stable key for this removal
+ * @param {string} [options.referenceId] - Shown on the Square inventory history (e.g. RMA number)
+ * @param {string} [options.occurredAt] - ISO timestamp; pass a stable value when retrying, since
+ *   Square rejects a reused idempotency key with a different request body
+ * @returns {Promise<{success: boolean, changes: Array}>}
+ */
+async function removeSquareInventory(merchantId, adjustments, { idempotencyKey, referenceId, occurredAt } = {}) {
+    if (!merchantId) {
+        throw new Error('merchantId is required for removeSquareInventory');
+    }
+    if (!idempotencyKey) {
+        throw new Error('idempotencyKey is required for removeSquareInventory');
+    }
+
+    const changedAt = occurredAt || new Date().toISOString();
+    const changes = await batchCreateInventoryChanges(
+        merchantId,
+        adjustments.map(adj => adjustmentChange(adj, 'IN_STOCK', 'WASTE', changedAt, referenceId)),
+        { idempotencyKey, referenceId, action: 'remove' }
+    );
+
+    logger.info('Square inventory removed', { merchantId, referenceId, adjustments: adjustments.length });
+    return { success: true, changes };
+}
+
+/**
+ * Post one leg of a stock transfer between two locations to Square.
+ * - SHIP: IN_STOCK → IN_TRANSIT at the source location.
+ * - RECEIVE: a TRANSFER of the IN_TRANSIT quantity from the source to the
+ *   destination, then IN_TRANSIT → IN_STOCK at the destination.
+ *
+ * Like removeSquareInventory, the caller supplies a stable idempotencyKey and
+ * occurredAt so a retried leg is not applied twice.
+ *
+ * @param {number} merchantId - The merchant ID for multi-tenant token lookup
+ * @param {Object} transfer
+ * @param {string} transfer.fromLocationId
+ * @param {string} transfer.toLocationId
+ * @param {Array<{catalogObjectId: string, quantity: number}>} transfer.lines
+ * @param {Object} options
+ * @param {'SHIP'|'RECEIVE'} options.stage
+ * @param {string} options.idempotencyKey - Stable key for this leg
+ * @param {string} [options.referenceId] - Shown on the Square inventory history (e.g. transfer number)
+ * @param {string} [options.occurredAt] - ISO timestamp; pass a stable value when retrying
+ * @returns {Promise<{success: boolean, changes: Array}>}
+ */
+async function transferSquareInventory(merchantId, { fromLocationId, toLocationId, lines }, { stage, idempotencyKey, referenceId, occurredAt } = {}) {
+    if (!merchantId) {
+        throw new Error('merchantId is required for transferSquareInventory');
+    }
+    if (!idempotencyKey) {
+        throw new Error('idempotencyKey is required for transferSquareInventory');
+    }
+    if (stage !== 'SHIP' && stage !== 'RECEIVE') {
+        throw new Error(`Unknown transfer stage: ${stage}`);
+    }
+
+    const changedAt = occurredAt || new Date().toISOString();
+    let changes;
+    if (stage === 'SHIP') {
+        changes = lines.map(line => adjustmentChange(
+            { ...line, locationId: fromLocationId }, 'IN_STOCK', 'IN_TRANSIT', changedAt, referenceId
+        ));
+    } else {
+        // Square applies a batch in order, so each move lands before its adjustment
+        changes = lines.flatMap(line => [
+            {
+                type: 'TRANSFER',
+                transfer: {
+                    catalog_object_id: line.catalogObjectId,
+                    state: 'IN_TRANSIT',
+                    from_location_id: fromLocationId,
+                    to_location_id: toLocationId,
+                    quantity: String(line.quantity),
+                    occurred_at: changedAt,
+                    ...(referenceId && { reference_id: referenceId })
+                }
+            },
+            adjustmentChange({ ...line, locationId: toLocationId }, 'IN_TRANSIT', 'IN_STOCK', changedAt, referenceId)
+        ]);
+    }
+
+    const created = await batchCreateInventoryChanges(merchantId, changes, {
+        idempotencyKey, referenceId, action: stage === 'SHIP' ? 'ship' : 'receive'
+    });
+
+    logger.info('Square inventory transfer posted', {
+        merchantId, referenceId, stage, fromLocationId, toLocationId, lines: lines.length
+    });
+    return { success: true, changes: created };
+}
+
 /**
  * Update inventory alert threshold (min stock) for a variation at a specific location in Square
  * Uses location_overrides to set location-specific low stock alerts
@@ -984,6 +1141,8 @@ module.exports = {
     syncInventory,
     getSquareInventoryCount,
     setSquareInventoryCount,
+    removeSquareInventory,
+    transferSquareInventory,
     setSquareInventoryAlertThreshold,
     pushMinStockThresholdsToSquare,
     syncCommittedInventory,
@@ -332,6 +332,8 @@ async function updateVariationCost(variationId, vendorId, newCostCents, currency
                 INSERT INTO variation_vendors (variation_id, vendor_id, unit_cost_money, currency, merchant_id, updated_at)
                 VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
                 ON CONFLICT (variation_id, vendor_id, merchant_id) DO UPDATE SET
+                    landed_unit_cost_money = variation_vendors.landed_unit_cost_money
+                        - variation_vendors.unit_cost_money + EXCLUDED.unit_cost_money,
                     unit_cost_money = EXCLUDED.unit_cost_money,
                     currency = EXCLUDED.currency,
                     updated_at = CURRENT_TIMESTAMP
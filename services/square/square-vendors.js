@@ -347,6 +347,8 @@ async function syncVariationVendors(variationId, vendorInformation, merchantId)
                         VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
                         ON CONFLICT (variation_id, vendor_id, merchant_id) DO UPDATE SET
                             vendor_code = EXCLUDED.vendor_code,
+                            landed_unit_cost_money = variation_vendors.landed_unit_cost_money
+                                - variation_vendors.unit_cost_money + EXCLUDED.unit_cost_money,
                             unit_cost_money = EXCLUDED.unit_cost_money,
                             currency = EXCLUDED.currency,
                             updated_at = CURRENT_TIMESTAMP
@@ -5,6 +5,7 @@
  * This is the largest handler, responsible for:
  * - Committed inventory sync
  * - Sales velocity updates
+ * - Expiry lot depletion
  * - Delivery order management
  * - Loyalty program integration
  *
@@ -28,6 +29,7 @@ const { getSquareClientForMerchant } = require('../../../middleware/merchant');
 const { normalizeSquareOrder, fetchFullOrder } = require('./order-normalize');
 const { processCartActivity, checkCartConversion, markCartCanceled } = require('./order-cart');
 const { completedOrderVelocityCache, updateVelocityFromOrder, updateVelocityFromFulfillment } = require('./order-velocity');
+const { depleteLotsFromOrder } = require('./order-lots');
 const {
     ingestDeliveryOrder, handleOrderCancellation, handleOrderCompletion,
     refreshDeliveryOrderCustomerIfNeeded, handleFulfillmentDeliveryUpdate,
@@ -150,24 +152,7 @@ class OrderHandler {
         // Instead of fetching ALL 91 days of orders (~37 API calls), we update velocity
         // directly from the order data (0 additional API calls)
         if (order && order.state === 'COMPLETED') {
-            result.salesVelocity = await updateVelocityFromOrder(order, merchantId);
-
-            // LOGIC CHANGE: Track expiry discount quantity sales (BACKLOG-94)
-            try {
-                const { trackExpiryDiscountSale } = require('../../expiry/discount-service');
-                for (const lineItem of (order.lineItems || order.line_items || [])) {
-                    const variationId = lineItem.catalogObjectId || lineItem.catalog_object_id;
-                    const qty = parseInt(lineItem.quantity) || 1;
-                    if (variationId && qty > 0) {
-                        await trackExpiryDiscountSale(variationId, qty, merchantId);
-                    }
-                }
-            } catch (expiryTrackErr) {
-                // Non-blocking — don't fail order processing for this
-                logger.warn('Failed to track expiry discount sale quantity', {
-                    orderId: order.id, merchantId, error: expiryTrackErr.message
-                });
-            }
+            await this._processCompletedOrderSales(order, merchantId, result);
         }
 
         // Process delivery routing
@@ -183,6 +168,39 @@ class OrderHandler {
         return result;
     }
 
+    /**
+     * Sales-side processing for a COMPLETED order: velocity, expiry discount
+     * sell-through and expiry lot depletion.
+     *
+     * @private
+     * @param {Object} order - Square order object
+     * @param {number} merchantId - Internal merchant ID
+     * @param {Object} result - Result object to update
+     */
+    async _processCompletedOrderSales(order, merchantId, result) {
+        result.salesVelocity = await updateVelocityFromOrder(order, merchantId);
+
+        // LOGIC CHANGE: Track expiry discount quantity sales (BACKLOG-94)
+        try {
+            const { trackExpiryDiscountSale } = require('../../expiry/discount-service');
+            for (const lineItem of (order.lineItems || order.line_items || [])) {
+                const variationId = lineItem.catalogObjectId || lineItem.catalog_object_id;
+                const qty = parseInt(lineItem.quantity) || 1;
+                if (variationId && qty > 0) {
+                    await trackExpiryDiscountSale(variationId, qty, merchantId, order.id);
+                }
+            }
+        } catch (expiryTrackErr) {
+            // Non-blocking — don't fail order processing for this
+            logger.warn('Failed to track expiry discount sale quantity', {
+                orderId: order.id, merchantId, error: expiryTrackErr.message
+            });
+        }
+
+        // Sold units come out of the location's earliest-expiring lots
+        result.expiryLots = await depleteLotsFromOrder(order, merchantId);
+    }
+
     /**
      * Fetch full order from Square API
      * Delegates to extracted order-normalize module.
@@ -0,0 +1,49 @@
+/**
+ * Inventory lot depletion for order webhooks
+ *
+ * Completed orders take their sold units out of the selling location's
+ * expiry lots, earliest expiry first. Duplicate webhooks for the same order
+ * are ignored by lot-depletion.depleteForSale() (one inventory_lot_sales row
+ * per order).
+ *
+ * @module services/webhook-handlers/order-handler/order-lots
+ */
+
+const logger = require('../../../utils/logger');
+const { depleteForSale } = require('../../expiry/lot-depletion');
+
+/**
+ * Deplete expiry lots from a completed order. Failures are logged, not
+ * thrown, so they don't block delivery and loyalty processing.
+ *
+ * @param {Object} order - Square order object (COMPLETED)
+ * @param {number} merchantId - Internal merchant ID
+ * @returns {Promise<Object|null>} Depletion result for the webhook result object
+ */
+async function depleteLotsFromOrder(order, merchantId) {
+    const lines = [];
+    for (const lineItem of (order.lineItems || order.line_items || [])) {
+        const variationId = lineItem.catalogObjectId || lineItem.catalog_object_id;
+        const quantity = parseInt(lineItem.quantity) || 0;
+        if (variationId && quantity > 0) lines.push({ variationId, quantity });
+    }
+    if (lines.length === 0) return null;
+
+    try {
+        const result = await depleteForSale(merchantId, {
+            orderId: order.id,
+            locationId: order.locationId || order.location_id,
+            lines
+        });
+        return { duplicate: result.duplicate, lotsDepleted: result.allocations.length };
+    } catch (err) {
+        logger.warn('Failed to deplete inventory lots from order', {
+            orderId: order.id, merchantId, error: err.message
+        });
+        return { error: err.message };
+    }
+}
+
+module.exports = {
+    depleteLotsFromOrder
+};
@@ -5,7 +5,7 @@ const { getAlertRecipients } = require('./alert-recipients');
 
 /**
  * Send email via Resend HTTP API (no npm package needed)
- * @param {Object} options - { from, to, subject, html, attachments }
+ * @param {Object} options - { from, to, subject, html, attachments, replyTo }
  * @param {string} apiKey - Resend API key
  * @returns {Promise<Object>} API response
  */
@@ -17,6 +17,10 @@ async function sendViaResend(options, apiKey) {
         html: options.html
     };
 
+    if (options.replyTo) {
+        body.reply_to = options.replyTo;
+    }
+
     if (options.attachments && options.attachments.length > 0) {
         body.attachments = options.attachments.map(att => ({
             filename: att.filename,
@@ -46,7 +50,7 @@ async function sendViaResend(options, apiKey) {
 
 /**
  * Send email via Mailgun HTTP API (no npm package needed)
- * @param {Object} options - { from, to, subject, html, attachments }
+ * @param {Object} options - { from, to, subject, html, attachments, replyTo }
  * @param {string} apiKey - Mailgun API key
  * @param {string} domain - Mailgun sending domain
  * @returns {Promise<Object>} API response
@@ -57,6 +61,9 @@ async function sendViaMailgun(options, apiKey, domain) {
     formData.append('to', options.to);
     formData.append('subject', options.subject);
     formData.append('html', options.html);
+    if (options.replyTo) {
+        formData.append('h:Reply-To', options.replyTo);
+    }
 
     if (options.attachments && options.attachments.length > 0) {
         for (const att of options.attachments) {
@@ -98,6 +105,7 @@ class EmailNotifier {
     _initProvider() {
         const fromName = process.env.EMAIL_FROM_NAME || 'SqTools Alerts';
         const fromAddr = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+        this.fromEmail = fromAddr && !fromAddr.includes('<') ? fromAddr : null;
         this.fromAddress = fromName && fromAddr && !fromAddr.includes('<')
             ? `${fromName} <${fromAddr}>`
             : fromAddr;
@@ -130,8 +138,8 @@ class EmailNotifier {
 
     /**
      * Send an email using the configured provider
-     * @param {Object} mailOptions - { from, to, subject, html, attachments }
-     * @returns {Promise<void>}
+     * @param {Object} mailOptions - { from, to, subject, html, attachments, replyTo }
+     * @returns {Promise<Object>} Provider response
      */
     async _send(mailOptions) {
         const options = {
@@ -528,6 +536,75 @@ class EmailNotifier {
         }
     }
 
+    /**
+     * Send an email on a merchant's behalf to one of their vendors
+     * (e.g. a purchase order). Replies go to the merchant, not the platform.
+     * @param {Object} opts
+     * @param {string} opts.to - Vendor email address
+     * @param {string} opts.subject
+     * @param {string} opts.html
+     * @param {Array} [opts.attachments] - [{ filename, content, contentType }]
+     * @param {string} [opts.replyTo] - Merchant's email address
+     * @param {string} [opts.fromName] - Display name, e.g. the merchant's business name
+     * @returns {Promise<{messageId: string|null}|null>} null when email is disabled
+     */
+    async sendVendorEmail({ to, subject, html, attachments, replyTo, fromName }) {
+        if (!this.enabled) {
+            logger.warn('Email notifications disabled, would have sent vendor email', { to, subject });
+            return null;
+        }
+
+        // Display names can't carry quotes or angle brackets unescaped
+        const safeName = fromName ? fromName.replace(/["<>\r\n]/g, '').trim() : '';
+        const from = safeName && this.fromEmail ? `"${safeName}" <${this.fromEmail}>` : undefined;
+
+        try {
+            const result = await this._send({ from, to, subject, html, attachments, replyTo });
+            // nodemailer returns messageId; Resend and Mailgun return id
+            const messageId = (result && (result.messageId || result.id)) || null;
+            logger.info('Vendor email sent', { to, subject, messageId });
+            return { messageId };
+        } catch (error) {
+            logger.error('Failed to send vendor email', { error: error.message, to, subject });
+            throw error;
+        }
+    }
+
+    /**
+     * Send a transactional notice to a merchant's staff, chosen by role as
+     * for alerts (e.g. purchase order drafts awaiting review). Unlike
+     * sendAlert there is no system-alert wrapper; the caller supplies the
+     * finished HTML and must escape any merchant data in it.
+     * @param {Object} opts
+     * @param {number} opts.merchantId
+     * @param {string} opts.subject
+     * @param {string} opts.html
+     * @param {string} [opts.alertType='operational'] - Selects recipients by role
+     */
+    async sendMerchantNotice({ merchantId, subject, html, alertType = 'operational' }) {
+        if (!this.enabled) {
+            logger.warn('Email notifications disabled, would have sent merchant notice', { merchantId, subject });
+            return;
+        }
+
+        try {
+            const recipients = await this._resolveAlertRecipients(merchantId, alertType);
+            for (const recipient of recipients) {
+                await this._send({
+                    to: recipient,
+                    subject,
+                    html: `${html}
+          <hr>
+          <p style="color:#9ca3af;font-size:11px;">SqTools — Square POS Management</p>
+        `
+                });
+                logger.info('Merchant notice email sent', { merchantId, subject, to: recipient });
+            }
+        } catch (error) {
+            logger.error('Failed to send merchant notice email', { error: error.message, merchantId, subject });
+        }
+    }
+
     /**
      * Get current provider name (for diagnostics)
      * @returns {string}
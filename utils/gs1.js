@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * GS1 Element String Parser
+ *
+ * Reads what a scanner returns for a GS1-128 or GS1 DataMatrix code: a run
+ * of application identifiers (AIs) and their data, e.g. (01) GTIN,
+ * (17) expiry date, (10) lot. Accepted forms:
+ *   - raw, as scanned: optional symbology identifier (]C1, ]d2, ]Q3, ]e0),
+ *     variable-length fields ended by the FNC1 / GS character (\x1D)
+ *   - human-readable: (01)09506000134352(17)261231(10)ABC123
+ *
+ * Scanners in keyboard mode often drop the GS character. Fixed-length fields
+ * still parse; a variable-length field then runs to the end of the string,
+ * which is right when it is the last field (GS1 recommends lot last).
+ *
+ * Usage:
+ *   const { gtin, expirationDate, lotCode } = parseGs1(scan);
+ */
+
+const GS = '\x1D';
+
+// Data length per AI: a number for fixed-length fields, { max } for variable.
+// 31nn-36nn (trade measures) are handled in aiSpec().
+const AI_LENGTHS = {
+    '00': 18, '01': 14, '02': 14,
+    '10': { max: 20 }, '11': 6, '12': 6, '13': 6, '15': 6, '16': 6, '17': 6,
+    '20': 2, '21': { max: 20 }, '22': { max: 20 },
+    '30': { max: 8 }, '37': { max: 8 },
+    '240': { max: 30 }, '241': { max: 30 }, '250': { max: 30 }, '251': { max: 30 },
+    '253': { max: 30 }, '254': { max: 20 },
+    '400': { max: 30 }, '401': { max: 30 }, '402': 17, '403': { max: 30 },
+    '410': 13, '411': 13, '412': 13, '413': 13, '414': 13, '415': 13, '416': 13, '417': 13,
+    '420': { max: 20 }, '421': { max: 12 }, '422': 3, '423': { max: 15 }, '424': 3, '425': { max: 15 }, '426': 3,
+    '7003': 10, '8005': 6, '8008': { max: 12 },
+    '90': { max: 30 }, '91': { max: 90 }, '92': { max: 90 }, '93': { max: 90 }, '94': { max: 90 },
+    '95': { max: 90 }, '96': { max: 90 }, '97': { max: 90 }, '98': { max: 90 }, '99': { max: 90 }
+};
+
+const DATE_AIS = ['11', '12', '13', '15', '16', '17'];
+
+function clientError(message) {
+    const err = new Error(message);
+    err.statusCode = 400;
+    return err;
+}
+
+// AI at the start of `data`, with its data length
+function aiSpec(data) {
+    for (const size of [2, 3, 4]) {
+        const ai = data.slice(0, size);
+        if (AI_LENGTHS[ai] !== undefined) return { ai, length: AI_LENGTHS[ai] };
+        if (size === 4 && /^3[1-6]\d\d$/.test(ai)) return { ai, length: 6 };
+    }
+    return null;
+}
+
+/**
+ * Whether a GTIN's last digit is its mod-10 check digit.
+ * @param {string} gtin - 8, 12, 13 or 14 digits
+ * @returns {boolean}
+ */
+function isValidGtin(gtin) {
+    if (!/^(\d{8}|\d{12,14})$/.test(gtin)) return false;
+    const digits = gtin.split('').map(Number);
+    const check = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * GS1 YYMMDD to YYYY-MM-DD. The century puts the year within 49 years back
+ * and 50 ahead of the reference year; day 00 is the last day of the month.
+ * @param {string} value - YYMMDD
+ * @param {Date} [today] - Reference date (for tests)
+ * @returns {string|null} null when not a valid date
+ */
+function gs1DateToIso(value, today = new Date()) {
+    const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value);
+    if (!match) return null;
+    const [yy, month, day] = match.slice(1).map(Number);
+    const currentYear = today.getUTCFullYear();
+    const diff = yy - (currentYear % 100);
+    let century = Math.floor(currentYear / 100);
+    if (diff >= 51) century--;
+    else if (diff <= -50) century++;
+    const year = century * 100 + yy;
+
+    if (month < 1 || month > 12) return null;
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const resolvedDay = day === 0 ? lastDay : day;
+    if (resolvedDay > lastDay) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(resolvedDay).padStart(2, '0')}`;
+}
+
+function parseBracketed(text) {
+    const elements = {};
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let consumed = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index !== consumed) break;
+        const [, ai, value] = match;
+        const spec = aiSpec(ai);
+        if (spec && spec.ai === ai && typeof spec.length === 'number' && value.trim().length !== spec.length) {
+            throw clientError(`AI (${ai}) needs ${spec.length} characters`);
+        }
+        elements[ai] = value.trim();
+        consumed = pattern.lastIndex;
+    }
+    if (consumed !== text.length) throw clientError('Not a GS1 element string');
+    return elements;
+}
+
+function parseRaw(text) {
+    const elements = {};
+    let rest = text;
+    while (rest.length > 0) {
+        if (rest[0] === GS) {
+            rest = rest.slice(1);
+            continue;
+        }
+        const spec = aiSpec(rest);
+        if (!spec) throw clientError(`Unsupported GS1 application identifier at "${rest.slice(0, 4)}"`);
+        rest = rest.slice(spec.ai.length);
+
+        let value;
+        if (typeof spec.length === 'number') {
+            value = rest.slice(0, spec.length);
+            if (value.length < spec.length) throw clientError(`AI (${spec.ai}) needs ${spec.length} characters`);
+            rest = rest.slice(spec.length);
+        } else {
+            const end = rest.indexOf(GS);
+            value = end === -1 ? rest : rest.slice(0, end);
+            rest = end === -1 ? '' : rest.slice(end + 1);
+            if (value.length > spec.length.max) {
+                throw clientError(`AI (${spec.ai}) is longer than ${spec.length.max} characters; is the separator missing?`);
+            }
+        }
+        elements[spec.ai] = value;
+    }
+    return elements;
+}
+
+/**
+ * Parse a scanned GS1 element string.
+ * Expiry is AI (17), or AI (15) best-before when there is no (17).
+ * @param {string} scan - Raw or human-readable element string
+ * @param {Object} [options]
+ * @param {Date} [options.today] - Reference date for two-digit years
+ * @returns {{ gtin: string|null, expirationDate: string|null, lotCode: string|null,
+ *   serial: string|null, elements: Object<string, string> }}
+ * @throws with .statusCode 400 when the string can't be read or a GTIN or date is invalid
+ */
+function parseGs1(scan, { today = new Date() } = {}) {
+    let text = String(scan || '').replace(/\r|\n/g, '').replace(/<GS>/gi, GS).trim();
+    text = text.replace(/^\][A-Za-z]\d/, '');
+    if (!text) throw clientError('Empty scan');
+
+    const elements = text.startsWith('(') ? parseBracketed(text) : parseRaw(text);
+
+    const gtin = elements['01'] || elements['02'] || null;
+    if (gtin && !isValidGtin(gtin)) throw clientError(`Invalid GTIN ${gtin} (check digit)`);
+    for (const ai of DATE_AIS) {
+        if (elements[ai] !== undefined && !gs1DateToIso(elements[ai], today)) {
+            throw clientError(`AI (${ai}) is not a valid YYMMDD date: ${elements[ai]}`);
+        }
+    }
+
+    const expiry = elements['17'] ?? elements['15'];
+    return {
+        gtin,
+        expirationDate: expiry ? gs1DateToIso(expiry, today) : null,
+        lotCode: elements['10'] || null,
+        serial: elements['21'] || null,
+        elements
+    };
+}
+
+module.exports = {
+    parseGs1,
+    gs1DateToIso,
+    isValidGtin
+};
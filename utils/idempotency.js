@@ -1,11 +1,25 @@
 /**
- * Idempotency Key Generator
+ * Idempotency Keys
  *
  * Shared utility for generating unique idempotency keys for Square API requests.
  * Used by services/square/api.js and services/loyalty-admin/shared-utils.js.
+ *
+ * Also deduplicates replayed requests that carry a client-generated key
+ * (e.g. the driver page's offline queue in routes/driver-api.js). Keys and
+ * their stored responses live in the idempotency_keys table.
  */
 
 const crypto = require('crypto');
+const db = require('./database');
+const logger = require('./logger');
+const { ConflictError } = require('./app-error');
+
+// Long enough to cover a driver token's maximum lifetime (7 days)
+const KEY_TTL_DAYS = 7;
+
+// A claim still running after this long belongs to a request that died;
+// the next replay takes it over instead of getting a 409 until expiry
+const STALE_CLAIM_MINUTES = 2;
 
 /**
  * Generate a unique idempotency key for Square API requests.
@@ -17,4 +31,79 @@ function generateIdempotencyKey(prefix) {
     return `${prefix}-${crypto.randomUUID()}`;
 }
 
-module.exports = { generateIdempotencyKey };
+/**
+ * Run an operation at most once per client idempotency key.
+ *
+ * The key is claimed before the operation runs. A replay after the first
+ * request finished gets the stored result back; a replay while it is still
+ * running gets a 409, unless the claim is older than STALE_CLAIM_MINUTES,
+ * in which case the replay takes it over. If the operation throws, the
+ * claim is released so the client can retry with the same key.
+ *
+ * @param {number} merchantId - Merchant the request acts for
+ * @param {string} scope - Key namespace, e.g. `driver-complete:${orderId}`
+ * @param {string|null} key - Client-supplied key; without one the operation just runs
+ * @param {Function} operation - Async function returning a JSON-serializable result
+ * @returns {Promise<{result: *, replayed: boolean}>}
+ */
+async function runIdempotent(merchantId, scope, key, operation) {
+    if (!key) {
+        return { result: await operation(), replayed: false };
+    }
+
+    const claim = await db.query(
+        `INSERT INTO idempotency_keys (merchant_id, scope, idempotency_key, expires_at)
+         VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 day'))
+         ON CONFLICT (merchant_id, scope, idempotency_key) DO UPDATE
+            SET created_at = NOW(), expires_at = EXCLUDED.expires_at
+            WHERE idempotency_keys.completed_at IS NULL
+              AND idempotency_keys.created_at < NOW() - ($5 * INTERVAL '1 minute')
+         RETURNING idempotency_key`,
+        [merchantId, scope, key, KEY_TTL_DAYS, STALE_CLAIM_MINUTES]
+    );
+
+    if (claim.rows.length === 0) {
+        const existing = await db.query(
+            `SELECT response, completed_at FROM idempotency_keys
+             WHERE merchant_id = $1 AND scope = $2 AND idempotency_key = $3`,
+            [merchantId, scope, key]
+        );
+        const row = existing.rows[0];
+        if (row && row.completed_at) {
+            return { result: row.response, replayed: true };
+        }
+        throw new ConflictError('A request with this idempotency key is still in progress');
+    }
+
+    let result;
+    try {
+        result = await operation();
+    } catch (err) {
+        await db.query(
+            'DELETE FROM idempotency_keys WHERE merchant_id = $1 AND scope = $2 AND idempotency_key = $3',
+            [merchantId, scope, key]
+        ).catch(releaseErr => {
+            logger.error('Failed to release idempotency key', { scope, error: releaseErr.message });
+        });
+        throw err;
+    }
+
+    await db.query(
+        `UPDATE idempotency_keys SET response = $4, completed_at = NOW()
+         WHERE merchant_id = $1 AND scope = $2 AND idempotency_key = $3`,
+        [merchantId, scope, key, JSON.stringify(result ?? null)]
+    );
+
+    return { result, replayed: false };
+}
+
+/**
+ * Delete expired idempotency keys.
+ * @returns {Promise<number>} Number of keys deleted
+ */
+async function purgeExpiredIdempotencyKeys() {
+    const result = await db.query('DELETE FROM idempotency_keys WHERE expires_at < NOW()');
+    return result.rowCount || 0;
+}
+
+module.exports = { generateIdempotencyKey, runIdempotent, purgeExpiredIdempotencyKeys };
@@ -0,0 +1,187 @@
+/**
+ * PDF Document
+ *
+ * Minimal PDF writer (no npm package needed): text, filled rectangles and
+ * lines on US Letter pages using the PDF standard Helvetica fonts. Enough for
+ * printable business documents such as purchase orders.
+ *
+ * Coordinates are in points from the top-left corner of the page; text `y`
+ * is the baseline. Colors are '#rrggbb'.
+ *
+ * Usage:
+ *   const doc = new PdfDocument();
+ *   doc.text('Purchase Order', 40, 60, { size: 20, bold: true, color: '#1f2937' });
+ *   doc.text('$12.50', 572, 80, { align: 'right' });
+ *   const buffer = doc.toBuffer();
+ *
+ * @module utils/pdf-document
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard
+// font metrics. Used for bold too: digits and currency punctuation match
+// exactly, other glyphs are close enough for truncation.
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Typographic characters outside Latin-1 that WinAnsiEncoding can still show
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+/**
+ * Encode a string as WinAnsi byte codes; unsupported characters become '?'.
+ * @param {string} str
+ * @returns {number[]}
+ */
+function encodeWinAnsi(str) {
+    const codes = [];
+    for (const char of String(str)) {
+        const code = char.codePointAt(0);
+        if (WIN_ANSI_EXTRAS[char]) codes.push(WIN_ANSI_EXTRAS[char]);
+        else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) codes.push(code);
+        else if (char === '\t') codes.push(32);
+        else codes.push(63);
+    }
+    return codes;
+}
+
+function charWidth(code) {
+    if (code >= 32 && code <= 126) return HELVETICA_WIDTHS[code - 32];
+    if (code === 0x85 || code === 0x97) return 1000;
+    return 556;
+}
+
+// PDF literal string body; non-ASCII bytes as octal escapes keep the file ASCII-only
+function pdfString(codes) {
+    return codes.map(code => {
+        if (code === 40 || code === 41 || code === 92) return '\\' + String.fromCharCode(code);
+        if (code >= 32 && code <= 126) return String.fromCharCode(code);
+        return '\\' + code.toString(8).padStart(3, '0');
+    }).join('');
+}
+
+function rgb(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+        .map(c => num(c / 255))
+        .join(' ');
+}
+
+const num = n => Number(n.toFixed(2)).toString();
+
+class PdfDocument {
+    constructor() {
+        this.pageWidth = PAGE_WIDTH;
+        this.pageHeight = PAGE_HEIGHT;
+        this.pages = [];
+        this.addPage();
+    }
+
+    /** Start a new page; later drawing goes to it. */
+    addPage() {
+        this.ops = [];
+        this.pages.push(this.ops);
+    }
+
+    /**
+     * Width of a string in points.
+     * @param {string} str
+     * @param {number} [size=10]
+     */
+    widthOf(str, size = 10) {
+        return encodeWinAnsi(str).reduce((sum, code) => sum + charWidth(code), 0) * size / 1000;
+    }
+
+    /**
+     * Draw a line of text.
+     * @param {string} str
+     * @param {number} x - Left edge, or right edge when align is 'right'
+     * @param {number} y - Baseline, from the top of the page
+     * @param {Object} [options]
+     * @param {number} [options.size=10]
+     * @param {boolean} [options.bold=false]
+     * @param {string} [options.color='#000000']
+     * @param {'left'|'right'} [options.align='left']
+     * @param {number} [options.maxWidth] - Truncate with an ellipsis past this width
+     */
+    text(str, x, y, { size = 10, bold = false, color = '#000000', align = 'left', maxWidth } = {}) {
+        let codes = encodeWinAnsi(str == null ? '' : str);
+        const width = list => list.reduce((sum, code) => sum + charWidth(code), 0) * size / 1000;
+        if (maxWidth && width(codes) > maxWidth) {
+            const ellipsis = WIN_ANSI_EXTRAS['…'];
+            while (codes.length > 0 && width([...codes, ellipsis]) > maxWidth) codes = codes.slice(0, -1);
+            codes = [...codes, ellipsis];
+        }
+        const left = align === 'right' ? x - width(codes) : x;
+        this.ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${rgb(color)} rg ` +
+            `${num(left)} ${num(this.pageHeight - y)} Td (${pdfString(codes)}) Tj ET`);
+    }
+
+    /**
+     * Draw a filled rectangle.
+     * @param {number} x
+     * @param {number} y - Top edge, from the top of the page
+     * @param {number} width
+     * @param {number} height
+     * @param {string} color
+     */
+    rect(x, y, width, height, color) {
+        this.ops.push(`${rgb(color)} rg ${num(x)} ${num(this.pageHeight - y - height)} ${num(width)} ${num(height)} re f`);
+    }
+
+    /**
+     * Draw a straight line.
+     * @param {Object} [options] - { color = '#000000', width = 0.5 }
+     */
+    line(x1, y1, x2, y2, { color = '#000000', width = 0.5 } = {}) {
+        this.ops.push(`${rgb(color)} RG ${num(width)} w ${num(x1)} ${num(this.pageHeight - y1)} m ` +
+            `${num(x2)} ${num(this.pageHeight - y2)} l S`);
+    }
+
+    /**
+     * Serialize the document.
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            null, // page tree, filled in once page object numbers are known
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+        ];
+        const pageRefs = [];
+        for (const ops of this.pages) {
+            const content = ops.join('\n');
+            const pageNumber = objects.length + 1;
+            pageRefs.push(`${pageNumber} 0 R`);
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageNumber + 1} 0 R >>`);
+            objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+        }
+        objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} >>`;
+
+        let pdf = '%PDF-1.4\n';
+        const offsets = [];
+        objects.forEach((body, index) => {
+            offsets.push(Buffer.byteLength(pdf, 'latin1'));
+            pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        });
+        const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+        return Buffer.from(pdf, 'latin1');
+    }
+}
+
+module.exports = { PdfDocument, encodeWinAnsi };
@@ -175,6 +175,8 @@ async function ensureSchema() {
                 addon_cutoff_enabled BOOLEAN DEFAULT FALSE,
                 addon_cutoff_day VARCHAR(10) DEFAULT NULL,
                 addon_cutoff_time TIME DEFAULT NULL,
+                po_email_subject TEXT,
+                po_email_body TEXT,
                 merchant_id INTEGER NOT NULL REFERENCES merchants(id),
                 created_at TIMESTAMPTZ DEFAULT NOW(),
                 updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -318,6 +320,7 @@ async function ensureSchema() {
                 vendor_id TEXT NOT NULL,
                 vendor_code TEXT,
                 unit_cost_money INTEGER,
+                landed_unit_cost_money INTEGER,
                 currency TEXT DEFAULT 'CAD',
                 created_at TIMESTAMPTZ DEFAULT NOW(),
                 updated_at TIMESTAMPTZ DEFAULT NOW(),
@@ -446,6 +449,13 @@ async function ensureSchema() {
                 total_cents INTEGER DEFAULT 0,
                 notes TEXT,
                 created_by TEXT,
+                emailed_at TIMESTAMPTZ,
+                emailed_to TEXT,
+                email_message_id TEXT,
+                email_send_count INTEGER DEFAULT 0,
+                closed_at TIMESTAMPTZ,
+                closed_remainder TEXT CHECK (closed_remainder IN ('CANCELLED', 'BACKORDERED')),
+                landed_cost_method TEXT CHECK (landed_cost_method IN ('VALUE', 'QUANTITY', 'WEIGHT')),
                 merchant_id INTEGER NOT NULL REFERENCES merchants(id),
                 created_at TIMESTAMPTZ DEFAULT NOW(),
                 updated_at TIMESTAMPTZ DEFAULT NOW(),
@@ -473,6 +483,10 @@ async function ensureSchema() {
                 total_cost_cents INTEGER NOT NULL,
                 received_quantity DECIMAL(10,2) DEFAULT 0,
                 notes TEXT,
+                backorder_of_item_id INTEGER REFERENCES purchase_order_items(id) ON DELETE SET NULL,
+                received_weight DECIMAL(12,3),
+                allocated_charges_cents INTEGER,
+                landed_unit_cost_cents INTEGER,
                 merchant_id INTEGER NOT NULL REFERENCES merchants(id),
                 created_at TIMESTAMPTZ DEFAULT NOW(),
                 FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
@@ -481,7 +495,8 @@ async function ensureSchema() {
             indexes: [
                 'CREATE INDEX IF NOT EXISTS idx_purchase_order_items_merchant ON purchase_order_items(merchant_id)',
                 'CREATE INDEX IF NOT EXISTS idx_purchase_order_items_po ON purchase_order_items(purchase_order_id)',
-                'CREATE INDEX IF NOT EXISTS idx_purchase_order_items_variation ON purchase_order_items(variation_id)'
+                'CREATE INDEX IF NOT EXISTS idx_purchase_order_items_variation ON purchase_order_items(variation_id)',
+                'CREATE INDEX IF NOT EXISTS idx_purchase_order_items_backorder ON purchase_order_items(backorder_of_item_id) WHERE backorder_of_item_id IS NOT NULL'
             ]
         },
         {
@@ -608,6 +623,18 @@ async function ensureSchema() {
                 square_synced_at TIMESTAMPTZ,
                 square_order_state VARCHAR(50),
                 needs_customer_refresh BOOLEAN DEFAULT FALSE,
+                window_start TIME,
+                window_end TIME,
+                service_minutes INTEGER,
+                planned_arrival TIMESTAMPTZ,
+                window_missed BOOLEAN DEFAULT FALSE,
+                zone_id INTEGER,
+                delivery_fee_cents INTEGER,
+                needs_review BOOLEAN DEFAULT FALSE,
+                review_reason VARCHAR(30),
+                recurring_template_id UUID,
+                scheduled_date DATE,
+                completed_at TIMESTAMPTZ,
                 created_at TIMESTAMPTZ DEFAULT NOW(),
                 updated_at TIMESTAMPTZ DEFAULT NOW()
             )`,
@@ -617,7 +644,9 @@ async function ensureSchema() {
                 'CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_orders_square_order ON delivery_orders(square_order_id, merchant_id) WHERE square_order_id IS NOT NULL',
                 'CREATE INDEX IF NOT EXISTS idx_delivery_orders_needs_geocoding ON delivery_orders(merchant_id, geocoded_at) WHERE geocoded_at IS NULL',
                 'CREATE INDEX IF NOT EXISTS idx_delivery_orders_needs_refresh ON delivery_orders(merchant_id, needs_customer_refresh) WHERE needs_customer_refresh = TRUE',
-                'CREATE INDEX IF NOT EXISTS idx_delivery_orders_customer ON delivery_orders(merchant_id, square_customer_id) WHERE square_customer_id IS NOT NULL'
+                'CREATE INDEX IF NOT EXISTS idx_delivery_orders_customer ON delivery_orders(merchant_id, square_customer_id) WHERE square_customer_id IS NOT NULL',
+                'CREATE INDEX IF NOT EXISTS idx_delivery_orders_needs_review ON delivery_orders(merchant_id) WHERE needs_review = TRUE',
+                'CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_orders_recurring ON delivery_orders(recurring_template_id, scheduled_date) WHERE recurring_template_id IS NOT NULL'
             ]
         },
         {
@@ -656,6 +685,9 @@ async function ensureSchema() {
                 auto_ingest_ready_orders BOOLEAN DEFAULT TRUE,
                 openrouteservice_api_key TEXT,
                 ors_api_key_encrypted TEXT,
+                geocoding_provider VARCHAR(20) DEFAULT 'ors' CHECK (
+                    geocoding_provider IN ('ors', 'nominatim', 'stub')
+                ),
                 created_at TIMESTAMPTZ DEFAULT NOW(),
                 updated_at TIMESTAMPTZ DEFAULT NOW(),
                 CONSTRAINT delivery_settings_merchant_unique UNIQUE(merchant_id)
@@ -680,6 +712,10 @@ async function ensureSchema() {
                 ),
                 route_geometry TEXT,
                 waypoint_order TEXT[],
+                planned_departure TIMESTAMPTZ,
+                vehicle_number INTEGER NOT NULL DEFAULT 1,
+                vehicle_label VARCHAR(100),
+                vehicle_capacity INTEGER,
                 created_at TIMESTAMPTZ DEFAULT NOW()
             )`,
             indexes: [
@@ -728,6 +764,383 @@ async function ensureSchema() {
                 'CREATE UNIQUE INDEX IF NOT EXISTS idx_route_tokens_active_route ON delivery_route_tokens(route_id) WHERE status = \'active\''
             ]
         },
+        {
+            name: 'delivery_tracking_tokens',
+            sql: `CREATE TABLE IF NOT EXISTS delivery_tracking_tokens (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                order_id UUID NOT NULL REFERENCES delivery_orders(id) ON DELETE CASCADE,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'expired', 'revoked')),
+                created_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                expires_at TIMESTAMPTZ,
+                last_viewed_at TIMESTAMPTZ
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_tracking_tokens_merchant_order ON delivery_tracking_tokens(merchant_id, order_id)',
+                'CREATE UNIQUE INDEX IF NOT EXISTS idx_tracking_tokens_active_order ON delivery_tracking_tokens(order_id) WHERE status = \'active\''
+            ]
+        },
+        {
+            name: 'delivery_geocode_cache',
+            sql: `CREATE TABLE IF NOT EXISTS delivery_geocode_cache (
+                id SERIAL PRIMARY KEY,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                normalized_address TEXT NOT NULL,
+                address TEXT NOT NULL,
+                lat DECIMAL(10, 8) NOT NULL,
+                lng DECIMAL(11, 8) NOT NULL,
+                source VARCHAR(20) NOT NULL DEFAULT 'provider' CHECK (source IN ('provider', 'manual')),
+                provider VARCHAR(20),
+                confidence DECIMAL(4, 3),
+                corrected_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                hit_count INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                CONSTRAINT delivery_geocode_cache_address_unique UNIQUE(merchant_id, normalized_address)
+            )`,
+            indexes: []
+        },
+        {
+            name: 'delivery_zones',
+            sql: `CREATE TABLE IF NOT EXISTS delivery_zones (
+                id SERIAL PRIMARY KEY,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                zone_type VARCHAR(20) NOT NULL CHECK (zone_type IN ('polygon', 'radius')),
+                polygon JSONB,
+                center_lat DECIMAL(10, 8),
+                center_lng DECIMAL(11, 8),
+                radius_km DECIMAL(6, 2),
+                fee_cents INTEGER NOT NULL DEFAULT 0 CHECK (fee_cents >= 0),
+                min_order_cents INTEGER NOT NULL DEFAULT 0 CHECK (min_order_cents >= 0),
+                allowed_days SMALLINT[],
+                priority INTEGER NOT NULL DEFAULT 0,
+                is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                CONSTRAINT delivery_zones_shape CHECK (
+                    (zone_type = 'polygon' AND polygon IS NOT NULL) OR
+                    (zone_type = 'radius' AND radius_km IS NOT NULL AND radius_km > 0)
+                )
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_delivery_zones_merchant ON delivery_zones(merchant_id, is_active)'
+            ]
+        },
+        {
+            name: 'delivery_recurring_templates',
+            sql: `CREATE TABLE IF NOT EXISTS delivery_recurring_templates (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                customer_name VARCHAR(255) NOT NULL,
+                address TEXT NOT NULL,
+                address_lat DECIMAL(10, 8),
+                address_lng DECIMAL(11, 8),
+                phone VARCHAR(50),
+                square_customer_id VARCHAR(255),
+                notes TEXT,
+                line_items JSONB NOT NULL DEFAULT '[]',
+                interval_weeks SMALLINT NOT NULL DEFAULT 1 CHECK (interval_weeks BETWEEN 1 AND 8),
+                start_date DATE NOT NULL,
+                end_date DATE,
+                skip_dates DATE[] NOT NULL DEFAULT '{}',
+                window_start TIME,
+                window_end TIME,
+                service_minutes INTEGER,
+                create_square_order BOOLEAN NOT NULL DEFAULT FALSE,
+                is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                last_materialized_date DATE,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                CONSTRAINT delivery_recurring_templates_dates CHECK (end_date IS NULL OR end_date >= start_date)
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_delivery_recurring_merchant ON delivery_recurring_templates(merchant_id, is_active)'
+            ]
+        },
+        {
+            name: 'idempotency_keys',
+            sql: `CREATE TABLE IF NOT EXISTS idempotency_keys (
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                scope VARCHAR(100) NOT NULL,
+                idempotency_key VARCHAR(100) NOT NULL,
+                response JSONB,
+                completed_at TIMESTAMPTZ,
+                expires_at TIMESTAMPTZ NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (merchant_id, scope, idempotency_key)
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at)'
+            ]
+        },
+        {
+            name: 'po_receiving_sessions',
+            sql: `CREATE TABLE IF NOT EXISTS po_receiving_sessions (
+                id SERIAL PRIMARY KEY,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+                status VARCHAR(20) NOT NULL DEFAULT 'OPEN',
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                committed_at TIMESTAMPTZ,
+                CONSTRAINT po_receiving_sessions_status_check CHECK (status IN ('OPEN', 'COMMITTED', 'CANCELLED'))
+            )`,
+            indexes: [
+                `CREATE UNIQUE INDEX IF NOT EXISTS idx_po_receiving_sessions_open
+                    ON po_receiving_sessions(purchase_order_id) WHERE status = 'OPEN'`
+            ]
+        },
+        {
+            name: 'po_receiving_scans',
+            sql: `CREATE TABLE IF NOT EXISTS po_receiving_scans (
+                id SERIAL PRIMARY KEY,
+                session_id INTEGER NOT NULL REFERENCES po_receiving_sessions(id) ON DELETE CASCADE,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                barcode TEXT NOT NULL,
+                quantity INTEGER NOT NULL DEFAULT 1,
+                purchase_order_item_id INTEGER REFERENCES purchase_order_items(id) ON DELETE CASCADE,
+                variation_id TEXT,
+                description TEXT,
+                flag VARCHAR(20),
+                expiration_date DATE,
+                lot_code TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                CONSTRAINT po_receiving_scans_quantity_check CHECK (quantity > 0),
+                CONSTRAINT po_receiving_scans_flag_check CHECK (flag IS NULL OR flag IN ('over_receipt', 'substitution', 'unknown'))
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_po_receiving_scans_session ON po_receiving_scans(session_id)'
+            ]
+        },
+        {
+            name: 'vendor_invoices',
+            sql: `CREATE TABLE IF NOT EXISTS vendor_invoices (
+                id SERIAL PRIMARY KEY,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+                invoice_number TEXT,
+                invoice_date DATE,
+                file_name TEXT,
+                status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+                total_cents INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                accepted_at TIMESTAMPTZ,
+                CONSTRAINT vendor_invoices_status_check CHECK (status IN ('PENDING', 'ACCEPTED'))
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_vendor_invoices_po ON vendor_invoices(purchase_order_id)'
+            ]
+        },
+        {
+            name: 'vendor_invoice_lines',
+            sql: `CREATE TABLE IF NOT EXISTS vendor_invoice_lines (
+                id SERIAL PRIMARY KEY,
+                invoice_id INTEGER NOT NULL REFERENCES vendor_invoices(id) ON DELETE CASCADE,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                row_number INTEGER,
+                vendor_item_number TEXT,
+                upc TEXT,
+                description TEXT,
+                quantity DECIMAL(10,2) NOT NULL,
+                unit_cost_cents INTEGER NOT NULL,
+                purchase_order_item_id INTEGER REFERENCES purchase_order_items(id) ON DELETE SET NULL,
+                match_method VARCHAR(20),
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                CONSTRAINT vendor_invoice_lines_match_method_check CHECK (match_method IS NULL OR match_method IN ('vendor_code', 'upc'))
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_vendor_invoice_lines_invoice ON vendor_invoice_lines(invoice_id)'
+            ]
+        },
+        {
+            name: 'po_landed_charges',
+            sql: `CREATE TABLE IF NOT EXISTS po_landed_charges (
+                id SERIAL PRIMARY KEY,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+                charge_type VARCHAR(20) NOT NULL,
+                description TEXT,
+                amount_cents INTEGER NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                CONSTRAINT po_landed_charges_type_check CHECK (charge_type IN ('FREIGHT', 'DUTY', 'BROKERAGE', 'OTHER')),
+                CONSTRAINT po_landed_charges_amount_check CHECK (amount_cents >= 0)
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_po_landed_charges_po ON po_landed_charges(purchase_order_id)'
+            ]
+        },
+        {
+            name: 'inventory_lots',
+            sql: `CREATE TABLE IF NOT EXISTS inventory_lots (
+                id SERIAL PRIMARY KEY,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                variation_id TEXT NOT NULL REFERENCES variations(id) ON DELETE CASCADE,
+                location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+                lot_code TEXT,
+                expiration_date DATE NOT NULL,
+                received_quantity INTEGER NOT NULL,
+                quantity INTEGER NOT NULL,
+                purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE SET NULL,
+                current_tier_id INTEGER,
+                days_until_expiry INTEGER,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                CONSTRAINT inventory_lots_quantity_check CHECK (quantity >= 0 AND received_quantity > 0)
+            )`,
+            indexes: [
+                `CREATE INDEX IF NOT EXISTS idx_inventory_lots_merchant_variation
+                    ON inventory_lots(merchant_id, variation_id, location_id, expiration_date) WHERE quantity > 0`
+            ]
+        },
+        {
+            name: 'inventory_lot_sales',
+            sql: `CREATE TABLE IF NOT EXISTS inventory_lot_sales (
+                id SERIAL PRIMARY KEY,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                square_order_id TEXT NOT NULL,
+                location_id TEXT,
+                allocations JSONB NOT NULL DEFAULT '[]',
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                CONSTRAINT inventory_lot_sales_order_unique UNIQUE (merchant_id, square_order_id)
+            )`,
+            indexes: []
+        },
+        {
+            name: 'waste_log',
+            sql: `CREATE TABLE IF NOT EXISTS waste_log (
+                id SERIAL PRIMARY KEY,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                variation_id TEXT NOT NULL,
+                location_id TEXT NOT NULL,
+                quantity INTEGER NOT NULL,
+                unit_cost_cents INTEGER,
+                total_cost_cents INTEGER,
+                vendor_id TEXT,
+                reason VARCHAR(20) NOT NULL,
+                source VARCHAR(20) NOT NULL DEFAULT 'MANUAL',
+                notes TEXT,
+                recorded_by TEXT,
+                square_status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+                square_error TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                CONSTRAINT waste_log_quantity_check CHECK (quantity > 0),
+                CONSTRAINT waste_log_reason_check CHECK (reason IN ('EXPIRED', 'DAMAGED', 'RECALLED')),
+                CONSTRAINT waste_log_source_check CHECK (source IN ('EXPIRY_PULL', 'MANUAL')),
+                CONSTRAINT waste_log_square_status_check CHECK (square_status IN ('PENDING', 'POSTED', 'FAILED'))
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_waste_log_merchant_created ON waste_log(merchant_id, created_at)'
+            ]
+        },
+        {
+            name: 'expiry_discount_sales',
+            sql: `CREATE TABLE IF NOT EXISTS expiry_discount_sales (
+                id SERIAL PRIMARY KEY,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                variation_id TEXT NOT NULL,
+                square_order_id TEXT NOT NULL,
+                tier_id INTEGER,
+                quantity INTEGER NOT NULL,
+                unit_price_cents INTEGER NOT NULL,
+                original_price_cents INTEGER,
+                discount_percent DECIMAL(5,2),
+                sold_at TIMESTAMPTZ DEFAULT NOW(),
+                CONSTRAINT expiry_discount_sales_order_unique UNIQUE (merchant_id, square_order_id, variation_id)
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_expiry_discount_sales_merchant_sold ON expiry_discount_sales(merchant_id, sold_at)'
+            ]
+        },
+        {
+            name: 'vendor_returns',
+            sql: `CREATE TABLE IF NOT EXISTS vendor_returns (
+                id SERIAL PRIMARY KEY,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                return_number TEXT NOT NULL,
+                vendor_id TEXT NOT NULL REFERENCES vendors(id) ON DELETE RESTRICT,
+                location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+                purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE SET NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'DRAFT',
+                vendor_rma_number TEXT,
+                notes TEXT,
+                total_cents INTEGER NOT NULL DEFAULT 0,
+                credit_amount_cents INTEGER,
+                credit_memo_number TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                sent_at TIMESTAMPTZ,
+                credited_at TIMESTAMPTZ,
+                UNIQUE(return_number, merchant_id),
+                CONSTRAINT vendor_returns_status_check CHECK (status IN ('DRAFT', 'SENT', 'CREDITED'))
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_vendor_returns_merchant_status ON vendor_returns(merchant_id, status)',
+                'CREATE INDEX IF NOT EXISTS idx_vendor_returns_vendor ON vendor_returns(vendor_id)'
+            ]
+        },
+        {
+            name: 'vendor_return_items',
+            sql: `CREATE TABLE IF NOT EXISTS vendor_return_items (
+                id SERIAL PRIMARY KEY,
+                return_id INTEGER NOT NULL REFERENCES vendor_returns(id) ON DELETE CASCADE,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                variation_id TEXT NOT NULL REFERENCES variations(id) ON DELETE RESTRICT,
+                quantity INTEGER NOT NULL,
+                unit_cost_cents INTEGER NOT NULL DEFAULT 0,
+                reason VARCHAR(20) NOT NULL,
+                note TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                CONSTRAINT vendor_return_items_quantity_check CHECK (quantity > 0),
+                CONSTRAINT vendor_return_items_reason_check CHECK (reason IN ('DAMAGED', 'EXPIRED', 'SHORT_DATED', 'DEFECTIVE', 'WRONG_ITEM', 'OVERSTOCK', 'RECALL', 'OTHER'))
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_vendor_return_items_return ON vendor_return_items(return_id)'
+            ]
+        },
+        {
+            name: 'stock_transfers',
+            sql: `CREATE TABLE IF NOT EXISTS stock_transfers (
+                id SERIAL PRIMARY KEY,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                transfer_number TEXT NOT NULL,
+                from_location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+                to_location_id TEXT NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+                status VARCHAR(20) NOT NULL DEFAULT 'DRAFT',
+                notes TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                shipped_at TIMESTAMPTZ,
+                received_at TIMESTAMPTZ,
+                UNIQUE(transfer_number, merchant_id),
+                CONSTRAINT stock_transfers_status_check CHECK (status IN ('DRAFT', 'SHIPPED', 'RECEIVED')),
+                CONSTRAINT stock_transfers_locations_check CHECK (from_location_id <> to_location_id)
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_stock_transfers_merchant_status ON stock_transfers(merchant_id, status)'
+            ]
+        },
+        {
+            name: 'stock_transfer_items',
+            sql: `CREATE TABLE IF NOT EXISTS stock_transfer_items (
+                id SERIAL PRIMARY KEY,
+                transfer_id INTEGER NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+                merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+                variation_id TEXT NOT NULL REFERENCES variations(id) ON DELETE RESTRICT,
+                quantity INTEGER NOT NULL,
+                note TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE(transfer_id, variation_id),
+                CONSTRAINT stock_transfer_items_quantity_check CHECK (quantity > 0)
+            )`,
+            indexes: [
+                'CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer ON stock_transfer_items(transfer_id)',
+                'CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_variation ON stock_transfer_items(merchant_id, variation_id)'
+            ]
+        },
         {
             name: 'bundle_definitions',
             sql: `CREATE TABLE IF NOT EXISTS bundle_definitions (
@@ -1120,6 +1533,53 @@ async function ensureSchema() {
         { table: 'vendors', column: 'addon_cutoff_enabled', sql: 'ALTER TABLE vendors ADD COLUMN IF NOT EXISTS addon_cutoff_enabled BOOLEAN DEFAULT FALSE' },
         { table: 'vendors', column: 'addon_cutoff_day', sql: 'ALTER TABLE vendors ADD COLUMN IF NOT EXISTS addon_cutoff_day VARCHAR(10) DEFAULT NULL' },
         { table: 'vendors', column: 'addon_cutoff_time', sql: 'ALTER TABLE vendors ADD COLUMN IF NOT EXISTS addon_cutoff_time TIME DEFAULT NULL' },
+        // Migration 020: delivery time windows and per-stop service durations
+        { table: 'delivery_orders', column: 'window_start', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS window_start TIME' },
+        { table: 'delivery_orders', column: 'window_end', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS window_end TIME' },
+        { table: 'delivery_orders', column: 'service_minutes', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS service_minutes INTEGER' },
+        { table: 'delivery_orders', column: 'planned_arrival', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS planned_arrival TIMESTAMPTZ' },
+        { table: 'delivery_orders', column: 'window_missed', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS window_missed BOOLEAN DEFAULT FALSE' },
+        { table: 'delivery_routes', column: 'planned_departure', sql: 'ALTER TABLE delivery_routes ADD COLUMN IF NOT EXISTS planned_departure TIMESTAMPTZ' },
+        // Migration 021: multi-driver route splitting (one route per vehicle per day)
+        { table: 'delivery_routes', column: 'vehicle_number', sql: 'ALTER TABLE delivery_routes ADD COLUMN IF NOT EXISTS vehicle_number INTEGER NOT NULL DEFAULT 1' },
+        { table: 'delivery_routes', column: 'vehicle_label', sql: 'ALTER TABLE delivery_routes ADD COLUMN IF NOT EXISTS vehicle_label VARCHAR(100)' },
+        { table: 'delivery_routes', column: 'vehicle_capacity', sql: 'ALTER TABLE delivery_routes ADD COLUMN IF NOT EXISTS vehicle_capacity INTEGER' },
+        // Migration 023: per-merchant geocoding provider (cache table is a core table check)
+        { table: 'delivery_settings', column: 'geocoding_provider', sql: 'ALTER TABLE delivery_settings ADD COLUMN IF NOT EXISTS geocoding_provider VARCHAR(20) DEFAULT \'ors\' CHECK (geocoding_provider IN (\'ors\', \'nominatim\', \'stub\'))' },
+        // Migration 024: delivery zone assignment on orders (zones table is a core table check)
+        { table: 'delivery_orders', column: 'zone_id', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS zone_id INTEGER' },
+        { table: 'delivery_orders', column: 'delivery_fee_cents', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS delivery_fee_cents INTEGER' },
+        { table: 'delivery_orders', column: 'needs_review', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS needs_review BOOLEAN DEFAULT FALSE' },
+        { table: 'delivery_orders', column: 'review_reason', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS review_reason VARCHAR(30)' },
+        // Migration 025: recurring delivery templates (templates table is a core table check)
+        { table: 'delivery_orders', column: 'recurring_template_id', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS recurring_template_id UUID' },
+        { table: 'delivery_orders', column: 'scheduled_date', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS scheduled_date DATE' },
+        // Migration 026: driver offline queue (idempotency_keys is a core table check)
+        { table: 'delivery_orders', column: 'completed_at', sql: 'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ' },
+        // Migration 029: email purchase orders to vendors
+        { table: 'purchase_orders', column: 'emailed_at', sql: 'ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMPTZ' },
+        { table: 'purchase_orders', column: 'emailed_to', sql: 'ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS emailed_to TEXT' },
+        { table: 'purchase_orders', column: 'email_message_id', sql: 'ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS email_message_id TEXT' },
+        { table: 'purchase_orders', column: 'email_send_count', sql: 'ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS email_send_count INTEGER DEFAULT 0' },
+        { table: 'vendors', column: 'po_email_subject', sql: 'ALTER TABLE vendors ADD COLUMN IF NOT EXISTS po_email_subject TEXT' },
+        { table: 'vendors', column: 'po_email_body', sql: 'ALTER TABLE vendors ADD COLUMN IF NOT EXISTS po_email_body TEXT' },
+        // Migration 032: close partial POs, carrying the remainder forward as backorders
+        { table: 'purchase_orders', column: 'closed_at', sql: 'ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ' },
+        { table: 'purchase_orders', column: 'closed_remainder', sql: 'ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS closed_remainder TEXT CHECK (closed_remainder IN (\'CANCELLED\', \'BACKORDERED\'))' },
+        { table: 'purchase_order_items', column: 'backorder_of_item_id', sql: 'ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS backorder_of_item_id INTEGER REFERENCES purchase_order_items(id) ON DELETE SET NULL' },
+        // Migration 034: landed cost on PO receipts (po_landed_charges is a core table check)
+        { table: 'purchase_orders', column: 'landed_cost_method', sql: 'ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS landed_cost_method TEXT CHECK (landed_cost_method IN (\'VALUE\', \'QUANTITY\', \'WEIGHT\'))' },
+        { table: 'purchase_order_items', column: 'received_weight', sql: 'ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS received_weight DECIMAL(12,3)' },
+        { table: 'purchase_order_items', column: 'allocated_charges_cents', sql: 'ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS allocated_charges_cents INTEGER' },
+        { table: 'purchase_order_items', column: 'landed_unit_cost_cents', sql: 'ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS landed_unit_cost_cents INTEGER' },
+        { table: 'variation_vendors', column: 'landed_unit_cost_money', sql: 'ALTER TABLE variation_vendors ADD COLUMN IF NOT EXISTS landed_unit_cost_money INTEGER' },
+        // Migration 035: lot-level expiry (inventory_lots / inventory_lot_sales are core table checks)
+        { table: 'po_receiving_scans', column: 'expiration_date', sql: 'ALTER TABLE po_receiving_scans ADD COLUMN IF NOT EXISTS expiration_date DATE' },
+        { table: 'po_receiving_scans', column: 'lot_code', sql: 'ALTER TABLE po_receiving_scans ADD COLUMN IF NOT EXISTS lot_code TEXT' },
+        // Migration 037: dynamic expiry markdowns (expiry_discount_steps is created after the expiry tables)
+        { table: 'expiry_discount_tiers', column: 'dynamic_min_percent', sql: 'ALTER TABLE expiry_discount_tiers ADD COLUMN IF NOT EXISTS dynamic_min_percent DECIMAL(5,2)' },
+        { table: 'expiry_discount_tiers', column: 'dynamic_max_percent', sql: 'ALTER TABLE expiry_discount_tiers ADD COLUMN IF NOT EXISTS dynamic_max_percent DECIMAL(5,2)' },
+        { table: 'variation_discount_status', column: 'dynamic_discount_percent', sql: 'ALTER TABLE variation_discount_status ADD COLUMN IF NOT EXISTS dynamic_discount_percent DECIMAL(5,2)' },
     ];
 
     // Migration 019: enforce stock_alert_min < stock_alert_max on both tables.
@@ -1858,6 +2318,22 @@ async function ensureSchema() {
         logger.info('Created expiry discount tables with indexes');
         appliedCount++;
     }
+    // Migration 037: Square discount per tier and markdown step (DYNAMIC pricing mode).
+    // Created here rather than with the core tables because it references expiry_discount_tiers.
+    await query(`
+        CREATE TABLE IF NOT EXISTS expiry_discount_steps (
+            id SERIAL PRIMARY KEY,
+            merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+            tier_id INTEGER NOT NULL REFERENCES expiry_discount_tiers(id) ON DELETE CASCADE,
+            discount_percent DECIMAL(5,2) NOT NULL,
+            square_discount_id TEXT,
+            variation_count INTEGER NOT NULL DEFAULT 0,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+            CONSTRAINT expiry_discount_steps_unique UNIQUE (merchant_id, tier_id, discount_percent),
+            CONSTRAINT expiry_discount_steps_percent_check CHECK (discount_percent > 0 AND discount_percent <= 100)
+        )
+    `);
     // Note: expiry_discount_settings are now created per-merchant by ensureMerchantTiers()
     // in utils/expiry-discount.js when a merchant first accesses the expiry discounts page.
     // Legacy global settings migration removed as the table now uses (setting_key, merchant_id) unique constraint.
@@ -2825,6 +3301,7 @@ async function ensureSchema() {
                 reorder_priority_high_days INTEGER DEFAULT 7,
                 reorder_priority_medium_days INTEGER DEFAULT 14,
                 reorder_priority_low_days INTEGER DEFAULT 30,
+                reorder_use_observed_lead_time BOOLEAN DEFAULT FALSE,
 
                 -- Cycle Count Settings
                 daily_count_target INTEGER DEFAULT 30,
@@ -2853,7 +3330,9 @@ async function ensureSchema() {
             { column: 'additional_cycle_count_email', sql: 'ALTER TABLE merchant_settings ADD COLUMN IF NOT EXISTS additional_cycle_count_email TEXT' },
             { column: 'notification_email', sql: 'ALTER TABLE merchant_settings ADD COLUMN IF NOT EXISTS notification_email TEXT' },
             { column: 'low_stock_alerts_enabled', sql: 'ALTER TABLE merchant_settings ADD COLUMN IF NOT EXISTS low_stock_alerts_enabled BOOLEAN DEFAULT TRUE' },
-            { column: 'claude_api_key_encrypted', sql: 'ALTER TABLE merchant_settings ADD COLUMN IF NOT EXISTS claude_api_key_encrypted TEXT' }
+            { column: 'claude_api_key_encrypted', sql: 'ALTER TABLE merchant_settings ADD COLUMN IF NOT EXISTS claude_api_key_encrypted TEXT' },
+            // Migration 031: observed lead time in reorder math
+            { column: 'reorder_use_observed_lead_time', sql: 'ALTER TABLE merchant_settings ADD COLUMN IF NOT EXISTS reorder_use_observed_lead_time BOOLEAN DEFAULT FALSE' }
         ];
 
         for (const migration of settingsColumnMigrations) {